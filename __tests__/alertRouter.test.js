@@ -0,0 +1,359 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — alertRouter.js (per-user alert fan-out, quiet hours, cooldowns)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const {
+  DEFAULT_ALERT_FILTER,
+  routeAlerts,
+  buildRecipients,
+  buildFallbackRecipient,
+  createCooldownTracker,
+  hydrateCooldowns,
+  getAlertHistory,
+  matchesFilter,
+  isQuietHours,
+  parseEmails
+} = require('../alertRouter');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// ─── Mock Supabase ──────────────────────────────────────────────────────────
+
+/**
+ * Table-keyed mock: queries resolve to fixture rows; inserts are recorded
+ * and `.single()` after an insert echoes a generated id.
+ */
+function createMockSb(tables = {}) {
+  const inserts = {};
+  const filters = [];
+  let alertSeq = 0;
+
+  function makeChain(table) {
+    let inserted = null;
+    const result = () => inserted
+      ? { data: { id: `${table}-${++alertSeq}` }, error: tables[`${table}InsertError`] || null }
+      : { data: tables[table] ?? [], error: tables[`${table}Error`] || null };
+
+    const chain = {
+      select: jest.fn(() => chain),
+      eq: jest.fn((col, val) => { filters.push({ table, op: 'eq', col, val }); return chain; }),
+      gte: jest.fn(() => chain),
+      in: jest.fn((col, val) => { filters.push({ table, op: 'in', col, val }); return chain; }),
+      order: jest.fn(() => chain),
+      limit: jest.fn(() => chain),
+      insert: jest.fn((row) => {
+        inserted = row;
+        (inserts[table] = inserts[table] || []).push(row);
+        return chain;
+      }),
+      single: jest.fn(() => Promise.resolve(result())),
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return chain;
+  }
+
+  return { inserts, filters, from: jest.fn((table) => makeChain(table)) };
+}
+
+const NOON = new Date('2026-03-10T12:00:00Z');
+
+function signal(overrides = {}) {
+  return {
+    asset: 'bitcoin', action: 'BUY', strengthLabel: 'STRONG BUY',
+    score: 72, rawScore: 44, confidence: 70, price: 50000, reasons: 'RSI oversold',
+    ...overrides
+  };
+}
+
+function filterRow(userId, overrides = {}) {
+  return {
+    user_id: userId,
+    assets: [],
+    actions: ['BUY', 'SELL'],
+    min_confidence: 50,
+    min_score: 25,
+    telegram_enabled: true,
+    email_enabled: true,
+    telegram_chat_id: null,
+    alert_emails: '',
+    quiet_start: null,
+    quiet_end: null,
+    cooldown_minutes: 20,
+    enabled: true,
+    ...overrides
+  };
+}
+
+function deps(overrides = {}) {
+  return {
+    supabase: createMockSb(),
+    cooldowns: createCooldownTracker(),
+    sendTelegram: jest.fn().mockResolvedValue({ success: true }),
+    sendEmail: jest.fn().mockResolvedValue({ success: true }),
+    now: NOON,
+    ...overrides
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Filter helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('matchesFilter', () => {
+  test('matches on action or strength label', () => {
+    expect(matchesFilter(signal(), filterRow('u1'))).toBe(true);
+    expect(matchesFilter(signal(), filterRow('u1', { actions: ['STRONG BUY'] }))).toBe(true);
+    expect(matchesFilter(signal(), filterRow('u1', { actions: ['SELL'] }))).toBe(false);
+  });
+
+  test('applies asset list, confidence and absolute score thresholds', () => {
+    expect(matchesFilter(signal(), filterRow('u1', { assets: ['ethereum'] }))).toBe(false);
+    expect(matchesFilter(signal(), filterRow('u1', { min_confidence: 80 }))).toBe(false);
+    expect(matchesFilter(signal({ action: 'SELL', rawScore: -44 }), filterRow('u1', { min_score: 40 }))).toBe(true);
+    expect(matchesFilter(signal({ rawScore: 10 }), filterRow('u1'))).toBe(false);
+  });
+});
+
+describe('isQuietHours', () => {
+  const at = (hhmm) => new Date(`2026-03-10T${hhmm}:00Z`);
+
+  test('same-day window', () => {
+    const f = { quiet_start: '12:00:00', quiet_end: '14:00:00' };
+    expect(isQuietHours(f, at('11:59'))).toBe(false);
+    expect(isQuietHours(f, at('12:00'))).toBe(true);
+    expect(isQuietHours(f, at('13:59'))).toBe(true);
+    expect(isQuietHours(f, at('14:00'))).toBe(false);
+  });
+
+  test('overnight window wraps past midnight', () => {
+    const f = { quiet_start: '22:00', quiet_end: '07:00' };
+    expect(isQuietHours(f, at('23:30'))).toBe(true);
+    expect(isQuietHours(f, at('03:00'))).toBe(true);
+    expect(isQuietHours(f, at('07:00'))).toBe(false);
+    expect(isQuietHours(f, at('12:00'))).toBe(false);
+  });
+
+  test('missing, equal or malformed bounds disable quiet hours', () => {
+    expect(isQuietHours({ quiet_start: null, quiet_end: '07:00' }, NOON)).toBe(false);
+    expect(isQuietHours({ quiet_start: '12:00', quiet_end: '12:00' }, NOON)).toBe(false);
+    expect(isQuietHours({ quiet_start: 'noon', quiet_end: '13:00' }, NOON)).toBe(false);
+  });
+});
+
+describe('parseEmails / buildRecipients', () => {
+  test('splits and trims the comma-separated column', () => {
+    expect(parseEmails(' a@x.com, ,b@x.com ')).toEqual(['a@x.com', 'b@x.com']);
+    expect(parseEmails('')).toEqual([]);
+    expect(parseEmails(null)).toEqual([]);
+  });
+
+  test('each enabled filter becomes a recipient with only its own chat and emails', () => {
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, alert_emails: 'u1@x.com' }),
+      filterRow('u2'),
+      filterRow('u3', { enabled: false })
+    ]);
+
+    expect(recipients.map(r => r.userId)).toEqual(['u1', 'u2']);
+    expect(recipients[0]).toMatchObject({ chatIds: [111], emails: ['u1@x.com'] });
+    expect(recipients[1]).toMatchObject({ chatIds: [], emails: [] });
+  });
+
+  test('fallback recipient uses the default filter', () => {
+    const fallback = buildFallbackRecipient({ chatIds: [1, 2], email: 'ops@x.com' });
+    expect(fallback).toEqual({ userId: null, filter: DEFAULT_ALERT_FILTER, chatIds: [1, 2], emails: ['ops@x.com'] });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// routeAlerts
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('routeAlerts', () => {
+  test('evaluates every user filter independently', async () => {
+    const d = deps();
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, alert_emails: 'u1@x.com' }),
+      filterRow('u2', { telegram_chat_id: 222, min_confidence: 90 }),
+      filterRow('u3', { telegram_chat_id: 333, assets: ['bitcoin'], email_enabled: false, alert_emails: 'u3@x.com' })
+    ]);
+
+    const stats = await routeAlerts([signal()], recipients, d);
+
+    expect(d.sendTelegram.mock.calls.map(c => c[0])).toEqual([111, 333]);
+    expect(d.sendEmail).toHaveBeenCalledTimes(1);
+    expect(d.sendEmail).toHaveBeenCalledWith(['u1@x.com'], expect.objectContaining({ asset: 'bitcoin' }));
+    expect(stats).toMatchObject({ saved: 1, telegram: 2, email: 1, failed: 0 });
+  });
+
+  test('records one alert row and a delivery row per user and channel', async () => {
+    const d = deps();
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, alert_emails: 'a@x.com, b@x.com' }),
+      filterRow('u2', { telegram_chat_id: 222 })
+    ]);
+    d.sendTelegram.mockImplementation(async (chatId) => chatId === 222 ? { success: false, reason: 'chat not found' } : { success: true });
+
+    const stats = await routeAlerts([signal()], recipients, d);
+
+    expect(d.supabase.inserts.alerts).toHaveLength(1);
+    const [rows] = d.supabase.inserts.alert_deliveries;
+    expect(rows).toEqual([
+      expect.objectContaining({ alert_id: 'alerts-1', user_id: 'u1', channel: 'telegram', destination: '111', status: 'sent', error: null }),
+      expect.objectContaining({ alert_id: 'alerts-1', user_id: 'u1', channel: 'email', destination: 'a@x.com, b@x.com', status: 'sent' }),
+      expect.objectContaining({ alert_id: 'alerts-1', user_id: 'u2', channel: 'telegram', destination: '222', status: 'failed', error: 'chat not found' })
+    ]);
+    expect(stats).toMatchObject({ telegram: 1, email: 1, failed: 1 });
+  });
+
+  test('users in quiet hours are skipped without affecting others', async () => {
+    const d = deps();
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, quiet_start: '11:00', quiet_end: '13:00' }),
+      filterRow('u2', { telegram_chat_id: 222, quiet_start: '22:00', quiet_end: '07:00' })
+    ]);
+
+    const stats = await routeAlerts([signal()], recipients, d);
+
+    expect(d.sendTelegram.mock.calls.map(c => c[0])).toEqual([222]);
+    expect(stats.quiet).toBe(1);
+  });
+
+  test('nothing is saved when no user receives the signal', async () => {
+    const d = deps();
+    const recipients = buildRecipients([filterRow('u1', { telegram_chat_id: 111, actions: ['SELL'] })]);
+
+    await routeAlerts([signal()], recipients, d);
+
+    expect(d.supabase.inserts.alerts).toBeUndefined();
+    expect(d.sendTelegram).not.toHaveBeenCalled();
+  });
+
+  test('cooldown is per user and uses each user\'s cooldown_minutes', async () => {
+    const d = deps();
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, cooldown_minutes: 5 }),
+      filterRow('u2', { telegram_chat_id: 222, cooldown_minutes: 60 })
+    ]);
+
+    await routeAlerts([signal()], recipients, d);
+    d.sendTelegram.mockClear();
+
+    const later = new Date(NOON.getTime() + 10 * 60 * 1000);
+    const stats = await routeAlerts([signal()], recipients, { ...d, now: later });
+
+    expect(d.sendTelegram.mock.calls.map(c => c[0])).toEqual([111]);
+    expect(stats.cooling).toBe(1);
+  });
+
+  test('cooldown is keyed by asset and action', async () => {
+    const d = deps();
+    const recipients = buildRecipients([filterRow('u1', { telegram_chat_id: 111 })]);
+
+    await routeAlerts([signal()], recipients, d);
+    await routeAlerts([signal({ asset: 'ethereum' }), signal({ action: 'SELL', strengthLabel: null, rawScore: -44 })], recipients, d);
+
+    expect(d.sendTelegram).toHaveBeenCalledTimes(3);
+  });
+
+  test('a failed delivery does not start the cooldown', async () => {
+    const d = deps();
+    d.sendTelegram.mockResolvedValueOnce({ success: false, reason: 'timeout' });
+    const recipients = buildRecipients([filterRow('u1', { telegram_chat_id: 111 })]);
+
+    await routeAlerts([signal()], recipients, d);
+    await routeAlerts([signal()], recipients, d);
+
+    expect(d.sendTelegram).toHaveBeenCalledTimes(2);
+  });
+
+  test('disabled channels are not attempted', async () => {
+    const d = deps({ sendEmail: null });
+    const recipients = buildRecipients([
+      filterRow('u1', { telegram_chat_id: 111, telegram_enabled: false, alert_emails: 'u1@x.com' })
+    ]);
+
+    const stats = await routeAlerts([signal()], recipients, d);
+
+    expect(d.sendTelegram).not.toHaveBeenCalled();
+    expect(stats).toMatchObject({ telegram: 0, email: 0 });
+  });
+
+  test('still delivers when the alerts table is unavailable', async () => {
+    const d = deps({ supabase: createMockSb({ alertsInsertError: { code: '42P01', message: 'missing' } }) });
+    const recipients = buildRecipients([filterRow('u1', { telegram_chat_id: 111 })]);
+
+    const stats = await routeAlerts([signal()], recipients, d);
+
+    expect(d.sendTelegram).toHaveBeenCalledTimes(1);
+    expect(stats.saved).toBe(0);
+    expect(d.supabase.inserts.alert_deliveries).toBeUndefined();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Cooldown hydration + history
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('hydrateCooldowns', () => {
+  test('seeds the tracker from recent successful deliveries', async () => {
+    const supabase = createMockSb({
+      alert_deliveries: [
+        { user_id: 'u1', asset: 'bitcoin', action: 'BUY', created_at: new Date(NOON.getTime() - 5 * 60 * 1000).toISOString() }
+      ]
+    });
+    const cooldowns = createCooldownTracker();
+
+    expect(await hydrateCooldowns(supabase, cooldowns, NOON)).toBe(1);
+    expect(cooldowns.isCooling('u1', signal(), 20, NOON)).toBe(true);
+    expect(cooldowns.isCooling('u1', signal(), 3, NOON)).toBe(false);
+    expect(cooldowns.isCooling('u2', signal(), 20, NOON)).toBe(false);
+  });
+
+  test('a missing table is not an error', async () => {
+    const supabase = createMockSb({ alert_deliveriesError: { code: '42P01', message: 'missing' } });
+    expect(await hydrateCooldowns(supabase, createCooldownTracker(), NOON)).toBe(0);
+  });
+});
+
+describe('getAlertHistory', () => {
+  test('attaches deliveries to each alert', async () => {
+    const supabase = createMockSb({
+      alerts: [{ id: 'a1', asset: 'bitcoin' }, { id: 'a2', asset: 'ethereum' }],
+      alert_deliveries: [
+        { alert_id: 'a1', user_id: 'u1', channel: 'telegram', status: 'sent' },
+        { alert_id: 'a1', user_id: 'u2', channel: 'email', status: 'failed' }
+      ]
+    });
+
+    const history = await getAlertHistory(supabase);
+
+    expect(history[0].deliveries).toEqual([
+      { user_id: 'u1', channel: 'telegram', status: 'sent' },
+      { user_id: 'u2', channel: 'email', status: 'failed' }
+    ]);
+    expect(history[1].deliveries).toEqual([]);
+  });
+
+  test('with a userId, narrows alerts and deliveries to that user', async () => {
+    const supabase = createMockSb({
+      alerts: [{ id: 'a1', asset: 'bitcoin' }],
+      alert_deliveries: [{ alert_id: 'a1', user_id: 'u1', channel: 'telegram', status: 'sent' }]
+    });
+
+    await getAlertHistory(supabase, { userId: 'u1' });
+
+    expect(supabase.filters).toEqual(expect.arrayContaining([
+      { table: 'alert_deliveries', op: 'eq', col: 'user_id', val: 'u1' },
+      { table: 'alerts', op: 'in', col: 'id', val: ['a1'] }
+    ]));
+  });
+
+  test('a user with no deliveries has an empty history', async () => {
+    const supabase = createMockSb({ alert_deliveries: [] });
+    expect(await getAlertHistory(supabase, { userId: 'u1' })).toEqual([]);
+    expect(supabase.from).not.toHaveBeenCalledWith('alerts');
+  });
+});
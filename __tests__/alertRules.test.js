@@ -0,0 +1,361 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — alertRules.js (custom alert rule DSL, evaluation and delivery)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const {
+  RULE_LIMITS,
+  RULE_ACTION,
+  runAlertRules,
+  createRule,
+  updateRule,
+  formatRuleTelegram,
+  validateConditions,
+  normalizeRuleSpec,
+  evaluateConditions,
+  describeConditions,
+  referencesMetric
+} = require('../alertRules');
+const { createCooldownTracker } = require('../alertRouter');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+// ─── Mock Supabase ──────────────────────────────────────────────────────────
+
+/**
+ * Table-keyed mock: reads resolve to fixture rows, writes are recorded and
+ * `.single()` after an insert echoes the row with a generated id.
+ */
+function createMockSb(tables = {}) {
+  const writes = { insert: {}, update: {} };
+  let seq = 0;
+
+  function makeChain(table) {
+    let inserted = null;
+    const result = () => {
+      if (inserted) return { data: { id: `${table}-${++seq}`, ...inserted }, error: null };
+      return { data: tables[table] ?? [], count: tables[`${table}Count`] ?? 0, error: tables[`${table}Error`] || null };
+    };
+
+    const chain = {
+      select: jest.fn(() => chain),
+      eq: jest.fn(() => chain),
+      in: jest.fn(() => chain),
+      gte: jest.fn(() => chain),
+      order: jest.fn(() => chain),
+      insert: jest.fn((row) => {
+        inserted = row;
+        (writes.insert[table] = writes.insert[table] || []).push(row);
+        return chain;
+      }),
+      update: jest.fn((row) => {
+        (writes.update[table] = writes.update[table] || []).push(row);
+        return chain;
+      }),
+      single: jest.fn(() => Promise.resolve(result())),
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return chain;
+  }
+
+  return { writes, from: jest.fn((table) => makeChain(table)) };
+}
+
+const NOON = new Date('2026-03-10T12:00:00Z');
+
+function signal(overrides = {}) {
+  return {
+    asset: 'BITCOIN', action: 'BUY', strengthLabel: 'BUY', score: 64, rawScore: 28, confidence: 61,
+    price: 50000, change24h: 2.1,
+    indicators: { rsi: '48.0', emaTrend: 'bullish', vwap: { vwap: 49500, distancePercent: 1.01 } },
+    derivatives: { fundingRatePercent: 0.06, openInterest: 80000, longShortRatio: 1.4 },
+    timeframes: {
+      confluence: 'moderate',
+      '4h': { indicators: { rsi: '22.4', adx: 31, emaTrend: 'bearish', vwap: { vwap: 51000 } } },
+      '1h': { indicators: { rsi: '48.0', emaTrend: 'bullish', vwap: { vwap: 49500, distancePercent: 1.01 } } },
+      '15m': { indicators: { rsi: '55.2' } }
+    },
+    ...overrides
+  };
+}
+
+const RSI_VWAP = {
+  all: [
+    { metric: 'rsi', timeframe: '4h', op: '<', value: 25 },
+    { metric: 'price', op: '>', ref: 'vwap' }
+  ]
+};
+
+const FUNDING_OI = {
+  all: [
+    { metric: 'funding_rate_pct', op: '>', value: 0.05 },
+    { metric: 'oi_change_24h_pct', op: '>', value: 10 }
+  ]
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Validation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('validateConditions', () => {
+  test('accepts nested all / any / not trees', () => {
+    const tree = { any: [RSI_VWAP, { not: { metric: 'ema_trend', timeframe: '15m', op: 'in', value: ['bearish'] } }] };
+    expect(validateConditions(tree)).toEqual({ valid: true, errors: [] });
+  });
+
+  test('reports unknown metrics, bad operators and bad values with their path', () => {
+    const { valid, errors } = validateConditions({
+      all: [
+        { metric: 'moon_phase', op: '>', value: 1 },
+        { metric: 'action', op: '>', value: 'BUY' },
+        { metric: 'rsi', op: '<', value: 'low' },
+        { metric: 'rsi', op: '<', value: 30, ref: 'adx' },
+        { metric: 'price', timeframe: '4h', op: '>', value: 1 },
+        { metric: 'rsi', timeframe: '1d', op: '>', value: 1 }
+      ]
+    });
+
+    expect(valid).toBe(false);
+    expect(errors).toEqual([
+      "conditions.all[0].metric: unknown metric 'moon_phase'",
+      "conditions.all[1].op: '>' not valid for action (use == != in not_in)",
+      'conditions.all[2].value: must be a number',
+      'conditions.all[3]: give either value or ref',
+      "conditions.all[4].timeframe: 'price' has no timeframe",
+      'conditions.all[5].timeframe: must be one of 15m, 1h, 4h'
+    ]);
+  });
+
+  test('inherited object keys are not metrics', () => {
+    expect(validateConditions({ metric: 'constructor', op: '==', value: 'x' }).valid).toBe(false);
+  });
+
+  test('rejects comparing a number with a string metric', () => {
+    const { errors } = validateConditions({ metric: 'price', op: '>', ref: 'ema_trend' });
+    expect(errors).toEqual(['conditions.ref: cannot compare number with string']);
+  });
+
+  test('enforces depth and size limits', () => {
+    let deep = { metric: 'rsi', op: '<', value: 30 };
+    for (let i = 0; i <= RULE_LIMITS.maxDepth; i++) deep = { not: deep };
+    expect(validateConditions(deep).valid).toBe(false);
+
+    const wide = { all: Array.from({ length: RULE_LIMITS.maxConditions + 1 }, () => ({ metric: 'rsi', op: '<', value: 30 })) };
+    expect(validateConditions(wide).errors).toContain(`conditions: at most ${RULE_LIMITS.maxConditions} conditions per rule`);
+  });
+});
+
+describe('normalizeRuleSpec', () => {
+  test('fills defaults on create and lower-cases assets', () => {
+    const { value, errors } = normalizeRuleSpec({ name: ' Oversold 4h ', conditions: RSI_VWAP, assets: ['Bitcoin', 'bitcoin'] });
+    expect(errors).toEqual([]);
+    expect(value).toEqual({
+      name: 'Oversold 4h', conditions: RSI_VWAP, assets: ['bitcoin'],
+      channels: ['telegram'], cooldown_minutes: 60, enabled: true
+    });
+  });
+
+  test('partial updates only touch the fields sent', () => {
+    expect(normalizeRuleSpec({ enabled: false }, { partial: true })).toEqual({ value: { enabled: false }, errors: [] });
+  });
+
+  test('validates channels and cooldown', () => {
+    const { errors } = normalizeRuleSpec({ name: 'x', conditions: RSI_VWAP, channels: ['sms'], cooldown_minutes: 0 });
+    expect(errors).toEqual(['channels must be a non-empty subset of telegram, email', 'cooldown_minutes must be 1-1440']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Evaluation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('evaluateConditions', () => {
+  test('reads indicators of the requested timeframe and compares against another metric', () => {
+    const { pass, trace } = evaluateConditions(RSI_VWAP, { signal: signal() });
+
+    expect(pass).toBe(true);
+    expect(trace).toEqual([
+      { condition: 'RSI(14) [4h] < 25', actual: 22.4, expected: undefined, pass: true },
+      { condition: 'Precio > VWAP [1h]', actual: 50000, expected: 49500, pass: true }
+    ]);
+  });
+
+  test('fails when the 4h reading does not qualify', () => {
+    const s = signal();
+    s.timeframes['4h'].indicators.rsi = '31.0';
+    expect(evaluateConditions(RSI_VWAP, { signal: s }).pass).toBe(false);
+  });
+
+  test('derivatives and OI change', () => {
+    expect(evaluateConditions(FUNDING_OI, { signal: signal(), oiChange24hPct: 12.5 }).pass).toBe(true);
+    expect(evaluateConditions(FUNDING_OI, { signal: signal(), oiChange24hPct: 4 }).pass).toBe(false);
+  });
+
+  test('missing data makes a condition false', () => {
+    expect(evaluateConditions(FUNDING_OI, { signal: signal(), oiChange24hPct: null }).pass).toBe(false);
+    expect(evaluateConditions({ metric: 'funding_rate_pct', op: '>', value: 0 }, { signal: signal({ derivatives: null }) }).pass).toBe(false);
+    expect(evaluateConditions({ metric: 'vwap', timeframe: '15m', op: '>', value: 0 }, { signal: signal() }).pass).toBe(false);
+  });
+
+  test('any / not / string membership', () => {
+    const ctx = { signal: signal(), fearGreed: 18 };
+    expect(evaluateConditions({ any: [{ metric: 'fear_greed', op: '<', value: 20 }, { metric: 'rsi', op: '>', value: 90 }] }, ctx).pass).toBe(true);
+    expect(evaluateConditions({ not: { metric: 'ema_trend', timeframe: '4h', op: 'in', value: ['bearish'] } }, ctx).pass).toBe(false);
+    expect(evaluateConditions({ metric: 'confluence', op: '==', value: 'moderate' }, ctx).pass).toBe(true);
+  });
+});
+
+describe('describeConditions / referencesMetric', () => {
+  test('renders a readable expression', () => {
+    const tree = { any: [RSI_VWAP, { not: { metric: 'action', op: 'not_in', value: ['BUY', 'SELL'] } }] };
+    expect(describeConditions(tree)).toBe('(RSI(14) [4h] < 25 Y Precio > VWAP [1h]) O NO Acción not in [BUY, SELL]');
+  });
+
+  test('finds metrics referenced directly or as ref', () => {
+    expect(referencesMetric(FUNDING_OI, 'oi_change_24h_pct')).toBe(true);
+    expect(referencesMetric(RSI_VWAP, 'vwap')).toBe(true);
+    expect(referencesMetric(RSI_VWAP, 'oi_change_24h_pct')).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// runAlertRules
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('runAlertRules', () => {
+  const owner = { user_id: 'u1', telegram_chat_id: 111, alert_emails: 'u1@x.com', quiet_start: null, quiet_end: null };
+
+  function rule(overrides = {}) {
+    return {
+      id: 'r1', user_id: 'u1', name: 'Oversold 4h', assets: [], conditions: RSI_VWAP,
+      channels: ['telegram'], cooldown_minutes: 60, enabled: true, trigger_count: 0,
+      ...overrides
+    };
+  }
+
+  function deps(overrides = {}) {
+    return {
+      cooldowns: createCooldownTracker(),
+      sendTelegram: jest.fn().mockResolvedValue({ success: true }),
+      sendEmail: jest.fn().mockResolvedValue({ success: true }),
+      fetchOiChange: jest.fn().mockResolvedValue({ changePercent: 15 }),
+      now: NOON,
+      ...overrides
+    };
+  }
+
+  test('a matching rule stores a RULE alert and delivers on its channels only', async () => {
+    const supabase = createMockSb({ alert_rules: [rule()], alert_filters: [owner] });
+    const d = deps();
+
+    const stats = await runAlertRules(supabase, [signal()], d);
+
+    expect(stats).toMatchObject({ rules: 1, triggered: 1, telegram: 1, email: 0 });
+    expect(d.sendTelegram).toHaveBeenCalledWith(111, expect.objectContaining({ asset: 'BITCOIN', action: RULE_ACTION }));
+    expect(d.sendEmail).not.toHaveBeenCalled();
+
+    expect(supabase.writes.insert.alerts[0]).toMatchObject({
+      asset: 'BITCOIN', action: 'RULE', rule_id: 'r1', reasons: 'Oversold 4h: RSI(14) [4h] < 25 Y Precio > VWAP [1h]'
+    });
+    expect(supabase.writes.insert.alert_deliveries[0]).toEqual([
+      expect.objectContaining({ alert_id: 'alerts-1', user_id: 'u1', channel: 'telegram', destination: '111', status: 'sent' })
+    ]);
+    expect(supabase.writes.update.alert_rules[0]).toEqual({ last_triggered_at: NOON.toISOString(), trigger_count: 1 });
+  });
+
+  test('email channel goes to the owner\'s alert emails', async () => {
+    const supabase = createMockSb({ alert_rules: [rule({ channels: ['email'] })], alert_filters: [owner] });
+    const d = deps();
+
+    await runAlertRules(supabase, [signal()], d);
+
+    expect(d.sendTelegram).not.toHaveBeenCalled();
+    expect(d.sendEmail).toHaveBeenCalledWith(['u1@x.com'], expect.objectContaining({ rule: expect.objectContaining({ id: 'r1' }) }));
+  });
+
+  test('per-rule cooldown suppresses repeats for the same asset', async () => {
+    const supabase = createMockSb({ alert_rules: [rule({ cooldown_minutes: 30 })], alert_filters: [owner] });
+    const d = deps();
+
+    await runAlertRules(supabase, [signal()], d);
+    await runAlertRules(supabase, [signal()], { ...d, now: new Date(NOON.getTime() + 10 * 60 * 1000) });
+    expect(d.sendTelegram).toHaveBeenCalledTimes(1);
+
+    await runAlertRules(supabase, [signal()], { ...d, now: new Date(NOON.getTime() + 31 * 60 * 1000) });
+    expect(d.sendTelegram).toHaveBeenCalledTimes(2);
+  });
+
+  test('respects rule assets and owner quiet hours', async () => {
+    const scoped = createMockSb({ alert_rules: [rule({ assets: ['ethereum'] })], alert_filters: [owner] });
+    expect((await runAlertRules(scoped, [signal()], deps())).triggered).toBe(0);
+
+    const quiet = createMockSb({
+      alert_rules: [rule()],
+      alert_filters: [{ ...owner, quiet_start: '11:00', quiet_end: '13:00' }]
+    });
+    expect((await runAlertRules(quiet, [signal()], deps())).triggered).toBe(0);
+  });
+
+  test('fetches OI history only for rules that reference it', async () => {
+    const d = deps();
+    await runAlertRules(createMockSb({ alert_rules: [rule()], alert_filters: [owner] }), [signal()], d);
+    expect(d.fetchOiChange).not.toHaveBeenCalled();
+
+    const stats = await runAlertRules(
+      createMockSb({ alert_rules: [rule({ id: 'r2', conditions: FUNDING_OI })], alert_filters: [owner] }),
+      [signal(), signal({ asset: 'ETHEREUM' })],
+      d
+    );
+    expect(d.fetchOiChange.mock.calls.map(c => c[0])).toEqual(['bitcoin', 'ethereum']);
+    expect(stats.triggered).toBe(2);
+  });
+
+  test('no rules table is a no-op', async () => {
+    const supabase = createMockSb({ alert_rulesError: { code: '42P01', message: 'missing' } });
+    expect(await runAlertRules(supabase, [signal()], deps())).toMatchObject({ rules: 0, triggered: 0 });
+  });
+});
+
+describe('formatRuleTelegram', () => {
+  test('escapes Markdown in rule names and lists each condition', () => {
+    const { trace } = evaluateConditions(RSI_VWAP, { signal: signal() });
+    const text = formatRuleTelegram({ rule: { name: 'my_rule*' }, signal: signal(), trace });
+
+    expect(text).toContain('*REGLA: my\\_rule\\**');
+    expect(text).toContain('✅ RSI(14) \\[4h] < 25 (22.4)');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('createRule / updateRule', () => {
+  test('creates a normalized rule for the user', async () => {
+    const supabase = createMockSb({ alert_rulesCount: 0 });
+    const { rule, errors } = await createRule(supabase, 'u1', { name: 'Funding squeeze', conditions: FUNDING_OI, channels: ['telegram', 'email'] });
+
+    expect(errors).toBeUndefined();
+    expect(rule).toMatchObject({ user_id: 'u1', name: 'Funding squeeze', channels: ['telegram', 'email'], cooldown_minutes: 60 });
+  });
+
+  test('returns validation errors without writing', async () => {
+    const supabase = createMockSb();
+    const { rule, errors } = await createRule(supabase, 'u1', { name: '', conditions: { metric: 'rsi' } });
+
+    expect(rule).toBeNull();
+    expect(errors).toEqual(expect.arrayContaining(['name is required']));
+    expect(supabase.writes.insert.alert_rules).toBeUndefined();
+  });
+
+  test('caps the number of rules per user', async () => {
+    const supabase = createMockSb({ alert_rulesCount: RULE_LIMITS.maxRulesPerUser });
+    const { errors } = await createRule(supabase, 'u1', { name: 'x', conditions: RSI_VWAP });
+    expect(errors).toEqual([`at most ${RULE_LIMITS.maxRulesPerUser} rules per user`]);
+  });
+
+  test('update with nothing valid to change is rejected', async () => {
+    expect((await updateRule(createMockSb(), 'u1', 'r1', {})).errors).toEqual(['nothing to update']);
+  });
+});
@@ -0,0 +1,286 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// API KEY TESTS
+// Hashed-at-rest keys, scope validation, expiry / revocation, route scopes and
+// the authentication middleware (per-key rate limit, last-used, audit log).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const express = require('express');
+const request = require('supertest');
+const {
+  API_KEY_SCOPES, KEY_LIMITS, listApiKeys, createApiKey, revokeApiKey, verifyApiKey, createApiKeyAuth,
+  apiKeyAllows, tradeScopeFor, routeScopes, extractApiKey, normalizeKeySpec, hashKey, resetApiKeyCache
+} = require('../apiKeys');
+const { requireAuth } = require('../authMiddleware');
+const { requireOwnership } = require('../roleMiddleware');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+
+// ─── In-memory Supabase ───────────────────────────────────────────────────────
+
+function createStore() {
+  const tables = { api_keys: [], audit_log: [] };
+  let nextId = 1;
+
+  function from(table) {
+    const rows = tables[table];
+    const filters = [];
+    let op = 'select';
+    let payload = null;
+    let columns = '*';
+    let head = false;
+
+    const pick = (row) => columns === '*'
+      ? { ...row }
+      : Object.fromEntries(columns.split(',').map(c => c.trim()).map(c => [c, row[c] ?? null]));
+
+    function exec(mode) {
+      const matched = rows.filter(r => filters.every(f => f(r)));
+      let data;
+      if (op === 'insert') {
+        const row = { id: `key-${nextId++}`, created_at: new Date().toISOString(), ...payload };
+        rows.push(row);
+        data = [row];
+      } else if (op === 'update') {
+        matched.forEach(r => Object.assign(r, payload));
+        data = matched;
+      } else {
+        data = matched;
+      }
+      if (head) return Promise.resolve({ count: matched.length, error: null });
+      data = data.map(pick);
+      if (mode === 'single') {
+        return Promise.resolve(data.length === 1 ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116', message: 'no rows' } });
+      }
+      if (mode === 'maybe') return Promise.resolve({ data: data[0] || null, error: null });
+      return Promise.resolve({ data, error: null });
+    }
+
+    const q = {
+      select: (cols = '*', opts = {}) => { columns = cols; head = !!opts.head; return q; },
+      insert: (row) => { op = 'insert'; payload = row; return q; },
+      update: (patch) => { op = 'update'; payload = patch; return q; },
+      eq: (col, val) => { filters.push(r => r[col] === val); return q; },
+      is: (col, val) => { filters.push(r => (r[col] ?? null) === val); return q; },
+      gt: (col, val) => { filters.push(r => r[col] > val); return q; },
+      order: () => q,
+      single: () => exec('single'),
+      maybeSingle: () => exec('maybe'),
+      then: (resolve, reject) => exec().then(resolve, reject)
+    };
+    return q;
+  }
+
+  return { from: jest.fn(from), tables };
+}
+
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+let store;
+
+beforeEach(() => {
+  store = createStore();
+  resetApiKeyCache();
+  delete process.env.AUTH_REQUIRED;
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Validation + CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('normalizeKeySpec', () => {
+  test('applies default expiry and rate limit', () => {
+    const { value, errors } = normalizeKeySpec({ name: ' bot ', scopes: ['read:signals', 'read:market'] });
+    expect(errors).toEqual([]);
+    expect(value.name).toBe('bot');
+    expect(value.scopes).toEqual(['read:market', 'read:signals']);
+    expect(value.rate_limit_per_minute).toBe(KEY_LIMITS.defaultRatePerMinute);
+    const days = (Date.parse(value.expires_at) - Date.now()) / 86400000;
+    expect(Math.round(days)).toBe(KEY_LIMITS.defaultExpiryDays);
+  });
+
+  test('rejects unknown scopes, bad expiry and bad rate limits', () => {
+    const { errors } = normalizeKeySpec({ name: 'x', scopes: ['admin'], expires_in_days: 0, rate_limit_per_minute: 10000 });
+    expect(errors).toHaveLength(3);
+    expect(normalizeKeySpec({ scopes: [] }).errors[0]).toBe('name is required');
+  });
+});
+
+describe('createApiKey / listApiKeys / revokeApiKey', () => {
+  test('returns the plaintext once and stores only its hash', async () => {
+    const { key, apiKey, error } = await createApiKey(store, USER, { name: 'notebook', scopes: ['backtest'] });
+
+    expect(error).toBeNull();
+    expect(key).toMatch(/^sxp_[0-9a-f]{12}_[A-Za-z0-9_-]{32}$/);
+    expect(apiKey).not.toHaveProperty('key_hash');
+    expect(apiKey.key_prefix).toBe(key.slice(4, 16));
+
+    const stored = store.tables.api_keys[0];
+    expect(stored.key_hash).toBe(hashKey(key));
+    expect(JSON.stringify(stored)).not.toContain(key);
+
+    const { keys } = await listApiKeys(store, USER);
+    expect(keys).toHaveLength(1);
+    expect(keys[0]).not.toHaveProperty('key_hash');
+  });
+
+  test('caps active keys per user', async () => {
+    for (let i = 0; i < KEY_LIMITS.maxKeysPerUser; i++) {
+      await createApiKey(store, USER, { name: `k${i}`, scopes: ['read:market'] });
+    }
+    const { errors } = await createApiKey(store, USER, { name: 'one more', scopes: ['read:market'] });
+    expect(errors[0]).toMatch(/at most/);
+    expect((await createApiKey(store, OTHER, { name: 'other', scopes: ['read:market'] })).key).toBeTruthy();
+  });
+
+  test('only the owner can revoke', async () => {
+    const { apiKey } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:market'] });
+    expect((await revokeApiKey(store, OTHER, apiKey.id)).apiKey).toBeNull();
+    const { apiKey: revoked, error } = await revokeApiKey(store, USER, apiKey.id);
+    expect(error).toBeNull();
+    expect(revoked.revoked_at).toBeTruthy();
+  });
+});
+
+describe('verifyApiKey', () => {
+  test('accepts a live key and rejects tampered, malformed, revoked and expired ones', async () => {
+    const { key, apiKey } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:market'] });
+
+    expect((await verifyApiKey(store, key)).apiKey.id).toBe(apiKey.id);
+    expect((await verifyApiKey(store, 'nope')).reason).toBe('malformed');
+    const tampered = key.slice(0, -1) + (key.endsWith('A') ? 'B' : 'A');
+    expect((await verifyApiKey(store, tampered)).reason).toBe('unknown');
+
+    // Revocation drops the cached verification immediately
+    await revokeApiKey(store, USER, apiKey.id);
+    expect((await verifyApiKey(store, key)).reason).toBe('revoked');
+
+    const { key: old } = await createApiKey(store, USER, { name: 'old', scopes: ['read:market'] });
+    store.tables.api_keys[1].expires_at = new Date(Date.now() - 1000).toISOString();
+    expect((await verifyApiKey(store, old)).reason).toBe('expired');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Scopes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('routeScopes', () => {
+  test('maps endpoints to scopes and keeps the rest session-only', () => {
+    expect(routeScopes('GET', '/api/market')).toEqual(['read:market']);
+    expect(routeScopes('GET', '/api/signals')).toEqual(['read:signals']);
+    expect(routeScopes('GET', '/api/signals/accuracy')).toEqual(['read:signals']);
+    expect(routeScopes('POST', '/api/signals/replay')).toEqual(['backtest']);
+    expect(routeScopes('POST', '/api/backtest/run')).toEqual(['backtest']);
+    expect(routeScopes('POST', `/api/orders/${USER}`)).toEqual(['trade:paper', 'trade:live']);
+    expect(routeScopes('POST', `/api/paper/config/${USER}`)).toEqual(['trade:paper']);
+    expect(routeScopes('GET', '/api/auth/api-keys')).toBeNull();
+    expect(routeScopes('GET', '/api/admin/users')).toBeNull();
+    expect(routeScopes('PUT', '/api/config/x')).toBeNull();
+  });
+
+  test('every scope opens at least one endpoint', () => {
+    const probes = ['/api/market', '/api/signals', `/api/paper/config/${USER}`, `/api/orders/${USER}`, '/api/backtest/run'];
+    const covered = new Set(probes.flatMap(p => routeScopes(p.includes('backtest') ? 'POST' : 'GET', p)));
+    expect([...covered].sort()).toEqual([...API_KEY_SCOPES].sort());
+  });
+
+  test('live trading needs trade:live; sessions are unrestricted', () => {
+    expect(tradeScopeFor(undefined)).toBe('trade:paper');
+    expect(tradeScopeFor('binance')).toBe('trade:live');
+    expect(apiKeyAllows({ apiKey: { scopes: ['trade:paper'] } }, 'trade:live')).toBe(false);
+    expect(apiKeyAllows({}, 'trade:live')).toBe(true);
+  });
+
+  test('extractApiKey reads X-API-Key or a Bearer sxp_ token', () => {
+    expect(extractApiKey({ headers: { 'x-api-key': ' sxp_a ' } })).toBe('sxp_a');
+    expect(extractApiKey({ headers: { authorization: 'Bearer sxp_b' } })).toBe('sxp_b');
+    expect(extractApiKey({ headers: { authorization: 'Bearer eyJjwt' } })).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Middleware
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('createApiKeyAuth', () => {
+  function buildApp() {
+    const app = express();
+    app.use('/api/', createApiKeyAuth(store));
+    app.get('/api/signals', (req, res) => res.json({ apiKey: req.apiKey || null, userId: req.userId || null }));
+    app.get('/api/admin/users', (req, res) => res.json({ ok: true }));
+    app.use('/api/orders', requireAuth);
+    app.get('/api/orders/:userId', requireOwnership, (req, res) => res.json({ userId: req.userId }));
+    return app;
+  }
+
+  const audits = (action) => store.tables.audit_log.filter(r => r.action === action);
+
+  test('requests without a key pass through untouched', async () => {
+    const res = await request(buildApp()).get('/api/signals');
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ apiKey: null, userId: null });
+  });
+
+  test('authenticates a scoped key, tracks last use and audits the call', async () => {
+    const { key, apiKey } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:signals'] });
+    const res = await request(buildApp()).get('/api/signals').set('X-API-Key', key);
+
+    expect(res.status).toBe(200);
+    expect(res.body).toEqual({ userId: USER, apiKey: { id: apiKey.id, name: 'bot', scopes: ['read:signals'], rateLimitPerMinute: 60 } });
+    await flush();
+    expect(store.tables.api_keys[0].last_used_at).toBeTruthy();
+    expect(audits('api_key_used')).toEqual([
+      expect.objectContaining({ user_id: USER, resource: '/api/signals', details: expect.objectContaining({ apiKeyId: apiKey.id }) })
+    ]);
+  });
+
+  test('rejects keys without the route scope or on session-only routes', async () => {
+    const { key } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:market'] });
+    const app = buildApp();
+
+    const missing = await request(app).get('/api/signals').set('X-API-Key', key);
+    expect(missing.status).toBe(403);
+    expect(missing.body).toEqual({ error: 'API key missing required scope', requiredScopes: ['read:signals'] });
+
+    const admin = await request(app).get('/api/admin/users').set('Authorization', `Bearer ${key}`);
+    expect(admin.status).toBe(403);
+    expect(audits('api_key_denied')).toHaveLength(2);
+  });
+
+  test('rejects unknown and expired keys with 401', async () => {
+    const { key } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:signals'] });
+    store.tables.api_keys[0].expires_at = new Date(Date.now() - 1000).toISOString();
+    const app = buildApp();
+
+    expect((await request(app).get('/api/signals').set('X-API-Key', key)).body.error).toBe('API key expired');
+    expect((await request(app).get('/api/signals').set('X-API-Key', 'sxp_garbage')).status).toBe(401);
+  });
+
+  test('applies the per-key rate limit', async () => {
+    const { key } = await createApiKey(store, USER, { name: 'bot', scopes: ['read:signals'], rate_limit_per_minute: 2 });
+    const { key: other } = await createApiKey(store, USER, { name: 'other', scopes: ['read:signals'], rate_limit_per_minute: 2 });
+    const app = buildApp();
+
+    expect((await request(app).get('/api/signals').set('X-API-Key', key)).status).toBe(200);
+    expect((await request(app).get('/api/signals').set('X-API-Key', key)).status).toBe(200);
+    expect((await request(app).get('/api/signals').set('X-API-Key', key)).status).toBe(429);
+    expect((await request(app).get('/api/signals').set('X-API-Key', other)).status).toBe(200);
+  });
+
+  test('a key satisfies requireAuth but only for its owner', async () => {
+    const { key } = await createApiKey(store, USER, { name: 'trader', scopes: ['trade:paper'] });
+    const app = buildApp();
+
+    const own = await request(app).get(`/api/orders/${USER}`).set('X-API-Key', key);
+    expect(own.status).toBe(200);
+    expect(own.body.userId).toBe(USER);
+
+    const other = await request(app).get(`/api/orders/${OTHER}`).set('X-API-Key', key);
+    expect(other.status).toBe(403);
+  });
+});
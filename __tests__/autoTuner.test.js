@@ -2,7 +2,13 @@
 // Tests — autoTuner.js (enriched context + parameter conflict detection)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const { detectParameterConflicts, buildAIPrompt } = require('../autoTuner');
+const {
+  detectParameterConflicts, buildAIPrompt,
+  getActiveConfig, saveActiveConfig, formatSlice, resolveTuneSlice,
+  hydratePendingProposals, getShadowChallengers, approveProposal, promoteAutoProposals,
+  getEnhancedContext
+} = require('../autoTuner');
+const { DEFAULT_STRATEGY_CONFIG } = require('../strategyConfig');
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // detectParameterConflicts
@@ -150,3 +156,237 @@ describe('buildAIPrompt', () => {
     expect(prompt).not.toContain('PARAMETER CONFLICTS DETECTED:');
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Config slices (per-asset / per-regime)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Supabase stand-in: reads return `tables[table]` rows matching the eq()
+ * filters; every call chain is recorded.
+ */
+function createSupabaseMock(tables = {}, { insertError = null } = {}) {
+  const calls = [];
+  const from = (table) => {
+    const call = { table, op: 'select', filters: [], payload: null };
+    calls.push(call);
+    const chain = {
+      select: () => chain,
+      gte: () => chain,
+      update: (payload) => { call.op = 'update'; call.payload = payload; return chain; },
+      insert: (payload) => { call.op = 'insert'; call.payload = payload; return chain; },
+      eq: (col, val) => { call.filters.push([col, val]); return chain; },
+      is: (col, val) => { call.filters.push([col, val]); return chain; },
+      not: () => chain,
+      then: (resolve) => resolve(
+        call.op === 'insert' ? { error: insertError }
+          : call.op === 'update' ? { error: null }
+          : { data: (tables[table] || []).filter(r => call.filters.every(([c, v]) => (r[c] ?? null) === v)), error: null }
+      )
+    };
+    return chain;
+  };
+  return { from, calls };
+}
+
+describe('getActiveConfig', () => {
+  const rows = [
+    { id: 'g', name: 'global', asset: '*', regime: '*', config: { buyThreshold: 20 }, is_active: true },
+    { id: 't', name: 'trend', asset: '*', regime: 'trending', config: { buyThreshold: 24 }, is_active: true },
+    { id: 'e', name: 'eth-range', asset: 'ethereum', regime: 'ranging', config: { buyThreshold: 30 }, is_active: true },
+    { id: 'old', name: 'stale', asset: '*', regime: '*', config: { buyThreshold: 99 }, is_active: false }
+  ];
+
+  test('without a slice returns the global config', async () => {
+    const result = await getActiveConfig(createSupabaseMock({ saved_strategy_configs: rows }));
+    expect(result.source).toBe('saved');
+    expect(result.slice).toEqual({ asset: '*', regime: '*' });
+    expect(result.config.buyThreshold).toBe(20);
+  });
+
+  test('resolves the most specific active slice', async () => {
+    const supabase = createSupabaseMock({ saved_strategy_configs: rows });
+    expect((await getActiveConfig(supabase, { asset: 'ethereum', regime: 'ranging' })).config.buyThreshold).toBe(30);
+    expect((await getActiveConfig(supabase, { asset: 'bitcoin', regime: 'trending_up' })).slice)
+      .toEqual({ asset: '*', regime: 'trending' });
+    expect((await getActiveConfig(supabase, { asset: 'ethereum', regime: 'volatile' })).slice)
+      .toEqual({ asset: '*', regime: '*' });
+  });
+
+  test('falls back to defaults when nothing is saved', async () => {
+    const result = await getActiveConfig(createSupabaseMock(), { asset: 'bitcoin', regime: 'ranging' });
+    expect(result.source).toBe('default');
+    expect(result.config).toEqual(DEFAULT_STRATEGY_CONFIG);
+  });
+});
+
+describe('saveActiveConfig', () => {
+  test('deactivates and inserts only within the target slice', async () => {
+    const supabase = createSupabaseMock();
+    const ok = await saveActiveConfig(supabase, { buyThreshold: 22 }, 'n', 'd', null, { asset: 'Bitcoin', regime: 'trending_down' });
+
+    expect(ok).toBe(true);
+    const [deactivate, insert] = supabase.calls;
+    expect(deactivate.op).toBe('update');
+    expect(deactivate.filters).toEqual([['is_active', true], ['asset', 'bitcoin'], ['regime', 'trending']]);
+    expect(insert.payload).toMatchObject({ asset: 'bitcoin', regime: 'trending', is_active: true, config: { buyThreshold: 22 } });
+  });
+
+  test('defaults to the global slice', async () => {
+    const supabase = createSupabaseMock();
+    await saveActiveConfig(supabase, {}, 'n', 'd');
+    expect(supabase.calls[1].payload).toMatchObject({ asset: '*', regime: '*' });
+  });
+
+  test('returns false when the insert fails', async () => {
+    const supabase = createSupabaseMock({}, { insertError: { message: 'boom' } });
+    expect(await saveActiveConfig(supabase, {}, 'n', 'd')).toBe(false);
+  });
+});
+
+describe('resolveTuneSlice / formatSlice', () => {
+  test('scope picks which slice a run writes to', () => {
+    expect(resolveTuneSlice('regime', 'bitcoin', 'trending_up')).toEqual({ asset: '*', regime: 'trending' });
+    expect(resolveTuneSlice('asset', 'bitcoin', 'ranging')).toEqual({ asset: 'bitcoin', regime: 'ranging' });
+    expect(resolveTuneSlice('global', 'bitcoin', 'volatile')).toEqual({ asset: '*', regime: '*' });
+    expect(resolveTuneSlice('regime', 'bitcoin', 'unknown')).toEqual({ asset: '*', regime: '*' });
+  });
+
+  test('labels wildcards in Spanish', () => {
+    expect(formatSlice({ asset: 'bitcoin', regime: 'trending' })).toBe('bitcoin / trending');
+    expect(formatSlice({ asset: '*', regime: 'ranging' })).toBe('todos / ranging');
+    expect(formatSlice(null)).toBe('todos / todos');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// getEnhancedContext
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('getEnhancedContext', () => {
+  test('signal accuracy counts live signals only, not shadow champion/challenger rows', async () => {
+    const live = Array.from({ length: 6 }, (_, i) => ({
+      shadow_run_id: null, direction_correct_1h: i < 3, direction_correct_4h: null, direction_correct_24h: null
+    }));
+    const shadow = Array.from({ length: 6 }, () => ({
+      shadow_run_id: 'run-1', direction_correct_1h: true, direction_correct_4h: true, direction_correct_24h: null
+    }));
+    const supabase = createSupabaseMock({ signal_outcomes: live.concat(shadow) });
+
+    const context = await getEnhancedContext(supabase, 'bitcoin');
+
+    const query = supabase.calls.find(c => c.table === 'signal_outcomes');
+    expect(query.filters).toContainEqual(['shadow_run_id', null]);
+    expect(context.signalAccuracy).toEqual({ total: 6, hitRate1h: 50, hitRate4h: null, hitRate24h: null });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Shadow evaluation gate
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('pending proposals in shadow mode', () => {
+  const RUN_ID = '11111111-2222-4333-8444-555555555555';
+  const run = {
+    id: RUN_ID,
+    status: 'pending_approval',
+    started_at: new Date().toISOString(),
+    asset: 'bitcoin',
+    market_regime: 'trending_up',
+    config_asset: '*',
+    config_regime: 'trending',
+    params_before: { buyThreshold: 20, sellThreshold: -20 },
+    param_results: [
+      { paramName: 'buyThreshold', currentValue: 20, proposedValue: 24, accepted: true },
+      { paramName: 'sellThreshold', currentValue: -20, proposedValue: -26, accepted: false }
+    ],
+    ai_review: null
+  };
+
+  /** n outcome rows for a variant, `hits` of them correct, each returning ±ret %. */
+  function outcomes(variant, n, hits, ret) {
+    return Array.from({ length: n }, (_, i) => ({
+      shadow_run_id: RUN_ID,
+      variant,
+      asset: 'bitcoin',
+      signal_generated_at: new Date(Date.parse('2026-01-01T00:00:00Z') + i * 86400000).toISOString(),
+      action: 'BUY',
+      direction_correct_4h: i < hits,
+      change_pct_4h: String(i < hits ? ret + (i % 3) * 0.1 : -ret - (i % 3) * 0.1)
+    }));
+  }
+
+  test('restores pending runs and exposes their challenger configs', async () => {
+    const restored = await hydratePendingProposals(createSupabaseMock({ auto_tune_runs: [run] }));
+    expect(restored).toBe(1);
+
+    const [challenger] = getShadowChallengers().filter(c => c.runId === RUN_ID);
+    expect(challenger.slice).toEqual({ asset: '*', regime: 'trending' });
+    expect(challenger.config).toEqual({ buyThreshold: 24, sellThreshold: -20 });
+  });
+
+  test('apply is blocked until the challenger wins significantly', async () => {
+    const supabase = createSupabaseMock({ signal_outcomes: outcomes('champion', 10, 5, 1).concat(outcomes('challenger', 5, 4, 1)) });
+    const result = await approveProposal(supabase, RUN_ID, 'apply', 'api');
+
+    expect(result).toMatchObject({ success: false, blocked: true });
+    expect(result.shadow.verdict.code).toBe('insufficient_samples');
+    expect(supabase.calls.some(c => c.table === 'saved_strategy_configs')).toBe(false);
+    expect(getShadowChallengers().some(c => c.runId === RUN_ID)).toBe(true);
+  });
+
+  test('apply promotes to the proposal slice once the challenger wins', async () => {
+    const supabase = createSupabaseMock({
+      signal_outcomes: outcomes('champion', 40, 14, 1).concat(outcomes('challenger', 40, 30, 1))
+    });
+    const result = await approveProposal(supabase, RUN_ID, 'apply', 'api');
+
+    expect(result.success).toBe(true);
+    expect(result.shadow.verdict.promotable).toBe(true);
+    const insert = supabase.calls.find(c => c.table === 'saved_strategy_configs' && c.op === 'insert');
+    expect(insert.payload).toMatchObject({ asset: '*', regime: 'trending', config: { buyThreshold: 24 } });
+    const runUpdate = supabase.calls.find(c => c.table === 'auto_tune_runs' && c.op === 'update');
+    expect(runUpdate.payload.shadow_result.verdict.code).toBe('significant');
+    expect(getShadowChallengers().some(c => c.runId === RUN_ID)).toBe(false);
+  });
+
+  test('auto mode promotes only once the shadow comparison is significant', async () => {
+    const prev = process.env.AUTOTUNE_APPROVAL_MODE;
+    process.env.AUTOTUNE_APPROVAL_MODE = 'auto';
+    let tuner;
+    jest.isolateModules(() => { tuner = require('../autoTuner'); });
+    if (prev === undefined) delete process.env.AUTOTUNE_APPROVAL_MODE; else process.env.AUTOTUNE_APPROVAL_MODE = prev;
+
+    await tuner.hydratePendingProposals(createSupabaseMock({ auto_tune_runs: [run] }));
+    expect(tuner.getPendingProposals()[0].autoPromote).toBe(true);
+
+    const losing = createSupabaseMock({ signal_outcomes: outcomes('champion', 10, 5, 1).concat(outcomes('challenger', 5, 4, 1)) });
+    expect(await tuner.promoteAutoProposals(losing)).toEqual([]);
+    expect(losing.calls.some(c => c.table === 'saved_strategy_configs')).toBe(false);
+
+    const winning = createSupabaseMock({
+      signal_outcomes: outcomes('champion', 40, 14, 1).concat(outcomes('challenger', 40, 30, 1))
+    });
+    const [promoted] = await tuner.promoteAutoProposals(winning);
+    expect(promoted).toMatchObject({ runId: RUN_ID, decision: 'apply', paramsApplied: { buyThreshold: 24 } });
+    const runUpdate = winning.calls.find(c => c.table === 'auto_tune_runs' && c.op === 'update');
+    expect(runUpdate.payload.approved_by).toBe('auto');
+    expect(tuner.getShadowChallengers()).toEqual([]);
+  });
+
+  test('telegram-mode proposals are never auto-promoted', async () => {
+    await hydratePendingProposals(createSupabaseMock({ auto_tune_runs: [run] }));
+    const supabase = createSupabaseMock({
+      signal_outcomes: outcomes('champion', 40, 14, 1).concat(outcomes('challenger', 40, 30, 1))
+    });
+    expect(await promoteAutoProposals(supabase)).toEqual([]);
+    expect(supabase.calls).toEqual([]);
+    expect(getShadowChallengers().some(c => c.runId === RUN_ID)).toBe(true);
+  });
+
+  test('reject does not need shadow results', async () => {
+    await hydratePendingProposals(createSupabaseMock({ auto_tune_runs: [run] }));
+    const result = await approveProposal(createSupabaseMock(), RUN_ID, 'reject', 'api');
+    expect(result.success).toBe(true);
+  });
+});
@@ -3,7 +3,10 @@
 // Tests for simulateTradeExecution and calculateBacktestMetrics (pure functions)
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const { simulateTradeExecution, calculateBacktestMetrics, calculateBuyAndHoldMetrics, SLIPPAGE, COMMISSION, TOTAL_COST, INTERVAL_MS } = require('../backtester');
+const {
+  simulateTradeExecution, calculateFundingCost, resolveMarketRules,
+  calculateBacktestMetrics, calculateBuyAndHoldMetrics, SLIPPAGE, COMMISSION, TOTAL_COST, INTERVAL_MS
+} = require('../backtester');
 
 // ─── HELPERS ────────────────────────────────────────────────────────────────
 
@@ -538,3 +541,87 @@ describe('calculateBuyAndHoldMetrics', () => {
     expect(result.equityCurve[1].equity).toBe(5500); // 10% gain on 5000
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Market type / funding Tests
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('resolveMarketRules', () => {
+  test('spot is long-only without funding', () => {
+    const rules = resolveMarketRules('spot');
+    expect(rules.allowed).toEqual(['LONG']);
+    expect(rules.chargesFunding).toBe(false);
+  });
+
+  test('perp allows both directions and charges funding', () => {
+    const rules = resolveMarketRules('perp');
+    expect(rules.allowed).toEqual(['LONG', 'SHORT']);
+    expect(rules.chargesFunding).toBe(true);
+    expect(resolveMarketRules('perp', 'short').allowed).toEqual(['SHORT']);
+  });
+
+  test('rejects spot shorts and unknown values', () => {
+    expect(() => resolveMarketRules('spot', 'short')).toThrow(/cannot trade/);
+    expect(() => resolveMarketRules('margin')).toThrow(/Invalid marketType/);
+    expect(() => resolveMarketRules('perp', 'sideways')).toThrow(/Invalid directions/);
+  });
+});
+
+describe('calculateFundingCost', () => {
+  const H = 3600000;
+  const candles = flatCandles(48, 100000, 0);
+  const funding = [0, 8, 16, 24, 32, 40].map(h => ({ timestamp: h * H, fundingRate: 0.0001 }));
+
+  test('longs pay positive funding on every settlement after entry', () => {
+    const { fundingCost, fundingEvents } = calculateFundingCost(
+      { direction: 'LONG', quantity: 0.1, entryTimestamp: 0, entryPrice: 100000 },
+      { exitTimestamp: 24 * H, partialCloseIndex: null },
+      candles, funding
+    );
+    // Settlements at 8h, 16h, 24h: 3 × 0.0001 × 0.1 × 100000
+    expect(fundingEvents).toBe(3);
+    expect(fundingCost).toBeCloseTo(3, 2);
+  });
+
+  test('shorts receive positive funding (negative cost)', () => {
+    const { fundingCost } = calculateFundingCost(
+      { direction: 'SHORT', quantity: 0.1, entryTimestamp: 0, entryPrice: 100000 },
+      { exitTimestamp: 24 * H, partialCloseIndex: null },
+      candles, funding
+    );
+    expect(fundingCost).toBeCloseTo(-3, 2);
+  });
+
+  test('only the remaining half accrues after a partial close', () => {
+    const { fundingCost } = calculateFundingCost(
+      { direction: 'LONG', quantity: 0.1, entryTimestamp: 0, entryPrice: 100000 },
+      { exitTimestamp: 24 * H, partialCloseIndex: 12 },
+      candles, funding
+    );
+    // 8h full (1.0) + 16h half (0.5) + 24h half (0.5)
+    expect(fundingCost).toBeCloseTo(2, 2);
+  });
+
+  test('simulateTradeExecution deducts funding only when a series is supplied', () => {
+    const trade = makeTrade({ entryTimestamp: 0, stopLoss: 50000, takeProfit1: 200000, takeProfit2: 300000, trailingActivation: 250000 });
+    const noFunding = simulateTradeExecution(trade, candles, 0);
+    const withFunding = simulateTradeExecution(trade, candles, 0, { fundingData: funding });
+
+    expect(noFunding.fundingCost).toBeUndefined();
+    expect(withFunding.fundingEvents).toBe(5);
+    expect(withFunding.fundingCost).toBeCloseTo(5 * 0.0001 * 0.05 * 100000, 2);
+    expect(withFunding.pnl).toBeCloseTo(noFunding.pnl - withFunding.fundingCost, 2);
+  });
+
+  test('metrics report funding as a separate cost line', () => {
+    const trades = [
+      { pnl: 50, holdingBars: 5, fundingCost: 4, fundingEvents: 2 },
+      { pnl: -20, holdingBars: 5, fundingCost: -1.5, fundingEvents: 1 },
+      { pnl: 10, holdingBars: 5 }
+    ];
+    const equity = [{ timestamp: 0, equity: 10000 }, { timestamp: 1, equity: 10040 }];
+    const { funding } = calculateBacktestMetrics(trades, equity, 10000, 30);
+    expect(funding).toEqual({ netCost: 2.5, paid: 4, received: 1.5, tradesCharged: 2, settlements: 3 });
+    expect(calculateBacktestMetrics([], [], 10000, 30).funding.netCost).toBe(0);
+  });
+});
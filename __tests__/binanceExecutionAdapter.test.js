@@ -0,0 +1,360 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — BinanceExecutionAdapter (against a local mock of the Spot REST API)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const http = require('http');
+const crypto = require('crypto');
+const { createAdapter } = require('../execution');
+const {
+  BinanceExecutionAdapter,
+  applySymbolFilters,
+  parseSymbolFilters,
+  roundToStep
+} = require('../execution/BinanceExecutionAdapter');
+
+jest.mock('../logger', () => ({
+  logger: {
+    info: jest.fn(),
+    warn: jest.fn(),
+    error: jest.fn(),
+    debug: jest.fn()
+  }
+}));
+
+const API_KEY = 'test-api-key';
+const API_SECRET = 'test-api-secret';
+
+const BTC_INFO = {
+  symbol: 'BTCUSDT',
+  filters: [
+    { filterType: 'PRICE_FILTER', minPrice: '0.01000000', maxPrice: '1000000.00000000', tickSize: '0.01000000' },
+    { filterType: 'LOT_SIZE', minQty: '0.00001000', maxQty: '9000.00000000', stepSize: '0.00001000' },
+    { filterType: 'NOTIONAL', minNotional: '5.00000000', maxNotional: '9000000.00000000' }
+  ]
+};
+
+// ─── Mock Binance server ────────────────────────────────────────────────────
+
+/**
+ * Minimal Spot API: verifies the key header and HMAC signature on signed
+ * routes, records every request and answers from per-route handlers.
+ */
+function createMockBinance() {
+  const requests = [];
+  const handlers = {
+    'GET /api/v3/time': () => [200, { serverTime: 1700000000000 }],
+    'GET /api/v3/exchangeInfo': () => [200, { symbols: [BTC_INFO] }],
+    'POST /api/v3/order': (q) => [200, {
+      symbol: q.symbol, orderId: 1001, status: q.type === 'MARKET' ? 'FILLED' : 'NEW',
+      executedQty: q.type === 'MARKET' ? q.quantity : '0',
+      cummulativeQuoteQty: q.type === 'MARKET' ? String(parseFloat(q.quantity) * 50010) : '0'
+    }],
+    'DELETE /api/v3/order': (q) => [200, { symbol: q.symbol, orderId: Number(q.orderId), status: 'CANCELED' }],
+    'GET /api/v3/order': (q) => [200, { orderId: Number(q.orderId), status: 'NEW', executedQty: '0', cummulativeQuoteQty: '0' }],
+    'GET /api/v3/openOrders': () => [200, [
+      { symbol: 'BTCUSDT', orderId: 1001, clientOrderId: 'signal-bitcoin-abc-1234', side: 'BUY', origQty: '0.01000000', executedQty: '0.00400000', status: 'PARTIALLY_FILLED' },
+      { symbol: 'PEPEUSDT', orderId: 2002, clientOrderId: 'web_abc', side: 'SELL', origQty: '100.00000000', executedQty: '0.00000000', status: 'NEW' }
+    ]],
+    'GET /api/v3/account': () => [200, {
+      balances: [
+        { asset: 'BTC', free: '0.25000000', locked: '0.05000000' },
+        { asset: 'USDT', free: '1200.50000000', locked: '300.00000000' }
+      ]
+    }]
+  };
+  const UNSIGNED = ['/api/v3/time', '/api/v3/exchangeInfo'];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    const route = `${req.method} ${url.pathname}`;
+    const query = Object.fromEntries(url.searchParams);
+    requests.push({ route, query, headers: req.headers });
+
+    const reply = (status, body) => {
+      res.writeHead(status, { 'Content-Type': 'application/json' });
+      res.end(JSON.stringify(body));
+    };
+
+    if (!UNSIGNED.includes(url.pathname)) {
+      const raw = url.search.slice(1);
+      const payload = raw.replace(/&signature=[0-9a-f]+$/, '');
+      const expected = crypto.createHmac('sha256', API_SECRET).update(payload).digest('hex');
+      if (req.headers['x-mbx-apikey'] !== API_KEY || query.signature !== expected) {
+        return reply(401, { code: -1022, msg: 'Signature for this request is not valid.' });
+      }
+    }
+
+    const handler = handlers[route];
+    if (!handler) return reply(404, { code: -1, msg: `No mock for ${route}` });
+    return reply(...handler(query));
+  });
+
+  return {
+    server,
+    requests,
+    handlers,
+    calls: (route) => requests.filter(r => r.route === route),
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(`http://127.0.0.1:${server.address().port}`))),
+    close: () => new Promise(resolve => server.close(resolve))
+  };
+}
+
+const baseOrder = {
+  id: 'order-1',
+  user_id: 'user1',
+  asset: 'bitcoin',
+  side: 'BUY',
+  order_type: 'MARKET',
+  client_order_id: 'signal-bitcoin-abc-1234',
+  quantity: '0.0123456',
+  position_size_usd: '617',
+  time_in_force: 'GTC'
+};
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Symbol filters
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('Binance symbol filters', () => {
+  const filters = parseSymbolFilters(BTC_INFO);
+
+  test('parses LOT_SIZE, PRICE_FILTER and NOTIONAL', () => {
+    expect(filters).toEqual({
+      stepSize: '0.00001000', minQty: 0.00001, maxQty: 9000,
+      tickSize: '0.01000000', minPrice: 0.01, maxPrice: 1000000,
+      minNotional: 5
+    });
+  });
+
+  test('roundToStep snaps onto the grid with the step decimals', () => {
+    expect(roundToStep(0.0123456, '0.00001000')).toBe('0.01234');
+    expect(roundToStep(50000.126, '0.01000000', 'ceil')).toBe('50000.13');
+    expect(roundToStep(50000.125, '0.01000000', 'round')).toBe('50000.13');
+    expect(roundToStep(12.7, '1.00000000')).toBe('12');
+  });
+
+  test('limit prices round toward the passive side', () => {
+    expect(applySymbolFilters({ side: 'BUY', quantity: 0.1, price: 50000.129 }, filters).price).toBe('50000.12');
+    expect(applySymbolFilters({ side: 'SELL', quantity: 0.1, price: 50000.121 }, filters).price).toBe('50000.13');
+  });
+
+  test.each([
+    [{ side: 'BUY', quantity: 0.000001, price: 50000 }, /LOT_SIZE minQty/],
+    [{ side: 'BUY', quantity: 10000, price: 50000 }, /LOT_SIZE maxQty/],
+    [{ side: 'BUY', quantity: 0.1, price: 0.001 }, /PRICE_FILTER/],
+    [{ side: 'BUY', quantity: 0.00005, price: 50000 }, /MIN_NOTIONAL/],
+    [{ side: 'BUY', quantity: 0.00005, referencePrice: 50000 }, /MIN_NOTIONAL/]
+  ])('rejects orders outside the filters %#', (spec, message) => {
+    expect(applySymbolFilters(spec, filters).error).toMatch(message);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Adapter against the mock server
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('BinanceExecutionAdapter', () => {
+  let mock;
+  let baseUrl;
+  let adapter;
+
+  beforeAll(async () => {
+    mock = createMockBinance();
+    baseUrl = await mock.listen();
+  });
+
+  afterAll(async () => {
+    await mock.close();
+  });
+
+  beforeEach(() => {
+    mock.requests.length = 0;
+    adapter = new BinanceExecutionAdapter(API_KEY, API_SECRET, true, null, { baseUrl });
+  });
+
+  // ─── Construction ──────────────────────────────────────────────────────
+
+  test('defaults to the Spot testnet and can target mainnet', () => {
+    expect(new BinanceExecutionAdapter('k', 's').baseUrl).toBe('https://testnet.binance.vision');
+    expect(new BinanceExecutionAdapter('k', 's', false).baseUrl).toBe('https://api.binance.com');
+  });
+
+  test('registry creates the adapter and requires credentials', () => {
+    const created = createAdapter('binance', { apiKey: 'k', apiSecret: 's' });
+    expect(created).toBeInstanceOf(BinanceExecutionAdapter);
+    expect(created.name).toBe('binance');
+    expect(created.testnet).toBe(true);
+    expect(() => createAdapter('binance', {})).toThrow('requires apiKey and apiSecret');
+  });
+
+  // ─── placeOrder ────────────────────────────────────────────────────────
+
+  describe('placeOrder', () => {
+    test('MARKET order is signed, rounded to LOT_SIZE and filled from the FULL response', async () => {
+      const result = await adapter.placeOrder(baseOrder);
+
+      const [sent] = mock.calls('POST /api/v3/order');
+      expect(sent.headers['x-mbx-apikey']).toBe(API_KEY);
+      expect(sent.query).toMatchObject({
+        symbol: 'BTCUSDT', side: 'BUY', type: 'MARKET', quantity: '0.01234',
+        newClientOrderId: 'signal-bitcoin-abc-1234', newOrderRespType: 'FULL', recvWindow: '5000'
+      });
+      expect(result).toMatchObject({ filled: true, fillQuantity: 0.01234, exchange_order_id: '1001' });
+      expect(result.fillPrice).toBeCloseTo(50010);
+    });
+
+    test('LIMIT order rests with a tick-rounded price', async () => {
+      const result = await adapter.placeOrder({ ...baseOrder, order_type: 'LIMIT', price: '49999.999' });
+
+      expect(mock.calls('POST /api/v3/order')[0].query).toMatchObject({
+        type: 'LIMIT', price: '49999.99', timeInForce: 'GTC'
+      });
+      expect(result).toEqual({ filled: false, reason: 'Limit order placed, waiting for fill', exchange_order_id: '1001' });
+    });
+
+    test('STOP_LIMIT maps to STOP_LOSS_LIMIT and TRAILING_STOP to a native trailingDelta', async () => {
+      await adapter.placeOrder({ ...baseOrder, side: 'SELL', order_type: 'STOP_LIMIT', price: '47000', stop_price: '47100.004' });
+      const trailing = await adapter.placeOrder({
+        ...baseOrder, side: 'SELL', order_type: 'TRAILING_STOP', trailing_stop_pct: '1.5', stop_price: '49000'
+      });
+
+      const [stopLimit, trail] = mock.calls('POST /api/v3/order').map(r => r.query);
+      expect(stopLimit).toMatchObject({ type: 'STOP_LOSS_LIMIT', price: '47000.00', stopPrice: '47100.00' });
+      expect(trail).toMatchObject({ type: 'STOP_LOSS', trailingDelta: '150' });
+      expect(trail.stopPrice).toBeUndefined();
+      expect(trailing.reason).toContain('Conditional order placed');
+    });
+
+    test('orders outside the filters never reach the exchange', async () => {
+      const result = await adapter.placeOrder({ ...baseOrder, quantity: '0.00005', position_size_usd: '2.5' });
+
+      expect(result.filled).toBe(false);
+      expect(result.reason).toMatch(/MIN_NOTIONAL/);
+      expect(mock.calls('POST /api/v3/order')).toHaveLength(0);
+    });
+
+    test('filters are fetched once per symbol', async () => {
+      await adapter.placeOrder(baseOrder);
+      await adapter.placeOrder({ ...baseOrder, order_type: 'LIMIT', price: '49000' });
+      expect(mock.calls('GET /api/v3/exchangeInfo')).toHaveLength(1);
+    });
+
+    test('exchange rejections come back as unfilled with the Binance message', async () => {
+      const original = mock.handlers['POST /api/v3/order'];
+      mock.handlers['POST /api/v3/order'] = () => [400, { code: -2010, msg: 'Account has insufficient balance for requested action.' }];
+      try {
+        const result = await adapter.placeOrder(baseOrder);
+        expect(result).toEqual({ filled: false, reason: 'Binance order rejected: Account has insufficient balance for requested action.' });
+      } finally {
+        mock.handlers['POST /api/v3/order'] = original;
+      }
+    });
+
+    test('a wrong secret fails the signature check', async () => {
+      const bad = new BinanceExecutionAdapter(API_KEY, 'wrong-secret', true, null, { baseUrl });
+      const result = await bad.placeOrder(baseOrder);
+      expect(result.reason).toContain('Signature for this request is not valid');
+    });
+
+    test('long client ids are left to the exchange', async () => {
+      await adapter.placeOrder({ ...baseOrder, client_order_id: 'bracket-bitcoin-lq3k2j9x-ab12-sl1-extra-long' });
+      expect(mock.calls('POST /api/v3/order')[0].query.newClientOrderId).toBeUndefined();
+    });
+
+    test('unmapped assets and OCO parents are not placed', async () => {
+      expect((await adapter.placeOrder({ ...baseOrder, asset: 'gold' })).reason).toContain('No Binance symbol');
+      expect((await adapter.placeOrder({ ...baseOrder, order_type: 'OCO' })).reason).toContain('leg by leg');
+      expect(mock.requests).toHaveLength(0);
+    });
+  });
+
+  // ─── Working orders ────────────────────────────────────────────────────
+
+  describe('working orders', () => {
+    const resting = { ...baseOrder, order_type: 'LIMIT', exchange_order_id: '1001' };
+
+    test('cancelOrder and cancelWorkingOrder send DELETE with the symbol', async () => {
+      expect(await adapter.cancelWorkingOrder(resting)).toEqual({ cancelled: true });
+      expect(mock.calls('DELETE /api/v3/order')[0].query).toMatchObject({ symbol: 'BTCUSDT', orderId: '1001' });
+
+      expect(await adapter.cancelOrder('1001')).toMatchObject({ cancelled: false, reason: expect.stringContaining('symbol') });
+    });
+
+    test('checkWorkingOrder maps exchange status to fill / cancel', async () => {
+      const original = mock.handlers['GET /api/v3/order'];
+      try {
+        mock.handlers['GET /api/v3/order'] = () => [200, { orderId: 1001, status: 'FILLED', executedQty: '0.5', cummulativeQuoteQty: '24500' }];
+        expect(await adapter.checkWorkingOrder(resting)).toMatchObject({ filled: true, fillPrice: 49000, fillQuantity: 0.5 });
+
+        mock.handlers['GET /api/v3/order'] = () => [200, { orderId: 1001, status: 'EXPIRED' }];
+        expect(await adapter.checkWorkingOrder(resting)).toMatchObject({ filled: false, cancel: true });
+
+        mock.handlers['GET /api/v3/order'] = original;
+        expect(await adapter.checkWorkingOrder(resting)).toEqual({ filled: false, reason: 'Exchange status: NEW' });
+      } finally {
+        mock.handlers['GET /api/v3/order'] = original;
+      }
+    });
+
+    test('trailing stops trail on the exchange; fixed triggers cannot be amended', async () => {
+      expect(await adapter.amendOrder({ ...resting, order_type: 'TRAILING_STOP' }, { stopPrice: 1 })).toEqual({ amended: true });
+      expect((await adapter.amendOrder({ ...resting, order_type: 'STOP_MARKET' }, { stopPrice: 1 })).amended).toBe(false);
+      expect(mock.requests).toHaveLength(0);
+    });
+  });
+
+  // ─── Account ───────────────────────────────────────────────────────────
+
+  describe('account', () => {
+    test('getPosition returns the coin balance', async () => {
+      const { position } = await adapter.getPosition('user1', 'bitcoin');
+      expect(position).toEqual({ asset: 'bitcoin', coin: 'BTC', quantity: 0.3, available: 0.25 });
+    });
+
+    test('getPosition is null for coins not held', async () => {
+      expect(await adapter.getPosition('user1', 'ethereum')).toEqual({ position: null });
+    });
+
+    test('getBalance returns USDT free and total', async () => {
+      expect(await adapter.getBalance('user1')).toEqual({ available: 1200.5, total: 1500.5 });
+    });
+
+    test('account read failures surface as errors, not empty holdings', async () => {
+      const original = mock.handlers['GET /api/v3/account'];
+      mock.handlers['GET /api/v3/account'] = () => [400, { code: -2015, msg: 'Invalid API-key, IP, or permissions for action.' }];
+      try {
+        expect(await adapter.getPosition('user1', 'bitcoin')).toEqual({
+          position: null, error: 'Invalid API-key, IP, or permissions for action.'
+        });
+        expect((await adapter.getBalance('user1')).error).toContain('Invalid API-key');
+      } finally {
+        mock.handlers['GET /api/v3/account'] = original;
+      }
+    });
+
+    test('getOpenOrders lists every symbol, mapped back to asset ids', async () => {
+      const { orders, error } = await adapter.getOpenOrders();
+
+      expect(error).toBeUndefined();
+      expect(orders).toEqual([
+        {
+          exchangeOrderId: '1001', clientOrderId: 'signal-bitcoin-abc-1234', asset: 'bitcoin', symbol: 'BTCUSDT',
+          side: 'BUY', quantity: 0.01, filledQuantity: 0.004, status: 'PARTIALLY_FILLED'
+        },
+        expect.objectContaining({ exchangeOrderId: '2002', asset: 'PEPEUSDT', side: 'SELL' })
+      ]);
+    });
+
+    test('healthCheck reports server time and testnet', async () => {
+      const health = await adapter.healthCheck();
+      expect(health).toMatchObject({ healthy: true, adapter: 'binance', details: { testnet: true, serverTime: 1700000000000 } });
+    });
+
+    test('healthCheck is unhealthy when the exchange is unreachable', async () => {
+      const offline = new BinanceExecutionAdapter(API_KEY, API_SECRET, true, null, { baseUrl: 'http://127.0.0.1:1' });
+      const health = await offline.healthCheck();
+      expect(health.healthy).toBe(false);
+      expect(health.details.error).toBeDefined();
+    });
+  });
+});
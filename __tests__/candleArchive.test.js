@@ -0,0 +1,244 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// CANDLE ARCHIVE TESTS
+// Gap-fill, settled-only storage, dataset hashing, CSV round trip and
+// offline/reproducible backtests. Archive lives in a per-run temp directory.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(() => Promise.reject(new Error('offline'))),
+    create: jest.fn(() => ({
+      get: jest.fn(() => Promise.reject(new Error('offline'))),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    }))
+  };
+  return mockAxios;
+});
+
+jest.mock('../technicalAnalysis', () => ({
+  generateMultiTimeframeSignal: jest.fn(async (asset, price) => ({
+    asset, action: 'HOLD', strengthLabel: 'NEUTRAL', confidence: 0, score: 50, rawScore: 0,
+    timeframes: {}, tradeLevels: null
+  }))
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  mergeRanges, missingRanges, mergePoints, readSeries, writeSeries, listSeries,
+  loadSeries, computeDatasetHash, pointsToCsv, csvToPoints, exportArchive, importArchive,
+  candleSeriesId, contextSeriesId
+} = require('../candleArchive');
+const { runBacktest, _resetMacroCache } = require('../backtester');
+
+const HOUR = 3600000;
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'candle-archive-'));
+  process.env.CANDLE_ARCHIVE_DIR = tmpDir;
+  delete process.env.CANDLE_ARCHIVE;
+  _resetMacroCache();
+});
+
+afterEach(() => {
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.CANDLE_ARCHIVE_DIR;
+});
+
+function hourly(from, to, base = 100) {
+  const out = [];
+  for (let ts = Math.ceil(from / HOUR) * HOUR; ts <= to; ts += HOUR) {
+    const close = base + Math.sin(ts / HOUR / 5);
+    out.push({ timestamp: ts, open: close, high: close * 1.001, low: close * 0.999, close, volume: 10 });
+  }
+  return out;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Range helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('range helpers', () => {
+  test('mergeRanges joins overlapping and adjacent ranges', () => {
+    expect(mergeRanges([[10, 20], [0, 5], [6, 8], [19, 30]])).toEqual([[0, 8], [10, 30]]);
+  });
+
+  test('missingRanges returns the uncovered parts of a window', () => {
+    expect(missingRanges([], 0, 100)).toEqual([[0, 100]]);
+    expect(missingRanges([[0, 100]], 10, 50)).toEqual([]);
+    expect(missingRanges([[20, 40], [60, 70]], 0, 100)).toEqual([[0, 19], [41, 59], [71, 100]]);
+  });
+
+  test('mergePoints keeps archived values over incoming ones', () => {
+    const merged = mergePoints([{ timestamp: 1, v: 'old' }], [{ timestamp: 1, v: 'new' }, { timestamp: 0, v: 'x' }]);
+    expect(merged).toEqual([{ timestamp: 0, v: 'x' }, { timestamp: 1, v: 'old' }]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// loadSeries — incremental gap-fill
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('loadSeries', () => {
+  const id = candleSeriesId('bitcoin', '1h');
+  const now = 1000 * HOUR;
+
+  test('first load fetches the full window and persists it', async () => {
+    const fetchRange = jest.fn(async (from, to) => hourly(from, to));
+    const { points, fetchedRanges } = await loadSeries(id, { from: now - 48 * HOUR, to: now, now, settleMs: HOUR, fetchRange });
+
+    expect(fetchRange).toHaveBeenCalledTimes(1);
+    expect(fetchedRanges).toBe(1);
+    expect(points.length).toBe(48);
+    expect(readSeries(id).points.length).toBe(48);
+  });
+
+  test('only the uncovered tail is fetched on the next run', async () => {
+    const fetchRange = jest.fn(async (from, to) => hourly(from, to));
+    await loadSeries(id, { from: now - 48 * HOUR, to: now, now, settleMs: HOUR, fetchRange });
+    fetchRange.mockClear();
+
+    const later = now + 5 * HOUR;
+    const { points } = await loadSeries(id, { from: later - 48 * HOUR, to: later, now: later, settleMs: HOUR, fetchRange });
+
+    expect(fetchRange).toHaveBeenCalledTimes(1);
+    const [gapFrom, gapTo] = fetchRange.mock.calls[0];
+    expect(gapFrom).toBe(now - HOUR + 1);
+    expect(gapTo).toBe(later - HOUR);
+    expect(points.length).toBe(48);
+  });
+
+  test('unsettled points (in-progress candle) are neither returned nor stored', async () => {
+    const fetchRange = jest.fn(async (from) => hourly(from, now)); // provider also returns the open candle
+    const { points } = await loadSeries(id, { from: now - 10 * HOUR, to: now, now, settleMs: HOUR, fetchRange });
+    expect(points[points.length - 1].timestamp).toBe(now - HOUR);
+    expect(readSeries(id).points.every(p => p.timestamp <= now - HOUR)).toBe(true);
+  });
+
+  test('empty or failed fetches leave the gap open for a retry', async () => {
+    const failing = jest.fn(async () => { throw new Error('429'); });
+    const first = await loadSeries(id, { from: now - 10 * HOUR, to: now, now, settleMs: HOUR, fetchRange: failing });
+    expect(first.points).toEqual([]);
+    expect(first.missing.length).toBe(1);
+    expect(fs.existsSync(path.join(tmpDir, 'candles'))).toBe(false);
+
+    const ok = jest.fn(async (from, to) => hourly(from, to));
+    const second = await loadSeries(id, { from: now - 10 * HOUR, to: now, now, settleMs: HOUR, fetchRange: ok });
+    expect(ok).toHaveBeenCalledTimes(1);
+    expect(second.points.length).toBe(10);
+  });
+
+  test('offline mode never calls the fetcher', async () => {
+    writeSeries(id, { coverage: [[now - 5 * HOUR, now]], points: hourly(now - 5 * HOUR, now - HOUR) });
+    const fetchRange = jest.fn();
+    const { points, missing } = await loadSeries(id, { from: now - 10 * HOUR, to: now, now, settleMs: HOUR, fetchRange, offline: true });
+    expect(fetchRange).not.toHaveBeenCalled();
+    expect(points.length).toBe(5);
+    expect(missing).toEqual([[now - 10 * HOUR, now - 5 * HOUR - 1]]);
+  });
+
+  test('rejects series ids that could escape the archive directory', () => {
+    expect(() => readSeries('../etc/passwd')).toThrow('Invalid series id');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Dataset hash
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('computeDatasetHash', () => {
+  test('is stable under key order and sensitive to values', () => {
+    const a = computeDatasetHash({ candles: { '1h': [{ timestamp: 1, close: 2 }] } });
+    const b = computeDatasetHash({ candles: { '1h': [{ close: 2, timestamp: 1 }] } });
+    const c = computeDatasetHash({ candles: { '1h': [{ timestamp: 1, close: 2.0001 }] } });
+    expect(a).toMatch(/^sha256:[0-9a-f]{64}$/);
+    expect(a).toBe(b);
+    expect(a).not.toBe(c);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CSV import / export
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('CSV round trip', () => {
+  test('pointsToCsv / csvToPoints preserve numbers and strings', () => {
+    const points = [
+      { timestamp: 1, dxy: 104.2, dxyTrend: 'rising', dxyChange: 0.1 },
+      { timestamp: 2, dxy: 104.1, dxyTrend: 'falling, fast', dxyChange: -0.1 }
+    ];
+    expect(csvToPoints(pointsToCsv(points))).toEqual(points);
+  });
+
+  test('export + import into a fresh archive restores series and coverage', () => {
+    const id = candleSeriesId('ethereum', '4h');
+    const fg = contextSeriesId('fear_greed');
+    writeSeries(id, { coverage: [[0, 100 * HOUR]], points: hourly(0, 10 * HOUR) });
+    writeSeries(fg, { coverage: [[0, 50]], points: [{ timestamp: 10, value: 25 }] });
+
+    const outDir = path.join(tmpDir, 'export');
+    const exported = exportArchive(outDir);
+    expect(exported.map(e => e.file).sort()).toEqual(['candles__ethereum__4h.csv', 'context__fear_greed.csv']);
+
+    process.env.CANDLE_ARCHIVE_DIR = path.join(tmpDir, 'restored');
+    const imported = importArchive(outDir);
+    expect(imported.length).toBe(2);
+    expect(readSeries(id).points).toEqual(hourly(0, 10 * HOUR));
+    expect(readSeries(id).coverage).toEqual([[0, 100 * HOUR]]);
+    expect(listSeries().map(s => s.seriesId)).toEqual([id, fg]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// runBacktest — offline replay from the archive
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('runBacktest with archive', () => {
+  const endTime = 500000 * HOUR; // Fixed as-of clock
+  const start = endTime - 40 * 24 * HOUR;
+
+  function seedArchive() {
+    for (const [tf, ms] of [['1h', HOUR], ['4h', 4 * HOUR], ['15m', HOUR / 4]]) {
+      const points = [];
+      for (let ts = start; ts <= endTime - ms; ts += ms) {
+        const close = 100 + Math.sin(ts / HOUR / 9);
+        points.push({ timestamp: ts, open: close, high: close + 0.1, low: close - 0.1, close, volume: 5 });
+      }
+      writeSeries(candleSeriesId('bitcoin', tf), { coverage: [[start, endTime]], points });
+    }
+  }
+
+  test('offline replay with the same endTime reproduces the dataset hash', async () => {
+    seedArchive();
+    const opts = { asset: 'bitcoin', days: 10, endTime, offline: true };
+    const first = await runBacktest(opts);
+    const second = await runBacktest(opts);
+
+    expect(first.dataset.hash).toMatch(/^sha256:/);
+    expect(first.dataset.source).toBe('archive-offline');
+    expect(first.dataset.endTime).toBe(endTime);
+    expect(first.config.endTime).toBe(endTime);
+    expect(second.dataset.hash).toBe(first.dataset.hash);
+  });
+
+  test('a different dataset yields a different hash', async () => {
+    seedArchive();
+    const before = await runBacktest({ asset: 'bitcoin', days: 10, endTime, offline: true });
+    const id = candleSeriesId('bitcoin', '1h');
+    const series = readSeries(id);
+    series.points[series.points.length - 1].close += 1;
+    writeSeries(id, series);
+    const after = await runBacktest({ asset: 'bitcoin', days: 10, endTime, offline: true });
+    expect(after.dataset.hash).not.toBe(before.dataset.hash);
+  });
+
+  test('offline run with an empty archive fails instead of fetching', async () => {
+    await expect(runBacktest({ asset: 'bitcoin', days: 10, endTime, offline: true }))
+      .rejects.toThrow(/Insufficient 1h candle data/);
+  });
+});
@@ -0,0 +1,315 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// CREDENTIAL VAULT TESTS
+// Envelope encryption round-trip and tamper resistance, CRUD that never
+// returns secrets, master-key rotation, per-user adapter construction and the
+// healthCheck-based verification.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() },
+  maskValue: (value) => (!value || value.length < 8 ? '***' : value.substring(0, 4) + '****' + value.substring(value.length - 4))
+}));
+
+const mockAdapterState = { healthy: true, balanceError: null };
+jest.mock('../execution', () => ({
+  createAdapter: jest.fn((type, deps) => ({
+    name: type,
+    deps,
+    healthCheck: jest.fn(async () => (mockAdapterState.healthy
+      ? { healthy: true, adapter: type, details: { testnet: deps.testnet, latencyMs: 12 } }
+      : { healthy: false, adapter: type, details: { error: 'timeout', testnet: deps.testnet } })),
+    getBalance: jest.fn(async () => (mockAdapterState.balanceError
+      ? { available: 0, total: 0, error: mockAdapterState.balanceError }
+      : { available: 100, total: 100 }))
+  }))
+}));
+
+const crypto = require('crypto');
+const {
+  normalizeCredentialSpec, listCredentials, saveCredential, rotateCredential, deleteCredential,
+  getUserAdapter, createAdapterResolver, verifyCredential, rotateMasterKey, encryptSecrets, decryptSecrets, resetCredentialCache,
+  isVaultConfigured
+} = require('../credentialVault');
+const { createAdapter } = require('../execution');
+
+const USER = '11111111-1111-4111-8111-111111111111';
+const OTHER = '22222222-2222-4222-8222-222222222222';
+const API_KEY = 'AKIAexampleKey1234';
+const API_SECRET = 'sEcReT-value-0987654321';
+const KEY_V1 = crypto.randomBytes(32).toString('base64');
+const KEY_V2 = crypto.randomBytes(32).toString('hex');
+
+// ─── In-memory Supabase ───────────────────────────────────────────────────────
+
+function createStore() {
+  const tables = { exchange_credentials: [] };
+  let nextId = 1;
+
+  function from(table) {
+    const rows = tables[table];
+    const filters = [];
+    let op = 'select';
+    let payload = null;
+    let columns = '*';
+
+    const pick = (row) => columns === '*'
+      ? { ...row }
+      : Object.fromEntries(columns.split(',').map(c => c.trim()).map(c => [c, row[c] ?? null]));
+
+    function exec(mode) {
+      const matched = rows.filter(r => filters.every(f => f(r)));
+      let data;
+      if (op === 'insert') {
+        const row = { id: `cred-${nextId++}`, created_at: new Date().toISOString(), ...payload };
+        rows.push(row);
+        data = [row];
+      } else if (op === 'update') {
+        matched.forEach(r => Object.assign(r, payload));
+        data = matched;
+      } else if (op === 'delete') {
+        matched.forEach(r => rows.splice(rows.indexOf(r), 1));
+        data = matched;
+      } else {
+        data = matched;
+      }
+      data = data.map(pick);
+      if (mode === 'single') {
+        return Promise.resolve(data.length === 1 ? { data: data[0], error: null } : { data: null, error: { message: 'no rows' } });
+      }
+      return Promise.resolve({ data, error: null });
+    }
+
+    const q = {
+      select: (cols = '*') => { columns = cols; return q; },
+      insert: (row) => { op = 'insert'; payload = row; return q; },
+      update: (patch) => { op = 'update'; payload = patch; return q; },
+      delete: () => { op = 'delete'; return q; },
+      eq: (col, val) => { filters.push(r => r[col] === val); return q; },
+      neq: (col, val) => { filters.push(r => r[col] !== val); return q; },
+      order: () => q,
+      limit: () => q,
+      single: () => exec('single'),
+      then: (resolve, reject) => exec().then(resolve, reject)
+    };
+    return q;
+  }
+
+  return { from: jest.fn(from), tables };
+}
+
+let store;
+
+beforeEach(() => {
+  store = createStore();
+  resetCredentialCache();
+  jest.clearAllMocks();
+  Object.assign(mockAdapterState, { healthy: true, balanceError: null });
+  process.env.CREDENTIAL_MASTER_KEY = KEY_V1;
+  delete process.env.CREDENTIAL_MASTER_KEY_ID;
+  delete process.env.CREDENTIAL_MASTER_KEYS_PREVIOUS;
+});
+
+const storeBybit = (extra = {}) => saveCredential(store, USER, { exchange: 'bybit', apiKey: API_KEY, apiSecret: API_SECRET, ...extra });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Encryption
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('envelope encryption', () => {
+  test('round-trips and never stores plaintext', () => {
+    const sealed = encryptSecrets(USER, 'bybit', { apiKey: API_KEY, apiSecret: API_SECRET });
+    expect(sealed.master_key_id).toBe('v1');
+    expect(JSON.stringify(sealed)).not.toContain(API_SECRET);
+    expect(decryptSecrets({ user_id: USER, exchange: 'bybit', ...sealed })).toEqual({ apiKey: API_KEY, apiSecret: API_SECRET });
+  });
+
+  test('ciphertext is bound to its owner and exchange', () => {
+    const sealed = encryptSecrets(USER, 'bybit', { apiKey: API_KEY, apiSecret: API_SECRET });
+    expect(() => decryptSecrets({ user_id: OTHER, exchange: 'bybit', ...sealed })).toThrow();
+    expect(() => decryptSecrets({ user_id: USER, exchange: 'binance', ...sealed })).toThrow();
+  });
+
+  test('tampering is detected', () => {
+    const sealed = encryptSecrets(USER, 'bybit', { apiKey: API_KEY, apiSecret: API_SECRET });
+    const raw = Buffer.from(sealed.ciphertext, 'base64');
+    raw[raw.length - 1] ^= 1;
+    expect(() => decryptSecrets({ user_id: USER, exchange: 'bybit', ...sealed, ciphertext: raw.toString('base64') })).toThrow();
+  });
+
+  test('requires a 32-byte master key', () => {
+    process.env.CREDENTIAL_MASTER_KEY = 'too-short';
+    expect(isVaultConfigured()).toBe(false);
+    expect(() => encryptSecrets(USER, 'bybit', {})).toThrow(/CREDENTIAL_MASTER_KEY/);
+  });
+});
+
+describe('normalizeCredentialSpec', () => {
+  test('defaults to testnet and validates fields', () => {
+    expect(normalizeCredentialSpec({ exchange: 'binance', apiKey: API_KEY, apiSecret: API_SECRET }).value.testnet).toBe(true);
+    const { errors } = normalizeCredentialSpec({ exchange: 'kraken', apiKey: 'short', apiSecret: 'has space in it', testnet: 'no' });
+    expect(errors).toHaveLength(4);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('saveCredential / listCredentials', () => {
+  test('returns only the masked key', async () => {
+    const { credential, error } = await storeBybit({ label: 'main' });
+    expect(error).toBeUndefined();
+    expect(credential).toMatchObject({ exchange: 'bybit', testnet: true, label: 'main', api_key_masked: 'AKIA****1234' });
+    expect(credential).not.toHaveProperty('ciphertext');
+    expect(credential).not.toHaveProperty('wrapped_key');
+
+    const { credentials } = await listCredentials(store, USER);
+    expect(JSON.stringify(credentials)).not.toContain(API_SECRET);
+    expect(JSON.stringify(credentials)).not.toContain(API_KEY);
+    expect(JSON.stringify(store.tables.exchange_credentials)).not.toContain(API_SECRET);
+  });
+
+  test('keeps one credential per exchange', async () => {
+    await storeBybit();
+    const { exists } = await storeBybit();
+    expect(exists).toBe(true);
+  });
+
+  test('returns validation errors', async () => {
+    const { errors } = await saveCredential(store, USER, { exchange: 'bybit' });
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('rotateCredential / deleteCredential', () => {
+  test('rotation replaces the secrets, resets verification and rebuilds the adapter', async () => {
+    await storeBybit();
+    await getUserAdapter(store, USER, 'bybit');
+    store.tables.exchange_credentials[0].verification_status = 'ok';
+
+    const { credential } = await rotateCredential(store, USER, 'bybit', { apiKey: 'NEWKEY-00001111', apiSecret: 'new-secret-value' });
+    expect(credential).toMatchObject({ api_key_masked: 'NEWK****1111', verification_status: null });
+    expect(credential.rotated_at).toBeTruthy();
+
+    await getUserAdapter(store, USER, 'bybit');
+    expect(createAdapter).toHaveBeenCalledTimes(2);
+    expect(createAdapter.mock.calls[1][1]).toMatchObject({ apiKey: 'NEWKEY-00001111', apiSecret: 'new-secret-value' });
+  });
+
+  test('rotating or deleting a missing credential finds nothing', async () => {
+    expect((await rotateCredential(store, USER, 'binance', { apiKey: API_KEY, apiSecret: API_SECRET })).credential).toBeNull();
+    expect((await deleteCredential(store, USER, 'binance')).credential).toBeNull();
+  });
+
+  test('deletion drops the cached adapter', async () => {
+    await storeBybit();
+    await getUserAdapter(store, USER, 'bybit');
+    await deleteCredential(store, USER, 'bybit');
+    expect((await getUserAdapter(store, USER, 'bybit')).missing).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Adapters + verification
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('getUserAdapter', () => {
+  test('builds the exchange adapter from decrypted credentials and caches it', async () => {
+    await storeBybit({ testnet: false });
+    const { adapter } = await getUserAdapter(store, USER, 'bybit');
+    expect(createAdapter).toHaveBeenCalledWith('bybit', { apiKey: API_KEY, apiSecret: API_SECRET, testnet: false, supabase: store });
+    expect((await getUserAdapter(store, USER, 'bybit')).adapter).toBe(adapter);
+    expect(createAdapter).toHaveBeenCalledTimes(1);
+  });
+
+  test('reports missing credentials and non-exchange adapters', async () => {
+    expect(await getUserAdapter(store, OTHER, 'bybit')).toMatchObject({ missing: true });
+    expect((await getUserAdapter(store, USER, 'paper')).error).toMatch(/No credentials needed/);
+  });
+
+  test('does not hand out an adapter when the master key is gone', async () => {
+    await storeBybit();
+    process.env.CREDENTIAL_MASTER_KEY = KEY_V2;
+    process.env.CREDENTIAL_MASTER_KEY_ID = 'v2';
+    const { adapter, error } = await getUserAdapter(store, USER, 'bybit');
+    expect(adapter).toBeUndefined();
+    expect(error).toBe('Stored credentials could not be decrypted');
+  });
+});
+
+describe('createAdapterResolver', () => {
+  const paper = { name: 'paper' };
+  const operator = { name: 'bybit', operator: true };
+
+  test('live venues resolve to the owner\'s vault adapter, others to paper', async () => {
+    await storeBybit();
+    const resolve = createAdapterResolver(store, { paper, operator, operatorUserId: 'default-user' });
+    const { adapter } = await resolve(USER, 'bybit');
+    expect(adapter.deps).toMatchObject({ apiKey: API_KEY });
+    expect(adapter).not.toBe(operator);
+    expect((await resolve(USER, 'paper')).adapter).toBe(paper);
+  });
+
+  test('the operator adapter never serves other users', async () => {
+    const resolve = createAdapterResolver(store, { paper, operator, operatorUserId: 'default-user' });
+    expect(await resolve(OTHER, 'bybit')).toMatchObject({ missing: true });
+    expect((await resolve('default-user', 'bybit')).adapter).toBe(operator);
+    expect(await resolve('default-user', 'binance')).toMatchObject({ missing: true });
+  });
+});
+
+describe('verifyCredential', () => {
+  test('runs healthCheck plus an authenticated balance read and records the result', async () => {
+    await storeBybit();
+    const { verification, credential } = await verifyCredential(store, USER, 'bybit');
+    expect(verification).toEqual({ healthy: true, authenticated: true, testnet: true, latencyMs: 12, error: null });
+    expect(credential.verification_status).toBe('ok');
+    expect(credential.last_verified_at).toBeTruthy();
+  });
+
+  test('a reachable exchange that rejects the key fails verification', async () => {
+    await storeBybit();
+    mockAdapterState.balanceError = 'API key is invalid';
+    const { verification, credential } = await verifyCredential(store, USER, 'bybit');
+    expect(verification).toMatchObject({ healthy: true, authenticated: false, error: 'API key is invalid' });
+    expect(credential).toMatchObject({ verification_status: 'failed', verification_error: 'API key is invalid' });
+  });
+
+  test('an unreachable exchange fails without probing the key', async () => {
+    await storeBybit();
+    mockAdapterState.healthy = false;
+    const { verification } = await verifyCredential(store, USER, 'bybit');
+    expect(verification).toMatchObject({ healthy: false, authenticated: false, error: 'timeout' });
+  });
+});
+
+describe('rotateMasterKey', () => {
+  test('re-wraps data keys under the new master key without touching ciphertext', async () => {
+    await storeBybit();
+    const before = { ...store.tables.exchange_credentials[0] };
+
+    process.env.CREDENTIAL_MASTER_KEYS_PREVIOUS = `v1:${KEY_V1}`;
+    process.env.CREDENTIAL_MASTER_KEY = KEY_V2;
+    process.env.CREDENTIAL_MASTER_KEY_ID = 'v2';
+
+    expect(await rotateMasterKey(store)).toEqual({ rotated: 1, failed: [] });
+    const after = store.tables.exchange_credentials[0];
+    expect(after.master_key_id).toBe('v2');
+    expect(after.ciphertext).toBe(before.ciphertext);
+    expect(after.wrapped_key).not.toBe(before.wrapped_key);
+
+    // The retired key is no longer needed
+    delete process.env.CREDENTIAL_MASTER_KEYS_PREVIOUS;
+    expect(decryptSecrets(after)).toEqual({ apiKey: API_KEY, apiSecret: API_SECRET });
+    expect(await rotateMasterKey(store)).toEqual({ rotated: 0, failed: [] });
+  });
+
+  test('reports rows whose master key is unavailable', async () => {
+    await storeBybit();
+    process.env.CREDENTIAL_MASTER_KEY = KEY_V2;
+    process.env.CREDENTIAL_MASTER_KEY_ID = 'v2';
+    const { rotated, failed } = await rotateMasterKey(store);
+    expect(rotated).toBe(0);
+    expect(failed[0].error).toMatch(/Master key v1 is not available/);
+  });
+});
@@ -3,7 +3,8 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { createAdapter, getAvailableAdapters, ExecutionAdapter } = require('../execution');
-const { PaperExecutionAdapter } = require('../execution/PaperExecutionAdapter');
+const { PaperExecutionAdapter, simulateRestingFill, estimateQueueAhead } = require('../execution/PaperExecutionAdapter');
+const { BybitExecutionAdapter } = require('../execution/BybitExecutionAdapter');
 
 // ─── Mock dependencies ──────────────────────────────────────────────────────
 
@@ -16,6 +17,11 @@ jest.mock('../logger', () => ({
   }
 }));
 
+jest.mock('../shared/ipc', () => ({
+  MSG: { ORDER_UPDATE: 'order_update' },
+  sendToParent: jest.fn()
+}));
+
 jest.mock('../paperTrading', () => ({
   openTrade: jest.fn().mockResolvedValue({
     trade: {
@@ -26,6 +32,12 @@ jest.mock('../paperTrading', () => ({
     },
     error: null
   }),
+  addTradeFill: jest.fn().mockImplementation(async (sb, trade, quantity) => ({
+    trade: { ...trade, quantity: trade.quantity + quantity },
+    error: null
+  })),
+  executeFullClose: jest.fn().mockResolvedValue({ closedTrade: { id: 'trade-1', status: 'closed' }, pnl: 10, error: null }),
+  executePartialClose: jest.fn().mockResolvedValue({ updatedTrade: { id: 'trade-1', status: 'partial' }, pnl: 5, error: null }),
   applySlippage: jest.fn().mockImplementation((price, isBuy) => {
     // Simulate ~0.1% slippage
     return isBuy ? price * 1.001 : price * 0.999;
@@ -39,7 +51,10 @@ jest.mock('../paperTrading', () => ({
   DEFAULT_CONFIG: {}
 }));
 
-const { openTrade, resolveCurrentPrice, applySlippage } = require('../paperTrading');
+const {
+  openTrade, addTradeFill, resolveCurrentPrice, applySlippage, executeFullClose, executePartialClose
+} = require('../paperTrading');
+const { sendToParent } = require('../shared/ipc');
 
 function createMockSupabase() {
   const chain = {
@@ -87,7 +102,8 @@ describe('Adapter Registry', () => {
     const adapters = getAvailableAdapters();
     expect(adapters).toContain('paper');
     expect(adapters).toContain('bybit');
-    expect(adapters.length).toBe(2);
+    expect(adapters).toContain('binance');
+    expect(adapters.length).toBe(3);
   });
 });
 
@@ -307,6 +323,82 @@ describe('PaperExecutionAdapter', () => {
     });
   });
 
+  // ─── Conditional and reduce-only orders ────────────────────────────────
+
+  describe('placeOrder — STOP_MARKET / TRAILING_STOP / BRACKET', () => {
+    const openLong = { id: 'trade-1', status: 'open', direction: 'LONG', quantity: '0.02', remaining_quantity: '0.02' };
+
+    // paper_trades lookups resolve through .limit(1)
+    function withTrades(rows) {
+      const chain = {
+        select: jest.fn().mockReturnThis(),
+        eq: jest.fn().mockReturnThis(),
+        in: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockResolvedValue({ data: rows, error: null })
+      };
+      sb.from.mockReturnValue(chain);
+      return chain;
+    }
+
+    const stopLeg = {
+      id: 'order-5', user_id: 'user1', asset: 'bitcoin', side: 'SELL', order_type: 'STOP_MARKET',
+      quantity: '0.02', stop_price: '48000', reduce_only: true, leg_role: 'stop_loss', parent_order_id: 'order-bracket'
+    };
+
+    test('STOP_MARKET waits until the trigger trades', async () => {
+      const result = await adapter.placeOrder(stopLeg);
+      expect(result.filled).toBe(false);
+      expect(result.reason).toContain('STOP not triggered');
+    });
+
+    test('reduce-only stop leg closes the trade its bracket entry opened', async () => {
+      const chain = withTrades([openLong]);
+      resolveCurrentPrice.mockReturnValue(47900);
+
+      const result = await adapter.checkWorkingOrder(stopLeg);
+
+      expect(chain.eq).toHaveBeenCalledWith('order_id', 'order-bracket');
+      expect(executeFullClose).toHaveBeenCalledWith(sb, openLong, 47900 * 0.999, 'stop_loss');
+      expect(openTrade).not.toHaveBeenCalled();
+      expect(result).toMatchObject({ filled: true, fillQuantity: 0.02, partial: false, closedTrade: { id: 'trade-1' } });
+    });
+
+    test('smaller reduce-only order partially closes the position', async () => {
+      withTrades([openLong]);
+      resolveCurrentPrice.mockReturnValue(47000);
+
+      const result = await adapter.placeOrder({ ...stopLeg, parent_order_id: null, order_type: 'TRAILING_STOP', quantity: '0.005' });
+
+      expect(executePartialClose).toHaveBeenCalledWith(sb, openLong, expect.any(Number), 0.25);
+      expect(result).toMatchObject({ filled: true, partial: true });
+    });
+
+    test('reduce-only leg with no position left asks to be cancelled', async () => {
+      withTrades([{ ...openLong, status: 'closed' }]);
+      resolveCurrentPrice.mockReturnValue(47000);
+
+      const result = await adapter.placeOrder(stopLeg);
+      expect(result).toMatchObject({ filled: false, cancel: true });
+      expect(executeFullClose).not.toHaveBeenCalled();
+    });
+
+    test('BRACKET entry opens a trade whose exits belong to its legs', async () => {
+      const result = await adapter.placeOrder({
+        id: 'order-6', user_id: 'user1', asset: 'bitcoin', side: 'BUY', order_type: 'BRACKET',
+        quantity: 0.01, price: null, stop_loss: '48000', take_profit_1: '55000', signal_snapshot: {}
+      });
+
+      expect(result.filled).toBe(true);
+      expect(openTrade.mock.calls[0][2]).toMatchObject({ exitOrders: true, tradeLevels: { stopLoss: 48000, takeProfit1: 55000 } });
+    });
+
+    test('OCO parents are never filled directly', async () => {
+      const result = await adapter.placeOrder({ id: 'order-7', asset: 'bitcoin', side: 'SELL', order_type: 'OCO', quantity: 1 });
+      expect(result.filled).toBe(false);
+      expect(result.reason).toContain('leg by leg');
+    });
+  });
+
   // ─── Other methods ─────────────────────────────────────────────────────
 
   describe('cancelOrder', () => {
@@ -332,3 +424,273 @@ describe('PaperExecutionAdapter', () => {
     });
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PaperExecutionAdapter — resting limit book
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Orders table with status transitions through the RPC
+function createBookSupabase(orders) {
+  const rows = new Map(orders.map(o => [o.id, { ...o }]));
+  const query = (table) => {
+    const chain = {
+      select: () => chain,
+      insert: () => chain,
+      update: jest.fn(() => chain),
+      eq: () => chain,
+      in: () => chain,
+      limit: () => chain,
+      then: (resolve) => resolve({
+        data: table === 'orders' ? [...rows.values()].map(r => ({ id: r.id, status: r.status })) : [],
+        error: null
+      })
+    };
+    return chain;
+  };
+  return {
+    rows,
+    from: jest.fn(query),
+    rpc: jest.fn(async (fn, { p_order_id, p_from_status, p_to_status, p_extra }) => {
+      const row = rows.get(p_order_id);
+      if (!row || row.status !== p_from_status) {
+        return { data: { success: false, reason: 'Status mismatch' }, error: null };
+      }
+      Object.assign(row, p_extra, { status: p_to_status });
+      return { data: { success: true }, error: null };
+    })
+  };
+}
+
+// 20 levels: average bid level 0.5, average ask level 1
+const DEPTH = { bidTotal: 10, askTotal: 20, bestBid: 49990, bestAsk: 50000, depthLevels: 20 };
+
+describe('resting book queue model', () => {
+  const resting = { side: 'BUY', limitPrice: 50000, remaining: 3, queueAhead: 0.5 };
+
+  test('joining assumes one average level of our side ahead', () => {
+    expect(estimateQueueAhead('BUY', DEPTH)).toBe(0.5);
+    expect(estimateQueueAhead('SELL', DEPTH)).toBe(1);
+    expect(estimateQueueAhead('BUY', null)).toBe(0);
+  });
+
+  test('a touch fills what is left of one opposite level after the queue', () => {
+    expect(simulateRestingFill(resting, DEPTH)).toEqual({ fillQuantity: 0.5, queueAhead: 0, liquidity: 1, through: false });
+    expect(simulateRestingFill({ ...resting, queueAhead: 2 }, DEPTH))
+      .toMatchObject({ fillQuantity: 0, queueAhead: 1 });
+  });
+
+  test('trading through the limit sweeps the queue', () => {
+    expect(simulateRestingFill({ ...resting, queueAhead: 5 }, { ...DEPTH, bestAsk: 49900 }))
+      .toEqual({ fillQuantity: 3, queueAhead: 0, liquidity: 20, through: true });
+  });
+
+  test('no depth snapshot fills the remainder', () => {
+    expect(simulateRestingFill(resting, null)).toMatchObject({ fillQuantity: 3, liquidity: null });
+  });
+});
+
+describe('PaperExecutionAdapter resting book', () => {
+  const limitBuy = {
+    id: 'book-1', user_id: 'user1', asset: 'bitcoin', side: 'BUY', order_type: 'LIMIT', status: 'SUBMITTED',
+    quantity: '1', price: '50000', risk_amount: '200', stop_loss: '48000', take_profit_1: '55000', signal_snapshot: {}
+  };
+  let sb;
+  let fetchDepth;
+  let adapter;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    sb = createBookSupabase([limitBuy]);
+    fetchDepth = jest.fn().mockResolvedValue(DEPTH);
+    adapter = new PaperExecutionAdapter(sb, { fetchDepth });
+  });
+
+  test('a LIMIT that is not marketable rests in the book', async () => {
+    resolveCurrentPrice.mockReturnValue(50500);
+    const result = await adapter.placeOrder({ ...limitBuy });
+
+    expect(result).toMatchObject({ filled: false, reason: expect.stringContaining('resting in paper book') });
+    expect(adapter.book.has('book-1')).toBe(true);
+    expect(fetchDepth).not.toHaveBeenCalled();
+  });
+
+  test('fills at the limit price in parts from depth and emits ORDER_UPDATE', async () => {
+    resolveCurrentPrice.mockReturnValue(50500);
+    await adapter.placeOrder({ ...limitBuy });
+
+    // Touch: queue 0.5 ahead, one ask level (1) trades → 0.5 for us
+    resolveCurrentPrice.mockReturnValue(49990);
+    const [partial] = await adapter.onMarketUpdate({ crypto: {} });
+
+    expect(partial.fill).toEqual({ quantity: 0.5, price: 50000, filledQuantity: 0.5, remainingQuantity: 0.5, complete: false });
+    expect(partial.queue).toMatchObject({ model: 'avg_level', initialQueueAhead: 0.5, queueAhead: 0, liquidity: 1 });
+    expect(openTrade.mock.calls[0][2]).toMatchObject({ fillPrice: 50000, tradeLevels: { entry: 50000 } });
+    expect(openTrade.mock.calls[0][3]).toEqual({ positionSizeUsd: 25000, quantity: 0.5, riskAmount: 100 });
+    expect(sb.rows.get('book-1')).toMatchObject({ status: 'PARTIAL_FILL', filled_quantity: '0.5', avg_fill_price: '50000' });
+    expect(sendToParent).toHaveBeenCalledWith('order_update', partial);
+
+    // Through: asks below our bid sweep the level → the rest fills
+    fetchDepth.mockResolvedValue({ ...DEPTH, bestAsk: 49900 });
+    const [done] = await adapter.onMarketUpdate({ crypto: {} });
+
+    expect(done.fill).toMatchObject({ quantity: 0.5, filledQuantity: 1, complete: true });
+    expect(addTradeFill).toHaveBeenCalledWith(sb, expect.objectContaining({ id: 'trade-1' }), 0.5, 50000, 100);
+    expect(openTrade).toHaveBeenCalledTimes(1);
+    expect(sb.rows.get('book-1')).toMatchObject({ status: 'FILLED', filled_quantity: '1' });
+    expect(adapter.book.size).toBe(0);
+  });
+
+  test('nothing fills while the price is away from the limit', async () => {
+    resolveCurrentPrice.mockReturnValue(50500);
+    await adapter.placeOrder({ ...limitBuy });
+
+    expect(await adapter.onMarketUpdate({ crypto: {} })).toEqual([]);
+    expect(await adapter.onMarketUpdate({ crypto: {} })).toEqual([]);
+    expect(fetchDepth).toHaveBeenCalledTimes(1); // Only to join the queue
+    expect(adapter.book.get('book-1').queueAhead).toBe(0.5);
+    expect(openTrade).not.toHaveBeenCalled();
+  });
+
+  test('STOP_LIMIT joins the queue only once its stop trades', async () => {
+    const stopLimit = { ...limitBuy, id: 'book-2', order_type: 'STOP_LIMIT', stop_price: '51000', price: '51500' };
+    sb = createBookSupabase([stopLimit]);
+    adapter = new PaperExecutionAdapter(sb, { fetchDepth });
+
+    resolveCurrentPrice.mockReturnValue(50500);
+    await adapter.placeOrder({ ...stopLimit });
+    await adapter.onMarketUpdate({ crypto: {} });
+    expect(fetchDepth).not.toHaveBeenCalled();
+
+    resolveCurrentPrice.mockReturnValue(51200); // Triggered and under the limit
+    const [update] = await adapter.onMarketUpdate({ crypto: {} });
+    expect(update.queue).toMatchObject({ triggered: true });
+    expect(update.fill.price).toBe(51500);
+  });
+
+  test('orders cancelled elsewhere drop out of the book', async () => {
+    resolveCurrentPrice.mockReturnValue(50500);
+    await adapter.placeOrder({ ...limitBuy });
+    sb.rows.get('book-1').status = 'CANCELLED';
+
+    resolveCurrentPrice.mockReturnValue(49000);
+    expect(await adapter.onMarketUpdate({ crypto: {} })).toEqual([]);
+    expect(adapter.book.size).toBe(0);
+    expect(openTrade).not.toHaveBeenCalled();
+  });
+
+  test('getOpenOrders lists the resting book', async () => {
+    resolveCurrentPrice.mockReturnValue(50500);
+    await adapter.placeOrder({ ...limitBuy });
+
+    expect(await adapter.getOpenOrders()).toEqual({
+      orders: [expect.objectContaining({ exchangeOrderId: 'book-1', asset: limitBuy.asset, filledQuantity: 0, status: 'RESTING' })]
+    });
+  });
+
+  test('checkWorkingOrder reloads a partially filled order without filling it', async () => {
+    const reloaded = {
+      ...limitBuy, status: 'PARTIAL_FILL', filled_quantity: '0.25',
+      queue_state: { queueAhead: 0.1, initialQueueAhead: 0.5, triggered: true, restingSince: '2026-01-01T00:00:00Z' }
+    };
+    resolveCurrentPrice.mockReturnValue(49000);
+
+    const result = await adapter.checkWorkingOrder(reloaded, { crypto: {} });
+
+    expect(result).toEqual({ filled: false, reason: 'Resting in paper book' });
+    expect(adapter.book.get('book-1')).toMatchObject({ filled: 0.25, remaining: 0.75, queueAhead: 0.1 });
+    expect(openTrade).not.toHaveBeenCalled();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// BybitExecutionAdapter — native conditional orders
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('BybitExecutionAdapter conditional orders', () => {
+  let adapter;
+
+  beforeEach(() => {
+    adapter = new BybitExecutionAdapter('k', 's', true);
+    adapter._request = jest.fn().mockResolvedValue({ success: true, data: { orderId: 'bybit-1' } });
+  });
+
+  test('protective STOP_MARKET goes out as a spot TP/SL order with triggerPrice', async () => {
+    const result = await adapter.placeOrder({
+      id: 'o1', asset: 'bitcoin', side: 'SELL', order_type: 'STOP_MARKET', quantity: '0.5', stop_price: '48000', reduce_only: true
+    });
+
+    expect(adapter._request).toHaveBeenCalledWith('POST', '/v5/order/create', expect.objectContaining({
+      orderType: 'Market', triggerPrice: '48000', orderFilter: 'tpslOrder', side: 'Sell'
+    }));
+    expect(result).toEqual({ filled: false, reason: 'Conditional order placed, waiting for trigger', exchange_order_id: 'bybit-1' });
+  });
+
+  test('STOP_LIMIT entry carries both trigger and limit as a StopOrder', async () => {
+    await adapter.placeOrder({
+      id: 'o2', asset: 'ethereum', side: 'BUY', order_type: 'STOP_LIMIT', quantity: '1', price: '3100', stop_price: '3050'
+    });
+    expect(adapter._request.mock.calls[0][2]).toMatchObject({
+      orderType: 'Limit', price: '3100', triggerPrice: '3050', orderFilter: 'StopOrder'
+    });
+  });
+
+  test('limit BRACKET entry is a plain limit order', async () => {
+    await adapter.placeOrder({ id: 'o3', asset: 'bitcoin', side: 'BUY', order_type: 'BRACKET', quantity: '0.1', price: '50000' });
+    const params = adapter._request.mock.calls[0][2];
+    expect(params).toMatchObject({ orderType: 'Limit', price: '50000' });
+    expect(params.triggerPrice).toBeUndefined();
+  });
+
+  test('checkWorkingOrder maps exchange status to fill / cancel', async () => {
+    const leg = { id: 'o4', asset: 'bitcoin', order_type: 'TRAILING_STOP', reduce_only: true, exchange_order_id: 'bybit-9' };
+
+    adapter._request.mockResolvedValueOnce({ success: true, data: { list: [{ orderStatus: 'Filled', avgPrice: '47950', cumExecQty: '0.5' }] } });
+    expect(await adapter.checkWorkingOrder(leg)).toMatchObject({ filled: true, fillPrice: 47950, fillQuantity: 0.5 });
+    expect(adapter._request).toHaveBeenLastCalledWith('GET', '/v5/order/realtime', {
+      category: 'spot', symbol: 'BTCUSDT', orderId: 'bybit-9', orderFilter: 'tpslOrder'
+    });
+
+    adapter._request.mockResolvedValueOnce({ success: true, data: { list: [{ orderStatus: 'Deactivated' }] } });
+    expect(await adapter.checkWorkingOrder(leg)).toMatchObject({ filled: false, cancel: true });
+
+    adapter._request.mockResolvedValueOnce({ success: true, data: { list: [{ orderStatus: 'Untriggered' }] } });
+    expect(await adapter.checkWorkingOrder(leg)).toMatchObject({ filled: false });
+  });
+
+  test('amendOrder moves the trigger; cancelWorkingOrder passes symbol and filter', async () => {
+    const leg = { id: 'o5', asset: 'bitcoin', order_type: 'TRAILING_STOP', reduce_only: true, exchange_order_id: 'bybit-9' };
+
+    expect(await adapter.amendOrder(leg, { stopPrice: 49500 })).toEqual({ amended: true });
+    expect(adapter._request).toHaveBeenLastCalledWith('POST', '/v5/order/amend', {
+      category: 'spot', symbol: 'BTCUSDT', orderId: 'bybit-9', triggerPrice: '49500'
+    });
+
+    expect(await adapter.cancelWorkingOrder(leg)).toEqual({ cancelled: true });
+    expect(adapter._request).toHaveBeenLastCalledWith('POST', '/v5/order/cancel', {
+      category: 'spot', orderId: 'bybit-9', symbol: 'BTCUSDT', orderFilter: 'tpslOrder'
+    });
+  });
+
+  test('getOpenOrders merges plain, conditional and TP/SL listings', async () => {
+    adapter._request
+      .mockResolvedValueOnce({ success: true, data: { list: [{ orderId: 'b1', orderLinkId: 'signal-btc-1', symbol: 'BTCUSDT', side: 'Buy', qty: '0.1', cumExecQty: '0', orderStatus: 'New' }] } })
+      .mockResolvedValueOnce({ success: true, data: { list: [] } })
+      .mockResolvedValueOnce({ success: true, data: { list: [{ orderId: 'b2', orderLinkId: '', symbol: 'ETHUSDT', side: 'Sell', qty: '1', cumExecQty: '0', orderStatus: 'Untriggered' }] } });
+
+    const { orders, error } = await adapter.getOpenOrders();
+
+    expect(error).toBeUndefined();
+    expect(adapter._request.mock.calls.map(c => c[2].orderFilter)).toEqual(['Order', 'StopOrder', 'tpslOrder']);
+    expect(orders).toEqual([
+      { exchangeOrderId: 'b1', clientOrderId: 'signal-btc-1', asset: 'bitcoin', symbol: 'BTCUSDT', side: 'BUY', quantity: 0.1, filledQuantity: 0, status: 'New' },
+      { exchangeOrderId: 'b2', clientOrderId: null, asset: 'ethereum', symbol: 'ETHUSDT', side: 'SELL', quantity: 1, filledQuantity: 0, status: 'Untriggered' }
+    ]);
+  });
+
+  test('getOpenOrders and getPosition report read failures', async () => {
+    adapter._request.mockResolvedValue({ success: false, error: 'API key is invalid.' });
+
+    expect(await adapter.getOpenOrders()).toEqual({ orders: [], error: 'API key is invalid.' });
+    expect(await adapter.getPosition('user1', 'bitcoin')).toEqual({ position: null, error: 'API key is invalid.' });
+  });
+});
@@ -0,0 +1,250 @@
+const {
+  normalizeExitLadder,
+  legacyExitLadder,
+  resolveExitLadder,
+  buildExitPlan,
+  activeTrailing,
+  createExitState,
+  stepExit
+} = require('../exitLadder');
+const { simulateTradeExecution } = require('../backtester');
+const { checkPriceAgainstLevels } = require('../paperTrading');
+
+const LEVELS = {
+  entry: 100, stopLoss: 95, takeProfit1: 104, takeProfit2: 110,
+  trailingStop: 97, trailingActivation: 102, atrValue: 2
+};
+
+const THREE_TARGETS = {
+  targets: [
+    { at: { r: 1 }, fraction: 0.3, moveStop: 'breakeven' },
+    { at: { r: 2 }, fraction: 0.3, moveStop: 'previous_target', trailing: { mode: 'percent', percent: 2 } },
+    { at: { r: 4 } }
+  ],
+  trailing: null
+};
+
+const bar = (high, low = high) => ({ high, low });
+
+// Drive a plan through a price path, collecting events
+function walk(plan, prices) {
+  let state = createExitState(plan);
+  const events = [];
+  for (const p of prices) {
+    const step = stepExit(plan, state, Array.isArray(p) ? bar(...p) : bar(p));
+    state = step.state;
+    events.push(...step.events);
+    if (step.closed) break;
+  }
+  return { state, events };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Definition
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('normalizeExitLadder', () => {
+  test('accepts a multi-target ladder and fills defaults', () => {
+    const ladder = normalizeExitLadder(THREE_TARGETS);
+    expect(ladder.targets).toHaveLength(3);
+    expect(ladder.targets[2].fraction).toBeNull();
+    expect(ladder.targets[0].moveStop).toBe('breakeven');
+    expect(ladder.targets[1].trailing).toEqual({ mode: 'percent', percent: 2 });
+    expect(ladder.trailing).toBeNull();
+  });
+
+  test('defaults base trailing activation by mode', () => {
+    expect(normalizeExitLadder({ targets: [{ at: { r: 2 } }], trailing: { mode: 'atr' } }).trailing.activation)
+      .toEqual({ level: 'trailingActivation' });
+    expect(normalizeExitLadder({ targets: [{ at: { r: 2 } }], trailing: { mode: 'chandelier' } }).trailing.activation)
+      .toBeNull();
+  });
+
+  test.each([
+    [{ targets: [] }, /non-empty/],
+    [{ targets: [{ at: { r: 1 } }, { at: { r: 2 } }] }, /fraction is required/],
+    [{ targets: [{ at: { r: 1 }, fraction: 0.7 }, { at: { r: 2 }, fraction: 0.5 }] }, /sum to 1.2/],
+    [{ targets: [{ at: { r: 1, atr: 2 } }] }, /exactly one/],
+    [{ targets: [{ at: { level: 'takeProfit9' } }] }, /level must be one of/],
+    [{ targets: [{ at: { r: 1 }, moveStop: 'entry' }] }, /moveStop/],
+    [{ targets: [{ at: { r: 1 }, trailing: { mode: 'fixed' } }] }, /mode must be one of/],
+    [{ targets: [{ at: { r: 1 }, trailing: { mode: 'percent' } }] }, /percent must be/]
+  ])('rejects invalid ladder %#', (ladder, message) => {
+    expect(() => normalizeExitLadder(ladder)).toThrow(message);
+  });
+
+  test('resolveExitLadder falls back to the paper config legacy ladder', () => {
+    const ladder = resolveExitLadder(null, { partial_close_ratio: 0.25, move_sl_to_breakeven_after_tp1: false });
+    expect(ladder.targets[0]).toMatchObject({ fraction: 0.25, moveStop: 'none' });
+    expect(ladder).toEqual(legacyExitLadder({ partialRatio: 0.25, breakeven: false }));
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Plan + state machine
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('buildExitPlan', () => {
+  test('resolves R, ATR and level targets for both directions', () => {
+    const ladder = normalizeExitLadder({
+      targets: [{ at: { r: 1 }, fraction: 0.5 }, { at: { atr: 3 }, fraction: 0.25 }, { at: { level: 'takeProfit2' } }]
+    });
+    const long = buildExitPlan(ladder, LEVELS, 'LONG');
+    expect(long.targets.map(t => t.price)).toEqual([105, 106, 110]);
+    expect(long.targets.map(t => t.closesAll)).toEqual([false, false, true]);
+    expect(long.targets[2].fraction).toBeCloseTo(0.25);
+
+    const short = buildExitPlan(ladder, { ...LEVELS, stopLoss: 105, takeProfit2: 90 }, 'SHORT');
+    expect(short.targets.map(t => t.price)).toEqual([95, 94, 90]);
+  });
+
+  test('skips targets whose level is missing', () => {
+    const plan = buildExitPlan(legacyExitLadder(), { ...LEVELS, takeProfit2: null }, 'LONG');
+    expect(plan.targets).toHaveLength(1);
+    expect(plan.targets[0].closesAll).toBe(false);
+  });
+});
+
+describe('stepExit', () => {
+  const plan = buildExitPlan(normalizeExitLadder(THREE_TARGETS), LEVELS, 'LONG');
+
+  test('walks the ladder: breakeven, previous-target stop, then final target', () => {
+    const { events, state } = walk(plan, [103, 105.5, 111, 121]);
+    expect(events.filter(e => e.type === 'target').map(e => e.index)).toEqual([0, 1, 2]);
+    expect(events.find(e => e.type === 'trailing_armed').mode).toBe('percent');
+    expect(events[events.length - 1]).toMatchObject({ type: 'target', index: 2, closesAll: true });
+    expect(state.targetsHit).toBe(3);
+  });
+
+  test('stop moves to breakeven after the first target', () => {
+    const { events, state } = walk(plan, [105.5, 99.5]);
+    expect(events[events.length - 1]).toEqual({ type: 'stop_loss', price: 100 });
+    expect(state.targetsHit).toBe(1);
+  });
+
+  test('percent trailing after the second target ratchets from the peak', () => {
+    // Peak 115 → trail 112.7; 112.5 trips it before the 120 target
+    const { events } = walk(plan, [111, 115, 112.5]);
+    const exit = events[events.length - 1];
+    expect(exit.type).toBe('trailing_stop');
+    expect(exit.price).toBeCloseTo(115 * 0.98);
+  });
+
+  test('stop is checked before targets inside one bar (conservative)', () => {
+    const { events } = walk(plan, [[106, 94]]);
+    expect(events).toEqual([{ type: 'stop_loss', price: 95 }]);
+  });
+
+  test('chandelier hangs 3 × ATR below the highest high from entry, unlike atr', () => {
+    const chandelier = buildExitPlan(
+      normalizeExitLadder({ targets: [{ at: { r: 10 } }], trailing: { mode: 'chandelier' } }), LEVELS, 'LONG'
+    );
+    const atr = buildExitPlan(
+      normalizeExitLadder({ targets: [{ at: { r: 10 } }], trailing: { mode: 'atr', multiplier: 3 } }), LEVELS, 'LONG'
+    );
+    expect(chandelier.trailing).toEqual({ mode: 'chandelier', distance: 6, activationPrice: null });
+
+    // New high at 101.8 (below the 102 activation), then a pullback to 95.6
+    const path = [101.8, 95.6];
+    const hung = walk(chandelier, path);
+    expect(hung.events[0]).toMatchObject({ type: 'trailing_armed', mode: 'chandelier' });
+    expect(hung.events[0].price).toBeCloseTo(95.8);
+    expect(hung.events[hung.events.length - 1].type).toBe('trailing_stop');
+
+    const trailed = walk(atr, path);
+    expect(trailed.events).toEqual([]);
+    expect(trailed.state.trailingActive).toBe(false);
+  });
+
+  test('short chandelier hangs above the lowest low since entry', () => {
+    const short = buildExitPlan(
+      normalizeExitLadder({ targets: [{ at: { r: 10 } }], trailing: { mode: 'chandelier' } }),
+      { ...LEVELS, stopLoss: 105 }, 'SHORT'
+    );
+    const { events } = walk(short, [[99, 98], 101, 104.5]);
+    expect(events[events.length - 1]).toEqual({ type: 'trailing_stop', price: 104 });
+  });
+
+  test('activeTrailing prefers the latest hit target that defines one', () => {
+    const withBase = buildExitPlan(normalizeExitLadder({ ...THREE_TARGETS, trailing: { mode: 'atr' } }), LEVELS, 'LONG');
+    expect(activeTrailing(withBase, 0).mode).toBe('atr');
+    expect(activeTrailing(withBase, 1).mode).toBe('atr');
+    expect(activeTrailing(withBase, 2).mode).toBe('percent');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Backtester ↔ paper trading parity
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('shared exit definition', () => {
+  const prices = [100, 103, 105.5, 108, 111, 115, 112.5, 111];
+
+  test('backtester and paper trading take the same ladder exits on the same path', () => {
+    const plan = buildExitPlan(normalizeExitLadder(THREE_TARGETS), LEVELS, 'LONG');
+
+    // Backtester: one flat candle per price
+    const candles = prices.map((p, i) => ({ timestamp: i * 3600000, open: p, high: p, low: p, close: p }));
+    const simulated = simulateTradeExecution({
+      direction: 'LONG', entryPrice: 100, stopLoss: 95, quantity: 10, positionSizeUsd: 1000,
+      exitPlan: plan, _assetCost: 0.0001
+    }, candles, 0);
+
+    // Paper trading: tick by tick against a persisted row
+    let row = {
+      direction: 'LONG', status: 'open', entry_price: '100', stop_loss: '95', exit_plan: plan,
+      targets_hit: 0, trailing_active: false, peak_price: '100'
+    };
+    const paperExits = [];
+    for (const price of prices.slice(1)) {
+      const check = checkPriceAgainstLevels(row, price);
+      paperExits.push(...check.events.filter(e => e.type !== 'trailing_armed' && e.type !== 'trailing_moved'));
+      if (check.action === 'stop_loss' || check.action === 'trailing_stop') break;
+      const s = check.state;
+      row = {
+        ...row, stop_loss: String(s.stop), targets_hit: s.targetsHit, trailing_active: s.trailingActive,
+        trailing_stop_current: s.trailingStop != null ? String(s.trailingStop) : null, peak_price: String(s.peak)
+      };
+    }
+
+    expect(simulated.exitReason).toBe('trailing_stop');
+    expect(simulated.targetsHit).toBe(2);
+    expect(simulated.partialCloses.map(p => p.target)).toEqual([1, 2]);
+    expect(paperExits.map(e => e.type)).toEqual(['target', 'target', 'trailing_stop']);
+    expect(paperExits[2].price).toBeCloseTo(115 * 0.98);
+    expect(simulated.exitPrice).toBeLessThan(paperExits[2].price); // Overshoot + cost on the backtest fill
+  });
+
+  test('both engines exit a chandelier ladder off the highest high', () => {
+    const plan = buildExitPlan(
+      normalizeExitLadder({ targets: [{ at: { r: 4 } }], trailing: { mode: 'chandelier' } }), LEVELS, 'LONG'
+    );
+    const path = [100, 101, 104, 108, 103, 101.9];
+
+    const candles = path.map((p, i) => ({ timestamp: i * 3600000, open: p, high: p, low: p, close: p }));
+    const simulated = simulateTradeExecution({
+      direction: 'LONG', entryPrice: 100, stopLoss: 95, quantity: 10, positionSizeUsd: 1000,
+      exitPlan: plan, _assetCost: 0.0001
+    }, candles, 0);
+
+    let row = {
+      direction: 'LONG', status: 'open', entry_price: '100', stop_loss: '95', exit_plan: plan,
+      targets_hit: 0, trailing_active: false, peak_price: '100'
+    };
+    let check;
+    for (const price of path.slice(1)) {
+      check = checkPriceAgainstLevels(row, price);
+      if (check.action === 'trailing_stop') break;
+      const s = check.state;
+      row = {
+        ...row, trailing_active: s.trailingActive,
+        trailing_stop_current: s.trailingStop != null ? String(s.trailingStop) : null, peak_price: String(s.peak)
+      };
+    }
+
+    expect(simulated.exitReason).toBe('trailing_stop');
+    expect(simulated.exitIndex).toBe(5);
+    expect(check.action).toBe('trailing_stop');
+    expect(check.events[0].price).toBe(102); // 108 - 3 × ATR 2
+  });
+});
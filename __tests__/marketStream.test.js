@@ -0,0 +1,298 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — marketStream.js (against a local WebSocket + REST stand-in server)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const http = require('http');
+const { once } = require('events');
+const { WebSocketServer } = require('ws');
+const { MarketStream, mergeTicks, createThrottle } = require('../marketStream');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const MINUTE = 60 * 1000;
+const T0 = 1700000040000; // minute-aligned
+
+// ─── Stand-in Binance server ────────────────────────────────────────────────
+
+/**
+ * One HTTP server carries both the combined WebSocket stream and the REST
+ * endpoints used for backfill. Tests push frames to connected sockets and
+ * set the REST responses.
+ */
+function createStandIn() {
+  const rest = {
+    depth: { lastUpdateId: 100, bids: [['50000.00', '1.5'], ['49990.00', '2']], asks: [['50010.00', '1'], ['50020.00', '3']] },
+    klines: []
+  };
+  const restCalls = [];
+  const connections = [];
+
+  const server = http.createServer((req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    restCalls.push({ path: url.pathname, query: Object.fromEntries(url.searchParams) });
+    const body = url.pathname === '/api/v3/depth' ? rest.depth
+      : url.pathname === '/api/v3/klines' ? rest.klines
+      : null;
+    res.writeHead(body ? 200 : 404, { 'Content-Type': 'application/json' });
+    res.end(JSON.stringify(body || { code: -1 }));
+  });
+  const wss = new WebSocketServer({ server });
+  wss.on('connection', (socket, req) => connections.push({ socket, url: req.url }));
+
+  return {
+    rest,
+    restCalls,
+    connections,
+    latest: () => connections[connections.length - 1],
+    send: (stream, data) => connections[connections.length - 1].socket.send(JSON.stringify({ stream, data })),
+    listen: () => new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port))),
+    close: () => new Promise(resolve => {
+      for (const c of wss.clients) c.terminate();
+      wss.close(() => server.close(resolve));
+    })
+  };
+}
+
+function klineEvent(openTime, close, closed) {
+  return {
+    e: 'kline',
+    k: {
+      t: openTime, T: openTime + MINUTE - 1, o: '50000', h: '50100', l: '49900', c: String(close),
+      v: '10', q: '500000', n: 100, V: '5', Q: '250000', x: closed
+    }
+  };
+}
+
+function rawKline(openTime, close) {
+  return [openTime, '50000', '50100', '49900', String(close), '10', openTime + MINUTE - 1, '500000', 100, '5', '250000', '0'];
+}
+
+/** Resolve once `predicate()` is true (polling), or fail after `ms`. */
+async function waitFor(predicate, ms = 2000) {
+  const deadline = Date.now() + ms;
+  while (!predicate()) {
+    if (Date.now() > deadline) throw new Error('waitFor timed out');
+    await new Promise(r => setTimeout(r, 10));
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MarketStream
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('MarketStream', () => {
+  let standIn;
+  let port;
+  let stream;
+
+  beforeEach(async () => {
+    standIn = createStandIn();
+    port = await standIn.listen();
+    stream = new MarketStream({
+      assets: { bitcoin: 'BTCUSDT', ethereum: 'ETHUSDT' },
+      baseUrl: `ws://127.0.0.1:${port}`,
+      restBaseUrl: `http://127.0.0.1:${port}`,
+      baseDelayMs: 10,
+      maxDelayMs: 40
+    });
+  });
+
+  afterEach(async () => {
+    stream.stop();
+    await standIn.close();
+  });
+
+  async function connect() {
+    stream.start();
+    await once(stream, 'open');
+    await waitFor(() => standIn.connections.length > 0);
+  }
+
+  // ─── Subscription + ticks ──────────────────────────────────────────────
+
+  test('subscribes to ticker, kline and depth for every symbol on one connection', async () => {
+    await connect();
+
+    expect(standIn.latest().url).toBe(
+      '/stream?streams=btcusdt@ticker/btcusdt@kline_1m/btcusdt@depth/ethusdt@ticker/ethusdt@kline_1m/ethusdt@depth'
+    );
+  });
+
+  test('ticker frames update the snapshot and emit tick', async () => {
+    await connect();
+    const tick = once(stream, 'tick');
+    standIn.send('btcusdt@ticker', { e: '24hrTicker', c: '50123.45', P: '2.3456', q: '123456789.5' });
+
+    expect(await tick).toEqual(['bitcoin']);
+    expect(stream.getSnapshot().bitcoin).toMatchObject({ symbol: 'BTC', price: 50123.45, change24h: 2.35, volume24h: 123456789.5 });
+    expect(stream.isHealthy()).toBe(true);
+  });
+
+  test('frames for untracked symbols are ignored', async () => {
+    await connect();
+    const onTick = jest.fn();
+    stream.on('tick', onTick);
+    standIn.send('dogeusdt@ticker', { c: '0.1', P: '1', q: '1' });
+    standIn.send('btcusdt@ticker', { c: '50000', P: '0', q: '1' });
+
+    await once(stream, 'tick');
+    expect(onTick).toHaveBeenCalledTimes(1);
+    expect(stream.getSnapshot().dogecoin).toBeUndefined();
+  });
+
+  // ─── Depth sync + gaps ─────────────────────────────────────────────────
+
+  test('first depth diff loads a REST snapshot and replays buffered diffs', async () => {
+    await connect();
+    const synced = once(stream, 'backfill');
+    standIn.send('btcusdt@depth', { U: 95, u: 101, b: [['50005.00', '0.5']], a: [] });   // straddles 101
+    standIn.send('btcusdt@depth', { U: 102, u: 103, b: [], a: [['50010.00', '0']] });   // best ask removed
+
+    const [event] = await synced;
+    expect(event).toMatchObject({ asset: 'bitcoin', stream: 'depth' });
+    await waitFor(() => stream.books.get('BTCUSDT')?.lastUpdateId === 103);
+
+    expect(standIn.restCalls.filter(c => c.path === '/api/v3/depth')[0].query).toEqual({ symbol: 'BTCUSDT', limit: '100' });
+    expect(stream.getSnapshot().bitcoin).toMatchObject({ bestBid: 50005, bestAsk: 50020 });
+  });
+
+  test('a skipped update id is a gap that triggers a fresh snapshot', async () => {
+    await connect();
+    standIn.send('btcusdt@depth', { U: 100, u: 101, b: [], a: [] });
+    await once(stream, 'backfill');
+
+    const gap = once(stream, 'gap');
+    const resynced = once(stream, 'backfill');
+    standIn.rest.depth = { lastUpdateId: 150, bids: [['51000.00', '1']], asks: [['51010.00', '1']] };
+    standIn.send('btcusdt@depth', { U: 140, u: 151, b: [], a: [] });
+
+    expect((await gap)[0]).toEqual({ asset: 'bitcoin', stream: 'depth', expected: 102, received: 140 });
+    await resynced;
+    expect(standIn.restCalls.filter(c => c.path === '/api/v3/depth')).toHaveLength(2);
+    expect(stream.getSnapshot().bitcoin).toMatchObject({ bestBid: 51000, bestAsk: 51010 });
+  });
+
+  // ─── Kline gaps ────────────────────────────────────────────────────────
+
+  test('missing klines are detected and backfilled over REST', async () => {
+    await connect();
+    standIn.rest.klines = [rawKline(T0 + MINUTE, 50200), rawKline(T0 + 2 * MINUTE, 50300)];
+
+    standIn.send('btcusdt@kline_1m', klineEvent(T0, 50100, true));
+    const gap = once(stream, 'gap');
+    const backfill = once(stream, 'backfill');
+    standIn.send('btcusdt@kline_1m', klineEvent(T0 + 3 * MINUTE, 50400, false));
+
+    expect((await gap)[0]).toEqual({ asset: 'bitcoin', stream: 'kline', from: T0 + MINUTE, to: T0 + 3 * MINUTE - 1, missing: 2 });
+    expect((await backfill)[0]).toMatchObject({ stream: 'kline', candles: 2 });
+
+    const [call] = standIn.restCalls.filter(c => c.path === '/api/v3/klines');
+    expect(call.query).toMatchObject({
+      symbol: 'BTCUSDT', interval: '1m', startTime: String(T0 + MINUTE), endTime: String(T0 + 3 * MINUTE - 1)
+    });
+    expect(stream.getCandles('bitcoin').map(c => c.close)).toEqual([50100, 50200, 50300]);
+    expect(stream.getSnapshot().bitcoin.price).toBe(50400);
+  });
+
+  test('consecutive klines do not backfill', async () => {
+    await connect();
+    const onGap = jest.fn();
+    stream.on('gap', onGap);
+
+    standIn.send('btcusdt@kline_1m', klineEvent(T0, 50100, true));
+    standIn.send('btcusdt@kline_1m', klineEvent(T0 + MINUTE, 50150, false));
+    standIn.send('btcusdt@kline_1m', klineEvent(T0 + MINUTE, 50200, true));
+    await waitFor(() => stream.getCandles('bitcoin').length === 2);
+
+    expect(onGap).not.toHaveBeenCalled();
+    expect(standIn.restCalls).toHaveLength(0);
+  });
+
+  // ─── Reconnect ─────────────────────────────────────────────────────────
+
+  test('reconnects after the server drops the socket', async () => {
+    await connect();
+    const closed = once(stream, 'close');
+    standIn.latest().socket.terminate();
+
+    await closed;
+    expect(stream.isHealthy()).toBe(false);
+    await once(stream, 'open');
+    await waitFor(() => standIn.connections.length === 2);
+    expect(stream.isHealthy()).toBe(true);
+  });
+
+  test('a silent socket is declared stale and replaced', async () => {
+    stream.options.staleMs = 100;
+    await connect();
+
+    await once(stream, 'close');
+    await once(stream, 'open');
+    expect(standIn.connections.length).toBeGreaterThanOrEqual(2);
+  });
+
+  test('stop() closes the socket without reconnecting', async () => {
+    await connect();
+    stream.stop();
+    await new Promise(r => setTimeout(r, 100));
+
+    expect(standIn.connections).toHaveLength(1);
+    expect(stream.isHealthy()).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('mergeTicks', () => {
+  test('overlays streamed fields and keeps polled market cap', () => {
+    const crypto = { bitcoin: { symbol: 'BTC', price: 49000, change24h: 1, volume24h: 5, marketCap: 1e12 } };
+    const merged = mergeTicks(crypto, {
+      bitcoin: { symbol: 'BTC', price: 50000, change24h: 2, bestBid: 49999, updatedAt: 1 },
+      ethereum: { symbol: 'ETH', price: 3000, updatedAt: 1 },
+      solana: { symbol: 'SOL', bestBid: 100, updatedAt: 1 } // no price yet
+    });
+
+    expect(merged.bitcoin).toEqual({ symbol: 'BTC', price: 50000, change24h: 2, volume24h: 5, marketCap: 1e12, bestBid: 49999 });
+    expect(merged.ethereum).toEqual({ symbol: 'ETH', price: 3000, marketCap: 0 });
+    expect(merged.solana).toBeUndefined();
+    expect(crypto.bitcoin.price).toBe(49000);
+  });
+});
+
+describe('createThrottle', () => {
+  beforeEach(() => jest.useFakeTimers());
+  afterEach(() => jest.useRealTimers());
+
+  test('runs at once, then once per window with a trailing call', () => {
+    const fn = jest.fn();
+    const throttled = createThrottle(fn, 1000);
+
+    throttled();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    throttled();
+    throttled();
+    expect(fn).toHaveBeenCalledTimes(1);
+
+    jest.advanceTimersByTime(1000);
+    expect(fn).toHaveBeenCalledTimes(2);
+
+    jest.advanceTimersByTime(5000);
+    expect(fn).toHaveBeenCalledTimes(2);
+  });
+
+  test('cancel drops the pending trailing call', () => {
+    const fn = jest.fn();
+    const throttled = createThrottle(fn, 1000);
+    throttled();
+    throttled();
+    throttled.cancel();
+
+    jest.advanceTimersByTime(2000);
+    expect(fn).toHaveBeenCalledTimes(1);
+  });
+});
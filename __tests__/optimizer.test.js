@@ -129,6 +129,27 @@ describe('Job Management', () => {
     expect(['queued', 'fetching', 'testing', 'error']).toContain(status.status);
   });
 
+  test('multi-parameter job records paramNames and mode', () => {
+    const jobId = startOptimizationJob({
+      asset: 'bitcoin',
+      days: 1,
+      paramNames: ['buyThreshold', 'sellThreshold'],
+      mode: 'random'
+    });
+    const status = getJobStatus(jobId);
+    expect(status.paramNames).toEqual(['buyThreshold', 'sellThreshold']);
+    expect(status.paramName).toBe('buyThreshold+sellThreshold');
+    expect(status.mode).toBe('random');
+  });
+
+  test('multi-parameter job fails cleanly on unknown parameters', async () => {
+    const done = new Promise(resolve => {
+      startOptimizationJob({ asset: 'bitcoin', days: 1, paramNames: ['notAParam'] }, (err) => resolve(err));
+    });
+    const err = await done;
+    expect(err.message).toMatch(/Unknown parameter/);
+  });
+
   test('getJobStatus returns null for unknown job ID', () => {
     expect(getJobStatus('nonexistent-job-id')).toBeNull();
   });
@@ -11,6 +11,11 @@ const {
   getOrder,
   expireOrders,
   processSignals,
+  processWorkingOrders,
+  advanceTrailingStop,
+  isRestingOrder,
+  recordFill,
+  recordPartialFill,
   getExecutionLog,
   generateClientOrderId,
   ORDER_STATUS,
@@ -70,6 +75,7 @@ jest.mock('../paperTrading', () => {
     checkDuplicateTrade: jest.fn().mockResolvedValue(false),
     checkPortfolioLimits: jest.fn().mockResolvedValue({ allowed: true, reason: 'OK' }),
     getOrCreateConfig: jest.fn().mockResolvedValue({ config: { ...defaultConfig }, error: null }),
+    resolveCurrentPrice: jest.fn((asset, marketData) => marketData?.price ?? null),
     DEFAULT_CONFIG: {
       max_position_percent: 0.30,
       current_capital: 10000,
@@ -755,6 +761,312 @@ describe('getOrders', () => {
   });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// Linked orders (OCO / BRACKET / TRAILING_STOP)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// In-memory orders table: linked flows read back rows they changed
+function createOrderStore() {
+  const orders = new Map();
+  let seq = 0;
+
+  function query(table) {
+    const filters = [];
+    let write = null;
+    const run = () => {
+      if (table !== 'orders') return [];
+      if (write?.op === 'insert') {
+        const row = { id: `ord-${++seq}`, ...write.payload };
+        orders.set(row.id, row);
+        return [{ ...row }];
+      }
+      const matched = [...orders.values()].filter(r => filters.every(f => f(r)));
+      if (write?.op === 'update') matched.forEach(r => Object.assign(r, write.payload));
+      return matched.map(r => ({ ...r }));
+    };
+    const chain = {
+      select: () => chain,
+      insert: (payload) => { write = { op: 'insert', payload }; return chain; },
+      update: (payload) => { write = { op: 'update', payload }; return chain; },
+      eq: (col, val) => { filters.push(r => r[col] === val); return chain; },
+      in: (col, vals) => { filters.push(r => vals.includes(r[col])); return chain; },
+      order: () => chain,
+      limit: () => chain,
+      single: () => {
+        const data = run()[0] || null;
+        return Promise.resolve({ data, error: data ? null : { code: 'PGRST116', message: 'not found' } });
+      },
+      then: (resolve, reject) => Promise.resolve({ data: run(), error: null }).then(resolve, reject)
+    };
+    return chain;
+  }
+
+  return {
+    orders,
+    row: (id) => orders.get(id),
+    from: jest.fn().mockImplementation(query),
+    rpc: jest.fn().mockImplementation((fn, { p_order_id, p_from_status, p_to_status, p_extra }) => {
+      const row = orders.get(p_order_id);
+      if (!row || row.status !== p_from_status) {
+        return Promise.resolve({ data: { success: false, reason: 'Status mismatch' }, error: null });
+      }
+      Object.assign(row, p_extra, { status: p_to_status });
+      return Promise.resolve({ data: { success: true }, error: null });
+    })
+  };
+}
+
+// Venue that fills on price conditions only (marketData.price)
+function createPriceAdapter() {
+  const evaluate = jest.fn(async (order, marketData) => {
+    const p = marketData.price;
+    const stop = order.stop_price != null ? parseFloat(order.stop_price) : null;
+    const limit = order.price != null ? parseFloat(order.price) : null;
+    const buy = order.side === 'BUY';
+    let hit;
+    if (order.order_type === 'MARKET' || (order.order_type === 'BRACKET' && limit == null)) hit = true;
+    else if (order.order_type === 'LIMIT' || order.order_type === 'BRACKET') hit = buy ? p <= limit : p >= limit;
+    else hit = stop != null && (buy ? p >= stop : p <= stop);
+    return hit
+      ? { filled: true, fillPrice: p, fillQuantity: parseFloat(order.quantity), exchange_order_id: order.exchange_order_id }
+      : { filled: false, reason: 'waiting', exchange_order_id: order.exchange_order_id || `ex-${order.id}` };
+  });
+  return {
+    name: 'paper',
+    placeOrder: evaluate,
+    checkWorkingOrder: evaluate,
+    cancelWorkingOrder: jest.fn().mockResolvedValue({ cancelled: true }),
+    amendOrder: jest.fn().mockResolvedValue({ amended: true })
+  };
+}
+
+const linkedConfig = { is_enabled: true, current_capital: 10000, max_position_percent: 0.3 };
+
+async function createAndSubmit(sb, adapter, spec, price) {
+  const { order, children, error } = await createOrder(sb, 'user1', { asset: 'bitcoin', quantity: 0.1, ...spec });
+  expect(error).toBeNull();
+  const { valid } = await validateOrder(sb, 'user1', order, linkedConfig);
+  expect(valid).toBe(true);
+  const submitted = await submitOrder(sb, 'user1', order, adapter, { price }, linkedConfig);
+  return { order, children, submitted };
+}
+
+describe('linked orders', () => {
+  beforeEach(() => {
+    mockCheckSafetyLimits.mockResolvedValue({ safe: true, reason: 'OK' });
+    mockCheckDuplicateTrade.mockResolvedValue(false);
+    mockCheckPortfolioLimits.mockResolvedValue({ allowed: true, reason: 'OK' });
+  });
+
+  test.each([
+    [{ orderType: 'STOP_MARKET', side: 'SELL' }, 'require a stopPrice'],
+    [{ orderType: 'TRAILING_STOP', side: 'SELL' }, 'trailingStopPct'],
+    [{ orderType: 'OCO', side: 'SELL', legs: [{ orderType: 'LIMIT', price: 110 }] }, 'exactly two legs'],
+    [{ orderType: 'OCO', side: 'SELL', legs: [{ orderType: 'MARKET' }, { orderType: 'LIMIT', price: 1 }] }, 'OCO leg 1'],
+    [{ orderType: 'BRACKET', side: 'BUY', stopLoss: 112, takeProfit1: 110 }, 'stopLoss < entry < takeProfit1'],
+    [{ orderType: 'BRACKET', side: 'BUY', price: 100, stopLoss: 95, takeProfit1: 99 }, 'stopLoss < entry < takeProfit1'],
+    [{ orderType: 'BRACKET', side: 'SELL', takeProfit1: 90 }, 'require stopLoss and takeProfit1']
+  ])('rejects invalid spec %#', async (spec, message) => {
+    const { order, error } = await createOrder(createOrderStore(), 'user1', { asset: 'bitcoin', quantity: 1, ...spec });
+    expect(order).toBeNull();
+    expect(error.message).toContain(message);
+  });
+
+  test('BRACKET creates dormant reduce-only stop-loss and take-profit legs', async () => {
+    const sb = createOrderStore();
+    const { order, children } = await createOrder(sb, 'user1', {
+      asset: 'bitcoin', side: 'BUY', orderType: 'BRACKET', quantity: 0.1, stopLoss: 95, takeProfit1: 110
+    });
+
+    expect(order.reduce_only).toBe(false);
+    expect(children).toHaveLength(2);
+    expect(children.map(c => [c.order_type, c.side, c.leg_role, c.status])).toEqual([
+      ['STOP_MARKET', 'SELL', 'stop_loss', 'PENDING'],
+      ['LIMIT', 'SELL', 'take_profit', 'PENDING']
+    ]);
+    expect(children[0].stop_price).toBe(95);
+    expect(children[1].price).toBe(110);
+    children.forEach(c => {
+      expect(c.parent_order_id).toBe(order.id);
+      expect(c.reduce_only).toBe(true);
+      expect(c.source).toBe('bracket');
+    });
+  });
+
+  test('BRACKET entry fill activates legs; stop-loss fill cancels the take-profit', async () => {
+    const sb = createOrderStore();
+    const adapter = createPriceAdapter();
+    const { order, children, submitted } = await createAndSubmit(sb, adapter, {
+      side: 'BUY', orderType: 'BRACKET', stopLoss: 95, takeProfit1: 110
+    }, 100);
+
+    expect(sb.row(order.id).status).toBe('FILLED');
+    expect(submitted.children.map(c => c.status)).toEqual(['SUBMITTED', 'SUBMITTED']);
+    expect(sb.row(children[0].id).exchange_order_id).toBe(`ex-${children[0].id}`);
+
+    // Nothing triggers in range
+    let stats = await processWorkingOrders(sb, adapter, { price: 101 });
+    expect(stats).toMatchObject({ checked: 2, filled: 0 });
+
+    stats = await processWorkingOrders(sb, adapter, { price: 94 });
+    expect(stats).toMatchObject({ filled: 1, cancelled: 1 });
+    expect(sb.row(children[0].id).status).toBe('FILLED');
+    expect(sb.row(children[1].id).status).toBe('CANCELLED');
+    expect(sb.row(children[1].id).reject_reason).toContain('stop_loss');
+    expect(adapter.cancelWorkingOrder).toHaveBeenCalledWith(expect.objectContaining({ id: children[1].id }));
+  });
+
+  test('reduce-only OCO skips entry risk checks and fills its parent with the winning leg', async () => {
+    mockCheckDuplicateTrade.mockResolvedValue(true); // The position it protects is open
+    const sb = createOrderStore();
+    const adapter = createPriceAdapter();
+    const { order, children, submitted } = await createAndSubmit(sb, adapter, {
+      side: 'SELL', orderType: 'OCO',
+      legs: [{ orderType: 'LIMIT', price: 110 }, { orderType: 'STOP_MARKET', stopPrice: 95 }]
+    }, 100);
+
+    expect(order.reduce_only).toBe(true);
+    expect(submitted.children).toHaveLength(2);
+    expect(adapter.placeOrder).not.toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), expect.anything(), expect.anything());
+
+    await processWorkingOrders(sb, adapter, { price: 111 });
+    expect(sb.row(children[0].id).status).toBe('FILLED');
+    expect(sb.row(children[1].id).status).toBe('CANCELLED');
+    expect(sb.row(order.id)).toMatchObject({ status: 'FILLED', avg_fill_price: '111' });
+  });
+
+  test('cancelling a BRACKET before entry cancels its legs', async () => {
+    const sb = createOrderStore();
+    const { order, children } = await createOrder(sb, 'user1', {
+      asset: 'bitcoin', side: 'BUY', orderType: 'BRACKET', quantity: 0.1, price: 99, stopLoss: 95, takeProfit1: 110
+    });
+
+    const { linkedCancelled, error } = await cancelOrder(sb, 'user1', order.id);
+    expect(error).toBeNull();
+    expect(linkedCancelled.map(o => o.id).sort()).toEqual(children.map(c => c.id).sort());
+    children.forEach(c => expect(sb.row(c.id).status).toBe('CANCELLED'));
+  });
+
+  test('cancelling one OCO leg pulls its sibling from the venue and cancels the parent', async () => {
+    const sb = createOrderStore();
+    const adapter = createPriceAdapter();
+    const { order, children } = await createAndSubmit(sb, adapter, {
+      side: 'SELL', orderType: 'OCO',
+      legs: [{ orderType: 'LIMIT', price: 110 }, { orderType: 'STOP_MARKET', stopPrice: 95 }]
+    }, 100);
+
+    const { error } = await cancelOrder(sb, 'user1', children[0].id, adapter);
+    expect(error).toBeNull();
+    expect(sb.row(children[1].id).status).toBe('CANCELLED');
+    expect(sb.row(order.id).status).toBe('CANCELLED');
+    expect(adapter.cancelWorkingOrder).toHaveBeenCalledTimes(3);
+  });
+
+  test('TRAILING_STOP is seeded at submit, ratchets with price and fills on retrace', async () => {
+    const sb = createOrderStore();
+    const adapter = createPriceAdapter();
+    const { order } = await createAndSubmit(sb, adapter, {
+      side: 'SELL', orderType: 'TRAILING_STOP', trailingStopPct: 5
+    }, 100);
+
+    expect(sb.row(order.id)).toMatchObject({ status: 'SUBMITTED', stop_price: 95, trailing_peak: 100 });
+
+    const stats = await processWorkingOrders(sb, adapter, { price: 110 });
+    expect(stats).toMatchObject({ trailed: 1, filled: 0 });
+    expect(sb.row(order.id).stop_price).toBeCloseTo(104.5);
+    expect(adapter.amendOrder).toHaveBeenCalledWith(expect.objectContaining({ id: order.id }), { stopPrice: 104.5 });
+
+    await processWorkingOrders(sb, adapter, { price: 104 });
+    expect(sb.row(order.id).status).toBe('FILLED');
+  });
+
+  test('a leg the venue marks obsolete cancels its linked group', async () => {
+    const sb = createOrderStore();
+    const adapter = createPriceAdapter();
+    const { order, children } = await createAndSubmit(sb, adapter, {
+      side: 'BUY', orderType: 'BRACKET', stopLoss: 95, takeProfit1: 110
+    }, 100);
+
+    adapter.checkWorkingOrder.mockResolvedValueOnce({ filled: false, cancel: true, reason: 'No open position' });
+    const stats = await processWorkingOrders(sb, adapter, { price: 101 });
+
+    expect(stats.cancelled).toBe(2);
+    children.forEach(c => expect(sb.row(c.id)).toMatchObject({ status: 'CANCELLED', reject_reason: 'No open position' }));
+    expect(sb.row(order.id).status).toBe('FILLED'); // The entry stays filled
+  });
+
+  test('with resolveAdapter each resting order runs on its owner\'s account', async () => {
+    const sb = createOrderStore();
+    const { children } = await createAndSubmit(sb, createPriceAdapter(), {
+      side: 'BUY', orderType: 'BRACKET', stopLoss: 95, takeProfit1: 110
+    }, 100);
+    Object.assign(sb.row(children[0].id), { execution_adapter: 'bybit' });
+    Object.assign(sb.row(children[1].id), { execution_adapter: 'bybit', user_id: 'user2' });
+
+    const operatorAdapter = createPriceAdapter();
+    const user1Adapter = createPriceAdapter();
+    const resolveAdapter = jest.fn(async (userId) => (userId === 'user1'
+      ? { adapter: user1Adapter }
+      : { error: 'No bybit credentials stored for this user', missing: true }));
+
+    const stats = await processWorkingOrders(sb, operatorAdapter, { price: 101 }, null, { resolveAdapter });
+
+    expect(stats).toMatchObject({ checked: 1, skipped: 1 });
+    expect(resolveAdapter).toHaveBeenCalledWith('user1', 'bybit');
+    expect(resolveAdapter).toHaveBeenCalledWith('user2', 'bybit');
+    expect(user1Adapter.checkWorkingOrder).toHaveBeenCalledWith(
+      expect.objectContaining({ id: children[0].id }), { price: 101 }, null
+    );
+    expect(operatorAdapter.checkWorkingOrder).not.toHaveBeenCalled();
+  });
+});
+
+describe('advanceTrailingStop', () => {
+  test('SELL trails below the peak and never loosens', () => {
+    const order = { side: 'SELL', trailing_stop_pct: '2', trailing_peak: '100', stop_price: '98' };
+    expect(advanceTrailingStop(order, 110)).toEqual({ peak: 110, stopPrice: 107.8, changed: true });
+    expect(advanceTrailingStop(order, 99)).toEqual({ peak: 100, stopPrice: 98, changed: false });
+  });
+
+  test('BUY trails above the trough; a seeded stop acts as the floor', () => {
+    const order = { side: 'BUY', trailing_stop_pct: 10, trailing_peak: null, stop_price: 105 };
+    expect(advanceTrailingStop(order, 100).stopPrice).toBe(105);
+    expect(advanceTrailingStop({ ...order, trailing_peak: 100 }, 90).stopPrice).toBe(99);
+  });
+
+  test('isRestingOrder covers limit and conditional types and linked legs only', () => {
+    expect(isRestingOrder({ order_type: 'MARKET' })).toBe(false);
+    expect(isRestingOrder({ order_type: 'LIMIT' })).toBe(true);
+    expect(isRestingOrder({ order_type: 'MARKET', parent_order_id: 'p1' })).toBe(true);
+    expect(isRestingOrder({ order_type: 'TRAILING_STOP' })).toBe(true);
+  });
+
+  test('partial fills accumulate on the order until the final fill', async () => {
+    const sb = createOrderStore();
+    sb.orders.set('lim-1', { id: 'lim-1', user_id: 'user1', asset: 'bitcoin', order_type: 'LIMIT', status: 'SUBMITTED', quantity: '1' });
+    const order = { ...sb.row('lim-1') };
+
+    expect(await recordPartialFill(sb, order, { fillPrice: 100, fillQuantity: 0.4, lastQuantity: 0.4 })).toBe(true);
+    expect(await recordPartialFill(sb, order, { fillPrice: 100, fillQuantity: 0.7, lastQuantity: 0.3 })).toBe(true);
+    expect(sb.row('lim-1')).toMatchObject({ status: 'PARTIAL_FILL', filled_quantity: '0.7' });
+
+    expect(await recordFill(sb, order, { fillPrice: 100, fillQuantity: 1 })).toBe(true);
+    expect(sb.row('lim-1')).toMatchObject({ status: 'FILLED', filled_quantity: '1' });
+  });
+
+  test('a partially filled order can be cancelled', async () => {
+    const sb = createOrderStore();
+    sb.orders.set('lim-2', { id: 'lim-2', user_id: 'user1', asset: 'bitcoin', order_type: 'LIMIT', status: 'PARTIAL_FILL', quantity: '1' });
+    const adapter = createPriceAdapter();
+
+    const { order, error } = await cancelOrder(sb, 'user1', 'lim-2', adapter);
+
+    expect(error).toBeNull();
+    expect(order.status).toBe('CANCELLED');
+    expect(adapter.cancelWorkingOrder).toHaveBeenCalled();
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // Constants
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -774,6 +1086,10 @@ describe('Constants', () => {
     expect(ORDER_TYPE.MARKET).toBe('MARKET');
     expect(ORDER_TYPE.LIMIT).toBe('LIMIT');
     expect(ORDER_TYPE.STOP_LIMIT).toBe('STOP_LIMIT');
+    expect(ORDER_TYPE.STOP_MARKET).toBe('STOP_MARKET');
+    expect(ORDER_TYPE.TRAILING_STOP).toBe('TRAILING_STOP');
+    expect(ORDER_TYPE.OCO).toBe('OCO');
+    expect(ORDER_TYPE.BRACKET).toBe('BRACKET');
   });
 
   test('EVENT_TYPE has all expected values', () => {
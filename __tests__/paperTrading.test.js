@@ -11,7 +11,9 @@ const {
   DEFAULT_CONFIG,
   calculateLogReturns,
   calculatePearsonCorrelation,
-  getPositionCorrelations
+  getPositionCorrelations,
+  evaluatePortfolioLimits,
+  checkPortfolioLimits
 } = require('../paperTrading');
 
 // ─── Test Helpers ──────────────────────────────────────────────────────────
@@ -631,3 +633,126 @@ describe('getPositionCorrelations', () => {
     }
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// evaluatePortfolioLimits Tests
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('evaluatePortfolioLimits', () => {
+  const config = { ...DEFAULT_CONFIG, current_capital: 10000, risk_per_trade: 0.02 };
+  const corr = (value) => jest.fn().mockResolvedValue(value);
+
+  test('allows when there are no open positions', async () => {
+    const result = await evaluatePortfolioLimits([], makeSignal({ asset: 'bitcoin' }), config, corr(1));
+    expect(result.allowed).toBe(true);
+  });
+
+  test('blocks same-direction crypto limit with LONG/SHORT stored directions', async () => {
+    const open = [
+      { asset: 'ethereum', direction: 'LONG', position_size_usd: 100 },
+      { asset: 'solana', direction: 'LONG', position_size_usd: 100 },
+      { asset: 'cardano', direction: 'LONG', position_size_usd: 100 }
+    ];
+    const result = await evaluatePortfolioLimits(open, makeSignal({ asset: 'bitcoin' }), config, corr(0));
+    expect(result.allowed).toBe(false);
+    expect(result.rule).toBe('same_direction');
+  });
+
+  test('blocks on sector exposure', async () => {
+    const open = [{ asset: 'ethereum', direction: 'SHORT', position_size_usd: 5000 }];
+    const result = await evaluatePortfolioLimits(open, makeSignal({ asset: 'bitcoin' }), config, corr(0));
+    expect(result.allowed).toBe(false);
+    expect(result.rule).toBe('sector_exposure');
+  });
+
+  test('blocks on weighted correlation using the supplied correlation source', async () => {
+    const open = [
+      { asset: 'ethereum', direction: 'LONG', position_size_usd: 500 },
+      { asset: 'solana', direction: 'LONG', position_size_usd: 500 }
+    ];
+    const correlationFn = corr(0.9);
+    const result = await evaluatePortfolioLimits(open, makeSignal({ asset: 'bitcoin' }), config, correlationFn);
+    expect(result.allowed).toBe(false);
+    expect(result.rule).toBe('correlation');
+    expect(correlationFn).toHaveBeenCalledWith('bitcoin', 'ethereum');
+  });
+
+  test('allows when correlation is under the limit', async () => {
+    const open = [
+      { asset: 'ethereum', direction: 'LONG', position_size_usd: 500 },
+      { asset: 'solana', direction: 'LONG', position_size_usd: 500 }
+    ];
+    const result = await evaluatePortfolioLimits(open, makeSignal({ asset: 'bitcoin' }), config, corr(0.3));
+    expect(result.allowed).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// checkPortfolioLimits Tests (live path: paper_trades rows store LONG/SHORT)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('checkPortfolioLimits', () => {
+  const config = makeConfig({ current_capital: 10000, risk_per_trade: 0.02 });
+
+  /** paper_trades stand-in resolving the open-position query with `rows`. */
+  function supabaseWithPositions(rows, error = null) {
+    const chain = {
+      select: () => chain,
+      eq: () => chain,
+      in: () => Promise.resolve({ data: rows, error })
+    };
+    return { from: jest.fn(() => chain) };
+  }
+
+  test('stored LONG rows count toward the same-direction limit of a BUY', async () => {
+    const supabase = supabaseWithPositions([
+      { asset: 'ethereum', direction: 'LONG', position_size_usd: '100' },
+      { asset: 'solana', direction: 'LONG', position_size_usd: '100' },
+      { asset: 'cardano', direction: 'long', position_size_usd: '100' }
+    ]);
+    const result = await checkPortfolioLimits(supabase, 'user-limits-1', makeSignal({ asset: 'BITCOIN' }), config);
+
+    expect(supabase.from).toHaveBeenCalledWith('paper_trades');
+    expect(result).toMatchObject({ allowed: false, rule: 'same_direction' });
+    expect(result.reason).toContain('3/3 LONG');
+  });
+
+  test('stored SHORT rows do not count against a BUY', async () => {
+    const supabase = supabaseWithPositions([
+      { asset: 'ethereum', direction: 'SHORT', position_size_usd: '100' },
+      { asset: 'solana', direction: 'SHORT', position_size_usd: '100' },
+      { asset: 'cardano', direction: 'SHORT', position_size_usd: '100' }
+    ]);
+    const result = await checkPortfolioLimits(supabase, 'user-limits-2', makeSignal({ asset: 'BITCOIN' }), config);
+
+    expect(result).toEqual({ allowed: true, reason: 'Portfolio limits OK' });
+  });
+
+  test('stored SHORT rows count toward the same-direction limit of a SELL', async () => {
+    const supabase = supabaseWithPositions([
+      { asset: 'ethereum', direction: 'SHORT', position_size_usd: '100' },
+      { asset: 'solana', direction: 'SHORT', position_size_usd: '100' },
+      { asset: 'cardano', direction: 'SHORT', position_size_usd: '100' }
+    ]);
+    const result = await checkPortfolioLimits(supabase, 'user-limits-3', makeSignal({ asset: 'BITCOIN', action: 'SELL' }), config);
+
+    expect(result).toMatchObject({ allowed: false, rule: 'same_direction' });
+  });
+
+  test('sector exposure counts open positions of both directions', async () => {
+    const supabase = supabaseWithPositions([
+      { asset: 'ethereum', direction: 'SHORT', position_size_usd: '2500' },
+      { asset: 'solana', direction: 'LONG', position_size_usd: '2500' }
+    ]);
+    const result = await checkPortfolioLimits(supabase, 'user-limits-4', makeSignal({ asset: 'BITCOIN' }), config);
+
+    expect(result).toMatchObject({ allowed: false, rule: 'sector_exposure' });
+  });
+
+  test('fails open when the position query throws', async () => {
+    const supabase = { from: jest.fn(() => { throw new Error('db down'); }) };
+    const result = await checkPortfolioLimits(supabase, 'user-limits-5', makeSignal(), config);
+
+    expect(result.allowed).toBe(true);
+  });
+});
@@ -0,0 +1,162 @@
+const {
+  buildSearchSpace,
+  searchSpaceSize,
+  paramKey,
+  enumerateGrid,
+  parzenDensity,
+  suggestTPE,
+  runSearch,
+  MAX_GRID_COMBINATIONS,
+  MAX_EVALUATIONS
+} = require('../paramSearch');
+const { mulberry32 } = require('../monteCarloSim');
+
+// Synthetic 2-D space: x ∈ 0..19, y ∈ 0..19 → 400 combinations
+const SPACE = [
+  { name: 'x', label: 'X', values: Array.from({ length: 20 }, (_, i) => i) },
+  { name: 'y', label: 'Y', values: Array.from({ length: 20 }, (_, i) => i) }
+];
+// Single peak at (14, 5)
+const objective = async ({ x, y }) => ({ score: -((x - 14) ** 2) - ((y - 5) ** 2) });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Search space helpers
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('buildSearchSpace', () => {
+  test('builds discrete values from PARAM_RANGES', () => {
+    const space = buildSearchSpace(['buyThreshold', 'sellThreshold']);
+    expect(space.map(p => p.name)).toEqual(['buyThreshold', 'sellThreshold']);
+    expect(space[0].values.length).toBeGreaterThan(1);
+    expect(space[0].label).toBeDefined();
+  });
+
+  test('dedupes repeated names', () => {
+    expect(buildSearchSpace(['buyThreshold', 'buyThreshold'])).toHaveLength(1);
+  });
+
+  test('throws on unknown or empty parameters', () => {
+    expect(() => buildSearchSpace(['nope'])).toThrow('Unknown parameter');
+    expect(() => buildSearchSpace([])).toThrow('non-empty');
+  });
+});
+
+describe('paramKey / enumerateGrid', () => {
+  test('key is independent of property order', () => {
+    expect(paramKey({ b: 2, a: 1 })).toBe(paramKey({ a: 1, b: 2 }));
+    expect(paramKey({ a: 1, b: 2 })).toBe('a=1|b=2');
+  });
+
+  test('grid enumerates the full cartesian product', () => {
+    const space = [
+      { name: 'a', values: [1, 2, 3] },
+      { name: 'b', values: [10, 20] }
+    ];
+    const grid = enumerateGrid(space);
+    expect(grid).toHaveLength(searchSpaceSize(space));
+    expect(new Set(grid.map(paramKey)).size).toBe(6);
+    expect(grid).toContainEqual({ a: 3, b: 20 });
+  });
+});
+
+describe('parzenDensity', () => {
+  test('normalizes and peaks at observed indices', () => {
+    const probs = parzenDensity(10, [7, 7, 8]);
+    expect(probs.reduce((s, p) => s + p, 0)).toBeCloseTo(1, 10);
+    expect(probs[7]).toBeGreaterThan(probs[0]);
+    expect(Math.min(...probs)).toBeGreaterThan(0);
+  });
+});
+
+describe('suggestTPE', () => {
+  test('never suggests an already-seen combination', () => {
+    const history = [{ params: { x: 14, y: 5 }, score: 0 }, { params: { x: 0, y: 0 }, score: -221 }];
+    const seen = new Set(history.map(h => paramKey(h.params)));
+    const rng = mulberry32(1);
+    for (let i = 0; i < 20; i++) {
+      const s = suggestTPE(SPACE, history, rng, { seen });
+      expect(seen.has(paramKey(s))).toBe(false);
+    }
+  });
+
+  test('returns null when the space is exhausted', () => {
+    const space = [{ name: 'a', values: [1] }];
+    const history = [{ params: { a: 1 }, score: 0 }];
+    expect(suggestTPE(space, history, mulberry32(1), { seen: new Set(['a=1']) })).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// runSearch
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('runSearch', () => {
+  test('grid mode evaluates every combination exactly once', async () => {
+    const space = [{ name: 'a', values: [1, 2, 3] }, { name: 'b', values: [1, 2] }];
+    const history = await runSearch({ space, mode: 'grid', evaluate: async () => ({ score: 0 }) });
+    expect(history).toHaveLength(6);
+    expect(new Set(history.map(h => h.key)).size).toBe(6);
+  });
+
+  test('grid mode rejects spaces above MAX_GRID_COMBINATIONS', async () => {
+    const big = [
+      { name: 'a', values: Array.from({ length: 30 }, (_, i) => i) },
+      { name: 'b', values: Array.from({ length: 30 }, (_, i) => i) }
+    ];
+    expect(30 * 30).toBeGreaterThan(MAX_GRID_COMBINATIONS);
+    await expect(runSearch({ space: big, mode: 'grid', evaluate: objective })).rejects.toThrow('too large');
+  });
+
+  test('rejects unknown modes', async () => {
+    await expect(runSearch({ space: SPACE, mode: 'annealing', evaluate: objective })).rejects.toThrow('Unknown search mode');
+  });
+
+  test('random mode respects budget, has no duplicates and is seed-reproducible', async () => {
+    const a = await runSearch({ space: SPACE, mode: 'random', maxEvaluations: 30, seed: 7, evaluate: objective });
+    const b = await runSearch({ space: SPACE, mode: 'random', maxEvaluations: 30, seed: 7, evaluate: objective });
+    const c = await runSearch({ space: SPACE, mode: 'random', maxEvaluations: 30, seed: 8, evaluate: objective });
+    expect(a).toHaveLength(30);
+    expect(new Set(a.map(h => h.key)).size).toBe(30);
+    expect(a.map(h => h.key)).toEqual(b.map(h => h.key));
+    expect(a.map(h => h.key)).not.toEqual(c.map(h => h.key));
+  });
+
+  test('budget is capped by MAX_EVALUATIONS and the space size', async () => {
+    const small = [{ name: 'a', values: [1, 2, 3] }];
+    const h = await runSearch({ space: small, mode: 'random', maxEvaluations: 50, evaluate: async () => ({ score: 0 }) });
+    expect(h).toHaveLength(3);
+    const big = await runSearch({ space: SPACE, mode: 'random', maxEvaluations: 10000, evaluate: async () => ({ score: 0 }) });
+    expect(big).toHaveLength(Math.min(MAX_EVALUATIONS, 400));
+  });
+
+  test('initial combinations are evaluated first', async () => {
+    const history = await runSearch({
+      space: SPACE, mode: 'bayesian', maxEvaluations: 5,
+      initial: [{ x: 3, y: 3 }], evaluate: objective
+    });
+    expect(history[0].params).toEqual({ x: 3, y: 3 });
+    expect(history[0].evaluation).toBe(1);
+  });
+
+  test('bayesian mode beats random search on the same budget', async () => {
+    const best = (h) => Math.max(...h.map(e => e.score));
+    let tpeWins = 0;
+    for (const seed of [1, 2, 3, 4, 5]) {
+      const tpe = await runSearch({ space: SPACE, mode: 'bayesian', maxEvaluations: 40, seed, evaluate: objective });
+      const rnd = await runSearch({ space: SPACE, mode: 'random', maxEvaluations: 40, seed, evaluate: objective });
+      if (best(tpe) >= best(rnd)) tpeWins++;
+    }
+    expect(tpeWins).toBeGreaterThanOrEqual(4);
+  });
+
+  test('passes full evaluation result through and reports progress', async () => {
+    const progress = [];
+    const history = await runSearch({
+      space: SPACE, mode: 'random', maxEvaluations: 3,
+      evaluate: async (params) => ({ score: 1, extra: params.x }),
+      onEvaluation: (entry, index, total) => progress.push([index, total])
+    });
+    expect(history[0].result.extra).toBe(history[0].params.x);
+    expect(progress).toEqual([[0, 3], [1, 3], [2, 3]]);
+  });
+});
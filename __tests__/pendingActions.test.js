@@ -0,0 +1,445 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// TWO-PERSON APPROVAL TESTS
+// Guarded config split, the pending-action lifecycle (request → approve /
+// reject / cancel / expire → execute), approver role + second-person checks,
+// audit trail and the Telegram approve/reject buttons.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const mockProfiles = {};
+jest.mock('../roleMiddleware', () => ({
+  getProfile: jest.fn(async (id) => mockProfiles[id] || null)
+}));
+jest.mock('../paperTrading', () => ({
+  updateConfig: jest.fn(async (supabase, userId, updates) => ({ config: { user_id: userId, ...updates }, error: null }))
+}));
+jest.mock('../riskEngine', () => ({
+  deactivateKillSwitch: jest.fn(async (supabase, userId, options) => ({ success: true, scope: options.global ? 'global' : 'user' }))
+}));
+jest.mock('../autoTuner', () => ({
+  approveProposal: jest.fn(async () => ({ success: false, blocked: true, message: 'Promoción bloqueada' }))
+}));
+
+const {
+  ACTION_TYPES, isTwoPersonRequired, splitGuardedConfig, requestAction, approveAction, rejectAction,
+  expirePending, listActions, handleApprovalCallback,
+  createTelegramLinkCode, confirmTelegramLink, unlinkTelegram, resolveTelegramUser, TELEGRAM_UNLINKED_MESSAGE
+} = require('../pendingActions');
+const { updateConfig } = require('../paperTrading');
+const { deactivateKillSwitch } = require('../riskEngine');
+const { approveProposal } = require('../autoTuner');
+
+const TRADER = 'trader-1';
+const ADMIN = 'admin-1';
+const ADMIN_2 = 'admin-2';
+const VIEWER = 'viewer-1';
+
+// ─── In-memory Supabase ───────────────────────────────────────────────────────
+
+function createStore() {
+  const tables = { pending_actions: [], audit_log: [], user_profiles: [], telegram_links: [] };
+  let nextId = 1;
+
+  function from(table) {
+    const rows = tables[table];
+    const filters = [];
+    let op = 'select';
+    let payload = null;
+    let limit = Infinity;
+
+    function exec(mode) {
+      const matched = rows.filter(r => filters.every(f => f(r)));
+      let data;
+      if (op === 'upsert') {
+        const existing = rows.find(r => r.user_id === payload.user_id);
+        if (existing) Object.assign(existing, payload); else rows.push({ ...payload });
+        data = [payload];
+      } else if (op === 'insert') {
+        const open = table === 'pending_actions' && rows.some(r =>
+          r.status === 'pending' && r.action_type === payload.action_type && r.subject === payload.subject);
+        if (open) return Promise.resolve({ data: null, error: { code: '23505', message: 'duplicate key' } });
+        const row = { id: `pa-${nextId++}`, created_at: new Date(Date.now() + nextId).toISOString(), telegram_messages: {}, ...payload };
+        rows.push(row);
+        data = [row];
+      } else if (op === 'update') {
+        const taken = table === 'telegram_links' && payload.telegram_user_id &&
+          rows.some(r => r.telegram_user_id === payload.telegram_user_id && !matched.includes(r));
+        if (taken) return Promise.resolve({ data: null, error: { code: '23505', message: 'duplicate key' } });
+        matched.forEach(r => Object.assign(r, payload));
+        data = matched;
+      } else {
+        data = matched.slice(0, limit);
+      }
+      data = data.map(r => ({ ...r }));
+      if (mode === 'single') {
+        return Promise.resolve(data.length === 1 ? { data: data[0], error: null } : { data: null, error: { code: 'PGRST116', message: 'no rows' } });
+      }
+      return Promise.resolve({ data, error: null });
+    }
+
+    const q = {
+      select: () => q,
+      insert: (row) => { op = 'insert'; payload = row; return q; },
+      update: (patch) => { op = 'update'; payload = patch; return q; },
+      upsert: (row) => { op = 'upsert'; payload = row; return q; },
+      eq: (col, val) => { filters.push(r => r[col] === val); return q; },
+      in: (col, vals) => { filters.push(r => vals.includes(r[col])); return q; },
+      lte: (col, val) => { filters.push(r => r[col] <= val); return q; },
+      order: () => q,
+      limit: (n) => { limit = n; return q; },
+      single: () => exec('single'),
+      then: (resolve, reject) => exec().then(resolve, reject)
+    };
+    return q;
+  }
+
+  return { from: jest.fn(from), tables };
+}
+
+function createBot() {
+  let messageId = 100;
+  return {
+    isActive: () => true,
+    sendWithButtons: jest.fn(async () => ({ success: true, messageId: messageId++ })),
+    editMessage: jest.fn(async () => ({ success: true })),
+    sendMessage: jest.fn(async () => true)
+  };
+}
+
+const auditActions = () => store.tables.audit_log.map(r => r.action);
+
+let store;
+
+beforeEach(() => {
+  store = createStore();
+  jest.clearAllMocks();
+  Object.assign(mockProfiles, {
+    [TRADER]: { id: TRADER, role: 'trader', is_active: true },
+    [ADMIN]: { id: ADMIN, role: 'admin', is_active: true },
+    [ADMIN_2]: { id: ADMIN_2, role: 'admin', is_active: true },
+    [VIEWER]: { id: VIEWER, role: 'viewer', is_active: true }
+  });
+  store.tables.user_profiles.push(...Object.values(mockProfiles).map(p => ({ ...p })));
+  delete process.env.TWO_PERSON_APPROVAL;
+  delete process.env.AUTH_REQUIRED;
+  delete process.env.APPROVAL_TTL_MINUTES;
+});
+
+function requestLive(requestedBy = TRADER, extra = {}) {
+  return requestAction(store, {
+    type: 'execution_mode_live', targetUserId: TRADER, payload: { from: 'paper', to: 'live' }, requestedBy, ...extra
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Guarded changes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('splitGuardedConfig', () => {
+  test('queues going live and raising the drawdown limit, applies the rest', () => {
+    const { immediate, guarded, errors } = splitGuardedConfig(
+      { execution_mode: 'paper', max_drawdown_pct: 0.15 },
+      { execution_mode: 'live', max_drawdown_pct: 0.25, risk_per_trade: 0.02 }
+    );
+    expect(errors).toEqual([]);
+    expect(immediate).toEqual({ risk_per_trade: 0.02 });
+    expect(guarded).toEqual([
+      { type: 'execution_mode_live', payload: { from: 'paper', to: 'live' } },
+      { type: 'max_drawdown_raise', payload: { from: 0.15, to: 0.25 } }
+    ]);
+  });
+
+  test('tightening risk or staying live applies immediately', () => {
+    const { immediate, guarded } = splitGuardedConfig(
+      { execution_mode: 'live', max_drawdown_pct: 0.2 },
+      { execution_mode: 'live', max_drawdown_pct: 0.1 }
+    );
+    expect(guarded).toEqual([]);
+    expect(immediate).toEqual({ execution_mode: 'live', max_drawdown_pct: 0.1 });
+    expect(splitGuardedConfig({ execution_mode: 'live' }, { execution_mode: 'paper' }).guarded).toEqual([]);
+  });
+
+  test('compares against the engine default when no limit is stored', () => {
+    expect(splitGuardedConfig({}, { max_drawdown_pct: 0.16 }).guarded[0].payload).toEqual({ from: 0.15, to: 0.16 });
+  });
+
+  test('rejects invalid values', () => {
+    const { errors } = splitGuardedConfig({}, { execution_mode: 'yolo', max_drawdown_pct: 'abc' });
+    expect(errors).toHaveLength(2);
+  });
+});
+
+describe('isTwoPersonRequired', () => {
+  test('is on by default and off when disabled or auth is bypassed', () => {
+    expect(isTwoPersonRequired()).toBe(true);
+    process.env.TWO_PERSON_APPROVAL = 'false';
+    expect(isTwoPersonRequired()).toBe(false);
+    delete process.env.TWO_PERSON_APPROVAL;
+    process.env.AUTH_REQUIRED = 'false';
+    expect(isTwoPersonRequired()).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Lifecycle
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('requestAction', () => {
+  test('stores a pending request with a TTL and audits it', async () => {
+    process.env.APPROVAL_TTL_MINUTES = '10';
+    const { action, error } = await requestLive();
+
+    expect(error).toBeUndefined();
+    expect(action).toMatchObject({ action_type: 'execution_mode_live', status: 'pending', subject: `user:${TRADER}`, requested_by: TRADER });
+    const ttl = Date.parse(action.expires_at) - Date.now();
+    expect(ttl).toBeGreaterThan(9 * 60000);
+    expect(ttl).toBeLessThanOrEqual(10 * 60000);
+    expect(store.tables.audit_log[0]).toMatchObject({ user_id: TRADER, action: 'approval_requested', resource: 'pending_actions' });
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+
+  test('keeps one open request per action and subject', async () => {
+    const first = await requestLive();
+    const second = await requestLive();
+    expect(second.duplicate).toBe(true);
+    expect(second.action.id).toBe(first.action.id);
+    expect(store.tables.pending_actions).toHaveLength(1);
+  });
+
+  test('rejects unknown types', async () => {
+    const { action, error } = await requestAction(store, { type: 'drop_tables', requestedBy: TRADER });
+    expect(action).toBeNull();
+    expect(error).toMatch(/Unknown action type/);
+  });
+});
+
+describe('approveAction', () => {
+  test('the requester cannot approve their own request', async () => {
+    const { action } = await requestAction(store, {
+      type: 'kill_switch_deactivate', targetUserId: ADMIN, payload: { global: false }, requestedBy: ADMIN
+    });
+    const result = await approveAction(store, action.id, { userId: ADMIN });
+    expect(result.reason).toBe('self_approval');
+    expect(deactivateKillSwitch).not.toHaveBeenCalled();
+    expect(store.tables.pending_actions[0].status).toBe('pending');
+  });
+
+  test('approvers need one of the action roles', async () => {
+    const { action } = await requestLive();
+    expect((await approveAction(store, action.id, { userId: VIEWER })).reason).toBe('forbidden');
+
+    mockProfiles[ADMIN_2] = { ...mockProfiles[ADMIN_2], is_active: false };
+    expect((await approveAction(store, action.id, { userId: ADMIN_2 })).reason).toBe('forbidden');
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+
+  test('a second approver executes the action exactly once', async () => {
+    const { action } = await requestLive(TRADER, { context: { ip: '10.0.0.1' } });
+    const result = await approveAction(store, action.id, { userId: ADMIN, context: { ip: '10.0.0.2' } });
+
+    expect(result.error).toBeUndefined();
+    expect(result.action).toMatchObject({ status: 'executed', decided_by: ADMIN, decided_via: 'api' });
+    expect(result.result).toEqual({ executionMode: 'live' });
+    expect(updateConfig).toHaveBeenCalledWith(store, TRADER, { execution_mode: 'live' });
+    expect(auditActions()).toEqual(['approval_requested', 'approval_granted', 'approval_executed']);
+    expect(store.tables.audit_log[1]).toMatchObject({ user_id: ADMIN, ip_address: '10.0.0.2' });
+
+    const again = await approveAction(store, action.id, { userId: ADMIN_2 });
+    expect(again.reason).toBe('not_pending');
+    expect(updateConfig).toHaveBeenCalledTimes(1);
+  });
+
+  test('executor failures are recorded and audited', async () => {
+    const { action } = await requestAction(store, {
+      type: 'autotune_approve', payload: { runId: 'run-9', decision: 'apply' }, requestedBy: TRADER
+    });
+    const result = await approveAction(store, action.id, { userId: ADMIN, via: 'telegram' });
+
+    expect(approveProposal).toHaveBeenCalledWith(store, 'run-9', 'apply', 'telegram', null);
+    expect(result.reason).toBe('execution_failed');
+    expect(result.action).toMatchObject({ status: 'failed', error: 'Promoción bloqueada' });
+    expect(auditActions()).toContain('approval_failed');
+  });
+
+  test('lapsed requests expire instead of executing', async () => {
+    const { action } = await requestLive();
+    store.tables.pending_actions[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    const result = await approveAction(store, action.id, { userId: ADMIN });
+    expect(result.reason).toBe('expired');
+    expect(store.tables.pending_actions[0].status).toBe('expired');
+    expect(auditActions()).toContain('approval_expired');
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+
+  test('unknown ids are not found', async () => {
+    expect((await approveAction(store, 'nope', { userId: ADMIN })).reason).toBe('not_found');
+  });
+});
+
+describe('rejectAction', () => {
+  test('an approver rejects with a note', async () => {
+    const { action } = await requestLive();
+    const result = await rejectAction(store, action.id, { userId: ADMIN, note: 'not this week' });
+
+    expect(result.action).toMatchObject({ status: 'rejected', decided_by: ADMIN, decision_note: 'not this week' });
+    expect(auditActions()).toEqual(['approval_requested', 'approval_rejected']);
+  });
+
+  test('the requester may withdraw their own request', async () => {
+    const { action } = await requestLive();
+    const result = await rejectAction(store, action.id, { userId: TRADER });
+    expect(result.action.status).toBe('cancelled');
+    expect(auditActions()).toContain('approval_cancelled');
+  });
+
+  test('other users without an approver role cannot reject', async () => {
+    const { action } = await requestLive();
+    expect((await rejectAction(store, action.id, { userId: VIEWER })).reason).toBe('forbidden');
+  });
+});
+
+describe('expirePending', () => {
+  test('expires only lapsed requests and frees the slot for a new one', async () => {
+    await requestLive();
+    await requestAction(store, { type: 'max_drawdown_raise', targetUserId: TRADER, payload: { from: 0.15, to: 0.2 }, requestedBy: TRADER });
+    store.tables.pending_actions[0].expires_at = new Date(Date.now() - 1000).toISOString();
+
+    expect(await expirePending(store)).toEqual({ expired: 1 });
+    expect(store.tables.pending_actions.map(a => a.status)).toEqual(['expired', 'pending']);
+
+    const { action, duplicate } = await requestLive();
+    expect(duplicate).toBeUndefined();
+    expect(action.status).toBe('pending');
+  });
+});
+
+describe('listActions', () => {
+  test('requesters see their own, approvers see what they can approve', async () => {
+    await requestLive();
+
+    const own = await listActions(store, TRADER);
+    expect(own.actions).toHaveLength(1);
+    expect(own.actions[0]).toMatchObject({ canApprove: false, label: ACTION_TYPES.execution_mode_live.label });
+
+    const admin = await listActions(store, ADMIN);
+    expect(admin.actions[0].canApprove).toBe(true);
+
+    expect((await listActions(store, VIEWER)).actions).toEqual([]);
+    expect((await listActions(store, ADMIN, { status: 'bogus' })).error).toMatch(/Invalid status/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Telegram
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('Telegram approvals', () => {
+  beforeEach(() => {
+    const verifiedAt = new Date().toISOString();
+    store.tables.telegram_links.push(
+      { user_id: TRADER, telegram_user_id: '111', verified_at: verifiedAt },
+      { user_id: ADMIN, telegram_user_id: '222', verified_at: verifiedAt },
+      { user_id: VIEWER, telegram_user_id: '333', verified_at: verifiedAt }
+    );
+  });
+
+  const press = (bot, data, fromId) => handleApprovalCallback(store, bot, { data, from: { id: fromId }, message: { chat: { id: fromId } } });
+
+  test('approvers with a linked chat get approve/reject buttons', async () => {
+    const bot = createBot();
+    const { action } = await requestLive(TRADER, { bot });
+
+    expect(bot.sendWithButtons).toHaveBeenCalledTimes(1);
+    const [chatId, text, buttons] = bot.sendWithButtons.mock.calls[0];
+    expect(chatId).toBe('222');
+    expect(text).toContain('APROBACIÓN REQUERIDA');
+    expect(buttons[0].map(b => b.callback_data)).toEqual([`pa_approve_${action.id}`, `pa_reject_${action.id}`]);
+    expect(store.tables.pending_actions[0].telegram_messages).toEqual({ 222: 100 });
+  });
+
+  test('an approver button press executes and edits the prompt', async () => {
+    const bot = createBot();
+    const onExecuted = jest.fn();
+    const { action } = await requestAction(store, {
+      type: 'kill_switch_deactivate', targetUserId: TRADER, payload: { global: false }, requestedBy: TRADER, bot
+    });
+
+    await handleApprovalCallback(store, bot, { data: `pa_approve_${action.id}`, from: { id: 222 }, message: { chat: { id: 222 } } }, onExecuted);
+
+    expect(deactivateKillSwitch).toHaveBeenCalledWith(store, TRADER, { global: false });
+    expect(store.tables.pending_actions[0]).toMatchObject({ status: 'executed', decided_by: ADMIN, decided_via: 'telegram' });
+    expect(onExecuted).toHaveBeenCalledWith(expect.objectContaining({ id: action.id }), { scope: 'user' });
+    expect(bot.editMessage).toHaveBeenCalledWith('222', 100, expect.stringContaining('Aprobado y ejecutado'));
+  });
+
+  test('the requester pressing approve is refused', async () => {
+    const bot = createBot();
+    const { action } = await requestLive();
+    await press(bot, `pa_approve_${action.id}`, 111);
+    expect(bot.sendMessage).toHaveBeenCalledWith(111, expect.stringContaining('second person'));
+    expect(updateConfig).not.toHaveBeenCalled();
+  });
+
+  test('unlinked chats cannot decide', async () => {
+    const bot = createBot();
+    const { action } = await requestLive();
+    await press(bot, `pa_reject_${action.id}`, 999);
+    expect(bot.sendMessage).toHaveBeenCalledWith(999, TELEGRAM_UNLINKED_MESSAGE);
+    expect(TELEGRAM_UNLINKED_MESSAGE).toContain('/vincular <código>');
+    expect(store.tables.pending_actions[0].status).toBe('pending');
+  });
+});
+
+describe('Telegram links', () => {
+  test('a confirmed code binds the sender and identifies them for approvals', async () => {
+    const { code, expiresAt } = await createTelegramLinkCode(store, ADMIN);
+    expect(code).toMatch(/^[0-9A-F]{10}$/);
+    expect(new Date(expiresAt).getTime()).toBeGreaterThan(Date.now());
+    expect(store.tables.telegram_links[0].link_code_hash).not.toContain(code);
+    expect(await resolveTelegramUser(store, 222)).toBeNull();
+
+    expect(await confirmTelegramLink(store, code.toLowerCase(), 222)).toEqual({ userId: ADMIN });
+    expect(await resolveTelegramUser(store, 222)).toBe(ADMIN);
+    expect(store.tables.telegram_links[0]).toMatchObject({ telegram_user_id: '222', link_code_hash: null });
+    expect(auditActions()).toContain('telegram_linked');
+  });
+
+  test('codes are single-use and expire', async () => {
+    const { code } = await createTelegramLinkCode(store, ADMIN);
+    await confirmTelegramLink(store, code, 222);
+    expect((await confirmTelegramLink(store, code, 999)).error).toMatch(/inválido o caducado/);
+
+    const { code: stale } = await createTelegramLinkCode(store, TRADER);
+    store.tables.telegram_links.find(r => r.user_id === TRADER).link_code_expires_at = new Date(Date.now() - 1000).toISOString();
+    expect((await confirmTelegramLink(store, stale, 111)).error).toMatch(/inválido o caducado/);
+    expect(await resolveTelegramUser(store, 111)).toBeNull();
+  });
+
+  test('one Telegram account cannot be bound to a second user', async () => {
+    await confirmTelegramLink(store, (await createTelegramLinkCode(store, ADMIN)).code, 222);
+    const { code } = await createTelegramLinkCode(store, TRADER);
+
+    expect((await confirmTelegramLink(store, code, 222)).error).toMatch(/otro usuario/);
+    expect(await resolveTelegramUser(store, 222)).toBe(ADMIN);
+  });
+
+  test('ambiguous or unverified matches are refused', async () => {
+    store.tables.telegram_links.push(
+      { user_id: TRADER, telegram_user_id: '555', verified_at: new Date().toISOString() },
+      { user_id: ADMIN, telegram_user_id: '555', verified_at: new Date().toISOString() },
+      { user_id: VIEWER, telegram_user_id: '666', verified_at: null }
+    );
+    expect(await resolveTelegramUser(store, 555)).toBeNull();
+    expect(await resolveTelegramUser(store, 666)).toBeNull();
+  });
+
+  test('unlinking stops the account from deciding', async () => {
+    await confirmTelegramLink(store, (await createTelegramLinkCode(store, ADMIN)).code, 222);
+    expect(await unlinkTelegram(store, ADMIN)).toEqual({ success: true });
+    expect(await resolveTelegramUser(store, 222)).toBeNull();
+  });
+});
@@ -0,0 +1,273 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// PORTFOLIO BACKTEST TESTS
+// Shared-capital, single-clock multi-asset simulation (runPortfolioBacktest)
+// Axios and the signal engine are mocked so the run is offline and deterministic
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('axios', () => {
+  const mockAxios = {
+    get: jest.fn(() => Promise.reject(new Error('offline'))),
+    create: jest.fn(() => ({
+      get: jest.fn(() => Promise.reject(new Error('offline'))),
+      interceptors: {
+        request: { use: jest.fn() },
+        response: { use: jest.fn() }
+      }
+    }))
+  };
+  return mockAxios;
+});
+
+jest.mock('../technicalAnalysis', () => ({
+  generateMultiTimeframeSignal: jest.fn()
+}));
+
+const { generateMultiTimeframeSignal } = require('../technicalAnalysis');
+const { runPortfolioBacktest, createHistoricalCorrelation, MAX_PORTFOLIO_ASSETS, _resetMacroCache } = require('../backtester');
+
+// ─── HELPERS ────────────────────────────────────────────────────────────────
+
+const HOUR = 3600000;
+
+// Deterministic wavy price path so returns (and correlations) are non-trivial
+function makeSeries(intervalMs, days, base, phase = 0) {
+  const end = Math.floor(Date.now() / HOUR) * HOUR;
+  const count = Math.floor((days * 24 * HOUR) / intervalMs);
+  return Array.from({ length: count }, (_, i) => {
+    const ts = end - (count - 1 - i) * intervalMs;
+    const t = ts / HOUR;
+    const close = base * (1 + 0.03 * Math.sin(t / 7 + phase) + 0.01 * Math.sin(t * 1.3 + phase));
+    return { timestamp: ts, open: close, high: close * 1.002, low: close * 0.998, close, volume: 1000 };
+  });
+}
+
+function makeCandles(base, phase = 0, days = 30) {
+  return {
+    '4h': makeSeries(4 * HOUR, days, base, phase),
+    '1h': makeSeries(HOUR, days, base, phase),
+    '15m': makeSeries(HOUR / 4, days, base, phase)
+  };
+}
+
+function buySignal(asset, price) {
+  return {
+    asset,
+    action: 'BUY',
+    strengthLabel: 'STRONG BUY',
+    confidence: 70,
+    score: 80,
+    rawScore: 60,
+    timeframes: { '4h': { trend: 'bullish' }, '1h': { trend: 'bullish' }, '15m': { trend: 'bullish' }, confluence: 'strong' },
+    tradeLevels: {
+      entry: price,
+      stopLoss: price * 0.9,
+      takeProfit1: price * 1.5,
+      takeProfit2: price * 2,
+      trailingStop: price * 0.9,
+      trailingActivation: price * 1.8,
+      riskRewardRatio: 5
+    }
+  };
+}
+
+beforeEach(() => {
+  jest.clearAllMocks();
+  _resetMacroCache();
+  generateMultiTimeframeSignal.mockImplementation(async (asset, price) => buySignal(asset, price));
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// runPortfolioBacktest Tests
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('runPortfolioBacktest', () => {
+
+  test('rejects fewer than 2 or more than MAX_PORTFOLIO_ASSETS assets', async () => {
+    await expect(runPortfolioBacktest({ assets: ['bitcoin'] })).rejects.toThrow(/requires 2-/);
+    const tooMany = Array.from({ length: MAX_PORTFOLIO_ASSETS + 1 }, (_, i) => `asset-${i}`);
+    await expect(runPortfolioBacktest({ assets: tooMany })).rejects.toThrow(/requires 2-/);
+  });
+
+  test('lifts the old 5-asset cap', () => {
+    expect(MAX_PORTFOLIO_ASSETS).toBeGreaterThan(5);
+  });
+
+  test('maxOpenPositions applies across the whole book', async () => {
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum', 'solana'],
+      days: 10,
+      maxOpenPositions: 1,
+      preloadedCandles: {
+        bitcoin: makeCandles(50000, 0),
+        ethereum: makeCandles(3000, 1),
+        solana: makeCandles(100, 2)
+      }
+    });
+
+    expect(result.type).toBe('portfolio');
+    expect(result.exposure.maxConcurrentPositions).toBeLessThanOrEqual(1);
+    expect(result.rejections.max_open_positions).toBeGreaterThan(0);
+    expect(result.perAsset.map(a => a.asset)).toEqual(['bitcoin', 'ethereum', 'solana']);
+  });
+
+  test('correlation limit fires across assets sharing one equity curve', async () => {
+    // Identical paths → correlation 1.0 between every pair
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum', 'solana'],
+      days: 10,
+      maxOpenPositions: 5,
+      riskPerTrade: 0.005,
+      maxSectorExposurePct: 1.0,
+      maxSameDirectionCrypto: 10,
+      maxPortfolioCorrelation: 0.7,
+      preloadedCandles: {
+        bitcoin: makeCandles(100, 0),
+        ethereum: makeCandles(100, 0),
+        solana: makeCandles(100, 0)
+      }
+    });
+
+    expect(result.rejections.correlation).toBeGreaterThan(0);
+    expect(result.exposure.maxConcurrentPositions).toBe(2);
+  });
+
+  test('positions compete for the same cash', async () => {
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum', 'solana'],
+      days: 10,
+      capital: 1000,
+      maxOpenPositions: 5,
+      riskPerTrade: 0.1,
+      maxSectorExposurePct: 1.0,
+      maxSameDirectionCrypto: 10,
+      maxPortfolioCorrelation: 1.0,
+      preloadedCandles: {
+        bitcoin: makeCandles(50000, 0),
+        ethereum: makeCandles(3000, 1),
+        solana: makeCandles(100, 2)
+      }
+    });
+
+    // Each position is capped at 25% of capital; committed notional never exceeds equity
+    expect(result.exposure.peakGrossExposurePercent).toBeLessThanOrEqual(110);
+    const first = result.trades.filter(t => t.entryTimestamp === result.trades[0].entryTimestamp);
+    const committed = first.reduce((s, t) => s + t.positionSizeUsd, 0);
+    expect(committed).toBeLessThanOrEqual(1000);
+  });
+
+  test('one equity curve and trades sorted by exit time', async () => {
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum'],
+      days: 10,
+      capital: 10000,
+      preloadedCandles: {
+        bitcoin: makeCandles(50000, 0),
+        ethereum: makeCandles(3000, 1)
+      }
+    });
+
+    expect(result.equityCurve[0].equity).toBe(10000);
+    for (let i = 1; i < result.trades.length; i++) {
+      expect(result.trades[i].exitTimestamp).toBeGreaterThanOrEqual(result.trades[i - 1].exitTimestamp);
+    }
+    const totalPnl = result.trades.reduce((s, t) => s + t.pnl, 0);
+    expect(result.equityCurve[result.equityCurve.length - 1].equity).toBeCloseTo(10000 + totalPnl, 0);
+    expect(result.benchmark.buyAndHold).toHaveProperty('totalReturn');
+  });
+
+  test('reports assets whose data fails without aborting the run', async () => {
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum'],
+      days: 10,
+      preloadedCandles: {
+        bitcoin: makeCandles(50000, 0),
+        ethereum: { '1h': [], '4h': [], '15m': [] }
+      }
+    });
+
+    const eth = result.perAsset.find(a => a.asset === 'ethereum');
+    expect(eth.error).toMatch(/Insufficient/);
+  });
+
+  test('equity marks only the quantity left after a partial close', async () => {
+    // bitcoin: flat at 100, spikes through TP1 (110, closes half) on day 2, then
+    // holds at 105 to the end; ethereum never trades
+    const start = Date.now() - 10 * 24 * HOUR;
+    const priceAt = (ts) => (ts < start + 24 * HOUR ? 100 : ts < start + 26 * HOUR ? 111 : 105);
+    const series = (intervalMs) => makeSeries(intervalMs, 30, 1).map(c => {
+      const close = priceAt(c.timestamp);
+      return { ...c, open: close, high: close * 1.002, low: close * 0.998, close };
+    });
+    generateMultiTimeframeSignal.mockImplementation(async (asset, price) => (asset === 'bitcoin'
+      ? { ...buySignal(asset, price), tradeLevels: { ...buySignal(asset, price).tradeLevels, stopLoss: 90, takeProfit1: 110, takeProfit2: 200, trailingActivation: 300 } }
+      : { ...buySignal(asset, price), action: 'HOLD', strengthLabel: 'HOLD' }));
+
+    const result = await runPortfolioBacktest({
+      assets: ['bitcoin', 'ethereum'],
+      days: 10,
+      capital: 10000,
+      preloadedCandles: {
+        bitcoin: { '4h': series(4 * HOUR), '1h': series(HOUR), '15m': series(HOUR / 4) },
+        ethereum: makeCandles(3000, 1)
+      }
+    });
+
+    expect(result.trades).toHaveLength(1);
+    const [trade] = result.trades;
+    expect(trade.exitReason).toBe('end_of_data');
+    expect(trade.targetsHit).toBe(1);
+
+    // After the partial the price never moves again, so every later mark equals the final P&L
+    const afterPartial = result.equityCurve.filter(p => p.timestamp > start + 48 * HOUR && p.timestamp < Date.now() - 24 * HOUR);
+    expect(afterPartial.length).toBeGreaterThan(0);
+    for (const point of afterPartial) {
+      expect(point.equity).toBeCloseTo(10000 + trade.pnl, 0);
+    }
+  });
+
+  test('spot market rejects short signals', async () => {
+    generateMultiTimeframeSignal.mockImplementation(async (asset, price) => ({
+      ...buySignal(asset, price),
+      action: 'SELL',
+      strengthLabel: 'STRONG SELL',
+      tradeLevels: {
+        entry: price, stopLoss: price * 1.1, takeProfit1: price * 0.5, takeProfit2: price * 0.3,
+        trailingStop: price * 1.1, trailingActivation: price * 0.4, riskRewardRatio: 5
+      }
+    }));
+    const options = {
+      assets: ['bitcoin', 'ethereum'],
+      days: 10,
+      preloadedCandles: { bitcoin: makeCandles(50000, 0), ethereum: makeCandles(3000, 1) }
+    };
+
+    const spot = await runPortfolioBacktest({ ...options, marketType: 'spot' });
+    expect(spot.metrics.totalTrades).toBe(0);
+    expect(spot.rejections.direction).toBeGreaterThan(0);
+    expect(spot.config.marketType).toBe('spot');
+
+    const perp = await runPortfolioBacktest({ ...options, marketType: 'perp' });
+    expect(perp.metrics.totalTrades).toBeGreaterThan(0);
+    expect(perp.trades.every(t => t.direction === 'SHORT')).toBe(true);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// createHistoricalCorrelation Tests
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('createHistoricalCorrelation', () => {
+  test('identical paths correlate at 1, only using candles up to asOf', async () => {
+    const a = makeSeries(HOUR, 40, 100, 0);
+    const correlationAt = createHistoricalCorrelation({ bitcoin: a, ethereum: a.map(c => ({ ...c, close: c.close * 2 })) });
+    const corr = await correlationAt(a[a.length - 1].timestamp)('bitcoin', 'ethereum');
+    expect(corr).toBeCloseTo(1, 5);
+  });
+
+  test('falls back to static correlation when history is too short', async () => {
+    const a = makeSeries(HOUR, 3, 100, 0);
+    const correlationAt = createHistoricalCorrelation({ bitcoin: a, ethereum: a });
+    const corr = await correlationAt(a[a.length - 1].timestamp)('bitcoin', 'ethereum');
+    expect(corr).toBe(0.87);
+  });
+});
@@ -0,0 +1,404 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — reconciler.js (exchange vs DB reconciliation for live execution)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const {
+  MISMATCH,
+  RECONCILE_DEFAULTS,
+  reconcileExchange,
+  getLatestReconciliation,
+  classifyMismatches,
+  aggregatePositions
+} = require('../reconciler');
+
+// ─── Mock dependencies ──────────────────────────────────────────────────────
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.mock('../configManager', () => ({
+  getConfigSync: jest.fn((key, defaultValue) => defaultValue)
+}));
+
+jest.mock('../riskEngine', () => ({
+  activateKillSwitch: jest.fn().mockResolvedValue({ success: true, cancelledOrders: 0, closedPositions: 0, scope: 'user' })
+}));
+
+jest.mock('../orderManager', () => ({
+  logExecution: jest.fn().mockResolvedValue(undefined),
+  EVENT_TYPE: { RECONCILE_MISMATCH: 'RECONCILE_MISMATCH' },
+  ORDER_STATUS: { CANCELLED: 'CANCELLED' },
+  WORKING_STATUSES: ['SUBMITTED', 'PARTIAL_FILL']
+}));
+
+const { activateKillSwitch: mockKillSwitch } = require('../riskEngine');
+const { logExecution: mockLog } = require('../orderManager');
+const { getConfigSync: mockGetConfigSync } = require('../configManager');
+
+// ─── Mock Supabase ──────────────────────────────────────────────────────────
+
+/**
+ * Table-keyed mock: every query on a table resolves to its fixture rows;
+ * inserts are recorded and echoed back with a generated id.
+ */
+function createMockSb(tables = {}) {
+  const inserts = {};
+
+  function makeChain(table) {
+    let inserted = null;
+    const result = () => inserted
+      ? { data: { id: `${table}-new`, ...inserted }, error: null }
+      : { data: tables[table] ?? [], error: tables[`${table}Error`] || null };
+
+    const chain = {
+      select: jest.fn(() => chain),
+      eq: jest.fn(() => chain),
+      in: jest.fn(() => chain),
+      contains: jest.fn(() => chain),
+      order: jest.fn(() => chain),
+      limit: jest.fn(() => chain),
+      insert: jest.fn((row) => {
+        inserted = row;
+        (inserts[table] = inserts[table] || []).push(row);
+        return chain;
+      }),
+      single: jest.fn(() => Promise.resolve(result())),
+      then: (resolve, reject) => Promise.resolve(result()).then(resolve, reject)
+    };
+    return chain;
+  }
+
+  return {
+    inserts,
+    from: jest.fn((table) => makeChain(table))
+  };
+}
+
+function createMockAdapter(overrides = {}) {
+  return {
+    name: 'binance',
+    getOpenOrders: jest.fn().mockResolvedValue({ orders: [] }),
+    getPosition: jest.fn().mockResolvedValue({ position: null }),
+    getBalance: jest.fn().mockResolvedValue({ available: 1000, total: 1200 }),
+    ...overrides
+  };
+}
+
+const LIVE_CONFIG = [{ user_id: 'user1', is_enabled: true }];
+const OLD = new Date(Date.now() - 10 * 60 * 1000).toISOString();
+
+beforeEach(() => {
+  jest.clearAllMocks();
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// aggregatePositions
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('aggregatePositions', () => {
+  test('sums remaining quantity per asset and skips shorts', () => {
+    const positions = aggregatePositions([
+      { id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '0.5', remaining_quantity: '0.3', order_id: 'o1' },
+      { id: 't2', asset: 'bitcoin', direction: 'LONG', quantity: '0.2', remaining_quantity: null },
+      { id: 't3', asset: 'ethereum', direction: 'SHORT', quantity: '2' }
+    ]);
+
+    expect(positions.get('bitcoin')).toEqual({ quantity: 0.5, tradeIds: ['t1', 't2'], orderIds: ['o1'] });
+    expect(positions.has('ethereum')).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// classifyMismatches
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('classifyMismatches', () => {
+  const settings = { ...RECONCILE_DEFAULTS };
+  const empty = { dbPositions: new Map(), exchangePositions: new Map(), dbOrders: [], exchangeOrders: [] };
+
+  test('matching state is clean', () => {
+    const mismatches = classifyMismatches({
+      ...empty,
+      dbPositions: new Map([['bitcoin', { quantity: 0.5, tradeIds: ['t1'], orderIds: [] }]]),
+      exchangePositions: new Map([['bitcoin', 0.5000000001]]),
+      dbOrders: [{ id: 'o1', asset: 'bitcoin', exchange_order_id: '77', submitted_at: OLD }],
+      exchangeOrders: [{ exchangeOrderId: '77', asset: 'bitcoin' }]
+    }, settings);
+
+    expect(mismatches).toEqual([]);
+  });
+
+  test('exchange balance with no open trade is an orphan fill', () => {
+    const [mismatch] = classifyMismatches({ ...empty, exchangePositions: new Map([['solana', 3]]) }, settings);
+
+    expect(mismatch).toMatchObject({
+      type: MISMATCH.ORPHAN_FILL, asset: 'solana', dbQuantity: 0, exchangeQuantity: 3, driftPct: 100, breach: true
+    });
+  });
+
+  test('differing quantities are drift, breaching only at the threshold', () => {
+    const dbPositions = new Map([
+      ['bitcoin', { quantity: 1, tradeIds: ['t1'], orderIds: ['o1'] }],
+      ['ethereum', { quantity: 10, tradeIds: ['t2'], orderIds: [] }]
+    ]);
+    const mismatches = classifyMismatches({
+      ...empty,
+      dbPositions,
+      exchangePositions: new Map([['bitcoin', 0.9], ['ethereum', 9.8]])
+    }, settings);
+
+    expect(mismatches).toEqual([
+      expect.objectContaining({ type: MISMATCH.QUANTITY_DRIFT, asset: 'bitcoin', diff: -0.1, driftPct: 10, breach: true, orderId: 'o1' }),
+      expect.objectContaining({ type: MISMATCH.QUANTITY_DRIFT, asset: 'ethereum', driftPct: 2, breach: false })
+    ]);
+  });
+
+  test('a DB trade the exchange no longer holds is full drift', () => {
+    const [mismatch] = classifyMismatches({
+      ...empty,
+      dbPositions: new Map([['bitcoin', { quantity: 0.4, tradeIds: ['t1'], orderIds: [] }]]),
+      exchangePositions: new Map([['bitcoin', 0]])
+    }, settings);
+
+    expect(mismatch).toMatchObject({ type: MISMATCH.QUANTITY_DRIFT, driftPct: 100, tradeIds: ['t1'] });
+  });
+
+  test('working DB orders missing from the venue are flagged after the grace period', () => {
+    const mismatches = classifyMismatches({
+      ...empty,
+      dbOrders: [
+        { id: 'o1', asset: 'bitcoin', status: 'SUBMITTED', exchange_order_id: '77', submitted_at: OLD },
+        { id: 'o2', asset: 'bitcoin', status: 'SUBMITTED', exchange_order_id: '78', submitted_at: new Date().toISOString() },
+        { id: 'o3', asset: 'bitcoin', status: 'SUBMITTED', exchange_order_id: null, submitted_at: OLD }
+      ]
+    }, settings);
+
+    expect(mismatches).toEqual([
+      { type: MISMATCH.MISSING_ORDER, asset: 'bitcoin', orderId: 'o1', exchangeOrderId: '77', status: 'SUBMITTED', breach: false }
+    ]);
+  });
+
+  test('venue orders unknown to the DB are flagged; client id matches count as known', () => {
+    const mismatches = classifyMismatches({
+      ...empty,
+      dbOrders: [{ id: 'o1', asset: 'bitcoin', exchange_order_id: null, client_order_id: 'signal-btc-1' }],
+      exchangeOrders: [
+        { exchangeOrderId: 90, clientOrderId: 'signal-btc-1', asset: 'bitcoin' },
+        { exchangeOrderId: 91, clientOrderId: 'manual-web', asset: 'ethereum', side: 'SELL', quantity: 2 }
+      ]
+    }, settings);
+
+    expect(mismatches).toEqual([expect.objectContaining({
+      type: MISMATCH.UNKNOWN_ORDER, asset: 'ethereum', exchangeOrderId: '91', clientOrderId: 'manual-web', breach: false
+    })]);
+  });
+
+  test('order checks are skipped when the venue listing failed', () => {
+    const mismatches = classifyMismatches({
+      ...empty,
+      dbOrders: [{ id: 'o1', asset: 'bitcoin', exchange_order_id: '77', submitted_at: OLD }],
+      exchangeOrders: null
+    }, settings);
+
+    expect(mismatches).toEqual([]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// reconcileExchange
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('reconcileExchange', () => {
+  test('skips the paper adapter', async () => {
+    const sb = createMockSb();
+    const result = await reconcileExchange(sb, { name: 'paper' });
+
+    expect(result.skipped).toBe(true);
+    expect(sb.from).not.toHaveBeenCalled();
+  });
+
+  test('skips when no user trades live', async () => {
+    const result = await reconcileExchange(createMockSb({ paper_config: [] }), createMockAdapter());
+    expect(result).toEqual({ skipped: true, reason: 'No users in live execution mode' });
+  });
+
+  test('clean run stores a clean report and logs nothing', async () => {
+    const sb = createMockSb({
+      paper_config: LIVE_CONFIG,
+      paper_trades: [{ id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '0.5', order_id: 'o1' }],
+      orders: []
+    });
+    const adapter = createMockAdapter({
+      getPosition: jest.fn().mockResolvedValue({ position: { quantity: 0.5 } })
+    });
+
+    const result = await reconcileExchange(sb, adapter);
+
+    expect(result).toMatchObject({ status: 'clean', mismatches: [], errors: [], killSwitchTripped: false });
+    expect(result.reports).toEqual([expect.objectContaining({ userId: 'user1', reportId: 'reconciliation_reports-new' })]);
+    const [saved] = sb.inserts.reconciliation_reports;
+    expect(saved).toMatchObject({ adapter: 'binance', user_ids: ['user1'], status: 'clean', mismatch_count: 0 });
+    expect(saved.report.balance).toEqual({ available: 1000, total: 1200 });
+    expect(saved.report.positions).toEqual([{ asset: 'bitcoin', dbQuantity: 0.5, exchangeQuantity: 0.5 }]);
+    expect(mockLog).not.toHaveBeenCalled();
+  });
+
+  test('checks extra assets for orphan fills and logs them against a system order', async () => {
+    const sb = createMockSb({ paper_config: LIVE_CONFIG, paper_trades: [], orders: [] });
+    const adapter = createMockAdapter({
+      getPosition: jest.fn(async (userId, asset) => ({ position: asset === 'solana' ? { quantity: 4 } : null }))
+    });
+
+    const result = await reconcileExchange(sb, adapter, { assets: ['bitcoin', 'solana'] });
+
+    expect(adapter.getPosition).toHaveBeenCalledTimes(2);
+    expect(result.status).toBe('mismatch');
+    expect(result.mismatches).toEqual([expect.objectContaining({ type: MISMATCH.ORPHAN_FILL, asset: 'solana' })]);
+    expect(sb.inserts.orders).toEqual([expect.objectContaining({ asset: 'SYSTEM', status: 'CANCELLED', user_id: 'user1' })]);
+    expect(mockLog).toHaveBeenCalledWith(sb, 'orders-new', 'RECONCILE_MISMATCH',
+      expect.objectContaining({ type: MISMATCH.ORPHAN_FILL, reportId: 'reconciliation_reports-new' }));
+  });
+
+  test('missing orders are logged against the order itself', async () => {
+    const sb = createMockSb({
+      paper_config: LIVE_CONFIG,
+      paper_trades: [],
+      orders: [{ id: 'o9', asset: 'bitcoin', status: 'SUBMITTED', exchange_order_id: '55', submitted_at: OLD }]
+    });
+
+    const result = await reconcileExchange(sb, createMockAdapter());
+
+    expect(result.mismatches).toEqual([expect.objectContaining({ type: MISMATCH.MISSING_ORDER, orderId: 'o9' })]);
+    expect(mockLog).toHaveBeenCalledWith(sb, 'o9', 'RECONCILE_MISMATCH', expect.objectContaining({ exchangeOrderId: '55' }));
+    expect(sb.inserts.orders).toBeUndefined();
+  });
+
+  test('read failures make the report incomplete instead of reporting drift', async () => {
+    const sb = createMockSb({
+      paper_config: LIVE_CONFIG,
+      paper_trades: [{ id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '0.5' }],
+      orders: [{ id: 'o9', asset: 'bitcoin', status: 'SUBMITTED', exchange_order_id: '55', submitted_at: OLD }]
+    });
+    const adapter = createMockAdapter({
+      getOpenOrders: jest.fn().mockResolvedValue({ orders: [], error: 'timeout' }),
+      getPosition: jest.fn().mockResolvedValue({ position: null, error: 'Signature for this request is not valid.' })
+    });
+
+    const result = await reconcileExchange(sb, adapter, { settings: { killSwitchOnDrift: true } });
+
+    expect(result.status).toBe('incomplete');
+    expect(result.mismatches).toEqual([]);
+    expect(result.errors).toEqual([
+      { userId: 'user1', venue: 'binance', source: 'open_orders', error: 'timeout' },
+      { userId: 'user1', venue: 'binance', source: 'position', asset: 'bitcoin', error: 'Signature for this request is not valid.' }
+    ]);
+    expect(sb.inserts.reconciliation_reports[0].report.positions[0].exchangeQuantity).toBeNull();
+    expect(mockKillSwitch).not.toHaveBeenCalled();
+  });
+
+  test('drift over the threshold trips the kill switch when enabled', async () => {
+    mockGetConfigSync.mockReturnValueOnce({ killSwitchOnDrift: true, driftThresholdPct: 10 });
+    const sb = createMockSb({
+      paper_config: [{ user_id: 'user1', is_enabled: true }, { user_id: 'user2', is_enabled: false }],
+      paper_trades: [{ id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '1' }],
+      orders: []
+    });
+    const adapter = createMockAdapter({
+      getPosition: jest.fn().mockResolvedValue({ position: { quantity: 0.8 } })
+    });
+    const notifyFn = jest.fn();
+
+    const result = await reconcileExchange(sb, adapter, { notifyFn });
+
+    expect(result.killSwitchTripped).toBe(true);
+    expect(mockKillSwitch).toHaveBeenCalledTimes(1);
+    expect(mockKillSwitch).toHaveBeenCalledWith(sb, 'user1',
+      'Reconciliation drift 20% on bitcoin (threshold 10%)', { notifyFn });
+    expect(sb.inserts.reconciliation_reports[0]).toMatchObject({ kill_switch_tripped: true, max_drift_pct: 20 });
+  });
+
+  test('drift over the threshold only reports when the kill switch is off', async () => {
+    const sb = createMockSb({
+      paper_config: LIVE_CONFIG,
+      paper_trades: [{ id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '1' }],
+      orders: []
+    });
+    const adapter = createMockAdapter({
+      getPosition: jest.fn().mockResolvedValue({ position: { quantity: 0.5 } })
+    });
+
+    const result = await reconcileExchange(sb, adapter);
+
+    expect(result.mismatches[0]).toMatchObject({ breach: true, driftPct: 50 });
+    expect(result.killSwitchTripped).toBe(false);
+    expect(mockKillSwitch).not.toHaveBeenCalled();
+  });
+
+  test('each user is checked on their own account and only the drifting user is halted', async () => {
+    mockGetConfigSync.mockReturnValueOnce({ killSwitchOnDrift: true, driftThresholdPct: 10 });
+    const sb = createMockSb({
+      paper_config: [
+        { user_id: 'user1', is_enabled: true },
+        { user_id: 'user2', is_enabled: true },
+        { user_id: 'user3', is_enabled: true }
+      ],
+      paper_trades: [{ id: 't1', asset: 'bitcoin', direction: 'LONG', quantity: '1' }],
+      orders: []
+    });
+    const adapters = {
+      user1: createMockAdapter({ name: 'bybit', getPosition: jest.fn().mockResolvedValue({ position: { quantity: 1 } }) }),
+      user2: createMockAdapter({ name: 'bybit', getPosition: jest.fn().mockResolvedValue({ position: { quantity: 0.5 } }) })
+    };
+    const resolveAdapter = jest.fn(async (userId) => (adapters[userId]
+      ? { adapter: adapters[userId] }
+      : { error: 'No bybit credentials stored for this user', missing: true }));
+
+    const result = await reconcileExchange(sb, null, { resolveAdapter, venues: ['bybit'] });
+
+    expect(resolveAdapter).toHaveBeenCalledTimes(3);
+    expect(adapters.user1.getPosition).toHaveBeenCalledWith('user1', 'bitcoin');
+    expect(adapters.user2.getBalance).toHaveBeenCalledWith('user2');
+    expect(result.reports.map(r => [r.userId, r.status])).toEqual([['user1', 'clean'], ['user2', 'mismatch']]);
+    expect(result.mismatches).toEqual([expect.objectContaining({ userId: 'user2', driftPct: 50 })]);
+    expect(mockKillSwitch).toHaveBeenCalledTimes(1);
+    expect(mockKillSwitch).toHaveBeenCalledWith(sb, 'user2', expect.stringContaining('50%'), { notifyFn: undefined });
+    expect(sb.inserts.reconciliation_reports.map(r => r.user_ids)).toEqual([['user1'], ['user2']]);
+  });
+
+  test('an adapter that cannot be opened is reported, not reconciled', async () => {
+    const sb = createMockSb({ paper_config: LIVE_CONFIG, paper_trades: [], orders: [] });
+    const resolveAdapter = jest.fn().mockResolvedValue({ error: 'Stored credentials could not be decrypted' });
+
+    const result = await reconcileExchange(sb, null, { resolveAdapter, venues: ['bybit'] });
+
+    expect(result).toMatchObject({ status: 'incomplete', reports: [] });
+    expect(result.errors).toEqual([
+      { userId: 'user1', venue: 'bybit', source: 'adapter', error: 'Stored credentials could not be decrypted' }
+    ]);
+  });
+
+  test('returns the DB error when live configs cannot be read', async () => {
+    const sb = createMockSb({ paper_configError: { message: 'db down' } });
+    expect(await reconcileExchange(sb, createMockAdapter())).toEqual({ error: 'db down' });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// getLatestReconciliation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('getLatestReconciliation', () => {
+  test('returns the newest report covering the user', async () => {
+    const sb = createMockSb({ reconciliation_reports: [{ id: 'r2', status: 'clean' }] });
+    const { report, error } = await getLatestReconciliation(sb, 'user1');
+
+    expect(error).toBeNull();
+    expect(report).toEqual({ id: 'r2', status: 'clean' });
+  });
+
+  test('returns null when no report exists', async () => {
+    const { report } = await getLatestReconciliation(createMockSb({ reconciliation_reports: [] }), 'user1');
+    expect(report).toBeNull();
+  });
+});
@@ -0,0 +1,307 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// REGIME MODEL TESTS
+// k-means / Gaussian HMM fitting on synthetic regime-switching candles, state
+// labeling, causal inference, persistence, model selection in marketRegime and
+// the forward-return separation report. Models live in a per-run temp dir.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+  featureVector, fitRegimeModel, saveRegimeModel, loadRegimeModel, inferRegime,
+  classifyWithModel, regimeSeparation, compareRegimeModels, kmeans, fitHMM, filterStates, labelStates
+} = require('../regimeModel');
+const {
+  REGIMES, updateRegime, getRegime, classifyRegime, setRegimeModel, getRegimeModel, resetRegimeStates
+} = require('../marketRegime');
+const { mulberry32 } = require('../monteCarloSim');
+
+const BAR = 4 * 3600000;
+let tmpDir;
+
+beforeEach(() => {
+  tmpDir = fs.mkdtempSync(path.join(os.tmpdir(), 'regime-models-'));
+  process.env.REGIME_MODEL_DIR = tmpDir;
+});
+
+afterEach(() => {
+  setRegimeModel('heuristic');
+  resetRegimeStates();
+  fs.rmSync(tmpDir, { recursive: true, force: true });
+  delete process.env.REGIME_MODEL_DIR;
+});
+
+/** 4h candles cycling through up / down / quiet / volatile phases of `phaseLen` bars. */
+function regimeCandles(n, seed = 1, phaseLen = 80) {
+  const rng = mulberry32(seed);
+  const out = [];
+  let price = 100;
+  for (let i = 0; i < n; i++) {
+    const phase = Math.floor(i / phaseLen) % 4;
+    const drift = [0.004, -0.004, 0, 0][phase];
+    const vol = [0.005, 0.005, 0.003, 0.03][phase];
+    const open = price;
+    price = price * (1 + drift + vol * (rng() - 0.5) * 2);
+    out.push({
+      timestamp: i * BAR, open, close: price, volume: 100,
+      high: Math.max(open, price) * (1 + vol / 2), low: Math.min(open, price) * (1 - vol / 2)
+    });
+  }
+  return out;
+}
+
+const candleSets = { bitcoin: regimeCandles(640, 1), ethereum: regimeCandles(640, 2) };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Building blocks
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('featureVector', () => {
+  test('returns [trend, volatility, adx] once enough candles exist', () => {
+    expect(featureVector(regimeCandles(49))).toBeNull();
+    const v = featureVector(regimeCandles(60));
+    expect(v).toHaveLength(3);
+    v.forEach(x => expect(Number.isFinite(x)).toBe(true));
+  });
+});
+
+describe('kmeans', () => {
+  const X = [[0, 0], [0.1, 0], [0, 0.1], [5, 5], [5.1, 5], [5, 5.1]];
+
+  test('separates well-spaced clusters', () => {
+    const { labels, centroids } = kmeans(X, 2, { seed: 7 });
+    expect(new Set(labels.slice(0, 3)).size).toBe(1);
+    expect(new Set(labels.slice(3)).size).toBe(1);
+    expect(labels[0]).not.toBe(labels[3]);
+    expect(centroids).toHaveLength(2);
+  });
+
+  test('is deterministic for a seed', () => {
+    expect(kmeans(X, 2, { seed: 3 })).toEqual(kmeans(X, 2, { seed: 3 }));
+  });
+
+  test('rejects fewer observations than clusters', () => {
+    expect(() => kmeans([[1]], 2)).toThrow('at least 2');
+  });
+});
+
+describe('fitHMM / filterStates', () => {
+  // Two persistent 1-D states: blocks of 40 around -2 and +2
+  const rng = mulberry32(11);
+  const seq = Array.from({ length: 400 }, (_, t) => [(Math.floor(t / 40) % 2 ? 2 : -2) + (rng() - 0.5)]);
+
+  test('recovers persistent states with stochastic transitions', () => {
+    const hmm = fitHMM([seq], 2, { seed: 1 });
+    hmm.transitions.forEach(row => expect(row.reduce((s, p) => s + p, 0)).toBeCloseTo(1, 6));
+    hmm.transitions.forEach((row, i) => expect(row[i]).toBeGreaterThan(0.9));
+    expect(hmm.means.map(m => Math.round(m[0])).sort()).toEqual([-2, 2]);
+  });
+
+  test('filtering follows the latest observations', () => {
+    const hmm = fitHMM([seq], 2, { seed: 1 });
+    const high = hmm.means[0][0] > 0 ? 0 : 1;
+    expect(filterStates(seq.slice(0, 40), hmm)[high]).toBeLessThan(0.01);
+    expect(filterStates(seq.slice(0, 80), hmm)[high]).toBeGreaterThan(0.99);
+  });
+});
+
+describe('labelStates', () => {
+  test('maps volatility, positive and negative trend, rest ranging', () => {
+    expect(labelStates([
+      [0.5, 0.3, 20], [8, 0.4, 60], [-7, 0.5, 55], [1, 2.5, 25], [-0.2, 0.2, 15]
+    ])).toEqual(['ranging', 'trending_up', 'trending_down', 'volatile', 'ranging']);
+  });
+
+  test('never labels a negative-trend state trending_up', () => {
+    expect(labelStates([[-1, 0.3, 20], [-3, 0.3, 20], [-5, 0.3, 20], [0, 2, 20]]))
+      .toEqual(['ranging', 'ranging', 'trending_down', 'volatile']);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Fitting + inference
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe.each(['kmeans', 'hmm'])('fitRegimeModel (%s)', (type) => {
+  const model = fitRegimeModel(candleSets, { type });
+
+  test('fits k labeled states with statistics and a transition matrix', () => {
+    expect(model).toMatchObject({ type, k: 4, interval: '4h', assets: ['bitcoin', 'ethereum'] });
+    expect(model.states).toHaveLength(4);
+    expect(model.states.map(s => s.label)).toEqual(expect.arrayContaining(['volatile', 'trending_up', 'trending_down']));
+    expect(model.states.reduce((s, st) => s + st.share, 0)).toBeCloseTo(1, 2);
+    for (const state of model.states) {
+      expect(state.forwardReturnPct.n).toBeGreaterThan(0);
+      expect(state.featureMeans).toHaveProperty('adx');
+    }
+    model.transitionMatrix.forEach(row => expect(row.reduce((s, p) => s + p, 0)).toBeCloseTo(1, 2));
+  });
+
+  test('volatile state carries the highest realized volatility', () => {
+    const volatile = model.states.find(s => s.label === 'volatile');
+    const maxVol = Math.max(...model.states.map(s => s.featureMeans.volatility));
+    expect(volatile.featureMeans.volatility).toBe(maxVol);
+  });
+
+  test('inference reads the regime at the evaluation bar', () => {
+    const candles = candleSets.bitcoin;
+    // Bars 300-319 are deep in the 4th (volatile) phase, 100-119 in the downtrend
+    expect(classifyWithModel(model, candles.slice(0, 310))).toBe('volatile');
+    expect(classifyWithModel(model, candles.slice(0, 110))).toBe('trending_down');
+
+    const result = inferRegime(model, candles.slice(0, 310));
+    expect(Object.values(result.probabilities).reduce((s, p) => s + p, 0)).toBeCloseTo(1, 6);
+    expect(result.probabilities.reversal_top).toBe(0);
+    expect(result.smoothed).toBe(type === 'hmm');
+    expect(inferRegime(model, candles.slice(0, 20))).toBeNull();
+  });
+});
+
+describe('fitRegimeModel validation', () => {
+  test('rejects unknown types, bad k and too little data', () => {
+    expect(() => fitRegimeModel(candleSets, { type: 'lstm' })).toThrow('Unknown regime model type');
+    expect(() => fitRegimeModel(candleSets, { k: 3 })).toThrow('between 4 and 8');
+    expect(() => fitRegimeModel({ bitcoin: regimeCandles(60) })).toThrow('Not enough candles');
+  });
+});
+
+describe('persistence', () => {
+  test('round-trips through REGIME_MODEL_DIR', () => {
+    const model = fitRegimeModel(candleSets, { type: 'kmeans' });
+    const file = saveRegimeModel(model);
+    expect(file).toBe(path.join(tmpDir, 'kmeans.json'));
+    expect(loadRegimeModel('kmeans')).toEqual(model);
+    expect(loadRegimeModel('hmm')).toBeNull();
+    expect(loadRegimeModel('heuristic')).toBeNull();
+  });
+
+  test('ignores files from another format version', () => {
+    fs.writeFileSync(path.join(tmpDir, 'hmm.json'), JSON.stringify({ type: 'hmm', version: 99 }));
+    expect(loadRegimeModel('hmm')).toBeNull();
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Model selection (marketRegime)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('marketRegime model selection', () => {
+  const candles = candleSets.bitcoin.slice(0, 310);
+
+  test('defaults to the heuristic classifier', () => {
+    expect(getRegimeModel()).toMatchObject({ model: 'heuristic', fitted: null });
+    expect(updateRegime('bitcoin', candles).model).toBe('heuristic');
+    expect(getRegime('bitcoin').model).toBe('heuristic');
+  });
+
+  test('an untrained fitted model falls back to the heuristic', () => {
+    setRegimeModel('hmm');
+    expect(getRegimeModel().fitted).toEqual({ trained: false });
+    expect(updateRegime('bitcoin', candles).model).toBe('heuristic');
+  });
+
+  test('a trained HMM drives updateRegime without extra EMA smoothing', () => {
+    saveRegimeModel(fitRegimeModel(candleSets, { type: 'hmm' }));
+    setRegimeModel('hmm');
+
+    updateRegime('bitcoin', candles);
+    const out = updateRegime('bitcoin', candles);
+    expect(out).toMatchObject({ model: 'hmm', regime: REGIMES.VOLATILE, isVolatile: true });
+    expect(out.probabilities.volatile).toBeGreaterThan(0.9);
+    expect(out.fittedState).toEqual(expect.any(Number));
+    expect(getRegime('bitcoin').model).toBe('hmm');
+    expect(classifyRegime(candles)).toBe(REGIMES.VOLATILE);
+    expect(getRegimeModel().fitted.states).toHaveLength(4);
+  });
+
+  test('switching models resets tracked state', () => {
+    updateRegime('bitcoin', candles);
+    setRegimeModel('kmeans');
+    expect(getRegime('bitcoin')).toBeNull();
+  });
+
+  test('rejects unknown models', () => {
+    expect(() => setRegimeModel('lstm')).toThrow('Unknown regime model');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Comparison report
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('regimeSeparation', () => {
+  test('reports per-label returns and ANOVA effect size', () => {
+    const samples = [
+      ...[1, 1.2, 0.8, 1.1].map(r => ({ label: 'trending_up', forwardReturn: r, directionCorrect: true })),
+      ...[-1, -0.9, -1.2, -1.1].map(r => ({ label: 'trending_down', forwardReturn: r, directionCorrect: false }))
+    ];
+    const result = regimeSeparation(samples);
+    expect(result.byLabel.trending_up).toMatchObject({ n: 4, upRate: 100, signalHitRate: 100 });
+    expect(result.byLabel.trending_down.mean).toBeCloseTo(-1.05, 4);
+    expect(result.anova.etaSquared).toBeGreaterThan(0.9);
+    expect(result.anova.pValue).toBeLessThan(0.001);
+  });
+
+  test('a single label explains nothing', () => {
+    const result = regimeSeparation([{ label: 'ranging', forwardReturn: 1 }, { label: 'ranging', forwardReturn: -1 }]);
+    expect(result.anova).toMatchObject({ pValue: 1, etaSquared: null });
+  });
+});
+
+describe('compareRegimeModels', () => {
+  function supabaseWith(rows) {
+    const chain = {
+      select: jest.fn(() => chain),
+      gte: jest.fn(() => chain),
+      not: jest.fn(() => chain),
+      is: jest.fn(() => chain),
+      then: (resolve) => resolve({ data: rows, error: null })
+    };
+    return { from: jest.fn(() => chain), chain };
+  }
+
+  test('labels each outcome point-in-time and ranks models by eta²', async () => {
+    saveRegimeModel(fitRegimeModel(candleSets, { type: 'hmm' }));
+    const now = Date.now();
+    const candles = regimeCandles(640, 1).map((c, i) => ({ ...c, timestamp: now - (640 - i) * BAR }));
+    const rows = [100, 140, 180, 220, 300, 340, 420, 460, 500, 580].map(i => ({
+      asset: 'BITCOIN', action: 'BUY',
+      signal_generated_at: new Date(candles[i].timestamp + BAR).toISOString(),
+      change_pct_4h: String((candles[i + 1].close - candles[i].close) / candles[i].close * 100),
+      direction_correct_4h: true
+    }));
+    rows.push({ ...rows[0], asset: 'TETHER-GOLD' });
+
+    const sb = supabaseWith(rows);
+    const seen = [];
+    const report = await compareRegimeModels(sb, {
+      days: 200,
+      loadCandles: async (asset, interval, from, to) => {
+        seen.push({ asset, interval, to });
+        if (asset !== 'bitcoin') throw new Error('Unsupported asset');
+        return candles.filter(c => c.timestamp >= from && c.timestamp <= to);
+      }
+    });
+
+    expect(sb.from).toHaveBeenCalledWith('signal_outcomes');
+    expect(sb.chain.is).toHaveBeenCalledWith('shadow_run_id', null);
+    expect(seen[0]).toMatchObject({ asset: 'bitcoin', interval: '4h' });
+    expect(report).toMatchObject({ horizon: '4h', rows: 11, skipped: 1 });
+    expect(report.models.kmeans).toEqual({ error: 'Model not trained' });
+    expect(report.models.hmm.samples).toBe(10);
+    expect(report.models.heuristic.samples).toBe(10);
+    expect(report.ranking.map(r => r.model)).toEqual(expect.arrayContaining(['hmm']));
+    expect(report.best).toBe(report.ranking[0].model);
+  });
+
+  test('returns the read error', async () => {
+    const sb = supabaseWith([]);
+    sb.chain.then = (resolve) => resolve({ data: null, error: { message: 'down' } });
+    expect(await compareRegimeModels(sb)).toEqual({ error: 'down' });
+  });
+});
@@ -0,0 +1,295 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — reviewers/ (pluggable auto-tune proposal review)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const http = require('http');
+const {
+  RuleBasedReviewer,
+  OpenAICompatibleReviewer,
+  LLMReviewer,
+  createReviewer,
+  createReviewerFromEnv,
+  getAvailableReviewers
+} = require('../reviewers');
+const { validateSchema, validateReviewOutput, ReviewSchemaError } = require('../reviewers/reviewSchema');
+const { buildAIPrompt, parseAIDecision } = require('../reviewers/prompt');
+const { aiReviewProposals } = require('../autoTuner');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const proposals = [
+  { paramName: 'buyThreshold', currentValue: 20, proposedValue: 22, currentSharpe: 1.1, proposedSharpe: 1.4, improvementPct: 27 },
+  { paramName: 'rsiOversold', currentValue: 30, proposedValue: 28, currentSharpe: 1.1, proposedSharpe: 1.3, improvementPct: 18 }
+];
+const context = { marketRegime: 'trending_up', lookbackDays: 60, asset: 'bitcoin', configSource: 'saved' };
+const paramNames = proposals.map(p => p.paramName);
+
+/** LLM reviewer stand-in that replies with fixed text (or throws). */
+class FixedReviewer extends LLMReviewer {
+  constructor(reply) {
+    super('fixed', { model: 'fixed-1' });
+    this.reply = reply;
+  }
+
+  async complete() {
+    if (this.reply instanceof Error) throw this.reply;
+    return { text: this.reply };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Schema validation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('validateSchema', () => {
+  test('checks type, enum, bounds and unexpected properties', () => {
+    const schema = {
+      type: 'object',
+      required: ['n'],
+      additionalProperties: false,
+      properties: { n: { type: 'integer', minimum: 1 }, tag: { type: 'string', enum: ['a'] } }
+    };
+    expect(validateSchema({ n: 2, tag: 'a' }, schema)).toEqual([]);
+    expect(validateSchema({ n: 0.5, tag: 'b', x: 1 }, schema)).toEqual([
+      '$.n: expected integer, got number',
+      '$.tag: must be one of a',
+      '$.x: unexpected property'
+    ]);
+    expect(validateSchema({}, schema)).toEqual(['$.n: required']);
+  });
+
+  test('review output only allows params under review', () => {
+    expect(validateReviewOutput({ decision: 'APPLY', reasoning: 'ok', params: ['buyThreshold'] }, paramNames)).toEqual([]);
+    expect(validateReviewOutput({ decision: 'APPLY', reasoning: 'ok', params: ['atrStopMult'] }, paramNames))
+      .toEqual([expect.stringContaining('$.params[0]: must be one of')]);
+  });
+});
+
+describe('buildAIPrompt input validation', () => {
+  test('rejects proposals that do not match the input schema', () => {
+    expect(() => buildAIPrompt([{ paramName: 'buyThreshold', currentValue: '20' }], context))
+      .toThrow(ReviewSchemaError);
+    expect(() => buildAIPrompt([], context)).toThrow('fewer than 1 items');
+  });
+
+  test('embeds the output schema and introduced conflicts', () => {
+    const prompt = buildAIPrompt(proposals, { ...context, introducedConflicts: ['Tight stop with long hold.'] });
+    expect(prompt).toContain('"enum":["buyThreshold","rsiOversold"]');
+    expect(prompt).toContain('CONFLICTS INTRODUCED BY THESE CHANGES:\n- Tight stop with long hold.');
+  });
+});
+
+describe('parseAIDecision', () => {
+  test('parses a valid reply, including inside code fences', () => {
+    const parsed = parseAIDecision('```json\n{"decision":"BLEND","reasoning":"Noisy gains."}\n```', paramNames);
+    expect(parsed).toMatchObject({ decision: 'BLEND', reasoning: 'Noisy gains.', modifiedParams: null, valid: true });
+  });
+
+  test('keeps camelCase param subsets and maps an empty list to REJECT', () => {
+    expect(parseAIDecision('{"decision":"APPLY","reasoning":"x","params":["rsiOversold"]}', paramNames).modifiedParams)
+      .toEqual(['rsiOversold']);
+    expect(parseAIDecision('{"decision":"APPLY","reasoning":"x","params":[]}', paramNames).decision).toBe('REJECT');
+  });
+
+  test('invalid replies become SKIP with the schema errors', () => {
+    const legacy = parseAIDecision('DECISION: APPLY\nREASONING: fine\nPARAMS: all', paramNames);
+    expect(legacy).toMatchObject({ decision: 'SKIP', valid: false, errors: ['no JSON object found'] });
+
+    const extra = parseAIDecision('{"decision":"MAYBE","reasoning":"x","confidence":0.9}', paramNames);
+    expect(extra.decision).toBe('SKIP');
+    expect(extra.errors).toEqual(['$.decision: must be one of APPLY, BLEND, REJECT', '$.confidence: unexpected property']);
+    expect(extra.output).toEqual({ decision: 'MAYBE', reasoning: 'x', confidence: 0.9 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Rule-based reviewer
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('RuleBasedReviewer', () => {
+  const reviewer = new RuleBasedReviewer();
+
+  test('applies small, clean changes', async () => {
+    const result = await reviewer.review({ proposals, context });
+    expect(result).toMatchObject({ decision: 'APPLY', modifiedParams: null, reviewer: 'rules' });
+    expect(result.audit).toMatchObject({ reviewer: 'rules', valid: true, errors: [], output: { decision: 'APPLY' } });
+    expect(result.audit.input).toEqual({ proposals, context });
+  });
+
+  test('is deterministic', async () => {
+    const a = await reviewer.review({ proposals, context: { ...context, marketRegime: 'volatile' } });
+    const b = await reviewer.review({ proposals, context: { ...context, marketRegime: 'volatile' } });
+    expect(a.audit.output).toEqual(b.audit.output);
+  });
+
+  test.each([
+    ['volatile regime', { marketRegime: 'volatile' }, 'market regime is volatile'],
+    ['introduced conflicts', { introducedConflicts: ['x'] }, 'introduce 1 parameter conflict'],
+    ['losing paper trading', { paperPerformance: { trades: 12, sharpe: -0.4 } }, 'Sharpe is negative'],
+  ])('blends on %s', async (_, extra, reason) => {
+    const result = await reviewer.review({ proposals, context: { ...context, ...extra } });
+    expect(result.decision).toBe('BLEND');
+    expect(result.reasoning).toContain(reason);
+  });
+
+  test('ignores negative paper Sharpe on too few trades', async () => {
+    const result = await reviewer.review({ proposals, context: { ...context, paperPerformance: { trades: 3, sharpe: -2 } } });
+    expect(result.decision).toBe('APPLY');
+  });
+
+  test('blends on a large step relative to the param range', async () => {
+    const big = [{ ...proposals[0], proposedValue: 35 }];
+    const result = await reviewer.review({ proposals: big, context });
+    expect(result.decision).toBe('BLEND');
+    expect(result.reasoning).toContain('large step on buyThreshold');
+  });
+
+  test('drops overfit params and rejects when none are left', async () => {
+    const partly = await reviewer.review({ proposals: [{ ...proposals[0], overfitWarning: true }, proposals[1]], context });
+    expect(partly).toMatchObject({ decision: 'APPLY', modifiedParams: ['rsiOversold'] });
+
+    const all = await reviewer.review({ proposals: proposals.map(p => ({ ...p, overfitWarning: true })), context });
+    expect(all).toMatchObject({ decision: 'REJECT', modifiedParams: null });
+    expect(all.audit.output.params).toEqual([]);
+  });
+
+  test('skips invalid input', async () => {
+    const result = await reviewer.review({ proposals: [], context });
+    expect(result.decision).toBe('SKIP');
+    expect(result.audit.valid).toBe(false);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// OpenAI-compatible reviewer (against a local stand-in server)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('OpenAICompatibleReviewer', () => {
+  let server;
+  let baseUrl;
+  let requests;
+  let reply;
+
+  beforeAll(async () => {
+    server = http.createServer((req, res) => {
+      let body = '';
+      req.on('data', chunk => { body += chunk; });
+      req.on('end', () => {
+        requests.push({ url: req.url, headers: req.headers, body: JSON.parse(body) });
+        res.writeHead(200, { 'Content-Type': 'application/json' });
+        res.end(JSON.stringify({
+          model: 'local-llm',
+          choices: [{ message: { role: 'assistant', content: reply } }],
+          usage: { prompt_tokens: 321, completion_tokens: 12 }
+        }));
+      });
+    });
+    const port = await new Promise(resolve => server.listen(0, '127.0.0.1', () => resolve(server.address().port)));
+    baseUrl = `http://127.0.0.1:${port}/v1/`;
+  });
+
+  afterAll(() => new Promise(resolve => server.close(resolve)));
+
+  beforeEach(() => {
+    requests = [];
+    reply = '{"decision":"APPLY","reasoning":"Consistent gains.","params":["buyThreshold"]}';
+  });
+
+  test('requires baseUrl and model', () => {
+    expect(() => new OpenAICompatibleReviewer({ model: 'x' })).toThrow('requires baseUrl and model');
+  });
+
+  test('posts a chat completion and returns the validated decision', async () => {
+    const reviewer = new OpenAICompatibleReviewer({ baseUrl, model: 'llama3', apiKey: 'sk-local' });
+    const result = await reviewer.review({ proposals, context });
+
+    expect(requests).toHaveLength(1);
+    expect(requests[0].url).toBe('/v1/chat/completions');
+    expect(requests[0].headers.authorization).toBe('Bearer sk-local');
+    expect(requests[0].body).toMatchObject({ model: 'llama3', temperature: 0, response_format: { type: 'json_object' } });
+    expect(requests[0].body.messages[1].content).toContain('buyThreshold: 20 → 22');
+
+    expect(result).toMatchObject({
+      decision: 'APPLY',
+      modifiedParams: ['buyThreshold'],
+      reviewer: 'openai',
+      model: 'local-llm',
+      inputTokens: 321,
+      outputTokens: 12
+    });
+    expect(result.audit).toMatchObject({ valid: true, rawOutput: reply, output: { decision: 'APPLY' } });
+    expect(result.audit.prompt).toBe(requests[0].body.messages[1].content);
+  });
+
+  test('omits the auth header without an api key', async () => {
+    await new OpenAICompatibleReviewer({ baseUrl, model: 'llama3' }).review({ proposals, context });
+    expect(requests[0].headers.authorization).toBeUndefined();
+  });
+
+  test('invalid replies are recorded and skipped', async () => {
+    reply = 'Sure! I think you should apply these.';
+    const result = await new OpenAICompatibleReviewer({ baseUrl, model: 'llama3' }).review({ proposals, context });
+    expect(result.decision).toBe('SKIP');
+    expect(result.audit).toMatchObject({ valid: false, rawOutput: reply, errors: ['no JSON object found'] });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Factory + autoTuner integration
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('createReviewer / createReviewerFromEnv', () => {
+  test('lists and creates reviewer types', () => {
+    expect(getAvailableReviewers()).toEqual(['rules', 'openai', 'anthropic']);
+    expect(createReviewer('rules')).toBeInstanceOf(RuleBasedReviewer);
+    expect(() => createReviewer('oracle')).toThrow('Unknown reviewer type: oracle');
+  });
+
+  test('defaults to rules', () => {
+    expect(createReviewerFromEnv({})).toBeInstanceOf(RuleBasedReviewer);
+  });
+
+  test('reads the OpenAI-compatible settings', () => {
+    const reviewer = createReviewerFromEnv({
+      AUTOTUNE_REVIEWER: 'openai',
+      AUTOTUNE_REVIEWER_URL: 'http://localhost:11434/v1',
+      AUTOTUNE_REVIEWER_MODEL: 'llama3',
+      AUTOTUNE_REVIEWER_TIMEOUT_MS: '5000'
+    });
+    expect(reviewer).toBeInstanceOf(OpenAICompatibleReviewer);
+    expect(reviewer).toMatchObject({ baseUrl: 'http://localhost:11434/v1', model: 'llama3', timeoutMs: 5000, apiKey: null });
+  });
+
+  test('falls back to rules when misconfigured', () => {
+    expect(createReviewerFromEnv({ AUTOTUNE_REVIEWER: 'openai' })).toBeInstanceOf(RuleBasedReviewer);
+    expect(createReviewerFromEnv({ AUTOTUNE_REVIEWER: 'anthropic' })).toBeInstanceOf(RuleBasedReviewer);
+  });
+});
+
+describe('aiReviewProposals', () => {
+  test('uses the given reviewer', async () => {
+    const result = await aiReviewProposals(proposals, context, new FixedReviewer('{"decision":"BLEND","reasoning":"Cautious."}'));
+    expect(result).toMatchObject({ decision: 'BLEND', reviewer: 'fixed', model: 'fixed-1' });
+    expect(result.fallbackFrom).toBeUndefined();
+  });
+
+  test('falls back to the rules when the LLM reply is invalid, keeping both audits', async () => {
+    const result = await aiReviewProposals(proposals, context, new FixedReviewer('{"decision":"YES"}'));
+    expect(result).toMatchObject({ decision: 'APPLY', reviewer: 'rules', fallbackFrom: 'fixed' });
+    expect(result.audit.fallbackFrom).toMatchObject({ reviewer: 'fixed', valid: false, rawOutput: '{"decision":"YES"}' });
+  });
+
+  test('falls back to the rules when the LLM call fails', async () => {
+    const result = await aiReviewProposals(proposals, context, new FixedReviewer(new Error('ECONNREFUSED')));
+    expect(result).toMatchObject({ decision: 'APPLY', reviewer: 'rules', fallbackFrom: 'fixed' });
+    expect(result.audit.fallbackFrom.errors).toEqual(['ECONNREFUSED']);
+  });
+
+  test('does not retry a rule-based SKIP', async () => {
+    const result = await aiReviewProposals([], context, new RuleBasedReviewer());
+    expect(result.decision).toBe('SKIP');
+    expect(result.fallbackFrom).toBeUndefined();
+  });
+});
@@ -0,0 +1,252 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — shadowEvaluator.js (champion / challenger evaluation)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const {
+  SHADOW_CONFIG,
+  challengerConfigSet,
+  appliesToAsset,
+  usedSlice,
+  recordShadowPair,
+  compareVariants,
+  getShadowComparison,
+  formatShadowComparison,
+  directionalReturn
+} = require('../shadowEvaluator');
+const { StrategyConfigSet } = require('../strategyConfig');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+const T0 = Date.parse('2026-01-01T00:00:00Z');
+const HOUR = 60 * 60 * 1000;
+
+/**
+ * n BUY outcome rows for a variant, one per day on bitcoin (so row i of each
+ * variant shares a window): `hits` win +ret %, the rest lose ret %.
+ */
+function outcomes(variant, n, hits, ret = 1) {
+  return Array.from({ length: n }, (_, i) => ({
+    variant,
+    asset: 'bitcoin',
+    signal_generated_at: new Date(T0 + i * 24 * HOUR).toISOString(),
+    action: 'BUY',
+    direction_correct_4h: i < hits,
+    change_pct_4h: String(i < hits ? ret + (i % 3) * 0.1 : -ret - (i % 3) * 0.1)
+  }));
+}
+
+// ─── Mock Supabase ────────────────────────────────────────────────────────────
+
+function createSupabaseMock({ rows = [], error = null } = {}) {
+  const inserts = [];
+  const filters = [];
+  const chain = {
+    select: () => chain,
+    eq: (col, val) => { filters.push([col, val]); return chain; },
+    insert: (row) => { inserts.push(row); return Promise.resolve({ error: null }); },
+    then: (resolve) => resolve({ data: rows, error })
+  };
+  return { from: jest.fn(() => chain), inserts, filters };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Challenger generation
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('challengerConfigSet', () => {
+  test('replaces only the proposal slice of the champion set', () => {
+    const champion = new StrategyConfigSet([
+      { asset: '*', regime: '*', config: { buyThreshold: 20 } },
+      { asset: '*', regime: 'ranging', config: { buyThreshold: 28 } }
+    ]);
+    const challenger = challengerConfigSet(champion, { asset: '*', regime: 'trending' }, { buyThreshold: 24 });
+
+    expect(challenger.resolve('bitcoin', 'trending_up').config.buyThreshold).toBe(24);
+    expect(challenger.resolve('bitcoin', 'ranging').config.buyThreshold).toBe(28);
+    expect(champion.resolve('bitcoin', 'trending_up').config.buyThreshold).toBe(20);
+  });
+
+  test('builds on defaults when no champion set is active', () => {
+    const challenger = challengerConfigSet(null, { asset: 'bitcoin' }, { buyThreshold: 24 });
+    expect(challenger.size).toBe(1);
+    expect(challenger.resolve('BITCOIN', 'volatile').slice).toEqual({ asset: 'bitcoin', regime: '*' });
+  });
+});
+
+describe('appliesToAsset / usedSlice', () => {
+  test('asset-specific slices only apply to their asset', () => {
+    expect(appliesToAsset({ asset: '*', regime: 'ranging' }, 'ethereum')).toBe(true);
+    expect(appliesToAsset({ asset: 'bitcoin', regime: '*' }, 'bitcoin')).toBe(true);
+    expect(appliesToAsset({ asset: 'bitcoin', regime: '*' }, 'ethereum')).toBe(false);
+  });
+
+  test('a challenger signal counts only when it resolved to the proposal slice', () => {
+    const slice = { asset: '*', regime: 'trending' };
+    expect(usedSlice({ strategySlice: { asset: '*', regime: 'trending' } }, slice)).toBe(true);
+    expect(usedSlice({ strategySlice: { asset: '*', regime: '*' } }, slice)).toBe(false);
+    expect(usedSlice({}, slice)).toBe(false);
+  });
+});
+
+describe('recordShadowPair', () => {
+  test('records both variants tagged with the run id', async () => {
+    const sb = createSupabaseMock();
+    await recordShadowPair(sb, 'run-9',
+      { asset: 'CARDANO', action: 'BUY', price: 0.5 },
+      { asset: 'CARDANO', action: 'SELL', price: 0.5 },
+      'ranging');
+
+    expect(sb.inserts).toHaveLength(2);
+    expect(sb.inserts.map(r => [r.variant, r.action, r.shadow_run_id])).toEqual([
+      ['champion', 'BUY', 'run-9'],
+      ['challenger', 'SELL', 'run-9']
+    ]);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Comparison
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('directionalReturn', () => {
+  test('signs the change by signal direction', () => {
+    expect(directionalReturn({ action: 'BUY', change_pct_4h: '1.5' }, '4h')).toBe(1.5);
+    expect(directionalReturn({ action: 'SELL', change_pct_4h: '1.5' }, '4h')).toBe(-1.5);
+    expect(directionalReturn({ action: 'BUY', change_pct_4h: null }, '4h')).toBeNull();
+  });
+});
+
+describe('compareVariants', () => {
+  test('reports hit rate and expectancy per variant', () => {
+    const result = compareVariants([...outcomes('champion', 4, 2), ...outcomes('challenger', 4, 3)], { minSamples: 1 });
+
+    expect(result.horizon).toBe(SHADOW_CONFIG.horizon);
+    expect(result.champion).toMatchObject({ signals: 4, evaluated: 4, hits: 2, hitRate: 50 });
+    expect(result.challenger).toMatchObject({ evaluated: 4, hits: 3, hitRate: 75 });
+    expect(result.challenger.expectancyPct).toBeGreaterThan(result.champion.expectancyPct);
+    expect(result.challenger.avgWinPct).toBeGreaterThan(0);
+    expect(result.challenger.avgLossPct).toBeLessThan(0);
+  });
+
+  test('blocks promotion below the minimum sample size', () => {
+    const result = compareVariants([...outcomes('champion', 10, 2), ...outcomes('challenger', 10, 10)]);
+    expect(result.pairs).toBe(10);
+    expect(result.verdict).toMatchObject({ promotable: false, code: 'insufficient_samples' });
+  });
+
+  test('unfilled outcomes do not count toward the sample size', () => {
+    const pending = outcomes('challenger', 30, 30).map(r => ({ ...r, change_pct_4h: null }));
+    const result = compareVariants([...outcomes('champion', 30, 15), ...pending]);
+    expect(result.challenger).toMatchObject({ signals: 30, evaluated: 0, hitRate: null, expectancyPct: null });
+    expect(result.pairs).toBe(0);
+    expect(result.verdict.code).toBe('insufficient_samples');
+  });
+
+  test('overlapping signals within one horizon window count once per asset', () => {
+    // Hourly repeats on bitcoin collapse into one 4h window; ethereum is its own window
+    const burst = [0, 1, 2, 3].map(h => ({
+      variant: 'champion', asset: 'bitcoin', action: 'BUY',
+      signal_generated_at: new Date(T0 + h * HOUR).toISOString(),
+      change_pct_4h: '1', direction_correct_4h: true
+    }));
+    const eth = { ...burst[0], asset: 'ethereum' };
+    const nextWindow = { ...burst[0], signal_generated_at: new Date(T0 + 4 * HOUR).toISOString() };
+    const result = compareVariants([...burst, eth, nextWindow], { minSamples: 1 });
+
+    expect(result.pairs).toBe(3);
+    expect(result.champion).toMatchObject({ signals: 6, evaluated: 3 });
+  });
+
+  test('a variant that held in a window scores 0 for it', () => {
+    // Champion loses 1% where the challenger stayed out: +1% per window for the challenger
+    const champion = outcomes('champion', 25, 0).map(r => ({ ...r, change_pct_4h: '-1' }));
+    const result = compareVariants(champion);
+
+    expect(result.pairs).toBe(25);
+    expect(result.challenger.evaluated).toBe(0);
+    expect(result.tests.expectancy.meanDiff).toBe(1);
+  });
+
+  test('the paired test removes the market move both variants share', () => {
+    // Same direction every window, so both ride the same noisy move; the
+    // challenger flips a few losing windows into SELLs
+    const moves = Array.from({ length: 30 }, (_, i) => ((i * 7) % 11) - 5);
+    const at = (i) => new Date(T0 + i * 24 * HOUR).toISOString();
+    const rows = moves.flatMap((m, i) => [
+      { variant: 'champion', asset: 'bitcoin', signal_generated_at: at(i), action: 'BUY', change_pct_4h: String(m), direction_correct_4h: m > 0 },
+      { variant: 'challenger', asset: 'bitcoin', signal_generated_at: at(i), action: m === -5 ? 'SELL' : 'BUY', change_pct_4h: String(m), direction_correct_4h: m !== 0 && (m > 0 || m === -5) }
+    ]);
+    const result = compareVariants(rows);
+
+    expect(result.pairs).toBe(30);
+    expect(result.verdict.code).toBe('significant');
+  });
+
+  test('rows without asset or timestamp cannot be paired', () => {
+    const rows = outcomes('champion', 3, 3).map(({ signal_generated_at, ...r }) => r);
+    expect(compareVariants(rows, { minSamples: 1 }).pairs).toBe(0);
+  });
+
+  test('blocks a challenger that is not better', () => {
+    const result = compareVariants([...outcomes('champion', 30, 20), ...outcomes('challenger', 30, 15)]);
+    expect(result.verdict).toMatchObject({ promotable: false, code: 'not_better' });
+  });
+
+  test('blocks a better but not significant challenger', () => {
+    const result = compareVariants([...outcomes('champion', 30, 15), ...outcomes('challenger', 30, 17)]);
+    expect(result.tests.expectancy.pValueGreater).toBeGreaterThanOrEqual(SHADOW_CONFIG.alpha);
+    expect(result.verdict).toMatchObject({ promotable: false, code: 'not_significant' });
+  });
+
+  test('promotes a significantly better challenger', () => {
+    const result = compareVariants([...outcomes('champion', 40, 14), ...outcomes('challenger', 40, 30)]);
+    expect(result.tests.expectancy.pValueGreater).toBeLessThan(SHADOW_CONFIG.alpha);
+    expect(result.tests.hitRate.rate1).toBe(75);
+    expect(result.verdict).toMatchObject({ promotable: true, code: 'significant' });
+  });
+
+  test('horizon option switches the compared window', () => {
+    const rows = outcomes('champion', 2, 1).map(r => ({ ...r, change_pct_24h: '2', direction_correct_24h: true }));
+    const result = compareVariants(rows, { horizon: '24h', minSamples: 1 });
+    expect(result.champion).toMatchObject({ evaluated: 2, hitRate: 100, expectancyPct: 2 });
+
+    // Six-hourly rows: four 4h windows but a single 24h window
+    const sixHourly = rows.concat(rows).map((r, i) => ({ ...r, signal_generated_at: new Date(T0 + i * 6 * HOUR).toISOString() }));
+    expect(compareVariants(sixHourly, { minSamples: 1 }).pairs).toBe(4);
+    expect(compareVariants(sixHourly, { horizon: '24h', minSamples: 1 }).pairs).toBe(1);
+  });
+});
+
+describe('getShadowComparison', () => {
+  test('loads the run rows and compares them', async () => {
+    const sb = createSupabaseMock({ rows: [...outcomes('champion', 3, 1), ...outcomes('challenger', 3, 2)] });
+    const { comparison, error } = await getShadowComparison(sb, 'run-1', { minSamples: 1 });
+
+    expect(error).toBeUndefined();
+    expect(sb.from).toHaveBeenCalledWith('signal_outcomes');
+    expect(sb.filters).toEqual([['shadow_run_id', 'run-1']]);
+    expect(comparison.challenger.evaluated).toBe(3);
+  });
+
+  test('returns the read error', async () => {
+    const sb = createSupabaseMock({ error: { message: 'down' } });
+    const { comparison, error } = await getShadowComparison(sb, 'run-1');
+    expect(comparison).toBeNull();
+    expect(error.message).toBe('down');
+  });
+});
+
+describe('formatShadowComparison', () => {
+  test('summarizes both sides and the verdict', () => {
+    const text = formatShadowComparison(compareVariants([...outcomes('champion', 40, 14), ...outcomes('challenger', 40, 30)]));
+    expect(text).toContain('campeón 35%');
+    expect(text).toContain('retador 75%');
+    expect(text).toContain('✅');
+  });
+
+  test('handles a missing comparison', () => {
+    expect(formatShadowComparison(null)).toBe('🧪 Shadow: sin datos');
+  });
+});
@@ -0,0 +1,384 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SHARED PROVIDER STATE TESTS
+// Memory backend semantics (failure window, idempotent trips, budgets), two
+// breakers in "different processes" coordinating through one backend, the
+// shared Binance budget, and the Postgres backend's RPC mapping + fallback.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+jest.mock('../configManager', () => ({
+  getConfigSync: jest.fn().mockReturnValue({
+    failureThreshold: 3,
+    resetTimeoutMs: 60000,
+    windowMs: 30000
+  })
+}));
+
+const {
+  MemoryStateBackend, PostgresStateBackend, getStateBackend, setStateBackend, normalizeBreaker
+} = require('../sharedState');
+const {
+  CircuitBreaker, STATE, getBreaker, getGlobalBreakerStatus, setAlertCallback, _breakers
+} = require('../circuitBreaker');
+const { logger } = require('../logger');
+
+const CONFIG = { failureThreshold: 3, resetTimeoutMs: 60000, windowMs: 30000 };
+
+beforeEach(() => {
+  setStateBackend(null);
+  _breakers.clear();
+  setAlertCallback(null);
+  jest.clearAllMocks();
+});
+
+const fail = () => Promise.reject(new Error('boom'));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MemoryStateBackend
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('MemoryStateBackend', () => {
+  test('recordFailure counts within the window and flags the threshold', async () => {
+    const backend = new MemoryStateBackend();
+    await backend.recordFailure('P', CONFIG);
+    await backend.recordFailure('P', CONFIG);
+    const third = await backend.recordFailure('P', CONFIG);
+    expect(third.failureCount).toBe(3);
+    expect(third.tripped).toBe(true);
+  });
+
+  test('recordFailure restarts the count after the window', async () => {
+    const backend = new MemoryStateBackend();
+    await backend.recordFailure('P', CONFIG);
+    backend.breakers.get('P').windowStartedAt = Date.now() - 40000;
+    const next = await backend.recordFailure('P', CONFIG);
+    expect(next.failureCount).toBe(1);
+    expect(next.tripped).toBe(false);
+  });
+
+  test('trip is idempotent while the current trip is inside the reset timeout', async () => {
+    const backend = new MemoryStateBackend();
+    const first = await backend.trip('P', CONFIG);
+    const second = await backend.trip('P', CONFIG);
+    expect(first.tripped).toBe(true);
+    expect(second.tripped).toBe(false);
+    expect(second.totalTrips).toBe(1);
+
+    backend.breakers.get('P').openedAt = Date.now() - 70000;
+    const third = await backend.trip('P', CONFIG);
+    expect(third.tripped).toBe(true);
+    expect(third.totalTrips).toBe(2);
+  });
+
+  test('close clears the failure window', async () => {
+    const backend = new MemoryStateBackend();
+    await backend.recordFailure('P', CONFIG);
+    await backend.trip('P', CONFIG);
+    const closed = await backend.close('P');
+    expect(closed).toMatchObject({ state: 'CLOSED', failureCount: 0, openedAt: null });
+    expect(closed.closedAt).toEqual(expect.any(Number));
+  });
+
+  test('consumeBudget allows up to the limit, denies beyond, resets per window', async () => {
+    const backend = new MemoryStateBackend();
+    expect((await backend.consumeBudget('k', 2, 3, 60000)).allowed).toBe(true);
+    const denied = await backend.consumeBudget('k', 2, 3, 60000);
+    expect(denied).toMatchObject({ allowed: false, used: 2, remaining: 1, denied: 1 });
+    expect((await backend.consumeBudget('k', 1, 3, 60000)).allowed).toBe(true);
+
+    backend.budgets.get('k').windowStartedAt = Date.now() - 61000;
+    const fresh = await backend.consumeBudget('k', 3, 3, 60000);
+    expect(fresh).toMatchObject({ allowed: true, used: 3, remaining: 0 });
+    expect(fresh.resetAt).toBe(fresh.windowStartedAt + 60000);
+  });
+
+  test('get/list return copies', async () => {
+    const backend = new MemoryStateBackend();
+    await backend.trip('P', CONFIG);
+    const record = await backend.getBreaker('P');
+    record.state = 'CLOSED';
+    expect((await backend.getBreaker('P')).state).toBe('OPEN');
+    expect(await backend.getBreaker('missing')).toBeNull();
+    expect(await backend.listBreakers()).toHaveLength(1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Circuit breakers across processes
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('CircuitBreaker with a shared backend', () => {
+  test('failures from two processes add up to one trip', async () => {
+    const backend = new MemoryStateBackend();
+    const a = new CircuitBreaker('Shared', { backend });
+    const b = new CircuitBreaker('Shared', { backend });
+
+    await expect(a.execute(fail)).rejects.toThrow('boom');
+    await expect(b.execute(fail)).rejects.toThrow('boom');
+    await expect(a.execute(fail)).rejects.toThrow('boom');
+
+    // a has only 2 local failures but the shared window reached 3
+    expect(a.state).toBe(STATE.OPEN);
+    expect((await backend.getBreaker('Shared')).state).toBe('OPEN');
+  });
+
+  test('a trip in one process pauses the other on its next sync', async () => {
+    const backend = new MemoryStateBackend();
+    const a = new CircuitBreaker('Shared', { backend });
+    const b = new CircuitBreaker('Shared', { backend });
+    await b.execute(() => Promise.resolve('warm'));
+
+    for (let i = 0; i < 3; i++) await a.execute(fail).catch(() => {});
+    expect(a.state).toBe(STATE.OPEN);
+
+    b._lastSyncAt = 0;
+    const fn = jest.fn().mockResolvedValue('live');
+    expect(await b.execute(fn, 'cached')).toBe('cached');
+    expect(fn).not.toHaveBeenCalled();
+    expect(b.state).toBe(STATE.OPEN);
+  });
+
+  test('sends the trip alert from one process only', async () => {
+    const backend = new MemoryStateBackend();
+    const alert = jest.fn().mockResolvedValue();
+    setAlertCallback(alert);
+    const a = new CircuitBreaker('Shared', { backend });
+    const b = new CircuitBreaker('Shared', { backend });
+
+    for (let i = 0; i < 3; i++) {
+      await a.execute(fail).catch(() => {});
+      await b.execute(fail).catch(() => {});
+    }
+    expect(a.state).toBe(STATE.OPEN);
+    expect(b.state).toBe(STATE.OPEN);
+    expect(alert).toHaveBeenCalledTimes(1);
+  });
+
+  test('recovery or reset in one process closes the others', async () => {
+    const backend = new MemoryStateBackend();
+    const a = new CircuitBreaker('Shared', { backend });
+    const b = new CircuitBreaker('Shared', { backend });
+    for (let i = 0; i < 3; i++) await a.execute(fail).catch(() => {});
+    b._lastSyncAt = 0;
+    await b.execute(fail, null);
+    expect(b.state).toBe(STATE.OPEN);
+
+    await a.reset();
+    expect((await backend.getBreaker('Shared')).state).toBe('CLOSED');
+
+    b._lastSyncAt = 0;
+    expect(await b.execute(() => Promise.resolve('ok'))).toBe('ok');
+    expect(b.state).toBe(STATE.CLOSED);
+  });
+
+  test('a backend error keeps the breaker working locally', async () => {
+    const backend = new MemoryStateBackend();
+    backend.recordFailure = jest.fn().mockRejectedValue(new Error('down'));
+    backend.getBreaker = jest.fn().mockRejectedValue(new Error('down'));
+    const cb = new CircuitBreaker('Local', { backend });
+    for (let i = 0; i < 3; i++) await cb.execute(fail).catch(() => {});
+    expect(cb.state).toBe(STATE.OPEN);
+  });
+
+  test('registry breakers use the process-wide backend', async () => {
+    const backend = new MemoryStateBackend();
+    setStateBackend(backend);
+    for (let i = 0; i < 3; i++) await getBreaker('Registry').execute(fail).catch(() => {});
+    expect((await backend.getBreaker('Registry')).state).toBe('OPEN');
+  });
+
+  test('getGlobalBreakerStatus merges shared records with local breakers', async () => {
+    const backend = new MemoryStateBackend();
+    setStateBackend(backend);
+    await backend.trip('RemoteOnly', CONFIG);
+    getBreaker('LocalOnly');
+
+    const status = await getGlobalBreakerStatus();
+    expect(status.map(s => s.provider)).toEqual(['LocalOnly', 'RemoteOnly']);
+    expect(status[0]).toMatchObject({ scope: 'local', state: 'CLOSED' });
+    expect(status[1]).toMatchObject({ scope: 'global', state: 'OPEN', totalTrips: 1, local: null });
+    expect(status[1].openedAt).toMatch(/T/);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Shared Binance budget
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('Binance weight budget', () => {
+  test('requests from every process draw from one budget', async () => {
+    const backend = new MemoryStateBackend();
+    setStateBackend(backend);
+    // Another process has already spent the whole window
+    await backend.consumeBudget('binance:rest', 100, 100, 60000);
+
+    const { fetch24hTicker, getGlobalRateLimitStatus, getRateLimitStatus } = require('../binanceAPI');
+    await expect(fetch24hTicker('BTCUSDT')).rejects.toThrow(/Rate limited/);
+
+    expect(getRateLimitStatus()).toMatchObject({ requestCount: 100, remaining: 0 });
+    expect(await getGlobalRateLimitStatus()).toMatchObject({
+      requestCount: 100, limit: 100, remaining: 0, denied: 1, backend: 'memory'
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PostgresStateBackend
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function mockSupabase({ rpc, rows = [], selectError = null } = {}) {
+  const query = {
+    eq: jest.fn(() => query),
+    then: (resolve) => resolve({ data: selectError ? null : rows, error: selectError })
+  };
+  return {
+    rpc: jest.fn(rpc || (async () => ({ data: null, error: { message: 'function does not exist' } }))),
+    from: jest.fn(() => ({ select: jest.fn(() => query) })),
+    _query: query
+  };
+}
+
+describe('PostgresStateBackend', () => {
+  test('maps breaker calls to the migration 040 functions', async () => {
+    const row = {
+      provider: 'Binance', state: 'OPEN', failure_count: 3, total_trips: 2,
+      opened_at: '2026-01-01T00:00:00.000Z', updated_at: '2026-01-01T00:00:00.000Z', tripped: true
+    };
+    const supabase = mockSupabase({ rpc: async () => ({ data: row, error: null }) });
+    const backend = new PostgresStateBackend(supabase);
+
+    const failure = await backend.recordFailure('Binance', CONFIG);
+    expect(supabase.rpc).toHaveBeenLastCalledWith('cb_record_failure', {
+      p_provider: 'Binance', p_window_ms: 30000, p_threshold: 3
+    });
+    expect(failure).toMatchObject({ state: 'OPEN', failureCount: 3, totalTrips: 2, tripped: true });
+    expect(failure.openedAt).toBe(Date.parse('2026-01-01T00:00:00.000Z'));
+
+    await backend.trip('Binance', CONFIG);
+    expect(supabase.rpc).toHaveBeenLastCalledWith('cb_transition', {
+      p_provider: 'Binance', p_state: 'OPEN', p_reset_timeout_ms: 60000
+    });
+    await backend.close('Binance');
+    expect(supabase.rpc).toHaveBeenLastCalledWith('cb_transition', { p_provider: 'Binance', p_state: 'CLOSED' });
+  });
+
+  test('maps consumeBudget to consume_rate_budget', async () => {
+    const supabase = mockSupabase({
+      rpc: async () => ({
+        data: { key: 'binance:rest', used: 40, budget_limit: 100, window_ms: 60000,
+          window_started_at: '2026-01-01T00:00:00.000Z', denied: 0, allowed: true },
+        error: null
+      })
+    });
+    const backend = new PostgresStateBackend(supabase);
+    const budget = await backend.consumeBudget('binance:rest', 1, 100, 60000);
+    expect(supabase.rpc).toHaveBeenCalledWith('consume_rate_budget', {
+      p_key: 'binance:rest', p_weight: 1, p_limit: 100, p_window_ms: 60000
+    });
+    expect(budget).toMatchObject({ allowed: true, used: 40, limit: 100, remaining: 60 });
+    expect(budget.resetAt).toBe(Date.parse('2026-01-01T00:01:00.000Z'));
+  });
+
+  test('reads shared rows for status', async () => {
+    const supabase = mockSupabase({ rows: [{ provider: 'Binance', state: 'CLOSED', total_trips: 4 }] });
+    const backend = new PostgresStateBackend(supabase);
+    expect(await backend.getBreaker('Binance')).toMatchObject({ provider: 'Binance', totalTrips: 4 });
+    expect(supabase.from).toHaveBeenCalledWith('provider_circuit_state');
+    expect(supabase._query.eq).toHaveBeenCalledWith('provider', 'Binance');
+  });
+
+  test('degrades to per-process state when the RPCs are missing, warning once', async () => {
+    const supabase = mockSupabase({ selectError: { message: 'relation does not exist' } });
+    const backend = new PostgresStateBackend(supabase);
+
+    expect((await backend.consumeBudget('k', 1, 1, 60000)).allowed).toBe(true);
+    expect((await backend.consumeBudget('k', 1, 1, 60000)).allowed).toBe(false);
+    expect((await backend.trip('P', CONFIG)).tripped).toBe(true);
+    expect((await backend.getBreaker('P')).state).toBe('OPEN');
+
+    expect(backend.describe()).toEqual({ backend: 'postgres', shared: false, degraded: true });
+    expect(logger.warn).toHaveBeenCalledTimes(1);
+  });
+
+  test('recovers when the RPC answers again', async () => {
+    let up = false;
+    const supabase = mockSupabase({
+      rpc: async () => (up
+        ? { data: normalizeBreaker({ provider: 'P', state: 'CLOSED' }), error: null }
+        : { data: null, error: { message: 'timeout' } })
+    });
+    const backend = new PostgresStateBackend(supabase);
+    await backend.close('P');
+    expect(backend.degraded).toBe(true);
+    up = true;
+    backend._lastFailureAt = Date.now() - 5000;
+    await backend.close('P');
+    expect(backend.degraded).toBe(false);
+  });
+
+  test('backs off Postgres while degraded instead of retrying every call', async () => {
+    const supabase = mockSupabase({ selectError: { message: 'timeout' } });
+    const backend = new PostgresStateBackend(supabase);
+
+    await backend.consumeBudget('k', 1, 100, 60000);
+    await backend.consumeBudget('k', 1, 100, 60000);
+    await backend.getBudget('k');
+    expect(supabase.rpc).toHaveBeenCalledTimes(1);
+    expect(supabase.from).not.toHaveBeenCalled();
+
+    backend._lastFailureAt = Date.now() - 5000;
+    await backend.consumeBudget('k', 1, 100, 60000);
+    expect(supabase.rpc).toHaveBeenCalledTimes(2);
+  });
+
+  test('the degraded budget is this process\'s share of the shared limit', async () => {
+    const backend = new PostgresStateBackend(mockSupabase(), { processCount: 3 });
+
+    const first = await backend.consumeBudget('binance:rest', 30, 100, 60000);
+    expect(first).toMatchObject({ allowed: true, limit: 33, remaining: 3 });
+    expect((await backend.consumeBudget('binance:rest', 4, 100, 60000)).allowed).toBe(false);
+  });
+
+  test('reads the process count from SHARED_STATE_PROCESS_COUNT', () => {
+    const saved = process.env.SHARED_STATE_PROCESS_COUNT;
+    process.env.SHARED_STATE_PROCESS_COUNT = '4';
+    try {
+      expect(new PostgresStateBackend(mockSupabase()).processCount).toBe(4);
+    } finally {
+      if (saved === undefined) delete process.env.SHARED_STATE_PROCESS_COUNT;
+      else process.env.SHARED_STATE_PROCESS_COUNT = saved;
+    }
+    expect(new PostgresStateBackend(mockSupabase()).processCount).toBe(3);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Backend selection
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('getStateBackend', () => {
+  const saved = { ...process.env };
+  afterEach(() => { process.env = { ...saved }; });
+
+  test('uses memory under test and caches the instance', () => {
+    const backend = getStateBackend();
+    expect(backend).toBeInstanceOf(MemoryStateBackend);
+    expect(getStateBackend()).toBe(backend);
+  });
+
+  test('uses Postgres when requested and Supabase is configured', () => {
+    process.env.SHARED_STATE_BACKEND = 'postgres';
+    process.env.SUPABASE_URL = 'https://example.supabase.co';
+    process.env.SUPABASE_KEY = 'test-key';
+    expect(getStateBackend()).toBeInstanceOf(PostgresStateBackend);
+  });
+
+  test('falls back to memory when Postgres is requested without Supabase', () => {
+    process.env.SHARED_STATE_BACKEND = 'postgres';
+    delete process.env.SUPABASE_URL;
+    expect(getStateBackend()).toBeInstanceOf(MemoryStateBackend);
+    expect(logger.warn).toHaveBeenCalled();
+  });
+});
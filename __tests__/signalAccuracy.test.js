@@ -4,7 +4,14 @@
 
 const {
   recordSignalOutcome,
-  getOutcomesByRegimeConfluence
+  getOutcomesByRegimeConfluence,
+  getFactorAttribution,
+  computeFactorAttribution,
+  getAccuracyMetrics,
+  parseHorizon,
+  resolveHorizons,
+  computeExcursion,
+  checkExcursions
 } = require('../signalAccuracy');
 
 // ─── Mock Supabase ────────────────────────────────────────────────────────────
@@ -18,6 +25,7 @@ function mockSupabaseInsert(opts = {}) {
       gte: jest.fn().mockImplementation(() => chain),
       not: jest.fn().mockImplementation(() => chain),
       eq: jest.fn().mockImplementation(() => chain),
+      is: jest.fn().mockImplementation(() => chain),
       insert: insertFn,
       then: (resolve, reject) => {
         const result = { data: opts.queryData || [], error: opts.queryError || null };
@@ -88,6 +96,19 @@ describe('recordSignalOutcome', () => {
     await recordSignalOutcome(sb, { action: 'BUY', asset: null, price: 50000 }, 'volatile');
     expect(sb._insertFn).not.toHaveBeenCalled();
   });
+  test('tags shadow rows and dedups them separately from live signals', async () => {
+    const sb = mockSupabaseInsert();
+    const signal = { asset: 'SOLANA', action: 'BUY', price: 150 };
+
+    await recordSignalOutcome(sb, signal, 'ranging');
+    await recordSignalOutcome(sb, signal, 'ranging', { runId: 'run-1', variant: 'champion' });
+    await recordSignalOutcome(sb, signal, 'ranging', { runId: 'run-1', variant: 'challenger' });
+    await recordSignalOutcome(sb, signal, 'ranging', { runId: 'run-1', variant: 'challenger' });
+
+    expect(sb._insertFn).toHaveBeenCalledTimes(3);
+    expect(sb._insertFn.mock.calls[0][0].shadow_run_id).toBeUndefined();
+    expect(sb._insertFn.mock.calls[2][0]).toMatchObject({ shadow_run_id: 'run-1', variant: 'challenger' });
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -147,6 +168,16 @@ describe('getOutcomesByRegimeConfluence', () => {
     expect(result.matrix.volatile.unknown.hitRate1h).toBe(100);
   });
 
+  test('excludes shadow evaluation rows', async () => {
+    const chains = [];
+    const sb = mockSupabaseInsert({ queryData: [] });
+    const makeChain = sb.from.getMockImplementation();
+    sb.from.mockImplementation((table) => { const c = makeChain(table); chains.push(c); return c; });
+
+    await getOutcomesByRegimeConfluence(sb, { days: 60 });
+    expect(chains[0].is).toHaveBeenCalledWith('shadow_run_id', null);
+  });
+
   test('asset filter is applied', async () => {
     const sb = mockSupabaseInsert({ queryData: [] });
     await getOutcomesByRegimeConfluence(sb, { days: 60, asset: 'bitcoin' });
@@ -154,3 +185,299 @@ describe('getOutcomesByRegimeConfluence', () => {
     expect(sb.from).toHaveBeenCalled();
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Factor attribution
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('computeFactorAttribution', () => {
+  const DAY = 86400000;
+  const start = Date.parse('2026-03-02T00:00:00Z');
+
+  /**
+   * BUY rows where `rsi` points predict the 4h move (change = points / 4) and
+   * `fearGreed` is active on every other row with no bearing on the outcome.
+   */
+  function makeRows(n, dayStep = 0.5) {
+    return Array.from({ length: n }, (_, i) => {
+      const rsiPoints = (i % 5) * 4 - 8;             // -8 .. 8
+      const change = rsiPoints / 4 + (i % 2 ? 0.1 : -0.1);
+      return {
+        action: 'BUY',
+        signal_generated_at: new Date(start + i * dayStep * DAY).toISOString(),
+        factors: [
+          { factor: 'rsi', value: 50, points: rsiPoints, confidence: 10, multiplier: 1 },
+          { factor: 'fearGreed', value: 50, points: i % 2 ? 3 : 0, confidence: 0, multiplier: 1 },
+          { factor: 'volume', value: 'neutral', points: 0, confidence: i % 3 ? 10 : 0, multiplier: 1 }
+        ],
+        change_pct_1h: String(change / 2),
+        direction_correct_1h: change > 0,
+        change_pct_4h: String(change),
+        direction_correct_4h: change > 0,
+        change_pct_24h: null,
+        direction_correct_24h: null
+      };
+    });
+  }
+
+  test('reports active vs inactive outcomes per horizon', () => {
+    const report = computeFactorAttribution(makeRows(40));
+    const rsi = report.factors.rsi;
+
+    expect(report.totalRows).toBe(40);
+    expect(rsi.activeRate).toBe(80);
+    expect(rsi.horizons['4h'].active.n).toBe(32);
+    expect(rsi.horizons['4h'].inactive.n).toBe(8);
+    expect(rsi.horizons['24h'].active).toEqual({ n: 0, hitRate: null, avgReturnPct: null });
+    expect(rsi.weights).toEqual({ rsiExtremeScore: 18, rsiStrongScore: 12, rsiPullbackScore: 8 });
+  });
+
+  test('information coefficient separates predictive factors from noise', () => {
+    const report = computeFactorAttribution(makeRows(40));
+
+    expect(report.factors.rsi.horizons['4h'].ic.rho).toBeGreaterThan(0.9);
+    expect(report.factors.rsi.horizons['4h'].ic.pValue).toBeLessThan(0.01);
+    expect(Math.abs(report.factors.fearGreed.horizons['4h'].ic.rho)).toBeLessThan(0.3);
+    expect(report.ranking[0].factor).toBe('rsi');
+  });
+
+  test('confidence-only factors count as active when they moved confidence', () => {
+    const report = computeFactorAttribution(makeRows(30));
+    expect(report.factors.volume.activeRate).toBeCloseTo(66.67, 1);
+    expect(report.factors.volume.horizons['4h'].ic.rho).toBeNull();
+  });
+
+  test('tracks IC per period for decay', () => {
+    const report = computeFactorAttribution(makeRows(40), { periodDays: 7, minPeriodSamples: 5 });
+    const decay = report.factors.rsi.decay;
+
+    expect(decay.horizon).toBe('4h');
+    expect(decay.periods.map(p => p.from)).toEqual(['2026-03-02', '2026-03-09', '2026-03-16']);
+    expect(decay.periods[0].n).toBe(14);
+    expect(decay.byHorizon['1h']).toBeGreaterThan(0.9);
+    expect(decay.byHorizon['24h']).toBeNull();
+    expect(typeof decay.icSlope).toBe('number');
+  });
+
+  test('ignores rows without a factor vector', () => {
+    const report = computeFactorAttribution([{ action: 'BUY', factors: null }, ...makeRows(3)]);
+    expect(report.totalRows).toBe(3);
+  });
+});
+
+describe('getFactorAttribution', () => {
+  test('reads live outcomes that carry factors', async () => {
+    const chains = [];
+    const sb = mockSupabaseInsert({ queryData: [] });
+    const makeChain = sb.from.getMockImplementation();
+    sb.from.mockImplementation((table) => { const c = makeChain(table); chains.push(c); return c; });
+
+    const result = await getFactorAttribution(sb, { days: 30 });
+    expect(result).toMatchObject({ days: 30, totalRows: 0, factors: {}, ranking: [] });
+    expect(chains[0].not).toHaveBeenCalledWith('factors', 'is', null);
+    expect(chains[0].is).toHaveBeenCalledWith('shadow_run_id', null);
+  });
+
+  test('returns the query error', async () => {
+    const sb = mockSupabaseInsert({ queryError: { message: 'boom' } });
+    const result = await getFactorAttribution(sb);
+    expect(result.error).toBe('boom');
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Excursions (MFE/MAE, TP1 vs SL first touch)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const HOUR = 60 * 60 * 1000;
+const T0 = Date.UTC(2026, 0, 1);
+
+/** Hourly candles from T0 given [high, low, close] triples. */
+function hourly(bars) {
+  return bars.map(([high, low, close], i) => ({ timestamp: T0 + i * HOUR, open: close, high, low, close, volume: 1 }));
+}
+
+/** Chain that records filters and updates for the checkExcursions query. */
+function mockExcursionSupabase(rows, queryError = null) {
+  const filters = [];
+  const updates = [];
+  const chain = {
+    select: () => chain,
+    lte: (col, val) => { filters.push(['lte', col, val]); return chain; },
+    order: () => chain,
+    limit: () => Promise.resolve({ data: rows, error: queryError }),
+    update: (data) => ({
+      eq: (col, id) => { updates.push({ id, ...data }); return Promise.resolve({ error: null }); }
+    })
+  };
+  return { from: jest.fn(() => chain), filters, updates };
+}
+
+describe('parseHorizon / resolveHorizons', () => {
+  test('parses labels within 15m..7d', () => {
+    expect(parseHorizon('15m')).toBe(15 * 60 * 1000);
+    expect(parseHorizon('4h')).toBe(4 * HOUR);
+    expect(parseHorizon('7d')).toBe(7 * 24 * HOUR);
+    expect(parseHorizon('5m')).toBeNull();
+    expect(parseHorizon('8d')).toBeNull();
+    expect(parseHorizon('soon')).toBeNull();
+  });
+
+  test('sorts, dedups and drops invalid horizons', () => {
+    expect(resolveHorizons('24h, 15m,1d,bogus').map(h => h.label)).toEqual(['15m', '24h']);
+  });
+
+  test('falls back to the defaults when nothing valid is configured', () => {
+    expect(resolveHorizons('').map(h => h.label)).toEqual(['1h', '4h', '24h']);
+    expect(resolveHorizons('1y').map(h => h.label)).toEqual(['1h', '4h', '24h']);
+  });
+});
+
+describe('computeExcursion', () => {
+  const trade = { entry: 100, stopLoss: 95, takeProfit1: 106, from: T0, intervalMs: HOUR };
+
+  test('BUY reaching TP1 before SL', () => {
+    const candles = hourly([[102, 99, 101], [107, 100, 106], [106, 94, 95]]);
+    const result = computeExcursion(candles, { ...trade, action: 'BUY', to: T0 + 3 * HOUR });
+
+    expect(result).toMatchObject({ candles: 3, mfePct: 7, maePct: -6, firstTouch: 'tp1', closePrice: 95, changePct: -5 });
+    expect(result.touchedAt).toBe(new Date(T0 + HOUR).toISOString());
+  });
+
+  test('BUY stopped out first', () => {
+    const candles = hourly([[101, 94, 96], [107, 96, 106]]);
+    const result = computeExcursion(candles, { ...trade, action: 'BUY', to: T0 + 2 * HOUR });
+    expect(result.firstTouch).toBe('sl');
+  });
+
+  test('SELL excursions are signed in the signal direction', () => {
+    const candles = hourly([[103, 97, 98], [101, 92, 93]]);
+    const result = computeExcursion(candles, {
+      ...trade, action: 'STRONG SELL', stopLoss: 105, takeProfit1: 94, to: T0 + 2 * HOUR
+    });
+    expect(result).toMatchObject({ mfePct: 8, maePct: -3, firstTouch: 'tp1', changePct: -7 });
+  });
+
+  test('a candle spanning both levels is ambiguous', () => {
+    const candles = hourly([[107, 94, 100]]);
+    expect(computeExcursion(candles, { ...trade, action: 'BUY', to: T0 + HOUR }).firstTouch).toBe('both');
+  });
+
+  test('ignores candles before the signal and candles not closed by the horizon', () => {
+    const candles = [
+      { timestamp: T0 - HOUR, high: 120, low: 80, close: 100 },
+      ...hourly([[101, 99, 100], [110, 90, 100]])
+    ];
+    const result = computeExcursion(candles, { ...trade, action: 'BUY', to: T0 + 1.5 * HOUR });
+    expect(result).toMatchObject({ candles: 1, mfePct: 1, maePct: -1, firstTouch: null });
+  });
+
+  test('returns nulls without candles', () => {
+    expect(computeExcursion([], { ...trade, action: 'BUY', to: T0 + HOUR }))
+      .toMatchObject({ candles: 0, mfePct: null, maePct: null, firstTouch: null, closePrice: null });
+  });
+});
+
+describe('checkExcursions', () => {
+  const horizons = resolveHorizons('1h,4h');
+  const row = {
+    id: 'o-1', asset: 'BITCOIN', action: 'BUY', price_at_signal: '100',
+    stop_loss: '95', take_profit_1: '106', signal_generated_at: new Date(T0).toISOString(), excursions: {}
+  };
+
+  test('fills elapsed horizons and schedules the next one', async () => {
+    const sb = mockExcursionSupabase([row]);
+    const getCandles = jest.fn().mockResolvedValue(hourly([[101, 99, 100], [102, 98, 101]]));
+
+    await checkExcursions(sb, getCandles, { horizons, now: T0 + 2 * HOUR });
+
+    expect(sb.filters).toEqual([['lte', 'excursion_due_at', new Date(T0 + 2 * HOUR).toISOString()]]);
+    expect(getCandles).toHaveBeenCalledWith('bitcoin', '15m', T0, T0 + 2 * HOUR);
+    expect(sb.updates).toHaveLength(1);
+    expect(Object.keys(sb.updates[0].excursions)).toEqual(['1h']);
+    expect(sb.updates[0].excursion_due_at).toBe(new Date(T0 + 4 * HOUR).toISOString());
+    expect(sb.updates[0].trade_outcome).toBeUndefined();
+  });
+
+  test('closes the row with the trade outcome once every horizon is filled', async () => {
+    const sb = mockExcursionSupabase([row]);
+    const getCandles = jest.fn().mockResolvedValue(hourly([[101, 99, 100], [107, 99, 106], [106, 100, 104], [105, 101, 103]]));
+
+    await checkExcursions(sb, getCandles, { horizons, now: T0 + 5 * HOUR });
+
+    expect(sb.updates[0]).toMatchObject({ excursion_due_at: null, trade_outcome: 'win', mfe_pct: 7, mae_pct: -1 });
+    expect(sb.updates[0].excursions['4h'].firstTouch).toBe('tp1');
+  });
+
+  test('retries later while candles are missing, then expires the row', async () => {
+    const getCandles = jest.fn().mockResolvedValue([]);
+
+    const pending = mockExcursionSupabase([row]);
+    await checkExcursions(pending, getCandles, { horizons, now: T0 + 5 * HOUR });
+    expect(pending.updates[0].excursion_due_at).toBe(new Date(T0 + 5 * HOUR + 15 * 60 * 1000).toISOString());
+
+    const stale = mockExcursionSupabase([row]);
+    await checkExcursions(stale, getCandles, { horizons, now: T0 + 30 * HOUR });
+    expect(stale.updates[0]).toMatchObject({ excursion_due_at: null, trade_outcome: null, mfe_pct: null });
+  });
+
+  test('candle source errors do not abort the batch', async () => {
+    const sb = mockExcursionSupabase([row, { ...row, id: 'o-2' }]);
+    const getCandles = jest.fn().mockRejectedValue(new Error('archive offline'));
+
+    await checkExcursions(sb, getCandles, { horizons, now: T0 + 2 * HOUR });
+    expect(sb.updates.map(u => u.id)).toEqual(['o-1', 'o-2']);
+  });
+
+  test('skips quietly before the migration is applied', async () => {
+    const sb = mockExcursionSupabase(null, { code: '42703', message: 'column does not exist' });
+    const getCandles = jest.fn();
+
+    await checkExcursions(sb, getCandles, { horizons, now: T0 });
+    expect(getCandles).not.toHaveBeenCalled();
+  });
+});
+
+describe('recordSignalOutcome trade levels', () => {
+  test('stores TP1/SL and schedules the first excursion horizon', async () => {
+    const sb = mockSupabaseInsert();
+    await recordSignalOutcome(sb, {
+      asset: 'AVALANCHE-2', action: 'BUY', confidence: 60, price: 150,
+      timestamp: new Date(T0).toISOString(),
+      tradeLevels: { stopLoss: 140, takeProfit1: 165 }
+    });
+
+    const inserted = sb._insertFn.mock.calls[0][0];
+    expect(inserted).toMatchObject({ stop_loss: 140, take_profit_1: 165 });
+    expect(inserted.excursion_due_at).toBe(new Date(T0 + HOUR).toISOString());
+  });
+});
+
+describe('getAccuracyMetrics wouldHaveWon', () => {
+  test('reports trade-level win rates per horizon', async () => {
+    const excursion = (firstTouch, mfePct, maePct, changePct) => ({ firstTouch, mfePct, maePct, changePct });
+    const rows = [
+      { asset: 'BITCOIN', action: 'BUY', signal_generated_at: '2026-01-01T00:00:00Z', direction_correct_1h: true, change_pct_1h: '1',
+        excursions: { '4h': excursion('tp1', 6, -1, 4) } },
+      { asset: 'BITCOIN', action: 'SELL', signal_generated_at: '2026-01-01T01:00:00Z', direction_correct_1h: false, change_pct_1h: '1',
+        excursions: { '4h': excursion('sl', 1, -5, 5) } },
+      { asset: 'BITCOIN', action: 'BUY', signal_generated_at: '2026-01-01T02:00:00Z', direction_correct_1h: true, change_pct_1h: '1',
+        excursions: { '4h': excursion(null, 2, -2, 1) } },
+      { asset: 'BITCOIN', action: 'BUY', signal_generated_at: '2026-01-01T03:00:00Z', direction_correct_1h: true, change_pct_1h: '1',
+        excursions: {} }
+    ];
+    const chain = {
+      select: () => chain, gte: () => chain, not: () => chain, is: () => chain, eq: () => chain,
+      order: () => Promise.resolve({ data: rows, error: null })
+    };
+
+    const metrics = await getAccuracyMetrics({ from: () => chain });
+
+    expect(metrics.overall.wouldHaveWon['1h'].n).toBe(0);
+    expect(metrics.overall.wouldHaveWon['4h']).toEqual({
+      n: 3, winRate: 33.33, lossRate: 33.33, openRate: 33.33,
+      directionHitRate: 66.67, avgMfePct: 3, avgMaePct: -2.67
+    });
+    expect(metrics.byAsset.BITCOIN.wouldHaveWon['4h'].n).toBe(3);
+  });
+});
@@ -0,0 +1,140 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — signal factor vectors + signalExplainer.js
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { generateSignalWithRealData, generateMultiTimeframeSignal } = require('../technicalAnalysis');
+const { explainSignal, mergeMultiplier } = require('../signalExplainer');
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+/** Deterministic trending candles with a wave on top. */
+function makeCandles(count, { base = 100, drift = 0.004, hourMs = 3600000 } = {}) {
+  const candles = [];
+  for (let i = 0; i < count; i++) {
+    const close = base * (1 + drift * i) + Math.sin(i / 3) * base * 0.01;
+    const open = close - Math.cos(i / 3) * base * 0.004;
+    candles.push({
+      open,
+      high: Math.max(open, close) * 1.003,
+      low: Math.min(open, close) * 0.997,
+      close,
+      volume: 500 + (i % 7) * 60,
+      timestamp: Date.now() - (count - i) * hourMs
+    });
+  }
+  return candles;
+}
+
+const sumPoints = (factors) => factors.reduce((s, f) => s + f.points, 0);
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Factor vector
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('generateSignalWithRealData factor vector', () => {
+  test('records every scoring factor and the points add up to the raw score', async () => {
+    const candles = makeCandles(200);
+    const price = candles[candles.length - 1].close;
+    const signal = await generateSignalWithRealData('ethereum', price, 6, 1e6, 50, '1h', null, null, candles);
+
+    expect(signal.factors.map(f => f.factor)).toEqual([
+      'trend', 'adx', 'rsi', 'macd', 'divergence', 'bollinger', 'volume', 'obv', 'supportResistance',
+      'momentum', 'fearGreed', 'derivatives', 'btcDominance', 'dxy', 'orderBook', 'ichimoku', 'vwap',
+      'fibonacci', 'marketStructure', 'btcCorrelation', 'agreement'
+    ]);
+    expect(Math.abs(sumPoints(signal.factors) - signal.rawScore)).toBeLessThanOrEqual(0.5);
+    for (const f of signal.factors) {
+      expect(f).toEqual(expect.objectContaining({
+        points: expect.any(Number), confidence: expect.any(Number), multiplier: expect.any(Number)
+      }));
+    }
+    expect(signal.multipliers).toEqual({ adx: signal.factors.find(f => f.factor === 'adx').multiplier });
+  });
+
+  test('momentum factor carries the raw 24h change and its points', async () => {
+    const candles = makeCandles(200);
+    const price = candles[candles.length - 1].close;
+    const flat = await generateSignalWithRealData('ethereum', price, 0, 1e6, 50, '1h', null, null, candles);
+    const hot = await generateSignalWithRealData('ethereum', price, 12, 1e6, 50, '1h', null, null, candles);
+
+    expect(flat.factors.find(f => f.factor === 'momentum')).toMatchObject({ value: 0, points: 0 });
+    expect(hot.factors.find(f => f.factor === 'momentum').value).toBe(12);
+    expect(hot.factors.find(f => f.factor === 'momentum').points).toBeGreaterThan(0);
+  });
+
+  test('no factor vector without enough data', async () => {
+    const signal = await generateSignalWithRealData('ethereum', 100, 0, 1e6, 50, '1h', null, null, makeCandles(20));
+    expect(signal.factors).toBeUndefined();
+  });
+});
+
+describe('generateMultiTimeframeSignal multipliers', () => {
+  test('carries the 1h factors and every merge multiplier', async () => {
+    const candles = {
+      '4h': makeCandles(100, { hourMs: 4 * 3600000 }),
+      '1h': makeCandles(200),
+      '15m': makeCandles(288, { drift: -0.001, hourMs: 900000 })
+    };
+    const price = candles['1h'][199].close;
+    const signal = await generateMultiTimeframeSignal('ethereum', price, 2, 1e6, 50, null, null, candles);
+
+    expect(signal.factors.length).toBeGreaterThan(10);
+    expect(Object.keys(signal.multipliers).sort()).toEqual(
+      ['adx', 'confluence', 'governor', 'momentumAcceleration', 'regimeWeight', 'structuralDivergence']
+    );
+    expect(signal.multipliers.regimeWeight).toBe(signal.timeframes.dynamicWeights.tf1h);
+
+    // Timeframe contributions reconstruct the merged score (before clamping/rounding)
+    const explanation = explainSignal(signal);
+    const total = Object.values(explanation.timeframeContributions).reduce((s, v) => s + v, 0);
+    expect(Math.abs(total - signal.rawScore)).toBeLessThanOrEqual(1.5);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// explainSignal
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('explainSignal', () => {
+  const signal = {
+    asset: 'BITCOIN',
+    action: 'BUY',
+    strengthLabel: 'BUY',
+    rawScore: 24,
+    confidence: 55,
+    interval: 'multi',
+    timestamp: '2026-01-01T00:00:00.000Z',
+    factors: [
+      { factor: 'trend', value: 'strong_up', points: 15, confidence: 15, multiplier: 1 },
+      { factor: 'rsi', value: 71, points: -9.5, confidence: 10, multiplier: 1.3 },
+      { factor: 'macd', value: 0.2, points: 20, confidence: 10, multiplier: 1.3 },
+      { factor: 'volume', value: 'confirming_up', points: 0, confidence: 10, multiplier: 1 }
+    ],
+    multipliers: { adx: 1.3, regimeWeight: 0.5, confluence: 1.2, structuralDivergence: 1, momentumAcceleration: 1, governor: 0.8 }
+  };
+
+  test('merge multiplier excludes adx (already inside the points)', () => {
+    expect(mergeMultiplier(signal.multipliers)).toBeCloseTo(0.48);
+    expect(mergeMultiplier(null)).toBe(1);
+  });
+
+  test('ranks factors by impact with effective points and share', () => {
+    const result = explainSignal(signal);
+
+    expect(result.factors.map(f => f.factor)).toEqual(['macd', 'trend', 'rsi', 'volume']);
+    expect(result.factors[0]).toMatchObject({ effectivePoints: 9.6, sharePct: 44.9, direction: 'bullish' });
+    expect(result.factors[2]).toMatchObject({ direction: 'bearish', effectivePoints: -4.56 });
+    expect(result.totals).toEqual({ bullishPoints: 35, bearishPoints: -9.5, netPoints: 25.5, effectivePoints: 12.24 });
+    expect(result.topBullish).toEqual(['macd', 'trend']);
+    expect(result.topBearish).toEqual(['rsi']);
+    expect(result.factorTimeframe).toBe('1h');
+  });
+
+  test('returns null for signals without a factor vector', () => {
+    expect(explainSignal({ asset: 'GOLD (XAU)', action: 'HOLD' })).toBeNull();
+    expect(explainSignal({ factors: [] })).toBeNull();
+    expect(explainSignal(null)).toBeNull();
+  });
+});
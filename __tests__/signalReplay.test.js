@@ -0,0 +1,283 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// Tests — signalReplay.js (historical signal regeneration + diff)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+jest.mock('../logger', () => ({
+  logger: { info: jest.fn(), warn: jest.fn(), error: jest.fn(), debug: jest.fn() }
+}));
+
+jest.mock('../technicalAnalysis', () => ({
+  generateMultiTimeframeSignal: jest.fn()
+}));
+
+jest.mock('../backtester', () => {
+  const actual = jest.requireActual('../backtester');
+  return {
+    ...actual,
+    loadHistoricalCandles: jest.fn(),
+    loadHistoricalContext: jest.fn(),
+    loadFundingHistory: jest.fn()
+  };
+});
+
+const {
+  normalizeReplayParams,
+  replaySignals,
+  diffSignals,
+  loadPersistedSignals,
+  startReplayJob,
+  getReplayJob,
+  replaySteps,
+  closedWindow,
+  replayStrategyConfig
+} = require('../signalReplay');
+const { generateMultiTimeframeSignal } = require('../technicalAnalysis');
+const { loadHistoricalCandles, loadHistoricalContext, loadFundingHistory } = require('../backtester');
+const { isConfigSet } = require('../strategyConfig');
+
+const MIN = 60 * 1000;
+const HOUR = 60 * MIN;
+const DAY = 24 * HOUR;
+const NOW = Date.UTC(2026, 5, 1);
+
+/** Flat candles every `intervalMs` over [from, to). */
+function candles(from, to, intervalMs) {
+  const out = [];
+  for (let t = Math.ceil(from / intervalMs) * intervalMs; t < to; t += intervalMs) {
+    out.push({ timestamp: t, open: 100, high: 101, low: 99, close: 100 + (t / HOUR) % 5, volume: 10 });
+  }
+  return out;
+}
+
+/** Resolves once queued promise callbacks have run. */
+const flush = () => new Promise(resolve => setImmediate(resolve));
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Params
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('normalizeReplayParams', () => {
+  const base = { assets: ['Bitcoin', 'bitcoin', 'ethereum'], startTime: NOW - 2 * DAY, endTime: '2026-05-31T12:00:00Z' };
+
+  test('normalizes assets and times', () => {
+    const { params, error } = normalizeReplayParams(base, NOW);
+    expect(error).toBeUndefined();
+    expect(params).toEqual({
+      assets: ['bitcoin', 'ethereum'],
+      startTime: NOW - 2 * DAY,
+      endTime: NOW - 12 * HOUR,
+      config: null,
+      slices: null,
+      stepInterval: '1h',
+      offline: false
+    });
+  });
+
+  test.each([
+    [{ assets: [] }, 'assets must be a non-empty array'],
+    [{ assets: ['bitcoin; drop'] }, 'assets must be CoinGecko ids'],
+    [{ startTime: 'yesterday' }, 'startTime and endTime must be timestamps (ms) or ISO dates'],
+    [{ startTime: NOW - HOUR, endTime: NOW - 2 * HOUR }, 'startTime must be before endTime'],
+    [{ endTime: NOW + HOUR }, 'endTime must be in the past'],
+    [{ startTime: NOW - 40 * DAY }, 'Replay window is limited to 31 days'],
+    [{ stepInterval: '1d' }, 'stepInterval must be one of 15m, 1h, 4h'],
+    [{ config: { buyThreshold: 20 }, slices: [{ config: {} }] }, 'Use either config or slices, not both'],
+    [{ slices: [{ regime: 'sideways', config: {} }] }, 'Invalid regime: sideways (expected trending, ranging, volatile or *)']
+  ])('rejects %j', (override, message) => {
+    const { params, error } = normalizeReplayParams({ ...base, ...override }, NOW);
+    expect(params).toBeNull();
+    expect(error).toBe(message);
+  });
+
+  test('slices are rebuilt into a config set for the signal engine', () => {
+    const set = replayStrategyConfig({ slices: [{ asset: 'bitcoin', regime: 'ranging', config: { buyThreshold: 30 } }] });
+    expect(isConfigSet(set)).toBe(true);
+    expect(set.resolve('BITCOIN', 'ranging').config.buyThreshold).toBe(30);
+    expect(replayStrategyConfig({ config: { buyThreshold: 22 } })).toEqual({ buyThreshold: 22 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Replay
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('replaySteps / closedWindow', () => {
+  test('steps are aligned to the interval', () => {
+    expect(replaySteps(NOW + 10 * MIN, NOW + 3 * HOUR, HOUR)).toEqual([NOW + HOUR, NOW + 2 * HOUR, NOW + 3 * HOUR]);
+  });
+
+  test('only candles closed by the step are visible', () => {
+    const series = candles(NOW, NOW + 3 * HOUR, HOUR);
+    const { window, pointer } = closedWindow(series, 0, NOW + 2 * HOUR + 30 * MIN, HOUR, 10);
+    expect(window.map(c => c.timestamp)).toEqual([NOW, NOW + HOUR]);
+    expect(pointer).toBe(2);
+    expect(closedWindow(series, pointer, NOW + 3 * HOUR, HOUR, 1).window.map(c => c.timestamp)).toEqual([NOW + 2 * HOUR]);
+  });
+});
+
+describe('replaySignals', () => {
+  const start = NOW - 6 * HOUR;
+  const end = NOW - 3 * HOUR;
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    loadHistoricalCandles.mockImplementation(async (asset, tf, from, to) => {
+      if (asset === 'unknown-coin') throw new Error('No Binance symbol');
+      const intervalMs = { '15m': 15 * MIN, '1h': HOUR, '4h': 4 * HOUR }[tf];
+      return candles(from, to, intervalMs);
+    });
+    loadHistoricalContext.mockResolvedValue({ fgData: [{ timestamp: start - DAY, value: 22 }], btcDomData: [], dxyData: [] });
+    loadFundingHistory.mockResolvedValue([]);
+    generateMultiTimeframeSignal.mockImplementation(async (asset, price, change24h, volume, fearGreed) => ({
+      asset: asset.toUpperCase(),
+      action: fearGreed < 25 ? 'BUY' : 'HOLD',
+      strengthLabel: 'BUY',
+      score: 64,
+      rawScore: 28,
+      confidence: 55
+    }));
+  });
+
+  test('re-emits one signal per step from closed candles only', async () => {
+    const progress = [];
+    const result = await replaySignals(
+      { assets: ['bitcoin'], startTime: start, endTime: end, stepInterval: '1h', config: { buyThreshold: 18 } },
+      (p) => progress.push(p.phase)
+    );
+
+    expect(result.signals.map(s => s.timestamp)).toEqual(
+      [start, start + HOUR, start + 2 * HOUR, end].map(t => new Date(t).toISOString())
+    );
+    expect(result.signals[0]).toMatchObject({ asset: 'BITCOIN', action: 'BUY', score: 64, confidence: 55 });
+    expect(progress[0]).toBe('fetching');
+    expect(progress[progress.length - 1]).toBe('completed');
+
+    for (const [, , , , , , , windows, config] of generateMultiTimeframeSignal.mock.calls) {
+      expect(config).toEqual({ buyThreshold: 18 });
+      expect(windows['1h']).toHaveLength(200);
+      expect(windows['4h']).toHaveLength(100);
+    }
+    const [, , , , , , , firstWindows] = generateMultiTimeframeSignal.mock.calls[0];
+    expect(firstWindows['1h'][199].timestamp + HOUR).toBe(start);
+    expect(firstWindows['15m'][287].timestamp + 15 * MIN).toBe(start);
+  });
+
+  test('a failing asset is reported without aborting the replay', async () => {
+    const result = await replaySignals({ assets: ['unknown-coin', 'ethereum'], startTime: start, endTime: end, stepInterval: '1h' });
+    expect(result.errors).toEqual({ 'unknown-coin': 'No Binance symbol' });
+    expect(result.signals.every(s => s.asset === 'ETHEREUM')).toBe(true);
+    expect(result.signals).toHaveLength(4);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Diff
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('diffSignals', () => {
+  const iso = (t) => new Date(t).toISOString();
+  const replayed = [
+    { asset: 'BITCOIN', timestamp: iso(NOW), action: 'BUY', score: 70, confidence: 60 },
+    { asset: 'BITCOIN', timestamp: iso(NOW + HOUR), action: 'HOLD', score: 50, confidence: 40 }
+  ];
+
+  test('compares each live signal with the replay step in effect', () => {
+    const persisted = [
+      { asset: 'BITCOIN', timestamp: iso(NOW + 5 * MIN), action: 'BUY', score: 66, confidence: 58 },
+      { asset: 'BITCOIN', timestamp: iso(NOW + 65 * MIN), action: 'BUY', score: 62, confidence: 50 },
+      { asset: 'BITCOIN', timestamp: iso(NOW - 5 * MIN), action: 'SELL', score: 30, confidence: 50 },
+      { asset: 'ETHEREUM', timestamp: iso(NOW + 5 * MIN), action: 'HOLD', score: 50, confidence: 30 }
+    ];
+    const diff = diffSignals(replayed, persisted, { stepInterval: '1h' });
+
+    expect(diff).toMatchObject({ compared: 2, same: 1, changed: 1, agreementRate: 50, unmatched: 2 });
+    expect(diff.matrix).toEqual({ BUY: { BUY: 1, HOLD: 1 } });
+    expect(diff.avgScoreDelta).toBe(-4);
+    expect(diff.byAsset.BITCOIN).toMatchObject({ compared: 2, unmatched: 1 });
+    expect(diff.byAsset.ETHEREUM).toMatchObject({ compared: 0, unmatched: 1, agreementRate: null });
+    expect(diff.changes).toEqual([expect.objectContaining({
+      asset: 'BITCOIN',
+      replayStep: iso(NOW + HOUR),
+      persisted: expect.objectContaining({ action: 'BUY' }),
+      replayed: expect.objectContaining({ action: 'HOLD' })
+    })]);
+  });
+
+  test('a step older than one interval does not match', () => {
+    const diff = diffSignals(replayed, [{ asset: 'bitcoin', timestamp: iso(NOW + 2 * HOUR), action: 'HOLD' }]);
+    expect(diff).toMatchObject({ compared: 0, unmatched: 1 });
+  });
+});
+
+// ─── Mock Supabase ────────────────────────────────────────────────────────────
+
+function createSupabaseMock({ rows = [], error = null } = {}) {
+  const calls = [];
+  const chain = {
+    select: () => chain,
+    in: (col, val) => { calls.push(['in', col, val]); return chain; },
+    gte: (col, val) => { calls.push(['gte', col, val]); return chain; },
+    lte: (col, val) => { calls.push(['lte', col, val]); return chain; },
+    order: () => chain,
+    limit: () => Promise.resolve({ data: rows, error })
+  };
+  return { from: jest.fn(() => chain), calls };
+}
+
+describe('loadPersistedSignals', () => {
+  test('reads signal_history for the window', async () => {
+    const sb = createSupabaseMock({
+      rows: [{ asset: 'BITCOIN', action: 'SELL', strength_label: 'STRONG SELL', score: 20, raw_score: -40, confidence: 70, price: '50000', generated_at: '2026-05-31T10:00:00Z' }]
+    });
+    const { signals, error } = await loadPersistedSignals(sb, { assets: ['bitcoin'], startTime: NOW - DAY, endTime: NOW });
+
+    expect(error).toBeUndefined();
+    expect(sb.from).toHaveBeenCalledWith('signal_history');
+    expect(sb.calls[0]).toEqual(['in', 'asset', ['BITCOIN']]);
+    expect(signals[0]).toEqual({
+      asset: 'BITCOIN', timestamp: '2026-05-31T10:00:00Z', action: 'SELL', strengthLabel: 'STRONG SELL',
+      score: 20, rawScore: -40, confidence: 70, price: 50000
+    });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Jobs
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('startReplayJob', () => {
+  const params = { assets: ['bitcoin'], startTime: NOW - DAY, endTime: NOW, stepInterval: '1h', config: null, slices: null };
+
+  test('runs the replay through the worker and attaches the diff', async () => {
+    const replay = {
+      signals: [{ asset: 'BITCOIN', timestamp: new Date(NOW - HOUR).toISOString(), action: 'BUY', score: 70, confidence: 60 }]
+    };
+    const runInThread = jest.fn((jobId, p, onProgress) => {
+      onProgress({ message: 'Paso 1/24', current: 1, total: 24 });
+      return Promise.resolve(replay);
+    });
+    const sb = createSupabaseMock({
+      rows: [{ asset: 'BITCOIN', action: 'BUY', score: 68, confidence: 61, generated_at: new Date(NOW - 30 * MIN).toISOString() }]
+    });
+    const onComplete = jest.fn();
+
+    const jobId = startReplayJob(params, { runInThread, supabase: sb }, onComplete);
+    expect(getReplayJob(jobId)).toMatchObject({ status: 'running', assets: ['bitcoin'], configMode: 'default' });
+
+    await flush();
+    const job = getReplayJob(jobId);
+    expect(runInThread).toHaveBeenCalledWith(jobId, params, expect.any(Function));
+    expect(job).toMatchObject({ status: 'completed', current: 1, total: 24 });
+    expect(job.result.persistedCount).toBe(1);
+    expect(job.result.diff).toMatchObject({ compared: 1, same: 1, agreementRate: 100 });
+    expect(onComplete).toHaveBeenCalledWith(null, job.result);
+  });
+
+  test('records worker failures on the job', async () => {
+    const runInThread = jest.fn().mockRejectedValue(new Error('Max concurrent replays (2) reached'));
+    const jobId = startReplayJob(params, { runInThread });
+
+    await flush();
+    expect(getReplayJob(jobId)).toMatchObject({ status: 'error', error: 'Max concurrent replays (2) reached' });
+  });
+});
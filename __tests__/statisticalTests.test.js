@@ -3,6 +3,11 @@ const {
   studentTCDF,
   tTestOneSample,
   binomialTest,
+  tTestWelch,
+  tTestPaired,
+  twoProportionZTest,
+  oneWayAnova,
+  spearmanCorrelation,
   bootstrapPValue,
   computeConfidenceIntervals,
   assessSignificance,
@@ -79,6 +84,10 @@ describe('studentTCDF', () => {
     const pValue = 2 * (1 - studentTCDF(2.228, 10));
     expect(pValue).toBeCloseTo(0.05, 1);
   });
+
+  test('incomplete beta is accurate in the tails: df=5, t=2.571 → p ≈ 0.05', () => {
+    expect(2 * (1 - studentTCDF(2.571, 5))).toBeCloseTo(0.05, 3);
+  });
 });
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -166,6 +175,147 @@ describe('binomialTest', () => {
   });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// tTestWelch
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('tTestWelch', () => {
+  test('identical samples: not significant', () => {
+    const a = [1, 2, 3, 4, 5];
+    const result = tTestWelch(a, [...a]);
+    expect(result.tStatistic).toBe(0);
+    expect(result.pValue).toBe(1);
+    expect(result.pValueGreater).toBeCloseTo(0.5, 2);
+  });
+
+  test('clearly higher first sample: significant one-sided', () => {
+    const a = Array.from({ length: 40 }, (_, i) => 1 + (i % 5) * 0.1);
+    const b = Array.from({ length: 40 }, (_, i) => -0.5 + (i % 5) * 0.1);
+    const result = tTestWelch(a, b);
+    expect(result.meanDiff).toBeCloseTo(1.5, 4);
+    expect(result.tStatistic).toBeGreaterThan(0);
+    expect(result.pValueGreater).toBeLessThan(0.001);
+    expect(tTestWelch(b, a).pValueGreater).toBeGreaterThan(0.999);
+  });
+
+  test('unequal variances use Welch–Satterthwaite df', () => {
+    const a = [0, 10, -10, 5, -5, 8, -8];
+    const b = [1, 1.1, 0.9, 1, 1.05, 0.95, 1, 1.02, 0.98, 1];
+    const result = tTestWelch(a, b);
+    expect(result.df).toBeLessThan(a.length + b.length - 2);
+    expect(result.pValue).toBeGreaterThan(0.5);
+  });
+
+  test('guard: fewer than 2 values per side returns safe defaults', () => {
+    expect(tTestWelch([1], [1, 2, 3])).toEqual({ tStatistic: 0, pValue: 1, pValueGreater: 1, df: 0, meanDiff: 0 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// tTestPaired
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('tTestPaired', () => {
+  test('a small consistent edge over a shared move is significant', () => {
+    // Both samples carry the same noisy market move; only the pairing removes it
+    const market = Array.from({ length: 30 }, (_, i) => ((i * 7) % 11) - 5);
+    const b = market;
+    const a = market.map((m, i) => m + 0.2 + (i % 3) * 0.05);
+    expect(tTestPaired(a, b).pValueGreater).toBeLessThan(0.001);
+    expect(tTestWelch(a, b).pValueGreater).toBeGreaterThan(0.3);
+    expect(tTestPaired(a, b)).toMatchObject({ df: 29, n: 30, meanDiff: 0.25 });
+  });
+
+  test('identical samples: not significant', () => {
+    const a = [1, 2, 3, 4];
+    expect(tTestPaired(a, [...a])).toMatchObject({ tStatistic: 0, pValue: 1, pValueGreater: 1, meanDiff: 0 });
+  });
+
+  test('a worse first sample is not significant one-sided', () => {
+    const b = [1, 2, 3, 4, 5, 6];
+    const a = b.map((v, i) => v - 1 - (i % 2) * 0.1);
+    expect(tTestPaired(a, b).pValueGreater).toBeGreaterThan(0.999);
+  });
+
+  test('guard: fewer than 2 pairs returns safe defaults', () => {
+    expect(tTestPaired([1], [2])).toEqual({ tStatistic: 0, pValue: 1, pValueGreater: 1, df: 0, meanDiff: 0, n: 1 });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// twoProportionZTest
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('twoProportionZTest', () => {
+  test('equal rates: not significant', () => {
+    const result = twoProportionZTest(50, 100, 50, 100);
+    expect(result.zStatistic).toBe(0);
+    expect(result.pValue).toBe(1);
+  });
+
+  test('70% vs 50% on 100 each: significant one-sided', () => {
+    const result = twoProportionZTest(70, 100, 50, 100);
+    expect(result.rate1).toBe(70);
+    expect(result.rate2).toBe(50);
+    expect(result.pValueGreater).toBeLessThan(0.01);
+    expect(result.pValue).toBeCloseTo(result.pValueGreater * 2, 3);
+  });
+
+  test('guard: empty sample returns safe defaults', () => {
+    expect(twoProportionZTest(0, 0, 5, 10).pValue).toBe(1);
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// oneWayAnova
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('oneWayAnova', () => {
+  test('known value: three shifted groups → F = 9.6, p ≈ 0.0059', () => {
+    const result = oneWayAnova([[1, 2, 3, 4], [3, 4, 5, 6], [5, 6, 7, 8]]);
+    expect(result.fStatistic).toBe(9.6);
+    expect(result).toMatchObject({ dfBetween: 2, dfWithin: 9 });
+    expect(result.pValue).toBeCloseTo(0.0059, 3);
+    expect(result.etaSquared).toBeCloseTo(0.681, 3);
+  });
+
+  test('identical groups: not significant', () => {
+    const result = oneWayAnova([[1, 2, 3], [1, 2, 3]]);
+    expect(result.fStatistic).toBe(0);
+    expect(result.pValue).toBe(1);
+    expect(result.etaSquared).toBe(0);
+  });
+
+  test('guard: fewer than two non-empty groups returns safe defaults', () => {
+    expect(oneWayAnova([[1, 2, 3], []])).toMatchObject({ pValue: 1, etaSquared: null });
+  });
+});
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// spearmanCorrelation
+// ═══════════════════════════════════════════════════════════════════════════════
+describe('spearmanCorrelation', () => {
+  test('monotonic relationships give ±1 regardless of scale', () => {
+    expect(spearmanCorrelation([1, 2, 3, 4, 5], [1, 8, 27, 64, 125]).rho).toBe(1);
+    expect(spearmanCorrelation([1, 2, 3, 4, 5], [5, 4, 3, 2, 1]).rho).toBe(-1);
+  });
+
+  test('ties share average ranks', () => {
+    const result = spearmanCorrelation([1, 1, 2, 2], [1, 2, 3, 4]);
+    expect(result.rho).toBeCloseTo(0.8944, 4);
+    expect(result.n).toBe(4);
+  });
+
+  test('strong correlation on enough pairs is significant', () => {
+    const x = Array.from({ length: 30 }, (_, i) => i);
+    const y = x.map(v => v + (v % 4) * 3);
+    const result = spearmanCorrelation(x, y);
+    expect(result.rho).toBeGreaterThan(0.9);
+    expect(result.pValue).toBeLessThan(0.001);
+  });
+
+  test('guard: too few pairs or constant input → null rho', () => {
+    expect(spearmanCorrelation([1, 2], [2, 1])).toEqual({ rho: null, pValue: 1, n: 2 });
+    expect(spearmanCorrelation([3, 3, 3], [1, 2, 3]).rho).toBeNull();
+  });
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // bootstrapPValue
 // ═══════════════════════════════════════════════════════════════════════════════
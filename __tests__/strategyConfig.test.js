@@ -2,7 +2,11 @@ const {
   DEFAULT_STRATEGY_CONFIG,
   PARAM_RANGES,
   SCHEDULE_CONFIG,
-  mergeConfig
+  mergeConfig,
+  regimeSlice,
+  validateSlice,
+  StrategyConfigSet,
+  isConfigSet
 } = require('../strategyConfig');
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -374,3 +378,78 @@ describe('SCHEDULE_CONFIG', () => {
     expect(Object.isFrozen(SCHEDULE_CONFIG)).toBe(true);
   });
 });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// Config sets (per-asset / per-regime slices)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+describe('regimeSlice', () => {
+  test('buckets market regimes', () => {
+    expect(regimeSlice('trending_up')).toBe('trending');
+    expect(regimeSlice('trending_down')).toBe('trending');
+    expect(regimeSlice('ranging')).toBe('ranging');
+    expect(regimeSlice('volatile')).toBe('volatile');
+    expect(regimeSlice('trending')).toBe('trending');
+  });
+
+  test('reversals and unknown regimes use the wildcard', () => {
+    expect(regimeSlice('reversal_top')).toBe('*');
+    expect(regimeSlice('unknown')).toBe('*');
+    expect(regimeSlice(undefined)).toBe('*');
+  });
+});
+
+describe('StrategyConfigSet', () => {
+  const set = new StrategyConfigSet([
+    { asset: '*', regime: '*', config: { buyThreshold: 20 }, name: 'global' },
+    { asset: '*', regime: 'volatile', config: { buyThreshold: 35 } },
+    { asset: 'bitcoin', regime: '*', config: { buyThreshold: 22 } },
+    { asset: 'bitcoin', regime: 'trending', config: { buyThreshold: 18 } }
+  ]);
+
+  test('falls back from (asset, regime) to (asset, *) to (*, regime) to (*, *)', () => {
+    expect(set.resolve('bitcoin', 'trending_up').config.buyThreshold).toBe(18);
+    expect(set.resolve('bitcoin', 'ranging').slice).toEqual({ asset: 'bitcoin', regime: '*' });
+    expect(set.resolve('ethereum', 'volatile').slice).toEqual({ asset: '*', regime: 'volatile' });
+    expect(set.resolve('ethereum', 'ranging')).toMatchObject({ source: 'saved', slice: { asset: '*', regime: '*' }, name: 'global' });
+  });
+
+  test('asset ids are case-insensitive (signals use uppercase)', () => {
+    expect(set.resolve('BITCOIN', 'trending').config.buyThreshold).toBe(18);
+  });
+
+  test('resolved configs are merged with defaults and not shared', () => {
+    const a = set.resolve('bitcoin', 'trending').config;
+    expect(a.sellThreshold).toBe(DEFAULT_STRATEGY_CONFIG.sellThreshold);
+    a.buyThreshold = 0;
+    expect(set.resolve('bitcoin', 'trending').config.buyThreshold).toBe(18);
+  });
+
+  test('an empty set resolves to defaults', () => {
+    const empty = new StrategyConfigSet();
+    expect(empty.size).toBe(0);
+    expect(empty.resolve('bitcoin', 'ranging')).toMatchObject({ source: 'default', config: DEFAULT_STRATEGY_CONFIG });
+  });
+
+  test('list() summarizes slices and isConfigSet() detects sets', () => {
+    expect(set.list()).toHaveLength(4);
+    expect(set.list()[0]).toEqual({ asset: '*', regime: '*', id: null, name: 'global' });
+    expect(isConfigSet(set)).toBe(true);
+    expect(isConfigSet({ buyThreshold: 20 })).toBe(false);
+  });
+});
+
+describe('validateSlice', () => {
+  test('defaults to the global slice', () => {
+    expect(validateSlice({})).toEqual({ slice: { asset: '*', regime: '*' } });
+  });
+
+  test('accepts asset ids and regime buckets', () => {
+    expect(validateSlice({ asset: 'Bitcoin', regime: 'ranging' })).toEqual({ slice: { asset: 'bitcoin', regime: 'ranging' } });
+  });
+
+  test('rejects unknown regimes and malformed assets', () => {
+    expect(validateSlice({ regime: 'trending_up' }).error).toMatch(/Invalid regime/);
+    expect(validateSlice({ asset: 'bit coin' }).error).toMatch(/Invalid asset/);
+  });
+});
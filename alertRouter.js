@@ -0,0 +1,404 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Per-user Alert Routing
+// Fans each signal out to every user whose alert_filters row matches it,
+// honouring that user's quiet hours and cooldown. Delivery goes only to the
+// user's linked Telegram chat and their own alert emails, and every attempt
+// is recorded in alert_deliveries so the alert history shows who got what.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('./logger');
+const { LRUCache } = require('./shared/lruCache');
+
+// Used for the operator fallback when no user has an enabled filter
+const DEFAULT_ALERT_FILTER = Object.freeze({
+  assets: [],
+  actions: ['BUY', 'SELL', 'STRONG BUY', 'STRONG SELL'],
+  min_confidence: 45,
+  min_score: 25,
+  telegram_enabled: true,
+  email_enabled: true,
+  quiet_start: null,
+  quiet_end: null,
+  cooldown_minutes: 20
+});
+
+const DEFAULT_COOLDOWN_MINUTES = 20;
+const MAX_COOLDOWN_MS = 24 * 60 * 60 * 1000; // alert-filters API caps cooldown at 1440 min
+
+const CHANNEL = Object.freeze({ TELEGRAM: 'telegram', EMAIL: 'email' });
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FILTER EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Does the signal pass a user's asset / action / confidence / score filter?
+ * Both the plain action and the strength label ("STRONG BUY") are matched.
+ */
+function matchesFilter(signal, filter) {
+  if (filter.assets && filter.assets.length > 0 && !filter.assets.includes(signal.asset)) {
+    return false;
+  }
+
+  const signalActions = [signal.action, signal.strengthLabel].filter(Boolean);
+  const actions = filter.actions || DEFAULT_ALERT_FILTER.actions;
+  if (!actions.some(a => signalActions.includes(a))) return false;
+
+  if (signal.confidence < (filter.min_confidence || 0)) return false;
+  if (Math.abs(signal.rawScore || 0) < (filter.min_score || 0)) return false;
+  return true;
+}
+
+/** Parse a Postgres TIME ("22:00" or "22:00:00") into minutes after midnight. */
+function parseTimeOfDay(value) {
+  if (!value) return null;
+  const match = /^(\d{1,2}):(\d{2})/.exec(String(value));
+  if (!match) return null;
+  const hours = parseInt(match[1], 10);
+  const minutes = parseInt(match[2], 10);
+  if (hours > 23 || minutes > 59) return null;
+  return hours * 60 + minutes;
+}
+
+/**
+ * Is `now` inside the user's quiet window? Times are UTC; a window whose end
+ * is before its start wraps past midnight (22:00 → 07:00).
+ */
+function isQuietHours(filter, now = new Date()) {
+  const start = parseTimeOfDay(filter.quiet_start);
+  const end = parseTimeOfDay(filter.quiet_end);
+  if (start === null || end === null || start === end) return false;
+
+  const minute = now.getUTCHours() * 60 + now.getUTCMinutes();
+  return start < end
+    ? minute >= start && minute < end
+    : minute >= start || minute < end;
+}
+
+/** Split the comma-separated alert_emails column into addresses. */
+function parseEmails(value) {
+  if (!value) return [];
+  const list = Array.isArray(value) ? value : String(value).split(',');
+  return list.map(e => e.trim()).filter(Boolean);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COOLDOWNS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Last-delivery timestamps per user / asset / action. Each user's own
+ * cooldown_minutes decides whether the entry still blocks a repeat.
+ */
+function createCooldownTracker({ maxSize = 5000, name = 'alertCooldowns' } = {}) {
+  const lastSent = new LRUCache({ maxSize, ttl: MAX_COOLDOWN_MS, name });
+  const keyOf = (userId, asset, action) => `${userId || '*'}:${asset}:${action}`;
+
+  return {
+    isCooling(userId, signal, cooldownMinutes, now = new Date()) {
+      const sentAt = lastSent.get(keyOf(userId, signal.asset, signal.action));
+      if (sentAt === undefined) return false;
+      const minutes = cooldownMinutes || DEFAULT_COOLDOWN_MINUTES;
+      return now.getTime() - sentAt < minutes * 60 * 1000;
+    },
+    mark(userId, asset, action, at = new Date()) {
+      const key = keyOf(userId, asset, action);
+      const ts = at.getTime();
+      // Hydration may replay rows out of order — keep the newest
+      if ((lastSent.get(key) || 0) < ts) lastSent.set(key, ts);
+    },
+    get size() {
+      return lastSent.size;
+    }
+  };
+}
+
+/**
+ * Seed a cooldown tracker from the last day of successful deliveries so a
+ * worker restart does not re-send alerts that are still cooling down.
+ */
+async function hydrateCooldowns(supabase, cooldowns, now = new Date()) {
+  try {
+    const { data, error } = await supabase
+      .from('alert_deliveries')
+      .select('user_id, asset, action, created_at')
+      .eq('status', 'sent')
+      .gte('created_at', new Date(now.getTime() - MAX_COOLDOWN_MS).toISOString());
+    if (error) {
+      if (error.code !== '42P01') logger.warn('Could not hydrate alert cooldowns', { error: error.message });
+      return 0;
+    }
+    for (const row of data || []) {
+      cooldowns.mark(row.user_id, row.asset, row.action, new Date(row.created_at));
+    }
+    return (data || []).length;
+  } catch (err) {
+    logger.debug('Alert cooldown hydration unavailable', { error: err.message });
+    return 0;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RECIPIENTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Turn enabled alert_filters rows into recipients. A user's Telegram alerts
+ * go only to the chat linked on their filter; emails only to their own list.
+ *
+ * @param {Array<object>} filters - alert_filters rows
+ * @returns {Array<{userId: string, filter: object, chatIds: Array<string|number>, emails: string[]}>}
+ */
+function buildRecipients(filters) {
+  return (filters || [])
+    .filter(f => f && f.user_id && f.enabled !== false)
+    .map(f => ({
+      userId: f.user_id,
+      filter: f,
+      chatIds: f.telegram_chat_id ? [f.telegram_chat_id] : [],
+      emails: parseEmails(f.alert_emails)
+    }));
+}
+
+/**
+ * Recipient used when no user has configured alerts: the operator's email
+ * and every bot subscriber, with the default filter.
+ */
+function buildFallbackRecipient({ chatIds = [], email = null } = {}) {
+  return {
+    userId: null,
+    filter: DEFAULT_ALERT_FILTER,
+    chatIds,
+    emails: parseEmails(email)
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ROUTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Store one alerts row; `extra` carries additional columns (e.g. rule_id).
+ * @returns {Promise<string|null>} alert id, or null when it could not be saved
+ */
+async function saveAlert(supabase, signal, extra = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('alerts')
+      .insert({
+        asset: signal.asset,
+        action: signal.action,
+        score: signal.score,
+        confidence: signal.confidence,
+        reasons: signal.reasons,
+        price: signal.price,
+        ...extra
+      })
+      .select('id')
+      .single();
+    if (error) {
+      if (error.code === '42P01') {
+        logger.debug('Alerts table not yet created - skipping DB save');
+      } else {
+        logger.warn('Alert save failed', { error: error.message });
+      }
+      return null;
+    }
+    return data?.id || null;
+  } catch (err) {
+    logger.warn('Alert DB save error', { error: err.message });
+    return null;
+  }
+}
+
+async function saveDeliveries(supabase, alertId, rows) {
+  if (!alertId || rows.length === 0) return;
+  try {
+    const { error } = await supabase
+      .from('alert_deliveries')
+      .insert(rows.map(r => ({ ...r, alert_id: alertId })));
+    if (error && error.code !== '42P01') {
+      logger.warn('Alert delivery log failed', { alertId, error: error.message });
+    }
+  } catch (err) {
+    logger.warn('Alert delivery log error', { alertId, error: err.message });
+  }
+}
+
+/**
+ * Deliver one signal to one recipient on every channel they have enabled.
+ * @returns {Promise<Array<object>>} alert_deliveries rows (without alert_id)
+ */
+async function deliverTo(recipient, signal, { sendTelegram, sendEmail }) {
+  const { userId, filter, chatIds, emails } = recipient;
+  const base = { user_id: userId, asset: signal.asset, action: signal.action };
+  const rows = [];
+
+  if (filter.telegram_enabled !== false && sendTelegram) {
+    for (const chatId of chatIds) {
+      const result = await sendTelegram(chatId, signal);
+      rows.push({
+        ...base,
+        channel: CHANNEL.TELEGRAM,
+        destination: String(chatId),
+        status: result?.success ? 'sent' : 'failed',
+        error: result?.success ? null : (result?.reason || result?.error || 'unknown')
+      });
+    }
+  }
+
+  if (filter.email_enabled !== false && sendEmail && emails.length > 0) {
+    const result = await sendEmail(emails, signal);
+    rows.push({
+      ...base,
+      channel: CHANNEL.EMAIL,
+      destination: emails.join(', '),
+      status: result?.success ? 'sent' : 'failed',
+      error: result?.success ? null : (result?.error || result?.reason || 'unknown')
+    });
+  }
+
+  return rows;
+}
+
+/**
+ * Fan signals out to recipients. Each signal is checked against every
+ * recipient's filter independently; recipients in quiet hours or still
+ * cooling down for that asset/action are skipped. One alerts row is stored
+ * per signal that reaches anyone, plus one alert_deliveries row per attempt.
+ *
+ * @param {Array<object>} signals
+ * @param {Array<object>} recipients - From buildRecipients / buildFallbackRecipient
+ * @param {object} deps
+ * @param {object} deps.supabase
+ * @param {object} deps.cooldowns - From createCooldownTracker
+ * @param {(chatId, signal) => Promise<{success: boolean, reason?: string}>} [deps.sendTelegram]
+ * @param {(emails: string[], signal) => Promise<{success: boolean, error?: string}>} [deps.sendEmail]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{saved: number, telegram: number, email: number, failed: number, quiet: number, cooling: number}>}
+ */
+async function routeAlerts(signals, recipients, deps) {
+  const { supabase, cooldowns, now = new Date() } = deps;
+  const stats = { saved: 0, telegram: 0, email: 0, failed: 0, quiet: 0, cooling: 0 };
+
+  for (const signal of signals) {
+    const targets = [];
+    for (const recipient of recipients) {
+      const { userId, filter } = recipient;
+      if (!matchesFilter(signal, filter)) continue;
+      if (isQuietHours(filter, now)) { stats.quiet++; continue; }
+      if (cooldowns.isCooling(userId, signal, filter.cooldown_minutes, now)) { stats.cooling++; continue; }
+      targets.push(recipient);
+    }
+    if (targets.length === 0) continue;
+
+    const alertId = await saveAlert(supabase, signal);
+    if (alertId) stats.saved++;
+
+    const deliveries = [];
+    for (const recipient of targets) {
+      let rows;
+      try {
+        rows = await deliverTo(recipient, signal, deps);
+      } catch (err) {
+        logger.warn('Alert delivery threw', { userId: recipient.userId, asset: signal.asset, error: err.message });
+        continue;
+      }
+      deliveries.push(...rows);
+
+      const sent = rows.filter(r => r.status === 'sent');
+      stats.telegram += sent.filter(r => r.channel === CHANNEL.TELEGRAM).length;
+      stats.email += sent.filter(r => r.channel === CHANNEL.EMAIL).length;
+      stats.failed += rows.length - sent.length;
+      // Only a successful delivery starts the cooldown — failures retry next cycle
+      if (sent.length > 0) cooldowns.mark(recipient.userId, signal.asset, signal.action, now);
+    }
+
+    if (deliveries.length > 0) {
+      logger.info('Alert routed', {
+        asset: signal.asset, action: signal.action, confidence: signal.confidence,
+        users: targets.length, sent: deliveries.filter(r => r.status === 'sent').length
+      });
+    }
+    await saveDeliveries(supabase, alertId, deliveries);
+  }
+
+  return stats;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HISTORY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Recent alerts with their delivery records attached. With `userId`, only
+ * alerts delivered (or attempted) to that user, showing just their rows.
+ *
+ * @returns {Promise<Array<object>>} alerts rows, each with `deliveries: [...]`
+ */
+async function getAlertHistory(supabase, { userId = null, limit = 50 } = {}) {
+  let alertIds = null;
+  if (userId) {
+    const { data, error } = await supabase
+      .from('alert_deliveries')
+      .select('alert_id')
+      .eq('user_id', userId)
+      .order('created_at', { ascending: false })
+      .limit(limit * 4);
+    if (error) throw error;
+    alertIds = [...new Set((data || []).map(d => d.alert_id))];
+    if (alertIds.length === 0) return [];
+  }
+
+  let query = supabase.from('alerts').select('*');
+  if (alertIds) query = query.in('id', alertIds);
+  const { data: alerts, error } = await query
+    .order('created_at', { ascending: false })
+    .limit(limit);
+  if (error) throw error;
+  if (!alerts || alerts.length === 0) return [];
+
+  let deliveriesQuery = supabase
+    .from('alert_deliveries')
+    .select('alert_id, user_id, channel, destination, status, error, created_at')
+    .in('alert_id', alerts.map(a => a.id));
+  if (userId) deliveriesQuery = deliveriesQuery.eq('user_id', userId);
+  const { data: deliveries, error: deliveriesError } = await deliveriesQuery;
+  if (deliveriesError) {
+    // Table missing (pre-029) — history still works without delivery detail
+    logger.debug('Alert deliveries unavailable', { error: deliveriesError.message });
+  }
+
+  const byAlert = new Map();
+  for (const d of deliveries || []) {
+    const { alert_id: alertId, ...rest } = d;
+    if (!byAlert.has(alertId)) byAlert.set(alertId, []);
+    byAlert.get(alertId).push(rest);
+  }
+  return alerts.map(a => ({ ...a, deliveries: byAlert.get(a.id) || [] }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+  DEFAULT_ALERT_FILTER,
+  CHANNEL,
+  routeAlerts,
+  buildRecipients,
+  buildFallbackRecipient,
+  createCooldownTracker,
+  hydrateCooldowns,
+  getAlertHistory,
+
+  // Shared with alertRules
+  saveAlert,
+  saveDeliveries,
+  deliverTo,
+  isQuietHours,
+  parseEmails,
+
+  // Helpers (for testing)
+  matchesFilter
+};
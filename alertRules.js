@@ -0,0 +1,695 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Custom Alert Rules
+// User-defined alert conditions as a JSON condition tree over the outputs of
+// technicalAnalysis.js (per timeframe) and the derivatives feed, e.g.
+//
+//   { "all": [
+//       { "metric": "rsi", "timeframe": "4h", "op": "<", "value": 25 },
+//       { "metric": "price", "op": ">", "ref": "vwap" }
+//   ] }
+//
+// Rules are evaluated on every alerts cycle. Each rule has its own cooldown
+// and delivery channels; delivery goes to the owner's linked Telegram chat
+// and alert emails (alert_filters) and is recorded like any other alert.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('./logger');
+const { saveAlert, saveDeliveries, deliverTo, isQuietHours, parseEmails, CHANNEL } = require('./alertRouter');
+
+const TIMEFRAMES = ['15m', '1h', '4h'];
+const DEFAULT_TIMEFRAME = '1h';
+
+const NUMERIC_OPS = ['<', '<=', '>', '>=', '==', '!='];
+const STRING_OPS = ['==', '!=', 'in', 'not_in'];
+
+const RULE_LIMITS = Object.freeze({
+  maxDepth: 4,          // nesting of all / any / not groups
+  maxConditions: 12,    // leaf conditions per rule
+  maxRulesPerUser: 25,
+  maxNameLength: 80
+});
+
+const RULE_DEFAULTS = Object.freeze({
+  channels: [CHANNEL.TELEGRAM],
+  cooldown_minutes: 60,
+  enabled: true
+});
+
+// Alerts rows created by rules carry this action
+const RULE_ACTION = 'RULE';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// METRICS
+// What a condition can reference. `timeframe: true` metrics read the
+// indicators of the chosen timeframe (default 1h).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function num(value) {
+  const n = typeof value === 'number' ? value : parseFloat(value);
+  return Number.isFinite(n) ? n : null;
+}
+
+function indicatorsFor(ctx, timeframe) {
+  const tf = ctx.signal.timeframes?.[timeframe]?.indicators;
+  if (tf) return tf;
+  // Single-timeframe signals only carry the 1h set at the top level
+  return timeframe === DEFAULT_TIMEFRAME ? ctx.signal.indicators || null : null;
+}
+
+const METRICS = Object.freeze({
+  // Signal
+  price:              { type: 'number', label: 'Precio', get: ctx => num(ctx.signal.price) },
+  change_24h_pct:     { type: 'number', label: 'Cambio 24h %', get: ctx => num(ctx.signal.change24h) },
+  score:              { type: 'number', label: 'Score', get: ctx => num(ctx.signal.score) },
+  raw_score:          { type: 'number', label: 'Raw score', get: ctx => num(ctx.signal.rawScore) },
+  confidence:         { type: 'number', label: 'Confianza', get: ctx => num(ctx.signal.confidence) },
+  action:             { type: 'string', label: 'Acción', get: ctx => ctx.signal.action || null },
+  strength:           { type: 'string', label: 'Fuerza', get: ctx => ctx.signal.strengthLabel || null },
+  confluence:         { type: 'string', label: 'Confluencia', get: ctx => ctx.signal.timeframes?.confluence || null },
+
+  // Technical indicators (per timeframe)
+  rsi:                { type: 'number', timeframe: true, label: 'RSI(14)', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.rsi) },
+  macd_histogram:     { type: 'number', timeframe: true, label: 'MACD hist', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.macd) },
+  adx:                { type: 'number', timeframe: true, label: 'ADX', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.adx) },
+  atr_pct:            { type: 'number', timeframe: true, label: 'ATR %', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.atrPercent) },
+  bb_percent_b:       { type: 'number', timeframe: true, label: 'Bollinger %B', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.bollinger?.percentB) },
+  buy_pressure:       { type: 'number', timeframe: true, label: 'Presión compradora', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.buyPressure) },
+  vwap:               { type: 'number', timeframe: true, label: 'VWAP', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.vwap?.vwap) },
+  vwap_distance_pct:  { type: 'number', timeframe: true, label: 'Distancia VWAP %', get: (ctx, tf) => num(indicatorsFor(ctx, tf)?.vwap?.distancePercent) },
+  ema_trend:          { type: 'string', timeframe: true, label: 'Tendencia EMA', get: (ctx, tf) => indicatorsFor(ctx, tf)?.emaTrend || null },
+
+  // Derivatives
+  funding_rate_pct:   { type: 'number', label: 'Funding %', get: ctx => num(ctx.signal.derivatives?.fundingRatePercent) },
+  funding_rate_annualized_pct: { type: 'number', label: 'Funding anual %', get: ctx => num(ctx.signal.derivatives?.fundingRateAnnualized) },
+  open_interest:      { type: 'number', label: 'Open interest', get: ctx => num(ctx.signal.derivatives?.openInterest) },
+  oi_change_24h_pct:  { type: 'number', label: 'OI cambio 24h %', get: ctx => num(ctx.oiChange24hPct) },
+  long_short_ratio:   { type: 'number', label: 'Long/Short', get: ctx => num(ctx.signal.derivatives?.longShortRatio) },
+
+  // Order book / macro
+  orderbook_imbalance: { type: 'number', label: 'Desequilibrio libro', get: ctx => num(ctx.signal.orderBook?.imbalanceRatio) },
+  fear_greed:         { type: 'number', label: 'Fear & Greed', get: ctx => num(ctx.fearGreed) }
+});
+
+/** Own-property lookup so names like "constructor" are not metrics. */
+function metricDef(name) {
+  return typeof name === 'string' && Object.prototype.hasOwnProperty.call(METRICS, name) ? METRICS[name] : null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const isGroup = (node) => node && typeof node === 'object' && ('all' in node || 'any' in node || 'not' in node);
+
+/** `ref` may be a metric name or `{ metric, timeframe }`. */
+function normalizeRef(ref) {
+  return typeof ref === 'string' ? { metric: ref } : ref;
+}
+
+function validateOperand(operand, path, errors) {
+  const def = metricDef(operand?.metric);
+  if (!def) {
+    errors.push(`${path}.metric: unknown metric '${operand?.metric}'`);
+    return null;
+  }
+  if (operand.timeframe !== undefined) {
+    if (!def.timeframe) errors.push(`${path}.timeframe: '${operand.metric}' has no timeframe`);
+    else if (!TIMEFRAMES.includes(operand.timeframe)) errors.push(`${path}.timeframe: must be one of ${TIMEFRAMES.join(', ')}`);
+  }
+  return def;
+}
+
+function validateNode(node, path, depth, counter, errors) {
+  if (!node || typeof node !== 'object' || Array.isArray(node)) {
+    errors.push(`${path}: must be a condition or an all/any/not group`);
+    return;
+  }
+
+  if (isGroup(node)) {
+    if (depth >= RULE_LIMITS.maxDepth) {
+      errors.push(`${path}: nested deeper than ${RULE_LIMITS.maxDepth} levels`);
+      return;
+    }
+    const keys = ['all', 'any', 'not'].filter(k => k in node);
+    if (keys.length !== 1) {
+      errors.push(`${path}: a group takes exactly one of all / any / not`);
+      return;
+    }
+    const key = keys[0];
+    if (key === 'not') {
+      validateNode(node.not, `${path}.not`, depth + 1, counter, errors);
+      return;
+    }
+    if (!Array.isArray(node[key]) || node[key].length === 0) {
+      errors.push(`${path}.${key}: must be a non-empty array`);
+      return;
+    }
+    node[key].forEach((child, i) => validateNode(child, `${path}.${key}[${i}]`, depth + 1, counter, errors));
+    return;
+  }
+
+  counter.conditions++;
+  const def = validateOperand(node, path, errors);
+  if (!def) return;
+
+  const ops = def.type === 'number' ? NUMERIC_OPS : STRING_OPS;
+  if (!ops.includes(node.op)) {
+    errors.push(`${path}.op: '${node.op}' not valid for ${node.metric} (use ${ops.join(' ')})`);
+    return;
+  }
+
+  const hasValue = node.value !== undefined;
+  const hasRef = node.ref !== undefined;
+  if (hasValue === hasRef) {
+    errors.push(`${path}: give either value or ref`);
+    return;
+  }
+
+  if (hasRef) {
+    const refDef = validateOperand(normalizeRef(node.ref), `${path}.ref`, errors);
+    if (refDef && refDef.type !== def.type) errors.push(`${path}.ref: cannot compare ${def.type} with ${refDef.type}`);
+    return;
+  }
+
+  if (def.type === 'number' && num(node.value) === null) {
+    errors.push(`${path}.value: must be a number`);
+  } else if (def.type === 'string') {
+    const listOp = node.op === 'in' || node.op === 'not_in';
+    if (listOp && (!Array.isArray(node.value) || node.value.length === 0)) {
+      errors.push(`${path}.value: '${node.op}' needs a non-empty array`);
+    } else if (!listOp && typeof node.value !== 'string') {
+      errors.push(`${path}.value: must be a string`);
+    }
+  }
+}
+
+/**
+ * Validate a condition tree.
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+function validateConditions(conditions) {
+  const errors = [];
+  const counter = { conditions: 0 };
+  validateNode(conditions, 'conditions', 0, counter, errors);
+  if (counter.conditions > RULE_LIMITS.maxConditions) {
+    errors.push(`conditions: at most ${RULE_LIMITS.maxConditions} conditions per rule`);
+  }
+  return { valid: errors.length === 0, errors };
+}
+
+/**
+ * Validate and normalize a rule body from the API. With `partial`, only the
+ * fields present are checked (updates).
+ *
+ * @returns {{value: object, errors: string[]}}
+ */
+function normalizeRuleSpec(spec, { partial = false } = {}) {
+  const errors = [];
+  const value = {};
+  const has = (k) => spec && spec[k] !== undefined;
+
+  if (!spec || typeof spec !== 'object') return { value, errors: ['body must be an object'] };
+
+  if (has('name') || !partial) {
+    const name = typeof spec.name === 'string' ? spec.name.trim() : '';
+    if (!name) errors.push('name is required');
+    else if (name.length > RULE_LIMITS.maxNameLength) errors.push(`name must be at most ${RULE_LIMITS.maxNameLength} characters`);
+    else value.name = name;
+  }
+
+  if (has('conditions') || !partial) {
+    const { errors: condErrors } = validateConditions(spec.conditions);
+    errors.push(...condErrors);
+    if (condErrors.length === 0) value.conditions = spec.conditions;
+  }
+
+  if (has('assets')) {
+    if (!Array.isArray(spec.assets) || spec.assets.some(a => typeof a !== 'string' || !a.trim())) {
+      errors.push('assets must be an array of asset ids');
+    } else {
+      value.assets = [...new Set(spec.assets.map(a => a.trim().toLowerCase()))];
+    }
+  } else if (!partial) {
+    value.assets = [];
+  }
+
+  if (has('channels')) {
+    const valid = Object.values(CHANNEL);
+    if (!Array.isArray(spec.channels) || spec.channels.length === 0 || spec.channels.some(c => !valid.includes(c))) {
+      errors.push(`channels must be a non-empty subset of ${valid.join(', ')}`);
+    } else {
+      value.channels = [...new Set(spec.channels)];
+    }
+  } else if (!partial) {
+    value.channels = [...RULE_DEFAULTS.channels];
+  }
+
+  if (has('cooldown_minutes')) {
+    const minutes = Number(spec.cooldown_minutes);
+    if (!Number.isInteger(minutes) || minutes < 1 || minutes > 1440) errors.push('cooldown_minutes must be 1-1440');
+    else value.cooldown_minutes = minutes;
+  } else if (!partial) {
+    value.cooldown_minutes = RULE_DEFAULTS.cooldown_minutes;
+  }
+
+  if (has('enabled')) {
+    if (typeof spec.enabled !== 'boolean') errors.push('enabled must be a boolean');
+    else value.enabled = spec.enabled;
+  } else if (!partial) {
+    value.enabled = RULE_DEFAULTS.enabled;
+  }
+
+  return { value, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function operandLabel(operand) {
+  const def = metricDef(operand.metric);
+  const tf = def?.timeframe ? (operand.timeframe || DEFAULT_TIMEFRAME) : null;
+  return tf ? `${def.label} [${tf}]` : (def?.label || operand.metric);
+}
+
+function readOperand(operand, ctx) {
+  const def = metricDef(operand.metric);
+  return def ? def.get(ctx, operand.timeframe || DEFAULT_TIMEFRAME) : null;
+}
+
+function compare(actual, op, expected) {
+  switch (op) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    case '==': return actual === expected;
+    case '!=': return actual !== expected;
+    case 'in': return expected.includes(actual);
+    case 'not_in': return !expected.includes(actual);
+    default: return false;
+  }
+}
+
+/**
+ * Evaluate a condition tree. A condition whose data is missing (metric not
+ * available for this asset / timeframe) is false, so `not` of it is true.
+ *
+ * @returns {{pass: boolean, trace: Array<{condition: string, actual: *, pass: boolean}>}}
+ */
+function evaluateConditions(node, ctx, trace = []) {
+  if ('all' in node) {
+    // Evaluate every child so the trace is complete
+    const results = node.all.map(child => evaluateConditions(child, ctx, trace).pass);
+    return { pass: results.every(Boolean), trace };
+  }
+  if ('any' in node) {
+    const results = node.any.map(child => evaluateConditions(child, ctx, trace).pass);
+    return { pass: results.some(Boolean), trace };
+  }
+  if ('not' in node) {
+    return { pass: !evaluateConditions(node.not, ctx, trace).pass, trace };
+  }
+
+  const actual = readOperand(node, ctx);
+  const ref = node.ref !== undefined ? normalizeRef(node.ref) : null;
+  const expected = ref ? readOperand(ref, ctx) : node.value;
+  const numeric = metricDef(node.metric)?.type === 'number';
+
+  let pass = false;
+  if (actual !== null && expected !== null && expected !== undefined) {
+    pass = compare(actual, node.op, numeric && !ref ? num(expected) : expected);
+  }
+  trace.push({ condition: describeConditions(node), actual, expected: ref ? expected : undefined, pass });
+  return { pass, trace };
+}
+
+/** Human-readable form of a condition tree, e.g. "RSI(14) [4h] < 25 Y Precio > VWAP [1h]". */
+function describeConditions(node) {
+  if ('all' in node) return node.all.map(c => wrap(c, describeConditions(c))).join(' Y ');
+  if ('any' in node) return node.any.map(c => wrap(c, describeConditions(c))).join(' O ');
+  if ('not' in node) return `NO ${wrap(node.not, describeConditions(node.not))}`;
+
+  const right = node.ref !== undefined
+    ? operandLabel(normalizeRef(node.ref))
+    : Array.isArray(node.value) ? `[${node.value.join(', ')}]` : String(node.value);
+  const op = node.op === 'not_in' ? 'not in' : node.op;
+  return `${operandLabel(node)} ${op} ${right}`;
+}
+
+function wrap(node, text) {
+  return isGroup(node) && !('not' in node) ? `(${text})` : text;
+}
+
+/** Does any condition in the tree reference `metric`? */
+function referencesMetric(node, metric) {
+  if (!node || typeof node !== 'object') return false;
+  if ('all' in node) return node.all.some(c => referencesMetric(c, metric));
+  if ('any' in node) return node.any.some(c => referencesMetric(c, metric));
+  if ('not' in node) return referencesMetric(node.not, metric);
+  return node.metric === metric || normalizeRef(node.ref)?.metric === metric;
+}
+
+const ruleAppliesTo = (rule, asset) =>
+  !rule.assets || rule.assets.length === 0 || rule.assets.includes(String(asset).toLowerCase());
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ALERT FORMATTING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const escapeMarkdown = (text) => String(text).replace(/([_*`[])/g, '\\$1');
+
+function formatActual(value) {
+  if (typeof value === 'number') return Number.isInteger(value) ? String(value) : value.toFixed(4).replace(/0+$/, '').replace(/\.$/, '');
+  return value === null || value === undefined ? 'n/d' : String(value);
+}
+
+/** Telegram Markdown body for a rule trigger. */
+function formatRuleTelegram(trigger) {
+  const { rule, signal, trace } = trigger;
+  const lines = trace.map(t => `${t.pass ? '✅' : '▫️'} ${escapeMarkdown(t.condition)} (${escapeMarkdown(formatActual(t.actual))})`);
+  return (
+    `🔔 *REGLA: ${escapeMarkdown(rule.name)}*\n\n` +
+    `*${signal.asset}* · $${Number(signal.price).toLocaleString()}\n\n` +
+    `${lines.join('\n')}\n\n` +
+    `⏰ ${new Date().toLocaleString('es-ES')}`
+  );
+}
+
+/** Email subject + HTML body for a rule trigger. */
+function formatRuleEmail(trigger) {
+  const { rule, signal, trace } = trigger;
+  const esc = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+  const rows = trace.map(t =>
+    `<tr><td style="padding: 4px 8px;">${t.pass ? '✅' : '▫️'}</td>` +
+    `<td style="padding: 4px 8px; color: #e2e8f0;">${esc(t.condition)}</td>` +
+    `<td style="padding: 4px 8px; color: #94a3b8; text-align: right;">${esc(formatActual(t.actual))}</td></tr>`
+  ).join('');
+  return {
+    subject: `🔔 SENTIX PRO: ${rule.name} — ${signal.asset}`,
+    html: `
+    <div style="font-family: -apple-system, sans-serif; max-width: 600px; margin: 0 auto; background: #0f172a; color: #e2e8f0; border-radius: 12px; overflow: hidden;">
+      <div style="background: linear-gradient(135deg, #1e293b, #334155); padding: 24px;">
+        <h1 style="margin: 0; font-size: 20px; color: #f8fafc;">🔔 ${esc(rule.name)}</h1>
+        <p style="margin: 4px 0 0; color: #94a3b8; font-size: 14px;">${esc(signal.asset)} · $${Number(signal.price).toLocaleString()}</p>
+      </div>
+      <table style="width: 100%; padding: 16px; font-size: 14px;">${rows}</table>
+      <div style="padding: 16px 24px; background: #1e293b; text-align: center;">
+        <p style="margin: 0; color: #64748b; font-size: 12px;">SENTIX PRO · ${new Date().toLocaleString('es-ES')}</p>
+      </div>
+    </div>
+  `
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CYCLE EVALUATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Enabled rules across all users. */
+async function loadActiveRules(supabase) {
+  try {
+    const { data, error } = await supabase
+      .from('alert_rules')
+      .select('*')
+      .eq('enabled', true);
+    if (error) {
+      if (error.code !== '42P01') logger.warn('Could not load alert rules', { error: error.message });
+      return [];
+    }
+    return data || [];
+  } catch (err) {
+    logger.debug('Alert rules unavailable', { error: err.message });
+    return [];
+  }
+}
+
+/** alert_filters rows of the rule owners, keyed by user id (destinations + quiet hours). */
+async function loadOwnerFilters(supabase, userIds) {
+  const byUser = new Map();
+  if (userIds.length === 0) return byUser;
+  try {
+    const { data, error } = await supabase
+      .from('alert_filters')
+      .select('*')
+      .in('user_id', userIds);
+    if (error) {
+      logger.debug('Could not load rule owner filters', { error: error.message });
+      return byUser;
+    }
+    for (const row of data || []) byUser.set(row.user_id, row);
+  } catch (err) {
+    logger.debug('Rule owner filters unavailable', { error: err.message });
+  }
+  return byUser;
+}
+
+/**
+ * Seed rule cooldowns from the last day of rule-triggered alerts.
+ */
+async function hydrateRuleCooldowns(supabase, cooldowns, now = new Date()) {
+  try {
+    const { data, error } = await supabase
+      .from('alerts')
+      .select('rule_id, asset, created_at')
+      .eq('action', RULE_ACTION)
+      .gte('created_at', new Date(now.getTime() - 24 * 60 * 60 * 1000).toISOString());
+    if (error) {
+      logger.debug('Could not hydrate rule cooldowns', { error: error.message });
+      return 0;
+    }
+    const rows = (data || []).filter(r => r.rule_id);
+    for (const row of rows) cooldowns.mark(row.rule_id, row.asset, RULE_ACTION, new Date(row.created_at));
+    return rows.length;
+  } catch (err) {
+    logger.debug('Rule cooldown hydration unavailable', { error: err.message });
+    return 0;
+  }
+}
+
+/**
+ * Evaluate every enabled rule against this cycle's signals and deliver the
+ * ones that fire. A rule fires at most once per asset per cooldown window,
+ * and not while its owner is in quiet hours.
+ *
+ * @param {object} supabase
+ * @param {Array<object>} signals - This cycle's signals
+ * @param {object} deps
+ * @param {object} deps.cooldowns - createCooldownTracker(), keyed by rule id
+ * @param {(chatId, trigger) => Promise<{success: boolean}>} [deps.sendTelegram]
+ * @param {(emails: string[], trigger) => Promise<{success: boolean}>} [deps.sendEmail]
+ * @param {(assetId: string) => Promise<{changePercent: number}|null>} [deps.fetchOiChange]
+ * @param {number} [deps.fearGreed]
+ * @param {Date} [deps.now]
+ * @returns {Promise<{rules: number, triggered: number, telegram: number, email: number, failed: number}>}
+ */
+async function runAlertRules(supabase, signals, deps = {}) {
+  const { cooldowns, fetchOiChange, fearGreed = null, now = new Date() } = deps;
+  const stats = { rules: 0, triggered: 0, telegram: 0, email: 0, failed: 0 };
+
+  const rules = await loadActiveRules(supabase);
+  stats.rules = rules.length;
+  if (rules.length === 0 || signals.length === 0) return stats;
+
+  const owners = await loadOwnerFilters(supabase, [...new Set(rules.map(r => r.user_id))]);
+
+  // OI history costs an extra request per asset — only fetch when referenced
+  const oiChange = new Map();
+  if (fetchOiChange) {
+    const oiRules = rules.filter(r => referencesMetric(r.conditions, 'oi_change_24h_pct'));
+    const assets = new Set();
+    for (const signal of signals) {
+      if (oiRules.some(r => ruleAppliesTo(r, signal.asset))) assets.add(String(signal.asset).toLowerCase());
+    }
+    for (const asset of assets) {
+      try {
+        const change = await fetchOiChange(asset);
+        if (change) oiChange.set(asset, change.changePercent);
+      } catch (err) {
+        logger.debug('OI change unavailable for rules', { asset, error: err.message });
+      }
+    }
+  }
+
+  for (const rule of rules) {
+    const owner = owners.get(rule.user_id) || null;
+    if (owner && isQuietHours(owner, now)) continue;
+
+    for (const signal of signals) {
+      if (!ruleAppliesTo(rule, signal.asset)) continue;
+      if (cooldowns.isCooling(rule.id, { asset: signal.asset, action: RULE_ACTION }, rule.cooldown_minutes, now)) continue;
+
+      const ctx = { signal, fearGreed, oiChange24hPct: oiChange.get(String(signal.asset).toLowerCase()) ?? null };
+      let result;
+      try {
+        result = evaluateConditions(rule.conditions, ctx);
+      } catch (err) {
+        logger.warn('Alert rule evaluation failed', { ruleId: rule.id, asset: signal.asset, error: err.message });
+        continue;
+      }
+      if (!result.pass) continue;
+
+      stats.triggered++;
+      const trigger = { asset: signal.asset, action: RULE_ACTION, rule, signal, trace: result.trace };
+      const description = describeConditions(rule.conditions);
+
+      const alertId = await saveAlert(supabase, {
+        asset: signal.asset,
+        action: RULE_ACTION,
+        score: signal.score,
+        confidence: signal.confidence,
+        reasons: `${rule.name}: ${description}`,
+        price: signal.price
+      }, { rule_id: rule.id });
+
+      const channels = rule.channels || RULE_DEFAULTS.channels;
+      const recipient = {
+        userId: rule.user_id,
+        filter: {
+          telegram_enabled: channels.includes(CHANNEL.TELEGRAM),
+          email_enabled: channels.includes(CHANNEL.EMAIL)
+        },
+        chatIds: owner?.telegram_chat_id ? [owner.telegram_chat_id] : [],
+        emails: parseEmails(owner?.alert_emails)
+      };
+
+      let rows = [];
+      try {
+        rows = await deliverTo(recipient, trigger, deps);
+      } catch (err) {
+        logger.warn('Alert rule delivery threw', { ruleId: rule.id, error: err.message });
+      }
+      if (rows.length === 0) {
+        logger.debug('Alert rule fired with no deliverable channel', { ruleId: rule.id, userId: rule.user_id });
+      }
+      await saveDeliveries(supabase, alertId, rows);
+
+      const sent = rows.filter(r => r.status === 'sent');
+      stats.telegram += sent.filter(r => r.channel === CHANNEL.TELEGRAM).length;
+      stats.email += sent.filter(r => r.channel === CHANNEL.EMAIL).length;
+      stats.failed += rows.length - sent.length;
+
+      // Retry next cycle only when every attempted delivery failed
+      if (rows.length === 0 || sent.length > 0) {
+        cooldowns.mark(rule.id, signal.asset, RULE_ACTION, now);
+      }
+
+      try {
+        await supabase
+          .from('alert_rules')
+          .update({ last_triggered_at: now.toISOString(), trigger_count: (rule.trigger_count || 0) + 1 })
+          .eq('id', rule.id);
+        rule.trigger_count = (rule.trigger_count || 0) + 1;
+      } catch (err) {
+        logger.debug('Could not update rule trigger stats', { ruleId: rule.id, error: err.message });
+      }
+
+      logger.info('Alert rule triggered', {
+        ruleId: rule.id, userId: rule.user_id, asset: signal.asset, sent: sent.length
+      });
+    }
+  }
+
+  return stats;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listRules(supabase, userId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  return { rules: data || [], error };
+}
+
+async function getRule(supabase, userId, ruleId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('id', ruleId)
+    .single();
+  return { rule: data || null, error: error || (data ? null : new Error('Rule not found')) };
+}
+
+/**
+ * @returns {Promise<{rule: object|null, errors?: string[], error?: Error}>}
+ */
+async function createRule(supabase, userId, spec) {
+  const { value, errors } = normalizeRuleSpec(spec);
+  if (errors.length > 0) return { rule: null, errors };
+
+  const { count, error: countError } = await supabase
+    .from('alert_rules')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId);
+  if (countError) return { rule: null, error: countError };
+  if ((count || 0) >= RULE_LIMITS.maxRulesPerUser) {
+    return { rule: null, errors: [`at most ${RULE_LIMITS.maxRulesPerUser} rules per user`] };
+  }
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .insert({ ...value, user_id: userId })
+    .select()
+    .single();
+  return { rule: data || null, error };
+}
+
+async function updateRule(supabase, userId, ruleId, spec) {
+  const { value, errors } = normalizeRuleSpec(spec, { partial: true });
+  if (errors.length > 0) return { rule: null, errors };
+  if (Object.keys(value).length === 0) return { rule: null, errors: ['nothing to update'] };
+
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .update({ ...value, updated_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', ruleId)
+    .select()
+    .single();
+  return { rule: data || null, error: error || (data ? null : new Error('Rule not found')) };
+}
+
+async function deleteRule(supabase, userId, ruleId) {
+  const { data, error } = await supabase
+    .from('alert_rules')
+    .delete()
+    .eq('user_id', userId)
+    .eq('id', ruleId)
+    .select('id');
+  if (error) return { deleted: false, error };
+  return { deleted: (data || []).length > 0, error: null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+  METRICS,
+  TIMEFRAMES,
+  RULE_LIMITS,
+  RULE_DEFAULTS,
+  RULE_ACTION,
+  runAlertRules,
+  hydrateRuleCooldowns,
+  listRules,
+  getRule,
+  createRule,
+  updateRule,
+  deleteRule,
+  formatRuleTelegram,
+  formatRuleEmail,
+
+  // Helpers (for testing)
+  validateConditions,
+  normalizeRuleSpec,
+  evaluateConditions,
+  describeConditions,
+  referencesMetric
+};
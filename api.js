@@ -13,7 +13,7 @@ const crypto = require('crypto');
 const { MSG } = require('./shared/ipc');
 const { LRUCache } = require('./shared/lruCache');
 const { metrics } = require('./shared/metrics');
-const { runBacktestInThread, runOptimizeInThread, getStats: getComputeStats, terminateAll: terminateComputeWorkers } = require('./workers/compute');
+const { runBacktestInThread, runOptimizeInThread, runReplayInThread, getStats: getComputeStats, terminateAll: terminateComputeWorkers } = require('./workers/compute');
 const axios = require('axios');
 const { createClient } = require('@supabase/supabase-js');
 const { SilentTelegramBot, setupTelegramCommands } = require('./telegramBot');
@@ -42,10 +42,10 @@ const {
 } = require('./security');
 const { Resend } = require('resend');
 const { logger } = require('./logger');
-const { fetchOHLCVForAsset, VALID_INTERVALS } = require('./binanceAPI');
+const { fetchOHLCVForAsset, VALID_INTERVALS, getGlobalRateLimitStatus } = require('./binanceAPI');
 const { classifyAxiosError, Provider } = require('./errors');
 const { getFeatures, getFeaturesForAssets, getCacheStats } = require('./featureStore');
-const { getAllRegimes, getRegime } = require('./marketRegime');
+const { getAllRegimes, getRegime, getRegimeModel } = require('./marketRegime');
 const {
   getOrCreateConfig,
   updateConfig,
@@ -61,29 +61,53 @@ const {
   getEquityCurve,
   cleanupOldSnapshots
 } = require('./paperTrading');
-const { runBacktest, runPortfolioBacktest } = require('./backtester');
-const { startOptimizationJob, getJobStatus, getAllJobs, PARAM_RANGES } = require('./optimizer');
+const { runBacktest, runPortfolioBacktest, resolveMarketRules, MAX_PORTFOLIO_ASSETS } = require('./backtester');
+const { normalizeExitLadder } = require('./exitLadder');
 const {
-  runAutoTune, getAutoTuneHistory, getActiveConfig, saveActiveConfig, isAutoTuneRunning,
+  startOptimizationJob, getJobStatus, getAllJobs, PARAM_RANGES,
+  SEARCH_MODES, MAX_GRID_COMBINATIONS, MAX_EVALUATIONS
+} = require('./optimizer');
+const {
+  runAutoTune, getAutoTuneHistory, getActiveConfig, getActiveConfigSet, saveActiveConfig, isAutoTuneRunning,
   getApprovalMode, approveProposal, getPendingProposals, PRIORITY_PARAMS,
 } = require('./autoTuner');
-const { DEFAULT_STRATEGY_CONFIG, SCHEDULE_CONFIG } = require('./strategyConfig');
+const { DEFAULT_STRATEGY_CONFIG, SCHEDULE_CONFIG, GLOBAL_SLICE, validateSlice } = require('./strategyConfig');
+const { SHADOW_CONFIG, getShadowComparison } = require('./shadowEvaluator');
 const { enrichSignalWithTTL } = require('./scheduleUtils');
-const { getAccuracyMetrics, getOutcomesByRegimeConfluence } = require('./signalAccuracy');
+const { getAccuracyMetrics, getOutcomesByRegimeConfluence, getFactorAttribution } = require('./signalAccuracy');
+const { explainSignal } = require('./signalExplainer');
+const { normalizeReplayParams, startReplayJob, getReplayJob, listReplayJobs } = require('./signalReplay');
+const { compareRegimeModels } = require('./regimeModel');
 const { initConfigManager, getConfig, setConfig, getAllConfigs } = require('./configManager');
-const { getAllBreakerStatus, getBreaker } = require('./circuitBreaker');
+const { getGlobalBreakerStatus, getBreaker } = require('./circuitBreaker');
+const { getStateBackend } = require('./sharedState');
 const {
   createOrder, validateOrder, submitOrder, cancelOrder,
   getOrders, getOrder, getExecutionLog, expireOrders,
-  ORDER_STATUS
+  ORDER_STATUS, WORKING_STATUSES
 } = require('./orderManager');
 const {
   activateKillSwitch, deactivateKillSwitch, getKillSwitchStatus,
   getRiskDashboard
 } = require('./riskEngine');
+const { getLatestReconciliation } = require('./reconciler');
+const { getAlertHistory } = require('./alertRouter');
+const { METRICS: ALERT_RULE_METRICS, TIMEFRAMES: ALERT_RULE_TIMEFRAMES, listRules, getRule, createRule, updateRule, deleteRule } = require('./alertRules');
 const { requireAuth, optionalAuth } = require('./authMiddleware');
-const { requireRole, getProfile, invalidateProfileCache } = require('./roleMiddleware');
+const { requireRole, requireOwnership, getProfile, invalidateProfileCache } = require('./roleMiddleware');
 const { logAudit, auditContext } = require('./auditLogger');
+const {
+  API_KEY_SCOPES, KEY_LIMITS: API_KEY_LIMITS, createApiKeyAuth, listApiKeys, createApiKey, revokeApiKey,
+  apiKeyAllows, tradeScopeFor
+} = require('./apiKeys');
+const {
+  isTwoPersonRequired, splitGuardedConfig, requestAction, approveAction, rejectAction, listActions,
+  handleApprovalCallback, createTelegramLinkCode, confirmTelegramLink, unlinkTelegram
+} = require('./pendingActions');
+const {
+  LIVE_EXCHANGES, isVaultConfigured, listCredentials, saveCredential, rotateCredential, deleteCredential,
+  getUserAdapter, createAdapterResolver, verifyCredential, rotateMasterKey
+} = require('./credentialVault');
 
 const app = express();
 const PORT = process.env.PORT || 3001;
@@ -154,6 +178,12 @@ app.use((req, res, next) => {
 // ─── AUTHENTICATION ───────────────────────────────────────────────────────
 // Apply auth to protected route groups (user-specific data)
 // Public routes: /api/health, /api/market, /api/signals, /api/stream, /api/config
+// Every :userId route also needs requireOwnership (path params are not visible
+// to these group middlewares) — enforced by __tests__/ownership.test.js
+
+// Personal API keys authenticate first so the groups below see req.apiKey
+// (apiKeyAuth is built once the Supabase client exists, see CONFIGURATION)
+app.use('/api/', (req, res, next) => apiKeyAuth(req, res, next));
 app.use('/api/paper', requireAuth);
 app.use('/api/wallets', requireAuth);
 app.use('/api/portfolio', requireAuth);
@@ -161,9 +191,13 @@ app.use('/api/orders', requireAuth);
 app.use('/api/risk', requireAuth);
 app.use('/api/execution-log', requireAuth);
 app.use('/api/alert-filters', requireAuth);
+app.use('/api/alert-rules', requireAuth);
 app.use('/api/backtest', requireAuth);
 app.use('/api/optimize', requireAuth);
 app.use('/api/autotune', requireAuth);
+app.use('/api/approvals', requireAuth);
+app.use('/api/telegram-link', requireAuth);
+app.use('/api/credentials', requireAuth);
 
 // SSE stream uses optional auth (token via query param)
 app.use('/api/stream', optionalAuth);
@@ -176,6 +210,7 @@ const RESEND_API_KEY = process.env.RESEND_API_KEY;
 const ALERT_EMAIL = process.env.ALERT_EMAIL || 'edgardoalonso2708@gmail.com';
 
 const supabase = createClient(SUPABASE_URL, SUPABASE_KEY);
+const apiKeyAuth = createApiKeyAuth(supabase);
 
 // Initialize config manager (preloads system_config table into memory)
 initConfigManager(supabase).catch(err =>
@@ -481,15 +516,22 @@ app.put('/api/config/:key', async (req, res) => {
 // CIRCUIT BREAKER HEALTH ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
-app.get('/api/health/circuit-breakers', (req, res) => {
-  res.json({ breakers: getAllBreakerStatus() });
+// Global view: breakers and budgets shared by the API, market and alerts processes
+app.get('/api/health/circuit-breakers', async (req, res) => {
+  try {
+    const [breakers, binance] = await Promise.all([getGlobalBreakerStatus(), getGlobalRateLimitStatus()]);
+    res.json({ breakers, rateLimits: { binance }, sharedState: getStateBackend().describe() });
+  } catch (error) {
+    logger.error('Circuit breaker status failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to fetch circuit breaker status' });
+  }
 });
 
-app.post('/api/health/circuit-breakers/:provider/reset', (req, res) => {
+app.post('/api/health/circuit-breakers/:provider/reset', async (req, res) => {
   try {
     const provider = sanitizeInput(req.params.provider);
     const breaker = getBreaker(provider);
-    breaker.reset();
+    await breaker.reset();
     res.json({ provider, state: breaker.getStatus().state, reset: true });
   } catch (error) {
     res.status(500).json({ error: error.message });
@@ -510,6 +552,28 @@ app.get('/api/regime', (req, res) => {
   });
 });
 
+// Active regime model (REGIME_MODEL) and its fitted states / transition matrix
+app.get('/api/regime/model', (req, res) => {
+  res.json(getRegimeModel());
+});
+
+// Which model's labels best separate forward returns in signal_outcomes
+app.get('/api/regime/models/compare', requireAuth, async (req, res) => {
+  const days = parseInt(req.query.days, 10) || 60;
+  const horizon = sanitizeInput(req.query.horizon || '4h');
+  if (days < 1 || days > 365) return res.status(400).json({ error: 'days must be between 1 and 365' });
+  if (!['1h', '4h', '24h'].includes(horizon)) return res.status(400).json({ error: 'horizon must be 1h, 4h or 24h' });
+
+  try {
+    const report = await compareRegimeModels(supabase, { days, horizon, offline: req.query.offline === 'true' });
+    if (report.error) return res.status(500).json({ error: 'Failed to load signal outcomes' });
+    res.json(report);
+  } catch (error) {
+    logger.error('Regime model comparison failed', { error: error.message });
+    res.status(500).json({ error: 'Failed to compare regime models' });
+  }
+});
+
 app.get('/api/regime/:asset', (req, res) => {
   const asset = sanitizeInput(req.params.asset);
   const regime = getRegime(asset);
@@ -531,7 +595,8 @@ app.get('/api/signals', async (req, res) => {
           price: s.price, change24h: s.change_24h, reasons: s.reasons,
           indicators: s.indicators, tradeLevels: s.trade_levels || null,
           derivatives: s.derivatives || null, timeframes: s.timeframes || null,
-          macroContext: s.macro_context || null, dataSource: s.data_source,
+          macroContext: s.macro_context || null, factors: s.factors || null,
+          multipliers: s.factor_multipliers || null, dataSource: s.data_source,
           interval: s.interval_tf, assetClass: s.asset_class, timestamp: s.generated_at
         }));
         cachedSignals = persisted;
@@ -547,6 +612,38 @@ app.get('/api/signals', async (req, res) => {
   res.json(enriched);
 });
 
+// Factor breakdown of the latest signal for an asset (why it fired)
+app.get('/api/signals/:asset/explain', async (req, res) => {
+  const asset = sanitizeInput(req.params.asset).toUpperCase();
+  try {
+    let signal = cachedSignals.find(s => s.asset === asset) || null;
+    if (!signal) {
+      const { data, error } = await supabase
+        .from('signals')
+        .select('asset, action, strength_label, raw_score, confidence, interval_tf, generated_at, factors, factor_multipliers')
+        .eq('asset', asset)
+        .limit(1);
+      if (error) return res.status(500).json({ error: 'Failed to fetch signal' });
+      const row = data?.[0];
+      if (row) {
+        signal = {
+          asset: row.asset, action: row.action, strengthLabel: row.strength_label,
+          rawScore: row.raw_score, confidence: row.confidence, interval: row.interval_tf,
+          timestamp: row.generated_at, factors: row.factors, multipliers: row.factor_multipliers
+        };
+      }
+    }
+    if (!signal) return res.status(404).json({ error: 'No signal for asset' });
+
+    const explanation = explainSignal(signal);
+    if (!explanation) return res.status(404).json({ error: 'No factor breakdown for this signal' });
+    res.json(explanation);
+  } catch (err) {
+    logger.warn('Signal explain endpoint failed', { asset, error: err.message });
+    res.status(500).json({ error: 'Failed to explain signal' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SIGNAL ACCURACY
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -582,6 +679,69 @@ app.get('/api/signals/accuracy/regime-confluence', async (req, res) => {
   }
 });
 
+// Factor attribution: which scoring factors earn their weight
+app.get('/api/signals/accuracy/factors', async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days) || 60, 1), 365);
+    const asset = req.query.asset ? sanitizeInput(req.query.asset) : null;
+    const decayHorizon = req.query.horizon ? sanitizeInput(req.query.horizon) : '4h';
+    if (!['1h', '4h', '24h'].includes(decayHorizon)) {
+      return res.status(400).json({ error: 'horizon must be 1h, 4h or 24h' });
+    }
+    const periodDays = Math.min(Math.max(parseInt(req.query.periodDays) || 7, 1), 30);
+    const result = await getFactorAttribution(supabase, { days, asset, decayHorizon, periodDays });
+    if (result.error) {
+      return res.status(500).json({ error: result.error });
+    }
+    res.json(result);
+  } catch (err) {
+    logger.warn('Factor attribution endpoint failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to fetch factor attribution' });
+  }
+});
+
+// Signal replay: regenerate past signals with any strategy config (compute worker)
+app.post('/api/signals/replay', requireAuth, (req, res) => {
+  try {
+    const { params, error } = normalizeReplayParams(req.body || {});
+    if (error) {
+      return res.status(400).json({ error });
+    }
+
+    const jobId = startReplayJob(params, { runInThread: runReplayInThread, supabase });
+    logger.info('Signal replay started', {
+      jobId, assets: params.assets, startTime: params.startTime, endTime: params.endTime, stepInterval: params.stepInterval
+    });
+    res.status(202).json({
+      jobId,
+      message: 'Replay started',
+      assets: params.assets,
+      startTime: new Date(params.startTime).toISOString(),
+      endTime: new Date(params.endTime).toISOString(),
+      stepInterval: params.stepInterval
+    });
+  } catch (err) {
+    logger.error('Failed to start signal replay', { error: err.message });
+    res.status(500).json({ error: 'Failed to start signal replay' });
+  }
+});
+
+app.get('/api/signals/replay', requireAuth, (req, res) => {
+  res.json(listReplayJobs().map(({ result, ...job }) => ({
+    ...job,
+    signals: result?.signals?.length ?? null,
+    agreementRate: result?.diff?.agreementRate ?? null
+  })));
+});
+
+app.get('/api/signals/replay/:jobId', requireAuth, (req, res) => {
+  const job = getReplayJob(sanitizeInput(req.params.jobId));
+  if (!job) {
+    return res.status(404).json({ error: 'Job not found' });
+  }
+  res.json(job);
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SSE (SERVER-SENT EVENTS) - Real-time Market Updates (Phase 1)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -747,16 +907,19 @@ app.post('/api/features/batch', async (req, res) => {
   }
 });
 
+// GET /api/alerts - Recent alerts with per-user delivery records
+// ?userId= narrows to alerts routed to that user (only their deliveries)
 app.get('/api/alerts', async (req, res) => {
   try {
-    const { data, error } = await supabase
-      .from('alerts')
-      .select('*')
-      .order('created_at', { ascending: false })
-      .limit(50);
-
-    if (error) throw error;
-    res.json(data || []);
+    let userId = null;
+    if (req.query.userId !== undefined) {
+      userId = sanitizeInput(req.query.userId);
+      if (!isValidUserId(userId)) {
+        return res.status(400).json({ error: 'Invalid user ID' });
+      }
+    }
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    res.json(await getAlertHistory(supabase, { userId, limit }));
   } catch (error) {
     logger.error('Failed to fetch alerts', { provider: Provider.SUPABASE, error: error.message });
     res.json([]);
@@ -828,7 +991,7 @@ app.post('/api/send-alert', async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // GET /api/alert-filters/:userId - Get user's alert filter preferences
-app.get('/api/alert-filters/:userId', async (req, res) => {
+app.get('/api/alert-filters/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -852,6 +1015,7 @@ app.get('/api/alert-filters/:userId', async (req, res) => {
         telegram_enabled: true,
         email_enabled: true,
         alert_emails: '',
+        telegram_chat_id: null,
         quiet_start: null,
         quiet_end: null,
         cooldown_minutes: 20,
@@ -868,7 +1032,7 @@ app.get('/api/alert-filters/:userId', async (req, res) => {
 });
 
 // PUT /api/alert-filters/:userId - Create or update alert filter preferences
-app.put('/api/alert-filters/:userId', async (req, res) => {
+app.put('/api/alert-filters/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -877,7 +1041,7 @@ app.put('/api/alert-filters/:userId', async (req, res) => {
 
     const {
       assets, actions, min_confidence, min_score,
-      telegram_enabled, email_enabled, alert_emails,
+      telegram_enabled, email_enabled, alert_emails, telegram_chat_id,
       quiet_start, quiet_end, cooldown_minutes, enabled
     } = req.body;
 
@@ -891,6 +1055,9 @@ app.put('/api/alert-filters/:userId', async (req, res) => {
     if (cooldown_minutes !== undefined && (cooldown_minutes < 1 || cooldown_minutes > 1440)) {
       return res.status(400).json({ error: 'cooldown_minutes must be 1-1440' });
     }
+    if (telegram_chat_id !== undefined && telegram_chat_id !== null && !/^-?\d{1,20}$/.test(String(telegram_chat_id))) {
+      return res.status(400).json({ error: 'telegram_chat_id must be a numeric Telegram chat ID' });
+    }
 
     const payload = {
       user_id: userId,
@@ -909,6 +1076,7 @@ app.put('/api/alert-filters/:userId', async (req, res) => {
     if (cooldown_minutes !== undefined) payload.cooldown_minutes = cooldown_minutes;
     if (enabled !== undefined) payload.enabled = enabled;
     if (alert_emails !== undefined) payload.alert_emails = alert_emails;
+    if (telegram_chat_id !== undefined) payload.telegram_chat_id = telegram_chat_id === null ? null : String(telegram_chat_id);
 
     const { data, error } = await supabase
       .from('alert_filters')
@@ -925,12 +1093,108 @@ app.put('/api/alert-filters/:userId', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CUSTOM ALERT RULE ENDPOINTS
+// Condition-tree rules over indicator / derivatives metrics (see alertRules.js)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// GET /api/alert-rules/metrics - Metrics, timeframes and operators a rule can use
+app.get('/api/alert-rules/metrics', (req, res) => {
+  res.json({
+    timeframes: ALERT_RULE_TIMEFRAMES,
+    metrics: Object.entries(ALERT_RULE_METRICS).map(([name, def]) => ({
+      name, type: def.type, label: def.label, timeframe: !!def.timeframe
+    }))
+  });
+});
+
+// GET /api/alert-rules/:userId - List a user's rules
+app.get('/api/alert-rules/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { rules, error } = await listRules(supabase, userId);
+    if (error) throw error;
+    res.json({ rules });
+  } catch (err) {
+    logger.error('GET /api/alert-rules error', { error: err.message });
+    res.status(500).json({ error: 'Failed to list alert rules' });
+  }
+});
+
+// POST /api/alert-rules/:userId - Create a rule
+app.post('/api/alert-rules/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { rule, errors, error } = await createRule(supabase, userId, req.body);
+    if (errors) return res.status(400).json({ error: 'Invalid rule', details: errors });
+    if (error) throw error;
+    logger.info('Alert rule created', { userId, ruleId: rule.id });
+    res.status(201).json({ rule });
+  } catch (err) {
+    logger.error('POST /api/alert-rules error', { error: err.message });
+    res.status(500).json({ error: 'Failed to create alert rule' });
+  }
+});
+
+// GET /api/alert-rules/:userId/:ruleId - Get one rule
+app.get('/api/alert-rules/:userId/:ruleId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { rule, error } = await getRule(supabase, userId, req.params.ruleId);
+    if (error || !rule) return res.status(404).json({ error: 'Rule not found' });
+    res.json({ rule });
+  } catch (err) {
+    logger.error('GET /api/alert-rules/:id error', { error: err.message });
+    res.status(500).json({ error: 'Failed to get alert rule' });
+  }
+});
+
+// PUT /api/alert-rules/:userId/:ruleId - Update a rule (partial)
+app.put('/api/alert-rules/:userId/:ruleId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { rule, errors, error } = await updateRule(supabase, userId, req.params.ruleId, req.body);
+    if (errors) return res.status(400).json({ error: 'Invalid rule', details: errors });
+    if (error || !rule) return res.status(404).json({ error: 'Rule not found' });
+    logger.info('Alert rule updated', { userId, ruleId: rule.id });
+    res.json({ rule });
+  } catch (err) {
+    logger.error('PUT /api/alert-rules error', { error: err.message });
+    res.status(500).json({ error: 'Failed to update alert rule' });
+  }
+});
+
+// DELETE /api/alert-rules/:userId/:ruleId - Delete a rule
+app.delete('/api/alert-rules/:userId/:ruleId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { deleted, error } = await deleteRule(supabase, userId, req.params.ruleId);
+    if (error) throw error;
+    if (!deleted) return res.status(404).json({ error: 'Rule not found' });
+    logger.info('Alert rule deleted', { userId, ruleId: req.params.ruleId });
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /api/alert-rules error', { error: err.message });
+    res.status(500).json({ error: 'Failed to delete alert rule' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // WALLET CRUD ENDPOINTS (Phase 2)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // GET /api/wallets/:userId - Get all wallets for a user
-app.get('/api/wallets/:userId', async (req, res) => {
+app.get('/api/wallets/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
 
@@ -1113,7 +1377,7 @@ app.delete('/api/wallets/:walletId', async (req, res) => {
 });
 
 // GET /api/wallets/:userId/summary - High-level wallet summary with P&L
-app.get('/api/wallets/:userId/summary', async (req, res) => {
+app.get('/api/wallets/:userId/summary', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
 
@@ -1276,7 +1540,7 @@ app.post('/api/portfolio/upload', upload.single('file'), async (req, res) => {
   }
 });
 
-app.get('/api/portfolio/:userId', async (req, res) => {
+app.get('/api/portfolio/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
 
@@ -1306,7 +1570,7 @@ app.get('/api/portfolio/:userId', async (req, res) => {
 });
 
 // GET /api/portfolio/:userId/wallet/:walletId - Get specific wallet portfolio
-app.get('/api/portfolio/:userId/wallet/:walletId', async (req, res) => {
+app.get('/api/portfolio/:userId/wallet/:walletId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     const walletId = req.params.walletId;
@@ -1331,7 +1595,7 @@ app.get('/api/portfolio/:userId/wallet/:walletId', async (req, res) => {
 });
 
 // GET /api/portfolio/:userId/consolidated - Get consolidated portfolio view
-app.get('/api/portfolio/:userId/consolidated', async (req, res) => {
+app.get('/api/portfolio/:userId/consolidated', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
 
@@ -1382,7 +1646,7 @@ app.get('/api/portfolio/:userId/consolidated', async (req, res) => {
   }
 });
 
-app.delete('/api/portfolio/:userId/:positionId', async (req, res) => {
+app.delete('/api/portfolio/:userId/:positionId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     const positionId = req.params.positionId; // UUID, no parseInt needed
@@ -1412,7 +1676,7 @@ app.delete('/api/portfolio/:userId/:positionId', async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // Get paper trading config
-app.get('/api/paper/config/:userId', async (req, res) => {
+app.get('/api/paper/config/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1428,22 +1692,54 @@ app.get('/api/paper/config/:userId', async (req, res) => {
 });
 
 // Update paper trading config
-app.post('/api/paper/config/:userId', async (req, res) => {
+// Going live or raising max_drawdown_pct is queued for a second approver (202)
+app.post('/api/paper/config/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
       return res.status(400).json({ error: 'Invalid user ID' });
     }
-    const { config, error } = await updateConfig(supabase, userId, req.body);
-    if (error) return res.status(400).json({ error: error.message || error });
 
-    await logAudit(supabase, {
-      userId: req.userId, action: 'config_change',
-      resource: 'paper_config', details: { changes: req.body },
-      ...auditContext(req)
-    });
+    let changes = req.body || {};
+    let guarded = [];
+    if (needsSecondApprover(req)) {
+      const { config: current, error: loadError } = await getOrCreateConfig(supabase, userId);
+      if (loadError) return res.status(500).json({ error: 'Failed to get config' });
+      const split = splitGuardedConfig(current, changes);
+      if (split.errors.length > 0) {
+        return res.status(400).json({ error: `Validation failed: ${split.errors.join('; ')}` });
+      }
+      changes = split.immediate;
+      guarded = split.guarded;
+      if (guarded.length > 0 && Object.keys(changes).length === 0) changes = null;
+    }
 
-    res.json({ config });
+    let config = null;
+    if (changes) {
+      const updated = await updateConfig(supabase, userId, changes);
+      if (updated.error) return res.status(400).json({ error: updated.error.message || updated.error });
+      config = updated.config;
+
+      await logAudit(supabase, {
+        userId: req.userId, action: 'config_change',
+        resource: 'paper_config', details: { changes },
+        ...auditContext(req)
+      });
+    }
+
+    if (guarded.length === 0) return res.json({ config });
+
+    const pendingApprovals = [];
+    for (const { type, payload } of guarded) {
+      const { action, error, duplicate } = await requestAction(supabase, {
+        type, targetUserId: userId, payload, requestedBy: req.userId,
+        context: auditContext(req), bot
+      });
+      if (duplicate) return res.status(409).json({ error, pendingApproval: action, config });
+      if (!action) return res.status(500).json({ error: 'Failed to request approval', config });
+      pendingApprovals.push(action);
+    }
+    res.status(202).json({ config, pendingApprovals, message: 'Awaiting approval from a second user' });
   } catch (error) {
     logger.error('Paper config update failed', { error: error.message });
     res.status(500).json({ error: 'Internal server error' });
@@ -1451,7 +1747,7 @@ app.post('/api/paper/config/:userId', async (req, res) => {
 });
 
 // Reset paper trading account
-app.post('/api/paper/reset/:userId', async (req, res) => {
+app.post('/api/paper/reset/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1467,7 +1763,7 @@ app.post('/api/paper/reset/:userId', async (req, res) => {
 });
 
 // Get open paper positions with unrealized P&L
-app.get('/api/paper/positions/:userId', async (req, res) => {
+app.get('/api/paper/positions/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1483,7 +1779,7 @@ app.get('/api/paper/positions/:userId', async (req, res) => {
 });
 
 // Get paper trade history
-app.get('/api/paper/history/:userId', async (req, res) => {
+app.get('/api/paper/history/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1505,7 +1801,7 @@ app.get('/api/paper/history/:userId', async (req, res) => {
 });
 
 // Get performance metrics
-app.get('/api/paper/performance/:userId', async (req, res) => {
+app.get('/api/paper/performance/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1521,7 +1817,7 @@ app.get('/api/paper/performance/:userId', async (req, res) => {
 });
 
 // Advanced performance analytics (breakdowns by asset, hour, day, exit reason, etc.)
-app.get('/api/paper/performance-advanced/:userId', async (req, res) => {
+app.get('/api/paper/performance-advanced/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1538,7 +1834,7 @@ app.get('/api/paper/performance-advanced/:userId', async (req, res) => {
 });
 
 // Position correlation analysis
-app.get('/api/paper/correlation/:userId', async (req, res) => {
+app.get('/api/paper/correlation/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1555,7 +1851,7 @@ app.get('/api/paper/correlation/:userId', async (req, res) => {
 });
 
 // Position heat map + anomaly detection
-app.get('/api/paper/heatmap/:userId', async (req, res) => {
+app.get('/api/paper/heatmap/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1613,7 +1909,7 @@ app.post('/api/paper/close/:tradeId', async (req, res) => {
 });
 
 // Delete closed paper trades by asset name
-app.delete('/api/paper/trades/:userId', async (req, res) => {
+app.delete('/api/paper/trades/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1641,7 +1937,7 @@ app.delete('/api/paper/trades/:userId', async (req, res) => {
 });
 
 // Real-time equity curve for paper trading
-app.get('/api/paper/equity/:userId', async (req, res) => {
+app.get('/api/paper/equity/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1658,7 +1954,7 @@ app.get('/api/paper/equity/:userId', async (req, res) => {
 });
 
 // Cleanup old equity snapshots (called periodically or manually)
-app.delete('/api/paper/equity/:userId', async (req, res) => {
+app.delete('/api/paper/equity/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) {
@@ -1676,8 +1972,11 @@ app.delete('/api/paper/equity/:userId', async (req, res) => {
 // ORDER MANAGEMENT API ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
+// Adapter an order was placed on: the owner's vault credentials for live venues, paper otherwise
+const resolveOrderAdapter = createAdapterResolver(supabase);
+
 // ─── Create a manual order ──────────────────────────────────────────────────
-app.post('/api/orders/:userId', async (req, res) => {
+app.post('/api/orders/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1687,9 +1986,12 @@ app.post('/api/orders/:userId', async (req, res) => {
       return res.status(400).json({ error: 'Missing required fields: asset, side, orderType' });
     }
 
-    const { order, error } = await createOrder(supabase, userId, orderSpec);
+    const tradeScope = tradeScopeFor(orderSpec.executionAdapter);
+    if (!apiKeyAllows(req, tradeScope)) return res.status(403).json({ error: `API key missing scope ${tradeScope}` });
+
+    const { order, children, error } = await createOrder(supabase, userId, orderSpec);
     if (error) return res.status(400).json({ error: error.message || error });
-    res.json({ success: true, order });
+    res.json({ success: true, order, children });
   } catch (err) {
     logger.error('POST /api/orders error', { error: err.message });
     res.status(500).json({ error: 'Failed to create order' });
@@ -1697,7 +1999,7 @@ app.post('/api/orders/:userId', async (req, res) => {
 });
 
 // ─── List orders ────────────────────────────────────────────────────────────
-app.get('/api/orders/:userId', async (req, res) => {
+app.get('/api/orders/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1719,7 +2021,7 @@ app.get('/api/orders/:userId', async (req, res) => {
 });
 
 // ─── Get single order ───────────────────────────────────────────────────────
-app.get('/api/orders/:userId/:orderId', async (req, res) => {
+app.get('/api/orders/:userId/:orderId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     const orderId = req.params.orderId;
@@ -1735,15 +2037,26 @@ app.get('/api/orders/:userId/:orderId', async (req, res) => {
 });
 
 // ─── Cancel order ───────────────────────────────────────────────────────────
-app.post('/api/orders/:userId/:orderId/cancel', async (req, res) => {
+app.post('/api/orders/:userId/:orderId/cancel', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     const orderId = req.params.orderId;
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
 
-    const { order, error } = await cancelOrder(supabase, userId, orderId);
-    if (error) return res.status(400).json({ error: error.message || error });
-    res.json({ success: true, order });
+    const { order: current, error: fetchError } = await getOrder(supabase, userId, orderId);
+    if (fetchError || !current) return res.status(404).json({ error: 'Order not found' });
+
+    // Resting orders live at the venue: pull them there first, on the account that placed them
+    let adapter = null;
+    if (WORKING_STATUSES.includes(current.status)) {
+      const { adapter: venueAdapter, error: adapterError, missing } = await resolveOrderAdapter(userId, current.execution_adapter || 'paper');
+      if (!venueAdapter) return res.status(missing ? 400 : 500).json({ error: adapterError });
+      adapter = venueAdapter;
+    }
+
+    const { order, linkedCancelled, error } = await cancelOrder(supabase, userId, orderId, adapter);
+    if (error) return res.status(error.venue ? 502 : 400).json({ error: error.message || error });
+    res.json({ success: true, order, linkedCancelled });
   } catch (err) {
     logger.error('POST /api/orders/cancel error', { error: err.message });
     res.status(500).json({ error: 'Failed to cancel order' });
@@ -1751,7 +2064,7 @@ app.post('/api/orders/:userId/:orderId/cancel', async (req, res) => {
 });
 
 // ─── Submit (approve) validated order ───────────────────────────────────────
-app.post('/api/orders/:userId/:orderId/submit', async (req, res) => {
+app.post('/api/orders/:userId/:orderId/submit', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     const orderId = req.params.orderId;
@@ -1765,15 +2078,28 @@ app.post('/api/orders/:userId/:orderId/submit', async (req, res) => {
       return res.status(400).json({ error: `Order must be VALIDATED to submit (current: ${order.status})` });
     }
 
-    // For now, use paper adapter placeholder — will be replaced in Tier 2
-    // The adapter will be resolved from the order's execution_adapter field
-    const { createAdapter } = require('./execution');
-    const adapter = createAdapter(order.execution_adapter || 'paper', { supabase });
+    const tradeScope = tradeScopeFor(order.execution_adapter);
+    if (!apiKeyAllows(req, tradeScope)) return res.status(403).json({ error: `API key missing scope ${tradeScope}` });
 
-    // Fetch user config for ATR-level adjustments
+    // Fetch user config for ATR-level adjustments and the execution mode
     const { getOrCreateConfig } = require('./paperTrading');
     const { config: userConfig } = await getOrCreateConfig(supabase, userId);
 
+    // Exchange orders run on an adapter built from the user's own vault credentials
+    const adapterType = order.execution_adapter || 'paper';
+    let adapter;
+    if (LIVE_EXCHANGES.includes(adapterType)) {
+      if (userConfig?.execution_mode !== 'live') {
+        return res.status(400).json({ error: `${adapterType} orders require execution_mode live` });
+      }
+      const { adapter: userAdapter, error: adapterError, missing } = await getUserAdapter(supabase, userId, adapterType);
+      if (!userAdapter) return res.status(missing ? 400 : 500).json({ error: adapterError });
+      adapter = userAdapter;
+    } else {
+      const { createAdapter } = require('./execution');
+      adapter = createAdapter(adapterType, { supabase });
+    }
+
     const { filledOrder, trade, error: submitError } = await submitOrder(
       supabase, userId, order, adapter, cachedMarketData, userConfig
     );
@@ -1787,7 +2113,7 @@ app.post('/api/orders/:userId/:orderId/submit', async (req, res) => {
 });
 
 // ─── Execution audit log ────────────────────────────────────────────────────
-app.get('/api/execution-log/:userId', async (req, res) => {
+app.get('/api/execution-log/:userId', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1808,12 +2134,143 @@ app.get('/api/execution-log/:userId', async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXCHANGE CREDENTIAL ROUTES
+// Per-user exchange keys for live orders (credentialVault.js). Responses only
+// ever carry api_key_masked — secrets go in, never out.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function credentialExchange(req) {
+  const exchange = sanitizeInput(req.params.exchange);
+  return LIVE_EXCHANGES.includes(exchange) ? exchange : null;
+}
+
+// ─── List stored credentials ────────────────────────────────────────────────
+app.get('/api/credentials/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { credentials, error } = await listCredentials(supabase, userId);
+    if (error) throw error;
+    res.json({ credentials, exchanges: LIVE_EXCHANGES, vaultConfigured: isVaultConfigured() });
+  } catch (err) {
+    logger.error('GET /api/credentials error', { error: err.message });
+    res.status(500).json({ error: 'Failed to list credentials' });
+  }
+});
+
+// ─── Store credentials for an exchange ──────────────────────────────────────
+app.post('/api/credentials/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+    if (!isVaultConfigured()) return res.status(503).json({ error: 'Credential vault is not configured' });
+
+    const { credential, errors, error, exists } = await saveCredential(supabase, userId, req.body || {});
+    if (errors) return res.status(400).json({ error: 'Invalid credentials', details: errors });
+    if (exists) return res.status(409).json({ error });
+    if (error) throw error;
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'credential_created',
+      resource: 'exchange_credentials',
+      details: { targetUserId: userId, exchange: credential.exchange, testnet: credential.testnet, apiKey: credential.api_key_masked },
+      ...auditContext(req)
+    });
+
+    res.status(201).json({ credential });
+  } catch (err) {
+    logger.error('POST /api/credentials error', { error: err.message });
+    res.status(500).json({ error: 'Failed to store credentials' });
+  }
+});
+
+// ─── Rotate (replace) the key/secret for an exchange ────────────────────────
+app.put('/api/credentials/:userId/:exchange', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+    const exchange = credentialExchange(req);
+    if (!exchange) return res.status(400).json({ error: `exchange must be one of: ${LIVE_EXCHANGES.join(', ')}` });
+    if (!isVaultConfigured()) return res.status(503).json({ error: 'Credential vault is not configured' });
+
+    const { credential, errors, error } = await rotateCredential(supabase, userId, exchange, req.body || {});
+    if (errors) return res.status(400).json({ error: 'Invalid credentials', details: errors });
+    if (error) throw error;
+    if (!credential) return res.status(404).json({ error: `No ${exchange} credentials stored` });
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'credential_rotated',
+      resource: 'exchange_credentials',
+      details: { targetUserId: userId, exchange, testnet: credential.testnet, apiKey: credential.api_key_masked },
+      ...auditContext(req)
+    });
+
+    res.json({ credential });
+  } catch (err) {
+    logger.error('PUT /api/credentials error', { error: err.message });
+    res.status(500).json({ error: 'Failed to rotate credentials' });
+  }
+});
+
+// ─── Delete credentials for an exchange ─────────────────────────────────────
+app.delete('/api/credentials/:userId/:exchange', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+    const exchange = credentialExchange(req);
+    if (!exchange) return res.status(400).json({ error: `exchange must be one of: ${LIVE_EXCHANGES.join(', ')}` });
+
+    const { credential, error } = await deleteCredential(supabase, userId, exchange);
+    if (error) throw error;
+    if (!credential) return res.status(404).json({ error: `No ${exchange} credentials stored` });
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'credential_deleted',
+      resource: 'exchange_credentials', details: { targetUserId: userId, exchange },
+      ...auditContext(req)
+    });
+
+    res.json({ success: true, credential });
+  } catch (err) {
+    logger.error('DELETE /api/credentials error', { error: err.message });
+    res.status(500).json({ error: 'Failed to delete credentials' });
+  }
+});
+
+// ─── Verify stored credentials against the exchange ─────────────────────────
+app.post('/api/credentials/:userId/:exchange/verify', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+    const exchange = credentialExchange(req);
+    if (!exchange) return res.status(400).json({ error: `exchange must be one of: ${LIVE_EXCHANGES.join(', ')}` });
+
+    const { verification, credential, error, missing } = await verifyCredential(supabase, userId, exchange);
+    if (missing) return res.status(404).json({ error });
+    if (!verification) return res.status(500).json({ error: error || 'Failed to verify credentials' });
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'credential_verified',
+      resource: 'exchange_credentials',
+      details: { targetUserId: userId, exchange, authenticated: verification.authenticated, error: verification.error },
+      ...auditContext(req)
+    });
+
+    res.json({ verification, credential });
+  } catch (err) {
+    logger.error('POST /api/credentials/verify error', { error: err.message });
+    res.status(500).json({ error: 'Failed to verify credentials' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // RISK ENGINE API ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
 
 // ─── Risk dashboard ─────────────────────────────────────────────────────────
-app.get('/api/risk/:userId/dashboard', async (req, res) => {
+app.get('/api/risk/:userId/dashboard', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1828,7 +2285,7 @@ app.get('/api/risk/:userId/dashboard', async (req, res) => {
 });
 
 // ─── Kill switch — activate ─────────────────────────────────────────────────
-app.post('/api/risk/:userId/kill-switch', async (req, res) => {
+app.post('/api/risk/:userId/kill-switch', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1865,7 +2322,7 @@ app.post('/api/risk/:userId/kill-switch', async (req, res) => {
 });
 
 // ─── Kill switch — deactivate ───────────────────────────────────────────────
-app.delete('/api/risk/:userId/kill-switch', async (req, res) => {
+app.delete('/api/risk/:userId/kill-switch', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1877,6 +2334,17 @@ app.delete('/api/risk/:userId/kill-switch', async (req, res) => {
       return res.status(403).json({ error: 'Global kill switch deactivation requires admin role' });
     }
 
+    // Re-enabling trading needs a second approver; the approval executes deactivateKillSwitch
+    if (needsSecondApprover(req)) {
+      const { action, error, duplicate } = await requestAction(supabase, {
+        type: 'kill_switch_deactivate', targetUserId: userId, payload: { global: isGlobal },
+        requestedBy: req.userId, context: auditContext(req), bot
+      });
+      if (duplicate) return res.status(409).json({ error, pendingApproval: action });
+      if (!action) return res.status(500).json({ error: 'Failed to request approval' });
+      return res.status(202).json({ success: true, pendingApproval: action, message: 'Awaiting approval from a second user' });
+    }
+
     const result = await deactivateKillSwitch(supabase, userId, { global: isGlobal });
     if (!result.success) {
       return res.status(500).json({ error: result.error || 'Failed to deactivate kill switch' });
@@ -1892,7 +2360,7 @@ app.delete('/api/risk/:userId/kill-switch', async (req, res) => {
 });
 
 // ─── Kill switch — status ───────────────────────────────────────────────────
-app.get('/api/risk/:userId/kill-switch', async (req, res) => {
+app.get('/api/risk/:userId/kill-switch', requireOwnership, async (req, res) => {
   try {
     const userId = sanitizeInput(req.params.userId);
     if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
@@ -1905,6 +2373,22 @@ app.get('/api/risk/:userId/kill-switch', async (req, res) => {
   }
 });
 
+// ─── Exchange reconciliation — latest report ────────────────────────────────
+app.get('/api/risk/:userId/reconciliation', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) return res.status(400).json({ error: 'Invalid user ID' });
+
+    const { report, error } = await getLatestReconciliation(supabase, userId);
+    if (error) return res.status(500).json({ error: error.message });
+    if (!report) return res.status(404).json({ error: 'No reconciliation report yet' });
+    res.json(report);
+  } catch (err) {
+    logger.error('GET /api/risk/reconciliation error', { error: err.message });
+    res.status(500).json({ error: 'Failed to get reconciliation report' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BACKTEST API ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -1939,10 +2423,21 @@ app.post('/api/backtest/run', async (req, res) => {
       cooldownBars = 6,
       userId = 'default-user',
       kellySizing = null,
-      strategyConfig = null
+      strategyConfig = null,
+      endTime = null,    // Replay: as-of timestamp from a previous result's dataset.endTime
+      offline = false,   // Replay: archived data only
+      marketType = 'perp',
+      directions = 'both'
     } = req.body;
 
     // Validate inputs
+    try {
+      resolveMarketRules(marketType, directions);
+      if (strategyConfig?.exitLadder) normalizeExitLadder(strategyConfig.exitLadder);
+    } catch (ruleErr) {
+      return res.status(400).json({ error: ruleErr.message });
+    }
+    if (endTime != null && (!Number.isFinite(endTime) || endTime > Date.now())) return res.status(400).json({ error: 'endTime must be a past timestamp in ms' });
     if (days < 7 || days > 365) return res.status(400).json({ error: 'days must be between 7 and 365' });
     if (capital < 100 || capital > 10000000) return res.status(400).json({ error: 'capital must be between 100 and 10,000,000' });
     if (!['1h', '4h'].includes(stepInterval)) return res.status(400).json({ error: 'stepInterval must be 1h or 4h' });
@@ -2017,7 +2512,8 @@ app.post('/api/backtest/run', async (req, res) => {
           asset, days, stepInterval, capital, riskPerTrade,
           maxOpenPositions, minConfluence, minRR, allowedStrength,
           cooldownBars, fearGreed: 50, derivativesData: null, macroData: null,
-          kellySizing, strategyConfig
+          kellySizing, strategyConfig, endTime, offline: offline === true,
+          marketType, directions
         }, async (progress) => {
           // Update progress in memory
           const entry = backtestStore.get(recordId);
@@ -2074,6 +2570,8 @@ app.post('/api/backtest/run', async (req, res) => {
           significance: result.significance || null,
           kelly_sizing: result.kellySizing || null,
           benchmark: result.benchmark || null,
+          dataset: result.dataset || null,
+          market: result.market || null,
           completed_at: new Date().toISOString(), created_at: backtestStore.get(recordId)?.created_at
         };
 
@@ -2096,6 +2594,8 @@ app.post('/api/backtest/run', async (req, res) => {
               significance: result.significance || null,
               kelly_sizing: result.kellySizing || null,
               benchmark: result.benchmark || null,
+              dataset: result.dataset || null,
+              dataset_hash: result.dataset?.hash || null,
               completed_at: new Date().toISOString()
             }).eq('id', recordId);
             if (updateErr) logger.error(`Backtest DB update FAILED [${updateErr.code}]: ${updateErr.message} | hint: ${updateErr.hint || 'none'} | details: ${updateErr.details || 'none'}`);
@@ -2152,13 +2652,25 @@ app.post('/api/backtest/portfolio', async (req, res) => {
       riskPerTrade = 0.02,
       maxOpenPositions = 3,
       stepInterval = '4h',
+      cooldownBars = 6,
+      maxPortfolioCorrelation,
+      maxSectorExposurePct,
+      maxSameDirectionCrypto,
       kellySizing = null,
-      strategyConfig = null
+      strategyConfig = null,
+      marketType = 'perp',
+      directions = 'both'
     } = req.body;
 
     // Validate
-    if (!Array.isArray(assets) || assets.length < 2 || assets.length > 5) {
-      return res.status(400).json({ error: 'assets must be an array of 2-5 asset IDs' });
+    try {
+      resolveMarketRules(marketType, directions);
+      if (strategyConfig?.exitLadder) normalizeExitLadder(strategyConfig.exitLadder);
+    } catch (ruleErr) {
+      return res.status(400).json({ error: ruleErr.message });
+    }
+    if (!Array.isArray(assets) || assets.length < 2 || assets.length > MAX_PORTFOLIO_ASSETS) {
+      return res.status(400).json({ error: `assets must be an array of 2-${MAX_PORTFOLIO_ASSETS} asset IDs` });
     }
     if (days < 7 || days > 365) return res.status(400).json({ error: 'days must be between 7 and 365' });
     if (capital < 100 || capital > 10000000) return res.status(400).json({ error: 'capital must be between 100 and 10,000,000' });
@@ -2179,7 +2691,9 @@ app.post('/api/backtest/portfolio', async (req, res) => {
       try {
         const backtestPromise = runPortfolioBacktest({
           assets, days, capital, riskPerTrade, maxOpenPositions,
-          stepInterval, kellySizing, strategyConfig,
+          stepInterval, cooldownBars, kellySizing, strategyConfig,
+          maxPortfolioCorrelation, maxSectorExposurePct, maxSameDirectionCrypto,
+          marketType, directions,
           onProgress: (progress) => {
             const entry = backtestStore.get(recordId);
             if (entry && progress.total > 0) {
@@ -2237,7 +2751,7 @@ app.get('/api/backtest/results/:id', async (req, res) => {
 });
 
 // ─── Get backtest history for user ───────────────────────────────────────────
-app.get('/api/backtest/history/:userId', async (req, res) => {
+app.get('/api/backtest/history/:userId', requireOwnership, async (req, res) => {
   try {
     let results = [];
 
@@ -2361,15 +2875,24 @@ app.get('/api/autotune/history', async (req, res) => {
 });
 
 /**
- * GET /api/autotune/config — Get active strategy config
+ * GET /api/autotune/config — Get the active strategy config for a slice
+ * Query: ?asset=bitcoin&regime=trending (both optional; omitted = global)
  */
 app.get('/api/autotune/config', async (req, res) => {
   try {
-    const { config, source } = await getActiveConfig(supabase);
+    const parsed = validateSlice({ asset: req.query.asset, regime: req.query.regime });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    const configSet = await getActiveConfigSet(supabase);
+    const { config, source, slice } = configSet.resolve(parsed.slice.asset, parsed.slice.regime);
     const pending = getPendingProposals();
     res.json({
       config,
       source,
+      slice,
+      slices: configSet.list(),
       priorityParams: PRIORITY_PARAMS,
       isRunning: isAutoTuneRunning(),
       approvalMode: getApprovalMode(),
@@ -2391,12 +2914,16 @@ app.post('/api/autotune/run', async (req, res) => {
     }
 
     const asset = sanitizeInput(req.body.asset || 'bitcoin');
+    const scope = req.body.scope || 'regime';
+    if (!['regime', 'asset', 'global'].includes(scope)) {
+      return res.status(400).json({ error: 'Invalid scope (expected regime, asset or global)' });
+    }
 
     // Start async (don't await — it takes minutes)
-    res.json({ status: 'started', message: 'Auto-tune started, check /api/autotune/history for results' });
+    res.json({ status: 'started', scope, message: 'Auto-tune started, check /api/autotune/history for results' });
 
     // Run in background
-    runAutoTune(supabase, { trigger: 'manual', asset }).catch(err => {
+    runAutoTune(supabase, { trigger: 'manual', asset, scope }).catch(err => {
       logger.error('Manual auto-tune failed', { error: err.message });
     });
   } catch (err) {
@@ -2407,16 +2934,31 @@ app.post('/api/autotune/run', async (req, res) => {
 
 /**
  * POST /api/autotune/reset — Reset to default strategy config
+ * Body: { asset?, regime? } — reset only that slice; omit both to reset every slice
  */
 app.post('/api/autotune/reset', async (req, res) => {
   try {
-    // Deactivate all saved configs
-    await supabase
+    const { asset, regime } = req.body || {};
+    const sliceOnly = asset !== undefined || regime !== undefined;
+    const parsed = validateSlice({ asset, regime });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+
+    let query = supabase
       .from('saved_strategy_configs')
       .update({ is_active: false, updated_at: new Date().toISOString() })
       .eq('is_active', true);
+    if (sliceOnly) {
+      query = query.eq('asset', parsed.slice.asset).eq('regime', parsed.slice.regime);
+    }
+    await query;
 
-    res.json({ status: 'reset', message: 'Strategy config reset to defaults' });
+    res.json({
+      status: 'reset',
+      slice: sliceOnly ? parsed.slice : null,
+      message: sliceOnly ? 'Strategy config slice reset (falls back to broader slice)' : 'Strategy config reset to defaults'
+    });
   } catch (err) {
     logger.error('Config reset failed', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
@@ -2436,8 +2978,35 @@ app.get('/api/autotune/pending', (req, res) => {
   }
 });
 
+/**
+ * GET /api/autotune/shadow/:runId — Champion vs challenger comparison for a proposal
+ * Query: ?horizon=1h|4h|24h (default 4h)
+ */
+app.get('/api/autotune/shadow/:runId', async (req, res) => {
+  try {
+    const runId = sanitizeInput(req.params.runId);
+    if (!/^[0-9a-f-]{36}$/i.test(runId)) {
+      return res.status(400).json({ error: 'Invalid run ID' });
+    }
+    const horizon = req.query.horizon || SHADOW_CONFIG.horizon;
+    if (!['1h', '4h', '24h'].includes(horizon)) {
+      return res.status(400).json({ error: 'Invalid horizon (expected 1h, 4h or 24h)' });
+    }
+
+    const { comparison, error } = await getShadowComparison(supabase, runId, { horizon });
+    if (error) throw error;
+
+    res.json({ runId, ...comparison, config: SHADOW_CONFIG });
+  } catch (err) {
+    logger.error('Shadow comparison fetch failed', { error: err.message });
+    res.status(500).json({ error: 'Failed to fetch shadow comparison' });
+  }
+});
+
 /**
  * POST /api/autotune/approve — Approve or reject a pending proposal
+ * apply/blend are refused (409) until the shadow challenger beats the champion,
+ * and are queued for a second approver (202) when two-person approval is on
  */
 app.post('/api/autotune/approve', async (req, res) => {
   try {
@@ -2446,7 +3015,21 @@ app.post('/api/autotune/approve', async (req, res) => {
       return res.status(400).json({ error: 'Invalid request. Need runId and decision (apply|blend|reject).' });
     }
 
+    if (decision !== 'reject' && needsSecondApprover(req)) {
+      const { action, error, duplicate } = await requestAction(supabase, {
+        type: 'autotune_approve', payload: { runId: sanitizeInput(String(runId)), decision },
+        requestedBy: req.userId, context: auditContext(req), bot
+      });
+      if (duplicate) return res.status(409).json({ error, pendingApproval: action });
+      if (!action) return res.status(500).json({ error: 'Failed to request approval' });
+      return res.status(202).json({ success: true, pendingApproval: action, message: 'Awaiting approval from a second user' });
+    }
+
     const result = await approveProposal(supabase, runId, decision, 'api');
+    if (result.blocked) {
+      // Challenger has not (yet) beaten the champion in shadow mode
+      return res.status(409).json({ error: result.message, shadow: result.shadow });
+    }
     if (!result.success) {
       return res.status(404).json({ error: result.message });
     }
@@ -2463,7 +3046,7 @@ app.post('/api/autotune/approve', async (req, res) => {
  */
 app.post('/api/autotune/apply-param', async (req, res) => {
   try {
-    const { paramName, value, source = 'optimizer' } = req.body;
+    const { paramName, value, source = 'optimizer', asset, regime } = req.body;
 
     if (!paramName || value === undefined) {
       return res.status(400).json({ error: 'paramName and value are required' });
@@ -2477,22 +3060,30 @@ app.post('/api/autotune/apply-param', async (req, res) => {
       return res.status(400).json({ error: `Value ${value} out of range [${range.min}, ${range.max}]` });
     }
 
-    const { config: currentConfig } = await getActiveConfig(supabase);
+    const parsed = validateSlice({ asset, regime });
+    if (parsed.error) {
+      return res.status(400).json({ error: parsed.error });
+    }
+    const { slice } = parsed;
+
+    const { config: currentConfig } = await getActiveConfig(supabase, slice);
     const updatedConfig = { ...currentConfig, [paramName]: value };
 
     const saved = await saveActiveConfig(
       supabase, updatedConfig,
       `${source}-${paramName}-${value}`,
-      `Applied ${range.label} = ${value} from ${source}`,
-      null
+      `Applied ${range.label} = ${value} from ${source}` +
+        (slice.asset === GLOBAL_SLICE && slice.regime === GLOBAL_SLICE ? '' : ` (${slice.asset} / ${slice.regime})`),
+      null,
+      slice
     );
 
     if (!saved) {
       return res.status(500).json({ error: 'Failed to save config' });
     }
 
-    logger.info('Strategy param applied', { paramName, value, source });
-    res.json({ status: 'applied', paramName, value, label: range.label });
+    logger.info('Strategy param applied', { paramName, value, source, slice });
+    res.json({ status: 'applied', paramName, value, label: range.label, slice });
   } catch (err) {
     logger.error('Apply param failed', { error: err.message });
     res.status(500).json({ error: 'Internal server error' });
@@ -2517,12 +3108,20 @@ app.get('/api/optimize/params', (req, res) => {
     defaultValue: DEFAULT_STRATEGY_CONFIG[key],
     testValues: Math.floor((range.max - range.min) / range.step) + 1
   }));
-  res.json({ params, totalParams: params.length });
+  res.json({
+    params,
+    totalParams: params.length,
+    searchModes: SEARCH_MODES,
+    maxGridCombinations: MAX_GRID_COMBINATIONS,
+    maxEvaluations: MAX_EVALUATIONS
+  });
 });
 
 /**
  * POST /api/optimize/run — Start an optimization job (async)
  * Body: { asset, days, paramName, baseConfig?, capital? }
+ *   or  { asset, days, paramNames: [...], mode?, maxEvaluations?, seed?, baseConfig?, capital? }
+ * paramNames runs a joint search (grid | random | bayesian) over all listed parameters.
  */
 app.post('/api/optimize/run', (req, res) => {
   try {
@@ -2530,11 +3129,33 @@ app.post('/api/optimize/run', (req, res) => {
     if (activeOptimizeJobs >= MAX_CONCURRENT_OPTIMIZATIONS) {
       return res.status(429).json({ error: `Too many concurrent optimizations (${activeOptimizeJobs}/${MAX_CONCURRENT_OPTIMIZATIONS}). Try again later.` });
     }
-    activeOptimizeJobs++;
 
-    const { asset, days, paramName, baseConfig, capital } = req.body;
+    const { asset, days, paramName, paramNames, mode, maxEvaluations, seed, baseConfig, capital } = req.body;
+    const isMulti = Array.isArray(paramNames);
 
-    if (!paramName || !PARAM_RANGES[paramName]) {
+    if (isMulti) {
+      const invalid = paramNames.filter(p => !PARAM_RANGES[p]);
+      if (paramNames.length === 0 || invalid.length > 0) {
+        return res.status(400).json({
+          error: `Invalid parameters: ${invalid.join(', ') || '(empty)'}`,
+          available: Object.keys(PARAM_RANGES)
+        });
+      }
+      if (mode !== undefined && !SEARCH_MODES.includes(mode)) {
+        return res.status(400).json({ error: `Invalid mode: ${mode}`, available: SEARCH_MODES });
+      }
+      if (mode === 'grid') {
+        const gridSize = [...new Set(paramNames)].reduce((n, p) => {
+          const r = PARAM_RANGES[p];
+          return n * (Math.floor((r.max - r.min) / r.step) + 1);
+        }, 1);
+        if (gridSize > MAX_GRID_COMBINATIONS) {
+          return res.status(400).json({
+            error: `Grid search space too large: ${gridSize} combinations (max ${MAX_GRID_COMBINATIONS}). Use random or bayesian mode.`
+          });
+        }
+      }
+    } else if (!paramName || !PARAM_RANGES[paramName]) {
       return res.status(400).json({
         error: `Invalid parameter: ${paramName}`,
         available: Object.keys(PARAM_RANGES)
@@ -2546,24 +3167,37 @@ app.post('/api/optimize/run', (req, res) => {
     }
 
     const validDays = Math.min(Math.max(days || 30, 7), 180);
+    const validEvaluations = Math.min(Math.max(parseInt(maxEvaluations) || 50, 1), MAX_EVALUATIONS);
 
+    activeOptimizeJobs++;
     const jobId = startOptimizationJob({
       asset,
       days: validDays,
-      paramName,
+      ...(isMulti
+        ? { paramNames, mode, maxEvaluations: validEvaluations, seed: Number.isFinite(seed) ? seed : 42 }
+        : { paramName }),
       baseConfig: baseConfig || {},
       capital: capital || 10000
     }, () => {
       activeOptimizeJobs = Math.max(0, activeOptimizeJobs - 1);
     });
 
-    logger.info('Optimization job started', { jobId, asset, paramName, days: validDays });
+    logger.info('Optimization job started', {
+      jobId, asset, days: validDays,
+      ...(isMulti ? { paramNames, mode: mode || 'auto', maxEvaluations: validEvaluations } : { paramName })
+    });
 
     res.json({
       jobId,
       message: 'Optimization started',
-      paramName,
-      paramLabel: PARAM_RANGES[paramName].label,
+      ...(isMulti
+        ? {
+          paramNames,
+          paramLabels: paramNames.map(p => PARAM_RANGES[p].label),
+          mode: mode || 'auto',
+          maxEvaluations: validEvaluations
+        }
+        : { paramName, paramLabel: PARAM_RANGES[paramName].label }),
       asset,
       days: validDays
     });
@@ -2594,6 +3228,8 @@ app.get('/api/optimize/history', (req, res) => {
     jobId: j.jobId,
     status: j.status,
     paramName: j.paramName,
+    paramNames: j.paramNames,
+    mode: j.mode,
     asset: j.asset,
     days: j.days,
     message: j.message,
@@ -2602,6 +3238,7 @@ app.get('/api/optimize/history', (req, res) => {
     bestSharpe: j.result?.bestSharpe ?? null,
     improvement: j.result?.improvement ?? null,
     duration: j.result?.duration ?? null,
+    evaluations: j.result?.evaluations ?? null,
     // Walk-forward validation summary
     validationEnabled: j.result?.validation?.enabled ?? false,
     bestOosSharpe: j.result?.validation?.bestOosSharpe ?? null,
@@ -2695,6 +3332,28 @@ if (bot.isActive()) {
     }
   });
 
+  // Link this Telegram account to an app user (code from POST /api/telegram-link/:userId)
+  bot.onText(/^\/vincular(?:@\w+)?(?:\s+(\S+))?/, async (msg, match) => {
+    const chatId = msg.chat.id;
+    if (msg.chat.type !== 'private') {
+      await bot.sendMessage(chatId, '⚠️ Envía /vincular desde un chat privado con el bot.');
+      return;
+    }
+    if (!match[1]) {
+      await bot.sendMessage(chatId, 'Uso: /vincular <código> — genera el código en la app.');
+      return;
+    }
+    const { error } = await confirmTelegramLink(supabase, match[1], msg.from?.id);
+    await bot.sendMessage(chatId, error
+      ? `⚠️ ${error}`
+      : '✅ Cuenta de Telegram vinculada. Ya puedes aprobar acciones desde aquí.');
+  });
+
+  // Two-person approval buttons (pa_approve_<id> / pa_reject_<id>)
+  bot.onCallbackQuery('pa_', (query) => handleApprovalCallback(supabase, bot, query, afterApprovalExecuted).catch(err => {
+    logger.error('Telegram approval callback failed', { error: err.message });
+  }));
+
   logger.info('Telegram commands registered (with persistence)');
 }
 
@@ -2724,6 +3383,9 @@ if (process.send && process.env.WORKER_NAME) {
           }
         }
         break;
+      case MSG.ORDER_UPDATE:
+        broadcastSSE('order_update', msg.data);
+        break;
       case MSG.HEARTBEAT_PING:
         process.send({ type: MSG.HEARTBEAT_PONG, ts: Date.now() });
         break;
@@ -2789,7 +3451,8 @@ if (require.main === module || process.env.WORKER_NAME) {
           price: s.price, change24h: s.change_24h, reasons: s.reasons,
           indicators: s.indicators, tradeLevels: s.trade_levels || null,
           derivatives: s.derivatives || null, timeframes: s.timeframes || null,
-          macroContext: s.macro_context || null, dataSource: s.data_source,
+          macroContext: s.macro_context || null, factors: s.factors || null,
+          multipliers: s.factor_multipliers || null, dataSource: s.data_source,
           interval: s.interval_tf, assetClass: s.asset_class, timestamp: s.generated_at
         }));
         logger.info('Loaded persisted signals', { count: cachedSignals.length });
@@ -2834,6 +3497,115 @@ async function removeTelegramSubscriber(chatId) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// TWO-PERSON APPROVALS
+// Live mode, kill switch deactivation, drawdown raises and auto-tune promotion
+// are queued in pendingActions.js; a second user with an approver role decides
+// here or from the Telegram buttons (see TELEGRAM BOT SETUP).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const APPROVAL_ERROR_STATUS = {
+  not_found: 404, not_pending: 409, expired: 410,
+  self_approval: 403, forbidden: 403, execution_failed: 422
+};
+
+/** Dev mode (auth bypassed) has a single identity, so changes apply directly. */
+function needsSecondApprover(req) {
+  return isTwoPersonRequired() && Boolean(req.user);
+}
+
+/** Side effects of an executed action that only the API process can perform. */
+function afterApprovalExecuted(action, result) {
+  if (action.action_type === 'kill_switch_deactivate') {
+    broadcastSSE('kill_switch', { active: false, scope: result?.scope });
+  }
+}
+
+app.get('/api/approvals', async (req, res) => {
+  try {
+    const status = sanitizeInput(req.query.status || 'pending');
+    const limit = parseInt(req.query.limit, 10) || 50;
+    const { actions, error } = await listActions(supabase, req.userId, { status, limit });
+    if (error) return res.status(400).json({ error });
+    res.json({ actions, twoPersonRequired: isTwoPersonRequired() });
+  } catch (err) {
+    logger.error('GET /api/approvals error', { error: err.message });
+    res.status(500).json({ error: 'Failed to list approvals' });
+  }
+});
+
+app.post('/api/approvals/:actionId/approve', async (req, res) => {
+  try {
+    const actionId = sanitizeInput(req.params.actionId);
+    const { action, result, error, reason } = await approveAction(supabase, actionId, {
+      userId: req.userId, via: 'api', context: auditContext(req), bot
+    });
+    if (reason) return res.status(APPROVAL_ERROR_STATUS[reason]).json({ error, action });
+    if (error) throw new Error(error);
+
+    afterApprovalExecuted(action, result);
+    res.json({ success: true, action, result });
+  } catch (err) {
+    logger.error('POST /api/approvals/approve error', { error: err.message });
+    res.status(500).json({ error: 'Failed to approve action' });
+  }
+});
+
+app.post('/api/approvals/:actionId/reject', async (req, res) => {
+  try {
+    const actionId = sanitizeInput(req.params.actionId);
+    const note = req.body?.note ? sanitizeInput(String(req.body.note)) : null;
+    const { action, error, reason } = await rejectAction(supabase, actionId, {
+      userId: req.userId, via: 'api', note, context: auditContext(req), bot
+    });
+    if (reason) return res.status(APPROVAL_ERROR_STATUS[reason]).json({ error, action });
+    if (error) throw new Error(error);
+
+    res.json({ success: true, action });
+  } catch (err) {
+    logger.error('POST /api/approvals/reject error', { error: err.message });
+    res.status(500).json({ error: 'Failed to reject action' });
+  }
+});
+
+// ─── Telegram account link (identifies approvers pressing Telegram buttons) ──
+
+// POST /api/telegram-link/:userId - Issue a one-time /vincular code
+app.post('/api/telegram-link/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { code, expiresAt, error } = await createTelegramLinkCode(supabase, userId);
+    if (error) throw new Error(error);
+
+    res.json({ code, expiresAt, command: `/vincular ${code}` });
+  } catch (err) {
+    logger.error('POST /api/telegram-link error', { error: err.message });
+    res.status(500).json({ error: 'Failed to create Telegram link code' });
+  }
+});
+
+// DELETE /api/telegram-link/:userId - Remove the Telegram link
+app.delete('/api/telegram-link/:userId', requireOwnership, async (req, res) => {
+  try {
+    const userId = sanitizeInput(req.params.userId);
+    if (!isValidUserId(userId)) {
+      return res.status(400).json({ error: 'Invalid user ID' });
+    }
+
+    const { error } = await unlinkTelegram(supabase, userId);
+    if (error) throw new Error(error);
+
+    res.json({ success: true });
+  } catch (err) {
+    logger.error('DELETE /api/telegram-link error', { error: err.message });
+    res.status(500).json({ error: 'Failed to remove Telegram link' });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // AUTH & ADMIN ROUTES
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2918,6 +3690,58 @@ app.post('/api/auth/accept-invite', async (req, res) => {
   }
 });
 
+// ─── Personal API keys ────────────────────────────────────────────────────────
+// Keys cannot manage keys: /api/auth is outside apiKeys.SCOPED_ROUTES
+
+app.get('/api/auth/api-keys', requireAuth, async (req, res) => {
+  try {
+    const { keys, error } = await listApiKeys(supabase, req.userId);
+    if (error) throw error;
+    res.json({ keys, scopes: API_KEY_SCOPES, limits: API_KEY_LIMITS });
+  } catch (err) {
+    logger.error('GET /api/auth/api-keys error', { error: err.message });
+    res.status(500).json({ error: 'Failed to list API keys' });
+  }
+});
+
+app.post('/api/auth/api-keys', requireAuth, async (req, res) => {
+  try {
+    const { key, apiKey, errors, error } = await createApiKey(supabase, req.userId, req.body);
+    if (errors) return res.status(400).json({ error: 'Invalid API key', details: errors });
+    if (error) throw error;
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'api_key_created',
+      resource: 'api_keys', details: { apiKeyId: apiKey.id, name: apiKey.name, scopes: apiKey.scopes, expiresAt: apiKey.expires_at },
+      ...auditContext(req)
+    });
+
+    res.status(201).json({ key, apiKey, message: 'Store this key now — it will not be shown again' });
+  } catch (err) {
+    logger.error('POST /api/auth/api-keys error', { error: err.message });
+    res.status(500).json({ error: 'Failed to create API key' });
+  }
+});
+
+app.delete('/api/auth/api-keys/:keyId', requireAuth, async (req, res) => {
+  try {
+    const keyId = sanitizeInput(req.params.keyId);
+    const { apiKey, error } = await revokeApiKey(supabase, req.userId, keyId);
+    if (error || !apiKey) return res.status(404).json({ error: 'API key not found' });
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'api_key_revoked',
+      resource: 'api_keys', details: { apiKeyId: apiKey.id, name: apiKey.name },
+      ...auditContext(req)
+    });
+
+    res.json({ success: true, apiKey });
+  } catch (err) {
+    logger.error('DELETE /api/auth/api-keys error', { error: err.message });
+    res.status(500).json({ error: 'Failed to revoke API key' });
+  }
+});
+
 // ─── Claim invitation after signup ────────────────────────────────────────────
 app.post('/api/auth/claim-invite', requireAuth, async (req, res) => {
   try {
@@ -3157,6 +3981,25 @@ app.get('/api/admin/audit', requireAuth, requireRole('admin'), async (req, res)
   }
 });
 
+// ─── Admin: Re-wrap credential data keys under the current master key ───────
+app.post('/api/admin/credentials/rotate-master-key', requireAuth, requireRole('admin'), async (req, res) => {
+  try {
+    const { rotated, failed, error } = await rotateMasterKey(supabase);
+    if (error) return res.status(503).json({ error });
+
+    await logAudit(supabase, {
+      userId: req.userId, email: req.user?.email || null, action: 'credential_master_key_rotated',
+      resource: 'exchange_credentials', details: { rotated, failed: failed.length },
+      ...auditContext(req)
+    });
+
+    res.status(failed.length > 0 ? 207 : 200).json({ rotated, failed });
+  } catch (err) {
+    logger.error('POST /api/admin/credentials/rotate-master-key error', { error: err.message });
+    res.status(500).json({ error: 'Failed to rotate master key' });
+  }
+});
+
 // ─── Admin middleware for admin routes ─────────────────────────────────────────
 app.use('/api/admin', requireAuth, requireRole('admin'));
 
@@ -0,0 +1,358 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Personal API Keys
+// Per-user keys for bots and notebooks that call the API without a browser
+// session. Keys look like `sxp_<prefix>_<secret>`; only a SHA-256 hash is
+// stored (the secret is random, so a slow hash adds nothing) and the plaintext
+// is shown once at creation.
+//
+// A key only opens the endpoints listed in SCOPED_ROUTES, and only with one of
+// the scopes that route accepts — everything else (admin, auth, config…)
+// stays session-only. Each key carries an expiry, its own rate limit and
+// last-used tracking; every authenticated request is written to the audit log.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { LRUCache } = require('./shared/lruCache');
+const { createRateLimiter } = require('./security');
+const { logAudit, auditContext } = require('./auditLogger');
+
+const API_KEY_SCOPES = Object.freeze(['read:market', 'read:signals', 'trade:paper', 'trade:live', 'backtest']);
+
+const KEY_LIMITS = Object.freeze({
+  maxKeysPerUser: 10,       // active (not revoked, not expired) keys
+  maxNameLength: 80,
+  defaultExpiryDays: 90,
+  maxExpiryDays: 365,
+  defaultRatePerMinute: 60,
+  maxRatePerMinute: 600
+});
+
+const KEY_PREFIX = 'sxp_';
+const KEY_PATTERN = /^sxp_([0-9a-f]{12})_([A-Za-z0-9_-]{32})$/;
+
+// Columns safe to return to the owner (never key_hash)
+const PUBLIC_COLUMNS = 'id, user_id, name, key_prefix, scopes, rate_limit_per_minute, expires_at, last_used_at, last_used_ip, revoked_at, created_at';
+
+const ALL_METHODS = ['GET', 'POST', 'PUT', 'PATCH', 'DELETE'];
+
+// Endpoints reachable with an API key → scopes that grant access (any of).
+// Order matters: the first match wins.
+const SCOPED_ROUTES = Object.freeze([
+  { methods: ['GET'], pattern: /^\/api\/(market|candles|regime|features)(\/|$)/, scopes: ['read:market'] },
+  { methods: ['POST'], pattern: /^\/api\/features\/batch$/, scopes: ['read:market'] },
+  { methods: ['POST'], pattern: /^\/api\/signals\/replay$/, scopes: ['backtest'] },
+  { methods: ['GET'], pattern: /^\/api\/signals(\/|$)/, scopes: ['read:signals'] },
+  { methods: ALL_METHODS, pattern: /^\/api\/paper\//, scopes: ['trade:paper'] },
+  // Paper vs live is decided by the order's execution adapter (see tradeScopeFor)
+  { methods: ALL_METHODS, pattern: /^\/api\/orders\//, scopes: ['trade:paper', 'trade:live'] },
+  { methods: ALL_METHODS, pattern: /^\/api\/(backtest|optimize)(\/|$)/, scopes: ['backtest'] }
+]);
+
+const LAST_USED_THROTTLE_MS = 60 * 1000;
+const verifiedKeys = new LRUCache({ maxSize: 500, ttl: 30 * 1000, name: 'api-keys' }); // prefix → row
+const lastTouched = new Map(); // key id → ms
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// KEY MATERIAL + SCOPES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function hashKey(token) {
+  return crypto.createHash('sha256').update(token).digest('hex');
+}
+
+/** New plaintext key + the values stored for it. */
+function generateKey() {
+  const prefix = crypto.randomBytes(6).toString('hex');
+  const secret = crypto.randomBytes(24).toString('base64url');
+  const key = `${KEY_PREFIX}${prefix}_${secret}`;
+  return { key, prefix, hash: hashKey(key) };
+}
+
+/**
+ * API key from X-API-Key or an `Authorization: Bearer sxp_…` header.
+ * @returns {string|null}
+ */
+function extractApiKey(req) {
+  const header = req.headers['x-api-key'];
+  if (typeof header === 'string' && header.trim()) return header.trim();
+  const auth = req.headers.authorization;
+  if (typeof auth === 'string' && auth.startsWith(`Bearer ${KEY_PREFIX}`)) return auth.slice(7).trim();
+  return null;
+}
+
+/**
+ * Scopes that open a request, or null when API keys may not call it.
+ * @param {string} method
+ * @param {string} path - Full path (no query string)
+ * @returns {string[]|null}
+ */
+function routeScopes(method, path) {
+  const route = SCOPED_ROUTES.find(r => r.methods.includes(method.toUpperCase()) && r.pattern.test(path));
+  return route ? route.scopes : null;
+}
+
+/** Scope needed to trade through an execution adapter. */
+function tradeScopeFor(executionAdapter) {
+  return !executionAdapter || executionAdapter === 'paper' ? 'trade:paper' : 'trade:live';
+}
+
+/**
+ * Whether the request may use `scope`. Session (JWT) requests always may —
+ * scopes only narrow what an API key can do.
+ */
+function apiKeyAllows(req, scope) {
+  return !req.apiKey || req.apiKey.scopes.includes(scope);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * @param {object} spec - { name, scopes, expires_in_days?, rate_limit_per_minute? }
+ * @returns {{ value: object, errors: string[] }}
+ */
+function normalizeKeySpec(spec) {
+  const errors = [];
+  const value = {};
+  if (!spec || typeof spec !== 'object') return { value, errors: ['body must be an object'] };
+
+  const name = typeof spec.name === 'string' ? spec.name.trim() : '';
+  if (!name) errors.push('name is required');
+  else if (name.length > KEY_LIMITS.maxNameLength) errors.push(`name must be at most ${KEY_LIMITS.maxNameLength} characters`);
+  else value.name = name;
+
+  if (!Array.isArray(spec.scopes) || spec.scopes.length === 0 || spec.scopes.some(s => !API_KEY_SCOPES.includes(s))) {
+    errors.push(`scopes must be a non-empty subset of ${API_KEY_SCOPES.join(', ')}`);
+  } else {
+    value.scopes = API_KEY_SCOPES.filter(s => spec.scopes.includes(s));
+  }
+
+  const days = spec.expires_in_days === undefined ? KEY_LIMITS.defaultExpiryDays : Number(spec.expires_in_days);
+  if (!Number.isInteger(days) || days < 1 || days > KEY_LIMITS.maxExpiryDays) {
+    errors.push(`expires_in_days must be 1-${KEY_LIMITS.maxExpiryDays}`);
+  } else {
+    value.expires_at = new Date(Date.now() + days * 24 * 60 * 60 * 1000).toISOString();
+  }
+
+  const rate = spec.rate_limit_per_minute === undefined ? KEY_LIMITS.defaultRatePerMinute : Number(spec.rate_limit_per_minute);
+  if (!Number.isInteger(rate) || rate < 1 || rate > KEY_LIMITS.maxRatePerMinute) {
+    errors.push(`rate_limit_per_minute must be 1-${KEY_LIMITS.maxRatePerMinute}`);
+  } else {
+    value.rate_limit_per_minute = rate;
+  }
+
+  return { value, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listApiKeys(supabase, userId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .select(PUBLIC_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: false });
+  return { keys: data || [], error };
+}
+
+/**
+ * Create a key. The plaintext `key` is only ever returned here.
+ * @returns {Promise<{ key: string|null, apiKey: object|null, errors?: string[], error?: Error }>}
+ */
+async function createApiKey(supabase, userId, spec) {
+  const { value, errors } = normalizeKeySpec(spec);
+  if (errors.length > 0) return { key: null, apiKey: null, errors };
+
+  const { count, error: countError } = await supabase
+    .from('api_keys')
+    .select('id', { count: 'exact', head: true })
+    .eq('user_id', userId)
+    .is('revoked_at', null)
+    .gt('expires_at', new Date().toISOString());
+  if (countError) return { key: null, apiKey: null, error: countError };
+  if ((count || 0) >= KEY_LIMITS.maxKeysPerUser) {
+    return { key: null, apiKey: null, errors: [`at most ${KEY_LIMITS.maxKeysPerUser} active API keys per user`] };
+  }
+
+  const { key, prefix, hash } = generateKey();
+  const { data, error } = await supabase
+    .from('api_keys')
+    .insert({ ...value, user_id: userId, key_prefix: prefix, key_hash: hash })
+    .select(PUBLIC_COLUMNS)
+    .single();
+  if (error || !data) return { key: null, apiKey: null, error: error || new Error('Insert returned no row') };
+  return { key, apiKey: data, error: null };
+}
+
+/**
+ * Revoke one of the user's keys (idempotent on already-revoked keys).
+ * @returns {Promise<{ apiKey: object|null, error: Error|null }>}
+ */
+async function revokeApiKey(supabase, userId, keyId) {
+  const { data, error } = await supabase
+    .from('api_keys')
+    .update({ revoked_at: new Date().toISOString() })
+    .eq('user_id', userId)
+    .eq('id', keyId)
+    .is('revoked_at', null)
+    .select(PUBLIC_COLUMNS)
+    .single();
+  if (data) verifiedKeys.delete(data.key_prefix);
+  return { apiKey: data || null, error: error || (data ? null : new Error('API key not found')) };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VERIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Resolve a plaintext key to its row.
+ * @returns {Promise<{ apiKey: object|null, reason: string|null }>}
+ *   reason: 'malformed' | 'unknown' | 'revoked' | 'expired' | 'lookup_failed'
+ */
+async function verifyApiKey(supabase, token) {
+  const match = KEY_PATTERN.exec(token || '');
+  if (!match) return { apiKey: null, reason: 'malformed' };
+  const prefix = match[1];
+
+  let row = verifiedKeys.get(prefix);
+  if (!row) {
+    const { data, error } = await supabase
+      .from('api_keys')
+      .select('*')
+      .eq('key_prefix', prefix)
+      .maybeSingle();
+    if (error) {
+      logger.warn('API key lookup failed', { error: error.message });
+      return { apiKey: null, reason: 'lookup_failed' };
+    }
+    if (!data) return { apiKey: null, reason: 'unknown' };
+    row = data;
+    verifiedKeys.set(prefix, row);
+  }
+
+  const expected = Buffer.from(row.key_hash, 'hex');
+  const actual = Buffer.from(hashKey(token), 'hex');
+  if (expected.length !== actual.length || !crypto.timingSafeEqual(expected, actual)) {
+    return { apiKey: null, reason: 'unknown' };
+  }
+  if (row.revoked_at) return { apiKey: null, reason: 'revoked' };
+  if (!row.expires_at || Date.parse(row.expires_at) <= Date.now()) return { apiKey: null, reason: 'expired' };
+  return { apiKey: row, reason: null };
+}
+
+/** Record last use (at most once a minute per key, fire-and-forget). */
+function touchApiKey(supabase, apiKey, ip) {
+  const now = Date.now();
+  if (now - (lastTouched.get(apiKey.id) || 0) < LAST_USED_THROTTLE_MS) return;
+  lastTouched.set(apiKey.id, now);
+
+  Promise.resolve(supabase
+    .from('api_keys')
+    .update({ last_used_at: new Date(now).toISOString(), last_used_ip: ip || null })
+    .eq('id', apiKey.id))
+    .then(({ error } = {}) => {
+      if (error) logger.warn('API key last-used update failed', { keyId: apiKey.id, error: error.message });
+    })
+    .catch(err => logger.warn('API key last-used update failed', { keyId: apiKey.id, error: err.message }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MIDDLEWARE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Middleware that authenticates API-key requests (mount on '/api/' before the
+ * session auth groups). Requests without a key pass through untouched.
+ * On success sets req.apiKey, req.userId, req.user and req.authMethod = 'api_key'.
+ * @param {object} supabase - Service-role client
+ * @returns {Function} Express middleware
+ */
+function createApiKeyAuth(supabase) {
+  // Per-key window: each key gets its own bucket sized by rate_limit_per_minute
+  const keyLimiter = createRateLimiter(60000, (req) => req.apiKey.rateLimitPerMinute, {
+    keyGenerator: (req) => `api-key:${req.apiKey.id}`,
+    skip: () => false
+  });
+
+  return async function apiKeyAuth(req, res, next) {
+    const token = extractApiKey(req);
+    if (!token) return next();
+
+    const path = `${req.baseUrl}${req.path}`;
+    const deny = (status, error, details = {}) => {
+      logAudit(supabase, {
+        userId: details.userId || null, action: 'api_key_denied', resource: path,
+        details: { method: req.method, reason: error, ...details }, ...auditContext(req)
+      });
+      return res.status(status).json({ error, ...(details.requiredScopes ? { requiredScopes: details.requiredScopes } : {}) });
+    };
+
+    try {
+      const { apiKey, reason } = await verifyApiKey(supabase, token);
+      if (!apiKey) {
+        if (reason === 'lookup_failed') return res.status(500).json({ error: 'Failed to verify API key' });
+        return deny(401, reason === 'expired' ? 'API key expired' : reason === 'revoked' ? 'API key revoked' : 'Invalid API key');
+      }
+
+      const allowed = routeScopes(req.method, path);
+      if (!allowed) {
+        return deny(403, 'Endpoint not available to API keys', { userId: apiKey.user_id, apiKeyId: apiKey.id });
+      }
+      if (!allowed.some(scope => apiKey.scopes.includes(scope))) {
+        return deny(403, 'API key missing required scope', { userId: apiKey.user_id, apiKeyId: apiKey.id, requiredScopes: allowed });
+      }
+
+      req.apiKey = {
+        id: apiKey.id,
+        name: apiKey.name,
+        scopes: apiKey.scopes,
+        rateLimitPerMinute: apiKey.rate_limit_per_minute
+      };
+      req.userId = apiKey.user_id;
+      req.user = { id: apiKey.user_id, apiKeyId: apiKey.id };
+      req.authMethod = 'api_key';
+
+      keyLimiter(req, res, () => {
+        const ctx = auditContext(req);
+        touchApiKey(supabase, apiKey, ctx.ip);
+        logAudit(supabase, {
+          userId: apiKey.user_id, action: 'api_key_used', resource: path,
+          details: { apiKeyId: apiKey.id, name: apiKey.name, method: req.method }, ...ctx
+        });
+        next();
+      });
+    } catch (err) {
+      logger.error('API key middleware error', { error: err.message });
+      return res.status(500).json({ error: 'Failed to verify API key' });
+    }
+  };
+}
+
+/** Drop cached verifications (for testing). */
+function resetApiKeyCache() {
+  verifiedKeys.clear();
+  lastTouched.clear();
+}
+
+module.exports = {
+  API_KEY_SCOPES,
+  KEY_LIMITS,
+  SCOPED_ROUTES,
+  listApiKeys,
+  createApiKey,
+  revokeApiKey,
+  verifyApiKey,
+  createApiKeyAuth,
+  apiKeyAllows,
+  tradeScopeFor,
+  routeScopes,
+  extractApiKey,
+  normalizeKeySpec,
+  hashKey,
+  resetApiKeyCache
+};
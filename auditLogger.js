@@ -16,7 +16,12 @@ const { logger } = require('./logger');
  * @param {string} params.email - User email (nullable)
  * @param {string} params.action - Action type: login, login_failed, trade_opened, trade_closed,
  *                                  config_change, kill_switch, invite_sent, invite_claimed,
- *                                  role_change, user_deactivated
+ *                                  role_change, user_deactivated, admin_impersonation,
+ *                                  api_key_created, api_key_revoked, api_key_used, api_key_denied,
+ *                                  approval_requested, approval_granted, approval_rejected,
+ *                                  approval_cancelled, approval_expired, approval_executed, approval_failed,
+ *                                  credential_created, credential_rotated, credential_deleted,
+ *                                  credential_verified, credential_master_key_rotated
  * @param {string} [params.resource] - Resource affected (e.g., 'paper_trading', 'orders', 'config')
  * @param {object} [params.details] - Action-specific metadata
  * @param {string} [params.ip] - Client IP address
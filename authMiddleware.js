@@ -26,10 +26,14 @@ function getAuthClient() {
  * Express middleware that requires a valid Supabase Auth JWT.
  * Extracts user from Authorization: Bearer <token> header.
  * Sets req.user (Supabase user object) and req.userId (UUID).
+ * Requests already authenticated by an API key pass straight through.
  *
  * If AUTH_REQUIRED env var is 'false', auth is bypassed (development mode).
  */
 async function requireAuth(req, res, next) {
+  // Already authenticated by a personal API key (apiKeys.createApiKeyAuth)
+  if (req.apiKey) return next();
+
   // Development bypass — allows running without auth during dev
   if (process.env.AUTH_REQUIRED === 'false') {
     req.userId = req.params.userId || 'default-user';
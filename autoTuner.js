@@ -2,14 +2,21 @@
 // SENTIX PRO — AUTO-PARAMETER TUNER (Hybrid AI + Telegram Approval)
 // Periodically re-optimizes strategy parameters and applies safe changes.
 // Nivel 1: Statistical (grid search + walk-forward + safety guards)
-// Nivel 2: AI review via Claude API (enhanced context)
+// Nivel 2: Review of accepted proposals (rule-based default or LLM, see reviewers/)
 // Nivel 3: Telegram/API approval before applying + post-apply monitoring
+//          (approval is gated by shadow champion/challenger evaluation)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { logger } = require('./logger');
 const { runOptimization } = require('./optimizer');
-const { DEFAULT_STRATEGY_CONFIG, PARAM_RANGES, mergeConfig } = require('./strategyConfig');
+const {
+  DEFAULT_STRATEGY_CONFIG, PARAM_RANGES, GLOBAL_SLICE,
+  StrategyConfigSet, normalizeSlice, regimeSlice
+} = require('./strategyConfig');
 const { computeFeatures } = require('./featureStore');
+const { SHADOW_CONFIG, getShadowComparison, formatShadowComparison } = require('./shadowEvaluator');
+const { buildAIPrompt, parseAIDecision } = require('./reviewers/prompt');
+const { RuleBasedReviewer, createReviewer, createReviewerFromEnv } = require('./reviewers');
 
 // ─── Priority Parameters (most impactful for performance) ────────────────────
 const PRIORITY_PARAMS = [
@@ -35,53 +42,67 @@ const TUNER_CONFIG = {
   cooldownHours: 12,
   blendRatio: 0.5,
   revertThresholdPct: 20,  // If performance drops > 20%, auto-revert
-  proposalTtlMs: 4 * 60 * 60 * 1000, // 4 hours for Telegram approval
+  proposalTtlMs: 7 * 24 * 60 * 60 * 1000, // 7 days — proposals run in shadow mode until approved
 };
 
-// ─── Approval mode: 'auto' (apply immediately) | 'telegram' (require approval)
+// ─── Approval mode: 'auto' (promote once shadow wins) | 'telegram' (require approval)
 const APPROVAL_MODE = process.env.AUTOTUNE_APPROVAL_MODE || 'telegram';
 
 // ─── In-memory state ─────────────────────────────────────────────────────────
 let isRunning = false;
-const pendingProposals = new Map(); // runId → { accepted, configAfter, configBefore, context, expiresAt, messageIds }
+const pendingProposals = new Map(); // runId → { accepted, challengerConfig, configBefore, context, expiresAt, messageIds, autoPromote }
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // ACTIVE CONFIG MANAGEMENT
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Get the currently active strategy config.
- * Tries saved_strategy_configs (is_active=true), falls back to DEFAULT_STRATEGY_CONFIG.
+ * Load every active strategy config slice (one per asset/regime pair).
+ * @returns {Promise<StrategyConfigSet>} Empty set when nothing is saved
  */
-async function getActiveConfig(supabase) {
+async function getActiveConfigSet(supabase) {
   try {
     const { data, error } = await supabase
       .from('saved_strategy_configs')
-      .select('config')
-      .eq('is_active', true)
-      .limit(1)
-      .single();
+      .select('id, name, config, asset, regime')
+      .eq('is_active', true);
 
-    if (!error && data?.config) {
-      return { config: mergeConfig(data.config), source: 'saved' };
+    if (!error && Array.isArray(data)) {
+      return new StrategyConfigSet(data);
     }
   } catch (_) {
     // Table may not exist yet
   }
 
-  return { config: { ...DEFAULT_STRATEGY_CONFIG }, source: 'default' };
+  return new StrategyConfigSet();
 }
 
 /**
- * Save a new active config (deactivates previous active).
+ * Get the active strategy config for a slice.
+ * Falls back (asset, regime) → (asset, *) → (*, regime) → (*, *) → DEFAULT_STRATEGY_CONFIG.
+ * With no slice this is the global config.
+ * @param {Object} [slice] - { asset, regime }
+ * @returns {Promise<{ config: Object, source: 'saved'|'default', slice: Object, name: string|null }>}
  */
-async function saveActiveConfig(supabase, config, name, description, performance = null) {
+async function getActiveConfig(supabase, { asset, regime } = {}) {
+  const set = await getActiveConfigSet(supabase);
+  return set.resolve(asset, regime);
+}
+
+/**
+ * Save a new active config for a slice (deactivates that slice's previous active).
+ * @param {Object} [slice] - { asset, regime }; defaults to the global slice
+ */
+async function saveActiveConfig(supabase, config, name, description, performance = null, slice = {}) {
+  const { asset, regime } = normalizeSlice(slice);
   try {
-    // Deactivate current active
+    // Deactivate current active for this slice only
     await supabase
       .from('saved_strategy_configs')
       .update({ is_active: false, updated_at: new Date().toISOString() })
-      .eq('is_active', true);
+      .eq('is_active', true)
+      .eq('asset', asset)
+      .eq('regime', regime);
 
     // Insert new active
     const { error } = await supabase
@@ -91,15 +112,17 @@ async function saveActiveConfig(supabase, config, name, description, performance
         description,
         config,
         performance,
+        asset,
+        regime,
         is_active: true,
       });
 
     if (error) {
-      logger.warn('Failed to save active config', { error: error.message });
+      logger.warn('Failed to save active config', { error: error.message, asset, regime });
       return false;
     }
 
-    logger.info('Active strategy config updated', { name });
+    logger.info('Active strategy config updated', { name, asset, regime });
     return true;
   } catch (err) {
     logger.warn('saveActiveConfig unavailable', { error: err.message });
@@ -107,6 +130,28 @@ async function saveActiveConfig(supabase, config, name, description, performance
   }
 }
 
+/**
+ * Human-readable slice label for Telegram / logs, e.g. "bitcoin / trending".
+ */
+function formatSlice(slice) {
+  const { asset, regime } = normalizeSlice(slice || {});
+  return `${asset === GLOBAL_SLICE ? 'todos' : asset} / ${regime === GLOBAL_SLICE ? 'todos' : regime}`;
+}
+
+/**
+ * Which slice a run writes to.
+ *   'global' — (*, *)
+ *   'regime' — (*, current regime): every asset in this regime
+ *   'asset'  — (asset, current regime)
+ */
+function resolveTuneSlice(scope, asset, marketRegime) {
+  if (scope === 'global') return { asset: GLOBAL_SLICE, regime: GLOBAL_SLICE };
+  return normalizeSlice({
+    asset: scope === 'asset' ? asset : GLOBAL_SLICE,
+    regime: regimeSlice(marketRegime),
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // SAFETY CHECKS
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -242,6 +287,7 @@ async function getEnhancedContext(supabase, asset) {
       .from('signal_outcomes')
       .select('direction_correct_1h, direction_correct_4h, direction_correct_24h')
       .gte('signal_generated_at', cutoff)
+      .is('shadow_run_id', null)   // live signals only, not shadow evaluations
       .not('price_1h', 'is', null);
 
     if (outcomes && outcomes.length >= 5) {
@@ -368,152 +414,33 @@ function detectParameterConflicts(config) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// NIVEL 2 — AI REVIEW (Claude API — Enhanced)
+// NIVEL 2 — REVIEW (pluggable reviewer — see reviewers/)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Ask Claude to review proposed parameter changes with enriched context.
- * Returns { decision, reasoning, modifiedParams } or null if unavailable.
+ * Review accepted proposals with the configured reviewer (AUTOTUNE_REVIEWER,
+ * default: deterministic rules). When a model-backed reviewer cannot produce
+ * a valid decision, the rule-based reviewer decides instead.
+ * @param {Array} proposals - Accepted param proposals
+ * @param {Object} context - Regime, lookback and enhanced context
+ * @param {Reviewer} [reviewer] - Overrides the configured reviewer
+ * @returns {Promise<Object>} { decision, reasoning, modifiedParams, reviewer, model, audit, fallbackFrom? }
  */
-async function aiReviewProposals(proposals, context) {
-  const apiKey = process.env.ANTHROPIC_API_KEY;
-  if (!apiKey) return null;
-
-  let Anthropic;
-  try {
-    Anthropic = require('@anthropic-ai/sdk');
-  } catch (_) {
-    logger.debug('@anthropic-ai/sdk not installed — skipping AI review');
-    return null;
-  }
-
-  try {
-    const client = new Anthropic({ apiKey });
-
-    const prompt = buildAIPrompt(proposals, context);
-
-    const response = await client.messages.create({
-      model: 'claude-3-5-haiku-20241022',
-      max_tokens: 1024,
-      messages: [{ role: 'user', content: prompt }],
-    });
-
-    const text = response.content?.[0]?.text || '';
-
-    // Parse structured response
-    const decision = parseAIDecision(text);
-
-    return {
-      decision: decision.decision,
-      reasoning: decision.reasoning,
-      modifiedParams: decision.modifiedParams || null,
-      model: 'claude-3-5-haiku-20241022',
-      inputTokens: response.usage?.input_tokens || 0,
-      outputTokens: response.usage?.output_tokens || 0,
-    };
-  } catch (err) {
-    logger.warn('AI review failed', { error: err.message });
-    return { decision: 'SKIP', reasoning: `AI review error: ${err.message}`, model: 'error' };
-  }
-}
-
-function buildAIPrompt(proposals, context) {
-  const paramLines = proposals.map(p =>
-    `- ${p.paramName}: ${p.currentValue} → ${p.proposedValue} (Sharpe: ${p.currentSharpe?.toFixed(2)} → ${p.proposedSharpe?.toFixed(2)}, +${p.improvementPct?.toFixed(1)}%)`
-  ).join('\n');
-
-  // Enhanced context sections
-  let paperSection = '';
-  if (context.paperPerformance) {
-    const pp = context.paperPerformance;
-    paperSection = `\nPAPER TRADING (last 30d):
-- ${pp.trades} trades, Win Rate: ${pp.winRate}%, Sharpe: ${pp.sharpe}
-- Avg P&L: $${pp.avgPnl}, Total P&L: $${pp.totalPnl}, Max DD: ${pp.maxDrawdown}%`;
-  }
-
-  let signalSection = '';
-  if (context.signalAccuracy) {
-    const sa = context.signalAccuracy;
-    signalSection = `\nSIGNAL ACCURACY (last 7d, ${sa.total} signals):
-- 1h hit rate: ${sa.hitRate1h}%${sa.hitRate4h !== null ? `, 4h: ${sa.hitRate4h}%` : ''}${sa.hitRate24h !== null ? `, 24h: ${sa.hitRate24h}%` : ''}`;
-  }
-
-  let historySection = '';
-  if (context.recentTuneRuns && context.recentTuneRuns.length > 0) {
-    const lines = context.recentTuneRuns.map(r =>
-      `  ${r.date}: ${r.status} (regime: ${r.regime}, ${r.applied} params, AI: ${r.aiDecision}, approved: ${r.approvedBy})`
-    ).join('\n');
-    historySection = `\nRECENT AUTO-TUNE HISTORY:\n${lines}`;
-  }
-
-  // Last 5 closed trades with regime/confluence context
-  let tradesSection = '';
-  if (context.recentClosedTrades && context.recentClosedTrades.length > 0) {
-    const lines = context.recentClosedTrades.map(t =>
-      `  ${t.asset} ${t.direction}: ${t.pnl >= 0 ? '+' : ''}$${t.pnl.toFixed(2)} (${t.pnlPct.toFixed(2)}%) | regime: ${t.regime} | confluence: ${t.confluence} | exit: ${t.exitReason} | ${t.holdingHours !== null ? t.holdingHours + 'h' : 'N/A'}`
-    ).join('\n');
-    tradesSection = `\nLAST 5 CLOSED TRADES:\n${lines}`;
-  }
-
-  // Parameter conflict warnings
-  let conflictsSection = '';
-  if (context.parameterConflicts && context.parameterConflicts.length > 0) {
-    conflictsSection = `\nPARAMETER CONFLICTS DETECTED:\n${context.parameterConflicts.map(c => `- ${c}`).join('\n')}`;
-  }
-
-  return `You are a quantitative trading strategy advisor for Sentix Pro, a crypto/metals automated trading system.
-
-CURRENT CONTEXT:
-- Market regime: ${context.marketRegime || 'unknown'}
-- Lookback period: ${context.lookbackDays} days
-- Asset optimized: ${context.asset}
-- Current active config source: ${context.configSource}
-- Recent trade count: ${context.recentTradeCount || 'N/A'}
-- Approval mode: ${APPROVAL_MODE}${paperSection}${signalSection}${historySection}${tradesSection}${conflictsSection}
-
-PROPOSED PARAMETER CHANGES (all passed statistical safety checks):
-${paramLines}
-
-INSTRUCTIONS:
-Evaluate whether these changes should be applied to a live (paper) trading system. Consider:
-1. Do the changes make sense given the market regime and recent performance?
-2. Are the improvements meaningful or could they be noise?
-3. Are any changes too aggressive (too far from defaults)?
-4. Could applying all changes at once create unexpected interactions?
-5. Does the signal accuracy data suggest the current strategy needs adjustment?
-6. Looking at recent tune history, is there a pattern of oscillating params?
-7. Review the last 5 trades — are losses concentrated in specific regimes or confluence levels?
-8. Are there parameter conflicts that should be resolved before applying new changes?
-
-Respond with EXACTLY this format:
-DECISION: APPLY | BLEND | REJECT
-REASONING: [2-3 sentences explaining your decision]
-PARAMS: [comma-separated list of param names to apply, or "all" or "none"]
-
-APPLY = apply all proposed changes
-BLEND = apply 50/50 blend between current and proposed (conservative)
-REJECT = do not apply any changes`;
-}
-
-function parseAIDecision(text) {
-  const decisionMatch = text.match(/DECISION:\s*(APPLY|BLEND|REJECT)/i);
-  const reasoningMatch = text.match(/REASONING:\s*(.+?)(?=\nPARAMS:|$)/is);
-  const paramsMatch = text.match(/PARAMS:\s*(.+?)$/im);
-
-  const decision = decisionMatch ? decisionMatch[1].toUpperCase() : 'BLEND';
-  const reasoning = reasoningMatch ? reasoningMatch[1].trim() : 'Could not parse AI reasoning';
-
-  let modifiedParams = null;
-  if (paramsMatch) {
-    const paramsText = paramsMatch[1].trim().toLowerCase();
-    if (paramsText !== 'all' && paramsText !== 'none') {
-      modifiedParams = paramsText.split(',').map(p => p.trim()).filter(Boolean);
-    } else if (paramsText === 'none') {
-      return { decision: 'REJECT', reasoning, modifiedParams: null };
-    }
-  }
-
-  return { decision, reasoning, modifiedParams };
+async function aiReviewProposals(proposals, context, reviewer = null) {
+  const primary = reviewer || createReviewerFromEnv();
+  const review = await primary.review({ proposals, context });
+  if (review.decision !== 'SKIP' || primary instanceof RuleBasedReviewer) return review;
+
+  logger.warn('Reviewer failed, falling back to rule-based review', {
+    reviewer: primary.name,
+    reason: review.reasoning?.substring(0, 200),
+  });
+  const fallback = await createReviewer('rules').review({ proposals, context });
+  return {
+    ...fallback,
+    fallbackFrom: primary.name,
+    audit: { ...fallback.audit, fallbackFrom: review.audit },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -536,9 +463,12 @@ async function sendTelegramProposal(bot, runId, accepted, aiReview, context) {
     `🤖 *AUTO-TUNE: Aprobación Requerida*\n\n` +
     `Régimen: ${context.marketRegime || 'unknown'}\n` +
     `Asset: ${context.asset}\n` +
+    `Aplica a: *${formatSlice(context.slice)}*\n` +
     `Cambios propuestos (${accepted.length}):\n${paramLines}\n` +
     `${aiLine}\n\n` +
-    `⏰ Expira en 4 horas`;
+    `🧪 En evaluación shadow: se podrá aplicar cuando supere al campeón ` +
+    `(${SHADOW_CONFIG.horizon}, ≥${SHADOW_CONFIG.minSamples} ventanas pareadas, p < ${SHADOW_CONFIG.alpha})\n` +
+    `⏰ Expira en ${Math.round(TUNER_CONFIG.proposalTtlMs / 86400000)} días`;
 
   const buttons = [
     [
@@ -574,9 +504,29 @@ async function approveProposal(supabase, runId, decision, source, bot = null) {
     return { success: false, message: 'Propuesta expirada.' };
   }
 
+  // Promotion gate: the challenger must have beaten the champion in shadow mode
+  let shadow = null;
+  if (decision !== 'reject') {
+    const { comparison } = await getShadowComparison(supabase, runId);
+    shadow = comparison;
+    if (!comparison?.verdict.promotable) {
+      logger.info('Auto-tune promotion blocked by shadow evaluation', {
+        runId, source, reason: comparison?.verdict.reason || 'no shadow data',
+      });
+      return {
+        success: false,
+        blocked: true,
+        message: `⛔ Promoción bloqueada.\n${formatShadowComparison(comparison)}`,
+        shadow: comparison,
+      };
+    }
+  }
+
   let paramsApplied = {};
   let configAfter = { ...proposal.configBefore };
   let statusMessage = '';
+  const slice = proposal.context?.slice || {};
+  const sliceLabel = formatSlice(slice);
 
   if (decision === 'apply') {
     for (const p of proposal.accepted) {
@@ -584,10 +534,10 @@ async function approveProposal(supabase, runId, decision, source, bot = null) {
       configAfter[p.paramName] = p.proposedValue;
     }
     const tuneName = `auto-tune-${new Date().toISOString().slice(0, 10)}`;
-    const desc = `Auto-tuned ${proposal.accepted.length} params (approved by ${source})`;
-    await saveActiveConfig(supabase, configAfter, tuneName, desc);
-    statusMessage = `✅ *Auto-tune aplicado*\n${proposal.accepted.length} parámetros actualizados (por ${source}).`;
-    logger.info('Auto-tune proposal approved', { runId, source, params: Object.keys(paramsApplied) });
+    const desc = `Auto-tuned ${proposal.accepted.length} params for ${sliceLabel} (approved by ${source})`;
+    await saveActiveConfig(supabase, configAfter, tuneName, desc, null, slice);
+    statusMessage = `✅ *Auto-tune aplicado*\n${proposal.accepted.length} parámetros actualizados en ${sliceLabel} (por ${source}).`;
+    logger.info('Auto-tune proposal approved', { runId, source, slice: sliceLabel, params: Object.keys(paramsApplied) });
 
   } else if (decision === 'blend') {
     for (const p of proposal.accepted) {
@@ -603,13 +553,13 @@ async function approveProposal(supabase, runId, decision, source, bot = null) {
       configAfter[p.paramName] = value;
     }
     const tuneName = `auto-tune-blend-${new Date().toISOString().slice(0, 10)}`;
-    const desc = `Blended ${proposal.accepted.length} params 50/50 (approved by ${source})`;
-    await saveActiveConfig(supabase, configAfter, tuneName, desc);
-    statusMessage = `🔀 *Auto-tune blended*\nMezcla 50/50 aplicada (por ${source}).`;
-    logger.info('Auto-tune proposal blended', { runId, source, params: Object.keys(paramsApplied) });
+    const desc = `Blended ${proposal.accepted.length} params 50/50 for ${sliceLabel} (approved by ${source})`;
+    await saveActiveConfig(supabase, configAfter, tuneName, desc, null, slice);
+    statusMessage = `🔀 *Auto-tune blended*\nMezcla 50/50 aplicada en ${sliceLabel} (por ${source}).`;
+    logger.info('Auto-tune proposal blended', { runId, source, slice: sliceLabel, params: Object.keys(paramsApplied) });
 
   } else {
-    statusMessage = `❌ *Auto-tune rechazado* (por ${source}).`;
+    statusMessage = `❌ *Auto-tune rechazado* para ${sliceLabel} (por ${source}).`;
     logger.info('Auto-tune proposal rejected', { runId, source });
   }
 
@@ -624,6 +574,7 @@ async function approveProposal(supabase, runId, decision, source, bot = null) {
     if (decision !== 'reject') {
       update.params_applied = paramsApplied;
       update.params_after = configAfter;
+      update.shadow_result = shadow;
     }
     await supabase.from('auto_tune_runs').update(update).eq('id', runId);
   } catch (_) { /* non-critical */ }
@@ -637,7 +588,7 @@ async function approveProposal(supabase, runId, decision, source, bot = null) {
 
   pendingProposals.delete(String(runId));
 
-  return { success: true, message: statusMessage, decision, paramsApplied };
+  return { success: true, message: statusMessage, decision, paramsApplied, shadow };
 }
 
 /**
@@ -653,6 +604,29 @@ async function cleanupExpiredProposals(supabase, bot = null) {
   }
 }
 
+/**
+ * Promote auto-mode proposals whose challenger has beaten the champion in
+ * shadow mode. Blocked ones stay pending (and keep collecting outcomes)
+ * until they win or expire.
+ * @returns {Promise<Array<Object>>} approveProposal results for promoted runs
+ */
+async function promoteAutoProposals(supabase, bot = null) {
+  const promoted = [];
+  const now = Date.now();
+  for (const [runId, proposal] of pendingProposals) {
+    if (!proposal.autoPromote || now > proposal.expiresAt) continue;
+    const result = await approveProposal(supabase, runId, 'apply', 'auto', bot);
+    if (result.success) {
+      promoted.push({ runId, slice: proposal.context?.slice || {}, ...result });
+    } else if (result.blocked) {
+      logger.debug('Auto-tune auto-promotion waiting on shadow evaluation', {
+        runId, reason: result.shadow?.verdict.reason || 'no shadow data',
+      });
+    }
+  }
+  return promoted;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // POST-APPLY PERFORMANCE MONITORING
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -669,7 +643,7 @@ async function checkPostApplyPerformance(supabase, bot = null) {
 
     const { data: runs } = await supabase
       .from('auto_tune_runs')
-      .select('id, params_applied, params_before, completed_at, performance_after')
+      .select('id, params_applied, params_before, completed_at, performance_after, config_asset, config_regime')
       .eq('status', 'completed')
       .not('params_applied', 'is', null)
       .is('performance_after', null) // Not yet checked
@@ -680,12 +654,17 @@ async function checkPostApplyPerformance(supabase, bot = null) {
     if (!runs || runs.length === 0) return;
 
     for (const run of runs) {
+      const slice = normalizeSlice({ asset: run.config_asset, regime: run.config_regime });
+
       // Get paper trading performance since the tune was applied
-      const { data: trades } = await supabase
+      // (only the tuned asset's trades when the change was asset-specific)
+      let tradesQuery = supabase
         .from('paper_trades')
         .select('realized_pnl')
         .eq('status', 'closed')
         .gte('closed_at', run.completed_at);
+      if (slice.asset !== GLOBAL_SLICE) tradesQuery = tradesQuery.eq('asset', slice.asset.toUpperCase());
+      const { data: trades } = await tradesQuery;
 
       if (!trades || trades.length < 5) {
         // Not enough trades to evaluate
@@ -722,8 +701,8 @@ async function checkPostApplyPerformance(supabase, bot = null) {
         // Revert to params_before
         if (run.params_before) {
           const revertName = `auto-revert-${new Date().toISOString().slice(0, 10)}`;
-          const revertDesc = `Auto-reverted due to poor post-apply performance (Sharpe: ${postSharpe})`;
-          await saveActiveConfig(supabase, run.params_before, revertName, revertDesc);
+          const revertDesc = `Auto-reverted ${formatSlice(slice)} due to poor post-apply performance (Sharpe: ${postSharpe})`;
+          await saveActiveConfig(supabase, run.params_before, revertName, revertDesc, null, slice);
 
           await supabase
             .from('auto_tune_runs')
@@ -735,7 +714,7 @@ async function checkPostApplyPerformance(supabase, bot = null) {
             const message =
               `⚠️ *AUTO-REVERT*\n\n` +
               `Post-tune Sharpe: ${postSharpe} (${trades.length} trades)\n` +
-              `Parámetros revertidos al estado anterior.\n` +
+              `Parámetros de ${formatSlice(slice)} revertidos al estado anterior.\n` +
               `Run: ${run.id}`;
             bot.broadcastAlert({
               asset: 'sistema',
@@ -770,6 +749,7 @@ async function checkPostApplyPerformance(supabase, bot = null) {
  * @param {Object} options
  * @param {string} [options.trigger='scheduled'] - 'scheduled' or 'manual'
  * @param {string} [options.asset='bitcoin'] - Asset to optimize against
+ * @param {string} [options.scope='regime'] - Config slice to tune: 'regime' | 'asset' | 'global'
  * @param {Function} [options.onProgress] - Progress callback
  * @param {Object} [options.bot] - Telegram bot instance for approval flow
  * @returns {Object} Run result summary
@@ -782,6 +762,7 @@ async function runAutoTune(supabase, options = {}) {
   const {
     trigger = 'scheduled',
     asset = 'bitcoin',
+    scope = 'regime',
     onProgress = null,
     bot = null,
   } = options;
@@ -824,12 +805,15 @@ async function runAutoTune(supabase, options = {}) {
       logger.debug('Could not determine market regime for auto-tune');
     }
 
-    // ─── 4. Get current active config ────────────────────────────────
-    const { config: currentConfig, source: configSource } = await getActiveConfig(supabase);
+    // ─── 4. Get current config for the slice being tuned ─────────────
+    // Base is whatever that slice resolves to today (it may fall back to a
+    // broader slice); the result is always saved to the slice itself.
+    const slice = resolveTuneSlice(scope, asset, marketRegime);
+    const { config: currentConfig, source: configSource } = await getActiveConfig(supabase, slice);
     const configBefore = { ...currentConfig };
 
     logger.info('Auto-tune started', {
-      trigger, asset, marketRegime, configSource, approvalMode,
+      trigger, asset, marketRegime, slice: formatSlice(slice), configSource, approvalMode,
       lookback: TUNER_CONFIG.lookbackDays,
       params: PRIORITY_PARAMS.length,
     });
@@ -941,23 +925,31 @@ async function runAutoTune(supabase, options = {}) {
 
     // ─── 8. AI Review (Nivel 2 — Enhanced) ───────────────────────────
     let aiReview = null;
+    let reviewAudit = null;
     if (accepted.length > 0) {
       if (onProgress) onProgress({ phase: 'ai_review', accepted: accepted.length });
 
-      aiReview = await aiReviewProposals(accepted, {
+      const proposedConfig = { ...currentConfig };
+      for (const p of accepted) proposedConfig[p.paramName] = p.proposedValue;
+      const existingConflicts = detectParameterConflicts(currentConfig);
+
+      const { audit, ...review } = await aiReviewProposals(accepted, {
+        ...enhancedContext,
         marketRegime,
         lookbackDays: TUNER_CONFIG.lookbackDays,
         asset,
         configSource,
+        approvalMode,
         recentTradeCount: accepted[0]?.trades || 0,
-        // Enhanced context fields
-        paperPerformance: enhancedContext.paperPerformance,
-        signalAccuracy: enhancedContext.signalAccuracy,
-        recentTuneRuns: enhancedContext.recentTuneRuns,
+        introducedConflicts: detectParameterConflicts(proposedConfig).filter(c => !existingConflicts.includes(c)),
       });
+      aiReview = review;
+      reviewAudit = audit || null;
 
       if (aiReview) {
         logger.info('AI review result', {
+          reviewer: aiReview.reviewer,
+          fallbackFrom: aiReview.fallbackFrom,
           decision: aiReview.decision,
           reasoning: aiReview.reasoning?.substring(0, 100),
         });
@@ -997,45 +989,37 @@ async function runAutoTune(supabase, options = {}) {
     let configAfter = { ...currentConfig };
     let status = 'completed';
 
-    if (accepted.length > 0 && approvalMode === 'telegram' && bot?.isActive()) {
-      // ─── TELEGRAM APPROVAL MODE: store and wait ─────────────
+    if (accepted.length > 0) {
+      // ─── Challenger runs in shadow mode before any promotion ────
+      // Telegram mode waits for a human decision; auto mode (or no active
+      // bot) promotes by itself once the shadow comparison is significant.
       status = 'pending_approval';
+      const autoPromote = approvalMode !== 'telegram' || !bot?.isActive();
 
-      const messageIds = await sendTelegramProposal(bot, runId, accepted, aiReview, {
-        marketRegime, asset,
+      const messageIds = autoPromote ? {} : await sendTelegramProposal(bot, runId, accepted, aiReview, {
+        marketRegime, asset, slice,
       });
 
+      const challengerConfig = { ...configBefore };
+      for (const p of accepted) challengerConfig[p.paramName] = p.proposedValue;
+
       pendingProposals.set(String(runId), {
         accepted,
         configBefore,
-        configAfter: null, // Will be computed on approval
-        context: { marketRegime, asset, aiReview },
+        challengerConfig, // Evaluated in shadow mode until approved
+        context: { marketRegime, asset, slice, aiReview },
         expiresAt: Date.now() + TUNER_CONFIG.proposalTtlMs,
         messageIds: messageIds || {},
+        autoPromote,
       });
 
-      logger.info('Auto-tune pending Telegram approval', {
+      logger.info(autoPromote ? 'Auto-tune challenger in shadow mode, auto-promotion pending' : 'Auto-tune pending Telegram approval', {
         runId,
         proposals: accepted.length,
-        expiresIn: '4h',
+        slice: formatSlice(slice),
+        expiresInDays: Math.round(TUNER_CONFIG.proposalTtlMs / 86400000),
       });
 
-    } else if (accepted.length > 0) {
-      // ─── AUTO MODE: apply immediately ──────────────────────
-      for (const p of accepted) {
-        paramsApplied[p.paramName] = p.proposedValue;
-        configAfter[p.paramName] = p.proposedValue;
-      }
-
-      const tuneName = `auto-tune-${new Date().toISOString().slice(0, 10)}`;
-      const desc = `Auto-tuned ${accepted.length} params (${trigger}, regime: ${marketRegime})`;
-
-      await saveActiveConfig(supabase, configAfter, tuneName, desc);
-
-      logger.info('Auto-tune applied changes', {
-        paramsChanged: Object.keys(paramsApplied),
-        marketRegime,
-      });
     } else {
       logger.info('Auto-tune: no changes applied', {
         reason: paramResults.every(p => p.reason === 'no change')
@@ -1053,6 +1037,7 @@ async function runAutoTune(supabase, options = {}) {
       trigger,
       asset,
       marketRegime,
+      slice,
       approvalMode,
       paramResults,
       safetyChecks,
@@ -1068,9 +1053,12 @@ async function runAutoTune(supabase, options = {}) {
         const dbUpdate = {
           status,
           market_regime: marketRegime,
+          config_asset: slice.asset,
+          config_regime: slice.regime,
           param_results: paramResults,
           safety_checks: safetyChecks,
           ai_review: aiReview,
+          ai_review_audit: reviewAudit,
           params_before: configBefore,
         };
         if (status === 'completed') {
@@ -1147,12 +1135,77 @@ function getPendingProposals() {
         context: p.context,
         expiresAt: new Date(p.expiresAt).toISOString(),
         remainingMs: p.expiresAt - now,
+        autoPromote: p.autoPromote === true,
       });
     }
   }
   return pending;
 }
 
+/**
+ * Challengers to evaluate in shadow mode, one per live pending proposal.
+ * @returns {Array<{ runId: string, slice: Object, config: Object }>}
+ */
+function getShadowChallengers() {
+  const now = Date.now();
+  const challengers = [];
+  for (const [runId, p] of pendingProposals) {
+    if (now < p.expiresAt && p.challengerConfig) {
+      challengers.push({ runId, slice: p.context?.slice || {}, config: p.challengerConfig });
+    }
+  }
+  return challengers;
+}
+
+/**
+ * Restore pending proposals from auto_tune_runs after a restart so their
+ * shadow evaluation keeps running. Telegram message ids are not restored;
+ * auto-promotion follows the current approval mode.
+ * @returns {Promise<number>} Proposals restored
+ */
+async function hydratePendingProposals(supabase) {
+  try {
+    const since = new Date(Date.now() - TUNER_CONFIG.proposalTtlMs).toISOString();
+    const { data, error } = await supabase
+      .from('auto_tune_runs')
+      .select('id, started_at, asset, market_regime, config_asset, config_regime, param_results, params_before, ai_review')
+      .eq('status', 'pending_approval')
+      .gte('started_at', since);
+
+    if (error || !data) return 0;
+
+    let restored = 0;
+    for (const run of data) {
+      if (pendingProposals.has(String(run.id)) || !run.params_before) continue;
+      const accepted = (run.param_results || []).filter(p => p.accepted);
+      if (accepted.length === 0) continue;
+
+      const challengerConfig = { ...run.params_before };
+      for (const p of accepted) challengerConfig[p.paramName] = p.proposedValue;
+
+      pendingProposals.set(String(run.id), {
+        accepted,
+        configBefore: run.params_before,
+        challengerConfig,
+        context: {
+          marketRegime: run.market_regime,
+          asset: run.asset,
+          slice: normalizeSlice({ asset: run.config_asset, regime: run.config_regime }),
+          aiReview: run.ai_review,
+        },
+        expiresAt: new Date(run.started_at).getTime() + TUNER_CONFIG.proposalTtlMs,
+        messageIds: {},
+        autoPromote: APPROVAL_MODE === 'auto',
+      });
+      restored++;
+    }
+    return restored;
+  } catch (err) {
+    logger.debug('hydratePendingProposals failed', { error: err.message });
+    return 0;
+  }
+}
+
 /**
  * Check if auto-tune is currently running.
  */
@@ -1171,7 +1224,9 @@ module.exports = {
   runAutoTune,
   getAutoTuneHistory,
   getActiveConfig,
+  getActiveConfigSet,
   saveActiveConfig,
+  formatSlice,
   isAutoTuneRunning,
   getApprovalMode,
   PRIORITY_PARAMS,
@@ -1180,12 +1235,17 @@ module.exports = {
   approveProposal,
   getPendingProposals,
   cleanupExpiredProposals,
+  promoteAutoProposals,
+  // Shadow evaluation
+  getShadowChallengers,
+  hydratePendingProposals,
   // Post-apply monitoring
   checkPostApplyPerformance,
   // Enhanced context
   getEnhancedContext,
   // Exported for testing
   evaluateProposal,
+  resolveTuneSlice,
   checkCooldown,
   aiReviewProposals,
   parseAIDecision,
@@ -7,11 +7,18 @@ const { logger } = require('./logger');
 const axios = require('axios');
 const { fetchKlines, SYMBOL_MAP, FUTURES_SYMBOL_MAP } = require('./binanceAPI');
 const { generateMultiTimeframeSignal } = require('./technicalAnalysis');
-const { evaluateSignalForTrade, calculatePositionSize, DEFAULT_CONFIG } = require('./paperTrading');
+const {
+  evaluateSignalForTrade, calculatePositionSize, evaluatePortfolioLimits,
+  calculateLogReturns, calculatePearsonCorrelation, _fallbackCorrelation, DEFAULT_CONFIG
+} = require('./paperTrading');
 const { SLIPPAGE, COMMISSION, TOTAL_COST, getAssetCost, simulateGapRisk, SL_OVERSHOOT } = require('./constants');
 const { runMonteCarloSimulation } = require('./monteCarloSim');
 const { runStatisticalTests } = require('./statisticalTests');
 const { buildSizingOptions } = require('./kellySizing');
+const {
+  isArchiveEnabled, loadSeries, candleSeriesId, contextSeriesId, computeDatasetHash
+} = require('./candleArchive');
+const { resolveExitLadder, legacyExitLadder, buildExitPlan, createExitState, stepExit } = require('./exitLadder');
 
 // ─── CONSTANTS ──────────────────────────────────────────────────────────────
 
@@ -29,6 +36,21 @@ const MIN_LOOKBACK = {
   '4h': 100    // ~17 days of 4h
 };
 
+// Market types: a spot account can only buy what it can pay for (no shorts, no
+// funding — how BybitExecutionAdapter trades); perpetuals allow both directions
+// and settle funding every 8h against the open notional.
+const MARKET_TYPES = {
+  spot: { directions: ['LONG'], funding: false },
+  perp: { directions: ['LONG', 'SHORT'], funding: true }
+};
+
+// Direction filter on top of the market type (e.g. SHORT-only perp strategies)
+const DIRECTION_MODES = {
+  both: ['LONG', 'SHORT'],
+  long: ['LONG'],
+  short: ['SHORT']
+};
+
 // Macro data cache (avoids re-fetch during optimizer grid iterations)
 let _btcDomCache = { data: [], expiry: 0 };
 let _dxyCache = { data: [], expiry: 0 };
@@ -46,6 +68,19 @@ const MACRO_CACHE_TTL = 10 * 60 * 1000; // 10 min
  * @returns {Promise<Array>} Array of candle objects
  */
 async function fetchHistoricalCandles(asset, interval, days) {
+  const now = Date.now();
+  return fetchHistoricalCandlesRange(asset, interval, now - (days * 24 * 60 * 60 * 1000), now);
+}
+
+/**
+ * Fetch historical candles for an explicit [startMs, endMs] window (used by archive gap-fill)
+ * @param {string} asset - CoinGecko ID (e.g., 'bitcoin')
+ * @param {string} interval - Candle interval ('15m', '1h', '4h')
+ * @param {number} startMs - Window start (ms)
+ * @param {number} endMs - Window end (ms)
+ * @returns {Promise<Array>} Array of candle objects sorted ascending
+ */
+async function fetchHistoricalCandlesRange(asset, interval, startMs, endMs) {
   const symbol = SYMBOL_MAP[asset];
   if (!symbol) {
     throw new Error(`No Binance symbol mapping for asset: ${asset}`);
@@ -56,8 +91,8 @@ async function fetchHistoricalCandles(asset, interval, days) {
     throw new Error(`Invalid interval: ${interval}`);
   }
 
-  const now = Date.now();
-  const startTime = now - (days * 24 * 60 * 60 * 1000);
+  const now = endMs;
+  const startTime = startMs;
   const totalCandles = Math.ceil((now - startTime) / intervalMs);
   const batchSize = 1000; // Binance max per request
 
@@ -65,7 +100,8 @@ async function fetchHistoricalCandles(asset, interval, days) {
   let currentStart = startTime;
 
   logger.info('Fetching historical candles', {
-    asset, symbol, interval, days,
+    asset, symbol, interval,
+    days: Math.round((now - startTime) / INTERVAL_MS['1d'] * 10) / 10,
     totalCandles, batches: Math.ceil(totalCandles / batchSize)
   });
 
@@ -456,281 +492,426 @@ function lookupByTimestamp(sortedData, targetTs) {
     ? sortedData[lo] : sortedData[hi];
 }
 
+/**
+ * Build the per-step signal inputs (24h change, volume, F&G, derivatives, macro)
+ * from historical candles and context series. Shared by runBacktest and
+ * runPortfolioBacktest so both engines feed the signal engine identical inputs.
+ *
+ * @param {string} asset - CoinGecko ID
+ * @param {Array} candles1h - Asset 1h candles
+ * @param {number} index - Current 1h candle index
+ * @param {number} timestamp - Current step timestamp (ms)
+ * @param {Object} context - { fgData, fundingData, btcDomData, dxyData } sorted series
+ * @param {Object} [fallbacks] - { fearGreed, derivativesData, macroData } static values when a series is empty
+ * @returns {{ currentPrice: number, change24h: number, volume: number, fearGreed: number, derivatives: Object|null, macro: Object|null }}
+ */
+function buildStepInputs(asset, candles1h, index, timestamp, context, fallbacks = {}) {
+  const { fgData = [], fundingData = [], btcDomData = [], dxyData = [] } = context;
+  const { fearGreed = 50, derivativesData = null, macroData = null } = fallbacks;
+  const currentPrice = candles1h[index].close;
+
+  // Calculate change24h from candles
+  const price24hAgo = candles1h.find(c => c.timestamp <= timestamp - (24 * 60 * 60 * 1000))?.close || currentPrice;
+  const change24h = ((currentPrice - price24hAgo) / price24hAgo) * 100;
+
+  // Volume from last candle
+  const volume = candles1h[index]?.volume || 0;
+
+  // ── Lookup historical context for this timestamp ──────────────
+  const stepFearGreed = fgData.length > 0
+    ? lookupByTimestamp(fgData, timestamp).value
+    : fearGreed; // Fall back to static param (default 50)
+
+  const stepDerivatives = fundingData.length > 0
+    ? {
+        fundingRatePercent: lookupByTimestamp(fundingData, timestamp).fundingRate * 100,
+        longShortRatio: derivativesData?.longShortRatio || null // Not available historically
+      }
+    : derivativesData;
+
+  // ── Lookup historical macro data (BTC dominance, DXY) ──────────
+  const stepBtcDom = btcDomData.length > 0 ? lookupByTimestamp(btcDomData, timestamp) : null;
+  const stepDxy = dxyData.length > 0 ? lookupByTimestamp(dxyData, timestamp) : null;
+
+  let stepMacro = null;
+  if (stepBtcDom || stepDxy) {
+    // Derive btcChange24h from BTC market cap history for non-BTC assets
+    let btcChange24h = 0;
+    if (asset === 'bitcoin') {
+      btcChange24h = change24h;
+    } else if (stepBtcDom) {
+      const prevBtc = lookupByTimestamp(btcDomData, timestamp - 24 * 3600000);
+      if (prevBtc?.btcMcap > 0 && stepBtcDom.btcMcap > 0) {
+        btcChange24h = ((stepBtcDom.btcMcap - prevBtc.btcMcap) / prevBtc.btcMcap) * 100;
+      }
+    }
+    stepMacro = {
+      btcDom: stepBtcDom?.btcDom || 0,
+      btcChange24h: parseFloat(btcChange24h.toFixed(2)),
+      dxy: stepDxy?.dxy || 100,
+      dxyTrend: stepDxy?.dxyTrend || 'neutral',
+      dxyChange: stepDxy?.dxyChange || 0
+    };
+  } else if (macroData) {
+    stepMacro = macroData;
+  }
+
+  return { currentPrice, change24h, volume, fearGreed: stepFearGreed, derivatives: stepDerivatives, macro: stepMacro };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
-// TRADE SIMULATION (Pure - no DB)
+// HISTORICAL DATA ARCHIVE (offline + reproducible runs)
+// Backtests read through candleArchive: only never-seen ranges hit the network,
+// and only settled data (closed candles, past days) is used so a replay with the
+// same endTime sees identical inputs. CANDLE_ARCHIVE=off → plain live fetching.
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const FUNDING_INTERVAL_MS = 8 * 60 * 60 * 1000;
+
+function daysSince(startMs) {
+  return Math.max(1, Math.ceil((Date.now() - startMs) / INTERVAL_MS['1d']) + 1);
+}
+
 /**
- * Simulate a trade through subsequent candles using high/low for realism
- * @param {Object} trade - Trade object with entry, SL, TP levels
- * @param {Array} candles - 1h candles for tick-by-tick simulation
- * @param {number} startIndex - Index in candles where trade was opened
- * @returns {Object} Trade result
+ * Load candles for [startMs, endMs] from the archive, gap-filling from Binance.
+ * @param {string} asset - CoinGecko ID
+ * @param {string} interval - '15m' | '1h' | '4h'
+ * @param {number} startMs
+ * @param {number} endMs - Also the "as-of" clock: candles not closed by then are excluded
+ * @param {Object} [options]
+ * @param {boolean} [options.offline=false] - Never fetch; use archived data only
+ * @returns {Promise<Array>} Candles sorted ascending
  */
-function simulateTradeExecution(trade, candles, startIndex) {
-  const isLong = trade.direction === 'LONG';
-  const entryPrice = trade.entryPrice;
-  const stopLoss = trade.stopLoss;
-  const tp1 = trade.takeProfit1;
-  const tp2 = trade.takeProfit2;
-  const trailingActivation = trade.trailingActivation;
-  const trailingDistance = Math.abs(entryPrice - trade.trailingStop);
-  const assetCost = trade._assetCost || TOTAL_COST; // Per-asset or legacy
+async function loadHistoricalCandles(asset, interval, startMs, endMs, { offline = false } = {}) {
+  if (!isArchiveEnabled() && !offline) {
+    const candles = await fetchHistoricalCandlesRange(asset, interval, startMs, endMs);
+    return candles.filter(c => c.timestamp <= endMs);
+  }
+  const { points } = await loadSeries(candleSeriesId(asset, interval), {
+    from: startMs,
+    to: endMs,
+    now: endMs,
+    settleMs: INTERVAL_MS[interval],
+    offline,
+    fetchRange: (from, to) => fetchHistoricalCandlesRange(asset, interval, from, to)
+  });
+  return points;
+}
 
-  let status = 'open'; // open → partial → closed
-  let trailingActive = false;
-  let trailingStopCurrent = trade.trailingStop;
-  let peakPrice = entryPrice;
-  let quantity = trade.quantity;
-  let remainingQty = quantity;
-  let partialPnl = 0;
-  let partialClosePrice = null;
-  let partialCloseIndex = null;
-  let maxFavorable = 0;
-  let maxAdverse = 0;
-  let gapEvent = false;
+/**
+ * Archive-backed equivalent of fetchAllTimeframes() with an explicit as-of time.
+ * @param {string} asset - CoinGecko ID
+ * @param {number} days - Backtest days (20 warm-up days are added)
+ * @param {Object} [options] - { endTime = Date.now(), offline = false }
+ */
+async function loadAllTimeframes(asset, days, { endTime = Date.now(), offline = false } = {}) {
+  const extraDays = 20; // Extra days for indicator warm-up
+  const startMs = endTime - ((days + extraDays) * INTERVAL_MS['1d']);
 
-  for (let i = startIndex + 1; i < candles.length; i++) {
-    const candle = candles[i];
-    const high = candle.high;
-    const low = candle.low;
-
-    if (isLong) {
-      // Update peak for trailing
-      if (high > peakPrice) peakPrice = high;
-
-      // Update max favorable/adverse
-      const bestCase = (high - entryPrice) * remainingQty;
-      const worstCase = (low - entryPrice) * remainingQty;
-      maxFavorable = Math.max(maxFavorable, bestCase + partialPnl);
-      maxAdverse = Math.min(maxAdverse, worstCase);
-
-      // CONSERVATIVE: Check SL first (if same candle hits both, SL wins)
-      // Realistic fill: gap risk + SL overshoot + per-asset slippage
-      if (low <= stopLoss) {
-        let fillPrice = stopLoss;
-
-        // 1) Gap-through: if candle low < SL, price gapped → average fill
-        if (low < stopLoss) {
-          fillPrice = (stopLoss + low) / 2;
-        }
+  logger.info('Loading all timeframes', { asset, days: days + extraDays, offline, archive: isArchiveEnabled() });
 
-        // 2) Gap risk event: deterministic 2% chance of severe gap (flash crash)
-        const gapSeed = i * 1000 + Math.round(entryPrice);
-        const gap = simulateGapRisk(stopLoss, gapSeed);
-        if (gap.gapped) {
-          fillPrice = stopLoss * (1 - gap.overshootPct); // Worse fill for longs
-          gapEvent = true;
-        }
+  const candles4h = await loadHistoricalCandles(asset, '4h', startMs, endTime, { offline });
+  const candles1h = await loadHistoricalCandles(asset, '1h', startMs, endTime, { offline });
+  const candles15m = await loadHistoricalCandles(asset, '15m', startMs, endTime, { offline });
 
-        // 3) SL overshoot: baseline + volatility-scaled component
-        const candleRange = (high - low) / ((high + low) / 2); // Candle range as %
-        const overshoot = SL_OVERSHOOT.baseOvershootPct + candleRange * SL_OVERSHOOT.volatilityMultiplier;
-        fillPrice *= (1 - overshoot);
-
-        // 4) Per-asset execution cost
-        const exitPrice = fillPrice * (1 - assetCost);
-        const pnl = ((exitPrice - entryPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i,
-          exitTimestamp: candle.timestamp,
-          exitPrice,
-          exitReason: gap.gapped ? 'stop_loss_gap' : 'stop_loss',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex,
-          partialClosePrice,
-          partialCloseIndex,
-          gapEvent: gap.gapped,
-          gapOvershootPct: gap.gapped ? Math.round(gap.overshootPct * 10000) / 100 : 0
-        };
-      }
+  return { '4h': candles4h, '1h': candles1h, '15m': candles15m };
+}
 
-      // Check trailing stop (if active)
-      if (trailingActive && low <= trailingStopCurrent) {
-        const overshoot = SL_OVERSHOOT.baseOvershootPct;
-        const exitPrice = trailingStopCurrent * (1 - overshoot) * (1 - assetCost);
-        const pnl = ((exitPrice - entryPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i, exitTimestamp: candle.timestamp, exitPrice,
-          exitReason: 'trailing_stop',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex, partialClosePrice, partialCloseIndex
-        };
-      }
+/**
+ * Load one context series through the archive (or live when the archive is off).
+ * The live fetchers are "last N days" APIs, so gap ranges are widened to N days
+ * and trimmed back by loadSeries().
+ */
+async function loadContextSeries(seriesId, startMs, endMs, settleMs, fetchRange, { offline = false } = {}) {
+  if (!isArchiveEnabled() && !offline) {
+    const points = await fetchRange(startMs, endMs);
+    return points.filter(p => p.timestamp >= startMs && p.timestamp <= endMs);
+  }
+  const { points } = await loadSeries(seriesId, {
+    from: startMs, to: endMs, now: endMs, settleMs, offline, fetchRange
+  });
+  return points;
+}
 
-      // Check TP1 (partial close - 50%)
-      if (status === 'open' && high >= tp1) {
-        const closePrice = tp1 * (1 - assetCost);
-        const closeQty = quantity / 2;
-        partialPnl = (closePrice - entryPrice) * closeQty;
-        remainingQty = quantity - closeQty;
-        status = 'partial';
-        partialClosePrice = closePrice;
-        partialCloseIndex = i;
-      }
+/**
+ * Load shared context series (Fear & Greed, BTC dominance, DXY) for a backtest window.
+ * @param {number} days - Days of history (callers add their own padding)
+ * @param {Object} [options] - { endTime = Date.now(), offline = false }
+ * @returns {Promise<{ fgData: Array, btcDomData: Array, dxyData: Array }>}
+ */
+async function loadHistoricalContext(days, { endTime = Date.now(), offline = false } = {}) {
+  const startMs = endTime - (days * INTERVAL_MS['1d']);
+  const opts = { offline };
 
-      // Check TP2 (full close of remaining)
-      if (status === 'partial' && tp2 && high >= tp2) {
-        const exitPrice = tp2 * (1 - assetCost);
-        const pnl = ((exitPrice - entryPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i, exitTimestamp: candle.timestamp, exitPrice,
-          exitReason: 'take_profit_2',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex, partialClosePrice, partialCloseIndex
-        };
-      }
+  // Phase 1: Parallel fetch (different APIs, no rate-limit conflict)
+  const [historicalFG, historicalDXY] = await Promise.allSettled([
+    loadContextSeries(contextSeriesId('fear_greed'), startMs, endTime, INTERVAL_MS['1d'],
+      (from) => fetchHistoricalFearGreed(daysSince(from)), opts),
+    loadContextSeries(contextSeriesId('dxy'), startMs, endTime, INTERVAL_MS['1d'],
+      (from) => fetchHistoricalDXY(daysSince(from)), opts)  // Frankfurter API (not CoinGecko)
+  ]);
 
-      // Activate trailing
-      if (!trailingActive && trailingActivation && high >= trailingActivation) {
-        trailingActive = true;
-        trailingStopCurrent = peakPrice - trailingDistance;
-      }
+  // Phase 2: CoinGecko sequential (rate limit protection — shares limit with candle fetches)
+  let btcDomData = [];
+  try {
+    btcDomData = await loadContextSeries(contextSeriesId('btc_dominance'), startMs, endTime, INTERVAL_MS['1d'],
+      (from) => fetchHistoricalBtcDominance(daysSince(from)), opts);
+  } catch (err) {
+    logger.warn('Failed to load historical BTC dominance', { error: err.message });
+  }
 
-      // Update trailing stop as peak moves up
-      if (trailingActive) {
-        const newTrailingStop = peakPrice - trailingDistance;
-        if (newTrailingStop > trailingStopCurrent) {
-          trailingStopCurrent = newTrailingStop;
-        }
-      }
+  return {
+    fgData: historicalFG.status === 'fulfilled' ? historicalFG.value : [],
+    btcDomData,
+    dxyData: historicalDXY.status === 'fulfilled' ? historicalDXY.value : []
+  };
+}
 
-    } else {
-      // SHORT - everything inverted
-      if (low < peakPrice) peakPrice = low;
+/**
+ * Load historical funding rates for one asset through the archive.
+ * @returns {Promise<Array>} Array of { timestamp, fundingRate } sorted ascending
+ */
+async function loadFundingHistory(asset, startMs, endMs, { offline = false } = {}) {
+  try {
+    return await loadContextSeries(contextSeriesId('funding', asset), startMs, endMs, FUNDING_INTERVAL_MS,
+      (from, to) => fetchHistoricalFundingRate(asset, from, to), { offline });
+  } catch (err) {
+    logger.warn('Failed to load historical funding rates', { asset, error: err.message });
+    return [];
+  }
+}
+
+/**
+ * Dataset descriptor attached to backtest results: hash of every input series
+ * plus what is needed to replay the run (endTime, source).
+ */
+function describeDataset(candlesByTf, context, { endTime, source }) {
+  return {
+    hash: computeDatasetHash({ candles: candlesByTf, context }),
+    source,
+    endTime,
+    endTimeISO: new Date(endTime).toISOString()
+  };
+}
 
-      const bestCase = (entryPrice - low) * remainingQty;
-      const worstCase = (entryPrice - high) * remainingQty;
-      maxFavorable = Math.max(maxFavorable, bestCase + partialPnl);
-      maxAdverse = Math.min(maxAdverse, worstCase);
+function datasetSource(preloaded, offline) {
+  if (preloaded) return 'preloaded';
+  if (offline) return 'archive-offline';
+  return isArchiveEnabled() ? 'archive' : 'live';
+}
 
-      // SL (price goes UP) — realistic fill: gap risk + overshoot + per-asset cost
-      if (high >= stopLoss) {
-        let fillPrice = stopLoss;
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRADE SIMULATION (Pure - no DB)
+// ═══════════════════════════════════════════════════════════════════════════════
 
-        // 1) Gap-through
-        if (high > stopLoss) {
-          fillPrice = (stopLoss + high) / 2;
-        }
+/**
+ * Resolve which trade directions a backtest may open.
+ * @param {string} [marketType='perp'] - 'spot' | 'perp'
+ * @param {string} [directions='both'] - 'both' | 'long' | 'short'
+ * @returns {{ marketType: string, directions: string, allowed: string[], chargesFunding: boolean }}
+ * @throws {Error} On unknown values or a combination the market can't trade (spot + short)
+ */
+function resolveMarketRules(marketType = 'perp', directions = 'both') {
+  const market = MARKET_TYPES[marketType];
+  if (!market) {
+    throw new Error(`Invalid marketType: ${marketType}. Available: ${Object.keys(MARKET_TYPES).join(', ')}`);
+  }
+  const wanted = DIRECTION_MODES[directions];
+  if (!wanted) {
+    throw new Error(`Invalid directions: ${directions}. Available: ${Object.keys(DIRECTION_MODES).join(', ')}`);
+  }
+  const allowed = wanted.filter(d => market.directions.includes(d));
+  if (allowed.length === 0) {
+    throw new Error(`${marketType} market cannot trade directions=${directions}`);
+  }
+  return { marketType, directions, allowed, chargesFunding: market.funding };
+}
 
-        // 2) Gap risk event
-        const gapSeed = i * 1000 + Math.round(entryPrice);
-        const gap = simulateGapRisk(stopLoss, gapSeed);
-        if (gap.gapped) {
-          fillPrice = stopLoss * (1 + gap.overshootPct); // Worse fill for shorts (price goes up)
-          gapEvent = true;
-        }
+/**
+ * Funding accrued by a perpetual position between entry and exit.
+ * Each settlement inside (entry, exit] charges rate × notional at the mark price
+ * (open of the 1h candle at settlement): positive rates cost longs and pay shorts.
+ * Only the quantity still open at each settlement accrues funding (exit ladder
+ * partials from exit.partialCloses; a bare partialCloseIndex means a 50% TP1 close).
+ *
+ * @param {Object} trade - { direction, quantity, entryTimestamp, entryPrice }
+ * @param {Object} exit - { exitTimestamp, partialCloses?, partialCloseIndex? }
+ * @param {Array} candles - 1h candles the trade was simulated on
+ * @param {Array} fundingData - Sorted { timestamp, fundingRate }
+ * @returns {{ fundingCost: number, fundingEvents: number }} fundingCost > 0 = paid, < 0 = received
+ */
+function calculateFundingCost(trade, exit, candles, fundingData) {
+  if (!fundingData || fundingData.length === 0) return { fundingCost: 0, fundingEvents: 0 };
+
+  const sign = trade.direction === 'LONG' ? 1 : -1;
+  const partials = exit.partialCloses
+    || (exit.partialCloseIndex != null
+      ? [{ timestamp: candles[exit.partialCloseIndex]?.timestamp, quantity: trade.quantity / 2 }]
+      : []);
+  let cost = 0;
+  let events = 0;
+
+  for (const f of fundingData) {
+    if (f.timestamp <= trade.entryTimestamp) continue;
+    if (f.timestamp > exit.exitTimestamp) break;
+    const closedQty = partials.reduce((q, p) => (f.timestamp >= p.timestamp ? q + p.quantity : q), 0);
+    const qty = trade.quantity - closedQty;
+    const candle = lookupByTimestamp(candles, f.timestamp);
+    const mark = candle ? (candle.open ?? candle.close) : trade.entryPrice;
+    cost += sign * f.fundingRate * qty * mark;
+    events++;
+  }
 
-        // 3) SL overshoot
-        const candleRange = (high - low) / ((high + low) / 2);
-        const overshoot = SL_OVERSHOOT.baseOvershootPct + candleRange * SL_OVERSHOOT.volatilityMultiplier;
-        fillPrice *= (1 + overshoot);
-
-        // 4) Per-asset execution cost
-        const exitPrice = fillPrice * (1 + assetCost);
-        const pnl = ((entryPrice - exitPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i, exitTimestamp: candle.timestamp, exitPrice,
-          exitReason: gap.gapped ? 'stop_loss_gap' : 'stop_loss',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex, partialClosePrice, partialCloseIndex,
-          gapEvent: gap.gapped,
-          gapOvershootPct: gap.gapped ? Math.round(gap.overshootPct * 10000) / 100 : 0
-        };
-      }
+  return { fundingCost: Math.round(cost * 100) / 100, fundingEvents: events };
+}
 
-      // Trailing stop (price goes UP)
-      if (trailingActive && high >= trailingStopCurrent) {
-        const overshoot = SL_OVERSHOOT.baseOvershootPct;
-        const exitPrice = trailingStopCurrent * (1 + overshoot) * (1 + assetCost);
-        const pnl = ((entryPrice - exitPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i, exitTimestamp: candle.timestamp, exitPrice,
-          exitReason: 'trailing_stop',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex, partialClosePrice, partialCloseIndex
-        };
-      }
+/**
+ * Simulate a trade through subsequent candles using high/low for realism
+ * @param {Object} trade - Trade object with entry, SL, TP levels
+ * @param {Array} candles - 1h candles for tick-by-tick simulation
+ * @param {number} startIndex - Index in candles where trade was opened
+ * @param {Object} [options]
+ * @param {Array} [options.fundingData] - Perp funding series; accrued funding is deducted from pnl
+ * @returns {Object} Trade result
+ */
+function simulateTradeExecution(trade, candles, startIndex, options = {}) {
+  const result = simulatePriceExit(trade, candles, startIndex);
+  if (!options.fundingData) return result;
 
-      // TP1 (price goes DOWN)
-      if (status === 'open' && low <= tp1) {
-        const closePrice = tp1 * (1 + assetCost);
-        const closeQty = quantity / 2;
-        partialPnl = (entryPrice - closePrice) * closeQty;
-        remainingQty = quantity - closeQty;
-        status = 'partial';
-        partialClosePrice = closePrice;
-        partialCloseIndex = i;
-      }
+  const entryTimestamp = trade.entryTimestamp ?? candles[trade.startIndex ?? startIndex]?.timestamp;
+  const { fundingCost, fundingEvents } = calculateFundingCost(
+    { ...trade, entryTimestamp }, result, candles, options.fundingData
+  );
+  const pnl = Math.round((result.pnl - fundingCost) * 100) / 100;
+  return {
+    ...result,
+    pnl,
+    pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
+    fundingCost,
+    fundingEvents
+  };
+}
 
-      // TP2 (price goes DOWN)
-      if (status === 'partial' && tp2 && low <= tp2) {
-        const exitPrice = tp2 * (1 + assetCost);
-        const pnl = ((entryPrice - exitPrice) * remainingQty) + partialPnl;
-        return {
-          exitIndex: i, exitTimestamp: candle.timestamp, exitPrice,
-          exitReason: 'take_profit_2',
-          pnl: Math.round(pnl * 100) / 100,
-          pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-          maxFavorable: Math.round(maxFavorable * 100) / 100,
-          maxAdverse: Math.round(maxAdverse * 100) / 100,
-          holdingBars: i - startIndex, partialClosePrice, partialCloseIndex
-        };
+/**
+ * Realistic stop-loss fill: gap-through averaging, deterministic flash-gap events
+ * and a volatility-scaled overshoot (execution cost applied by the caller).
+ * @private
+ */
+function stopLossFill(stopLoss, candle, index, entryPrice, isLong) {
+  const { high, low } = candle;
+  const side = isLong ? -1 : 1; // Adverse direction for the exit fill
+  let fillPrice = stopLoss;
+
+  // 1) Gap-through: price traded past the stop → average fill
+  if (isLong ? low < stopLoss : high > stopLoss) {
+    fillPrice = (stopLoss + (isLong ? low : high)) / 2;
+  }
+
+  // 2) Gap risk event: deterministic 2% chance of severe gap (flash crash / squeeze)
+  const gapSeed = index * 1000 + Math.round(entryPrice);
+  const gap = simulateGapRisk(stopLoss, gapSeed);
+  if (gap.gapped) {
+    fillPrice = stopLoss * (1 + side * gap.overshootPct);
+  }
+
+  // 3) SL overshoot: baseline + volatility-scaled component
+  const candleRange = (high - low) / ((high + low) / 2); // Candle range as %
+  const overshoot = SL_OVERSHOOT.baseOvershootPct + candleRange * SL_OVERSHOOT.volatilityMultiplier;
+  fillPrice *= (1 + side * overshoot);
+
+  return { fillPrice, gapped: gap.gapped, overshootPct: gap.overshootPct };
+}
+
+/**
+ * Price path simulation driven by the trade's exit ladder (stop / trailing /
+ * ladder targets), without funding. Trades without an exitPlan use the legacy
+ * ladder (50% at TP1 with stop to breakeven, rest at TP2, ATR trailing).
+ * @private
+ */
+function simulatePriceExit(trade, candles, startIndex) {
+  const isLong = trade.direction === 'LONG';
+  const entryPrice = trade.entryPrice;
+  const assetCost = trade._assetCost || TOTAL_COST; // Per-asset or legacy
+  const side = isLong ? -1 : 1; // Exits sell longs / buy back shorts
+  const plan = trade.exitPlan || buildExitPlan(legacyExitLadder(), {
+    entry: entryPrice,
+    stopLoss: trade.stopLoss,
+    takeProfit1: trade.takeProfit1,
+    takeProfit2: trade.takeProfit2,
+    trailingStop: trade.trailingStop,
+    trailingActivation: trade.trailingActivation
+  }, trade.direction);
+
+  let state = createExitState(plan);
+  const quantity = trade.quantity;
+  let remainingQty = quantity;
+  let partialPnl = 0;
+  const partialCloses = [];
+  let maxFavorable = 0;
+  let maxAdverse = 0;
+
+  const pnlAt = (price, qty) => (isLong ? price - entryPrice : entryPrice - price) * qty;
+  const finish = (i, exitPrice, exitReason, extra = {}) => {
+    const pnl = pnlAt(exitPrice, remainingQty) + partialPnl;
+    return {
+      exitIndex: i,
+      exitTimestamp: candles[i].timestamp,
+      exitPrice,
+      exitReason,
+      pnl: Math.round(pnl * 100) / 100,
+      pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
+      maxFavorable: Math.round(maxFavorable * 100) / 100,
+      maxAdverse: Math.round(maxAdverse * 100) / 100,
+      holdingBars: i - startIndex,
+      partialClosePrice: partialCloses[0]?.price ?? null,
+      partialCloseIndex: partialCloses[0]?.index ?? null,
+      partialCloses,
+      targetsHit: state.targetsHit,
+      ...extra
+    };
+  };
+
+  for (let i = startIndex + 1; i < candles.length; i++) {
+    const candle = candles[i];
+    const best = isLong ? candle.high : candle.low;
+    const worst = isLong ? candle.low : candle.high;
+
+    // Update max favorable/adverse
+    maxFavorable = Math.max(maxFavorable, pnlAt(best, remainingQty) + partialPnl);
+    maxAdverse = Math.min(maxAdverse, pnlAt(worst, remainingQty));
+
+    // CONSERVATIVE: the ladder checks the stop first (if same candle hits both, SL wins)
+    const step = stepExit(plan, state, candle);
+    state = step.state;
+
+    for (const event of step.events) {
+      if (event.type === 'stop_loss') {
+        const fill = stopLossFill(event.price, candle, i, entryPrice, isLong);
+        return finish(i, fill.fillPrice * (1 + side * assetCost), fill.gapped ? 'stop_loss_gap' : 'stop_loss', {
+          gapEvent: fill.gapped,
+          gapOvershootPct: fill.gapped ? Math.round(fill.overshootPct * 10000) / 100 : 0
+        });
       }
 
-      // Activate trailing (price goes DOWN)
-      if (!trailingActive && trailingActivation && low <= trailingActivation) {
-        trailingActive = true;
-        trailingStopCurrent = peakPrice + trailingDistance;
+      if (event.type === 'trailing_stop') {
+        const exitPrice = event.price * (1 + side * SL_OVERSHOOT.baseOvershootPct) * (1 + side * assetCost);
+        return finish(i, exitPrice, 'trailing_stop');
       }
 
-      // Update trailing stop as peak moves down
-      if (trailingActive) {
-        const newTrailingStop = peakPrice + trailingDistance;
-        if (newTrailingStop < trailingStopCurrent) {
-          trailingStopCurrent = newTrailingStop;
-        }
+      if (event.type === 'target') {
+        const closePrice = event.price * (1 + side * assetCost);
+        if (event.closesAll) return finish(i, closePrice, `take_profit_${event.index + 1}`);
+
+        const closeQty = Math.min(remainingQty, quantity * event.fraction);
+        partialPnl += pnlAt(closePrice, closeQty);
+        remainingQty -= closeQty;
+        partialCloses.push({ index: i, timestamp: candle.timestamp, target: event.index + 1, price: closePrice, quantity: closeQty });
       }
     }
   }
 
   // Trade still open at end of backtest — close at last price
-  const lastCandle = candles[candles.length - 1];
-  const exitPrice = lastCandle.close;
-  let pnl;
-  if (isLong) {
-    pnl = ((exitPrice - entryPrice) * remainingQty) + partialPnl;
-  } else {
-    pnl = ((entryPrice - exitPrice) * remainingQty) + partialPnl;
-  }
-
-  return {
-    exitIndex: candles.length - 1,
-    exitTimestamp: lastCandle.timestamp,
-    exitPrice,
-    exitReason: 'end_of_data',
-    pnl: Math.round(pnl * 100) / 100,
-    pnlPercent: Math.round((pnl / trade.positionSizeUsd) * 10000) / 100,
-    maxFavorable: Math.round(maxFavorable * 100) / 100,
-    maxAdverse: Math.round(maxAdverse * 100) / 100,
-    holdingBars: candles.length - 1 - startIndex,
-    partialClosePrice, partialCloseIndex
-  };
+  return finish(candles.length - 1, candles[candles.length - 1].close, 'end_of_data');
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -827,7 +1008,8 @@ function calculateBacktestMetrics(completedTrades, equityCurve, initialCapital,
       maxDrawdown: 0, maxDrawdownPercent: 0,
       profitFactor: 0, sharpeRatio: 0,
       avgHoldingBars: 0, tradesPerMonth: 0,
-      maxConsecutiveWins: 0, maxConsecutiveLosses: 0
+      maxConsecutiveWins: 0, maxConsecutiveLosses: 0,
+      funding: summarizeFunding([])
     };
   }
 
@@ -983,7 +1165,25 @@ function calculateBacktestMetrics(completedTrades, equityCurve, initialCapital,
       perAssetSlippage: true,
       slOvershootModel: true,
       gapRiskModel: true
-    }
+    },
+    // Perp funding as its own cost line (already included in totalPnl)
+    funding: summarizeFunding(completedTrades)
+  };
+}
+
+/**
+ * Funding cost line for the report. Positive netCost = funding paid overall.
+ */
+function summarizeFunding(completedTrades) {
+  const costs = completedTrades.map(t => t.fundingCost || 0);
+  const paid = costs.filter(c => c > 0).reduce((s, c) => s + c, 0);
+  const received = costs.filter(c => c < 0).reduce((s, c) => s - c, 0);
+  return {
+    netCost: Math.round((paid - received) * 100) / 100,
+    paid: Math.round(paid * 100) / 100,
+    received: Math.round(received * 100) / 100,
+    tradesCharged: completedTrades.filter(t => (t.fundingEvents || 0) > 0).length,
+    settlements: completedTrades.reduce((s, t) => s + (t.fundingEvents || 0), 0)
   };
 }
 
@@ -994,6 +1194,11 @@ function calculateBacktestMetrics(completedTrades, equityCurve, initialCapital,
 /**
  * Run a full backtest against historical data
  * @param {Object} options - Backtest configuration
+ * @param {number} [options.endTime] - As-of timestamp (default now); replaying with the
+ *   result's dataset.endTime + offline:true reproduces the same dataset hash
+ * @param {boolean} [options.offline=false] - Use archived data only (no network)
+ * @param {string} [options.marketType='perp'] - 'spot' (longs only, no funding) | 'perp' (funding charged)
+ * @param {string} [options.directions='both'] - 'both' | 'long' | 'short'
  * @param {Function} onProgress - Optional progress callback
  * @returns {Object} Complete backtest results
  */
@@ -1014,12 +1219,18 @@ async function runBacktest(options, onProgress = null) {
     macroData = null,
     strategyConfig = null,
     preloadedCandles = null,  // For optimizer: skip re-fetching
-    kellySizing = null         // Kelly Criterion / volatility targeting config
+    kellySizing = null,        // Kelly Criterion / volatility targeting config
+    endTime = null,            // As-of clock (reproducible replays)
+    offline = false,           // Archive only, never hit the network
+    marketType = 'perp',       // 'spot' | 'perp'
+    directions = 'both'        // 'both' | 'long' | 'short'
   } = options;
 
+  const market = resolveMarketRules(marketType, directions);
   const startTime = Date.now();
+  const asOf = endTime || Date.now();
 
-  logger.info('Starting backtest', { asset, days, stepInterval, capital });
+  logger.info('Starting backtest', { asset, days, stepInterval, capital, marketType, directions });
 
   // ─── 1. Fetch historical data (or use preloaded for optimizer) ───────
   let allCandles;
@@ -1028,7 +1239,7 @@ async function runBacktest(options, onProgress = null) {
     logger.info('Using preloaded candles for backtest', { asset });
   } else {
     if (onProgress) onProgress({ phase: 'fetching', message: 'Descargando datos históricos...' });
-    allCandles = await fetchAllTimeframes(asset, days);
+    allCandles = await loadAllTimeframes(asset, days, { endTime: asOf, offline });
   }
 
   const candles1h = allCandles['1h'];
@@ -1048,19 +1259,11 @@ async function runBacktest(options, onProgress = null) {
   // ─── 1b. Fetch historical context data (F&G, Funding, BTC Dom, DXY) ──
   if (onProgress) onProgress({ phase: 'fetching', message: 'Descargando datos de contexto (F&G, funding, BTC dom, DXY)...' });
 
-  // Phase 1: Parallel fetch (different APIs, no rate-limit conflict)
-  const [historicalFG, historicalFunding, historicalDXY] = await Promise.allSettled([
-    fetchHistoricalFearGreed(days + 10),
-    fetchHistoricalFundingRate(asset, Date.now() - ((days + 10) * 24 * 60 * 60 * 1000), Date.now()),
-    fetchHistoricalDXY(days + 10)  // Frankfurter API (not CoinGecko)
+  const [sharedContext, fundingData] = await Promise.all([
+    loadHistoricalContext(days + 10, { endTime: asOf, offline }),
+    loadFundingHistory(asset, asOf - ((days + 10) * 24 * 60 * 60 * 1000), asOf, { offline })
   ]);
-
-  // Phase 2: CoinGecko sequential (rate limit protection — shares limit with candle fetches)
-  const btcDomData = await fetchHistoricalBtcDominance(days + 10);
-
-  const fgData = historicalFG.status === 'fulfilled' ? historicalFG.value : [];
-  const fundingData = historicalFunding.status === 'fulfilled' ? historicalFunding.value : [];
-  const dxyData = historicalDXY.status === 'fulfilled' ? historicalDXY.value : [];
+  const { fgData, btcDomData, dxyData } = sharedContext;
 
   const hasFearGreed = fgData.length > 0;
   const hasFunding = fundingData.length > 0;
@@ -1077,7 +1280,7 @@ async function runBacktest(options, onProgress = null) {
 
   // ─── 2. Determine backtest window ────────────────────────────────────
   const stepMs = INTERVAL_MS[stepInterval] || INTERVAL_MS['4h'];
-  const backtestStartTime = Date.now() - (days * 24 * 60 * 60 * 1000);
+  const backtestStartTime = asOf - (days * 24 * 60 * 60 * 1000);
 
   // Find first 1h candle index that's within our backtest window
   // (skip the warm-up period needed for indicators)
@@ -1119,6 +1322,8 @@ async function runBacktest(options, onProgress = null) {
   let openTrades = [];
   let lastTradeBar = -cooldownBars; // Allow immediate first trade
   let totalSteps = stepPoints.length;
+  let directionRejections = 0;
+  const simOptions = market.chargesFunding ? { fundingData } : {};
 
   // Running index pointers for 4h/15m (O(1) per step instead of O(N) .filter())
   let last4hIndex = 0;
@@ -1139,12 +1344,8 @@ async function runBacktest(options, onProgress = null) {
     const tradesToRemove = [];
     for (let t = 0; t < openTrades.length; t++) {
       const trade = openTrades[t];
-      // Simulate through all 1h candles from last check to current step
-      const result = simulateTradeExecution(
-        trade,
-        candles1h,
-        trade.lastCheckedIndex || trade.startIndex
-      );
+      // Simulate from entry: ladder state (targets hit, moved stop, trailing) is path-dependent
+      const result = simulateTradeExecution(trade, candles1h, trade.startIndex, simOptions);
 
       // If trade would exit before or at current step
       if (result.exitIndex <= step.index) {
@@ -1204,51 +1405,10 @@ async function runBacktest(options, onProgress = null) {
       continue; // Not enough data yet
     }
 
-    // Calculate change24h from candles
-    const price24hAgo = candles1h.find(c => c.timestamp <= step.timestamp - (24 * 60 * 60 * 1000))?.close || currentPrice;
-    const change24h = ((currentPrice - price24hAgo) / price24hAgo) * 100;
-
-    // Volume from last candle
-    const vol = candles1h[step.index]?.volume || 0;
-
-    // ── Lookup historical context for this timestamp ──────────────
-    const stepFearGreed = hasFearGreed
-      ? lookupByTimestamp(fgData, step.timestamp).value
-      : fearGreed; // Fall back to static param (default 50)
-
-    const stepDerivatives = hasFunding
-      ? {
-          fundingRatePercent: lookupByTimestamp(fundingData, step.timestamp).fundingRate * 100,
-          longShortRatio: derivativesData?.longShortRatio || null // Not available historically
-        }
-      : derivativesData;
-
-    // ── Lookup historical macro data (BTC dominance, DXY) ──────────
-    const stepBtcDom = hasBtcDom ? lookupByTimestamp(btcDomData, step.timestamp) : null;
-    const stepDxy = hasDXY ? lookupByTimestamp(dxyData, step.timestamp) : null;
-
-    let stepMacro = null;
-    if (stepBtcDom || stepDxy) {
-      // Derive btcChange24h from BTC market cap history for non-BTC assets
-      let btcChange24h = 0;
-      if (asset === 'bitcoin') {
-        btcChange24h = change24h;
-      } else if (stepBtcDom) {
-        const prevBtc = lookupByTimestamp(btcDomData, step.timestamp - 24 * 3600000);
-        if (prevBtc?.btcMcap > 0 && stepBtcDom.btcMcap > 0) {
-          btcChange24h = ((stepBtcDom.btcMcap - prevBtc.btcMcap) / prevBtc.btcMcap) * 100;
-        }
-      }
-      stepMacro = {
-        btcDom: stepBtcDom?.btcDom || 0,
-        btcChange24h: parseFloat(btcChange24h.toFixed(2)),
-        dxy: stepDxy?.dxy || 100,
-        dxyTrend: stepDxy?.dxyTrend || 'neutral',
-        dxyChange: stepDxy?.dxyChange || 0
-      };
-    } else if (macroData) {
-      stepMacro = macroData;
-    }
+    const { change24h, volume: vol, fearGreed: stepFearGreed, derivatives: stepDerivatives, macro: stepMacro } =
+      buildStepInputs(asset, candles1h, step.index, step.timestamp,
+        { fgData, fundingData, btcDomData, dxyData },
+        { fearGreed, derivativesData, macroData });
 
     try {
       const signal = await generateMultiTimeframeSignal(
@@ -1264,6 +1424,12 @@ async function runBacktest(options, onProgress = null) {
 
       if (!eligible) continue;
 
+      // Market rules: spot can't short; direction filter (long-only / short-only)
+      if (!market.allowed.includes(signal.action === 'BUY' ? 'LONG' : 'SHORT')) {
+        directionRejections++;
+        continue;
+      }
+
       // Safety checks (simplified for backtest — no DB)
       if (openTrades.length >= maxOpenPositions) continue;
       if (stepIdx - lastTradeBar < cooldownBars) continue;
@@ -1302,6 +1468,11 @@ async function runBacktest(options, onProgress = null) {
         takeProfit2: signal.tradeLevels.takeProfit2,
         trailingStop: signal.tradeLevels.trailingStop,
         trailingActivation: signal.tradeLevels.trailingActivation,
+        exitPlan: buildExitPlan(
+          resolveExitLadder(signal.tradeLevels.exitLadder, config),
+          { ...signal.tradeLevels, entry: slippedEntry },
+          signal.action === 'BUY' ? 'LONG' : 'SHORT'
+        ),
         quantity: posSize.quantity,
         remainingQty: posSize.quantity,
         positionSizeUsd: posSize.positionSizeUsd,
@@ -1337,6 +1508,11 @@ async function runBacktest(options, onProgress = null) {
     } else {
       pnl = (trade.entryPrice - exitPrice) * trade.remainingQty;
     }
+    const entryTimestamp = candles1h[trade.startIndex].timestamp;
+    const { fundingCost, fundingEvents } = market.chargesFunding
+      ? calculateFundingCost({ ...trade, entryTimestamp }, { exitTimestamp: lastCandle.timestamp, partialCloseIndex: null }, candles1h, fundingData)
+      : { fundingCost: 0, fundingEvents: 0 };
+    pnl -= fundingCost;
     completedTrades.push({
       ...trade,
       exitIndex: candles1h.length - 1,
@@ -1348,7 +1524,9 @@ async function runBacktest(options, onProgress = null) {
       holdingBars: candles1h.length - 1 - trade.startIndex,
       maxFavorable: Math.round((trade.maxFavorable || 0) * 100) / 100,
       maxAdverse: Math.round((trade.maxAdverse || 0) * 100) / 100,
-      entryTimestamp: candles1h[trade.startIndex].timestamp
+      fundingCost,
+      fundingEvents,
+      entryTimestamp
     });
     currentCapital += pnl;
   }
@@ -1493,11 +1671,25 @@ async function runBacktest(options, onProgress = null) {
     confluence: t.confluence,
     maxFavorable: t.maxFavorable,
     maxAdverse: t.maxAdverse,
+    fundingCost: t.fundingCost || 0,
+    targetsHit: t.targetsHit || 0,
     sizingMeta: t.sizingMeta || null
   }));
 
   return {
-    config: { asset, days, stepInterval, capital, riskPerTrade, maxOpenPositions, minConfluence, minRR, allowedStrength, cooldownBars, strategyConfig },
+    config: { asset, days, stepInterval, capital, riskPerTrade, maxOpenPositions, minConfluence, minRR, allowedStrength, cooldownBars, strategyConfig, endTime: asOf, marketType, directions },
+    market: {
+      marketType,
+      directions,
+      allowedDirections: market.allowed,
+      fundingCharged: market.chargesFunding,
+      signalsRejectedByDirection: directionRejections
+    },
+    dataset: describeDataset(
+      { '1h': candles1h, '4h': candles4h, '15m': candles15m },
+      { fearGreed: fgData, funding: fundingData, btcDominance: btcDomData, dxy: dxyData },
+      { endTime: asOf, source: datasetSource(!!preloadedCandles, offline) }
+    ),
     metrics,
     benchmark,
     monteCarlo,
@@ -1530,21 +1722,93 @@ async function runBacktest(options, onProgress = null) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// MULTI-ASSET PORTFOLIO BACKTEST
+// MULTI-ASSET PORTFOLIO BACKTEST (shared capital, event-driven)
 // ═══════════════════════════════════════════════════════════════════════════════
 
+const MAX_PORTFOLIO_ASSETS = 20;
+const PORTFOLIO_CORRELATION_WINDOW_DAYS = 30; // Same rolling window as live getCorrelation()
+const MIN_POSITION_USD = 50;                  // Same floor as calculatePositionSize()
+
+/**
+ * Build a correlation source for evaluatePortfolioLimits() from the backtest's own
+ * 1h candles, so correlation limits see only data available at the step timestamp.
+ * Results are cached per asset pair per day.
+ *
+ * @param {Object} candlesByAsset - { [asset]: 1h candles sorted ascending }
+ * @returns {Function} (asOfTs) => async (assetA, assetB) => correlation in [0, 1]
+ */
+function createHistoricalCorrelation(candlesByAsset) {
+  const dayMs = 24 * 60 * 60 * 1000;
+  const cache = new Map();
+
+  // Daily closes (last 1h close of each UTC day) inside the rolling window
+  const dailyCloses = (candles, asOfTs) => {
+    const byDay = new Map();
+    const fromTs = asOfTs - PORTFOLIO_CORRELATION_WINDOW_DAYS * dayMs;
+    for (const c of candles) {
+      if (c.timestamp <= fromTs) continue;
+      if (c.timestamp > asOfTs) break;
+      byDay.set(Math.floor(c.timestamp / dayMs), c.close);
+    }
+    return byDay;
+  };
+
+  return (asOfTs) => async (a, b) => {
+    const day = Math.floor(asOfTs / dayMs);
+    const key = a < b ? `${a}|${b}|${day}` : `${b}|${a}|${day}`;
+    if (cache.has(key)) return cache.get(key);
+
+    let value = _fallbackCorrelation(a, b);
+    const candlesA = candlesByAsset[a];
+    const candlesB = candlesByAsset[b];
+    if (candlesA && candlesB) {
+      const closesA = dailyCloses(candlesA, asOfTs);
+      const closesB = dailyCloses(candlesB, asOfTs);
+      const alignedA = [];
+      const alignedB = [];
+      for (const [d, close] of closesA) {
+        if (closesB.has(d)) {
+          alignedA.push({ close });
+          alignedB.push({ close: closesB.get(d) });
+        }
+      }
+      if (alignedA.length >= 10) {
+        const corr = calculatePearsonCorrelation(calculateLogReturns(alignedA), calculateLogReturns(alignedB));
+        // Clamp to [0, 1] like the live correlation (negative correlation = low risk)
+        value = Math.max(0, Math.min(1, corr));
+      }
+    }
+
+    cache.set(key, value);
+    return value;
+  };
+}
+
 /**
- * Run backtests across multiple assets simultaneously and compute portfolio-level metrics.
- * Capital is split equally among assets. Equity curves are merged by timestamp.
+ * Run an event-driven multi-asset backtest on a single shared account.
+ *
+ * Every asset is stepped on one clock. Signals compete for the same cash and the
+ * same position slots: candidates at a step are ranked by confidence, sized
+ * against the shared equity, and gated by the same evaluatePortfolioLimits()
+ * rules (same-direction, sector exposure, correlation) that paper trading
+ * applies live. maxOpenPositions is portfolio-wide; cooldownBars is per asset.
  *
  * @param {object} options
- * @param {string[]} options.assets - Array of asset IDs (e.g., ['bitcoin', 'ethereum', 'solana'])
+ * @param {string[]} options.assets - Array of asset IDs (2 to MAX_PORTFOLIO_ASSETS)
  * @param {number} [options.days=90]
- * @param {number} [options.capital=10000] - Total portfolio capital (split equally)
+ * @param {number} [options.capital=10000] - Shared portfolio capital
  * @param {number} [options.riskPerTrade=0.02]
- * @param {number} [options.maxOpenPositions=3] - Per asset
+ * @param {number} [options.maxOpenPositions=3] - Across the whole book
+ * @param {string} [options.stepInterval='4h']
+ * @param {number} [options.cooldownBars=6] - Steps between entries on the same asset
+ * @param {number} [options.maxPortfolioCorrelation] - Defaults to paper trading DEFAULT_CONFIG
+ * @param {number} [options.maxSectorExposurePct] - Defaults to paper trading DEFAULT_CONFIG
+ * @param {number} [options.maxSameDirectionCrypto] - Defaults to paper trading DEFAULT_CONFIG
  * @param {object} [options.strategyConfig]
  * @param {object} [options.kellySizing]
+ * @param {object} [options.preloadedCandles] - { [asset]: { '4h', '1h', '15m' } } to skip fetching
+ * @param {string} [options.marketType='perp'] - 'spot' | 'perp' (see runBacktest)
+ * @param {string} [options.directions='both'] - 'both' | 'long' | 'short'
  * @param {Function} [options.onProgress]
  * @returns {Promise<object>} Portfolio backtest results
  */
@@ -1556,151 +1820,449 @@ async function runPortfolioBacktest(options = {}) {
     riskPerTrade = 0.02,
     maxOpenPositions = 3,
     stepInterval = '4h',
+    minConfluence = 2,
+    minRR = 1.5,
+    allowedStrength = ['STRONG BUY', 'STRONG SELL'],
+    cooldownBars = 6,
+    fearGreed = 50,
+    maxPortfolioCorrelation = DEFAULT_CONFIG.max_portfolio_correlation,
+    maxSectorExposurePct = DEFAULT_CONFIG.max_sector_exposure_pct,
+    maxSameDirectionCrypto = DEFAULT_CONFIG.max_same_direction_crypto,
     strategyConfig = null,
     kellySizing = null,
+    preloadedCandles = null,
+    endTime = null,
+    offline = false,
+    marketType = 'perp',
+    directions = 'both',
     onProgress = null
   } = options;
 
-  if (!assets || assets.length < 2 || assets.length > 5) {
-    throw new Error('Portfolio backtest requires 2-5 assets');
+  const market = resolveMarketRules(marketType, directions);
+
+  const uniqueAssets = Array.isArray(assets) ? [...new Set(assets)] : [];
+  if (uniqueAssets.length < 2 || uniqueAssets.length > MAX_PORTFOLIO_ASSETS) {
+    throw new Error(`Portfolio backtest requires 2-${MAX_PORTFOLIO_ASSETS} assets`);
   }
 
   const startTime = Date.now();
-  const capitalPerAsset = capital / assets.length;
-
-  // Run individual backtests in parallel
-  if (onProgress) onProgress({ phase: 'running', message: `Ejecutando backtests para ${assets.length} assets...`, current: 0, total: assets.length });
+  const asOf = endTime || Date.now();
+  const backtestStartTime = asOf - (days * 24 * 60 * 60 * 1000);
 
-  const assetResults = await Promise.all(
-    assets.map(async (asset, idx) => {
-      try {
-        const result = await runBacktest({
-          asset,
-          days,
-          capital: capitalPerAsset,
-          riskPerTrade,
-          maxOpenPositions,
-          stepInterval,
-          strategyConfig,
-          kellySizing,
-          cooldownBars: 6,
-          fearGreed: 50
-        });
+  logger.info('Starting portfolio backtest', { assets: uniqueAssets, days, stepInterval, capital, maxOpenPositions });
 
-        if (onProgress) onProgress({ phase: 'running', message: `Completado: ${asset}`, current: idx + 1, total: assets.length });
-        return { asset, result, error: null };
-      } catch (err) {
-        logger.warn('Portfolio backtest: asset failed', { asset, error: err.message });
-        if (onProgress) onProgress({ phase: 'running', message: `Error: ${asset} — ${err.message}`, current: idx + 1, total: assets.length });
-        return { asset, result: null, error: err.message };
+  // ─── 1. Load candles per asset (sequential — shared Binance rate limit) ──
+  const books = [];
+  const failedAssets = [];
+  for (let idx = 0; idx < uniqueAssets.length; idx++) {
+    const asset = uniqueAssets[idx];
+    if (onProgress) onProgress({ phase: 'fetching', message: `Descargando datos: ${asset}`, current: idx, total: uniqueAssets.length });
+    try {
+      const candles = preloadedCandles?.[asset] || await loadAllTimeframes(asset, days, { endTime: asOf, offline });
+      const candles1h = candles['1h'];
+      if (!candles1h || candles1h.length < 200) {
+        throw new Error(`Insufficient 1h candle data: ${candles1h?.length || 0} (need 200+)`);
       }
-    })
-  );
+      const firstStepIndex = candles1h.findIndex(c => c.timestamp >= backtestStartTime);
+      if (firstStepIndex < MIN_LOOKBACK['1h']) {
+        throw new Error('Not enough warm-up candles for indicators');
+      }
+      books.push({
+        asset,
+        candles1h,
+        candles4h: candles['4h'] || [],
+        candles15m: candles['15m'] || [],
+        firstStepIndex,
+        fundingData: [],
+        idx1h: 0,
+        idx4h: 0,
+        idx15m: 0,
+        lastEntryStep: -Infinity
+      });
+    } catch (err) {
+      logger.warn('Portfolio backtest: asset failed', { asset, error: err.message });
+      failedAssets.push({ asset, error: err.message });
+    }
+  }
 
-  const successfulAssets = assetResults.filter(a => a.result !== null);
-  if (successfulAssets.length === 0) {
+  if (books.length === 0) {
     throw new Error('All asset backtests failed');
   }
 
-  // Merge equity curves by timestamp — sum equity across assets
-  const dayMs = 24 * 60 * 60 * 1000;
-  const equityByDay = new Map();
+  // ─── 1b. Context data: F&G, BTC dom, DXY shared; funding per asset ───
+  if (onProgress) onProgress({ phase: 'fetching', message: 'Descargando datos de contexto (F&G, funding, BTC dom, DXY)...' });
 
-  for (const { asset, result } of successfulAssets) {
-    for (const pt of result.equityCurve) {
-      const dayKey = Math.floor(pt.timestamp / dayMs);
-      if (!equityByDay.has(dayKey)) {
-        equityByDay.set(dayKey, { timestamp: pt.timestamp, equity: 0 });
-      }
-      equityByDay.get(dayKey).equity += pt.equity;
+  const contextStart = asOf - ((days + 10) * 24 * 60 * 60 * 1000);
+  const { fgData, btcDomData, dxyData } = await loadHistoricalContext(days + 10, { endTime: asOf, offline });
+
+  for (const book of books) {
+    book.fundingData = await loadFundingHistory(book.asset, contextStart, asOf, { offline });
+  }
+
+  // ─── 2. Shared clock ─────────────────────────────────────────────────
+  const stepMs = INTERVAL_MS[stepInterval] || INTERVAL_MS['4h'];
+  const clockTimestamps = new Set();
+  for (const book of books) {
+    for (let i = book.firstStepIndex; i < book.candles1h.length; i++) {
+      clockTimestamps.add(book.candles1h[i].timestamp);
+    }
+  }
+  const stepPoints = [];
+  for (const ts of [...clockTimestamps].sort((a, b) => a - b)) {
+    if (stepPoints.length === 0 || ts - stepPoints[stepPoints.length - 1] >= stepMs) {
+      stepPoints.push(ts);
     }
   }
 
-  const portfolioEquityCurve = [...equityByDay.values()].sort((a, b) => a.timestamp - b.timestamp);
+  // ─── 3. Shared account ───────────────────────────────────────────────
+  const config = {
+    ...DEFAULT_CONFIG,
+    is_enabled: true,
+    current_capital: capital,
+    initial_capital: capital,
+    risk_per_trade: riskPerTrade,
+    max_open_positions: maxOpenPositions,
+    min_confluence: minConfluence,
+    min_rr_ratio: minRR,
+    allowed_strength: allowedStrength,
+    max_portfolio_correlation: maxPortfolioCorrelation,
+    max_sector_exposure_pct: maxSectorExposurePct,
+    max_same_direction_crypto: maxSameDirectionCrypto
+  };
 
-  // Merge all trades
-  const allTrades = [];
-  for (const { result } of successfulAssets) {
-    allTrades.push(...result.trades);
-  }
-  allTrades.sort((a, b) => a.entryTimestamp - b.entryTimestamp);
-
-  // Portfolio-level metrics
-  const totalCapitalUsed = successfulAssets.length * capitalPerAsset;
-  const portfolioMetrics = calculateBacktestMetrics(
-    allTrades.map(t => ({ ...t, holdingBars: t.holdingBars || 0 })),
-    portfolioEquityCurve,
-    totalCapitalUsed,
-    days
+  const correlationAt = createHistoricalCorrelation(
+    Object.fromEntries(books.map(b => [b.asset, b.candles1h]))
   );
 
-  // Portfolio B&H benchmark: equal-weight basket
-  const assetBHReturns = successfulAssets
-    .map(a => a.result.benchmark?.buyAndHold?.totalReturn || 0);
-  const portfolioBHReturn = assetBHReturns.reduce((s, r) => s + r, 0) / assetBHReturns.length;
-  const assetBHSharpes = successfulAssets
-    .map(a => a.result.benchmark?.buyAndHold?.sharpeRatio || 0);
-  const portfolioBHSharpe = assetBHSharpes.reduce((s, r) => s + r, 0) / assetBHSharpes.length;
+  const completedTrades = [];
+  const equityCurve = [{ timestamp: stepPoints[0] || backtestStartTime, equity: capital }];
+  const rejections = { direction: 0, max_open_positions: 0, daily_loss: 0, same_direction: 0, sector_exposure: 0, correlation: 0, insufficient_cash: 0 };
+  let currentCapital = capital;
+  let openTrades = [];
+  let maxConcurrentPositions = 0;
+  let exposureSum = 0;
+  let peakExposurePct = 0;
+
+  const advance = (candles, pointer, ts) => {
+    while (pointer < candles.length - 1 && candles[pointer + 1].timestamp <= ts) pointer++;
+    return pointer;
+  };
+
+  const totalSteps = stepPoints.length;
+  if (onProgress) onProgress({ phase: 'running', message: `Analizando ${totalSteps} puntos...`, total: totalSteps, current: 0 });
+
+  for (let stepIdx = 0; stepIdx < stepPoints.length; stepIdx++) {
+    const stepTs = stepPoints[stepIdx];
+
+    if (onProgress && stepIdx % Math.max(1, Math.floor(totalSteps / 10)) === 0) {
+      onProgress({ phase: 'running', message: `Paso ${stepIdx}/${totalSteps}`, total: totalSteps, current: stepIdx });
+    }
+
+    for (const book of books) {
+      book.idx1h = advance(book.candles1h, book.idx1h, stepTs);
+      book.idx4h = advance(book.candles4h, book.idx4h, stepTs);
+      book.idx15m = advance(book.candles15m, book.idx15m, stepTs);
+    }
+
+    // ── Realize trades whose simulated exit happened by this step ──
+    const stillOpen = [];
+    for (const trade of openTrades) {
+      if (trade.result.exitTimestamp <= stepTs) {
+        completedTrades.push({ ...trade, ...trade.result, entryTimestamp: trade.entryTimestamp });
+        currentCapital += trade.result.pnl;
+      } else {
+        stillOpen.push(trade);
+      }
+    }
+    openTrades = stillOpen;
+
+    // ── Mark-to-market the whole book ─────────────────────────────
+    // Partial closes the clock has passed are realized; only the rest is marked
+    let openPnl = 0;
+    let grossExposure = 0;
+    for (const trade of openTrades) {
+      const partials = trade.result.partialCloses || [];
+      while (trade.partialsApplied < partials.length && partials[trade.partialsApplied].timestamp <= stepTs) {
+        const close = partials[trade.partialsApplied++];
+        trade.remainingQty -= close.quantity;
+        trade.partialPnl += trade.direction === 'LONG'
+          ? (close.price - trade.entryPrice) * close.quantity
+          : (trade.entryPrice - close.price) * close.quantity;
+      }
+      openPnl += trade.partialPnl;
+
+      const book = trade.book;
+      const price = book.candles1h[book.idx1h].close;
+      openPnl += trade.direction === 'LONG'
+        ? (price - trade.entryPrice) * trade.remainingQty
+        : (trade.entryPrice - price) * trade.remainingQty;
+      grossExposure += price * trade.remainingQty;
+    }
+    const equity = currentCapital + openPnl;
+    equityCurve.push({ timestamp: stepTs, equity: Math.round(equity * 100) / 100 });
+
+    const exposurePct = equity > 0 ? (grossExposure / equity) * 100 : 0;
+    exposureSum += exposurePct;
+    peakExposurePct = Math.max(peakExposurePct, exposurePct);
+    maxConcurrentPositions = Math.max(maxConcurrentPositions, openTrades.length);
+
+    // ── Generate candidate signals for every asset on this step ───
+    const candidates = [];
+    for (const book of books) {
+      if (book.candles1h[book.idx1h].timestamp < backtestStartTime) continue;
+      if (openTrades.some(t => t.asset === book.asset)) continue;
+      if (stepIdx - book.lastEntryStep < cooldownBars) continue;
+
+      const window1h = book.candles1h.slice(Math.max(0, book.idx1h - MIN_LOOKBACK['1h']), book.idx1h + 1);
+      const window4h = book.candles4h.slice(Math.max(0, book.idx4h - MIN_LOOKBACK['4h'] + 1), book.idx4h + 1);
+      const window15m = book.candles15m.slice(Math.max(0, book.idx15m - MIN_LOOKBACK['15m'] + 1), book.idx15m + 1);
+      if (window1h.length < 50 || window4h.length < 30 || window15m.length < 50) continue;
+
+      const inputs = buildStepInputs(book.asset, book.candles1h, book.idx1h, stepTs,
+        { fgData, fundingData: book.fundingData, btcDomData, dxyData },
+        { fearGreed });
+
+      try {
+        const signal = await generateMultiTimeframeSignal(
+          book.asset, inputs.currentPrice, inputs.change24h, inputs.volume, inputs.fearGreed,
+          inputs.derivatives, inputs.macro,
+          { '4h': window4h, '1h': window1h, '15m': window15m },
+          strategyConfig
+        );
+        const { eligible } = evaluateSignalForTrade(signal, { ...config, current_capital: currentCapital });
+        if (eligible) candidates.push({ book, signal });
+      } catch (signalErr) {
+        logger.debug('Signal generation failed in portfolio backtest', { asset: book.asset, step: stepIdx, error: signalErr.message });
+      }
+    }
+
+    // Strongest signals get first claim on cash and position slots
+    candidates.sort((x, y) =>
+      (y.signal.confidence || 0) - (x.signal.confidence || 0) ||
+      Math.abs(y.signal.rawScore || 0) - Math.abs(x.signal.rawScore || 0)
+    );
 
-  // Portfolio Monte Carlo
-  const portfolioMC = runMonteCarloSimulation(allTrades, totalCapitalUsed, {
+    for (const { book, signal } of candidates) {
+      if (!market.allowed.includes(signal.action === 'BUY' ? 'LONG' : 'SHORT')) { rejections.direction++; continue; }
+      if (openTrades.length >= maxOpenPositions) { rejections.max_open_positions++; continue; }
+
+      const dailyLossLimit = capital * config.max_daily_loss_percent;
+      const dailyPnl = completedTrades
+        .filter(t => t.exitTimestamp && t.exitTimestamp > stepTs - (24 * 60 * 60 * 1000))
+        .reduce((s, t) => s + t.pnl, 0);
+      if (dailyPnl <= -dailyLossLimit) { rejections.daily_loss++; continue; }
+
+      const tempConfig = { ...config, current_capital: currentCapital };
+      const openPositions = openTrades.map(t => ({
+        asset: t.asset, direction: t.direction, position_size_usd: t.positionSizeUsd
+      }));
+      const limits = await evaluatePortfolioLimits(openPositions, signal, tempConfig, correlationAt(stepTs));
+      if (!limits.allowed) {
+        rejections[limits.rule] = (rejections[limits.rule] || 0) + 1;
+        continue;
+      }
+
+      let sizingOptions = null;
+      if (kellySizing) {
+        const currentATRPercent = parseFloat(signal.indicators?.atrPercent) || 0;
+        sizingOptions = buildSizingOptions(completedTrades, currentATRPercent, kellySizing);
+      }
+      const posSize = calculatePositionSize(tempConfig, signal, sizingOptions);
+      if (posSize.positionSizeUsd <= 0) continue;
+
+      // Cash constraint: no leverage — open notional can't exceed realized capital
+      const committed = openTrades.reduce((s, t) => s + t.positionSizeUsd, 0);
+      const availableCash = currentCapital - committed;
+      let { positionSizeUsd, quantity } = posSize;
+      if (positionSizeUsd > availableCash) {
+        if (availableCash < MIN_POSITION_USD) { rejections.insufficient_cash++; continue; }
+        positionSizeUsd = Math.round(availableCash * 100) / 100;
+        quantity = positionSizeUsd / signal.tradeLevels.entry;
+      }
+
+      const assetCost = getAssetCost(book.asset);
+      const slippedEntry = signal.action === 'BUY'
+        ? signal.tradeLevels.entry * (1 + assetCost)
+        : signal.tradeLevels.entry * (1 - assetCost);
+
+      const trade = {
+        asset: signal.asset,
+        direction: signal.action === 'BUY' ? 'LONG' : 'SHORT',
+        entryPrice: slippedEntry,
+        _assetCost: assetCost,
+        stopLoss: signal.tradeLevels.stopLoss,
+        takeProfit1: signal.tradeLevels.takeProfit1,
+        takeProfit2: signal.tradeLevels.takeProfit2,
+        trailingStop: signal.tradeLevels.trailingStop,
+        trailingActivation: signal.tradeLevels.trailingActivation,
+        exitPlan: buildExitPlan(
+          resolveExitLadder(signal.tradeLevels.exitLadder, config),
+          { ...signal.tradeLevels, entry: slippedEntry },
+          signal.action === 'BUY' ? 'LONG' : 'SHORT'
+        ),
+        quantity,
+        remainingQty: quantity,
+        partialPnl: 0,       // Realized by partial closes, booked with the trade at exit
+        partialsApplied: 0,
+        positionSizeUsd,
+        riskAmount: posSize.riskAmount,
+        startIndex: book.idx1h,
+        entryTimestamp: book.candles1h[book.idx1h].timestamp,
+        strengthLabel: signal.strengthLabel,
+        confidence: signal.confidence,
+        score: signal.score,
+        rawScore: signal.rawScore,
+        confluence: signal.timeframes?.confluence || 'unknown',
+        sizingMeta: posSize.sizing || null
+      };
+      // Outcome depends only on this asset's future candles; it is realized on the clock
+      trade.result = simulateTradeExecution(trade, book.candles1h, book.idx1h,
+        market.chargesFunding ? { fundingData: book.fundingData } : {});
+      trade.book = book;
+
+      openTrades.push(trade);
+      book.lastEntryStep = stepIdx;
+    }
+  }
+
+  // ─── 4. Close out remaining positions (simulated to end of data) ─────
+  for (const trade of openTrades) {
+    completedTrades.push({ ...trade, ...trade.result, entryTimestamp: trade.entryTimestamp });
+    currentCapital += trade.result.pnl;
+  }
+  completedTrades.sort((a, b) => a.exitTimestamp - b.exitTimestamp);
+
+  equityCurve.push({
+    timestamp: Math.max(...books.map(b => b.candles1h[b.candles1h.length - 1].timestamp)),
+    equity: Math.round(currentCapital * 100) / 100
+  });
+
+  // ─── 5. Metrics ──────────────────────────────────────────────────────
+  const metrics = calculateBacktestMetrics(completedTrades, equityCurve, capital, days);
+
+  // Equal-weight buy & hold basket on the 1h timestamps shared by every asset
+  const weight = capital / books.length;
+  const closesByTs = new Map();
+  for (const book of books) {
+    const startPrice = book.candles1h[book.firstStepIndex].close;
+    for (let i = book.firstStepIndex; i < book.candles1h.length; i++) {
+      const c = book.candles1h[i];
+      const entry = closesByTs.get(c.timestamp) || { sum: 0, count: 0 };
+      entry.sum += weight * (c.close / startPrice);
+      entry.count++;
+      closesByTs.set(c.timestamp, entry);
+    }
+  }
+  const basketCandles = [...closesByTs.entries()]
+    .filter(([, v]) => v.count === books.length)
+    .sort((a, b) => a[0] - b[0])
+    .map(([timestamp, v]) => ({ timestamp, close: v.sum }));
+  const basket = calculateBuyAndHoldMetrics(basketCandles, capital);
+
+  const monteCarlo = runMonteCarloSimulation(completedTrades, capital, {
     simulations: 1000,
     seed: 42,
     blockSize: 10
   });
+  const significance = runStatisticalTests(completedTrades, monteCarlo);
 
-  // Per-asset summary
-  const perAssetSummary = assetResults.map(({ asset, result, error }) => {
-    if (error) return { asset, error };
-    return {
-      asset,
-      totalReturn: result.metrics.totalPnlPercent,
-      sharpe: result.metrics.sharpeRatio,
-      winRate: result.metrics.winRate,
-      totalTrades: result.metrics.totalTrades,
-      maxDrawdown: result.metrics.maxDrawdownPercent,
-      profitFactor: result.metrics.profitFactor,
-      informationRatio: result.benchmark?.comparison?.informationRatio || 0
-    };
-  });
-
-  // Diversification ratio: portfolio vol / weighted avg individual vols
-  // Approximate using max drawdowns
-  const avgAssetDD = successfulAssets.reduce((s, a) => s + a.result.metrics.maxDrawdownPercent, 0) / successfulAssets.length;
-  const diversificationRatio = avgAssetDD > 0
-    ? Math.round((portfolioMetrics.maxDrawdownPercent / avgAssetDD) * 100) / 100
-    : 1;
+  // Per-asset contribution to the shared book
+  const perAssetSummary = [
+    ...books.map(({ asset }) => {
+      const trades = completedTrades.filter(t => t.asset === asset);
+      const wins = trades.filter(t => t.pnl > 0);
+      const grossProfit = wins.reduce((s, t) => s + t.pnl, 0);
+      const grossLoss = Math.abs(trades.filter(t => t.pnl <= 0).reduce((s, t) => s + t.pnl, 0));
+      const totalPnl = trades.reduce((s, t) => s + t.pnl, 0);
+      return {
+        asset,
+        totalTrades: trades.length,
+        winRate: trades.length > 0 ? Math.round((wins.length / trades.length) * 100) : 0,
+        totalPnl: Math.round(totalPnl * 100) / 100,
+        contributionPercent: Math.round((totalPnl / capital) * 10000) / 100,
+        profitFactor: grossLoss > 0 ? Math.round((grossProfit / grossLoss) * 100) / 100 : grossProfit > 0 ? Infinity : 0
+      };
+    }),
+    ...failedAssets
+  ];
 
   const duration = ((Date.now() - startTime) / 1000).toFixed(1);
 
   if (onProgress) onProgress({ phase: 'completed', message: 'Portfolio backtest completado' });
 
   logger.info('Portfolio backtest completed', {
-    assets: assets.join(', '), days, duration: duration + 's',
-    totalTrades: portfolioMetrics.totalTrades,
-    portfolioReturn: portfolioMetrics.totalPnlPercent + '%',
-    diversificationRatio
+    assets: uniqueAssets.join(', '), days, duration: duration + 's',
+    totalTrades: metrics.totalTrades,
+    portfolioReturn: metrics.totalPnlPercent + '%',
+    maxDrawdown: metrics.maxDrawdownPercent + '%',
+    rejections
   });
 
+  const cleanTrades = completedTrades.map(t => ({
+    asset: t.asset,
+    direction: t.direction,
+    entryPrice: t.entryPrice,
+    exitPrice: t.exitPrice,
+    entryTimestamp: t.entryTimestamp,
+    exitTimestamp: t.exitTimestamp,
+    exitReason: t.exitReason,
+    pnl: t.pnl,
+    pnlPercent: t.pnlPercent,
+    positionSizeUsd: t.positionSizeUsd,
+    holdingBars: t.holdingBars,
+    strengthLabel: t.strengthLabel,
+    confidence: t.confidence,
+    score: t.score,
+    confluence: t.confluence,
+    maxFavorable: t.maxFavorable,
+    maxAdverse: t.maxAdverse,
+    fundingCost: t.fundingCost || 0,
+    targetsHit: t.targetsHit || 0,
+    sizingMeta: t.sizingMeta || null
+  }));
+
   return {
     type: 'portfolio',
-    config: { assets, days, stepInterval, capital, capitalPerAsset, riskPerTrade, maxOpenPositions, strategyConfig },
-    metrics: portfolioMetrics,
+    config: {
+      assets: uniqueAssets, days, stepInterval, capital, riskPerTrade, maxOpenPositions, cooldownBars,
+      minConfluence, minRR, allowedStrength,
+      maxPortfolioCorrelation, maxSectorExposurePct, maxSameDirectionCrypto, strategyConfig, endTime: asOf,
+      marketType, directions
+    },
+    dataset: describeDataset(
+      Object.fromEntries(books.map(b => [b.asset, { '1h': b.candles1h, '4h': b.candles4h, '15m': b.candles15m }])),
+      {
+        fearGreed: fgData, btcDominance: btcDomData, dxy: dxyData,
+        funding: Object.fromEntries(books.map(b => [b.asset, b.fundingData]))
+      },
+      { endTime: asOf, source: datasetSource(!!preloadedCandles, offline) }
+    ),
+    metrics,
     benchmark: {
       buyAndHold: {
-        totalReturn: Math.round(portfolioBHReturn * 100) / 100,
-        sharpeRatio: Math.round(portfolioBHSharpe * 100) / 100
+        totalReturn: basket.totalReturn,
+        maxDrawdown: basket.maxDrawdown,
+        annualizedReturn: basket.annualizedReturn,
+        sharpeRatio: basket.sharpeRatio,
+        equityCurve: basket.equityCurve
       },
       comparison: {
-        returnDiff: Math.round((portfolioMetrics.totalPnlPercent - portfolioBHReturn) * 100) / 100,
-        sharpeDiff: Math.round((portfolioMetrics.sharpeRatio - portfolioBHSharpe) * 100) / 100
+        returnDiff: Math.round((metrics.totalPnlPercent - basket.totalReturn) * 100) / 100,
+        drawdownDiff: Math.round((metrics.maxDrawdownPercent - basket.maxDrawdown) * 100) / 100,
+        sharpeDiff: Math.round((metrics.sharpeRatio - basket.sharpeRatio) * 100) / 100
       }
     },
-    monteCarlo: portfolioMC,
+    monteCarlo,
+    significance,
     perAsset: perAssetSummary,
-    diversificationRatio,
-    trades: allTrades,
-    equityCurve: portfolioEquityCurve,
+    exposure: {
+      maxConcurrentPositions,
+      avgGrossExposurePercent: totalSteps > 0 ? Math.round((exposureSum / totalSteps) * 100) / 100 : 0,
+      peakGrossExposurePercent: Math.round(peakExposurePct * 100) / 100
+    },
+    rejections,
+    trades: cleanTrades,
+    equityCurve,
     duration: parseFloat(duration)
   };
 }
@@ -1711,21 +2273,32 @@ async function runPortfolioBacktest(options = {}) {
 
 module.exports = {
   fetchHistoricalCandles,
+  fetchHistoricalCandlesRange,
   fetchAllTimeframes,
+  loadHistoricalCandles,
+  loadAllTimeframes,
+  loadHistoricalContext,
+  loadFundingHistory,
   fetchHistoricalFearGreed,
   fetchHistoricalFundingRate,
   fetchHistoricalBtcDominance,
   fetchHistoricalDXY,
   lookupByTimestamp,
+  buildStepInputs,
+  createHistoricalCorrelation,
   runBacktest,
   runPortfolioBacktest,
   simulateTradeExecution,
+  calculateFundingCost,
+  resolveMarketRules,
   calculateBacktestMetrics,
   calculateBuyAndHoldMetrics,
   SLIPPAGE,
   COMMISSION,
   TOTAL_COST,
   INTERVAL_MS,
+  MARKET_TYPES,
+  MAX_PORTFOLIO_ASSETS,
   // Test helper — reset module-level caches
   _resetMacroCache() {
     _btcDomCache = { data: [], expiry: 0 };
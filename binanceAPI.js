@@ -7,6 +7,7 @@
 const axios = require('axios');
 const { logger } = require('./logger');
 const { classifyAxiosError, Provider } = require('./errors');
+const { getStateBackend } = require('./sharedState');
 
 // Safe parseFloat: returns 0 (with warning) on NaN instead of propagating
 function safeFloat(value, field = 'unknown') {
@@ -49,11 +50,13 @@ let activeBinanceBase = BINANCE_ENDPOINTS[0];
 
 // Rate limits: Weight per endpoint (public klines = 1 weight)
 // Binance rate limit: 6000 weight per minute (IP-based)
-// Conservative: 100 requests per minute to avoid rate limiting
+// Conservative: 100 weight per minute to avoid rate limiting. The budget is
+// shared by every process (sharedState.js), not granted to each one.
 const RATE_LIMIT_REQUESTS_PER_MINUTE = 100;
 const RATE_LIMIT_INTERVAL_MS = 60000;
+const RATE_LIMIT_BUDGET_KEY = 'binance:rest';
 
-// Request tracker for rate limiting
+// Last budget seen by this process (mirrors the shared window)
 let requestCount = 0;
 let rateLimitResetTime = Date.now() + RATE_LIMIT_INTERVAL_MS;
 
@@ -107,30 +110,26 @@ const VALID_INTERVALS = {
 };
 
 /**
- * Check and enforce rate limiting
- * @returns {boolean} true if request is allowed, false if rate limited
+ * Check and enforce rate limiting against the shared weight budget
+ * @param {number} [weight=1] - Request weight to spend
+ * @returns {Promise<boolean>} true if request is allowed, false if rate limited
  */
-function checkRateLimit() {
-  const now = Date.now();
-
-  // Reset counter if interval has passed
-  if (now >= rateLimitResetTime) {
-    requestCount = 0;
-    rateLimitResetTime = now + RATE_LIMIT_INTERVAL_MS;
-  }
-
-  // Check if we're within limit
-  if (requestCount >= RATE_LIMIT_REQUESTS_PER_MINUTE) {
-    const waitTime = rateLimitResetTime - now;
+async function checkRateLimit(weight = 1) {
+  const budget = await getStateBackend().consumeBudget(
+    RATE_LIMIT_BUDGET_KEY, weight, RATE_LIMIT_REQUESTS_PER_MINUTE, RATE_LIMIT_INTERVAL_MS
+  );
+  requestCount = budget.used;
+  rateLimitResetTime = budget.resetAt;
+
+  if (!budget.allowed) {
     logger.warn('Binance rate limit reached', {
       requestCount,
       limit: RATE_LIMIT_REQUESTS_PER_MINUTE,
-      waitMs: waitTime
+      waitMs: Math.max(0, rateLimitResetTime - Date.now())
     });
     return false;
   }
 
-  requestCount++;
   return true;
 }
 
@@ -172,7 +171,7 @@ async function fetchKlines(symbol, interval = '1h', limit = 100, startTime = nul
   }
 
   // Check rate limit
-  if (!checkRateLimit()) {
+  if (!(await checkRateLimit())) {
     const waitTime = rateLimitResetTime - Date.now();
     throw new Error(`Rate limited. Wait ${Math.ceil(waitTime / 1000)}s`);
   }
@@ -281,7 +280,7 @@ async function fetchOHLCVForAsset(coinGeckoId, interval = '1h', limit = 100) {
  * @returns {Promise<Object>} 24h ticker data
  */
 async function fetch24hTicker(symbol) {
-  if (!checkRateLimit()) {
+  if (!(await checkRateLimit())) {
     const waitTime = rateLimitResetTime - Date.now();
     throw new Error(`Rate limited. Wait ${Math.ceil(waitTime / 1000)}s`);
   }
@@ -333,7 +332,7 @@ async function fetch24hTicker(symbol) {
  * @returns {Promise<Object>} Map of symbol → ticker data
  */
 async function fetchMultiple24hTickers(symbols) {
-  if (!checkRateLimit()) {
+  if (!(await checkRateLimit())) {
     const waitTime = rateLimitResetTime - Date.now();
     throw new Error(`Rate limited. Wait ${Math.ceil(waitTime / 1000)}s`);
   }
@@ -404,6 +403,28 @@ function getRateLimitStatus() {
   };
 }
 
+/**
+ * Get rate limit status of the shared budget (all processes)
+ * @returns {Promise<Object>} Same shape as getRateLimitStatus, plus denied/shared
+ */
+async function getGlobalRateLimitStatus() {
+  const backend = getStateBackend();
+  const budget = await backend.getBudget(RATE_LIMIT_BUDGET_KEY);
+  if (!budget) return { ...getRateLimitStatus(), denied: 0, backend: backend.kind };
+
+  const resetIn = Math.max(0, budget.resetAt - Date.now());
+  const expired = resetIn === 0;
+  return {
+    requestCount: expired ? 0 : budget.used,
+    limit: budget.limit,
+    remaining: expired ? budget.limit : budget.remaining,
+    resetInMs: resetIn,
+    resetInSeconds: Math.ceil(resetIn / 1000),
+    denied: budget.denied,
+    backend: backend.kind
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // BINANCE FUTURES API (Public, no auth required)
 // Funding Rate, Open Interest, Long/Short Ratio
@@ -438,7 +459,7 @@ const FUTURES_SYMBOL_MAP = { ...SYMBOL_MAP };
  * @returns {Promise<Object>} { fundingRate, fundingTime, markPrice }
  */
 async function fetchFundingRate(symbol) {
-  if (!checkRateLimit()) throw new Error('Rate limited');
+  if (!(await checkRateLimit())) throw new Error('Rate limited');
 
   for (const endpoint of [activeFuturesBase, ...BINANCE_FUTURES_ENDPOINTS.filter(e => e !== activeFuturesBase)]) {
     try {
@@ -475,7 +496,7 @@ async function fetchFundingRate(symbol) {
  * @returns {Promise<Object>} { openInterest, symbol, time }
  */
 async function fetchOpenInterest(symbol) {
-  if (!checkRateLimit()) throw new Error('Rate limited');
+  if (!(await checkRateLimit())) throw new Error('Rate limited');
 
   for (const endpoint of [activeFuturesBase, ...BINANCE_FUTURES_ENDPOINTS.filter(e => e !== activeFuturesBase)]) {
     try {
@@ -695,6 +716,58 @@ async function fetchDerivativesData(coinGeckoId) {
   }
 }
 
+/**
+ * Open interest change over the last `hours`, from hourly OI history.
+ * Binance /futures/data/openInterestHist first, Bybit V5 when the session
+ * has switched to Bybit or Binance fails.
+ * @param {string} coinGeckoId - e.g. 'bitcoin'
+ * @param {number} hours - Lookback (1h buckets, max 48)
+ * @returns {Promise<{changePercent: number, from: number, to: number, hours: number, source: string}|null>}
+ */
+async function fetchOpenInterestChange(coinGeckoId, hours = 24) {
+  const symbol = FUTURES_SYMBOL_MAP[coinGeckoId];
+  if (!symbol) return null;
+  const limit = Math.min(Math.max(Math.round(hours), 1), 48) + 1;
+
+  const toChange = (from, to, source) => {
+    if (!(from > 0) || !(to >= 0)) return null;
+    return {
+      changePercent: Math.round(((to - from) / from) * 10000) / 100,
+      from, to, hours: limit - 1, source
+    };
+  };
+
+  if (derivativesProvider === 'binance' && await checkRateLimit()) {
+    try {
+      const response = await binanceFuturesClient.get('/futures/data/openInterestHist', {
+        params: { symbol, period: '1h', limit },
+        baseURL: activeFuturesBase
+      });
+      const rows = Array.isArray(response.data) ? response.data : [];
+      if (rows.length >= 2) {
+        // Oldest first
+        return toChange(parseFloat(rows[0].sumOpenInterest), parseFloat(rows[rows.length - 1].sumOpenInterest), 'binance');
+      }
+    } catch (error) {
+      logger.debug('Binance OI history unavailable, trying Bybit', { coinGeckoId, error: error.message });
+    }
+  }
+
+  try {
+    const res = await axios.get(`${BYBIT_BASE}/v5/market/open-interest`, {
+      params: { category: 'linear', symbol, intervalTime: '1h', limit },
+      timeout: 10000
+    });
+    const list = res.data?.result?.list || [];
+    if (list.length < 2) return null;
+    // Newest first
+    return toChange(parseFloat(list[list.length - 1].openInterest), parseFloat(list[0].openInterest), 'bybit');
+  } catch (error) {
+    logger.warn('Open interest history fetch failed', { coinGeckoId, error: error.message });
+    return null;
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // ORDER BOOK DEPTH (Spot)
 // Bid/Ask walls, imbalance ratio, spread analysis
@@ -724,7 +797,7 @@ async function fetchOrderBookDepth(coinGeckoId, limit = 20) {
   const symbol = SYMBOL_MAP[coinGeckoId];
   if (!symbol) return null;
 
-  if (!checkRateLimit()) {
+  if (!(await checkRateLimit())) {
     logger.warn('Rate limited - skipping order book', { coinGeckoId });
     return null;
   }
@@ -806,14 +879,17 @@ async function fetchOrderBookDepth(coinGeckoId, limit = 20) {
 
 module.exports = {
   fetchKlines,
+  parseKlines,
   fetchOHLCVForAsset,
   fetch24hTicker,
   fetchMultiple24hTickers,
   getRateLimitStatus,
+  getGlobalRateLimitStatus,
   fetchFundingRate,
   fetchOpenInterest,
   fetchLongShortRatio,
   fetchDerivativesData,
+  fetchOpenInterestChange,
   fetchOrderBookDepth,
   fetchHistoricalFundingBybit,
   fetchFundingRateBybit,
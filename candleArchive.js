@@ -0,0 +1,428 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - CANDLE ARCHIVE
+// Persistent on-disk store for historical candles and context series
+// (Fear & Greed, funding, BTC dominance, DXY) used by backtests/optimizer.
+//   - Incremental gap-fill: only ranges never fetched before hit the network
+//   - Settled data only: in-progress candles / today's values are not archived
+//   - Dataset hash: fingerprint of the exact inputs a backtest consumed
+//   - CSV import/export for sharing and offline reproduction
+// Storage-only module — callers supply the fetcher for each series.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { logger } = require('./logger');
+
+const DEFAULT_ARCHIVE_DIR = path.join(__dirname, 'data', 'candle-archive');
+const ARCHIVE_FORMAT_VERSION = 1;
+
+/**
+ * Archive root directory (read at call time so tests/CLI can override via env)
+ */
+function getArchiveDir() {
+  return process.env.CANDLE_ARCHIVE_DIR || DEFAULT_ARCHIVE_DIR;
+}
+
+/**
+ * Archive is on by default; CANDLE_ARCHIVE=off restores pure live fetching.
+ */
+function isArchiveEnabled() {
+  return (process.env.CANDLE_ARCHIVE || '').toLowerCase() !== 'off';
+}
+
+// ─── Series identity ────────────────────────────────────────────────────────
+
+/**
+ * Series IDs are path-like: 'candles/bitcoin/1h', 'context/fear_greed',
+ * 'context/funding/bitcoin'. Only [a-z0-9_-] segments are allowed.
+ */
+function candleSeriesId(asset, interval) {
+  return `candles/${asset}/${interval}`;
+}
+
+function contextSeriesId(name, asset = null) {
+  return asset ? `context/${name}/${asset}` : `context/${name}`;
+}
+
+function validateSeriesId(seriesId) {
+  if (typeof seriesId !== 'string' || !/^[a-z0-9_-]+(\/[a-z0-9_-]+)*$/i.test(seriesId)) {
+    throw new Error(`Invalid series id: ${seriesId}`);
+  }
+  return seriesId;
+}
+
+function seriesPath(seriesId) {
+  return path.join(getArchiveDir(), `${validateSeriesId(seriesId)}.json`);
+}
+
+// ─── Range helpers ──────────────────────────────────────────────────────────
+
+/**
+ * Merge overlapping/adjacent [from, to] ranges (inclusive ms bounds).
+ */
+function mergeRanges(ranges) {
+  const sorted = ranges
+    .filter(r => Array.isArray(r) && r[0] <= r[1])
+    .map(r => [r[0], r[1]])
+    .sort((a, b) => a[0] - b[0]);
+  const merged = [];
+  for (const r of sorted) {
+    const last = merged[merged.length - 1];
+    if (last && r[0] <= last[1] + 1) {
+      last[1] = Math.max(last[1], r[1]);
+    } else {
+      merged.push(r);
+    }
+  }
+  return merged;
+}
+
+/**
+ * Sub-ranges of [from, to] not covered by `coverage`.
+ * @returns {Array<[number, number]>}
+ */
+function missingRanges(coverage, from, to) {
+  if (from > to) return [];
+  const gaps = [];
+  let cursor = from;
+  for (const [a, b] of mergeRanges(coverage)) {
+    if (b < cursor) continue;
+    if (a > to) break;
+    if (a > cursor) gaps.push([cursor, a - 1]);
+    cursor = Math.max(cursor, b + 1);
+    if (cursor > to) break;
+  }
+  if (cursor <= to) gaps.push([cursor, to]);
+  return gaps;
+}
+
+/**
+ * Merge points by timestamp. Existing points win — once a value is archived it
+ * never changes, which is what makes replays reproducible.
+ */
+function mergePoints(existing, incoming) {
+  const byTs = new Map();
+  for (const p of incoming) {
+    if (p && Number.isFinite(p.timestamp)) byTs.set(p.timestamp, p);
+  }
+  for (const p of existing) byTs.set(p.timestamp, p);
+  return [...byTs.values()].sort((a, b) => a.timestamp - b.timestamp);
+}
+
+// ─── Storage ────────────────────────────────────────────────────────────────
+
+/**
+ * Read a series from disk.
+ * @returns {{ seriesId, coverage: Array, points: Array }} Empty series if missing
+ */
+function readSeries(seriesId) {
+  const file = seriesPath(seriesId);
+  if (!fs.existsSync(file)) {
+    return { seriesId, coverage: [], points: [] };
+  }
+  try {
+    const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+    return {
+      seriesId,
+      coverage: Array.isArray(data.coverage) ? data.coverage : [],
+      points: Array.isArray(data.points) ? data.points : []
+    };
+  } catch (err) {
+    logger.warn('Candle archive: unreadable series, ignoring', { seriesId, error: err.message });
+    return { seriesId, coverage: [], points: [] };
+  }
+}
+
+/**
+ * Write a series atomically (tmp file + rename).
+ */
+function writeSeries(seriesId, { coverage, points }) {
+  const file = seriesPath(seriesId);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const payload = {
+    version: ARCHIVE_FORMAT_VERSION,
+    seriesId,
+    updatedAt: new Date().toISOString(),
+    coverage: mergeRanges(coverage),
+    points
+  };
+  const tmp = `${file}.${process.pid}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(payload));
+  fs.renameSync(tmp, file);
+}
+
+/**
+ * List archived series with point counts and coverage.
+ */
+function listSeries() {
+  const root = getArchiveDir();
+  if (!fs.existsSync(root)) return [];
+  const out = [];
+  const walk = (dir) => {
+    for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+      const full = path.join(dir, entry.name);
+      if (entry.isDirectory()) {
+        walk(full);
+      } else if (entry.name.endsWith('.json')) {
+        const seriesId = path.relative(root, full).slice(0, -'.json'.length).split(path.sep).join('/');
+        const { coverage, points } = readSeries(seriesId);
+        out.push({
+          seriesId,
+          points: points.length,
+          from: points[0]?.timestamp ?? null,
+          to: points[points.length - 1]?.timestamp ?? null,
+          coverage: mergeRanges(coverage)
+        });
+      }
+    }
+  };
+  walk(root);
+  return out.sort((a, b) => a.seriesId.localeCompare(b.seriesId));
+}
+
+// ─── Gap-filling loader ─────────────────────────────────────────────────────
+
+/**
+ * Load [from, to] for a series, fetching only ranges the archive has never covered.
+ *
+ * Only settled data is archived and returned: anything newer than
+ * `now - settleMs` (the in-progress candle, today's F&G value, ...) is dropped,
+ * so a later replay over the same range sees byte-identical input.
+ *
+ * @param {string} seriesId
+ * @param {Object} options
+ * @param {number} options.from - Range start (ms, inclusive)
+ * @param {number} options.to - Range end (ms, inclusive)
+ * @param {number} options.settleMs - Age after which a point is final (e.g. the candle interval)
+ * @param {Function} [options.fetchRange] - async (from, to) => points[] (sorted or not)
+ * @param {boolean} [options.offline=false] - Never fetch; serve what is archived
+ * @param {number} [options.now=Date.now()]
+ * @returns {Promise<{ points: Array, fetchedRanges: number, missing: Array }>}
+ */
+async function loadSeries(seriesId, options) {
+  const { from, to, settleMs = 0, fetchRange = null, offline = false, now = Date.now() } = options;
+  const settledTo = Math.min(to, now - settleMs);
+  const series = readSeries(seriesId);
+
+  let gaps = missingRanges(series.coverage, from, settledTo);
+  let fetchedRanges = 0;
+
+  if (gaps.length > 0 && !offline && fetchRange) {
+    let points = series.points;
+    const coverage = [...series.coverage];
+    const stillMissing = [];
+
+    for (const [gapFrom, gapTo] of gaps) {
+      let fetched = [];
+      try {
+        fetched = await fetchRange(gapFrom, gapTo);
+      } catch (err) {
+        logger.warn('Candle archive: gap fetch failed', { seriesId, from: gapFrom, to: gapTo, error: err.message });
+      }
+      const settled = (fetched || []).filter(p => p && p.timestamp >= gapFrom && p.timestamp <= gapTo);
+      // Empty result = provider failure or no data yet: leave the gap open so it is retried next run
+      if (settled.length === 0) {
+        stillMissing.push([gapFrom, gapTo]);
+        continue;
+      }
+      points = mergePoints(points, settled);
+      coverage.push([gapFrom, gapTo]);
+      fetchedRanges++;
+    }
+
+    if (fetchedRanges > 0) {
+      writeSeries(seriesId, { coverage, points });
+      series.points = points;
+      logger.info('Candle archive: gaps filled', { seriesId, fetchedRanges, points: points.length });
+    }
+    gaps = stillMissing;
+  }
+
+  if (gaps.length > 0) {
+    logger.warn('Candle archive: series incomplete for requested range', {
+      seriesId, offline, missingRanges: gaps.length,
+      from: new Date(from).toISOString(), to: new Date(settledTo).toISOString()
+    });
+  }
+
+  return {
+    points: series.points.filter(p => p.timestamp >= from && p.timestamp <= settledTo),
+    fetchedRanges,
+    missing: gaps
+  };
+}
+
+// ─── Dataset hash ───────────────────────────────────────────────────────────
+
+function canonicalize(value) {
+  if (Array.isArray(value)) return value.map(canonicalize);
+  if (value && typeof value === 'object') {
+    return Object.keys(value).sort().reduce((acc, k) => {
+      acc[k] = canonicalize(value[k]);
+      return acc;
+    }, {});
+  }
+  return value;
+}
+
+/**
+ * SHA-256 fingerprint of the exact series a run consumed.
+ * Key order inside points does not matter; point order and values do.
+ *
+ * @param {Object} dataset - e.g. { candles: { '1h': [...] }, context: { fearGreed: [...] } }
+ * @returns {string} 'sha256:<hex>'
+ */
+function computeDatasetHash(dataset) {
+  const hash = crypto.createHash('sha256');
+  hash.update(JSON.stringify(canonicalize(dataset)));
+  return `sha256:${hash.digest('hex')}`;
+}
+
+// ─── CSV import / export ────────────────────────────────────────────────────
+
+function csvCell(value) {
+  if (value === null || value === undefined) return '';
+  const s = String(value);
+  return /[",\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function parseCsvLine(line) {
+  const cells = [];
+  let cur = '';
+  let quoted = false;
+  for (let i = 0; i < line.length; i++) {
+    const ch = line[i];
+    if (quoted) {
+      if (ch === '"' && line[i + 1] === '"') { cur += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else cur += ch;
+    } else if (ch === '"') {
+      quoted = true;
+    } else if (ch === ',') {
+      cells.push(cur);
+      cur = '';
+    } else {
+      cur += ch;
+    }
+  }
+  cells.push(cur);
+  return cells;
+}
+
+/**
+ * Serialize points as CSV (timestamp first, remaining columns sorted).
+ */
+function pointsToCsv(points) {
+  const columns = new Set();
+  for (const p of points) Object.keys(p).forEach(k => columns.add(k));
+  columns.delete('timestamp');
+  const header = ['timestamp', ...[...columns].sort()];
+  const lines = [header.join(',')];
+  for (const p of points) lines.push(header.map(c => csvCell(p[c])).join(','));
+  return lines.join('\n') + '\n';
+}
+
+/**
+ * Parse CSV produced by pointsToCsv (numeric cells become numbers).
+ */
+function csvToPoints(text) {
+  const lines = text.split(/\r?\n/).filter(l => l.trim() !== '');
+  if (lines.length === 0) return [];
+  const header = parseCsvLine(lines[0]);
+  if (header[0] !== 'timestamp') {
+    throw new Error('CSV must start with a timestamp column');
+  }
+  return lines.slice(1).map(line => {
+    const cells = parseCsvLine(line);
+    const point = {};
+    header.forEach((col, i) => {
+      const raw = cells[i];
+      if (raw === undefined || raw === '') return;
+      const num = Number(raw);
+      point[col] = Number.isFinite(num) ? num : raw;
+    });
+    return point;
+  }).filter(p => Number.isFinite(p.timestamp));
+}
+
+/**
+ * Export series to a directory: one CSV per series + manifest.json with coverage.
+ * Series '/' separators become '__' in file names.
+ *
+ * @param {string} outDir
+ * @param {string} [prefix=''] - Only export series whose id starts with this
+ * @returns {Array<{ seriesId, file, points }>}
+ */
+function exportArchive(outDir, prefix = '') {
+  fs.mkdirSync(outDir, { recursive: true });
+  const manifest = { version: ARCHIVE_FORMAT_VERSION, exportedAt: new Date().toISOString(), series: {} };
+  const exported = [];
+  for (const { seriesId } of listSeries()) {
+    if (!seriesId.startsWith(prefix)) continue;
+    const { coverage, points } = readSeries(seriesId);
+    const file = `${seriesId.split('/').join('__')}.csv`;
+    fs.writeFileSync(path.join(outDir, file), pointsToCsv(points));
+    manifest.series[seriesId] = { file, coverage: mergeRanges(coverage), points: points.length, hash: computeDatasetHash(points) };
+    exported.push({ seriesId, file, points: points.length });
+  }
+  fs.writeFileSync(path.join(outDir, 'manifest.json'), JSON.stringify(manifest, null, 2));
+  return exported;
+}
+
+/**
+ * Import CSV files into the archive (merging; existing points win).
+ * With a manifest.json the recorded coverage is restored; bare CSV files
+ * are treated as covering [first, last] timestamp.
+ *
+ * @param {string} source - Export directory or a single '<series__id>.csv' file
+ * @returns {Array<{ seriesId, imported, total }>}
+ */
+function importArchive(source) {
+  const stat = fs.statSync(source);
+  const dir = stat.isDirectory() ? source : path.dirname(source);
+  const manifestPath = path.join(dir, 'manifest.json');
+  const manifest = fs.existsSync(manifestPath) ? JSON.parse(fs.readFileSync(manifestPath, 'utf8')) : { series: {} };
+  const files = stat.isDirectory()
+    ? fs.readdirSync(dir).filter(f => f.endsWith('.csv'))
+    : [path.basename(source)];
+
+  const results = [];
+  for (const file of files) {
+    const seriesId = file.slice(0, -'.csv'.length).split('__').join('/');
+    validateSeriesId(seriesId);
+    const points = csvToPoints(fs.readFileSync(path.join(dir, file), 'utf8'))
+      .sort((a, b) => a.timestamp - b.timestamp);
+    if (points.length === 0) continue;
+
+    const declared = manifest.series?.[seriesId]?.coverage;
+    const importedCoverage = Array.isArray(declared) && declared.length > 0
+      ? declared
+      : [[points[0].timestamp, points[points.length - 1].timestamp]];
+
+    const existing = readSeries(seriesId);
+    const merged = mergePoints(existing.points, points);
+    writeSeries(seriesId, { coverage: [...existing.coverage, ...importedCoverage], points: merged });
+    results.push({ seriesId, imported: points.length, total: merged.length });
+  }
+  return results;
+}
+
+module.exports = {
+  getArchiveDir,
+  isArchiveEnabled,
+  candleSeriesId,
+  contextSeriesId,
+  mergeRanges,
+  missingRanges,
+  mergePoints,
+  readSeries,
+  writeSeries,
+  listSeries,
+  loadSeries,
+  computeDatasetHash,
+  pointsToCsv,
+  csvToPoints,
+  exportArchive,
+  importArchive
+};
@@ -2,10 +2,12 @@
 // SENTIX PRO — Circuit Breaker
 // Per-provider circuit breaker to pause calls after repeated failures.
 // States: CLOSED (normal) → OPEN (tripped) → HALF_OPEN (test) → CLOSED
+// Registry breakers share failures/trips across processes via sharedState.js.
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { logger } = require('./logger');
 const { getConfigSync } = require('./configManager');
+const { getStateBackend } = require('./sharedState');
 
 const CB_DEFAULTS = {
   failureThreshold: 3,     // Failures before tripping
@@ -13,6 +15,9 @@ const CB_DEFAULTS = {
   windowMs: 30000          // Time window to count failures (30s)
 };
 
+// How often a breaker re-reads the shared record before executing
+const SHARED_SYNC_MS = 2000;
+
 const STATE = Object.freeze({
   CLOSED: 'CLOSED',
   OPEN: 'OPEN',
@@ -35,8 +40,10 @@ function setAlertCallback(fn) {
 class CircuitBreaker {
   /**
    * @param {string} provider - Provider name (e.g., 'Binance', 'CoinGecko')
+   * @param {Object} [options]
+   * @param {Object|null} [options.backend=null] - Shared state backend; null = process-local only
    */
-  constructor(provider) {
+  constructor(provider, { backend = null } = {}) {
     this.provider = provider;
     this.state = STATE.CLOSED;
     this.failures = [];       // Timestamps of failures within window
@@ -44,6 +51,8 @@ class CircuitBreaker {
     this.lastFailureAt = null;
     this.totalTrips = 0;      // Lifetime trip count
     this._alertSentForCurrentTrip = false;
+    this._backend = backend;
+    this._lastSyncAt = 0;
   }
 
   /** @returns {{ failureThreshold: number, resetTimeoutMs: number, windowMs: number }} */
@@ -60,6 +69,7 @@ class CircuitBreaker {
    */
   async execute(fn, fallbackValue = null) {
     const config = this._getConfig();
+    await this._pullShared();
 
     switch (this.state) {
       case STATE.OPEN: {
@@ -84,10 +94,11 @@ class CircuitBreaker {
           this.failures = [];
           this._alertSentForCurrentTrip = false;
           logger.info('Circuit CLOSED (recovered)', { provider: this.provider });
+          await this._publish(b => b.close(this.provider));
           return result;
         } catch (err) {
           // Fail — back to OPEN
-          this._trip(config);
+          await this._trip(config);
           logger.warn('Circuit HALF_OPEN failed, re-opening', { provider: this.provider, error: err.message });
           return fallbackValue;
         }
@@ -101,17 +112,68 @@ class CircuitBreaker {
           this._pruneFailures(config.windowMs);
           return result;
         } catch (err) {
-          this._recordFailure(config);
+          await this._recordFailure(config);
           throw err;  // Let caller handle the error
         }
       }
     }
   }
 
+  /**
+   * Adopt trips and closes made by other processes (throttled to SHARED_SYNC_MS).
+   */
+  async _pullShared() {
+    if (!this._backend || Date.now() - this._lastSyncAt < SHARED_SYNC_MS) return;
+    this._lastSyncAt = Date.now();
+
+    let remote;
+    try {
+      remote = await this._backend.getBreaker(this.provider);
+    } catch (err) {
+      logger.debug('Shared breaker state unavailable', { provider: this.provider, error: err.message });
+      return;
+    }
+    if (!remote) return;
+
+    if (remote.state === STATE.OPEN && remote.openedAt && remote.openedAt > (this.openedAt || 0)) {
+      // Tripped elsewhere — pause here too; the tripping process sent the alert
+      this.state = STATE.OPEN;
+      this.openedAt = remote.openedAt;
+      this.totalTrips = Math.max(this.totalTrips, remote.totalTrips);
+      this._alertSentForCurrentTrip = true;
+      logger.info('Circuit OPEN (shared)', { provider: this.provider });
+    } else if (remote.state === STATE.CLOSED && this.state !== STATE.CLOSED &&
+               remote.closedAt && remote.closedAt >= (this.openedAt || 0)) {
+      // Recovered or reset elsewhere
+      this.state = STATE.CLOSED;
+      this.failures = [];
+      this.openedAt = null;
+      this._alertSentForCurrentTrip = false;
+      logger.info('Circuit CLOSED (shared)', { provider: this.provider });
+    }
+  }
+
+  /**
+   * Apply a change to the shared record. Local state is authoritative when
+   * the backend fails, so errors are logged and swallowed.
+   * @param {(backend: Object) => Promise<Object>} op
+   * @returns {Promise<Object|null>} Shared record after the change
+   */
+  async _publish(op) {
+    if (!this._backend) return null;
+    try {
+      return await op(this._backend);
+    } catch (err) {
+      logger.debug('Shared breaker update failed', { provider: this.provider, error: err.message });
+      return null;
+    }
+  }
+
   /**
    * Record a failure and potentially trip the breaker.
+   * Trips when either this process or all processes together hit the threshold.
    */
-  _recordFailure(config) {
+  async _recordFailure(config) {
     const now = Date.now();
     this.failures.push(now);
     this.lastFailureAt = now;
@@ -119,19 +181,29 @@ class CircuitBreaker {
     // Prune failures outside the window
     this._pruneFailures(config.windowMs);
 
-    if (this.failures.length >= config.failureThreshold) {
-      this._trip(config);
+    const shared = await this._publish(b => b.recordFailure(this.provider, config));
+
+    if (this.failures.length >= config.failureThreshold || shared?.tripped) {
+      await this._trip(config);
     }
   }
 
   /**
    * Trip the circuit to OPEN state.
    */
-  _trip(config) {
+  async _trip(config) {
     this.state = STATE.OPEN;
     this.openedAt = Date.now();
     this.totalTrips++;
 
+    const shared = await this._publish(b => b.trip(this.provider, config));
+    if (shared) {
+      this.openedAt = shared.openedAt || this.openedAt;
+      this.totalTrips = Math.max(this.totalTrips, shared.totalTrips);
+      // Another process opened it first and already alerted
+      if (!shared.tripped) this._alertSentForCurrentTrip = true;
+    }
+
     logger.warn('Circuit OPEN (tripped)', {
       provider: this.provider,
       failures: this.failures.length,
@@ -175,6 +247,9 @@ class CircuitBreaker {
 
   /**
    * Force reset to CLOSED state (admin action).
+   * Local state changes immediately; await the result to know the shared
+   * record is closed too (other processes pick it up on their next sync).
+   * @returns {Promise<Object|null>} Shared record after the reset
    */
   reset() {
     this.state = STATE.CLOSED;
@@ -182,6 +257,7 @@ class CircuitBreaker {
     this.openedAt = null;
     this._alertSentForCurrentTrip = false;
     logger.info('Circuit force-reset to CLOSED', { provider: this.provider });
+    return this._publish(b => b.close(this.provider));
   }
 }
 
@@ -197,7 +273,7 @@ const breakers = new Map();
  */
 function getBreaker(provider) {
   if (!breakers.has(provider)) {
-    breakers.set(provider, new CircuitBreaker(provider));
+    breakers.set(provider, new CircuitBreaker(provider, { backend: getStateBackend() }));
   }
   return breakers.get(provider);
 }
@@ -210,6 +286,44 @@ function getAllBreakerStatus() {
   return [...breakers.values()].map(b => b.getStatus());
 }
 
+/**
+ * Global view: shared records from every process merged with this process's
+ * breakers. Falls back to local status for providers never seen by the backend.
+ * @returns {Promise<Array>}
+ */
+async function getGlobalBreakerStatus() {
+  const config = getConfigSync('circuit_breaker', CB_DEFAULTS);
+  let shared = [];
+  try {
+    shared = await getStateBackend().listBreakers();
+  } catch (err) {
+    logger.debug('Shared breaker list unavailable', { error: err.message });
+  }
+
+  const byProvider = new Map(shared.map(r => [r.provider, r]));
+  const providers = new Set([...byProvider.keys(), ...breakers.keys()]);
+  const iso = ts => (ts ? new Date(ts).toISOString() : null);
+
+  return [...providers].sort().map(provider => {
+    const local = breakers.has(provider) ? breakers.get(provider).getStatus() : null;
+    const remote = byProvider.get(provider);
+    if (!remote) return { ...local, scope: 'local' };
+    return {
+      provider,
+      state: remote.state,
+      failureCount: remote.failureCount,
+      failureThreshold: config.failureThreshold,
+      openedAt: iso(remote.openedAt),
+      lastFailureAt: iso(remote.lastFailureAt),
+      totalTrips: remote.totalTrips,
+      resetTimeoutMs: config.resetTimeoutMs,
+      updatedAt: iso(remote.updatedAt),
+      scope: 'global',
+      local: local ? { state: local.state, failureCount: local.failureCount } : null
+    };
+  });
+}
+
 /**
  * Convenience: wrap a function call with a circuit breaker.
  * Catches the error from CLOSED state and returns fallback instead of throwing.
@@ -239,6 +353,7 @@ module.exports = {
   STATE,
   getBreaker,
   getAllBreakerStatus,
+  getGlobalBreakerStatus,
   wrapWithCircuitBreaker,
   setAlertCallback,
   // Exposed for testing
@@ -0,0 +1,484 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Exchange Credential Vault
+// Per-user exchange API keys for live execution, stored with envelope
+// encryption: each credential gets its own random data key (AES-256-GCM),
+// and that data key is wrapped with the master key from the environment.
+// Rotating the master key only re-wraps data keys; the secrets themselves are
+// re-encrypted when the user rotates their exchange key.
+//
+// Secrets never leave this module except as adapter constructor arguments —
+// listings carry the key masked via maskSecret and no secret at all.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { maskSecret } = require('./security');
+const { LRUCache } = require('./shared/lruCache');
+const { createAdapter } = require('./execution');
+
+const LIVE_EXCHANGES = Object.freeze(['bybit', 'binance']);
+
+const CREDENTIAL_LIMITS = Object.freeze({
+  minSecretLength: 8,
+  maxSecretLength: 256,
+  maxLabelLength: 80
+});
+
+const CIPHER = 'aes-256-gcm';
+const IV_BYTES = 12;
+const TAG_BYTES = 16;
+const SECRET_PATTERN = /^[\x21-\x7e]+$/; // printable ASCII, no whitespace
+
+// Columns safe to return to the owner (never ciphertext / wrapped_key)
+const PUBLIC_COLUMNS = 'id, user_id, exchange, label, testnet, api_key_masked, master_key_id, last_verified_at, verification_status, verification_error, rotated_at, created_at, updated_at';
+
+const userAdapters = new LRUCache({ maxSize: 200, ttl: 10 * 60 * 1000, name: 'credential-adapters' }); // user:exchange → adapter
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MASTER KEYS
+// CREDENTIAL_MASTER_KEY (32 bytes, base64 or hex) encrypts new data keys under
+// CREDENTIAL_MASTER_KEY_ID. Retired keys stay readable through
+// CREDENTIAL_MASTER_KEYS_PREVIOUS ("id:key,id:key") until rotateMasterKey runs.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function parseKey(raw) {
+  if (!raw) return null;
+  const value = raw.trim();
+  const key = /^[0-9a-f]{64}$/i.test(value) ? Buffer.from(value, 'hex') : Buffer.from(value, 'base64');
+  return key.length === 32 ? key : null;
+}
+
+/**
+ * @returns {{ currentId: string|null, keys: Map<string, Buffer>, error?: string }}
+ */
+function loadMasterKeys() {
+  const keys = new Map();
+  const currentId = process.env.CREDENTIAL_MASTER_KEY_ID || 'v1';
+
+  for (const entry of (process.env.CREDENTIAL_MASTER_KEYS_PREVIOUS || '').split(',')) {
+    const sep = entry.indexOf(':');
+    if (sep <= 0) continue;
+    const key = parseKey(entry.slice(sep + 1));
+    if (key) keys.set(entry.slice(0, sep).trim(), key);
+  }
+
+  const current = parseKey(process.env.CREDENTIAL_MASTER_KEY);
+  if (!current) {
+    return { currentId: null, keys, error: 'CREDENTIAL_MASTER_KEY is not set (32 bytes, base64 or hex)' };
+  }
+  keys.set(currentId, current);
+  return { currentId, keys };
+}
+
+function isVaultConfigured() {
+  return !loadMasterKeys().error;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ENVELOPE ENCRYPTION
+// Blobs are base64(iv | tag | ciphertext). The AAD binds ciphertext to its
+// owner and exchange, so a row copied onto another user fails to decrypt.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function seal(key, plaintext, aad) {
+  const iv = crypto.randomBytes(IV_BYTES);
+  const cipher = crypto.createCipheriv(CIPHER, key, iv);
+  cipher.setAAD(Buffer.from(aad));
+  const body = Buffer.concat([cipher.update(plaintext), cipher.final()]);
+  return Buffer.concat([iv, cipher.getAuthTag(), body]).toString('base64');
+}
+
+function open(key, blob, aad) {
+  const raw = Buffer.from(blob, 'base64');
+  const decipher = crypto.createDecipheriv(CIPHER, key, raw.subarray(0, IV_BYTES));
+  decipher.setAAD(Buffer.from(aad));
+  decipher.setAuthTag(raw.subarray(IV_BYTES, IV_BYTES + TAG_BYTES));
+  return Buffer.concat([decipher.update(raw.subarray(IV_BYTES + TAG_BYTES)), decipher.final()]);
+}
+
+const dataAad = (userId, exchange) => `sentix:credential:${userId}:${exchange}`;
+const wrapAad = (userId, exchange) => `sentix:data-key:${userId}:${exchange}`;
+
+/**
+ * Encrypt { apiKey, apiSecret } under a fresh data key wrapped by the current master key.
+ * @returns {{ ciphertext, wrapped_key, master_key_id }}
+ */
+function encryptSecrets(userId, exchange, secrets) {
+  const { currentId, keys, error } = loadMasterKeys();
+  if (error) throw new Error(error);
+
+  const dataKey = crypto.randomBytes(32);
+  try {
+    return {
+      ciphertext: seal(dataKey, Buffer.from(JSON.stringify(secrets)), dataAad(userId, exchange)),
+      wrapped_key: seal(keys.get(currentId), dataKey, wrapAad(userId, exchange)),
+      master_key_id: currentId
+    };
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+function unwrapDataKey(row, keys) {
+  const masterKey = keys.get(row.master_key_id);
+  if (!masterKey) throw new Error(`Master key ${row.master_key_id} is not available`);
+  return open(masterKey, row.wrapped_key, wrapAad(row.user_id, row.exchange));
+}
+
+/**
+ * Decrypt a stored credential row.
+ * @returns {{ apiKey: string, apiSecret: string }}
+ */
+function decryptSecrets(row) {
+  const { keys } = loadMasterKeys();
+  const dataKey = unwrapDataKey(row, keys);
+  try {
+    return JSON.parse(open(dataKey, row.ciphertext, dataAad(row.user_id, row.exchange)).toString('utf8'));
+  } finally {
+    dataKey.fill(0);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// VALIDATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate a credential payload.
+ * @param {object} spec - { exchange, apiKey, apiSecret, testnet?, label? }
+ * @param {object} [options]
+ * @param {boolean} [options.rotation=false] - exchange comes from the path, not the body
+ * @returns {{ value: object, errors: string[] }}
+ */
+function normalizeCredentialSpec(spec = {}, { rotation = false } = {}) {
+  const errors = [];
+  const value = {};
+
+  if (!rotation) {
+    if (!LIVE_EXCHANGES.includes(spec.exchange)) {
+      errors.push(`exchange must be one of: ${LIVE_EXCHANGES.join(', ')}`);
+    } else {
+      value.exchange = spec.exchange;
+    }
+  }
+
+  for (const field of ['apiKey', 'apiSecret']) {
+    const secret = spec[field];
+    if (typeof secret !== 'string' || !SECRET_PATTERN.test(secret)) {
+      errors.push(`${field} is required (printable characters, no spaces)`);
+    } else if (secret.length < CREDENTIAL_LIMITS.minSecretLength || secret.length > CREDENTIAL_LIMITS.maxSecretLength) {
+      errors.push(`${field} must be ${CREDENTIAL_LIMITS.minSecretLength}-${CREDENTIAL_LIMITS.maxSecretLength} characters`);
+    } else {
+      value[field] = secret;
+    }
+  }
+
+  if (spec.testnet !== undefined) {
+    if (typeof spec.testnet !== 'boolean') errors.push('testnet must be a boolean');
+    else value.testnet = spec.testnet;
+  } else if (!rotation) {
+    value.testnet = true; // same default as createAdapter
+  }
+
+  if (spec.label !== undefined && spec.label !== null) {
+    const label = String(spec.label).trim();
+    if (label.length > CREDENTIAL_LIMITS.maxLabelLength) errors.push(`label must be at most ${CREDENTIAL_LIMITS.maxLabelLength} characters`);
+    else value.label = label || null;
+  }
+
+  return { value, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CRUD
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function listCredentials(supabase, userId) {
+  const { data, error } = await supabase
+    .from('exchange_credentials')
+    .select(PUBLIC_COLUMNS)
+    .eq('user_id', userId)
+    .order('created_at', { ascending: true });
+  if (error) return { credentials: [], error };
+  return { credentials: data || [] };
+}
+
+/**
+ * Store credentials for one exchange (one set per user and exchange).
+ * @returns {{ credential?, errors?, error?, exists? }}
+ */
+async function saveCredential(supabase, userId, spec) {
+  const { value, errors } = normalizeCredentialSpec(spec);
+  if (errors.length > 0) return { errors };
+
+  try {
+    const { data: existing } = await supabase
+      .from('exchange_credentials')
+      .select('id')
+      .eq('user_id', userId)
+      .eq('exchange', value.exchange)
+      .limit(1);
+    if (existing?.length) {
+      return { error: `Credentials for ${value.exchange} already exist — rotate them instead`, exists: true };
+    }
+
+    const { data, error } = await supabase
+      .from('exchange_credentials')
+      .insert({
+        user_id: userId,
+        exchange: value.exchange,
+        label: value.label || null,
+        testnet: value.testnet,
+        api_key_masked: maskSecret(value.apiKey),
+        ...encryptSecrets(userId, value.exchange, { apiKey: value.apiKey, apiSecret: value.apiSecret })
+      })
+      .select(PUBLIC_COLUMNS)
+      .single();
+    if (error) return { error };
+
+    invalidateUserAdapter(userId, value.exchange);
+    logger.info('Exchange credentials stored', { userId, exchange: value.exchange, testnet: value.testnet });
+    return { credential: data };
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+/**
+ * Replace the stored key/secret (exchange-side key rotation). A fresh data key is used.
+ * @returns {{ credential?, errors?, error? }}
+ */
+async function rotateCredential(supabase, userId, exchange, spec) {
+  const { value, errors } = normalizeCredentialSpec(spec, { rotation: true });
+  if (errors.length > 0) return { errors };
+
+  try {
+    const update = {
+      api_key_masked: maskSecret(value.apiKey),
+      ...encryptSecrets(userId, exchange, { apiKey: value.apiKey, apiSecret: value.apiSecret }),
+      // A new key has not been verified yet
+      last_verified_at: null,
+      verification_status: null,
+      verification_error: null,
+      rotated_at: new Date().toISOString(),
+      updated_at: new Date().toISOString()
+    };
+    if (value.testnet !== undefined) update.testnet = value.testnet;
+    if (value.label !== undefined) update.label = value.label;
+
+    const { data, error } = await supabase
+      .from('exchange_credentials')
+      .update(update)
+      .eq('user_id', userId)
+      .eq('exchange', exchange)
+      .select(PUBLIC_COLUMNS);
+    if (error) return { error };
+    if (!data?.length) return { credential: null };
+
+    invalidateUserAdapter(userId, exchange);
+    logger.info('Exchange credentials rotated', { userId, exchange });
+    return { credential: data[0] };
+  } catch (err) {
+    return { error: err };
+  }
+}
+
+async function deleteCredential(supabase, userId, exchange) {
+  const { data, error } = await supabase
+    .from('exchange_credentials')
+    .delete()
+    .eq('user_id', userId)
+    .eq('exchange', exchange)
+    .select(PUBLIC_COLUMNS);
+  if (error) return { error };
+  invalidateUserAdapter(userId, exchange);
+  return { credential: data?.[0] || null };
+}
+
+async function getCredentialRow(supabase, userId, exchange) {
+  const { data, error } = await supabase
+    .from('exchange_credentials')
+    .select('*')
+    .eq('user_id', userId)
+    .eq('exchange', exchange)
+    .limit(1);
+  if (error) return { row: null, error };
+  return { row: data?.[0] || null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ADAPTERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function invalidateUserAdapter(userId, exchange) {
+  userAdapters.delete(`${userId}:${exchange}`);
+}
+
+/**
+ * Execution adapter built from the user's stored credentials (cached per user + exchange).
+ * @returns {{ adapter?, error?, missing? }}
+ */
+async function getUserAdapter(supabase, userId, exchange) {
+  if (!LIVE_EXCHANGES.includes(exchange)) return { error: `No credentials needed for ${exchange}` };
+
+  const cacheKey = `${userId}:${exchange}`;
+  const cached = userAdapters.get(cacheKey);
+  if (cached) return { adapter: cached };
+
+  const { row, error } = await getCredentialRow(supabase, userId, exchange);
+  if (error) return { error: error.message || String(error) };
+  if (!row) return { error: `No ${exchange} credentials stored for this user`, missing: true };
+
+  try {
+    const { apiKey, apiSecret } = decryptSecrets(row);
+    const adapter = createAdapter(exchange, { apiKey, apiSecret, testnet: row.testnet !== false, supabase });
+    userAdapters.set(cacheKey, adapter);
+    return { adapter };
+  } catch (err) {
+    logger.error('Failed to open exchange credentials', { userId, exchange, error: err.message });
+    return { error: 'Stored credentials could not be decrypted' };
+  }
+}
+
+/**
+ * Check stored credentials: the adapter's healthCheck (exchange reachable)
+ * plus a balance read, which is the first call that needs a valid signature.
+ * The outcome is stored on the credential row.
+ *
+ * @returns {{ verification?, credential?, error?, missing? }}
+ */
+async function verifyCredential(supabase, userId, exchange) {
+  invalidateUserAdapter(userId, exchange); // always test what is stored now
+  const { adapter, error, missing } = await getUserAdapter(supabase, userId, exchange);
+  if (!adapter) return { error, missing };
+
+  const health = await adapter.healthCheck();
+  let balance = null;
+  let authError = null;
+  if (health.healthy) {
+    balance = await adapter.getBalance(userId);
+    authError = balance.error || null;
+  }
+
+  const verification = {
+    healthy: health.healthy === true,
+    authenticated: health.healthy === true && !authError,
+    testnet: health.details?.testnet ?? null,
+    latencyMs: health.details?.latencyMs ?? null,
+    error: health.healthy ? authError : (health.details?.error || 'Exchange unreachable')
+  };
+
+  const { data } = await supabase
+    .from('exchange_credentials')
+    .update({
+      last_verified_at: new Date().toISOString(),
+      verification_status: verification.authenticated ? 'ok' : 'failed',
+      verification_error: verification.error
+    })
+    .eq('user_id', userId)
+    .eq('exchange', exchange)
+    .select(PUBLIC_COLUMNS);
+
+  if (!verification.authenticated) invalidateUserAdapter(userId, exchange);
+  return { verification, credential: data?.[0] || null };
+}
+
+/**
+ * Resolver for loops that touch many users' orders (working orders, recovery,
+ * reconciliation): `(userId, venue) => {adapter?, error?, missing?}`.
+ * Live venues always go through the owner's vault credentials; `operator`
+ * (the env-configured adapter) only stands in for `operatorUserId` — the
+ * signal pipeline's own account — when that user has nothing in the vault.
+ *
+ * @param {object} supabase
+ * @param {object} [options]
+ * @param {object} [options.paper] - Adapter for non-live venues (created on demand otherwise)
+ * @param {object} [options.operator] - Env-configured live adapter
+ * @param {string} [options.operatorUserId] - The only user `operator` may serve
+ * @returns {(userId: string, venue: string) => Promise<{ adapter?, error?, missing? }>}
+ */
+function createAdapterResolver(supabase, { paper = null, operator = null, operatorUserId = null } = {}) {
+  return async (userId, venue = 'paper') => {
+    if (!LIVE_EXCHANGES.includes(venue)) {
+      return { adapter: paper && paper.name === venue ? paper : createAdapter(venue, { supabase }) };
+    }
+    const result = await getUserAdapter(supabase, userId, venue);
+    if (!result.adapter && result.missing && operator?.name === venue && userId === operatorUserId) {
+      return { adapter: operator };
+    }
+    return result;
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MASTER KEY ROTATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Re-wrap every data key that is not under the current master key. Secrets
+ * stay encrypted under their data keys; only wrapped_key changes.
+ * @returns {{ rotated: number, failed: Array<{id, error}>, error? }}
+ */
+async function rotateMasterKey(supabase) {
+  const { currentId, keys, error: keyError } = loadMasterKeys();
+  if (keyError) return { rotated: 0, failed: [], error: keyError };
+
+  const { data, error } = await supabase
+    .from('exchange_credentials')
+    .select('id, user_id, exchange, wrapped_key, master_key_id')
+    .neq('master_key_id', currentId);
+  if (error) return { rotated: 0, failed: [], error: error.message };
+
+  let rotated = 0;
+  const failed = [];
+  for (const row of data || []) {
+    let dataKey = null;
+    try {
+      dataKey = unwrapDataKey(row, keys);
+      const { error: updateError } = await supabase
+        .from('exchange_credentials')
+        .update({
+          wrapped_key: seal(keys.get(currentId), dataKey, wrapAad(row.user_id, row.exchange)),
+          master_key_id: currentId,
+          updated_at: new Date().toISOString()
+        })
+        .eq('id', row.id)
+        .eq('master_key_id', row.master_key_id);
+      if (updateError) throw new Error(updateError.message);
+      rotated++;
+    } catch (err) {
+      failed.push({ id: row.id, error: err.message });
+    } finally {
+      if (dataKey) dataKey.fill(0);
+    }
+  }
+
+  logger.info('Credential master key rotation finished', { masterKeyId: currentId, rotated, failed: failed.length });
+  return { rotated, failed };
+}
+
+function resetCredentialCache() {
+  userAdapters.clear();
+}
+
+module.exports = {
+  LIVE_EXCHANGES,
+  CREDENTIAL_LIMITS,
+  isVaultConfigured,
+  normalizeCredentialSpec,
+  // CRUD
+  listCredentials,
+  saveCredential,
+  rotateCredential,
+  deleteCredential,
+  // Adapters
+  getUserAdapter,
+  createAdapterResolver,
+  verifyCredential,
+  invalidateUserAdapter,
+  // Keys
+  rotateMasterKey,
+  encryptSecrets,
+  decryptSecrets,
+  resetCredentialCache
+};
@@ -0,0 +1,589 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Binance Spot Execution Adapter
+// Real exchange execution via the Binance Spot REST API (HMAC-SHA256 signed).
+// Quantities and prices are rounded to the symbol's exchange filters
+// (LOT_SIZE, PRICE_FILTER, MIN_NOTIONAL) before an order is sent.
+// Supports the Spot testnet for development and mainnet for live trading.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const axios = require('axios');
+const { ExecutionAdapter } = require('./ExecutionAdapter');
+const { SYMBOL_MAP } = require('../binanceAPI');
+const { logger } = require('../logger');
+const { classifyAxiosError, Provider } = require('../errors');
+
+const BINANCE_MAINNET = 'https://api.binance.com';
+const BINANCE_TESTNET = 'https://testnet.binance.vision';
+const RECV_WINDOW = 5000;
+const FILTER_TTL_MS = 60 * 60 * 1000; // exchangeInfo filters change rarely
+
+// Order types sent as native stop orders (stopPrice / trailingDelta)
+const CONDITIONAL_TYPES = ['STOP_MARKET', 'STOP_LIMIT', 'TRAILING_STOP'];
+
+const CLIENT_ID_PATTERN = /^[.A-Za-z0-9:/_-]{1,36}$/;
+
+// Binance order statuses that end an order without a fill
+const DEAD_STATUSES = ['CANCELED', 'REJECTED', 'EXPIRED', 'EXPIRED_IN_MATCH'];
+
+// ─── SYMBOL FILTERS ─────────────────────────────────────────────────────────
+
+/**
+ * Number of decimals a step/tick size allows ('0.00100000' → 3).
+ */
+function stepDecimals(step) {
+  const [, fraction = ''] = String(step).split('.');
+  return fraction.replace(/0+$/, '').length;
+}
+
+/**
+ * Snap a value onto a step grid and format it with the step's decimals.
+ * @param {number} value
+ * @param {string} step - stepSize / tickSize as returned by exchangeInfo
+ * @param {'floor'|'ceil'|'round'} [mode='floor']
+ * @returns {string}
+ */
+function roundToStep(value, step, mode = 'floor') {
+  const size = parseFloat(step);
+  if (!size) return String(value);
+
+  const units = value / size;
+  let n;
+  if (mode === 'ceil') n = Math.ceil(units - 1e-9);
+  else if (mode === 'round') n = Math.round(units);
+  else n = Math.floor(units + 1e-9);
+
+  return (n * size).toFixed(stepDecimals(step));
+}
+
+/**
+ * Fit an order onto a symbol's filters.
+ * Quantity rounds down to LOT_SIZE (never more than asked); limit prices round
+ * to PRICE_FILTER toward the passive side (a BUY never pays more, a SELL never
+ * gets less); stop prices round to the nearest tick.
+ *
+ * @param {object} spec - { side, quantity, price?, stopPrice?, referencePrice? }
+ * @param {object} filters - From parseSymbolFilters
+ * @returns {{ quantity?: string, price?: string|null, stopPrice?: string|null, error: string|null }}
+ */
+function applySymbolFilters({ side, quantity, price = null, stopPrice = null, referencePrice = null }, filters) {
+  const qty = roundToStep(quantity, filters.stepSize, 'floor');
+  if (parseFloat(qty) <= 0 || parseFloat(qty) < filters.minQty) {
+    return { error: `Quantity ${quantity} below LOT_SIZE minQty ${filters.minQty}` };
+  }
+  if (parseFloat(qty) > filters.maxQty) {
+    return { error: `Quantity ${quantity} above LOT_SIZE maxQty ${filters.maxQty}` };
+  }
+
+  const px = price != null ? roundToStep(price, filters.tickSize, side === 'BUY' ? 'floor' : 'ceil') : null;
+  const stop = stopPrice != null ? roundToStep(stopPrice, filters.tickSize, 'round') : null;
+
+  for (const [label, value] of [['price', px], ['stopPrice', stop]]) {
+    if (value == null) continue;
+    const v = parseFloat(value);
+    if (v < filters.minPrice || (filters.maxPrice > 0 && v > filters.maxPrice)) {
+      return { error: `${label} ${value} outside PRICE_FILTER [${filters.minPrice}, ${filters.maxPrice}]` };
+    }
+  }
+
+  // Market orders have no price of their own — check notional against the reference
+  const notionalPrice = px != null ? parseFloat(px) : (stop != null ? parseFloat(stop) : referencePrice);
+  if (notionalPrice && filters.minNotional > 0 && parseFloat(qty) * notionalPrice < filters.minNotional) {
+    return { error: `Notional ${(parseFloat(qty) * notionalPrice).toFixed(2)} below MIN_NOTIONAL ${filters.minNotional}` };
+  }
+
+  return { quantity: qty, price: px, stopPrice: stop, error: null };
+}
+
+/**
+ * Extract the filters we enforce from an exchangeInfo symbol entry.
+ * Newer symbols publish NOTIONAL instead of MIN_NOTIONAL.
+ */
+function parseSymbolFilters(symbolInfo) {
+  const byType = Object.fromEntries((symbolInfo.filters || []).map(f => [f.filterType, f]));
+  const lot = byType.LOT_SIZE || {};
+  const price = byType.PRICE_FILTER || {};
+  const notional = byType.MIN_NOTIONAL || byType.NOTIONAL || {};
+
+  return {
+    stepSize: lot.stepSize || null,
+    minQty: parseFloat(lot.minQty) || 0,
+    maxQty: parseFloat(lot.maxQty) || Infinity,
+    tickSize: price.tickSize || null,
+    minPrice: parseFloat(price.minPrice) || 0,
+    maxPrice: parseFloat(price.maxPrice) || 0,
+    minNotional: parseFloat(notional.minNotional) || 0
+  };
+}
+
+class BinanceExecutionAdapter extends ExecutionAdapter {
+  /**
+   * @param {string} apiKey - Binance API key
+   * @param {string} apiSecret - Binance API secret
+   * @param {boolean} [testnet=true] - Use the Spot testnet (default true for safety)
+   * @param {object} [supabase] - Supabase client (for DB queries if needed)
+   * @param {object} [options]
+   * @param {string} [options.baseUrl] - Override the REST endpoint (mirrors, tests)
+   */
+  constructor(apiKey, apiSecret, testnet = true, supabase = null, options = {}) {
+    super('binance');
+    this.apiKey = apiKey;
+    this.apiSecret = apiSecret;
+    this.testnet = testnet;
+    this.baseUrl = options.baseUrl || (testnet ? BINANCE_TESTNET : BINANCE_MAINNET);
+    this.supabase = supabase;
+    this.filters = new Map(); // symbol → { ...filters, fetchedAt }
+
+    this.client = axios.create({
+      baseURL: this.baseUrl,
+      timeout: 10000
+    });
+  }
+
+  // ─── SIGNING ──────────────────────────────────────────────────────────────
+
+  /**
+   * Binance HMAC-SHA256 signature over the full query string.
+   */
+  _sign(query) {
+    return crypto.createHmac('sha256', this.apiSecret).update(query).digest('hex');
+  }
+
+  /**
+   * Make a request to the Binance Spot API. Signed requests carry
+   * timestamp + recvWindow + signature in the query string and the key header.
+   * Order-level rejections (4xx with { code, msg }) come back as
+   * { success: false }; transport failures throw a ProviderError.
+   */
+  async _request(method, path, params = {}, { signed = true } = {}) {
+    const clean = Object.fromEntries(Object.entries(params).filter(([, v]) => v != null));
+    const query = new URLSearchParams(
+      signed ? { ...clean, recvWindow: RECV_WINDOW, timestamp: Date.now() } : clean
+    ).toString();
+
+    let url = query ? `${path}?${query}` : path;
+    if (signed) url += `&signature=${this._sign(query)}`;
+
+    try {
+      const res = await this.client({
+        method,
+        url,
+        headers: signed ? { 'X-MBX-APIKEY': this.apiKey } : {}
+      });
+      return { success: true, data: res.data };
+    } catch (err) {
+      const status = err.response?.status;
+      const body = err.response?.data;
+      if (body && typeof body.code === 'number' && status >= 400 && status < 500 && ![418, 429, 451].includes(status)) {
+        logger.warn('Binance API error response', { path, code: body.code, msg: body.msg });
+        return { success: false, error: body.msg || 'Unknown Binance error', code: body.code };
+      }
+
+      const providerError = classifyAxiosError(err, Provider.BINANCE, path);
+      logger.error('Binance API request failed', { path, error: providerError.message });
+      throw providerError;
+    }
+  }
+
+  // ─── ADAPTER METHODS ──────────────────────────────────────────────────────
+
+  /**
+   * Place a spot order on Binance.
+   * STOP_MARKET / STOP_LIMIT go out as STOP_LOSS / STOP_LOSS_LIMIT, a
+   * TRAILING_STOP as STOP_LOSS with a native trailingDelta; a BRACKET entry is
+   * a plain market or limit order. OCO parents are never placed — the order
+   * manager places their legs.
+   */
+  async placeOrder(order, marketData = null, config = null) {
+    try {
+      const symbol = this._resolveSymbol(order.asset);
+      if (!symbol) {
+        return { filled: false, reason: `No Binance symbol mapping for ${order.asset}` };
+      }
+
+      if (order.order_type === 'OCO') {
+        return { filled: false, reason: 'OCO orders are placed leg by leg' };
+      }
+
+      const conditional = CONDITIONAL_TYPES.includes(order.order_type);
+      if (conditional && order.order_type !== 'TRAILING_STOP' && order.stop_price == null) {
+        return { filled: false, reason: `${order.order_type} has no trigger price yet` };
+      }
+
+      const filters = await this._getSymbolFilters(symbol);
+      if (!filters) {
+        return { filled: false, reason: `Symbol filters unavailable for ${symbol}` };
+      }
+
+      const type = this._mapOrderType(order.order_type, order);
+      const isLimit = type === 'LIMIT' || type === 'STOP_LOSS_LIMIT';
+      const sized = applySymbolFilters({
+        side: order.side,
+        quantity: parseFloat(order.quantity),
+        price: isLimit ? parseFloat(order.price) : null,
+        stopPrice: type === 'STOP_LOSS' || type === 'STOP_LOSS_LIMIT'
+          ? (order.stop_price != null ? parseFloat(order.stop_price) : null)
+          : null,
+        referencePrice: this._referencePrice(order)
+      }, filters);
+
+      if (sized.error) {
+        return { filled: false, reason: `Binance filters: ${sized.error}` };
+      }
+
+      const params = {
+        symbol,
+        side: order.side === 'BUY' ? 'BUY' : 'SELL',
+        type,
+        quantity: sized.quantity,
+        // Binance caps client ids at 36 chars — longer ones (leg ids) get an exchange id
+        newClientOrderId: CLIENT_ID_PATTERN.test(order.client_order_id || '') ? order.client_order_id : null,
+        newOrderRespType: 'FULL'
+      };
+
+      if (isLimit) {
+        params.price = sized.price;
+        params.timeInForce = this._mapTimeInForce(order.time_in_force);
+      }
+
+      if (order.order_type === 'TRAILING_STOP') {
+        // trailingDelta is in basis points of the peak (1% = 100)
+        params.trailingDelta = Math.round(parseFloat(order.trailing_stop_pct) * 100);
+      } else if (sized.stopPrice != null) {
+        params.stopPrice = sized.stopPrice;
+      }
+
+      logger.info('Placing Binance spot order', { symbol, side: params.side, type, qty: params.quantity, price: params.price });
+
+      const result = await this._request('POST', '/api/v3/order', params);
+
+      if (!result.success) {
+        return { filled: false, reason: `Binance order rejected: ${result.error}` };
+      }
+
+      const placed = result.data || {};
+      const exchangeOrderId = placed.orderId != null ? String(placed.orderId) : null;
+
+      if (placed.status === 'FILLED') {
+        return {
+          filled: true,
+          ...this._fillFrom(placed),
+          slippage: 0, // Could calculate vs expected
+          exchange_order_id: exchangeOrderId
+        };
+      }
+
+      // Market order that found no liquidity (IOC leftovers expire)
+      if (DEAD_STATUSES.includes(placed.status)) {
+        return { filled: false, cancel: true, reason: `${placed.status} on exchange`, exchange_order_id: exchangeOrderId };
+      }
+
+      let reason = 'Limit order placed, waiting for fill';
+      if (conditional) reason = 'Conditional order placed, waiting for trigger';
+      else if (placed.status === 'PARTIALLY_FILLED') reason = `Partially filled: ${placed.executedQty} / ${params.quantity}`;
+      else if (type === 'MARKET') reason = 'Market order placed, fill not confirmed yet';
+
+      return { filled: false, reason, exchange_order_id: exchangeOrderId };
+    } catch (err) {
+      logger.error('BinanceExecutionAdapter.placeOrder error', { error: err.message, orderId: order.id });
+      return { filled: false, reason: `Execution error: ${err.message}` };
+    }
+  }
+
+  /**
+   * Cancel an order on Binance (the symbol is required).
+   */
+  async cancelOrder(exchangeOrderId, symbol = null) {
+    try {
+      if (!exchangeOrderId) {
+        return { cancelled: false, reason: 'No exchange_order_id provided' };
+      }
+      if (!symbol) {
+        return { cancelled: false, reason: 'Binance cancel requires the symbol' };
+      }
+
+      const result = await this._request('DELETE', '/api/v3/order', { symbol, orderId: exchangeOrderId });
+
+      if (!result.success) {
+        return { cancelled: false, reason: `Cancel failed: ${result.error}` };
+      }
+
+      return { cancelled: true };
+    } catch (err) {
+      return { cancelled: false, reason: `Cancel error: ${err.message}` };
+    }
+  }
+
+  /**
+   * Sync a resting order with its exchange status.
+   * Binance enforces limits and triggers itself, so this only reads back the outcome.
+   */
+  async checkWorkingOrder(order, marketData = null, config = null) {
+    if (!order.exchange_order_id) {
+      return { filled: false, reason: 'Order has no exchange_order_id yet' };
+    }
+
+    const status = await this.queryOrderStatus(order.exchange_order_id, order.asset);
+    if (!status) {
+      return { filled: false, reason: 'Exchange status unavailable' };
+    }
+
+    if (status.status === 'FILLED') {
+      return {
+        filled: true,
+        ...this._fillFrom(status),
+        slippage: 0,
+        exchange_order_id: order.exchange_order_id
+      };
+    }
+
+    if (DEAD_STATUSES.includes(status.status)) {
+      return { filled: false, cancel: true, reason: `${status.status} on exchange` };
+    }
+
+    return { filled: false, reason: `Exchange status: ${status.status}` };
+  }
+
+  /**
+   * Cancel a working order given its DB record.
+   */
+  async cancelWorkingOrder(order) {
+    if (!order.exchange_order_id) return { cancelled: true };
+    return this.cancelOrder(order.exchange_order_id, this._resolveSymbol(order.asset));
+  }
+
+  /**
+   * Trailing stops are placed with a native trailingDelta, so Binance already
+   * ratchets the trigger — there is nothing to amend. Other triggers are fixed.
+   */
+  async amendOrder(order, changes) {
+    if (order.order_type === 'TRAILING_STOP') {
+      return { amended: true };
+    }
+    return { amended: false, reason: 'Binance spot orders cannot be amended' };
+  }
+
+  /**
+   * Get position (balance) for an asset on Binance Spot.
+   * For spot trading, "position" means the coin balance.
+   */
+  async getPosition(userId, asset) {
+    try {
+      const symbol = this._resolveSymbol(asset);
+      // Extract base coin from symbol (e.g., BTCUSDT → BTC)
+      const coin = symbol ? symbol.replace(/USDT$/, '') : asset.toUpperCase();
+
+      const balance = await this._getAssetBalance(coin);
+      if (!balance || balance.free + balance.locked === 0) {
+        return { position: null };
+      }
+
+      return {
+        position: {
+          asset,
+          coin,
+          quantity: balance.free + balance.locked,
+          available: balance.free
+        }
+      };
+    } catch (err) {
+      logger.warn('Binance getPosition failed', { asset, error: err.message });
+      return { position: null, error: err.message };
+    }
+  }
+
+  /**
+   * Get USDT balance on Binance.
+   */
+  async getBalance(userId) {
+    try {
+      const balance = await this._getAssetBalance('USDT');
+      if (!balance) return { available: 0, total: 0 };
+
+      return {
+        available: balance.free,
+        total: balance.free + balance.locked
+      };
+    } catch (err) {
+      logger.warn('Binance getBalance failed', { error: err.message });
+      return { available: 0, total: 0, error: err.message };
+    }
+  }
+
+  /**
+   * List open orders across all symbols.
+   */
+  async getOpenOrders() {
+    try {
+      const result = await this._request('GET', '/api/v3/openOrders');
+      if (!result.success) return { orders: [], error: result.error };
+
+      return {
+        orders: (result.data || []).map(o => ({
+          exchangeOrderId: String(o.orderId),
+          clientOrderId: o.clientOrderId || null,
+          asset: this._assetForSymbol(o.symbol),
+          symbol: o.symbol,
+          side: o.side,
+          quantity: parseFloat(o.origQty),
+          filledQuantity: parseFloat(o.executedQty) || 0,
+          status: o.status
+        }))
+      };
+    } catch (err) {
+      logger.warn('Binance getOpenOrders failed', { error: err.message });
+      return { orders: [], error: err.message };
+    }
+  }
+
+  /**
+   * Health check — verify Binance API connectivity.
+   */
+  async healthCheck() {
+    try {
+      const start = Date.now();
+      const result = await this._request('GET', '/api/v3/time', {}, { signed: false });
+      const latencyMs = Date.now() - start;
+
+      if (result.success && result.data?.serverTime) {
+        return {
+          healthy: true,
+          adapter: 'binance',
+          details: {
+            testnet: this.testnet,
+            serverTime: result.data.serverTime,
+            latencyMs
+          }
+        };
+      }
+
+      return {
+        healthy: false,
+        adapter: 'binance',
+        details: { error: result.error || 'Unknown', testnet: this.testnet }
+      };
+    } catch (err) {
+      return {
+        healthy: false,
+        adapter: 'binance',
+        details: { error: err.message, testnet: this.testnet }
+      };
+    }
+  }
+
+  // ─── HELPERS ──────────────────────────────────────────────────────────────
+
+  /**
+   * Query order status by exchange_order_id.
+   */
+  async queryOrderStatus(exchangeOrderId, asset) {
+    const symbol = this._resolveSymbol(asset);
+    if (!symbol) return null;
+
+    try {
+      const result = await this._request('GET', '/api/v3/order', { symbol, orderId: exchangeOrderId });
+      return result.success ? result.data : null;
+    } catch {
+      return null;
+    }
+  }
+
+  /**
+   * Symbol filters from exchangeInfo, cached per symbol.
+   */
+  async _getSymbolFilters(symbol) {
+    const cached = this.filters.get(symbol);
+    if (cached && Date.now() - cached.fetchedAt < FILTER_TTL_MS) return cached;
+
+    const result = await this._request('GET', '/api/v3/exchangeInfo', { symbol }, { signed: false });
+    const info = result.success ? result.data?.symbols?.find(s => s.symbol === symbol) : null;
+    if (!info) return cached || null;
+
+    const filters = { ...parseSymbolFilters(info), fetchedAt: Date.now() };
+    this.filters.set(symbol, filters);
+    return filters;
+  }
+
+  /**
+   * Free / locked balance of one coin from the account endpoint.
+   */
+  async _getAssetBalance(coin) {
+    const result = await this._request('GET', '/api/v3/account', { omitZeroBalances: true });
+    if (!result.success) throw new Error(result.error);
+    if (!Array.isArray(result.data?.balances)) return null;
+
+    const entry = result.data.balances.find(b => b.asset === coin);
+    if (!entry) return null;
+    return { free: parseFloat(entry.free), locked: parseFloat(entry.locked) };
+  }
+
+  /**
+   * Average fill price and quantity of a (FULL / query) order response.
+   */
+  _fillFrom(data) {
+    const quantity = parseFloat(data.executedQty);
+    const quote = parseFloat(data.cummulativeQuoteQty);
+    return {
+      fillPrice: quantity > 0 ? quote / quantity : parseFloat(data.price),
+      fillQuantity: quantity
+    };
+  }
+
+  /**
+   * Best-known price for notional checks on orders without one of their own.
+   */
+  _referencePrice(order) {
+    const quantity = parseFloat(order.quantity);
+    const size = parseFloat(order.position_size_usd);
+    return quantity > 0 && size > 0 ? size / quantity : null;
+  }
+
+  /**
+   * Resolve CoinGecko asset ID to Binance spot symbol.
+   */
+  _resolveSymbol(asset) {
+    if (!asset) return null;
+    return SYMBOL_MAP[asset.toLowerCase()] || null;
+  }
+
+  /**
+   * Reverse of _resolveSymbol (BTCUSDT → bitcoin); unmapped symbols pass through.
+   */
+  _assetForSymbol(symbol) {
+    const entry = Object.entries(SYMBOL_MAP).find(([, s]) => s === symbol);
+    return entry ? entry[0] : symbol;
+  }
+
+  /**
+   * Map internal order type to Binance order type.
+   */
+  _mapOrderType(type, order = null) {
+    switch (type) {
+      case 'MARKET': return 'MARKET';
+      case 'LIMIT': return 'LIMIT';
+      case 'STOP_LIMIT': return 'STOP_LOSS_LIMIT';
+      case 'STOP_MARKET':
+      case 'TRAILING_STOP': return 'STOP_LOSS';
+      case 'BRACKET': return order?.price ? 'LIMIT' : 'MARKET';
+      default: return 'MARKET';
+    }
+  }
+
+  /**
+   * Map time-in-force to Binance TIF.
+   */
+  _mapTimeInForce(tif) {
+    switch (tif) {
+      case 'IOC': return 'IOC';
+      case 'FOK': return 'FOK';
+      default: return 'GTC';
+    }
+  }
+}
+
+module.exports = {
+  BinanceExecutionAdapter,
+  applySymbolFilters,
+  parseSymbolFilters,
+  roundToStep
+};
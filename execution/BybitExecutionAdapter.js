@@ -14,6 +14,9 @@ const BYBIT_MAINNET = 'https://api.bybit.com';
 const BYBIT_TESTNET = 'https://api-testnet.bybit.com';
 const RECV_WINDOW = '5000';
 
+// Order types sent as native conditional orders (triggerPrice)
+const CONDITIONAL_TYPES = ['STOP_MARKET', 'STOP_LIMIT', 'TRAILING_STOP'];
+
 // CoinGecko ID → Bybit spot symbol
 const SPOT_SYMBOL_MAP = {
   bitcoin: 'BTCUSDT',
@@ -112,6 +115,10 @@ class BybitExecutionAdapter extends ExecutionAdapter {
 
   /**
    * Place a spot order on Bybit.
+   * STOP_MARKET, STOP_LIMIT and TRAILING_STOP go out as native conditional
+   * orders (triggerPrice + orderFilter); a BRACKET entry is a plain market or
+   * limit order — its legs are placed as conditional orders once it fills.
+   * OCO parents are never placed; the order manager places their legs.
    */
   async placeOrder(order, marketData = null, config = null) {
     try {
@@ -120,29 +127,45 @@ class BybitExecutionAdapter extends ExecutionAdapter {
         return { filled: false, reason: `No Bybit symbol mapping for ${order.asset}` };
       }
 
+      if (order.order_type === 'OCO') {
+        return { filled: false, reason: 'OCO orders are placed leg by leg' };
+      }
+
+      const orderType = this._mapOrderType(order.order_type, order);
+      const conditional = CONDITIONAL_TYPES.includes(order.order_type);
+      if (conditional && order.stop_price == null) {
+        return { filled: false, reason: `${order.order_type} has no trigger price yet` };
+      }
+
       // Build order params
       const params = {
         category: 'spot',
         symbol,
         side: order.side === 'BUY' ? 'Buy' : 'Sell',
-        orderType: this._mapOrderType(order.order_type),
+        orderType,
         qty: String(parseFloat(order.quantity)),
       };
 
       // For LIMIT orders, include price and time-in-force
-      if (order.order_type === 'LIMIT' || order.order_type === 'STOP_LIMIT') {
+      if (orderType === 'Limit') {
         params.price = String(parseFloat(order.price));
         params.timeInForce = this._mapTimeInForce(order.time_in_force);
       }
 
       // For MARKET orders, use IOC
-      if (order.order_type === 'MARKET') {
+      if (orderType === 'Market') {
         params.timeInForce = 'IOC';
         // For market buy, Bybit spot needs quote qty or base qty
         // We use base qty (already in order.quantity)
       }
 
-      logger.info('Placing Bybit spot order', { symbol, side: params.side, type: params.orderType, qty: params.qty });
+      // Native conditional order: rests on the exchange until triggerPrice trades
+      if (conditional) {
+        params.triggerPrice = String(parseFloat(order.stop_price));
+        params.orderFilter = this._orderFilter(order);
+      }
+
+      logger.info('Placing Bybit spot order', { symbol, side: params.side, type: params.orderType, qty: params.qty, orderFilter: params.orderFilter });
 
       const result = await this._request('POST', '/v5/order/create', params);
 
@@ -152,8 +175,16 @@ class BybitExecutionAdapter extends ExecutionAdapter {
 
       const exchangeOrderId = result.data?.orderId;
 
+      if (conditional) {
+        return {
+          filled: false,
+          reason: 'Conditional order placed, waiting for trigger',
+          exchange_order_id: exchangeOrderId,
+        };
+      }
+
       // For MARKET orders, query fill details
-      if (order.order_type === 'MARKET' && exchangeOrderId) {
+      if (orderType === 'Market' && exchangeOrderId) {
         // Brief delay for fill to propagate
         await new Promise(r => setTimeout(r, 500));
         const fillInfo = await this._getOrderStatus(symbol, exchangeOrderId);
@@ -181,7 +212,7 @@ class BybitExecutionAdapter extends ExecutionAdapter {
       // For LIMIT orders or if market fill not confirmed yet
       return {
         filled: false,
-        reason: order.order_type === 'MARKET' ? 'Market order placed, fill not confirmed yet' : 'Limit order placed, waiting for fill',
+        reason: orderType === 'Market' ? 'Market order placed, fill not confirmed yet' : 'Limit order placed, waiting for fill',
         exchange_order_id: exchangeOrderId,
       };
     } catch (err) {
@@ -193,7 +224,7 @@ class BybitExecutionAdapter extends ExecutionAdapter {
   /**
    * Cancel an order on Bybit.
    */
-  async cancelOrder(exchangeOrderId, symbol = null) {
+  async cancelOrder(exchangeOrderId, symbol = null, orderFilter = null) {
     try {
       if (!exchangeOrderId) {
         return { cancelled: false, reason: 'No exchange_order_id provided' };
@@ -206,6 +237,7 @@ class BybitExecutionAdapter extends ExecutionAdapter {
         orderId: exchangeOrderId,
       };
       if (symbol) params.symbol = symbol;
+      if (orderFilter) params.orderFilter = orderFilter;
 
       const result = await this._request('POST', '/v5/order/cancel', params);
 
@@ -219,6 +251,71 @@ class BybitExecutionAdapter extends ExecutionAdapter {
     }
   }
 
+  /**
+   * Sync a resting order with its exchange status.
+   * Bybit enforces triggers itself, so this only reads back the outcome.
+   */
+  async checkWorkingOrder(order, marketData = null, config = null) {
+    if (!order.exchange_order_id) {
+      return { filled: false, reason: 'Order has no exchange_order_id yet' };
+    }
+
+    const status = await this.queryOrderStatus(order.exchange_order_id, order.asset, this._orderFilter(order));
+    if (!status) {
+      return { filled: false, reason: 'Exchange status unavailable' };
+    }
+
+    if (status.orderStatus === 'Filled') {
+      return {
+        filled: true,
+        fillPrice: parseFloat(status.avgPrice),
+        fillQuantity: parseFloat(status.cumExecQty),
+        slippage: 0,
+        exchange_order_id: order.exchange_order_id,
+      };
+    }
+
+    if (['Cancelled', 'Rejected', 'Deactivated'].includes(status.orderStatus)) {
+      return { filled: false, cancel: true, reason: `${status.orderStatus} on exchange` };
+    }
+
+    return { filled: false, reason: `Exchange status: ${status.orderStatus}` };
+  }
+
+  /**
+   * Cancel a working order given its DB record (symbol + conditional filter).
+   */
+  async cancelWorkingOrder(order) {
+    if (!order.exchange_order_id) return { cancelled: true };
+    return this.cancelOrder(order.exchange_order_id, this._resolveSymbol(order.asset), this._orderFilter(order));
+  }
+
+  /**
+   * Move the trigger of a resting conditional order (trailing stops).
+   */
+  async amendOrder(order, changes) {
+    try {
+      const symbol = this._resolveSymbol(order.asset);
+      if (!symbol || !order.exchange_order_id) {
+        return { amended: false, reason: 'Missing symbol or exchange_order_id' };
+      }
+
+      const result = await this._request('POST', '/v5/order/amend', {
+        category: 'spot',
+        symbol,
+        orderId: order.exchange_order_id,
+        triggerPrice: String(changes.stopPrice),
+      });
+
+      if (!result.success) {
+        return { amended: false, reason: `Amend failed: ${result.error}` };
+      }
+      return { amended: true };
+    } catch (err) {
+      return { amended: false, reason: `Amend error: ${err.message}` };
+    }
+  }
+
   /**
    * Get position (balance) for an asset on Bybit Spot.
    * For spot trading, "position" means the coin balance.
@@ -234,9 +331,8 @@ class BybitExecutionAdapter extends ExecutionAdapter {
         coin,
       });
 
-      if (!result.success || !result.data?.list?.[0]?.coin) {
-        return { position: null };
-      }
+      if (!result.success) return { position: null, error: result.error };
+      if (!result.data?.list?.[0]?.coin) return { position: null };
 
       const coins = result.data.list[0].coin;
       const coinData = coins.find(c => c.coin === coin);
@@ -256,7 +352,7 @@ class BybitExecutionAdapter extends ExecutionAdapter {
       };
     } catch (err) {
       logger.warn('Bybit getPosition failed', { asset, error: err.message });
-      return { position: null };
+      return { position: null, error: err.message };
     }
   }
 
@@ -270,9 +366,8 @@ class BybitExecutionAdapter extends ExecutionAdapter {
         coin: 'USDT',
       });
 
-      if (!result.success || !result.data?.list?.[0]?.coin) {
-        return { available: 0, total: 0 };
-      }
+      if (!result.success) return { available: 0, total: 0, error: result.error };
+      if (!result.data?.list?.[0]?.coin) return { available: 0, total: 0 };
 
       const usdtData = result.data.list[0].coin.find(c => c.coin === 'USDT');
       if (!usdtData) return { available: 0, total: 0 };
@@ -283,7 +378,37 @@ class BybitExecutionAdapter extends ExecutionAdapter {
       };
     } catch (err) {
       logger.warn('Bybit getBalance failed', { error: err.message });
-      return { available: 0, total: 0 };
+      return { available: 0, total: 0, error: err.message };
+    }
+  }
+
+  /**
+   * List open spot orders — plain, conditional and TP/SL — across symbols.
+   */
+  async getOpenOrders() {
+    const orders = [];
+    try {
+      for (const orderFilter of ['Order', 'StopOrder', 'tpslOrder']) {
+        const result = await this._request('GET', '/v5/order/realtime', { category: 'spot', orderFilter, limit: '50' });
+        if (!result.success) return { orders, error: result.error };
+
+        for (const o of result.data?.list || []) {
+          orders.push({
+            exchangeOrderId: o.orderId,
+            clientOrderId: o.orderLinkId || null,
+            asset: this._assetForSymbol(o.symbol),
+            symbol: o.symbol,
+            side: o.side === 'Sell' ? 'SELL' : 'BUY',
+            quantity: parseFloat(o.qty),
+            filledQuantity: parseFloat(o.cumExecQty) || 0,
+            status: o.orderStatus
+          });
+        }
+      }
+      return { orders };
+    } catch (err) {
+      logger.warn('Bybit getOpenOrders failed', { error: err.message });
+      return { orders, error: err.message };
     }
   }
 
@@ -327,13 +452,11 @@ class BybitExecutionAdapter extends ExecutionAdapter {
   /**
    * Get order status from Bybit.
    */
-  async _getOrderStatus(symbol, orderId) {
+  async _getOrderStatus(symbol, orderId, orderFilter = null) {
     try {
-      const result = await this._request('GET', '/v5/order/realtime', {
-        category: 'spot',
-        symbol,
-        orderId,
-      });
+      const query = { category: 'spot', symbol, orderId };
+      if (orderFilter) query.orderFilter = orderFilter;
+      const result = await this._request('GET', '/v5/order/realtime', query);
 
       if (result.success && result.data?.list?.length > 0) {
         return result.data.list[0];
@@ -347,10 +470,10 @@ class BybitExecutionAdapter extends ExecutionAdapter {
   /**
    * Query order status by exchange_order_id (used by recovery).
    */
-  async queryOrderStatus(exchangeOrderId, asset) {
+  async queryOrderStatus(exchangeOrderId, asset, orderFilter = null) {
     const symbol = this._resolveSymbol(asset);
     if (!symbol) return null;
-    return this._getOrderStatus(symbol, exchangeOrderId);
+    return this._getOrderStatus(symbol, exchangeOrderId, orderFilter);
   }
 
   /**
@@ -362,18 +485,39 @@ class BybitExecutionAdapter extends ExecutionAdapter {
     return SPOT_SYMBOL_MAP[lower] || null;
   }
 
+  /**
+   * Reverse of _resolveSymbol (BTCUSDT → bitcoin); unmapped symbols pass through.
+   */
+  _assetForSymbol(symbol) {
+    const entry = Object.entries(SPOT_SYMBOL_MAP).find(([, s]) => s === symbol);
+    return entry ? entry[0] : symbol;
+  }
+
   /**
    * Map internal order type to Bybit orderType.
+   * Trigger types map to what executes once triggered.
    */
-  _mapOrderType(type) {
+  _mapOrderType(type, order = null) {
     switch (type) {
       case 'MARKET': return 'Market';
       case 'LIMIT': return 'Limit';
-      case 'STOP_LIMIT': return 'Limit'; // Stop handled separately
+      case 'STOP_LIMIT': return 'Limit'; // Trigger sent as triggerPrice
+      case 'STOP_MARKET':
+      case 'TRAILING_STOP': return 'Market';
+      case 'BRACKET': return order?.price ? 'Limit' : 'Market';
       default: return 'Market';
     }
   }
 
+  /**
+   * Spot orderFilter for an order: protective exits are TP/SL orders,
+   * other trigger types are conditional stop orders.
+   */
+  _orderFilter(order) {
+    if (!CONDITIONAL_TYPES.includes(order.order_type)) return null;
+    return order.reduce_only ? 'tpslOrder' : 'StopOrder';
+  }
+
   /**
    * Map time-in-force to Bybit TIF.
    */
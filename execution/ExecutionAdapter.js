@@ -2,7 +2,8 @@
 // SENTIX PRO — Execution Adapter (Base Class)
 // Abstract interface for order execution. Concrete implementations:
 //   - PaperExecutionAdapter (simulated)
-//   - BybitExecutionAdapter  (future — real exchange)
+//   - BybitExecutionAdapter   (Bybit V5)
+//   - BinanceExecutionAdapter (Binance Spot)
 // ═══════════════════════════════════════════════════════════════════════════════
 
 class ExecutionAdapter {
@@ -19,7 +20,8 @@ class ExecutionAdapter {
   /**
    * Place an order for execution.
    * MARKET orders should fill immediately.
-   * LIMIT/STOP_LIMIT may not fill if price conditions aren't met.
+   * LIMIT/STOP_LIMIT/STOP_MARKET/TRAILING_STOP may not fill if price conditions
+   * aren't met. Reduce-only orders close an existing position instead of opening one.
    *
    * @param {object} order - Order record from DB
    * @param {object} [marketData] - Current market data
@@ -39,6 +41,52 @@ class ExecutionAdapter {
     throw new Error('cancelOrder() must be implemented by subclass');
   }
 
+  /**
+   * Re-evaluate a resting order (conditional leg, trailing stop, unfilled
+   * bracket entry). Returns the same shape as placeOrder; `cancel: true`
+   * means the order can no longer apply and its linked group should go.
+   *
+   * @param {object} order - Order record in SUBMITTED status
+   * @param {object} [marketData] - Current market data
+   * @param {object} [config] - Trading config
+   * @returns {Promise<{filled: boolean, cancel?: boolean, fillPrice?: number, fillQuantity?: number, reason?: string}>}
+   */
+  async checkWorkingOrder(order, marketData, config) {
+    throw new Error('checkWorkingOrder() must be implemented by subclass');
+  }
+
+  /**
+   * Cancel a working order given its DB record.
+   * Orders never sent to a venue have nothing to pull.
+   * @param {object} order - Order record
+   * @returns {Promise<{cancelled: boolean, reason?: string}>}
+   */
+  async cancelWorkingOrder(order) {
+    if (!order.exchange_order_id) return { cancelled: true };
+    return this.cancelOrder(order.exchange_order_id);
+  }
+
+  /**
+   * Amend a working order's trigger (trailing stops ratchet through this).
+   * Adapters without a venue-side order keep the trigger in the DB only.
+   * @param {object} order - Order record
+   * @param {object} changes - { stopPrice }
+   * @returns {Promise<{amended: boolean, reason?: string}>}
+   */
+  async amendOrder(order, changes) {
+    return { amended: false, reason: `${this.name} adapter does not amend orders` };
+  }
+
+  /**
+   * React to a MARKET_UPDATE. Simulated venues match their resting orders
+   * here; exchange adapters leave matching to the exchange.
+   * @param {object} marketData - Market snapshot from the market worker
+   * @returns {Promise<Array>} Order updates produced by the snapshot
+   */
+  async onMarketUpdate(marketData) {
+    return [];
+  }
+
   /**
    * Get current position for an asset.
    * @param {string} userId
@@ -58,6 +106,17 @@ class ExecutionAdapter {
     throw new Error('getBalance() must be implemented by subclass');
   }
 
+  /**
+   * List orders currently open at the venue (used by reconciliation).
+   * Each entry: { exchangeOrderId, clientOrderId, asset, symbol, side,
+   * quantity, filledQuantity, status }. `error` is set when the venue could
+   * not be read — an empty list then means "unknown", not "none".
+   * @returns {Promise<{orders: Array<object>, error?: string}>}
+   */
+  async getOpenOrders() {
+    throw new Error('getOpenOrders() must be implemented by subclass');
+  }
+
   /**
    * Health check — is the adapter connected and operational?
    * @returns {Promise<{healthy: boolean, adapter: string, details?: object}>}
@@ -2,31 +2,115 @@
 // SENTIX PRO — Paper Execution Adapter
 // Simulated execution engine that wraps the existing paperTrading.js module.
 // MARKET orders fill immediately with slippage simulation.
-// LIMIT/STOP_LIMIT orders check price conditions before filling.
+// LIMIT/STOP_LIMIT/STOP_MARKET/TRAILING_STOP orders check price conditions
+// before filling. Reduce-only orders close the paper trade they protect.
+// LIMIT/STOP_LIMIT entries that aren't marketable rest in an in-memory book
+// matched on every MARKET_UPDATE: fills at the limit price, sized by order
+// book depth behind an assumed queue.
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { ExecutionAdapter } = require('./ExecutionAdapter');
 const {
   openTrade,
+  addTradeFill,
+  executeFullClose,
+  executePartialClose,
   applySlippage,
   resolveCurrentPrice,
   getOrCreateConfig,
   getOpenPositions
 } = require('../paperTrading');
+const { recordFill, recordPartialFill, ORDER_STATUS } = require('../orderManager');
+const { fetchOrderBookDepth } = require('../binanceAPI');
+const { wrapWithCircuitBreaker } = require('../circuitBreaker');
+const { Provider } = require('../errors');
+const { MSG, sendToParent } = require('../shared/ipc');
 const { logger } = require('../logger');
 
+// ─── Resting book ────────────────────────────────────────────────────────────
+
+// Entry types that rest in the book until the market comes to them
+const BOOK_ORDER_TYPES = ['LIMIT', 'STOP_LIMIT'];
+const QUEUE_MODEL = 'avg_level';
+const DEFAULT_DEPTH_LEVELS = 20;
+
+const round8 = (v) => Math.round(v * 1e8) / 1e8;
+
+function defaultFetchDepth(asset) {
+  return wrapWithCircuitBreaker(Provider.BINANCE, () => fetchOrderBookDepth(asset), null);
+}
+
+function isStopTriggered(order, price) {
+  const stopPrice = parseFloat(order.stop_price);
+  return order.side === 'BUY' ? price >= stopPrice : price <= stopPrice;
+}
+
+/**
+ * Queue ahead of an order joining the book. The depth snapshot only carries
+ * side totals, so assume one average level of our side (total / levels) is
+ * already resting at our price.
+ *
+ * @param {string} side - 'BUY' | 'SELL'
+ * @param {object|null} depth - fetchOrderBookDepth() snapshot
+ * @returns {number} Quantity ahead of us
+ */
+function estimateQueueAhead(side, depth) {
+  if (!depth) return 0;
+  const total = (side === 'BUY' ? depth.bidTotal : depth.askTotal) || 0;
+  return round8(total / (depth.depthLevels || DEFAULT_DEPTH_LEVELS));
+}
+
+/**
+ * Match one marketable resting order against a depth snapshot:
+ *   - touch:   one average opposite level trades at our price and works
+ *              through the queue ahead before reaching us
+ *   - through: the opposite best quote crossed our limit, so our level was
+ *              swept — no queue left, the whole opposite side is available
+ * Without a snapshot the order fills in full.
+ *
+ * @param {object} resting - { side, limitPrice, remaining, queueAhead }
+ * @param {object|null} depth - fetchOrderBookDepth() snapshot
+ * @returns {{ fillQuantity: number, queueAhead: number, liquidity: number|null, through: boolean }}
+ */
+function simulateRestingFill({ side, limitPrice, remaining, queueAhead }, depth) {
+  if (!depth) {
+    return { fillQuantity: remaining, queueAhead: 0, liquidity: null, through: false };
+  }
+
+  const isBuy = side === 'BUY';
+  const oppositeTotal = (isBuy ? depth.askTotal : depth.bidTotal) || 0;
+  const oppositeBest = isBuy ? depth.bestAsk : depth.bestBid;
+  const through = oppositeBest != null && (isBuy ? oppositeBest < limitPrice : oppositeBest > limitPrice);
+
+  const liquidity = through ? oppositeTotal : oppositeTotal / (depth.depthLevels || DEFAULT_DEPTH_LEVELS);
+  const ahead = through ? 0 : (queueAhead || 0);
+  const consumed = Math.min(ahead, liquidity);
+
+  return {
+    fillQuantity: round8(Math.min(remaining, liquidity - consumed)),
+    queueAhead: round8(ahead - consumed),
+    liquidity: round8(liquidity),
+    through
+  };
+}
+
 class PaperExecutionAdapter extends ExecutionAdapter {
   /**
    * @param {object} supabase - Supabase client instance
+   * @param {object} [options]
+   * @param {Function} [options.fetchDepth] - async (asset) => depth snapshot (default: Binance order book)
    */
-  constructor(supabase) {
+  constructor(supabase, options = {}) {
     super('paper');
     this.supabase = supabase;
+    this.fetchDepth = options.fetchDepth || defaultFetchDepth;
+    this.book = new Map(); // orderId → resting entry
   }
 
   /**
    * Place an order in the paper trading system.
-   * Converts the order into a paper trade via openTrade().
+   * Converts the order into a paper trade via openTrade(); reduce-only orders
+   * (bracket / OCO legs, trailing stops) close the matching trade instead.
    */
   async placeOrder(order, marketData = null, config = null) {
     try {
@@ -40,67 +124,375 @@ class PaperExecutionAdapter extends ExecutionAdapter {
         };
       }
 
-      // ── MARKET ORDER: fill immediately ──
-      if (order.order_type === 'MARKET') {
-        return await this._fillOrder(order, currentPrice, marketData, config);
+      const { met, reason } = this._evaluateConditions(order, currentPrice);
+      if (!met) {
+        if (this._isBookOrder(order)) {
+          this._rest(order, currentPrice, config);
+          return { filled: false, reason: `${reason} — resting in paper book` };
+        }
+        return { filled: false, reason };
       }
 
-      // ── LIMIT ORDER: check if price satisfies limit ──
-      if (order.order_type === 'LIMIT') {
-        const limitPrice = parseFloat(order.price);
+      return order.reduce_only
+        ? await this._closePosition(order, currentPrice)
+        : await this._fillOrder(order, currentPrice, marketData, config);
+    } catch (err) {
+      logger.error('PaperExecutionAdapter.placeOrder error', { error: err.message, orderId: order.id });
+      return { filled: false, reason: `Execution error: ${err.message}` };
+    }
+  }
 
-        if (order.side === 'BUY' && currentPrice <= limitPrice) {
-          // Buy at or below limit → fill
-          return await this._fillOrder(order, currentPrice, marketData, config);
-        }
-        if (order.side === 'SELL' && currentPrice >= limitPrice) {
-          // Sell at or above limit → fill
-          return await this._fillOrder(order, currentPrice, marketData, config);
-        }
+  /**
+   * Re-evaluate a resting order. Book orders are matched by onMarketUpdate —
+   * a check only (re)loads them, e.g. after a restart. Other paper orders only
+   * rest in the DB, so a check is a fresh placement against the current price.
+   */
+  async checkWorkingOrder(order, marketData = null, config = null) {
+    if (this._isBookOrder(order)) {
+      if (!this.book.has(order.id)) {
+        this._rest(order, resolveCurrentPrice(order.asset, marketData), config);
+      }
+      return { filled: false, reason: 'Resting in paper book' };
+    }
+    return this.placeOrder(order, marketData, config);
+  }
 
-        return {
-          filled: false,
-          reason: `LIMIT not reached: current ${currentPrice} vs limit ${limitPrice} (${order.side})`
-        };
+  /**
+   * Drop a cancelled order from the book.
+   */
+  async cancelWorkingOrder(order) {
+    this.book.delete(order.id);
+    return super.cancelWorkingOrder(order);
+  }
+
+  // ─── Resting book ───────────────────────────────────────────────────────────
+
+  /**
+   * Match the resting book against a MARKET_UPDATE snapshot. Each fill is
+   * persisted (PARTIAL_FILL / FILLED) and emitted as an ORDER_UPDATE.
+   *
+   * @param {object} marketData - Market snapshot from the market worker
+   * @returns {Promise<Array<{order: object, fill: object, queue: object}>>} Emitted updates
+   */
+  async onMarketUpdate(marketData) {
+    if (this.book.size === 0 || !marketData) return [];
+
+    await this._pruneBook();
+
+    const depthByAsset = new Map(); // One snapshot per asset per update
+    const updates = [];
+    for (const entry of [...this.book.values()]) {
+      try {
+        const update = await this._matchResting(entry, marketData, depthByAsset);
+        if (!update) continue;
+        updates.push(update);
+        sendToParent(MSG.ORDER_UPDATE, update);
+      } catch (err) {
+        logger.warn('Resting order match failed', { orderId: entry.order.id, error: err.message });
       }
+    }
+    return updates;
+  }
 
-      // ── STOP_LIMIT ORDER: check trigger, then limit ──
-      if (order.order_type === 'STOP_LIMIT') {
-        const stopPrice = parseFloat(order.stop_price);
-        const limitPrice = parseFloat(order.price);
-
-        // Check if stop triggered
-        const stopTriggered =
-          (order.side === 'BUY' && currentPrice >= stopPrice) ||
-          (order.side === 'SELL' && currentPrice <= stopPrice);
-
-        if (!stopTriggered) {
-          return {
-            filled: false,
-            reason: `STOP not triggered: current ${currentPrice} vs stop ${stopPrice} (${order.side})`
-          };
-        }
+  /**
+   * Entries the book matches: standalone LIMIT / STOP_LIMIT entries. Linked
+   * legs and reduce-only exits stay with processWorkingOrders.
+   * @private
+   */
+  _isBookOrder(order) {
+    return BOOK_ORDER_TYPES.includes(order.order_type) && !order.reduce_only && !order.parent_order_id;
+  }
 
-        // Stop triggered — now check limit
-        const limitSatisfied =
-          (order.side === 'BUY' && currentPrice <= limitPrice) ||
-          (order.side === 'SELL' && currentPrice >= limitPrice);
+  /**
+   * Add an order to the book, restoring fill progress and queue state
+   * persisted by an earlier run.
+   * @private
+   */
+  _rest(order, currentPrice = null, config = null) {
+    const saved = order.queue_state || {};
+    const filled = parseFloat(order.filled_quantity) || 0;
 
-        if (!limitSatisfied) {
-          return {
-            filled: false,
-            reason: `STOP triggered but LIMIT not met: current ${currentPrice} vs limit ${limitPrice}`
-          };
-        }
+    this.book.set(order.id, {
+      order,
+      config,
+      filled,
+      remaining: round8(parseFloat(order.quantity) - filled),
+      // A STOP_LIMIT joins the queue only once its stop has traded
+      triggered: order.order_type === 'LIMIT' || !!saved.triggered ||
+        (currentPrice != null && isStopTriggered(order, currentPrice)),
+      queueAhead: saved.queueAhead ?? null,
+      initialQueueAhead: saved.initialQueueAhead ?? null,
+      restingSince: saved.restingSince || new Date().toISOString(),
+      trade: null
+    });
+  }
+
+  /**
+   * Forget orders that left their working status elsewhere (cancelled from
+   * the API, expired, kill switch).
+   * @private
+   */
+  async _pruneBook() {
+    const ids = [...this.book.keys()];
+    const { data, error } = await this.supabase.from('orders')
+      .select('id, status')
+      .in('id', ids);
+    if (error || !Array.isArray(data)) return;
+
+    const working = new Set(data
+      .filter(o => [ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL_FILL].includes(o.status))
+      .map(o => o.id));
+    for (const id of ids) {
+      if (!working.has(id)) this.book.delete(id);
+    }
+  }
+
+  /**
+   * Match one resting entry. Joins the queue on the first snapshot after the
+   * order goes live, then fills whatever the queue model lets through.
+   * @private
+   * @returns {Promise<object|null>} ORDER_UPDATE payload when something filled
+   */
+  async _matchResting(entry, marketData, depthByAsset) {
+    const { order } = entry;
+    const price = resolveCurrentPrice(order.asset, marketData);
+    if (!price) return null;
 
-        return await this._fillOrder(order, currentPrice, marketData, config);
+    if (!entry.triggered) {
+      if (!isStopTriggered(order, price)) return null;
+      entry.triggered = true;
+    }
+
+    const limitPrice = parseFloat(order.price);
+    const marketable = order.side === 'BUY' ? price <= limitPrice : price >= limitPrice;
+    const joining = entry.queueAhead == null;
+    if (!marketable && !joining) return null;
+
+    const depth = await this._depthFor(order.asset, depthByAsset);
+    if (joining) {
+      entry.queueAhead = entry.initialQueueAhead = estimateQueueAhead(order.side, depth);
+    }
+
+    let match = null;
+    if (marketable) {
+      match = simulateRestingFill({
+        side: order.side, limitPrice, remaining: entry.remaining, queueAhead: entry.queueAhead
+      }, depth);
+      if (match.fillQuantity > 0) return this._fillResting(entry, match, marketData);
+    }
+
+    if (joining || (match && match.queueAhead !== entry.queueAhead)) {
+      if (match) entry.queueAhead = match.queueAhead;
+      await this._saveQueueState(entry, match);
+    }
+    return null;
+  }
+
+  /**
+   * Apply a book fill at the limit price. The first fill opens the paper
+   * trade, later fills add to it; the order goes PARTIAL_FILL until complete.
+   * @private
+   */
+  async _fillResting(entry, match, marketData) {
+    const { order } = entry;
+    const limitPrice = parseFloat(order.price);
+    const total = parseFloat(order.quantity);
+    const quantity = match.fillQuantity;
+    const riskAmount = (parseFloat(order.risk_amount) || 0) * quantity / total;
+
+    // Reloaded after a restart: earlier fills already opened the trade
+    if (!entry.trade && entry.filled > 0) {
+      entry.trade = await this._tradeForOrder(order.id);
+    }
+
+    let opened = null;
+    if (!entry.trade) {
+      const { trade, error } = await openTrade(
+        this.supabase,
+        order.user_id,
+        { ...this._signalFor(order, limitPrice), fillPrice: limitPrice },
+        { positionSizeUsd: Math.round(limitPrice * quantity * 100) / 100, quantity, riskAmount },
+        marketData,
+        order.id,
+        entry.config
+      );
+      if (error) {
+        logger.warn('Resting fill could not open trade', { orderId: order.id, error: error.message });
+        return null;
+      }
+      entry.trade = opened = trade;
+    } else {
+      const { trade, error } = await addTradeFill(this.supabase, entry.trade, quantity, limitPrice, riskAmount);
+      if (error) {
+        logger.warn('Resting fill could not extend trade', { orderId: order.id, error: error.message });
+        return null;
       }
+      entry.trade = trade;
+    }
 
-      return { filled: false, reason: `Unknown order type: ${order.order_type}` };
-    } catch (err) {
-      logger.error('PaperExecutionAdapter.placeOrder error', { error: err.message, orderId: order.id });
-      return { filled: false, reason: `Execution error: ${err.message}` };
+    entry.queueAhead = match.queueAhead;
+    entry.filled = round8(entry.filled + quantity);
+    entry.remaining = round8(total - entry.filled);
+    const complete = entry.remaining <= total * 1e-9;
+    const queue = await this._saveQueueState(entry, match);
+
+    const fillResult = {
+      fillPrice: limitPrice,
+      fillQuantity: entry.filled,
+      lastQuantity: quantity,
+      slippage: 0,
+      trade: opened,
+      queue
+    };
+    const recorded = complete
+      ? await recordFill(this.supabase, order, fillResult)
+      : await recordPartialFill(this.supabase, order, fillResult);
+
+    if (complete || !recorded) this.book.delete(order.id);
+    if (!recorded) return null;
+
+    return {
+      order,
+      fill: {
+        quantity,
+        price: limitPrice,
+        filledQuantity: entry.filled,
+        remainingQuantity: entry.remaining,
+        complete
+      },
+      queue
+    };
+  }
+
+  /**
+   * Persist the queue assumptions behind an entry's fills on its order row.
+   * @private
+   * @returns {Promise<object>} The saved queue state
+   */
+  async _saveQueueState(entry, match = null) {
+    const queue = {
+      model: QUEUE_MODEL,
+      queueAhead: entry.queueAhead,
+      initialQueueAhead: entry.initialQueueAhead,
+      triggered: entry.triggered,
+      restingSince: entry.restingSince,
+      ...(match ? { liquidity: match.liquidity, through: match.through } : {}),
+      updatedAt: new Date().toISOString()
+    };
+    entry.order.queue_state = queue;
+    await this.supabase.from('orders')
+      .update({ queue_state: queue })
+      .eq('id', entry.order.id);
+    return queue;
+  }
+
+  /** @private */
+  async _depthFor(asset, depthByAsset) {
+    if (!depthByAsset.has(asset)) {
+      let depth = null;
+      try {
+        depth = await this.fetchDepth(asset);
+      } catch (err) {
+        logger.debug('Depth unavailable for resting book', { asset, error: err.message });
+      }
+      depthByAsset.set(asset, depth || null);
+    }
+    return depthByAsset.get(asset);
+  }
+
+  /** @private */
+  async _tradeForOrder(orderId) {
+    const { data } = await this.supabase.from('paper_trades')
+      .select('*')
+      .eq('order_id', orderId)
+      .limit(1);
+    return data?.[0] || null;
+  }
+
+  /**
+   * Check an order's price conditions against the current price.
+   * @private
+   * @returns {{ met: boolean, reason?: string }}
+   */
+  _evaluateConditions(order, currentPrice) {
+    // A bracket entry is a LIMIT when priced, MARKET otherwise
+    const type = order.order_type === 'BRACKET'
+      ? (order.price ? 'LIMIT' : 'MARKET')
+      : order.order_type;
+
+    // ── MARKET ORDER: fill immediately ──
+    if (type === 'MARKET') {
+      return { met: true };
+    }
+
+    // ── LIMIT ORDER: check if price satisfies limit ──
+    if (type === 'LIMIT') {
+      const limitPrice = parseFloat(order.price);
+
+      // Buy at or below limit / sell at or above limit → fill
+      if ((order.side === 'BUY' && currentPrice <= limitPrice) ||
+          (order.side === 'SELL' && currentPrice >= limitPrice)) {
+        return { met: true };
+      }
+
+      return {
+        met: false,
+        reason: `LIMIT not reached: current ${currentPrice} vs limit ${limitPrice} (${order.side})`
+      };
+    }
+
+    // ── STOP_MARKET / TRAILING_STOP: fill at market once the trigger trades ──
+    if (type === 'STOP_MARKET' || type === 'TRAILING_STOP') {
+      if (order.stop_price == null) {
+        return { met: false, reason: `${type} has no trigger price yet` };
+      }
+      const stopPrice = parseFloat(order.stop_price);
+      const triggered =
+        (order.side === 'BUY' && currentPrice >= stopPrice) ||
+        (order.side === 'SELL' && currentPrice <= stopPrice);
+
+      return triggered
+        ? { met: true }
+        : { met: false, reason: `STOP not triggered: current ${currentPrice} vs stop ${stopPrice} (${order.side})` };
+    }
+
+    // ── STOP_LIMIT ORDER: check trigger, then limit ──
+    if (type === 'STOP_LIMIT') {
+      const stopPrice = parseFloat(order.stop_price);
+      const limitPrice = parseFloat(order.price);
+
+      // Check if stop triggered
+      const stopTriggered =
+        (order.side === 'BUY' && currentPrice >= stopPrice) ||
+        (order.side === 'SELL' && currentPrice <= stopPrice);
+
+      if (!stopTriggered) {
+        return {
+          met: false,
+          reason: `STOP not triggered: current ${currentPrice} vs stop ${stopPrice} (${order.side})`
+        };
+      }
+
+      // Stop triggered — now check limit
+      const limitSatisfied =
+        (order.side === 'BUY' && currentPrice <= limitPrice) ||
+        (order.side === 'SELL' && currentPrice >= limitPrice);
+
+      if (!limitSatisfied) {
+        return {
+          met: false,
+          reason: `STOP triggered but LIMIT not met: current ${currentPrice} vs limit ${limitPrice}`
+        };
+      }
+
+      return { met: true };
     }
+
+    if (type === 'OCO') {
+      return { met: false, reason: 'OCO orders are placed leg by leg' };
+    }
+
+    return { met: false, reason: `Unknown order type: ${order.order_type}` };
   }
 
   /**
@@ -112,30 +504,6 @@ class PaperExecutionAdapter extends ExecutionAdapter {
     const fillPrice = applySlippage(currentPrice, isBuy, order.asset);
     const slippage = Math.abs(fillPrice - currentPrice) / currentPrice;
 
-    // Build a signal-like object for openTrade (compatibility layer)
-    const signalCompat = {
-      asset: order.asset,
-      assetClass: order.asset_class || 'crypto',
-      action: order.side === 'BUY' ? 'BUY' : 'SELL',
-      strengthLabel: order.signal_snapshot?.strengthLabel || (order.side === 'BUY' ? 'STRONG BUY' : 'STRONG SELL'),
-      confidence: order.signal_snapshot?.confidence || 50,
-      rawScore: order.signal_snapshot?.rawScore || 0,
-      score: order.signal_snapshot?.score || 0,
-      reasons: order.signal_snapshot?.reasons || 'Order execution',
-      tradeLevels: {
-        entry: currentPrice, // Will be slipped inside openTrade
-        stopLoss: order.stop_loss ? parseFloat(order.stop_loss) : null,
-        takeProfit1: order.take_profit_1 ? parseFloat(order.take_profit_1) : null,
-        takeProfit2: order.take_profit_2 ? parseFloat(order.take_profit_2) : null,
-        trailingStop: null,
-        trailingActivation: order.trailing_activation ? parseFloat(order.trailing_activation) : null
-      },
-      timeframes: order.signal_snapshot?.timeframes || {},
-      indicators: order.signal_snapshot?.indicators || {},
-      macroContext: order.signal_snapshot?.macroContext || null,
-      derivatives: order.signal_snapshot?.derivatives || null
-    };
-
     const positionSize = {
       positionSizeUsd: parseFloat(order.position_size_usd) || 0,
       quantity: parseFloat(order.quantity),
@@ -145,7 +513,7 @@ class PaperExecutionAdapter extends ExecutionAdapter {
     const { trade, error } = await openTrade(
       this.supabase,
       order.user_id,
-      signalCompat,
+      this._signalFor(order, currentPrice), // Entry is slipped inside openTrade
       positionSize,
       marketData,
       order.id, // Pass order_id to link trade → order
@@ -168,6 +536,103 @@ class PaperExecutionAdapter extends ExecutionAdapter {
     };
   }
 
+  /**
+   * Build a signal-like object for openTrade (compatibility layer).
+   * @private
+   */
+  _signalFor(order, entryPrice) {
+    return {
+      asset: order.asset,
+      assetClass: order.asset_class || 'crypto',
+      action: order.side === 'BUY' ? 'BUY' : 'SELL',
+      strengthLabel: order.signal_snapshot?.strengthLabel || (order.side === 'BUY' ? 'STRONG BUY' : 'STRONG SELL'),
+      confidence: order.signal_snapshot?.confidence || 50,
+      rawScore: order.signal_snapshot?.rawScore || 0,
+      score: order.signal_snapshot?.score || 0,
+      reasons: order.signal_snapshot?.reasons || 'Order execution',
+      tradeLevels: {
+        entry: entryPrice,
+        stopLoss: order.stop_loss ? parseFloat(order.stop_loss) : null,
+        takeProfit1: order.take_profit_1 ? parseFloat(order.take_profit_1) : null,
+        takeProfit2: order.take_profit_2 ? parseFloat(order.take_profit_2) : null,
+        trailingStop: null,
+        trailingActivation: order.trailing_activation ? parseFloat(order.trailing_activation) : null
+      },
+      timeframes: order.signal_snapshot?.timeframes || {},
+      indicators: order.signal_snapshot?.indicators || {},
+      macroContext: order.signal_snapshot?.macroContext || null,
+      derivatives: order.signal_snapshot?.derivatives || null,
+      // Bracket legs own this trade's exits — position monitoring leaves them alone
+      exitOrders: order.order_type === 'BRACKET'
+    };
+  }
+
+  /**
+   * Fill a reduce-only order by closing (part of) the paper trade it protects.
+   * Bracket legs close the trade their entry opened; other exits close the
+   * open trade on the asset that the order's side reduces.
+   * @private
+   */
+  async _closePosition(order, currentPrice) {
+    const trade = await this._findReducibleTrade(order);
+    if (!trade) {
+      return { filled: false, cancel: true, reason: `No open position on ${order.asset} to reduce` };
+    }
+
+    const fillPrice = applySlippage(currentPrice, order.side === 'BUY', order.asset);
+    const slippage = Math.abs(fillPrice - currentPrice) / currentPrice;
+    const remaining = parseFloat(trade.remaining_quantity || trade.quantity);
+    const quantity = Math.min(parseFloat(order.quantity), remaining);
+
+    let exitReason = 'manual';
+    if (order.order_type === 'TRAILING_STOP') exitReason = 'trailing_stop';
+    else if (order.leg_role === 'take_profit') exitReason = 'take_profit_1';
+    else if (order.leg_role === 'stop_loss') exitReason = 'stop_loss';
+
+    if (quantity >= remaining * (1 - 1e-9)) {
+      const { closedTrade, error } = await executeFullClose(this.supabase, trade, fillPrice, exitReason);
+      if (error || !closedTrade) {
+        return { filled: false, reason: `Close failed: ${error?.message || 'no trade returned'}` };
+      }
+      return { filled: true, fillPrice, fillQuantity: quantity, slippage, closedTrade, partial: false };
+    }
+
+    const { updatedTrade, error } = await executePartialClose(
+      this.supabase, trade, fillPrice, quantity / parseFloat(trade.quantity)
+    );
+    if (error || !updatedTrade) {
+      return { filled: false, reason: `Partial close failed: ${error?.message || 'no trade returned'}` };
+    }
+    return { filled: true, fillPrice, fillQuantity: quantity, slippage, closedTrade: updatedTrade, partial: true };
+  }
+
+  /**
+   * Find the open trade a reduce-only order applies to.
+   * @private
+   */
+  async _findReducibleTrade(order) {
+    const isOpen = (t) => t && ['open', 'partial'].includes(t.status);
+
+    // Bracket leg: the trade its entry opened — once that trade is closed the leg is obsolete
+    if (order.parent_order_id) {
+      const { data } = await this.supabase.from('paper_trades')
+        .select('*')
+        .eq('order_id', order.parent_order_id)
+        .limit(1);
+      const entryTrade = data?.[0];
+      if (entryTrade) return isOpen(entryTrade) ? entryTrade : null;
+    }
+
+    const { data } = await this.supabase.from('paper_trades')
+      .select('*')
+      .eq('user_id', order.user_id)
+      .eq('asset', order.asset)
+      .eq('direction', order.side === 'SELL' ? 'LONG' : 'SHORT')
+      .in('status', ['open', 'partial'])
+      .limit(1);
+    return data?.[0] || null;
+  }
+
   /**
    * Cancel order — no-op in paper trading (orders aren't on an exchange).
    */
@@ -210,6 +675,25 @@ class PaperExecutionAdapter extends ExecutionAdapter {
     }
   }
 
+  /**
+   * Orders resting in the paper book. Paper orders have no exchange id;
+   * the order id stands in for it.
+   */
+  async getOpenOrders() {
+    return {
+      orders: [...this.book.values()].map(({ order, filled }) => ({
+        exchangeOrderId: order.id,
+        clientOrderId: order.client_order_id,
+        asset: order.asset,
+        symbol: order.asset,
+        side: order.side,
+        quantity: parseFloat(order.quantity),
+        filledQuantity: filled,
+        status: filled > 0 ? 'PARTIAL_FILL' : 'RESTING'
+      }))
+    };
+  }
+
   /**
    * Health check — paper adapter is always healthy.
    */
@@ -217,9 +701,9 @@ class PaperExecutionAdapter extends ExecutionAdapter {
     return {
       healthy: true,
       adapter: 'paper',
-      details: { mode: 'simulated' }
+      details: { mode: 'simulated', restingOrders: this.book.size }
     };
   }
 }
 
-module.exports = { PaperExecutionAdapter };
+module.exports = { PaperExecutionAdapter, simulateRestingFill, estimateQueueAhead };
@@ -1,22 +1,25 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO — Execution Adapter Registry
 // Factory for creating execution adapters by type.
-// Supports: 'paper' (simulated), 'bybit' (real exchange — Spot).
+// Supports: 'paper' (simulated), 'bybit' and 'binance' (real exchanges — Spot).
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { ExecutionAdapter } = require('./ExecutionAdapter');
 const { PaperExecutionAdapter } = require('./PaperExecutionAdapter');
 const { BybitExecutionAdapter } = require('./BybitExecutionAdapter');
+const { BinanceExecutionAdapter } = require('./BinanceExecutionAdapter');
 
 /**
  * Create an execution adapter by type.
  *
- * @param {string} type - Adapter type ('paper', 'bybit')
+ * @param {string} type - Adapter type ('paper', 'bybit', 'binance')
  * @param {object} dependencies - Dependencies required by the adapter
  * @param {object} dependencies.supabase - Supabase client (required for 'paper')
- * @param {string} [dependencies.apiKey] - Bybit API key (required for 'bybit')
- * @param {string} [dependencies.apiSecret] - Bybit API secret (required for 'bybit')
- * @param {boolean} [dependencies.testnet=true] - Use Bybit testnet (default true)
+ * @param {Function} [dependencies.fetchDepth] - Order book source for the paper resting book
+ * @param {string} [dependencies.apiKey] - Exchange API key (required for 'bybit' / 'binance')
+ * @param {string} [dependencies.apiSecret] - Exchange API secret (required for 'bybit' / 'binance')
+ * @param {boolean} [dependencies.testnet=true] - Use the exchange testnet (default true)
+ * @param {string} [dependencies.baseUrl] - Binance REST endpoint override
  * @returns {ExecutionAdapter}
  */
 function createAdapter(type, dependencies = {}) {
@@ -25,7 +28,7 @@ function createAdapter(type, dependencies = {}) {
       if (!dependencies.supabase) {
         throw new Error('PaperExecutionAdapter requires supabase dependency');
       }
-      return new PaperExecutionAdapter(dependencies.supabase);
+      return new PaperExecutionAdapter(dependencies.supabase, { fetchDepth: dependencies.fetchDepth });
 
     case 'bybit':
       if (!dependencies.apiKey || !dependencies.apiSecret) {
@@ -38,6 +41,18 @@ function createAdapter(type, dependencies = {}) {
         dependencies.supabase || null
       );
 
+    case 'binance':
+      if (!dependencies.apiKey || !dependencies.apiSecret) {
+        throw new Error('BinanceExecutionAdapter requires apiKey and apiSecret');
+      }
+      return new BinanceExecutionAdapter(
+        dependencies.apiKey,
+        dependencies.apiSecret,
+        dependencies.testnet !== false, // default to testnet for safety
+        dependencies.supabase || null,
+        { baseUrl: dependencies.baseUrl }
+      );
+
     default:
       throw new Error(`Unknown execution adapter type: ${type}. Available: ${getAvailableAdapters().join(', ')}`);
   }
@@ -48,7 +63,7 @@ function createAdapter(type, dependencies = {}) {
  * @returns {string[]}
  */
 function getAvailableAdapters() {
-  return ['paper', 'bybit'];
+  return ['paper', 'bybit', 'binance'];
 }
 
 module.exports = {
@@ -56,5 +71,6 @@ module.exports = {
   getAvailableAdapters,
   ExecutionAdapter,
   PaperExecutionAdapter,
-  BybitExecutionAdapter
+  BybitExecutionAdapter,
+  BinanceExecutionAdapter
 };
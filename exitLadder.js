@@ -0,0 +1,386 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - EXIT LADDER
+// Configurable trade exits shared by the backtester and paper trading:
+//   - ordered targets, each closing a fraction of the ORIGINAL quantity
+//   - per-target stop rule (breakeven / previous target) and trailing mode
+//   - trailing modes: atr (fixed ATR distance), percent, chandelier
+//     (k × ATR off the highest high / lowest low since entry, active from entry)
+// Pure module — the caller turns events into fills (slippage, costs, DB writes).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const TRAILING_MODES = Object.freeze(['atr', 'percent', 'chandelier']);
+const STOP_RULES = Object.freeze(['none', 'breakeven', 'previous_target']);
+const PRICE_LEVELS = Object.freeze(['takeProfit1', 'takeProfit2', 'trailingActivation']);
+const PRICE_SPEC_KEYS = Object.freeze(['level', 'r', 'atr', 'percent']);
+const MAX_TARGETS = 10;
+const CHANDELIER_DEFAULT_MULT = 3;   // Le Beau's classic 3 × ATR
+const FRACTION_EPSILON = 1e-9;
+
+// ─── Definition ──────────────────────────────────────────────────────────────
+
+/**
+ * Validate a price spec: exactly one of
+ *   { level: 'takeProfit1' | 'takeProfit2' | 'trailingActivation' }
+ *   { r: 1.5 }       — multiples of the initial risk (|entry - stopLoss|)
+ *   { atr: 2 }       — multiples of ATR at entry
+ *   { percent: 3 }   — percent away from entry
+ */
+function normalizePriceSpec(spec, path) {
+  if (!spec || typeof spec !== 'object') {
+    throw new Error(`${path} must be an object with one of: ${PRICE_SPEC_KEYS.join(', ')}`);
+  }
+  const keys = Object.keys(spec).filter(k => PRICE_SPEC_KEYS.includes(k));
+  if (keys.length !== 1) {
+    throw new Error(`${path} must have exactly one of: ${PRICE_SPEC_KEYS.join(', ')}`);
+  }
+  const key = keys[0];
+  if (key === 'level') {
+    if (!PRICE_LEVELS.includes(spec.level)) {
+      throw new Error(`${path}.level must be one of: ${PRICE_LEVELS.join(', ')}`);
+    }
+    return { level: spec.level };
+  }
+  const value = spec[key];
+  if (typeof value !== 'number' || !Number.isFinite(value) || value <= 0) {
+    throw new Error(`${path}.${key} must be a positive number`);
+  }
+  if (key === 'percent' && value >= 100) {
+    throw new Error(`${path}.percent must be below 100`);
+  }
+  return { [key]: value };
+}
+
+function normalizeTrailing(spec, path, { base = false } = {}) {
+  if (spec == null) return null;
+  if (typeof spec !== 'object' || !TRAILING_MODES.includes(spec.mode)) {
+    throw new Error(`${path}.mode must be one of: ${TRAILING_MODES.join(', ')}`);
+  }
+  const out = { mode: spec.mode };
+
+  if (spec.mode === 'percent') {
+    if (typeof spec.percent !== 'number' || spec.percent <= 0 || spec.percent >= 100) {
+      throw new Error(`${path}.percent must be a number between 0 and 100`);
+    }
+    out.percent = spec.percent;
+  } else if (spec.multiplier != null) {
+    if (typeof spec.multiplier !== 'number' || spec.multiplier <= 0) {
+      throw new Error(`${path}.multiplier must be a positive number`);
+    }
+    out.multiplier = spec.multiplier;
+  }
+
+  // Activation only applies to the ladder-level trailing; target trailing arms on the hit.
+  // A chandelier stop hangs from the extreme since entry, so it is active from entry.
+  if (base) {
+    if (spec.activation === undefined) {
+      out.activation = spec.mode === 'chandelier' ? null : { level: 'trailingActivation' };
+    } else {
+      out.activation = spec.activation === null ? null : normalizePriceSpec(spec.activation, `${path}.activation`);
+    }
+  }
+  return out;
+}
+
+/**
+ * Validate and normalize an exit ladder definition.
+ *
+ * @param {Object} ladder
+ * @param {Array<Object>} ladder.targets - Ordered targets:
+ *   { at: <price spec>, fraction?: number, moveStop?: 'none'|'breakeven'|'previous_target',
+ *     trailing?: { mode, multiplier?, percent? } }
+ *   `fraction` is of the original quantity; omitted on the last target = close the rest.
+ * @param {Object|null} [ladder.trailing] - Trailing stop armed before any target is hit:
+ *   { mode, multiplier?, percent?, activation?: <price spec>|null }
+ *   Chandelier defaults to multiplier 3 and no activation (active from entry).
+ * @returns {Object} Normalized ladder
+ * @throws {Error} On invalid definitions (message names the offending path)
+ */
+function normalizeExitLadder(ladder) {
+  if (!ladder || typeof ladder !== 'object') throw new Error('exitLadder must be an object');
+  const { targets } = ladder;
+  if (!Array.isArray(targets) || targets.length === 0) {
+    throw new Error('exitLadder.targets must be a non-empty array');
+  }
+  if (targets.length > MAX_TARGETS) {
+    throw new Error(`exitLadder.targets supports at most ${MAX_TARGETS} targets`);
+  }
+
+  let allocated = 0;
+  const normalized = targets.map((t, i) => {
+    const path = `exitLadder.targets[${i}]`;
+    if (!t || typeof t !== 'object') throw new Error(`${path} must be an object`);
+    const isLast = i === targets.length - 1;
+
+    let fraction = t.fraction ?? null;
+    if (fraction === null) {
+      if (!isLast) throw new Error(`${path}.fraction is required (only the last target may omit it)`);
+    } else if (typeof fraction !== 'number' || fraction <= 0 || fraction > 1) {
+      throw new Error(`${path}.fraction must be in (0, 1]`);
+    } else {
+      allocated += fraction;
+    }
+
+    const moveStop = t.moveStop ?? 'none';
+    if (!STOP_RULES.includes(moveStop)) {
+      throw new Error(`${path}.moveStop must be one of: ${STOP_RULES.join(', ')}`);
+    }
+
+    return {
+      at: normalizePriceSpec(t.at, `${path}.at`),
+      fraction,
+      moveStop,
+      trailing: normalizeTrailing(t.trailing, `${path}.trailing`)
+    };
+  });
+
+  if (allocated > 1 + FRACTION_EPSILON) {
+    throw new Error(`exitLadder target fractions sum to ${Math.round(allocated * 1000) / 1000} (max 1)`);
+  }
+
+  return {
+    targets: normalized,
+    trailing: normalizeTrailing(ladder.trailing, 'exitLadder.trailing', { base: true })
+  };
+}
+
+/**
+ * The historical exit: partial at TP1 (optionally moving the stop to entry),
+ * rest at TP2, with the signal's ATR trailing stop armed at trailingActivation.
+ *
+ * @param {Object} [options]
+ * @param {number} [options.partialRatio=0.5] - Fraction closed at TP1
+ * @param {boolean} [options.breakeven=true] - Move stop to entry after TP1
+ */
+function legacyExitLadder({ partialRatio = 0.5, breakeven = true } = {}) {
+  return normalizeExitLadder({
+    targets: [
+      { at: { level: 'takeProfit1' }, fraction: partialRatio, moveStop: breakeven ? 'breakeven' : 'none' },
+      { at: { level: 'takeProfit2' } }
+    ],
+    trailing: { mode: 'atr' }
+  });
+}
+
+/**
+ * Pick the ladder for a trade: the strategy's ladder (carried on signal.tradeLevels)
+ * or the legacy ladder built from a paper-trading config
+ * (partial_close_ratio, move_sl_to_breakeven_after_tp1).
+ */
+function resolveExitLadder(ladder, config = {}) {
+  if (ladder) return normalizeExitLadder(ladder);
+  return legacyExitLadder({
+    partialRatio: config?.partial_close_ratio || 0.5,
+    breakeven: config?.move_sl_to_breakeven_after_tp1 !== false
+  });
+}
+
+// ─── Plan (ladder resolved against one trade's levels) ───────────────────────
+
+function resolvePrice(spec, levels, isLong) {
+  const sign = isLong ? 1 : -1;
+  const { entry } = levels;
+  let price = null;
+  if (spec.level) price = levels[spec.level];
+  else if (spec.r) price = entry + sign * spec.r * Math.abs(entry - levels.stopLoss);
+  else if (spec.atr) price = levels.atr ? entry + sign * spec.atr * levels.atr : null;
+  else if (spec.percent) price = entry * (1 + sign * spec.percent / 100);
+  return Number.isFinite(price) && price > 0 ? price : null;
+}
+
+function resolveTrailing(spec, levels, isLong) {
+  if (!spec) return null;
+  const out = { mode: spec.mode };
+
+  if (spec.mode === 'percent') {
+    out.percent = spec.percent;
+  } else {
+    let distance = null;
+    if (spec.multiplier != null) {
+      distance = levels.atr ? spec.multiplier * levels.atr : null;
+    } else if (spec.mode === 'chandelier') {
+      distance = levels.atr ? CHANDELIER_DEFAULT_MULT * levels.atr : null;
+    } else if (levels.trailingStop) {
+      distance = Math.abs(levels.entry - levels.trailingStop); // Strategy's atrTrailingMult
+    }
+    if (!distance || !Number.isFinite(distance)) return null;
+    out.distance = distance;
+  }
+
+  if (spec.activation !== undefined) {
+    out.activationPrice = spec.activation ? resolvePrice(spec.activation, levels, isLong) : null;
+    if (spec.activation && out.activationPrice === null) return null; // Level missing on this trade
+  }
+  return out;
+}
+
+/**
+ * Resolve a ladder into concrete prices for one trade. The plan is plain JSON so
+ * paper trading can persist it at entry and replay it on every tick.
+ *
+ * @param {Object} ladder - Normalized ladder
+ * @param {Object} levels - { entry, stopLoss, takeProfit1, takeProfit2, trailingStop,
+ *   trailingActivation, atr } (tradeLevels; `atr` falls back to `atrValue`)
+ * @param {string} direction - 'LONG' | 'SHORT'
+ * @returns {Object} { direction, entry, stopLoss, targets: [{ price, fraction, closesAll,
+ *   moveStop, trailing }], trailing }
+ */
+function buildExitPlan(ladder, levels, direction) {
+  const isLong = direction === 'LONG';
+  const lv = { ...levels, atr: levels.atr ?? levels.atrValue ?? null };
+
+  const targets = [];
+  let cumulative = 0;
+  for (const t of ladder.targets) {
+    const price = resolvePrice(t.at, lv, isLong);
+    const fraction = t.fraction ?? Math.max(0, 1 - cumulative);
+    if (price === null || fraction <= FRACTION_EPSILON) continue; // Level absent — remainder rides on
+    cumulative += fraction;
+    targets.push({
+      price,
+      fraction,
+      closesAll: cumulative >= 1 - FRACTION_EPSILON,
+      moveStop: t.moveStop,
+      trailing: resolveTrailing(t.trailing, lv, isLong)
+    });
+    if (cumulative >= 1 - FRACTION_EPSILON) break;
+  }
+
+  return {
+    direction,
+    entry: lv.entry,
+    stopLoss: lv.stopLoss,
+    targets,
+    trailing: resolveTrailing(ladder.trailing, lv, isLong)
+  };
+}
+
+// ─── State Machine ───────────────────────────────────────────────────────────
+
+/**
+ * Trailing spec in force after `targetsHit` targets: the most recent hit target
+ * that defines one, else the ladder-level trailing.
+ */
+function activeTrailing(plan, targetsHit) {
+  for (let i = Math.min(targetsHit, plan.targets.length) - 1; i >= 0; i--) {
+    if (plan.targets[i].trailing) return plan.targets[i].trailing;
+  }
+  return plan.trailing;
+}
+
+/**
+ * Trailing level off the favorable extreme since entry (`state.peak`: highest
+ * high for longs, lowest low for shorts): k × ATR for atr/chandelier, a percent
+ * of the extreme for percent.
+ */
+function trailLevel(spec, anchor, isLong) {
+  const distance = spec.mode === 'percent' ? anchor * spec.percent / 100 : spec.distance;
+  return isLong ? anchor - distance : anchor + distance;
+}
+
+/**
+ * Initial (or restored) exit state.
+ * @param {Object} plan - From buildExitPlan
+ * @param {Object} [saved] - Persisted { stop, targetsHit, trailingActive, trailingStop, peak }
+ */
+function createExitState(plan, saved = {}) {
+  const trailingActive = !!saved.trailingActive;
+  return {
+    stop: saved.stop ?? plan.stopLoss,
+    targetsHit: saved.targetsHit || 0,
+    trailingActive,
+    trailingStop: trailingActive ? (saved.trailingStop ?? null) : null,
+    peak: saved.peak ?? plan.entry
+  };
+}
+
+/**
+ * Advance the exit state through one price bar. A tick is a bar with high = low.
+ * Order is conservative: stop, trailing stop, targets (in order), trailing arm/update.
+ *
+ * @param {Object} plan - From buildExitPlan
+ * @param {Object} state - From createExitState / previous stepExit
+ * @param {{ high: number, low: number }} bar
+ * @returns {{ state: Object, events: Array<Object>, closed: boolean }}
+ *   events: { type: 'stop_loss'|'trailing_stop', price }
+ *           { type: 'target', index, price, fraction, closesAll }
+ *           { type: 'trailing_armed'|'trailing_moved', price, mode }
+ */
+function stepExit(plan, state, bar) {
+  const isLong = plan.direction === 'LONG';
+  const favorable = isLong ? bar.high : bar.low;
+  const adverse = isLong ? bar.low : bar.high;
+  const beyond = (price, level) => (isLong ? price >= level : price <= level);
+  const tighter = (a, b) => (isLong ? Math.max(a, b) : Math.min(a, b));
+
+  const next = { ...state };
+  const events = [];
+  if (beyond(favorable, next.peak)) next.peak = favorable;
+
+  if (isLong ? adverse <= next.stop : adverse >= next.stop) {
+    events.push({ type: 'stop_loss', price: next.stop });
+    return { state: next, events, closed: true };
+  }
+
+  if (next.trailingActive && next.trailingStop != null &&
+      (isLong ? adverse <= next.trailingStop : adverse >= next.trailingStop)) {
+    events.push({ type: 'trailing_stop', price: next.trailingStop });
+    return { state: next, events, closed: true };
+  }
+
+  while (next.targetsHit < plan.targets.length) {
+    const index = next.targetsHit;
+    const target = plan.targets[index];
+    if (!beyond(favorable, target.price)) break;
+
+    next.targetsHit++;
+    events.push({ type: 'target', index, price: target.price, fraction: target.fraction, closesAll: target.closesAll });
+    if (target.closesAll) return { state: next, events, closed: true };
+
+    if (target.moveStop === 'breakeven') {
+      next.stop = tighter(next.stop, plan.entry);
+    } else if (target.moveStop === 'previous_target') {
+      next.stop = tighter(next.stop, index > 0 ? plan.targets[index - 1].price : plan.entry);
+    }
+    if (target.trailing) {
+      // Switching modes re-anchors on the current extreme but never loosens the stop
+      const level = trailLevel(target.trailing, next.peak, isLong);
+      next.trailingStop = next.trailingActive && next.trailingStop != null
+        ? tighter(next.trailingStop, level) : level;
+      next.trailingActive = true;
+      events.push({ type: 'trailing_armed', price: next.trailingStop, mode: target.trailing.mode });
+    }
+  }
+
+  const spec = activeTrailing(plan, next.targetsHit);
+  if (!spec) return { state: next, events, closed: false };
+
+  if (!next.trailingActive) {
+    if (spec.activationPrice == null || beyond(favorable, spec.activationPrice)) {
+      next.trailingActive = true;
+      next.trailingStop = trailLevel(spec, next.peak, isLong);
+      events.push({ type: 'trailing_armed', price: next.trailingStop, mode: spec.mode });
+    }
+  } else {
+    const level = trailLevel(spec, next.peak, isLong);
+    if (next.trailingStop == null || tighter(level, next.trailingStop) !== next.trailingStop) {
+      next.trailingStop = level;
+      events.push({ type: 'trailing_moved', price: level, mode: spec.mode });
+    }
+  }
+
+  return { state: next, events, closed: false };
+}
+
+module.exports = {
+  TRAILING_MODES,
+  STOP_RULES,
+  PRICE_LEVELS,
+  MAX_TARGETS,
+  normalizeExitLadder,
+  legacyExitLadder,
+  resolveExitLadder,
+  buildExitPlan,
+  activeTrailing,
+  createExitState,
+  stepExit
+};
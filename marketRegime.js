@@ -1,7 +1,9 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO - ADVANCED MARKET REGIME DETECTOR
 // State machine with smooth transitions, confidence scoring, reversal detection,
-// and regime-specific signal multipliers.
+// and regime-specific signal multipliers. Raw probabilities come from the
+// heuristic classifier below or from a fitted model (regimeModel.js), selected
+// with REGIME_MODEL / setRegimeModel().
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { logger } = require('./logger');
@@ -32,6 +34,9 @@ const REGIME_MULTIPLIERS = {
 // Minimum candles required for regime detection
 const MIN_CANDLES = 50;
 
+// Probability sources: hand-tuned heuristic or fitted models (regimeModel.js)
+const REGIME_MODEL_TYPES = ['heuristic', 'kmeans', 'hmm'];
+
 // ─── REGIME STATE MACHINE ────────────────────────────────────────────────────
 // Persists per-asset state across cycles for smooth transitions
 
@@ -197,6 +202,108 @@ function calculateRegimeProbabilities(candles) {
   };
 }
 
+/**
+ * Classify candles into their dominant regime without touching tracked state.
+ * Unlike updateRegime() there is no smoothing, so this is a point-in-time read.
+ * @param {Array} candles - OHLCV candles sorted ascending
+ * @param {Object} [options]
+ * @param {string} [options.model] - One of REGIME_MODEL_TYPES (default: active model)
+ * @returns {string} One of REGIMES (UNKNOWN when there are too few candles)
+ */
+function classifyRegime(candles, { model } = {}) {
+  const result = regimeProbabilities(candles || [], model);
+  if (!result) return REGIMES.UNKNOWN;
+
+  let maxProb = 0;
+  let dominantRegime = REGIMES.RANGING;
+  for (const [regime, prob] of Object.entries(result.probabilities)) {
+    if (prob > maxProb) {
+      maxProb = prob;
+      dominantRegime = regime;
+    }
+  }
+  return dominantRegime;
+}
+
+// ─── MODEL SELECTION ─────────────────────────────────────────────────────────
+
+let activeModel = REGIME_MODEL_TYPES.includes(process.env.REGIME_MODEL) ? process.env.REGIME_MODEL : 'heuristic';
+const missingModelWarned = new Set();
+
+/**
+ * Raw regime probabilities from the given model. A fitted model that has not
+ * been trained yet falls back to the heuristic (warned once per type).
+ * @param {Array} candles - OHLCV candles sorted ascending
+ * @param {string} [model] - One of REGIME_MODEL_TYPES (default: active model)
+ * @returns {{ probabilities: Object, metrics: Object, model: string, smoothed: boolean, fittedState?: number }|null}
+ */
+function regimeProbabilities(candles, model = activeModel) {
+  if (model !== 'heuristic') {
+    // Lazy require: regimeModel → featureStore → marketRegime
+    const { loadRegimeModel, inferRegime } = require('./regimeModel');
+    const fitted = loadRegimeModel(model);
+    if (fitted) {
+      const result = inferRegime(fitted, candles);
+      if (!result) return null;
+      return {
+        probabilities: result.probabilities,
+        metrics: result.metrics,
+        model,
+        smoothed: result.smoothed,
+        fittedState: result.state
+      };
+    }
+    if (!missingModelWarned.has(model)) {
+      missingModelWarned.add(model);
+      logger.warn('Regime model not trained, using heuristic classifier', { model });
+    }
+  }
+
+  const result = calculateRegimeProbabilities(candles);
+  return result ? { ...result, model: 'heuristic', smoothed: false } : null;
+}
+
+/**
+ * Switch the probability source. Tracked states are reset on change so EMA
+ * history from one model never bleeds into another.
+ * @param {string} type - One of REGIME_MODEL_TYPES
+ * @returns {Object} getRegimeModel()
+ */
+function setRegimeModel(type) {
+  if (!REGIME_MODEL_TYPES.includes(type)) {
+    throw new Error(`Unknown regime model: ${type} (expected ${REGIME_MODEL_TYPES.join(', ')})`);
+  }
+  if (type !== activeModel) {
+    logger.info('Regime model switched', { from: activeModel, to: type });
+    activeModel = type;
+    regimeStates.clear();
+    missingModelWarned.delete(type);
+  }
+  return getRegimeModel();
+}
+
+/**
+ * Active model and, for fitted models, a summary of the trained file.
+ * @returns {{ model: string, available: string[], fitted: Object|null }}
+ */
+function getRegimeModel() {
+  let fitted = null;
+  if (activeModel !== 'heuristic') {
+    const model = require('./regimeModel').loadRegimeModel(activeModel);
+    fitted = model
+      ? {
+        trainedAt: model.trainedAt,
+        interval: model.interval,
+        assets: model.assets,
+        samples: model.samples,
+        states: model.states.map(s => ({ id: s.id, label: s.label, share: s.share, expectedDurationBars: s.expectedDurationBars })),
+        transitionMatrix: model.transitionMatrix
+      }
+      : { trained: false };
+  }
+  return { model: activeModel, available: [...REGIME_MODEL_TYPES], fitted };
+}
+
 // ─── SMOOTH TRANSITION (EMA) ─────────────────────────────────────────────────
 
 const EMA_ALPHA = 0.3; // Smoothing factor: 0.3 = responsive, 0.1 = very smooth
@@ -216,7 +323,7 @@ function updateRegime(asset, candles) {
   const state = regimeStates.get(asset);
 
   // Calculate raw probabilities
-  const result = calculateRegimeProbabilities(candles);
+  const result = regimeProbabilities(candles);
   if (!result) {
     return {
       regime: REGIMES.UNKNOWN,
@@ -225,16 +332,18 @@ function updateRegime(asset, candles) {
       timeInRegime: 0,
       probabilities: state.probabilities,
       transition: null,
-      metrics: null
+      metrics: null,
+      model: activeModel
     };
   }
 
   const { probabilities: rawProbs, metrics } = result;
 
-  // Smooth probabilities with EMA
+  // Smooth probabilities with EMA (HMM filtering is already temporally smoothed)
+  const alpha = result.smoothed ? 1 : EMA_ALPHA;
   for (const regime of Object.keys(rawProbs)) {
     const prev = state.probabilities[regime] || 0;
-    state.probabilities[regime] = prev + EMA_ALPHA * (rawProbs[regime] - prev);
+    state.probabilities[regime] = prev + alpha * (rawProbs[regime] - prev);
   }
 
   // Find dominant regime
@@ -315,6 +424,8 @@ function updateRegime(asset, candles) {
     probabilities: { ...state.probabilities },
     transition,
     metrics,
+    model: result.model,
+    fittedState: result.fittedState ?? null,
     isReversal: state.current === REGIMES.REVERSAL_TOP || state.current === REGIMES.REVERSAL_BOT,
     isVolatile: state.current === REGIMES.VOLATILE,
     isTrending: state.current === REGIMES.TRENDING_UP || state.current === REGIMES.TRENDING_DOWN,
@@ -340,6 +451,7 @@ function getRegime(asset) {
     timeInRegime: state.timeInRegime,
     transitionedAt: state.transitionedAt,
     probabilities: { ...state.probabilities },
+    model: activeModel,
     isReversal: state.current === REGIMES.REVERSAL_TOP || state.current === REGIMES.REVERSAL_BOT,
     isVolatile: state.current === REGIMES.VOLATILE,
     isTrending: state.current === REGIMES.TRENDING_UP || state.current === REGIMES.TRENDING_DOWN,
@@ -405,7 +517,12 @@ function resetRegimeStates() {
 module.exports = {
   REGIMES,
   REGIME_MULTIPLIERS,
+  REGIME_MODEL_TYPES,
   calculateRegimeProbabilities,
+  regimeProbabilities,
+  classifyRegime,
+  setRegimeModel,
+  getRegimeModel,
   updateRegime,
   getRegime,
   getAllRegimes,
@@ -0,0 +1,464 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Streaming Market Data (Binance WebSocket)
+// Subscribes to ticker, kline and diff-depth streams for the tracked assets
+// over one combined connection. Reconnects with backoff, detects sequence
+// gaps (depth update ids, missing klines) and backfills them over REST.
+// The market worker publishes MARKET_UPDATE from these ticks and falls back
+// to REST polling while the stream is down.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const EventEmitter = require('events');
+const axios = require('axios');
+const WebSocket = require('ws');
+const { logger } = require('./logger');
+const { classifyAxiosError, Provider } = require('./errors');
+const { parseKlines } = require('./binanceAPI');
+
+// data-stream / data-api.binance.vision are the geo-unrestricted public hosts
+const DEFAULT_WS_BASE = 'wss://data-stream.binance.vision';
+const DEFAULT_REST_BASE = 'https://data-api.binance.vision';
+
+const INTERVAL_MS = {
+  '1m': 60 * 1000,
+  '3m': 3 * 60 * 1000,
+  '5m': 5 * 60 * 1000,
+  '15m': 15 * 60 * 1000,
+  '1h': 60 * 60 * 1000
+};
+
+const STREAM_DEFAULTS = {
+  klineInterval: '1m',
+  depthLevels: 20,         // levels kept per side of the local book
+  maxCandles: 120,         // closed candles kept per asset
+  staleMs: 30 * 1000,      // no message for this long → socket considered dead
+  baseDelayMs: 1000,       // reconnect backoff start
+  maxDelayMs: 30 * 1000    // reconnect backoff cap
+};
+
+const round2 = (v) => Math.round(v * 100) / 100;
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// MARKET STREAM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Events:
+ *   'open'                      — socket connected
+ *   'close'   {code, attempts}  — socket lost (a reconnect is scheduled unless stopped)
+ *   'tick'    asset             — price for an asset changed
+ *   'gap'     {asset, stream, ...} — sequence gap detected
+ *   'backfill'{asset, stream, ...} — gap repaired over REST
+ *   'error'   Error             — only emitted when someone listens
+ */
+class MarketStream extends EventEmitter {
+  /**
+   * @param {object} options
+   * @param {Object<string, string>} options.assets - CoinGecko id → Binance symbol (BTCUSDT)
+   * @param {string} [options.baseUrl] - WebSocket base URL
+   * @param {string} [options.restBaseUrl] - REST base URL for backfill
+   */
+  constructor(options = {}) {
+    super();
+    this.options = { ...STREAM_DEFAULTS, ...options };
+    this.baseUrl = options.baseUrl || DEFAULT_WS_BASE;
+    this.intervalMs = INTERVAL_MS[this.options.klineInterval] || INTERVAL_MS['1m'];
+
+    // BTCUSDT → bitcoin
+    this.assetBySymbol = new Map(
+      Object.entries(options.assets || {}).map(([asset, symbol]) => [symbol.toUpperCase(), asset])
+    );
+
+    this.rest = axios.create({ baseURL: options.restBaseUrl || DEFAULT_REST_BASE, timeout: 10000 });
+
+    this.ws = null;
+    this.stopped = true;
+    this.connected = false;
+    this.attempts = 0;
+    this.lastMessageAt = 0;
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+
+    this.snapshot = new Map();  // asset → latest tick fields
+    this.books = new Map();     // symbol → local depth book + sync state
+    this.klines = new Map();    // symbol → { lastClosedOpen }
+    this.candles = new Map();   // asset → closed candles (oldest first)
+  }
+
+  // ─── Lifecycle ─────────────────────────────────────────────────────────
+
+  start() {
+    if (!this.stopped) return;
+    this.stopped = false;
+    this._connect();
+
+    this.watchdogTimer = setInterval(() => this._checkStale(), Math.max(50, this.options.staleMs / 2));
+    this.watchdogTimer.unref?.();
+  }
+
+  stop() {
+    this.stopped = true;
+    clearTimeout(this.reconnectTimer);
+    clearInterval(this.watchdogTimer);
+    this.reconnectTimer = null;
+    this.watchdogTimer = null;
+    if (this.ws) {
+      this.ws.removeAllListeners();
+      this.ws.on('error', () => {});
+      this.ws.terminate();
+      this.ws = null;
+    }
+    this.connected = false;
+  }
+
+  /**
+   * Connected and hearing from the exchange recently.
+   */
+  isHealthy() {
+    return this.connected && Date.now() - this.lastMessageAt < this.options.staleMs;
+  }
+
+  /**
+   * Latest streamed fields per asset.
+   * @returns {Object<string, {symbol, price, change24h, volume24h, bestBid, bestAsk, spreadPercent, updatedAt}>}
+   */
+  getSnapshot() {
+    return Object.fromEntries(this.snapshot);
+  }
+
+  /**
+   * Closed candles for an asset, oldest first (stream + backfill).
+   */
+  getCandles(asset) {
+    return this.candles.get(asset) || [];
+  }
+
+  /**
+   * Combined stream URL for every tracked symbol.
+   */
+  streamUrl() {
+    const streams = [];
+    for (const symbol of this.assetBySymbol.keys()) {
+      const s = symbol.toLowerCase();
+      streams.push(`${s}@ticker`, `${s}@kline_${this.options.klineInterval}`, `${s}@depth`);
+    }
+    return `${this.baseUrl}/stream?streams=${streams.join('/')}`;
+  }
+
+  // ─── Connection ────────────────────────────────────────────────────────
+
+  _connect() {
+    const ws = new WebSocket(this.streamUrl());
+    this.ws = ws;
+
+    ws.on('open', () => {
+      this.connected = true;
+      this.lastMessageAt = Date.now();
+      // Diff-depth ids do not survive a reconnect — every book resyncs
+      this.books.clear();
+      logger.info('Market stream connected', { symbols: this.assetBySymbol.size, attempt: this.attempts });
+      this.emit('open');
+    });
+
+    ws.on('message', (raw) => {
+      this.lastMessageAt = Date.now();
+      this.attempts = 0;
+      try {
+        const msg = JSON.parse(raw.toString());
+        this._route(msg.stream, msg.data);
+      } catch (err) {
+        logger.warn('Market stream message dropped', { error: err.message });
+      }
+    });
+
+    ws.on('error', (err) => {
+      logger.warn('Market stream socket error', { error: err.message });
+    });
+
+    ws.on('close', (code) => {
+      if (this.ws !== ws) return;
+      this.ws = null;
+      this.connected = false;
+      this.emit('close', { code, attempts: this.attempts });
+      this._scheduleReconnect();
+    });
+  }
+
+  _scheduleReconnect() {
+    if (this.stopped) return;
+    const { baseDelayMs, maxDelayMs } = this.options;
+    const backoff = Math.min(maxDelayMs, baseDelayMs * Math.pow(2, this.attempts));
+    const delay = Math.round(backoff * (0.5 + Math.random() * 0.5));
+    this.attempts++;
+
+    logger.info(`Market stream reconnect ${this.attempts} in ${delay}ms`);
+    this.reconnectTimer = setTimeout(() => {
+      this.reconnectTimer = null;
+      if (!this.stopped) this._connect();
+    }, delay);
+    this.reconnectTimer.unref?.();
+  }
+
+  _checkStale() {
+    if (!this.ws || !this.connected || this.isHealthy()) return;
+    logger.warn('Market stream stale — forcing reconnect', { silentMs: Date.now() - this.lastMessageAt });
+    this.ws.terminate();
+  }
+
+  // ─── Message routing ───────────────────────────────────────────────────
+
+  _route(stream, data) {
+    if (!stream || !data) return;
+    const symbol = stream.split('@')[0].toUpperCase();
+    const asset = this.assetBySymbol.get(symbol);
+    if (!asset) return;
+
+    if (stream.endsWith('@ticker')) this._onTicker(asset, symbol, data);
+    else if (stream.includes('@kline_')) this._onKline(asset, symbol, data.k);
+    else if (stream.endsWith('@depth')) this._onDepth(asset, symbol, data);
+  }
+
+  _onTicker(asset, symbol, data) {
+    this._update(asset, symbol, {
+      price: parseFloat(data.c),
+      change24h: round2(parseFloat(data.P) || 0),
+      volume24h: parseFloat(data.q) || 0
+    });
+    this.emit('tick', asset);
+  }
+
+  _onKline(asset, symbol, k) {
+    if (!k) return;
+    const state = this.klines.get(symbol) || { lastClosedOpen: null };
+    this.klines.set(symbol, state);
+
+    // ── Gap: candles between the last closed one and this one never arrived ──
+    if (state.lastClosedOpen != null) {
+      const expected = state.lastClosedOpen + this.intervalMs;
+      if (k.t > expected) {
+        const missing = Math.round((k.t - expected) / this.intervalMs);
+        this.emit('gap', { asset, stream: 'kline', from: expected, to: k.t - 1, missing });
+        state.lastClosedOpen = k.t - this.intervalMs;
+        this._backfillKlines(asset, symbol, expected, k.t - 1);
+      }
+    }
+
+    if (k.x) {
+      this._storeCandles(asset, parseKlines([[k.t, k.o, k.h, k.l, k.c, k.v, k.T, k.q, k.n, k.V, k.Q]]));
+      state.lastClosedOpen = Math.max(state.lastClosedOpen ?? k.t, k.t);
+    }
+
+    this._update(asset, symbol, { price: parseFloat(k.c) });
+    this.emit('tick', asset);
+  }
+
+  _onDepth(asset, symbol, event) {
+    let book = this.books.get(symbol);
+    if (!book) {
+      book = { synced: false, syncing: false, lastUpdateId: 0, buffer: [], bids: new Map(), asks: new Map() };
+      this.books.set(symbol, book);
+    }
+
+    if (!book.synced) {
+      book.buffer.push(event);
+      if (!book.syncing) this._syncBook(asset, symbol, book);
+      return;
+    }
+
+    if (event.u <= book.lastUpdateId) return;
+    if (event.U !== book.lastUpdateId + 1) {
+      this.emit('gap', { asset, stream: 'depth', expected: book.lastUpdateId + 1, received: event.U });
+      book.synced = false;
+      book.buffer = [event];
+      if (!book.syncing) this._syncBook(asset, symbol, book);
+      return;
+    }
+
+    this._applyDepth(asset, symbol, book, event);
+  }
+
+  // ─── Depth book ────────────────────────────────────────────────────────
+
+  /**
+   * Load a REST snapshot and replay buffered diffs on top of it. Per
+   * Binance's sync rules the first diff must straddle lastUpdateId + 1 and
+   * each later one must continue where the previous ended; otherwise the
+   * snapshot is refetched.
+   */
+  async _syncBook(asset, symbol, book) {
+    book.syncing = true;
+    try {
+      for (let attempt = 0; attempt < 3; attempt++) {
+        const { data } = await this.rest.get('/api/v3/depth', {
+          params: { symbol, limit: Math.min(1000, this.options.depthLevels * 5) }
+        });
+        if (this.books.get(symbol) !== book) return; // reconnected meanwhile
+
+        const pending = book.buffer.filter(e => e.u > data.lastUpdateId);
+        if (pending.length > 0 && pending[0].U > data.lastUpdateId + 1) continue; // snapshot older than our diffs
+
+        book.bids = new Map(data.bids.map(([p, q]) => [parseFloat(p), parseFloat(q)]));
+        book.asks = new Map(data.asks.map(([p, q]) => [parseFloat(p), parseFloat(q)]));
+        book.lastUpdateId = data.lastUpdateId;
+        book.buffer = [];
+
+        const broken = pending.findIndex((e, i) => i > 0 && e.U !== pending[i - 1].u + 1);
+        if (broken !== -1) {
+          this.emit('gap', { asset, stream: 'depth', expected: pending[broken - 1].u + 1, received: pending[broken].U });
+          book.buffer = pending.slice(broken);
+          continue;
+        }
+
+        book.synced = true;
+        for (const event of pending) this._applyDepth(asset, symbol, book, event);
+        this._publishBook(asset, symbol, book);
+        this.emit('backfill', { asset, stream: 'depth', lastUpdateId: book.lastUpdateId });
+        return;
+      }
+      logger.warn('Market stream depth resync gave up', { symbol });
+    } catch (err) {
+      const providerError = classifyAxiosError(err, Provider.BINANCE, 'depth');
+      logger.warn('Market stream depth snapshot failed', { symbol, error: providerError.message });
+      if (this.listenerCount('error') > 0) this.emit('error', providerError);
+    } finally {
+      book.syncing = false;
+    }
+  }
+
+  _applyDepth(asset, symbol, book, event) {
+    for (const [p, q] of event.b || []) this._setLevel(book.bids, p, q);
+    for (const [p, q] of event.a || []) this._setLevel(book.asks, p, q);
+    book.lastUpdateId = event.u;
+    this._trimBook(book);
+    this._publishBook(asset, symbol, book);
+  }
+
+  _setLevel(side, price, qty) {
+    const q = parseFloat(qty);
+    if (q === 0) side.delete(parseFloat(price));
+    else side.set(parseFloat(price), q);
+  }
+
+  /**
+   * Keep only the levels nearest the touch so the book stays bounded.
+   */
+  _trimBook(book) {
+    const keep = this.options.depthLevels * 5;
+    if (book.bids.size > keep) {
+      book.bids = new Map([...book.bids].sort((a, b) => b[0] - a[0]).slice(0, keep));
+    }
+    if (book.asks.size > keep) {
+      book.asks = new Map([...book.asks].sort((a, b) => a[0] - b[0]).slice(0, keep));
+    }
+  }
+
+  _publishBook(asset, symbol, book) {
+    if (book.bids.size === 0 || book.asks.size === 0) return;
+    const bestBid = Math.max(...book.bids.keys());
+    const bestAsk = Math.min(...book.asks.keys());
+    const mid = (bestBid + bestAsk) / 2;
+    this._update(asset, symbol, {
+      bestBid,
+      bestAsk,
+      spreadPercent: mid > 0 ? round2((bestAsk - bestBid) / mid * 100) : 0
+    });
+  }
+
+  // ─── Klines ────────────────────────────────────────────────────────────
+
+  async _backfillKlines(asset, symbol, startTime, endTime) {
+    try {
+      const { data } = await this.rest.get('/api/v3/klines', {
+        params: { symbol, interval: this.options.klineInterval, startTime, endTime, limit: 1000 }
+      });
+      const candles = parseKlines(data || []);
+      this._storeCandles(asset, candles);
+      logger.info('Market stream kline backfill', { symbol, candles: candles.length });
+      this.emit('backfill', { asset, stream: 'kline', from: startTime, to: endTime, candles: candles.length });
+    } catch (err) {
+      const providerError = classifyAxiosError(err, Provider.BINANCE, 'klines');
+      logger.warn('Market stream kline backfill failed', { symbol, error: providerError.message });
+      if (this.listenerCount('error') > 0) this.emit('error', providerError);
+    }
+  }
+
+  _storeCandles(asset, candles) {
+    const byOpen = new Map(this.getCandles(asset).map(c => [c.timestamp, c]));
+    for (const candle of candles) byOpen.set(candle.timestamp, candle);
+    const sorted = [...byOpen.values()].sort((a, b) => a.timestamp - b.timestamp);
+    this.candles.set(asset, sorted.slice(-this.options.maxCandles));
+  }
+
+  // ─── Snapshot ──────────────────────────────────────────────────────────
+
+  _update(asset, symbol, fields) {
+    const current = this.snapshot.get(asset) || { symbol: symbol.replace(/USDT$/, '') };
+    this.snapshot.set(asset, { ...current, ...fields, updatedAt: Date.now() });
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Overlay streamed fields on polled crypto data. Fields the stream does not
+ * carry (marketCap) keep their polled value.
+ *
+ * @param {object} crypto - marketData.crypto from the last poll
+ * @param {object} snapshot - MarketStream#getSnapshot()
+ * @returns {object}
+ */
+function mergeTicks(crypto, snapshot) {
+  const merged = { ...crypto };
+  for (const [asset, tick] of Object.entries(snapshot)) {
+    if (!(tick.price > 0)) continue;
+    const { updatedAt, ...fields } = tick;
+    merged[asset] = {
+      marketCap: 0,
+      ...crypto[asset],
+      ...fields,
+      symbol: crypto[asset]?.symbol || tick.symbol
+    };
+  }
+  return merged;
+}
+
+/**
+ * Leading + trailing throttle: runs at once, then at most every `waitMs`,
+ * with one trailing call for anything that arrived in between.
+ *
+ * @param {Function} fn
+ * @param {number} waitMs
+ * @returns {Function & {cancel: Function}}
+ */
+function createThrottle(fn, waitMs) {
+  let last = 0;
+  let timer = null;
+
+  const throttled = () => {
+    const wait = waitMs - (Date.now() - last);
+    if (wait <= 0 && !timer) {
+      last = Date.now();
+      fn();
+    } else if (!timer) {
+      timer = setTimeout(() => {
+        timer = null;
+        last = Date.now();
+        fn();
+      }, Math.max(0, wait));
+      timer.unref?.();
+    }
+  };
+  throttled.cancel = () => {
+    clearTimeout(timer);
+    timer = null;
+  };
+  return throttled;
+}
+
+module.exports = {
+  MarketStream,
+  STREAM_DEFAULTS,
+  mergeTicks,
+  createThrottle
+};
@@ -0,0 +1,11 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 024: Backtest dataset fingerprint
+-- Stores the dataset descriptor ({ hash, source, endTime }) produced by the
+-- candle archive so a backtest can be replayed offline on identical inputs.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE backtest_results ADD COLUMN IF NOT EXISTS dataset JSONB;
+ALTER TABLE backtest_results ADD COLUMN IF NOT EXISTS dataset_hash TEXT;
+
+CREATE INDEX IF NOT EXISTS idx_backtest_dataset_hash
+  ON backtest_results (dataset_hash);
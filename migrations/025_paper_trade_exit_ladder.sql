@@ -0,0 +1,16 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 025: Exit ladder state on paper trades
+-- exit_plan stores the resolved exit ladder (targets, fractions, stop rules,
+-- trailing modes) built at entry; targets_hit tracks progress through it.
+-- Trades without exit_plan fall back to the legacy TP1/TP2 ladder.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE paper_trades ADD COLUMN IF NOT EXISTS exit_plan JSONB;
+ALTER TABLE paper_trades ADD COLUMN IF NOT EXISTS targets_hit INTEGER;
+
+-- Existing partial trades have already taken TP1
+UPDATE paper_trades
+  SET targets_hit = CASE WHEN status = 'partial' THEN 1 ELSE 0 END
+  WHERE targets_hit IS NULL;
+
+ALTER TABLE paper_trades ALTER COLUMN targets_hit SET DEFAULT 0;
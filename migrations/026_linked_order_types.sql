@@ -0,0 +1,36 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 026: Linked order types (OCO, bracket, trailing stop)
+-- OCO and BRACKET orders are parent rows whose legs are child rows linked by
+-- parent_order_id. Bracket legs and protective exits are reduce-only; trailing
+-- stops keep their ratchet state (trailing_peak + stop_price) on the order.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+-- ─── Order types ──────────────────────────────────────────────────────────────
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_order_type_check;
+ALTER TABLE orders ADD CONSTRAINT orders_order_type_check CHECK (order_type IN (
+  'MARKET', 'LIMIT', 'STOP_LIMIT', 'STOP_MARKET', 'TRAILING_STOP', 'OCO', 'BRACKET'
+));
+
+-- ─── Leg columns ──────────────────────────────────────────────────────────────
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS reduce_only BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS leg_role TEXT
+  CHECK (leg_role IN ('stop_loss', 'take_profit'));
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS trailing_peak NUMERIC(20, 8);
+
+CREATE INDEX IF NOT EXISTS idx_orders_parent
+  ON orders(parent_order_id) WHERE parent_order_id IS NOT NULL;
+
+-- Legs share asset and side with each other, so the one-active-order rule
+-- from migration 018 applies to top-level orders only
+DROP INDEX IF EXISTS idx_orders_one_active_per_asset;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_one_active_per_asset
+  ON orders (user_id, asset, side)
+  WHERE status NOT IN ('FILLED', 'CANCELLED', 'REJECTED', 'EXPIRED')
+    AND parent_order_id IS NULL;
+
+-- ─── Paper trades managed by working orders ───────────────────────────────────
+
+-- Trades opened by a BRACKET entry: exits come from its legs, not position polling
+ALTER TABLE paper_trades ADD COLUMN IF NOT EXISTS exit_orders BOOLEAN NOT NULL DEFAULT false;
@@ -0,0 +1,9 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 027: Queue state for paper resting orders
+-- Paper LIMIT / STOP_LIMIT entries rest in a simulated book and fill in parts
+-- from order book depth. The queue assumptions behind those fills (quantity
+-- ahead, stop triggered, liquidity seen) are kept on the order so they can be
+-- audited and restored after a worker restart.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS queue_state JSONB;
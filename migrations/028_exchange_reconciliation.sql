@@ -0,0 +1,46 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 028: Exchange reconciliation
+-- In live execution mode a periodic job diffs exchange balances and open
+-- orders against orders / paper_trades. Each run stores a report; individual
+-- mismatches are also written to execution_log as RECONCILE_MISMATCH events.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+-- ─── Execution log event types ────────────────────────────────────────────────
+
+-- Also admits the recovery events added with migration 020
+ALTER TABLE execution_log DROP CONSTRAINT IF EXISTS execution_log_event_type_check;
+ALTER TABLE execution_log ADD CONSTRAINT execution_log_event_type_check CHECK (event_type IN (
+  'ORDER_CREATED', 'ORDER_VALIDATED', 'ORDER_REJECTED',
+  'ORDER_SUBMITTED', 'ORDER_PARTIAL_FILL', 'ORDER_FILLED',
+  'ORDER_CANCELLED', 'ORDER_EXPIRED',
+  'TRADE_OPENED', 'TRADE_PARTIAL_CLOSE', 'TRADE_CLOSED',
+  'RISK_CHECK_PASS', 'RISK_CHECK_FAIL', 'KILL_SWITCH',
+  'ORDER_RECOVERY_RETRY', 'ORDER_RECOVERY_ROLLBACK',
+  'RECONCILE_MISMATCH'
+));
+
+-- ─── Reconciliation reports ───────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS reconciliation_reports (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  adapter TEXT NOT NULL,                        -- 'bybit', 'binance'
+  user_ids TEXT[] NOT NULL DEFAULT '{}',        -- live-mode users sharing the account
+  status TEXT NOT NULL CHECK (status IN ('clean', 'mismatch', 'incomplete')),
+  mismatch_count INTEGER NOT NULL DEFAULT 0,
+  max_drift_pct NUMERIC(10, 4) NOT NULL DEFAULT 0,
+  kill_switch_tripped BOOLEAN NOT NULL DEFAULT false,
+  report JSONB NOT NULL,                        -- positions, orders, mismatches, errors
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_created
+  ON reconciliation_reports(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_reconciliation_reports_users
+  ON reconciliation_reports USING GIN (user_ids);
+
+-- Service role writes; a user may read reports covering their account
+ALTER TABLE reconciliation_reports ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "reconciliation_reports_select_own" ON reconciliation_reports;
+CREATE POLICY "reconciliation_reports_select_own" ON reconciliation_reports
+  FOR SELECT USING (auth.uid()::TEXT = ANY (user_ids));
@@ -0,0 +1,38 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 029: Per-user alert routing
+-- Each user's alert filter can name the Telegram chat their alerts go to, and
+-- every delivery attempt is recorded per user and channel so the alert
+-- history shows who received what.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+-- ─── Telegram chat linked to a user's alerts ─────────────────────────────────
+
+-- Chat ID as shown by the bot's /start reply
+ALTER TABLE alert_filters
+  ADD COLUMN IF NOT EXISTS telegram_chat_id BIGINT;
+
+-- ─── Delivery records ────────────────────────────────────────────────────────
+
+CREATE TABLE IF NOT EXISTS alert_deliveries (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  alert_id UUID NOT NULL REFERENCES alerts(id) ON DELETE CASCADE,
+  user_id TEXT,                                 -- NULL = operator fallback (no user filters)
+  asset TEXT NOT NULL,
+  action TEXT NOT NULL,
+  channel TEXT NOT NULL CHECK (channel IN ('telegram', 'email')),
+  destination TEXT NOT NULL,                    -- chat ID or comma-separated emails
+  status TEXT NOT NULL CHECK (status IN ('sent', 'failed')),
+  error TEXT,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_alert ON alert_deliveries(alert_id);
+CREATE INDEX IF NOT EXISTS idx_alert_deliveries_user_created
+  ON alert_deliveries(user_id, created_at DESC);
+
+-- Service role writes; a user may read their own deliveries
+ALTER TABLE alert_deliveries ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "alert_deliveries_select_own" ON alert_deliveries;
+CREATE POLICY "alert_deliveries_select_own" ON alert_deliveries
+  FOR SELECT USING (auth.uid()::TEXT = user_id);
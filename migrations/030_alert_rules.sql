@@ -0,0 +1,38 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 030: Custom alert rules
+-- User-defined condition trees over indicator / derivatives metrics,
+-- evaluated every alerts cycle. A rule that fires stores an alerts row
+-- (action 'RULE', rule_id set) and its deliveries in alert_deliveries.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS alert_rules (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  assets TEXT[] NOT NULL DEFAULT '{}',           -- empty = every asset
+  conditions JSONB NOT NULL,                     -- all / any / not tree of conditions
+  channels TEXT[] NOT NULL DEFAULT ARRAY['telegram'],
+  cooldown_minutes INTEGER NOT NULL DEFAULT 60 CHECK (cooldown_minutes BETWEEN 1 AND 1440),
+  enabled BOOLEAN NOT NULL DEFAULT true,
+  last_triggered_at TIMESTAMPTZ,
+  trigger_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_alert_rules_user ON alert_rules(user_id);
+CREATE INDEX IF NOT EXISTS idx_alert_rules_enabled ON alert_rules(enabled) WHERE enabled = true;
+
+-- Service role reads / writes; a user may read their own rules
+ALTER TABLE alert_rules ENABLE ROW LEVEL SECURITY;
+
+DROP POLICY IF EXISTS "alert_rules_select_own" ON alert_rules;
+CREATE POLICY "alert_rules_select_own" ON alert_rules
+  FOR SELECT USING (auth.uid()::TEXT = user_id);
+
+-- ─── Link rule-triggered alerts back to their rule ───────────────────────────
+
+ALTER TABLE alerts
+  ADD COLUMN IF NOT EXISTS rule_id UUID REFERENCES alert_rules(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_alerts_rule ON alerts(rule_id, created_at DESC) WHERE rule_id IS NOT NULL;
@@ -0,0 +1,32 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 031: Per-asset / per-regime strategy configs
+-- saved_strategy_configs holds one active config per (asset, regime) slice.
+-- '*' is the wildcard; the existing active row becomes the global (*, *) slice.
+-- Signal generation resolves (asset, regime) → (asset, *) → (*, regime) → (*, *).
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE saved_strategy_configs
+  ADD COLUMN IF NOT EXISTS asset TEXT NOT NULL DEFAULT '*',       -- CoinGecko id or '*'
+  ADD COLUMN IF NOT EXISTS regime TEXT NOT NULL DEFAULT '*';      -- trending | ranging | volatile | '*'
+
+ALTER TABLE saved_strategy_configs DROP CONSTRAINT IF EXISTS saved_strategy_configs_regime_check;
+ALTER TABLE saved_strategy_configs ADD CONSTRAINT saved_strategy_configs_regime_check
+  CHECK (regime IN ('*', 'trending', 'ranging', 'volatile'));
+
+-- Keep only the newest active row before enforcing one active config per slice
+UPDATE saved_strategy_configs SET is_active = false, updated_at = NOW()
+WHERE is_active = true
+  AND id NOT IN (
+    SELECT id FROM saved_strategy_configs
+    WHERE is_active = true
+    ORDER BY created_at DESC
+    LIMIT 1
+  );
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_saved_strategy_configs_active_slice
+  ON saved_strategy_configs(asset, regime) WHERE is_active = true;
+
+-- Which slice each auto-tune run tuned
+ALTER TABLE auto_tune_runs
+  ADD COLUMN IF NOT EXISTS config_asset TEXT,
+  ADD COLUMN IF NOT EXISTS config_regime TEXT;
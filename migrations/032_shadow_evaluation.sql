@@ -0,0 +1,25 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 032: Shadow (champion / challenger) evaluation of auto-tune proposals
+-- Pending proposals generate signals next to the live config; both variants are
+-- recorded in signal_outcomes tagged with the run, and outcomes are filled in by
+-- the regular checker. Live accuracy metrics ignore rows with shadow_run_id set.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE signal_outcomes
+  ADD COLUMN IF NOT EXISTS shadow_run_id UUID REFERENCES auto_tune_runs(id) ON DELETE CASCADE,
+  ADD COLUMN IF NOT EXISTS variant TEXT;                 -- 'champion' | 'challenger' (shadow rows only)
+
+ALTER TABLE signal_outcomes DROP CONSTRAINT IF EXISTS signal_outcomes_variant_check;
+ALTER TABLE signal_outcomes ADD CONSTRAINT signal_outcomes_variant_check
+  CHECK (
+    (shadow_run_id IS NULL AND variant IS NULL) OR
+    (shadow_run_id IS NOT NULL AND variant IN ('champion', 'challenger'))
+  );
+
+CREATE INDEX IF NOT EXISTS idx_signal_outcomes_shadow
+  ON signal_outcomes (shadow_run_id, variant)
+  WHERE shadow_run_id IS NOT NULL;
+
+-- Head-to-head comparison at the time a proposal was promoted
+ALTER TABLE auto_tune_runs
+  ADD COLUMN IF NOT EXISTS shadow_result JSONB;
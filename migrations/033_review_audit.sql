@@ -0,0 +1,10 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 033: Auto-tune review audit trail
+-- Full input and output of the reviewer that judged a run's proposals
+-- (reviewer, model, prompt, raw reply, validated output, schema errors,
+-- latency). When an LLM reviewer fails and the rule-based reviewer decides,
+-- the failed attempt is kept under fallbackFrom.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE auto_tune_runs
+  ADD COLUMN IF NOT EXISTS ai_review_audit JSONB;
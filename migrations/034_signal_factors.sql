@@ -0,0 +1,17 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 034: Signal factor vectors (explainability)
+-- Each signal carries the per-factor breakdown of its score:
+--   factors            [{ factor, value, points, confidence, multiplier }, ...]
+--   factor_multipliers { adx, regimeWeight, confluence, structuralDivergence,
+--                        momentumAcceleration, governor }
+-- Stored on the live signal (GET /api/signals/:asset/explain) and on each
+-- outcome row so individual factors can be correlated with results.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE signals
+  ADD COLUMN IF NOT EXISTS factors JSONB,
+  ADD COLUMN IF NOT EXISTS factor_multipliers JSONB;
+
+ALTER TABLE signal_outcomes
+  ADD COLUMN IF NOT EXISTS factors JSONB,
+  ADD COLUMN IF NOT EXISTS factor_multipliers JSONB;
@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 035: Candle-based signal excursions
+-- Each outcome keeps the signal's trade levels; the checker replays stored
+-- candles against them per configured horizon (SIGNAL_OUTCOME_HORIZONS):
+-- excursions = { "<horizon>": { mfePct, maePct, firstTouch, touchedAt, ... } }.
+-- excursion_due_at is the next time the row needs work (NULL = finished).
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE signal_outcomes
+  ADD COLUMN IF NOT EXISTS stop_loss NUMERIC(20,8),
+  ADD COLUMN IF NOT EXISTS take_profit_1 NUMERIC(20,8),
+  ADD COLUMN IF NOT EXISTS excursions JSONB NOT NULL DEFAULT '{}',
+  ADD COLUMN IF NOT EXISTS excursion_due_at TIMESTAMPTZ,
+  ADD COLUMN IF NOT EXISTS trade_outcome TEXT,            -- 'win' | 'loss' | 'expired'
+  ADD COLUMN IF NOT EXISTS mfe_pct NUMERIC(10,4),         -- longest horizon, in the signal's direction
+  ADD COLUMN IF NOT EXISTS mae_pct NUMERIC(10,4);
+
+ALTER TABLE signal_outcomes DROP CONSTRAINT IF EXISTS signal_outcomes_trade_outcome_check;
+ALTER TABLE signal_outcomes ADD CONSTRAINT signal_outcomes_trade_outcome_check
+  CHECK (trade_outcome IS NULL OR trade_outcome IN ('win', 'loss', 'expired'));
+
+CREATE INDEX IF NOT EXISTS idx_signal_outcomes_excursion_due
+  ON signal_outcomes (excursion_due_at)
+  WHERE excursion_due_at IS NOT NULL;
+
+-- Backfill recent rows (MFE/MAE only — they have no stored trade levels)
+UPDATE signal_outcomes SET excursion_due_at = signal_generated_at
+WHERE excursion_due_at IS NULL
+  AND signal_generated_at > NOW() - INTERVAL '7 days';
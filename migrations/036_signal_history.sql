@@ -0,0 +1,25 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 036: Signal history
+-- signals keeps only the latest signal per asset; every generation cycle is
+-- also appended here so replays (signalReplay.js) can diff a strategy config
+-- against what was actually emitted at the time.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS signal_history (
+  id BIGSERIAL PRIMARY KEY,
+  asset TEXT NOT NULL,                     -- Same naming as signals.asset ('BITCOIN')
+  action TEXT NOT NULL,                    -- BUY, SELL, HOLD
+  strength_label TEXT,
+  score INTEGER,
+  raw_score INTEGER,
+  confidence INTEGER,
+  price NUMERIC(20, 8),
+  strategy_slice JSONB,                    -- Config slice the signal resolved to
+  generated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_signal_history_asset_time
+  ON signal_history (asset, generated_at DESC);
+
+-- Keep 90 days (run periodically, e.g. via pg_cron):
+-- DELETE FROM signal_history WHERE generated_at < NOW() - INTERVAL '90 days';
@@ -0,0 +1,29 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 037: Personal API keys
+-- Per-user keys for programmatic access (bots, notebooks). Only the SHA-256
+-- hash of a key is stored; key_prefix is the public lookup part shown in the UI.
+-- Scopes: read:market, read:signals, trade:paper, trade:live, backtest.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS api_keys (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  name TEXT NOT NULL,
+  key_prefix TEXT NOT NULL UNIQUE,
+  key_hash TEXT NOT NULL,
+  scopes TEXT[] NOT NULL CHECK (
+    cardinality(scopes) > 0 AND
+    scopes <@ ARRAY['read:market', 'read:signals', 'trade:paper', 'trade:live', 'backtest']
+  ),
+  rate_limit_per_minute INTEGER NOT NULL DEFAULT 60 CHECK (rate_limit_per_minute BETWEEN 1 AND 600),
+  expires_at TIMESTAMPTZ NOT NULL,
+  last_used_at TIMESTAMPTZ,
+  last_used_ip TEXT,
+  revoked_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_api_keys_user ON api_keys(user_id, created_at DESC);
+
+-- Service role only: key hashes never leave the backend
+ALTER TABLE api_keys ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,41 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 038: Two-person approval queue
+-- Risk-critical actions (live mode, kill switch deactivation, drawdown raise,
+-- auto-tune promotion) wait here until a second user with an approver role
+-- approves them before expires_at. subject deduplicates: one pending request
+-- per action type and target (user, 'global' or auto-tune run).
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS pending_actions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  action_type TEXT NOT NULL CHECK (action_type IN (
+    'execution_mode_live', 'max_drawdown_raise', 'kill_switch_deactivate', 'autotune_approve'
+  )),
+  subject TEXT NOT NULL,
+  target_user_id TEXT,
+  payload JSONB NOT NULL DEFAULT '{}',
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN (
+    'pending', 'approved', 'executed', 'failed', 'rejected', 'cancelled', 'expired'
+  )),
+  requested_by TEXT NOT NULL,
+  requested_via TEXT NOT NULL DEFAULT 'api',
+  decided_by TEXT,
+  decided_via TEXT,
+  decided_at TIMESTAMPTZ,
+  decision_note TEXT,
+  result JSONB,
+  error TEXT,
+  telegram_messages JSONB NOT NULL DEFAULT '{}',   -- chat_id → message_id of approver prompts
+  expires_at TIMESTAMPTZ NOT NULL,
+  executed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT pending_actions_second_person CHECK (decided_by IS NULL OR status = 'cancelled' OR decided_by <> requested_by)
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_actions_open
+  ON pending_actions(action_type, subject) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_pending_actions_status ON pending_actions(status, expires_at);
+CREATE INDEX IF NOT EXISTS idx_pending_actions_created ON pending_actions(created_at DESC);
+
+-- Service role only: the API enforces requester/approver separation
+ALTER TABLE pending_actions ENABLE ROW LEVEL SECURITY;
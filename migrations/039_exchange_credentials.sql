@@ -0,0 +1,31 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 039: Exchange credential vault
+-- Per-user exchange API keys for live execution. Envelope encryption: the
+-- key/secret pair is AES-256-GCM encrypted under a per-row data key, which is
+-- itself wrapped by the environment master key identified by master_key_id.
+-- Only api_key_masked is ever returned to clients.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS exchange_credentials (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id TEXT NOT NULL,
+  exchange TEXT NOT NULL CHECK (exchange IN ('bybit', 'binance')),
+  label TEXT,
+  testnet BOOLEAN NOT NULL DEFAULT true,
+  api_key_masked TEXT NOT NULL,
+  ciphertext TEXT NOT NULL,            -- base64(iv | tag | AES-GCM(data key, {apiKey, apiSecret}))
+  wrapped_key TEXT NOT NULL,           -- base64(iv | tag | AES-GCM(master key, data key))
+  master_key_id TEXT NOT NULL,
+  last_verified_at TIMESTAMPTZ,
+  verification_status TEXT CHECK (verification_status IN ('ok', 'failed')),
+  verification_error TEXT,
+  rotated_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (user_id, exchange)
+);
+
+CREATE INDEX IF NOT EXISTS idx_exchange_credentials_master_key ON exchange_credentials(master_key_id);
+
+-- Service role only: encrypted material never leaves the backend
+ALTER TABLE exchange_credentials ENABLE ROW LEVEL SECURITY;
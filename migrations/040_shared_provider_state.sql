@@ -0,0 +1,145 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 040: Shared provider state (circuit breakers + rate budgets)
+-- The API, market and alerts processes coordinate through these rows so a
+-- provider tripped by one process is paused in all of them, and the Binance
+-- weight budget is spent once per window instead of once per process.
+-- All mutations go through the functions below (row lock per provider/key).
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS provider_circuit_state (
+  provider TEXT PRIMARY KEY,
+  state TEXT NOT NULL DEFAULT 'CLOSED' CHECK (state IN ('CLOSED', 'OPEN', 'HALF_OPEN')),
+  failure_count INTEGER NOT NULL DEFAULT 0,
+  window_started_at TIMESTAMPTZ,
+  opened_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  last_failure_at TIMESTAMPTZ,
+  total_trips INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS provider_rate_budget (
+  key TEXT PRIMARY KEY,
+  used INTEGER NOT NULL DEFAULT 0,
+  budget_limit INTEGER NOT NULL,
+  window_started_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  window_ms INTEGER NOT NULL,
+  denied INTEGER NOT NULL DEFAULT 0,
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- ─── Record a failure inside the shared window ───────────────────────────────
+-- Fixed window: the counter restarts when the window has elapsed.
+-- Returns the row plus `tripped` = failure_count reached the threshold.
+
+CREATE OR REPLACE FUNCTION cb_record_failure(
+  p_provider TEXT,
+  p_window_ms INTEGER,
+  p_threshold INTEGER
+) RETURNS JSONB AS $$
+DECLARE
+  v_row provider_circuit_state%ROWTYPE;
+BEGIN
+  INSERT INTO provider_circuit_state (provider) VALUES (p_provider) ON CONFLICT (provider) DO NOTHING;
+  SELECT * INTO v_row FROM provider_circuit_state WHERE provider = p_provider FOR UPDATE;
+
+  IF v_row.window_started_at IS NULL
+     OR NOW() - v_row.window_started_at > make_interval(secs => p_window_ms / 1000.0) THEN
+    v_row.failure_count := 0;
+    v_row.window_started_at := NOW();
+  END IF;
+
+  UPDATE provider_circuit_state
+  SET failure_count = v_row.failure_count + 1,
+      window_started_at = v_row.window_started_at,
+      last_failure_at = NOW(),
+      updated_at = NOW()
+  WHERE provider = p_provider
+  RETURNING * INTO v_row;
+
+  RETURN to_jsonb(v_row) || jsonb_build_object('tripped', v_row.failure_count >= p_threshold);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ─── Open / close a breaker ──────────────────────────────────────────────────
+-- OPEN is idempotent while the current trip is still inside its reset timeout:
+-- `tripped` is false when another process already opened it, so only one
+-- process sends the trip alert. CLOSED clears the failure window.
+
+CREATE OR REPLACE FUNCTION cb_transition(
+  p_provider TEXT,
+  p_state TEXT,
+  p_reset_timeout_ms INTEGER DEFAULT 60000
+) RETURNS JSONB AS $$
+DECLARE
+  v_row provider_circuit_state%ROWTYPE;
+BEGIN
+  INSERT INTO provider_circuit_state (provider) VALUES (p_provider) ON CONFLICT (provider) DO NOTHING;
+  SELECT * INTO v_row FROM provider_circuit_state WHERE provider = p_provider FOR UPDATE;
+
+  IF p_state = 'OPEN' THEN
+    IF v_row.state = 'OPEN' AND v_row.opened_at IS NOT NULL
+       AND NOW() - v_row.opened_at < make_interval(secs => p_reset_timeout_ms / 1000.0) THEN
+      RETURN to_jsonb(v_row) || jsonb_build_object('tripped', false);
+    END IF;
+
+    UPDATE provider_circuit_state
+    SET state = 'OPEN', opened_at = NOW(), total_trips = total_trips + 1, updated_at = NOW()
+    WHERE provider = p_provider
+    RETURNING * INTO v_row;
+
+    RETURN to_jsonb(v_row) || jsonb_build_object('tripped', true);
+  END IF;
+
+  UPDATE provider_circuit_state
+  SET state = 'CLOSED', opened_at = NULL, closed_at = NOW(),
+      failure_count = 0, window_started_at = NULL, updated_at = NOW()
+  WHERE provider = p_provider
+  RETURNING * INTO v_row;
+
+  RETURN to_jsonb(v_row) || jsonb_build_object('tripped', false);
+END;
+$$ LANGUAGE plpgsql;
+
+-- ─── Consume weight from a shared per-window budget ──────────────────────────
+-- Allowed when used + weight fits in the limit; denials are counted.
+
+CREATE OR REPLACE FUNCTION consume_rate_budget(
+  p_key TEXT,
+  p_weight INTEGER,
+  p_limit INTEGER,
+  p_window_ms INTEGER
+) RETURNS JSONB AS $$
+DECLARE
+  v_row provider_rate_budget%ROWTYPE;
+  v_allowed BOOLEAN;
+BEGIN
+  INSERT INTO provider_rate_budget (key, budget_limit, window_ms)
+  VALUES (p_key, p_limit, p_window_ms)
+  ON CONFLICT (key) DO NOTHING;
+  SELECT * INTO v_row FROM provider_rate_budget WHERE key = p_key FOR UPDATE;
+
+  IF NOW() >= v_row.window_started_at + make_interval(secs => p_window_ms / 1000.0) THEN
+    v_row.used := 0;
+    v_row.window_started_at := NOW();
+  END IF;
+
+  v_allowed := v_row.used + p_weight <= p_limit;
+
+  UPDATE provider_rate_budget
+  SET used = CASE WHEN v_allowed THEN v_row.used + p_weight ELSE v_row.used END,
+      denied = CASE WHEN v_allowed THEN denied ELSE denied + 1 END,
+      budget_limit = p_limit,
+      window_ms = p_window_ms,
+      window_started_at = v_row.window_started_at,
+      updated_at = NOW()
+  WHERE key = p_key
+  RETURNING * INTO v_row;
+
+  RETURN to_jsonb(v_row) || jsonb_build_object('allowed', v_allowed);
+END;
+$$ LANGUAGE plpgsql;
+
+-- Service role only: written by the backend processes
+ALTER TABLE provider_circuit_state ENABLE ROW LEVEL SECURITY;
+ALTER TABLE provider_rate_budget ENABLE ROW LEVEL SECURITY;
@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════════════════════════════
+-- Migration 041: Verified Telegram account links
+-- Two-person approvals identify the Telegram user pressing a button. The
+-- chat id in alert_filters is free text any user can set, so approvals use
+-- this binding instead: the app issues a one-time code, the user sends
+-- /vincular <code> to the bot from a private chat, and the bot records the
+-- sender's Telegram user id. One Telegram account maps to at most one user.
+-- ═══════════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS telegram_links (
+  user_id TEXT PRIMARY KEY,
+  telegram_user_id TEXT UNIQUE,          -- set only by a confirmed /vincular
+  verified_at TIMESTAMPTZ,
+  link_code_hash TEXT UNIQUE,            -- sha256 of the pending one-time code
+  link_code_expires_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW(),
+  CONSTRAINT telegram_links_verified CHECK (telegram_user_id IS NULL OR verified_at IS NOT NULL)
+);
+
+-- Service role only: codes are issued and confirmed by the API
+ALTER TABLE telegram_links ENABLE ROW LEVEL SECURITY;
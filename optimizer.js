@@ -1,31 +1,24 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO - STRATEGY OPTIMIZER
 // Grid search engine that tests parameter variations against historical data
+// Multi-parameter mode: joint grid / seeded random / Bayesian (TPE) search
 // Uses the backtester to evaluate each config and ranks by Sharpe ratio
 // Walk-forward validation: single split (30-59d) or rolling windows (60d+)
 // Rolling WF: sliding train/test windows + parameter stability scoring
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { logger } = require('./logger');
-const { fetchAllTimeframes, runBacktest } = require('./backtester');
+const { loadAllTimeframes, runBacktest } = require('./backtester');
+const { computeDatasetHash } = require('./candleArchive');
 const { DEFAULT_STRATEGY_CONFIG, PARAM_RANGES, mergeConfig } = require('./strategyConfig');
+const {
+  generateParamValues, buildSearchSpace, searchSpaceSize, paramKey, runSearch,
+  SEARCH_MODES, MAX_GRID_COMBINATIONS, MAX_EVALUATIONS, DEFAULT_EVALUATIONS
+} = require('./paramSearch');
 
 // ─── In-flight job tracking ──────────────────────────────────────────────────
 const activeJobs = new Map();
 
-/**
- * Generate all values for a parameter range
- * @param {Object} range - { min, max, step }
- * @returns {Array<number>} Array of values to test
- */
-function generateParamValues(range) {
-  const values = [];
-  for (let v = range.min; v <= range.max + (range.step / 10); v += range.step) {
-    values.push(Math.round(v * 1000) / 1000); // Avoid float precision issues
-  }
-  return values;
-}
-
 // ─── Walk-Forward Validation Helpers ─────────────────────────────────────────
 // Single split (legacy 70/30) and rolling multi-window walk-forward
 
@@ -413,6 +406,24 @@ function computeOverfitMetrics(results) {
   };
 }
 
+/**
+ * Load the candles an optimization runs on (archive-backed, fixed as-of time)
+ * and fingerprint them so the run can be reproduced offline later.
+ * @returns {Promise<{ preloadedCandles: Object, dataset: { hash, endTime, endTimeISO } }>}
+ */
+async function loadOptimizationCandles(asset, days) {
+  const endTime = Date.now();
+  const preloadedCandles = await loadAllTimeframes(asset, days, { endTime });
+  return {
+    preloadedCandles,
+    dataset: {
+      hash: computeDatasetHash({ candles: preloadedCandles }),
+      endTime,
+      endTimeISO: new Date(endTime).toISOString()
+    }
+  };
+}
+
 /**
  * Extract metrics from a backtest result into a flat object.
  * @param {Object} backtestResult - Result from runBacktest
@@ -521,7 +532,7 @@ async function runOptimization(options) {
   if (onProgress) onProgress({ phase: 'fetching', message: 'Descargando datos históricos...' });
 
   // ─── 1. Pre-fetch candles ONCE ────────────────────────────────────────
-  const preloadedCandles = await fetchAllTimeframes(asset, days);
+  const { preloadedCandles, dataset } = await loadOptimizationCandles(asset, days);
 
   logger.info('Candles pre-loaded for optimization', {
     '1h': preloadedCandles['1h']?.length,
@@ -539,7 +550,7 @@ async function runOptimization(options) {
   if (useRolling) {
     return await _runRollingOptimization({
       asset, days, paramName, paramRange, testValues, baseStrategyConfig,
-      capital, preloadedCandles, rollingConfig, jobId, onProgress, startTime
+      capital, preloadedCandles, dataset, rollingConfig, jobId, onProgress, startTime
     });
   }
 
@@ -750,6 +761,7 @@ async function runOptimization(options) {
     baseConfig: baseStrategyConfig,
     duration: parseFloat(duration),
     completedAt: new Date().toISOString(),
+    dataset,
 
     // Walk-forward validation metadata
     validation: useSingleSplit ? {
@@ -797,7 +809,7 @@ async function runOptimization(options) {
  */
 async function _runRollingOptimization({
   asset, days, paramName, paramRange, testValues, baseStrategyConfig,
-  capital, preloadedCandles, rollingConfig, jobId, onProgress, startTime
+  capital, preloadedCandles, dataset, rollingConfig, jobId, onProgress, startTime
 }) {
   const { windows, numFolds, trainDays, testDaysPerFold } = rollingConfig;
 
@@ -998,6 +1010,7 @@ async function _runRollingOptimization({
     baseConfig: baseStrategyConfig,
     duration: parseFloat(duration),
     completedAt: new Date().toISOString(),
+    dataset,
 
     // Rolling walk-forward validation metadata
     validation: {
@@ -1047,10 +1060,337 @@ async function _runRollingOptimization({
   return optimizationResult;
 }
 
+// ─── Multi-Parameter Optimization ───────────────────────────────────────────
+
+/**
+ * Run a joint search over N parameters with the same walk-forward validation
+ * as runOptimization (none / single split / rolling, chosen by `days`).
+ *
+ * The search sampler is guided by in-sample Sharpe only (avg across folds in
+ * rolling mode) so OOS data never steers the proposals; final ranking uses the
+ * same OOS criteria as the single-parameter engine.
+ *
+ * @param {Object} options
+ * @param {string} options.asset - CoinGecko asset ID
+ * @param {number} options.days - Historical days to backtest
+ * @param {string[]} options.paramNames - Keys from PARAM_RANGES to tune jointly
+ * @param {string} [options.mode] - 'grid' | 'random' | 'bayesian' (default: grid if it fits the budget, else bayesian)
+ * @param {number} [options.maxEvaluations=50] - Evaluation budget for random/bayesian
+ * @param {number} [options.seed=42] - PRNG seed for reproducible random/bayesian runs
+ * @param {Object} [options.baseConfig] - Base strategy config (overrides defaults)
+ * @param {number} [options.capital] - Starting capital (default 10000)
+ * @param {string} [options.jobId] - Job ID for progress tracking
+ * @param {Function} [options.onProgress] - Progress callback
+ * @returns {Promise<Object>} Optimization results with validation metrics
+ */
+async function runMultiOptimization(options) {
+  const {
+    asset = 'bitcoin',
+    days = 30,
+    paramNames,
+    maxEvaluations = DEFAULT_EVALUATIONS,
+    seed = 42,
+    baseConfig = {},
+    capital = 10000,
+    jobId = null,
+    onProgress = null
+  } = options;
+
+  const startTime = Date.now();
+  const space = buildSearchSpace(paramNames);
+  const spaceSize = searchSpaceSize(space);
+  const mode = options.mode || (spaceSize <= Math.min(maxEvaluations, MAX_GRID_COMBINATIONS) ? 'grid' : 'bayesian');
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode}. Available: ${SEARCH_MODES.join(', ')}`);
+  }
+  if (mode === 'grid' && spaceSize > MAX_GRID_COMBINATIONS) {
+    throw new Error(`Grid search space too large: ${spaceSize} combinations (max ${MAX_GRID_COMBINATIONS}). Use random or bayesian mode.`);
+  }
+
+  const names = space.map(p => p.name);
+  const baseStrategyConfig = mergeConfig(baseConfig);
+  const defaultParams = Object.fromEntries(names.map(n => [n, DEFAULT_STRATEGY_CONFIG[n]]));
+  const defaultKey = paramKey(defaultParams);
+
+  logger.info('Starting multi-parameter optimization', {
+    asset, days, paramNames: names, mode, spaceSize, maxEvaluations, seed
+  });
+
+  const updateJob = ({ phase, ...jobFields }) => {
+    if (jobId && activeJobs.has(jobId)) Object.assign(activeJobs.get(jobId), { status: phase, ...jobFields });
+    if (onProgress) onProgress({ phase, ...jobFields });
+  };
+
+  updateJob({ phase: 'fetching', message: 'Descargando datos históricos...' });
+
+  // ─── 1. Pre-fetch candles ONCE ────────────────────────────────────────
+  const { preloadedCandles, dataset } = await loadOptimizationCandles(asset, days);
+
+  // ─── 2. Decide validation mode (same rules as runOptimization) ───────
+  const rollingConfig = computeRollingWindows(days);
+  const split = rollingConfig.rolling ? null : computeValidationSplit(days);
+  const useRolling = rollingConfig.rolling;
+  const useSingleSplit = !useRolling && split && split.validationEnabled;
+
+  let trainCandles, testCandlesFull;
+  const windowCandles = [];
+  if (useRolling) {
+    for (const window of rollingConfig.windows) {
+      windowCandles.push({ window, ...splitCandlesForWindow(preloadedCandles, window) });
+    }
+  } else if (useSingleSplit) {
+    const splitResult = splitCandlesByTimestamp(preloadedCandles, split.splitTimestamp);
+    trainCandles = splitResult.train;
+    testCandlesFull = splitResult.test;
+  }
+
+  const backtestMetrics = async (testConfig, candles, btDays) => {
+    try {
+      const result = await runBacktest({
+        asset,
+        days: btDays,
+        capital,
+        strategyConfig: testConfig,
+        preloadedCandles: candles,
+        stepInterval: '4h',
+        riskPerTrade: testConfig.riskPerTrade || 0.02,
+        maxOpenPositions: testConfig.maxOpenPositions || 3,
+        cooldownBars: 6,
+        fearGreed: 50
+      });
+      return extractMetrics(result);
+    } catch (err) {
+      logger.warn('Multi-param optimization step failed', { asset, error: err.message });
+      return errorMetrics(err.message);
+    }
+  };
+
+  // ─── 3. Objective: one candidate through the full validation scheme ──
+  const evaluate = async (params) => {
+    const testConfig = { ...baseStrategyConfig, ...params };
+
+    if (useRolling) {
+      const folds = [];
+      for (const { window, train, test } of windowCandles) {
+        folds.push({
+          fold: window.fold,
+          isMetrics: await backtestMetrics(testConfig, train, window.trainDays),
+          oosMetrics: await backtestMetrics(testConfig, test, window.testDays)
+        });
+      }
+      const isSharpes = folds.filter(f => !f.isMetrics.error).map(f => f.isMetrics.sharpe);
+      const score = isSharpes.length > 0 ? isSharpes.reduce((s, v) => s + v, 0) / isSharpes.length : -999;
+      return { score, inSample: folds[0].isMetrics, outOfSample: folds[0].oosMetrics, folds };
+    }
+
+    const inSample = await backtestMetrics(testConfig, useSingleSplit ? trainCandles : preloadedCandles, days);
+    const outOfSample = useSingleSplit
+      ? await backtestMetrics(testConfig, testCandlesFull, split.testDays)
+      : null;
+    return { score: inSample.sharpe, inSample, outOfSample, folds: null };
+  };
+
+  // ─── 4. Search ────────────────────────────────────────────────────────
+  const convergence = [];
+  const history = await runSearch({
+    space,
+    mode,
+    maxEvaluations,
+    seed,
+    initial: [defaultParams].filter(p => names.every(n => p[n] !== undefined)),
+    evaluate,
+    onEvaluation: (entry, index, total) => {
+      const bestScore = Math.max(entry.score, convergence.length > 0 ? convergence[convergence.length - 1].bestScore : -Infinity);
+      convergence.push({ evaluation: entry.evaluation, score: entry.score, bestScore });
+      updateJob({
+        phase: 'testing',
+        message: `${mode} ${index + 1}/${total}: ${entry.key}`,
+        current: index + 1,
+        total,
+        currentValue: entry.params
+      });
+    }
+  });
+
+  // ─── 5. Rank ──────────────────────────────────────────────────────────
+  const toResult = (h) => {
+    const isM = h.result.inSample;
+    return {
+      value: h.params,
+      key: h.key,
+      evaluation: h.evaluation,
+      searchScore: h.score,
+      sharpe: isM.sharpe,
+      sortino: isM.sortino,
+      calmar: isM.calmar,
+      expectancy: isM.expectancy,
+      profitFactor: isM.profitFactor,
+      winRate: isM.winRate,
+      totalTrades: isM.totalTrades,
+      totalPnl: isM.totalPnl,
+      totalPnlPercent: isM.totalPnlPercent,
+      maxDrawdownPercent: isM.maxDrawdownPercent,
+      ...(isM.error ? { error: isM.error } : {}),
+      inSample: isM,
+      outOfSample: h.result.outOfSample
+    };
+  };
+
+  let results = history.map(toResult);
+  let validation;
+  let bestKey;
+
+  if (useRolling) {
+    const allWindowResults = rollingConfig.windows.map((window, w) => {
+      const paramResults = history.map(h => ({
+        value: h.key,
+        isMetrics: h.result.folds[w].isMetrics,
+        oosMetrics: h.result.folds[w].oosMetrics
+      }));
+      const valid = history.filter(h => {
+        const oos = h.result.folds[w].oosMetrics;
+        return oos && !oos.error && oos.totalTrades >= 5;
+      });
+      const bestInFold = valid.length > 0
+        ? valid.reduce((best, h) => h.result.folds[w].oosMetrics.sharpe > best.result.folds[w].oosMetrics.sharpe ? h : best)
+        : null;
+      return {
+        fold: window.fold,
+        trainLabel: window.trainLabel,
+        testLabel: window.testLabel,
+        bestParams: bestInFold?.params ?? null,
+        bestSharpe: bestInFold?.result.folds[w].oosMetrics.sharpe ?? null,
+        paramResults
+      };
+    });
+
+    const aggregated = aggregateRollingResults(allWindowResults);
+    const aggByKey = new Map(aggregated.map(a => [a.value, a]));
+    results = results.map(r => ({ ...r, rolling: aggByKey.get(r.key) || null }));
+    results.sort((a, b) => (b.rolling?.compositeScore ?? -Infinity) - (a.rolling?.compositeScore ?? -Infinity));
+
+    const bestAgg = aggregated.find(a => !a.insufficient);
+    bestKey = bestAgg?.value ?? results[0]?.key;
+
+    // Stability per parameter: does each fold's winner agree on this parameter?
+    const parameterStability = Object.fromEntries(names.map(name => [
+      name,
+      computeParameterStability(allWindowResults.map(wr => ({ bestValue: wr.bestParams ? wr.bestParams[name] : null })))
+    ]));
+
+    validation = {
+      enabled: true,
+      mode: 'rolling',
+      numFolds: rollingConfig.numFolds,
+      trainDays: rollingConfig.trainDays,
+      testDaysPerFold: rollingConfig.testDaysPerFold,
+      rankedBy: 'Composite Score (avg OOS Sharpe − 0.5 × σ)',
+      bestCompositeScore: bestAgg?.compositeScore ?? null,
+      bestAvgOosSharpe: bestAgg?.avgOosSharpe ?? null,
+      defaultCompositeScore: aggByKey.get(defaultKey)?.compositeScore ?? null,
+      parameterStability,
+      windowSummaries: allWindowResults.map(wr => ({
+        fold: wr.fold,
+        trainLabel: wr.trainLabel,
+        testLabel: wr.testLabel,
+        bestParams: wr.bestParams,
+        bestOosSharpe: wr.bestSharpe
+      })),
+      aggregatedRanking: aggregated.slice(0, 10),
+      // Overfitting diagnostics (from first fold)
+      ...computeOverfitMetrics(history.map(h => ({
+        value: h.key,
+        inSample: h.result.folds[0].isMetrics,
+        outOfSample: h.result.folds[0].oosMetrics
+      })))
+    };
+  } else {
+    const MIN_TRADES_FOR_RANKING = 10;
+    const getRankSharpe = (r) => (useSingleSplit && r.outOfSample && !r.outOfSample.error)
+      ? r.outOfSample.sharpe
+      : r.sharpe;
+    const getTradeCount = (r) => (useSingleSplit && r.outOfSample && !r.outOfSample.error)
+      ? Math.min(r.totalTrades, r.outOfSample.totalTrades)
+      : r.totalTrades;
+
+    const validResults = results.filter(r => getTradeCount(r) >= MIN_TRADES_FOR_RANKING && !r.error);
+    const invalidResults = results.filter(r => getTradeCount(r) < MIN_TRADES_FOR_RANKING || r.error);
+    validResults.sort((a, b) => getRankSharpe(b) - getRankSharpe(a));
+    invalidResults.sort((a, b) => getRankSharpe(b) - getRankSharpe(a));
+    results = [...validResults, ...invalidResults];
+    bestKey = results[0]?.key;
+
+    const bestR = results[0];
+    const defaultR = results.find(r => r.key === defaultKey);
+    validation = useSingleSplit ? {
+      enabled: true,
+      mode: 'single_split',
+      trainDays: split.trainDays,
+      testDays: split.testDays,
+      trainRatio: split.trainRatio,
+      splitDate: new Date(split.splitTimestamp).toISOString(),
+      bestOosSharpe: bestR?.outOfSample?.sharpe ?? null,
+      defaultOosSharpe: defaultR?.outOfSample?.sharpe ?? null,
+      oosImprovement: (defaultR?.outOfSample && bestR?.outOfSample)
+        ? Math.round((bestR.outOfSample.sharpe - defaultR.outOfSample.sharpe) * 100) / 100
+        : null,
+      rankedBy: 'OOS Sharpe',
+      ...computeOverfitMetrics(results.map(r => ({ value: r.key, inSample: r.inSample, outOfSample: r.outOfSample })))
+    } : {
+      enabled: false,
+      reason: split ? split.reason : 'No validation needed'
+    };
+  }
+
+  const bestResult = results.find(r => r.key === bestKey) || results[0];
+  const defaultResult = results.find(r => r.key === defaultKey);
+  const duration = ((Date.now() - startTime) / 1000).toFixed(1);
+
+  const optimizationResult = {
+    type: 'multi',
+    asset,
+    days,
+    mode,
+    seed,
+    paramName: names.join('+'),
+    paramNames: names,
+    params: space.map(p => ({ name: p.name, label: p.label, values: p.values.length })),
+    searchSpaceSize: spaceSize,
+    evaluations: history.length,
+    defaultValue: defaultParams,
+    bestValue: bestResult?.value ?? null,
+    bestSharpe: bestResult?.sharpe ?? null,
+    defaultSharpe: defaultResult?.sharpe ?? null,
+    improvement: (defaultResult && bestResult)
+      ? Math.round((bestResult.sharpe - defaultResult.sharpe) * 100) / 100
+      : null,
+    results,
+    convergence,
+    baseConfig: baseStrategyConfig,
+    duration: parseFloat(duration),
+    completedAt: new Date().toISOString(),
+    dataset,
+    validation
+  };
+
+  logger.info('Multi-parameter optimization completed', {
+    paramNames: names, mode, evaluations: history.length,
+    duration: duration + 's',
+    bestParams: bestResult?.value ?? null,
+    validationMode: validation.mode || 'none',
+    overfitWarning: validation.overfitWarning ?? false
+  });
+
+  if (onProgress) onProgress({ phase: 'completed', message: 'Optimización multi-parámetro completada' });
+
+  return optimizationResult;
+}
+
 // ─── Job Management ──────────────────────────────────────────────────────────
 
 /**
  * Start an optimization job (async, non-blocking).
+ * Single-parameter sweep with `paramName`, joint search with `paramNames`.
  * Returns a job ID for progress tracking.
  */
 function startOptimizationJob(options, onComplete = null) {
@@ -1062,7 +1402,9 @@ function startOptimizationJob(options, onComplete = null) {
     message: 'En cola...',
     current: 0,
     total: 0,
-    paramName: options.paramName,
+    paramName: options.paramName || (options.paramNames || []).join('+'),
+    paramNames: options.paramNames || (options.paramName ? [options.paramName] : []),
+    mode: options.paramNames ? (options.mode || 'auto') : 'grid',
     asset: options.asset,
     days: options.days,
     startedAt: new Date().toISOString(),
@@ -1082,8 +1424,9 @@ function startOptimizationJob(options, onComplete = null) {
     }
   }
 
-  // Run async (don't await)
-  runOptimization({ ...options, jobId })
+  // Run async (don't await) — paramNames selects the joint multi-parameter engine
+  const run = options.paramNames ? runMultiOptimization : runOptimization;
+  run({ ...options, jobId })
     .then(result => {
       if (activeJobs.has(jobId)) {
         activeJobs.get(jobId).status = 'completed';
@@ -1137,6 +1480,7 @@ function cleanupJobs() {
 
 module.exports = {
   runOptimization,
+  runMultiOptimization,
   startOptimizationJob,
   getJobStatus,
   getAllJobs,
@@ -1151,5 +1495,8 @@ module.exports = {
   splitCandlesForWindow,
   computeParameterStability,
   aggregateRollingResults,
-  PARAM_RANGES
+  PARAM_RANGES,
+  SEARCH_MODES,
+  MAX_GRID_COMBINATIONS,
+  MAX_EVALUATIONS
 };
@@ -141,6 +141,11 @@ function handleWorkerMessage(fromWorker, msg) {
       sendTo('api', msg);
       break;
 
+    case MSG.ORDER_UPDATE:
+      // Forward to API for SSE broadcast
+      sendTo('api', msg);
+      break;
+
     case MSG.HEARTBEAT_PONG:
       if (WORKERS[fromWorker]) {
         WORKERS[fromWorker].lastHeartbeat = Date.now();
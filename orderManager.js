@@ -3,6 +3,8 @@
 // Manages the order lifecycle: PENDING → VALIDATED → SUBMITTED → FILLED
 // Orders are first-class entities that go through risk validation before
 // becoming trades via the execution adapter.
+// OCO and BRACKET orders are parents whose legs are child rows
+// (parent_order_id); a leg fill or cancel cancels its linked siblings.
 // ═══════════════════════════════════════════════════════════════════════════════
 
 const { v4: uuidv4 } = require('uuid');
@@ -14,6 +16,7 @@ const {
   checkDuplicateTrade,
   checkPortfolioLimits,
   getOrCreateConfig,
+  resolveCurrentPrice,
   DEFAULT_CONFIG
 } = require('./paperTrading');
 const { buildSizingOptions } = require('./kellySizing');
@@ -33,11 +36,33 @@ const ORDER_STATUS = Object.freeze({
 });
 
 const ORDER_TYPE = Object.freeze({
-  MARKET:     'MARKET',
-  LIMIT:      'LIMIT',
-  STOP_LIMIT: 'STOP_LIMIT'
+  MARKET:        'MARKET',
+  LIMIT:         'LIMIT',
+  STOP_LIMIT:    'STOP_LIMIT',
+  STOP_MARKET:   'STOP_MARKET',
+  TRAILING_STOP: 'TRAILING_STOP',
+  OCO:           'OCO',
+  BRACKET:       'BRACKET'
 });
 
+// Parents whose legs live in child rows
+const COMPOSITE_TYPES = Object.freeze([ORDER_TYPE.OCO, ORDER_TYPE.BRACKET]);
+
+// Order types an OCO leg may use
+const OCO_LEG_TYPES = Object.freeze([
+  ORDER_TYPE.LIMIT, ORDER_TYPE.STOP_MARKET, ORDER_TYPE.STOP_LIMIT, ORDER_TYPE.TRAILING_STOP
+]);
+
+const LEG_ROLE = Object.freeze({
+  STOP_LOSS:   'stop_loss',
+  TAKE_PROFIT: 'take_profit'
+});
+
+// Live at the venue (a partially filled order keeps working for the rest)
+const WORKING_STATUSES = Object.freeze([ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL_FILL]);
+
+const ACTIVE_STATUSES = Object.freeze([ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ...WORKING_STATUSES]);
+
 const ORDER_SOURCE = Object.freeze({
   SIGNAL:  'signal',
   MANUAL:  'manual',
@@ -61,7 +86,8 @@ const EVENT_TYPE = Object.freeze({
   RISK_CHECK_FAIL:    'RISK_CHECK_FAIL',
   KILL_SWITCH:        'KILL_SWITCH',
   ORDER_RECOVERY_RETRY:    'ORDER_RECOVERY_RETRY',
-  ORDER_RECOVERY_ROLLBACK: 'ORDER_RECOVERY_ROLLBACK'
+  ORDER_RECOVERY_ROLLBACK: 'ORDER_RECOVERY_ROLLBACK',
+  RECONCILE_MISMATCH:      'RECONCILE_MISMATCH'
 });
 
 // ─── HELPERS ────────────────────────────────────────────────────────────────
@@ -91,6 +117,139 @@ function generateClientOrderId(source, asset) {
   return `${source}-${asset.toLowerCase().replace(/[^a-z0-9]/g, '')}-${ts}-${rnd}`;
 }
 
+function oppositeSide(side) {
+  return side === 'BUY' ? 'SELL' : 'BUY';
+}
+
+/**
+ * Orders that legitimately rest in SUBMITTED waiting for price: limit and
+ * conditional types, bracket entries and every linked leg. Recovery must
+ * leave them alone.
+ */
+function isRestingOrder(order) {
+  return !!order.parent_order_id || [
+    ORDER_TYPE.LIMIT, ORDER_TYPE.STOP_LIMIT, ORDER_TYPE.STOP_MARKET,
+    ORDER_TYPE.TRAILING_STOP, ORDER_TYPE.OCO, ORDER_TYPE.BRACKET
+  ].includes(order.order_type);
+}
+
+/**
+ * Ratchet a TRAILING_STOP order against the latest price.
+ * SELL trails below the highest price seen, BUY above the lowest; the stop
+ * never moves against the position (a seeded stop_price acts as the floor).
+ *
+ * @param {object} order - Order row (side, trailing_stop_pct, trailing_peak, stop_price)
+ * @param {number} price - Current price
+ * @returns {{ peak: number, stopPrice: number, changed: boolean }}
+ */
+function advanceTrailingStop(order, price) {
+  const pct = parseFloat(order.trailing_stop_pct) / 100;
+  const isSell = order.side === 'SELL';
+  const round = (v) => Math.round(v * 1e8) / 1e8;
+
+  const prevPeak = order.trailing_peak != null ? parseFloat(order.trailing_peak) : null;
+  const peak = prevPeak == null ? price : (isSell ? Math.max(prevPeak, price) : Math.min(prevPeak, price));
+  const trail = round(isSell ? peak * (1 - pct) : peak * (1 + pct));
+
+  const prevStop = order.stop_price != null ? parseFloat(order.stop_price) : null;
+  const stopPrice = prevStop == null ? trail : (isSell ? Math.max(prevStop, trail) : Math.min(prevStop, trail));
+
+  return { peak, stopPrice, changed: peak !== prevPeak || stopPrice !== prevStop };
+}
+
+/**
+ * Per-type field checks shared by top-level orders and OCO legs.
+ * @returns {string|null} Error message, or null when the spec is valid
+ */
+function validateTypeFields(spec, label = spec.orderType) {
+  switch (spec.orderType) {
+    case ORDER_TYPE.LIMIT:
+      return spec.price ? null : `${label} orders require a price`;
+    case ORDER_TYPE.STOP_LIMIT:
+      return spec.price && spec.stopPrice ? null : `${label} orders require price and stopPrice`;
+    case ORDER_TYPE.STOP_MARKET:
+      return spec.stopPrice ? null : `${label} orders require a stopPrice`;
+    case ORDER_TYPE.TRAILING_STOP:
+      return spec.trailingStopPct > 0 && spec.trailingStopPct < 100
+        ? null
+        : `${label} orders require trailingStopPct between 0 and 100`;
+    default:
+      return null;
+  }
+}
+
+/**
+ * Validate the legs of an OCO or BRACKET spec.
+ * @returns {string|null} Error message, or null when the spec is valid
+ */
+function validateCompositeSpec(spec) {
+  if (spec.orderType === ORDER_TYPE.OCO) {
+    if (!Array.isArray(spec.legs) || spec.legs.length !== 2) {
+      return 'OCO orders require exactly two legs';
+    }
+    for (const [i, leg] of spec.legs.entries()) {
+      if (!OCO_LEG_TYPES.includes(leg.orderType)) {
+        return `OCO leg ${i + 1}: orderType must be one of ${OCO_LEG_TYPES.join(', ')}`;
+      }
+      const legError = validateTypeFields(leg, `OCO leg ${i + 1}: ${leg.orderType}`);
+      if (legError) return legError;
+    }
+    return null;
+  }
+
+  // BRACKET: entry (market or limit) + stop-loss and take-profit legs
+  const { stopLoss, takeProfit1, price } = spec;
+  if (!stopLoss || !takeProfit1) {
+    return 'BRACKET orders require stopLoss and takeProfit1';
+  }
+  const isBuy = spec.side === 'BUY';
+  const ordered = isBuy ? stopLoss < takeProfit1 : stopLoss > takeProfit1;
+  const entryInside = !price || (isBuy ? stopLoss < price && price < takeProfit1 : takeProfit1 < price && price < stopLoss);
+  if (!ordered || !entryInside) {
+    return isBuy
+      ? 'BRACKET BUY requires stopLoss < entry < takeProfit1'
+      : 'BRACKET SELL requires takeProfit1 < entry < stopLoss';
+  }
+  if (spec.trailingStopPct != null && !(spec.trailingStopPct > 0 && spec.trailingStopPct < 100)) {
+    return 'BRACKET trailingStopPct must be between 0 and 100';
+  }
+  return null;
+}
+
+/**
+ * Map an order spec to an orders row in PENDING status.
+ */
+function buildOrderRow(userId, orderSpec, clientOrderId) {
+  return {
+    user_id: userId,
+    client_order_id: clientOrderId,
+    parent_order_id: orderSpec.parentOrderId || null,
+    asset: orderSpec.asset,
+    asset_class: orderSpec.assetClass || 'crypto',
+    side: orderSpec.side,
+    order_type: orderSpec.orderType,
+    quantity: orderSpec.quantity,
+    price: orderSpec.price || null,
+    stop_price: orderSpec.stopPrice || null,
+    time_in_force: orderSpec.timeInForce || 'GTC',
+    expire_at: orderSpec.expireAt || null,
+    stop_loss: orderSpec.stopLoss || null,
+    take_profit_1: orderSpec.takeProfit1 || null,
+    take_profit_2: orderSpec.takeProfit2 || null,
+    trailing_stop_pct: orderSpec.trailingStopPct || null,
+    trailing_activation: orderSpec.trailingActivation || null,
+    position_size_usd: orderSpec.positionSizeUsd || null,
+    risk_amount: orderSpec.riskAmount || null,
+    reduce_only: !!orderSpec.reduceOnly,
+    leg_role: orderSpec.legRole || null,
+    status: ORDER_STATUS.PENDING,
+    source: orderSpec.source || ORDER_SOURCE.MANUAL,
+    signal_id: orderSpec.signalId || null,
+    signal_snapshot: orderSpec.signalSnapshot || null,
+    execution_adapter: orderSpec.executionAdapter || 'paper'
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // CREATE ORDER
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -98,20 +257,27 @@ function generateClientOrderId(source, asset) {
 /**
  * Create a new order in PENDING status.
  *
+ * OCO and BRACKET orders insert a parent row plus PENDING child legs linked
+ * through parent_order_id. BRACKET legs (stop-loss STOP_MARKET or TRAILING_STOP,
+ * take-profit LIMIT) stay dormant until the entry fills; OCO legs go live when
+ * the parent is submitted.
+ *
  * @param {object} supabase
  * @param {string} userId
  * @param {object} orderSpec - Order specification
  * @param {string} orderSpec.asset - Asset identifier (e.g., 'bitcoin')
  * @param {string} orderSpec.side - 'BUY' or 'SELL'
- * @param {string} orderSpec.orderType - 'MARKET', 'LIMIT', or 'STOP_LIMIT'
+ * @param {string} orderSpec.orderType - One of ORDER_TYPE
  * @param {number} orderSpec.quantity - Amount in asset units
- * @param {number} [orderSpec.price] - Limit price (required for LIMIT, STOP_LIMIT)
- * @param {number} [orderSpec.stopPrice] - Trigger price (required for STOP_LIMIT)
- * @param {number} [orderSpec.stopLoss] - Stop loss price
- * @param {number} [orderSpec.takeProfit1] - Take profit 1 price
+ * @param {number} [orderSpec.price] - Limit price (required for LIMIT, STOP_LIMIT; optional BRACKET limit entry)
+ * @param {number} [orderSpec.stopPrice] - Trigger price (required for STOP_LIMIT, STOP_MARKET)
+ * @param {number} [orderSpec.stopLoss] - Stop loss price (required for BRACKET)
+ * @param {number} [orderSpec.takeProfit1] - Take profit 1 price (required for BRACKET)
  * @param {number} [orderSpec.takeProfit2] - Take profit 2 price
- * @param {number} [orderSpec.trailingStopPct] - Trailing stop percentage
+ * @param {number} [orderSpec.trailingStopPct] - Trailing distance in percent (TRAILING_STOP; trails a BRACKET stop leg)
  * @param {number} [orderSpec.trailingActivation] - Trailing activation price
+ * @param {Array<object>} [orderSpec.legs] - OCO legs: [{ orderType, price?, stopPrice?, trailingStopPct?, legRole? }] × 2
+ * @param {boolean} [orderSpec.reduceOnly] - Closes an existing position (default true for OCO and TRAILING_STOP)
  * @param {number} [orderSpec.positionSizeUsd] - Position size in USD
  * @param {number} [orderSpec.riskAmount] - Amount risked
  * @param {string} [orderSpec.source='manual'] - Order source
@@ -122,7 +288,7 @@ function generateClientOrderId(source, asset) {
  * @param {string} [orderSpec.clientOrderId] - Custom idempotency key
  * @param {string} [orderSpec.assetClass='crypto'] - Asset class
  * @param {string} [orderSpec.executionAdapter='paper'] - Execution adapter
- * @returns {Promise<{order: object|null, error: object|null}>}
+ * @returns {Promise<{order: object|null, children?: Array, error: object|null}>}
  */
 async function createOrder(supabase, userId, orderSpec) {
   try {
@@ -135,16 +301,14 @@ async function createOrder(supabase, userId, orderSpec) {
       return { order: null, error: { message: `Invalid side: ${orderSpec.side}` } };
     }
 
-    if (!['MARKET', 'LIMIT', 'STOP_LIMIT'].includes(orderSpec.orderType)) {
+    if (!Object.values(ORDER_TYPE).includes(orderSpec.orderType)) {
       return { order: null, error: { message: `Invalid orderType: ${orderSpec.orderType}` } };
     }
 
-    if (orderSpec.orderType === 'LIMIT' && !orderSpec.price) {
-      return { order: null, error: { message: 'LIMIT orders require a price' } };
-    }
-
-    if (orderSpec.orderType === 'STOP_LIMIT' && (!orderSpec.price || !orderSpec.stopPrice)) {
-      return { order: null, error: { message: 'STOP_LIMIT orders require price and stopPrice' } };
+    const isComposite = COMPOSITE_TYPES.includes(orderSpec.orderType);
+    const specError = isComposite ? validateCompositeSpec(orderSpec) : validateTypeFields(orderSpec);
+    if (specError) {
+      return { order: null, error: { message: specError } };
     }
 
     if (!orderSpec.quantity || orderSpec.quantity <= 0) {
@@ -156,32 +320,11 @@ async function createOrder(supabase, userId, orderSpec) {
       orderSpec.asset
     );
 
-    const orderData = {
-      user_id: userId,
-      client_order_id: clientOrderId,
-      parent_order_id: orderSpec.parentOrderId || null,
-      asset: orderSpec.asset,
-      asset_class: orderSpec.assetClass || 'crypto',
-      side: orderSpec.side,
-      order_type: orderSpec.orderType,
-      quantity: orderSpec.quantity,
-      price: orderSpec.price || null,
-      stop_price: orderSpec.stopPrice || null,
-      time_in_force: orderSpec.timeInForce || 'GTC',
-      expire_at: orderSpec.expireAt || null,
-      stop_loss: orderSpec.stopLoss || null,
-      take_profit_1: orderSpec.takeProfit1 || null,
-      take_profit_2: orderSpec.takeProfit2 || null,
-      trailing_stop_pct: orderSpec.trailingStopPct || null,
-      trailing_activation: orderSpec.trailingActivation || null,
-      position_size_usd: orderSpec.positionSizeUsd || null,
-      risk_amount: orderSpec.riskAmount || null,
-      status: ORDER_STATUS.PENDING,
-      source: orderSpec.source || ORDER_SOURCE.MANUAL,
-      signal_id: orderSpec.signalId || null,
-      signal_snapshot: orderSpec.signalSnapshot || null,
-      execution_adapter: orderSpec.executionAdapter || 'paper'
-    };
+    const protective = [ORDER_TYPE.OCO, ORDER_TYPE.TRAILING_STOP].includes(orderSpec.orderType);
+    const orderData = buildOrderRow(userId, {
+      ...orderSpec,
+      reduceOnly: orderSpec.reduceOnly ?? protective
+    }, clientOrderId);
 
     const { data, error } = await supabase
       .from('orders')
@@ -214,13 +357,83 @@ async function createOrder(supabase, userId, orderSpec) {
       source: orderData.source
     });
 
-    return { order: data, error: null };
+    if (!isComposite) {
+      return { order: data, error: null };
+    }
+
+    const { children, error: childError } = await createChildOrders(supabase, userId, data, orderSpec);
+    if (childError) {
+      // Don't leave a parent without its legs
+      await cancelLinkedOrders(supabase, [data, ...children], `Leg creation failed: ${childError.message}`);
+      return { order: null, error: childError };
+    }
+
+    return { order: data, children, error: null };
   } catch (err) {
     logger.error('createOrder exception', { error: err.message });
     return { order: null, error: err };
   }
 }
 
+/**
+ * Insert the child legs of an OCO or BRACKET parent.
+ * Legs share the parent's asset, quantity and adapter; bracket legs close the
+ * entry (opposite side), OCO legs take the parent's side.
+ * @private
+ */
+async function createChildOrders(supabase, userId, parent, orderSpec) {
+  const isBracket = parent.order_type === ORDER_TYPE.BRACKET;
+  const legSpecs = isBracket
+    ? [
+      orderSpec.trailingStopPct
+        ? { orderType: ORDER_TYPE.TRAILING_STOP, stopPrice: orderSpec.stopLoss, trailingStopPct: orderSpec.trailingStopPct, legRole: LEG_ROLE.STOP_LOSS }
+        : { orderType: ORDER_TYPE.STOP_MARKET, stopPrice: orderSpec.stopLoss, legRole: LEG_ROLE.STOP_LOSS },
+      { orderType: ORDER_TYPE.LIMIT, price: orderSpec.takeProfit1, legRole: LEG_ROLE.TAKE_PROFIT }
+    ]
+    : orderSpec.legs.map(leg => ({
+      ...leg,
+      legRole: leg.legRole || (leg.orderType === ORDER_TYPE.LIMIT ? LEG_ROLE.TAKE_PROFIT : LEG_ROLE.STOP_LOSS)
+    }));
+
+  const children = [];
+  for (const [i, leg] of legSpecs.entries()) {
+    const row = buildOrderRow(userId, {
+      asset: parent.asset,
+      assetClass: parent.asset_class,
+      side: isBracket ? oppositeSide(parent.side) : parent.side,
+      orderType: leg.orderType,
+      quantity: parent.quantity,
+      price: leg.price,
+      stopPrice: leg.stopPrice,
+      trailingStopPct: leg.trailingStopPct,
+      timeInForce: parent.time_in_force,
+      expireAt: parent.expire_at,
+      parentOrderId: parent.id,
+      reduceOnly: isBracket || parent.reduce_only,
+      legRole: leg.legRole,
+      source: ORDER_SOURCE.BRACKET,
+      signalId: parent.signal_id,
+      executionAdapter: parent.execution_adapter
+    }, `${parent.client_order_id}-${leg.legRole === LEG_ROLE.TAKE_PROFIT ? 'tp' : 'sl'}${i + 1}`);
+
+    const { data, error } = await supabase.from('orders').insert(row).select().single();
+    if (error) return { children, error };
+
+    await logExecution(supabase, data.id, EVENT_TYPE.ORDER_CREATED, {
+      source: row.source,
+      orderType: row.order_type,
+      side: row.side,
+      asset: row.asset,
+      quantity: row.quantity,
+      parentOrderId: parent.id,
+      legRole: row.leg_role
+    });
+    children.push(data);
+  }
+
+  return { children, error: null };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // VALIDATE ORDER (pre-trade risk checks)
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -266,6 +479,12 @@ async function validateOrder(supabase, userId, order, config = null) {
       return { valid: false, reason: 'Paper trading disabled', order, checks };
     }
 
+    // Reduce-only orders (protective exits) can only shrink exposure — entry checks don't apply
+    if (order.reduce_only) {
+      checks.push({ name: 'reduce_only', passed: true, detail: 'Exit order — entry risk checks skipped' });
+      return await markValidated(supabase, order, checks);
+    }
+
     // ── CHECK 1: Safety limits (daily loss, position count, cooldown) ──
     const { safe, reason: safetyReason } = await checkSafetyLimits(supabase, userId, config);
     checks.push({ name: 'safety_limits', passed: safe, detail: safetyReason });
@@ -333,26 +552,33 @@ async function validateOrder(supabase, userId, order, config = null) {
       }
     }
 
-    // ── All checks passed → VALIDATED (atomic transition with advisory lock) ──
-    const txResult = await transitionOrderStatus(supabase, order.id, ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED);
+    return await markValidated(supabase, order, checks);
+  } catch (err) {
+    logger.error('validateOrder exception', { orderId: order.id, error: err.message });
+    return { valid: false, reason: `Validation error: ${err.message}`, order, checks };
+  }
+}
 
-    if (!txResult.success) {
-      return { valid: false, reason: txResult.reason || 'State transition failed', order, checks };
-    }
+/**
+ * All checks passed → VALIDATED (atomic transition with advisory lock).
+ * @private
+ */
+async function markValidated(supabase, order, checks) {
+  const txResult = await transitionOrderStatus(supabase, order.id, ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED);
 
-    order.status = ORDER_STATUS.VALIDATED;
-    order.validated_at = new Date().toISOString();
+  if (!txResult.success) {
+    return { valid: false, reason: txResult.reason || 'State transition failed', order, checks };
+  }
 
-    await logExecution(supabase, order.id, EVENT_TYPE.RISK_CHECK_PASS, { checks });
-    await logExecution(supabase, order.id, EVENT_TYPE.ORDER_VALIDATED, {});
+  order.status = ORDER_STATUS.VALIDATED;
+  order.validated_at = new Date().toISOString();
 
-    logger.info('Order validated', { orderId: order.id, asset: order.asset, checks: checks.length });
+  await logExecution(supabase, order.id, EVENT_TYPE.RISK_CHECK_PASS, { checks });
+  await logExecution(supabase, order.id, EVENT_TYPE.ORDER_VALIDATED, {});
 
-    return { valid: true, reason: 'All checks passed', order, checks };
-  } catch (err) {
-    logger.error('validateOrder exception', { orderId: order.id, error: err.message });
-    return { valid: false, reason: `Validation error: ${err.message}`, order, checks };
-  }
+  logger.info('Order validated', { orderId: order.id, asset: order.asset, checks: checks.length });
+
+  return { valid: true, reason: 'All checks passed', order, checks };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -363,12 +589,16 @@ async function validateOrder(supabase, userId, order, config = null) {
  * Submit a validated order to the execution adapter for fill.
  * Transitions: VALIDATED → SUBMITTED → FILLED (or back to PENDING on failure).
  *
+ * An OCO parent is never placed itself — submitting it puts both legs live.
+ * A filled BRACKET entry activates its stop-loss / take-profit legs; a filled
+ * leg cancels its siblings (see settleLinkedOrders).
+ *
  * @param {object} supabase
  * @param {string} userId
  * @param {object} order - The validated order record
  * @param {object} executionAdapter - ExecutionAdapter instance
  * @param {object} [marketData] - Current market data
- * @returns {Promise<{filledOrder: object|null, trade: object|null, error: object|null}>}
+ * @returns {Promise<{filledOrder: object|null, trade: object|null, children?: Array, error: object|null}>}
  */
 async function submitOrder(supabase, userId, order, executionAdapter, marketData = null, config = null) {
   try {
@@ -385,6 +615,17 @@ async function submitOrder(supabase, userId, order, executionAdapter, marketData
     order.status = ORDER_STATUS.SUBMITTED;
     await logExecution(supabase, order.id, EVENT_TYPE.ORDER_SUBMITTED, {});
 
+    // OCO parent: nothing to place — its legs go live instead
+    if (order.order_type === ORDER_TYPE.OCO) {
+      const children = await activateChildOrders(supabase, order, executionAdapter, marketData, config);
+      return { filledOrder: order, trade: null, children, error: null };
+    }
+
+    // Seed the trailing stop from the current price before placement
+    if (order.order_type === ORDER_TYPE.TRAILING_STOP) {
+      await trailOrder(supabase, order, null, marketData);
+    }
+
     // Execute via adapter
     let fillResult;
     try {
@@ -396,57 +637,418 @@ async function submitOrder(supabase, userId, order, executionAdapter, marketData
       return { filledOrder: null, trade: null, error: { message: `Execution failed: ${adapterErr.message}` } };
     }
 
+    if (fillResult.cancel) {
+      // Adapter says the order can no longer apply (e.g., reduce-only with nothing to reduce)
+      await cancelLinkedOrders(supabase, [order, ...await linkedOrdersOf(supabase, order)], fillResult.reason, executionAdapter);
+      return { filledOrder: order, trade: null, error: null };
+    }
+
     if (!fillResult.filled) {
-      // Order not immediately filled (e.g., LIMIT order not at price)
+      // Order not immediately filled (e.g., LIMIT order not at price, stop not triggered)
       // Keep in SUBMITTED status for future checking
+      if (fillResult.exchange_order_id && !order.exchange_order_id) {
+        order.exchange_order_id = fillResult.exchange_order_id;
+        await supabase.from('orders')
+          .update({ exchange_order_id: fillResult.exchange_order_id })
+          .eq('id', order.id);
+      }
       logger.info('Order submitted but not filled', { orderId: order.id, reason: fillResult.reason });
       return { filledOrder: order, trade: null, error: null };
     }
 
-    // ── Order filled (atomic transition with advisory lock) ──
-    const now = new Date().toISOString();
-    const txFill = await transitionOrderStatus(supabase, order.id, ORDER_STATUS.SUBMITTED, ORDER_STATUS.FILLED, {
-      filled_quantity: String(fillResult.fillQuantity || order.quantity),
-      avg_fill_price: String(fillResult.fillPrice),
-      exchange_order_id: fillResult.exchange_order_id || null,
+    await recordFill(supabase, order, fillResult);
+    const { children } = await settleLinkedOrders(supabase, order, executionAdapter, marketData, config);
+
+    return {
+      filledOrder: order,
+      trade: fillResult.trade || null,
+      ...(children.length > 0 ? { children } : {}),
+      error: null
+    };
+  } catch (err) {
+    logger.error('submitOrder exception', { orderId: order.id, error: err.message });
+    return { filledOrder: null, trade: null, error: err };
+  }
+}
+
+/**
+ * Persist a fill: SUBMITTED / PARTIAL_FILL → FILLED (atomic transition with
+ * advisory lock) + audit trail.
+ * @returns {Promise<boolean>} false when the order left its working status concurrently
+ */
+async function recordFill(supabase, order, fillResult) {
+  const now = new Date().toISOString();
+  const fromStatus = order.status === ORDER_STATUS.PARTIAL_FILL ? ORDER_STATUS.PARTIAL_FILL : ORDER_STATUS.SUBMITTED;
+  const txFill = await transitionOrderStatus(supabase, order.id, fromStatus, ORDER_STATUS.FILLED, {
+    filled_quantity: String(fillResult.fillQuantity || order.quantity),
+    avg_fill_price: String(fillResult.fillPrice),
+    exchange_order_id: fillResult.exchange_order_id || order.exchange_order_id || null,
+  });
+
+  if (!txFill.success) {
+    logger.error('Failed to transition order to FILLED', { orderId: order.id, reason: txFill.reason });
+  }
+
+  order.status = ORDER_STATUS.FILLED;
+  order.avg_fill_price = fillResult.fillPrice;
+  order.filled_quantity = fillResult.fillQuantity || order.quantity;
+  order.filled_at = now;
+  order.exchange_order_id = fillResult.exchange_order_id || order.exchange_order_id || null;
+
+  await logExecution(supabase, order.id, EVENT_TYPE.ORDER_FILLED, {
+    fillPrice: fillResult.fillPrice,
+    fillQuantity: fillResult.fillQuantity,
+    slippage: fillResult.slippage,
+    ...(fillResult.queue ? { queue: fillResult.queue } : {})
+  });
+
+  // Log trade opened if a trade was created
+  if (fillResult.trade) {
+    await logTradeOpened(supabase, order, fillResult.trade);
+  }
+
+  // Reduce-only fills close (part of) an existing trade
+  if (fillResult.closedTrade) {
+    await logExecution(supabase, order.id, fillResult.partial ? EVENT_TYPE.TRADE_PARTIAL_CLOSE : EVENT_TYPE.TRADE_CLOSED, {
+      tradeId: fillResult.closedTrade.id,
+      exitPrice: fillResult.fillPrice,
+      legRole: order.leg_role || null
+    }, fillResult.closedTrade.id);
+  }
+
+  logger.info('Order filled', {
+    orderId: order.id,
+    asset: order.asset,
+    fillPrice: fillResult.fillPrice,
+    tradeId: fillResult.trade?.id || fillResult.closedTrade?.id
+  });
+
+  return txFill.success;
+}
+
+/**
+ * Persist a partial fill: SUBMITTED / PARTIAL_FILL → PARTIAL_FILL with the
+ * cumulative filled quantity + audit trail. The order keeps working for the rest.
+ *
+ * @param {object} supabase
+ * @param {object} order
+ * @param {object} fillResult - { fillPrice, fillQuantity (cumulative), lastQuantity, trade?, queue? }
+ * @returns {Promise<boolean>} false when the order left its working status concurrently
+ */
+async function recordPartialFill(supabase, order, fillResult) {
+  const fromStatus = order.status === ORDER_STATUS.PARTIAL_FILL ? ORDER_STATUS.PARTIAL_FILL : ORDER_STATUS.SUBMITTED;
+  const tx = await transitionOrderStatus(supabase, order.id, fromStatus, ORDER_STATUS.PARTIAL_FILL, {
+    filled_quantity: String(fillResult.fillQuantity),
+    avg_fill_price: String(fillResult.fillPrice)
+  });
+
+  if (!tx.success) {
+    logger.warn('Failed to record partial fill', { orderId: order.id, reason: tx.reason });
+    return false;
+  }
+
+  order.status = ORDER_STATUS.PARTIAL_FILL;
+  order.filled_quantity = fillResult.fillQuantity;
+  order.avg_fill_price = fillResult.fillPrice;
+
+  await logExecution(supabase, order.id, EVENT_TYPE.ORDER_PARTIAL_FILL, {
+    fillPrice: fillResult.fillPrice,
+    fillQuantity: fillResult.lastQuantity,
+    filledQuantity: fillResult.fillQuantity,
+    remainingQuantity: parseFloat(order.quantity) - fillResult.fillQuantity,
+    ...(fillResult.queue ? { queue: fillResult.queue } : {})
+  });
+
+  if (fillResult.trade) {
+    await logTradeOpened(supabase, order, fillResult.trade);
+  }
+
+  logger.info('Order partially filled', {
+    orderId: order.id,
+    asset: order.asset,
+    fillPrice: fillResult.fillPrice,
+    filledQuantity: fillResult.fillQuantity
+  });
+
+  return true;
+}
+
+async function logTradeOpened(supabase, order, trade) {
+  await logExecution(supabase, order.id, EVENT_TYPE.TRADE_OPENED, {
+    tradeId: trade.id,
+    direction: trade.direction,
+    entryPrice: trade.entry_price
+  }, trade.id);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// LINKED ORDERS (OCO / BRACKET / TRAILING STOP)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function getChildOrders(supabase, parentId) {
+  const { data } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('parent_order_id', parentId);
+  return Array.isArray(data) ? data : [];
+}
+
+/**
+ * Orders whose fate is tied to this one: a parent's legs, or a leg's
+ * siblings plus its parent. Fresh rows, excluding the order itself.
+ */
+async function linkedOrdersOf(supabase, order) {
+  if (COMPOSITE_TYPES.includes(order.order_type)) {
+    return getChildOrders(supabase, order.id);
+  }
+  if (!order.parent_order_id) return [];
+
+  const siblings = (await getChildOrders(supabase, order.parent_order_id)).filter(o => o.id !== order.id);
+  const { data: parent } = await supabase
+    .from('orders')
+    .select('*')
+    .eq('id', order.parent_order_id)
+    .single();
+  return parent ? [...siblings, parent] : siblings;
+}
+
+/**
+ * Cancel the still-active orders of a linked group.
+ * Working orders are pulled from the venue first; if the venue refuses, the
+ * row stays SUBMITTED so processWorkingOrders can reconcile what happened.
+ *
+ * @returns {Promise<Array>} Orders that were cancelled
+ */
+async function cancelLinkedOrders(supabase, orders, reason, executionAdapter = null) {
+  const cancelled = [];
+
+  for (const linked of orders) {
+    if (!ACTIVE_STATUSES.includes(linked.status)) continue;
+    const previousStatus = linked.status;
+
+    if (WORKING_STATUSES.includes(previousStatus) && executionAdapter) {
+      try {
+        const venue = await executionAdapter.cancelWorkingOrder(linked);
+        if (!venue.cancelled) {
+          logger.warn('Linked cancel refused by venue', { orderId: linked.id, reason: venue.reason });
+          continue;
+        }
+      } catch (err) {
+        logger.warn('Linked cancel failed', { orderId: linked.id, error: err.message });
+        continue;
+      }
+    }
+
+    const tx = await transitionOrderStatus(supabase, linked.id, previousStatus, ORDER_STATUS.CANCELLED, {
+      reject_reason: reason
     });
+    if (!tx.success) continue; // Filled or cancelled concurrently
+
+    linked.status = ORDER_STATUS.CANCELLED;
+    await logExecution(supabase, linked.id, EVENT_TYPE.ORDER_CANCELLED, { previousStatus, linked: true, reason });
+    cancelled.push(linked);
+  }
+
+  if (cancelled.length > 0) {
+    logger.info('Linked orders cancelled', { count: cancelled.length, reason });
+  }
+  return cancelled;
+}
 
-    if (!txFill.success) {
-      logger.error('Failed to transition order to FILLED', { orderId: order.id, reason: txFill.reason });
+/**
+ * Validate and submit the PENDING legs of a parent.
+ * Legs skip the entry risk checks — the parent already passed them.
+ * @private
+ */
+async function activateChildOrders(supabase, parent, executionAdapter, marketData, config) {
+  const activated = [];
+  const legs = (await getChildOrders(supabase, parent.id)).filter(o => o.status === ORDER_STATUS.PENDING);
+
+  for (const leg of legs) {
+    // A sibling filling immediately cancels the rest — the guarded transition skips them
+    const tx = await transitionOrderStatus(supabase, leg.id, ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED);
+    if (!tx.success) continue;
+
+    leg.status = ORDER_STATUS.VALIDATED;
+    await logExecution(supabase, leg.id, EVENT_TYPE.ORDER_VALIDATED, { parentOrderId: parent.id });
+
+    const { filledOrder, error } = await submitOrder(supabase, leg.user_id, leg, executionAdapter, marketData, config);
+    if (error) {
+      logger.warn('Linked leg submit failed', { orderId: leg.id, parentOrderId: parent.id, error: error.message });
     }
+    activated.push(filledOrder || leg);
+  }
 
-    order.status = ORDER_STATUS.FILLED;
-    order.avg_fill_price = fillResult.fillPrice;
-    order.filled_quantity = fillResult.fillQuantity || order.quantity;
-    order.filled_at = now;
-    order.exchange_order_id = fillResult.exchange_order_id || null;
+  return activated;
+}
+
+/**
+ * Apply the linked-order consequences of a fill:
+ *   - BRACKET entry filled → stop-loss / take-profit legs go live
+ *   - leg filled → sibling legs cancelled; an OCO parent fills with its leg
+ *
+ * @returns {Promise<{children: Array, cancelled: Array}>}
+ */
+async function settleLinkedOrders(supabase, order, executionAdapter, marketData = null, config = null) {
+  if (order.order_type === ORDER_TYPE.BRACKET) {
+    const children = await activateChildOrders(supabase, order, executionAdapter, marketData, config);
+    return { children, cancelled: [] };
+  }
+  if (!order.parent_order_id) return { children: [], cancelled: [] };
+
+  const linked = await linkedOrdersOf(supabase, order);
+  const parent = linked.find(o => o.id === order.parent_order_id);
+  const siblings = linked.filter(o => o.id !== order.parent_order_id);
 
-    await logExecution(supabase, order.id, EVENT_TYPE.ORDER_FILLED, {
-      fillPrice: fillResult.fillPrice,
-      fillQuantity: fillResult.fillQuantity,
-      slippage: fillResult.slippage
+  const cancelled = await cancelLinkedOrders(
+    supabase, siblings, `Linked cancel: ${order.leg_role || 'leg'} ${order.id} filled`, executionAdapter
+  );
+
+  if (parent?.order_type === ORDER_TYPE.OCO && parent.status === ORDER_STATUS.SUBMITTED) {
+    const tx = await transitionOrderStatus(supabase, parent.id, ORDER_STATUS.SUBMITTED, ORDER_STATUS.FILLED, {
+      avg_fill_price: String(order.avg_fill_price),
+      filled_quantity: String(order.filled_quantity)
     });
+    if (tx.success) {
+      await logExecution(supabase, parent.id, EVENT_TYPE.ORDER_FILLED, {
+        legOrderId: order.id,
+        fillPrice: order.avg_fill_price
+      });
+    }
+  }
 
-    // Log trade opened if a trade was created
-    if (fillResult.trade) {
-      await logExecution(supabase, order.id, EVENT_TYPE.TRADE_OPENED, {
-        tradeId: fillResult.trade.id,
-        direction: fillResult.trade.direction,
-        entryPrice: fillResult.trade.entry_price
-      }, fillResult.trade.id);
+  return { children: [], cancelled };
+}
+
+/**
+ * Ratchet a working TRAILING_STOP against the current price and persist it.
+ * When the order rests on an exchange, its trigger is amended there too.
+ * @private
+ * @returns {Promise<boolean>} Whether the stop or peak moved
+ */
+async function trailOrder(supabase, order, executionAdapter, marketData) {
+  const price = resolveCurrentPrice(order.asset, marketData);
+  if (!price) return false;
+
+  const previousStop = order.stop_price != null ? parseFloat(order.stop_price) : null;
+  const { peak, stopPrice, changed } = advanceTrailingStop(order, price);
+  if (!changed) return false;
+
+  await supabase.from('orders')
+    .update({ stop_price: stopPrice, trailing_peak: peak, updated_at: new Date().toISOString() })
+    .eq('id', order.id);
+  order.stop_price = stopPrice;
+  order.trailing_peak = peak;
+
+  if (executionAdapter && order.exchange_order_id && stopPrice !== previousStop) {
+    const amend = await executionAdapter.amendOrder(order, { stopPrice });
+    if (!amend.amended) {
+      logger.warn('Trailing stop amend failed', { orderId: order.id, stopPrice, reason: amend.reason });
     }
+  }
 
-    logger.info('Order filled', {
-      orderId: order.id,
-      asset: order.asset,
-      fillPrice: fillResult.fillPrice,
-      tradeId: fillResult.trade?.id
-    });
+  logger.debug('Trailing stop order moved', { orderId: order.id, asset: order.asset, stopPrice, peak });
+  return true;
+}
+
+/**
+ * Per-order adapter lookup for background loops. With `resolveAdapter` each
+ * order goes to its owner's account on its own venue (cached per user/venue
+ * for the pass); without it every order uses `executionAdapter`.
+ * Returns null (logged once) when the owner has no usable adapter.
+ * @private
+ */
+function orderAdapterLookup(executionAdapter, resolveAdapter) {
+  const cache = new Map();
+  return async (order) => {
+    if (!resolveAdapter) return executionAdapter;
+    const venue = order.execution_adapter || 'paper';
+    const key = `${order.user_id}:${venue}`;
+    if (!cache.has(key)) {
+      const { adapter, error } = await resolveAdapter(order.user_id, venue);
+      if (!adapter) logger.warn('No execution adapter for order owner, skipping', { userId: order.user_id, venue, error });
+      cache.set(key, adapter || null);
+    }
+    return cache.get(key);
+  };
+}
+
+/**
+ * Evaluate resting orders — conditional legs, trailing stops and unfilled
+ * bracket entries — against the latest market. Called periodically from the worker.
+ *
+ * @param {object} supabase
+ * @param {object} executionAdapter - Current execution adapter
+ * @param {object} [marketData] - Current market data
+ * @param {object} [config] - Trading config (bracket entries)
+ * @param {object} [options]
+ * @param {Function} [options.resolveAdapter] - `(userId, venue) => {adapter, error}`; when set,
+ *   orders on every venue are processed, each through its owner's adapter
+ * @returns {Promise<{checked: number, filled: number, cancelled: number, trailed: number, skipped: number}>}
+ */
+async function processWorkingOrders(supabase, executionAdapter, marketData = null, config = null, options = {}) {
+  const stats = { checked: 0, filled: 0, cancelled: 0, trailed: 0, skipped: 0 };
+  const adapterFor = orderAdapterLookup(executionAdapter, options.resolveAdapter);
+
+  try {
+    let query = supabase
+      .from('orders')
+      .select('*')
+      .in('status', WORKING_STATUSES);
+    if (!options.resolveAdapter) query = query.eq('execution_adapter', executionAdapter.name);
+    const { data: working, error } = await query.order('submitted_at', { ascending: true });
+
+    if (error || !Array.isArray(working)) return stats;
+
+    // Orders settled earlier in this pass (stale rows in `working`)
+    const settled = new Set();
+
+    for (const order of working) {
+      // OCO parents follow their legs
+      if (!isRestingOrder(order) || order.order_type === ORDER_TYPE.OCO || settled.has(order.id)) continue;
+
+      const adapter = await adapterFor(order);
+      if (!adapter) {
+        stats.skipped++;
+        continue;
+      }
+      stats.checked++;
+
+      if (order.order_type === ORDER_TYPE.TRAILING_STOP &&
+          await trailOrder(supabase, order, adapter, marketData)) {
+        stats.trailed++;
+      }
+
+      let check;
+      try {
+        check = await adapter.checkWorkingOrder(order, marketData, config);
+      } catch (err) {
+        logger.warn('Working order check failed', { orderId: order.id, error: err.message });
+        continue;
+      }
 
-    return { filledOrder: order, trade: fillResult.trade || null, error: null };
+      if (check.filled) {
+        settled.add(order.id);
+        if (!await recordFill(supabase, order, check)) continue;
+        const { children, cancelled } = await settleLinkedOrders(supabase, order, adapter, marketData, config);
+        [...children, ...cancelled].forEach(o => settled.add(o.id));
+        stats.filled++;
+        stats.cancelled += cancelled.length;
+      } else if (check.cancel) {
+        const group = [order, ...await linkedOrdersOf(supabase, order)];
+        const cancelled = await cancelLinkedOrders(supabase, group, check.reason, adapter);
+        cancelled.forEach(o => settled.add(o.id));
+        stats.cancelled += cancelled.length;
+      }
+    }
+
+    if (stats.filled > 0 || stats.cancelled > 0) {
+      logger.info('Working orders processed', stats);
+    }
+    return stats;
   } catch (err) {
-    logger.error('submitOrder exception', { orderId: order.id, error: err.message });
-    return { filledOrder: null, trade: null, error: err };
+    logger.error('processWorkingOrders exception', { error: err.message });
+    return stats;
   }
 }
 
@@ -455,14 +1057,19 @@ async function submitOrder(supabase, userId, order, executionAdapter, marketData
 // ═══════════════════════════════════════════════════════════════════════════════
 
 /**
- * Cancel a PENDING or VALIDATED order.
+ * Cancel a PENDING, VALIDATED, SUBMITTED or partially filled order (the
+ * filled part stays filled).
+ * Linked orders go with it: cancelling a parent cancels its legs, cancelling
+ * a leg cancels its siblings (and an OCO or unfilled bracket parent).
  *
  * @param {object} supabase
  * @param {string} userId
  * @param {string} orderId
- * @returns {Promise<{order: object|null, error: object|null}>}
+ * @param {object} [executionAdapter] - Pulls working orders from the venue when provided
+ * @returns {Promise<{order: object|null, linkedCancelled?: Array, error: object|null}>}
+ *   error.venue is set when the venue refused the cancel (the order is still live there)
  */
-async function cancelOrder(supabase, userId, orderId) {
+async function cancelOrder(supabase, userId, orderId, executionAdapter = null) {
   try {
     // Fetch current order
     const { data: order, error: fetchError } = await supabase
@@ -476,11 +1083,17 @@ async function cancelOrder(supabase, userId, orderId) {
       return { order: null, error: { message: 'Order not found' } };
     }
 
-    const cancellable = [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED];
-    if (!cancellable.includes(order.status)) {
+    if (!ACTIVE_STATUSES.includes(order.status)) {
       return { order: null, error: { message: `Cannot cancel order in ${order.status} status` } };
     }
 
+    if (WORKING_STATUSES.includes(order.status) && executionAdapter) {
+      const venue = await executionAdapter.cancelWorkingOrder(order);
+      if (!venue.cancelled) {
+        return { order: null, error: { message: venue.reason || 'Venue refused cancel', venue: true } };
+      }
+    }
+
     const previousStatus = order.status;
     const txCancel = await transitionOrderStatus(supabase, orderId, order.status, ORDER_STATUS.CANCELLED);
 
@@ -492,7 +1105,15 @@ async function cancelOrder(supabase, userId, orderId) {
     await logExecution(supabase, orderId, EVENT_TYPE.ORDER_CANCELLED, { previousStatus });
 
     logger.info('Order cancelled', { orderId, asset: order.asset });
-    return { order, error: null };
+
+    if (!COMPOSITE_TYPES.includes(order.order_type) && !order.parent_order_id) {
+      return { order, error: null };
+    }
+
+    const linkedCancelled = await cancelLinkedOrders(
+      supabase, await linkedOrdersOf(supabase, order), `Linked cancel: order ${orderId} cancelled`, executionAdapter
+    );
+    return { order, linkedCancelled, error: null };
   } catch (err) {
     logger.error('cancelOrder exception', { orderId, error: err.message });
     return { order: null, error: err };
@@ -589,7 +1210,7 @@ async function expireOrders(supabase) {
       .from('orders')
       .select('id, user_id, asset')
       .eq('time_in_force', 'GTD')
-      .in('status', [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED])
+      .in('status', ACTIVE_STATUSES)
       .lt('expire_at', now);
 
     if (fetchError || !expired || expired.length === 0) {
@@ -853,10 +1474,14 @@ async function getExecutionLog(supabase, userId, filters = {}) {
  * @param {object} supabase
  * @param {object} executionAdapter - Current execution adapter
  * @param {object} [marketData] - Current market data for retry fills
- * @returns {Promise<{retried: number, rolledBack: number, synced: number}>}
+ * @param {object} [options]
+ * @param {Function} [options.resolveAdapter] - `(userId, venue) => {adapter, error}`; when set,
+ *   each order is queried/retried on its owner's account and skipped if there is none
+ * @returns {Promise<{retried: number, rolledBack: number, synced: number, skipped: number}>}
  */
-async function recoverStuckOrders(supabase, executionAdapter, marketData = null) {
-  const stats = { retried: 0, rolledBack: 0, synced: 0 };
+async function recoverStuckOrders(supabase, executionAdapter, marketData = null, options = {}) {
+  const stats = { retried: 0, rolledBack: 0, synced: 0, skipped: 0 };
+  const adapterFor = orderAdapterLookup(executionAdapter, options.resolveAdapter);
 
   try {
     const { data: stuckOrders, error } = await supabase
@@ -865,23 +1490,31 @@ async function recoverStuckOrders(supabase, executionAdapter, marketData = null)
       .eq('status', ORDER_STATUS.SUBMITTED)
       .order('submitted_at', { ascending: true });
 
-    if (error || !stuckOrders || stuckOrders.length === 0) {
+    // Conditional legs and bracket entries rest in SUBMITTED by design (processWorkingOrders owns them)
+    const candidates = (stuckOrders || []).filter(o => !isRestingOrder(o));
+    if (error || candidates.length === 0) {
       return stats;
     }
 
-    logger.info('Order recovery: found stuck orders', { count: stuckOrders.length });
+    logger.info('Order recovery: found stuck orders', { count: candidates.length });
 
     const MAX_RETRIES = 3;
     const MAX_AGE_MS = 15 * 60 * 1000; // 15 minutes
 
-    for (const order of stuckOrders) {
+    for (const order of candidates) {
       const age = Date.now() - new Date(order.submitted_at).getTime();
       const retryCount = order.retry_count || 0;
 
+      const adapter = await adapterFor(order);
+      if (!adapter) {
+        stats.skipped++;
+        continue;
+      }
+
       // ── For Bybit: check actual exchange status first ──
-      if (executionAdapter.name === 'bybit' && order.exchange_order_id) {
+      if (adapter.name === 'bybit' && order.exchange_order_id) {
         try {
-          const exchangeStatus = await executionAdapter.queryOrderStatus(order.exchange_order_id, order.asset);
+          const exchangeStatus = await adapter.queryOrderStatus(order.exchange_order_id, order.asset);
 
           if (exchangeStatus?.orderStatus === 'Filled') {
             // Order was actually filled on exchange — sync our DB
@@ -925,7 +1558,7 @@ async function recoverStuckOrders(supabase, executionAdapter, marketData = null)
 
           // Re-submit
           try {
-            await submitOrder(supabase, order.user_id, order, executionAdapter, marketData);
+            await submitOrder(supabase, order.user_id, order, adapter, marketData);
           } catch (submitErr) {
             logger.warn('Recovery retry failed', { orderId: order.id, error: submitErr.message });
           }
@@ -963,6 +1596,9 @@ module.exports = {
   ORDER_TYPE,
   ORDER_SOURCE,
   EVENT_TYPE,
+  LEG_ROLE,
+  COMPOSITE_TYPES,
+  WORKING_STATUSES,
 
   // Order lifecycle
   createOrder,
@@ -973,6 +1609,17 @@ module.exports = {
   getOrder,
   expireOrders,
 
+  // Linked orders (OCO / bracket / trailing stop)
+  processWorkingOrders,
+  settleLinkedOrders,
+  cancelLinkedOrders,
+  advanceTrailingStop,
+  isRestingOrder,
+
+  // Fill persistence (shared with adapters that fill asynchronously)
+  recordFill,
+  recordPartialFill,
+
   // Signal → Order pipeline
   processSignals,
 
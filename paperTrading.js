@@ -6,6 +6,7 @@
 const { logger } = require('./logger');
 const { SLIPPAGE, COMMISSION, getAssetCost, estimateFillFromOrderBook, getTimeOfDayMultiplier } = require('./constants');
 const { buildSizingOptions } = require('./kellySizing');
+const { resolveExitLadder, buildExitPlan, createExitState, stepExit } = require('./exitLadder');
 
 // ─── EXECUTION SIMULATION ───────────────────────────────────────────────────
 
@@ -422,117 +423,77 @@ function calculatePositionSize(config, signal, sizingOptions = null) {
   };
 }
 
-function checkPriceAgainstLevels(trade, currentPrice) {
-  const direction = trade.direction;
-  const isLong = direction === 'LONG';
-  const result = {
-    action: 'none',
-    newTrailingStop: null,
-    peakPrice: parseFloat(trade.peak_price) || (isLong ? parseFloat(trade.entry_price) : parseFloat(trade.entry_price))
-  };
-
-  const entryPrice = parseFloat(trade.entry_price);
-  const stopLoss = parseFloat(trade.stop_loss);
-  const tp1 = parseFloat(trade.take_profit_1);
-  const tp2 = trade.take_profit_2 ? parseFloat(trade.take_profit_2) : null;
-  const trailingCurrent = trade.trailing_stop_current ? parseFloat(trade.trailing_stop_current) : null;
-  const trailingActivation = trade.trailing_activation ? parseFloat(trade.trailing_activation) : null;
-  const trailingInitial = trade.trailing_stop_initial ? parseFloat(trade.trailing_stop_initial) : null;
-  const trailingActive = trade.trailing_active;
-
-  if (isLong) {
-    // Save previous peak BEFORE updating — needed for trailing stop check
-    const previousPeak = result.peakPrice;
-
-    // Update peak price
-    if (currentPrice > result.peakPrice) {
-      result.peakPrice = currentPrice;
-    }
+// ─── EXIT LADDER STATE ──────────────────────────────────────────────────────
 
-    // Check stop loss
-    if (currentPrice <= stopLoss) {
-      result.action = 'stop_loss';
-      return result;
-    }
-
-    // Check trailing stop (if active)
-    if (trailingActive && trailingCurrent && currentPrice <= trailingCurrent) {
-      result.action = 'trailing_stop';
-      return result;
-    }
-
-    // Check take profit based on status
-    if (trade.status === 'open' && currentPrice >= tp1) {
-      result.action = 'take_profit_1';
-      return result;
-    }
-
-    if (trade.status === 'partial' && tp2 && currentPrice >= tp2) {
-      result.action = 'take_profit_2';
-      return result;
-    }
-
-    // Activate trailing if not active and price passed activation level
-    if (!trailingActive && trailingActivation && currentPrice >= trailingActivation) {
-      result.action = 'activate_trailing';
-      return result;
-    }
-
-    // Update trailing stop if active and price made new high
-    // FIX: compare against previousPeak (before this tick's update)
-    if (trailingActive && trailingInitial && currentPrice > previousPeak) {
-      const trailingDistance = Math.abs(entryPrice - trailingInitial);
-      result.newTrailingStop = currentPrice - trailingDistance;
-    }
-
-  } else {
-    // SHORT - everything inverted
-    // Save previous peak BEFORE updating
-    const previousPeak = result.peakPrice;
-
-    // Update peak (for short, peak is lowest price)
-    if (currentPrice < result.peakPrice || result.peakPrice >= entryPrice) {
-      result.peakPrice = Math.min(result.peakPrice, currentPrice);
-    }
-
-    // Check stop loss (price going UP)
-    if (currentPrice >= stopLoss) {
-      result.action = 'stop_loss';
-      return result;
-    }
-
-    // Check trailing stop (price going UP)
-    if (trailingActive && trailingCurrent && currentPrice >= trailingCurrent) {
-      result.action = 'trailing_stop';
-      return result;
-    }
+/**
+ * Exit plan for a paper trade: the plan persisted at entry, or (for trades opened
+ * before exit ladders) the legacy ladder rebuilt from the level columns.
+ */
+function tradeExitPlan(trade, config = null) {
+  if (trade.exit_plan) {
+    return typeof trade.exit_plan === 'string' ? JSON.parse(trade.exit_plan) : trade.exit_plan;
+  }
+  const num = (v) => (v != null ? parseFloat(v) : null);
+  return buildExitPlan(resolveExitLadder(null, config || DEFAULT_CONFIG), {
+    entry: num(trade.entry_price),
+    stopLoss: num(trade.stop_loss),
+    takeProfit1: num(trade.take_profit_1),
+    takeProfit2: num(trade.take_profit_2),
+    trailingStop: num(trade.trailing_stop_initial),
+    trailingActivation: num(trade.trailing_activation)
+  }, trade.direction);
+}
 
-    // Check take profit (price going DOWN)
-    if (trade.status === 'open' && currentPrice <= tp1) {
-      result.action = 'take_profit_1';
-      return result;
-    }
+/** Restore ladder state from the trade row (stop_loss tracks the moved stop). */
+function tradeExitState(trade, plan) {
+  return createExitState(plan, {
+    stop: parseFloat(trade.stop_loss),
+    targetsHit: trade.targets_hit != null ? Number(trade.targets_hit) : (trade.status === 'partial' ? 1 : 0),
+    trailingActive: !!trade.trailing_active,
+    trailingStop: trade.trailing_stop_current ? parseFloat(trade.trailing_stop_current) : null,
+    peak: parseFloat(trade.peak_price) || parseFloat(trade.entry_price)
+  });
+}
 
-    if (trade.status === 'partial' && tp2 && currentPrice <= tp2) {
-      result.action = 'take_profit_2';
-      return result;
-    }
+/** Columns persisting an exit state. */
+function exitStateColumns(state) {
+  return {
+    stop_loss: state.stop,
+    targets_hit: state.targetsHit,
+    trailing_active: state.trailingActive,
+    ...(state.trailingStop != null ? { trailing_stop_current: state.trailingStop } : {}),
+    peak_price: state.peak
+  };
+}
 
-    // Activate trailing
-    if (!trailingActive && trailingActivation && currentPrice <= trailingActivation) {
-      result.action = 'activate_trailing';
-      return result;
-    }
+/**
+ * Evaluate a tick against the trade's exit ladder.
+ * `action` summarizes the first event for callers and logs:
+ * 'stop_loss' | 'trailing_stop' | 'take_profit_<n>' | 'activate_trailing' | 'none'.
+ *
+ * @param {Object} trade - paper_trades row
+ * @param {number} currentPrice
+ * @param {Object} [config] - Paper config (legacy ladder for trades without exit_plan)
+ * @returns {{ action, newTrailingStop, peakPrice, events, state }}
+ */
+function checkPriceAgainstLevels(trade, currentPrice, config = null) {
+  const plan = tradeExitPlan(trade, config);
+  const before = tradeExitState(trade, plan);
+  const { state, events } = stepExit(plan, before, { high: currentPrice, low: currentPrice });
 
-    // Update trailing stop for short (price made new low)
-    // FIX: compare against previousPeak (before this tick's update)
-    if (trailingActive && trailingInitial && currentPrice < previousPeak) {
-      const trailingDistance = Math.abs(trailingInitial - entryPrice);
-      result.newTrailingStop = currentPrice + trailingDistance;
-    }
-  }
+  const first = events.find(e => e.type !== 'trailing_moved');
+  let action = 'none';
+  if (first?.type === 'target') action = `take_profit_${first.index + 1}`;
+  else if (first?.type === 'trailing_armed') action = 'activate_trailing';
+  else if (first) action = first.type;
 
-  return result;
+  return {
+    action,
+    newTrailingStop: action === 'none' && state.trailingStop !== before.trailingStop ? state.trailingStop : null,
+    peakPrice: state.peak,
+    events,
+    state
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -684,9 +645,12 @@ async function openTrade(supabase, userId, signal, positionSize, marketData = nu
       confluenceCount = Math.max(bullish, bearish);
     }
 
-    // Apply slippage + commission to entry (simulates real execution)
+    // Apply slippage + commission to entry (simulates real execution) —
+    // unless the caller already knows the execution price (resting limit fills)
     const isBuy = direction === 'LONG';
-    const slippedEntry = applySlippage(signal.tradeLevels.entry, isBuy, signal.asset);
+    const slippedEntry = signal.fillPrice != null
+      ? signal.fillPrice
+      : applySlippage(signal.tradeLevels.entry, isBuy, signal.asset);
 
     // Adjust trade levels based on user's ATR multipliers (if custom config provided)
     const levels = config
@@ -718,6 +682,13 @@ async function openTrade(supabase, userId, signal, positionSize, marketData = nu
       trailing_stop_current: levels.trailingStop || null,
       trailing_activation: levels.trailingActivation || null,
       trailing_active: false,
+      exit_plan: buildExitPlan(
+        resolveExitLadder(signal.tradeLevels.exitLadder, config || DEFAULT_CONFIG),
+        { ...levels, entry: Math.round(slippedEntry * 100) / 100 },
+        direction
+      ),
+      targets_hit: 0,
+      exit_orders: !!signal.exitOrders,
       remaining_quantity: positionSize.quantity,
       peak_price: signal.tradeLevels.entry,
       max_favorable: 0,
@@ -764,12 +735,61 @@ async function openTrade(supabase, userId, signal, positionSize, marketData = nu
   }
 }
 
-async function executePartialClose(supabase, trade, closePrice, partialRatio = 0.5) {
+/**
+ * Add a further entry fill to an open paper trade (a resting limit order that
+ * fills in parts). Entry becomes the quantity-weighted average; the exit plan
+ * keeps the levels it was built with.
+ *
+ * @param {number} quantity - Quantity filled
+ * @param {number} price - Fill price
+ * @param {number} [riskAmount=0] - Risk carried by this fill
+ */
+async function addTradeFill(supabase, trade, quantity, price, riskAmount = 0) {
+  try {
+    const prevQuantity = parseFloat(trade.quantity);
+    const newQuantity = prevQuantity + quantity;
+    const entryPrice = (parseFloat(trade.entry_price) * prevQuantity + price * quantity) / newQuantity;
+
+    const { data, error } = await supabase
+      .from('paper_trades')
+      .update({
+        quantity: newQuantity,
+        remaining_quantity: parseFloat(trade.remaining_quantity ?? trade.quantity) + quantity,
+        entry_price: Math.round(entryPrice * 100) / 100,
+        position_size_usd: Math.round((parseFloat(trade.position_size_usd || 0) + price * quantity) * 100) / 100,
+        risk_amount: Math.round((parseFloat(trade.risk_amount || 0) + riskAmount) * 100) / 100
+      })
+      .eq('id', trade.id)
+      .select()
+      .single();
+
+    if (error) {
+      logger.error('Failed to add fill to paper trade', { error: error.message, tradeId: trade.id });
+      return { trade: null, error };
+    }
+
+    return { trade: data, error: null };
+  } catch (err) {
+    logger.error('addTradeFill exception', { error: err.message });
+    return { trade: null, error: err };
+  }
+}
+
+/**
+ * Close `partialRatio` of the ORIGINAL quantity. Repeated ladder partials accumulate
+ * into partial_close_* (quantity-weighted price, summed pnl).
+ * @param {Object} [levelUpdates] - Exit-state columns written in the same update
+ */
+async function executePartialClose(supabase, trade, closePrice, partialRatio = 0.5, levelUpdates = {}) {
   try {
     const entryPrice = parseFloat(trade.entry_price);
     const totalQuantity = parseFloat(trade.quantity);
-    const closeQuantity = totalQuantity * partialRatio;
-    const remainingQuantity = totalQuantity - closeQuantity;
+    const openQuantity = parseFloat(trade.remaining_quantity || trade.quantity);
+    const closeQuantity = Math.min(openQuantity, totalQuantity * partialRatio);
+    const remainingQuantity = openQuantity - closeQuantity;
+    const prevQuantity = parseFloat(trade.partial_close_quantity || 0);
+    const prevPnl = parseFloat(trade.partial_close_pnl || 0);
+    const prevPrice = parseFloat(trade.partial_close_price || 0);
 
     let pnl;
     if (trade.direction === 'LONG') {
@@ -782,10 +802,13 @@ async function executePartialClose(supabase, trade, closePrice, partialRatio = 0
     const { data, error } = await supabase
       .from('paper_trades')
       .update({
+        ...levelUpdates,
         status: 'partial',
-        partial_close_price: closePrice,
-        partial_close_quantity: closeQuantity,
-        partial_close_pnl: pnl,
+        partial_close_price: prevQuantity > 0
+          ? (prevPrice * prevQuantity + closePrice * closeQuantity) / (prevQuantity + closeQuantity)
+          : closePrice,
+        partial_close_quantity: prevQuantity + closeQuantity,
+        partial_close_pnl: Math.round((prevPnl + pnl) * 100) / 100,
         partial_close_at: new Date().toISOString(),
         remaining_quantity: remainingQuantity
       })
@@ -951,53 +974,26 @@ async function monitorOpenPositions(supabase, userId, marketData, config = null)
       const maxFavorable = Math.max(parseFloat(trade.max_favorable || 0), currentFavorable);
       const maxAdverse = Math.min(parseFloat(trade.max_adverse || 0), currentAdverse);
 
-      // Check price against levels
-      const check = checkPriceAgainstLevels(trade, currentPrice);
+      // Bracket legs (working orders) own this trade's exits
+      if (trade.exit_orders) {
+        await supabase
+          .from('paper_trades')
+          .update({ max_favorable: maxFavorable, max_adverse: maxAdverse })
+          .eq('id', trade.id);
+        continue;
+      }
+
+      // Check price against the trade's exit ladder
+      const check = checkPriceAgainstLevels(trade, currentPrice, config);
 
       // Apply slippage + commission on exit (LONG closes are sells, SHORT closes are buys)
       const isExitBuy = trade.direction === 'SHORT'; // SHORT exit = buy back
       const slippedClosePrice = applySlippage(currentPrice, isExitBuy, trade.asset);
 
       switch (check.action) {
-        case 'stop_loss': {
-          const closeResult = await executeFullClose(supabase, trade, slippedClosePrice, 'stop_loss');
-          if (closeResult.closedTrade) {
-            result.closedTrades.push(closeResult.closedTrade);
-          }
-          break;
-        }
-
-        case 'take_profit_1': {
-          const partialRatio = config.partial_close_ratio || DEFAULT_CONFIG.partial_close_ratio;
-          const partialResult = await executePartialClose(supabase, trade, slippedClosePrice, partialRatio);
-          if (partialResult.updatedTrade) {
-            result.partialCloses.push(partialResult.updatedTrade);
-
-            // Move stop-loss to break-even after TP1 (professional trade management)
-            if (config.move_sl_to_breakeven_after_tp1 !== false) {
-              const breakEvenPrice = entryPrice;
-              await supabase
-                .from('paper_trades')
-                .update({ stop_loss: breakEvenPrice })
-                .eq('id', trade.id);
-              logger.info('Stop-loss moved to break-even after TP1', {
-                asset: trade.asset, breakEvenPrice
-              });
-            }
-          }
-          break;
-        }
-
-        case 'take_profit_2': {
-          const closeResult = await executeFullClose(supabase, trade, slippedClosePrice, 'take_profit_2');
-          if (closeResult.closedTrade) {
-            result.closedTrades.push(closeResult.closedTrade);
-          }
-          break;
-        }
-
+        case 'stop_loss':
         case 'trailing_stop': {
-          const closeResult = await executeFullClose(supabase, trade, slippedClosePrice, 'trailing_stop');
+          const closeResult = await executeFullClose(supabase, trade, slippedClosePrice, check.action);
           if (closeResult.closedTrade) {
             result.closedTrades.push(closeResult.closedTrade);
           }
@@ -1005,15 +1001,12 @@ async function monitorOpenPositions(supabase, userId, marketData, config = null)
         }
 
         case 'activate_trailing': {
-          await updateTrailingStop(supabase, trade.id,
-            parseFloat(trade.trailing_stop_current || trade.trailing_stop_initial),
-            check.peakPrice
-          );
+          await updateTrailingStop(supabase, trade.id, check.state.trailingStop, check.peakPrice);
           logger.info('Trailing stop activated', { asset: trade.asset, price: currentPrice });
           break;
         }
 
-        default: {
+        case 'none': {
           // Update peak price and trailing if needed
           const updates = { max_favorable: maxFavorable, max_adverse: maxAdverse };
           if (check.peakPrice) updates.peak_price = check.peakPrice;
@@ -1031,6 +1024,33 @@ async function monitorOpenPositions(supabase, userId, marketData, config = null)
             .eq('id', trade.id);
           break;
         }
+
+        default: {
+          // Ladder targets (take_profit_<n>) — a gap can cross several in one tick
+          let current = trade;
+          for (const event of check.events.filter(e => e.type === 'target')) {
+            const exitReason = `take_profit_${event.index + 1}`;
+            if (event.closesAll) {
+              const closeResult = await executeFullClose(supabase, current, slippedClosePrice, exitReason);
+              if (closeResult.closedTrade) result.closedTrades.push(closeResult.closedTrade);
+              break;
+            }
+            const partialResult = await executePartialClose(
+              supabase, current, slippedClosePrice, event.fraction, exitStateColumns(check.state)
+            );
+            if (!partialResult.updatedTrade) break;
+            result.partialCloses.push(partialResult.updatedTrade);
+            current = partialResult.updatedTrade;
+          }
+
+          const previousStop = parseFloat(trade.stop_loss);
+          if (check.state.stop !== previousStop) {
+            logger.info('Stop-loss moved by exit ladder', {
+              asset: trade.asset, previousStop, newStop: check.state.stop, targetsHit: check.state.targetsHit
+            });
+          }
+          break;
+        }
       }
     }
 
@@ -2016,69 +2036,89 @@ async function _checkPortfolioLimitsInner(supabase, userId, signal, config) {
       .select('asset, direction, position_size_usd, entry_price')
       .eq('user_id', userId).in('status', ['open', 'partial']);
 
-    if (!openPositions || openPositions.length < 1) {
-      return { allowed: true, reason: 'No open positions' };
-    }
+    return await evaluatePortfolioLimits(openPositions, signal, config);
+  } catch (err) {
+    logger.debug('Portfolio limits check failed, allowing trade', { error: err.message });
+    return { allowed: true, reason: 'Check failed, allowing (fail-open)' };
+  }
+}
 
-    const newAsset = signal.asset.toLowerCase();
-    const sigDir = (signal.action === 'BUY') ? 'long' : 'short';
-    const maxCorr = config.max_portfolio_correlation || DEFAULT_CONFIG.max_portfolio_correlation;
-    const maxSectorPct = config.max_sector_exposure_pct || DEFAULT_CONFIG.max_sector_exposure_pct;
-    const maxSameDirCrypto = config.max_same_direction_crypto || DEFAULT_CONFIG.max_same_direction_crypto;
+/**
+ * Pure portfolio-limit rules evaluated against an in-memory position list.
+ * Shared by checkPortfolioLimits (live, DB-backed) and the portfolio backtester,
+ * which supplies its own correlation source built from historical candles.
+ *
+ * @param {Array} openPositions - [{ asset, direction, position_size_usd }]
+ * @param {object} signal - Must have: asset, action ('BUY'|'SELL')
+ * @param {object} config - Paper trading config
+ * @param {Function} [correlationFn] - async (assetA, assetB) => correlation in [0, 1]
+ * @returns {Promise<{allowed: boolean, reason: string, rule?: string}>}
+ */
+async function evaluatePortfolioLimits(openPositions, signal, config, correlationFn = getCorrelation) {
+  if (!openPositions || openPositions.length < 1) {
+    return { allowed: true, reason: 'No open positions' };
+  }
 
-    const newAssetClass = classifyAsset(newAsset);
+  const newAsset = signal.asset.toLowerCase();
+  const sigDir = (signal.action === 'BUY') ? 'long' : 'short';
+  const maxCorr = config.max_portfolio_correlation || DEFAULT_CONFIG.max_portfolio_correlation;
+  const maxSectorPct = config.max_sector_exposure_pct || DEFAULT_CONFIG.max_sector_exposure_pct;
+  const maxSameDirCrypto = config.max_same_direction_crypto || DEFAULT_CONFIG.max_same_direction_crypto;
+
+  const newAssetClass = classifyAsset(newAsset);
+  // paper_trades stores LONG/SHORT — normalize before comparing with the signal direction
+  const directionOf = (p) => (p.direction || '').toLowerCase();
+
+  // CHECK 1: Same-direction crypto limit
+  const sameDirCrypto = openPositions.filter(p =>
+    directionOf(p) === sigDir && classifyAsset(p.asset) === 'crypto'
+  );
+  if (newAssetClass === 'crypto' && sameDirCrypto.length >= maxSameDirCrypto) {
+    return {
+      allowed: false,
+      rule: 'same_direction',
+      reason: `Same-direction limit: ${sameDirCrypto.length}/${maxSameDirCrypto} ${sigDir.toUpperCase()} crypto positions open`
+    };
+  }
 
-    // CHECK 1: Same-direction crypto limit
-    const sameDirCrypto = openPositions.filter(p =>
-      p.direction === sigDir && classifyAsset(p.asset) === 'crypto'
-    );
-    if (newAssetClass === 'crypto' && sameDirCrypto.length >= maxSameDirCrypto) {
-      return {
-        allowed: false,
-        reason: `Same-direction limit: ${sameDirCrypto.length}/${maxSameDirCrypto} ${sigDir.toUpperCase()} crypto positions open`
-      };
-    }
+  // CHECK 2: Sector exposure %
+  const sectorExposure = openPositions
+    .filter(p => classifyAsset(p.asset) === newAssetClass)
+    .reduce((s, p) => s + parseFloat(p.position_size_usd || 0), 0);
+  const capital = config.current_capital || DEFAULT_CONFIG.current_capital;
+  const sectorPct = (sectorExposure + (capital * (config.risk_per_trade || 0.01) * 10)) / capital;
 
-    // CHECK 2: Sector exposure %
-    const sectorExposure = openPositions
-      .filter(p => classifyAsset(p.asset) === newAssetClass)
-      .reduce((s, p) => s + parseFloat(p.position_size_usd || 0), 0);
-    const capital = config.current_capital || DEFAULT_CONFIG.current_capital;
-    const sectorPct = (sectorExposure + (capital * (config.risk_per_trade || 0.01) * 10)) / capital;
+  if (sectorPct > maxSectorPct) {
+    return {
+      allowed: false,
+      rule: 'sector_exposure',
+      reason: `Sector exposure: ${newAssetClass} at ${(sectorExposure / capital * 100).toFixed(0)}% of capital (limit ${(maxSectorPct * 100).toFixed(0)}%)`
+    };
+  }
 
-    if (sectorPct > maxSectorPct) {
+  // CHECK 3: Portfolio correlation
+  const sameDirPositions = openPositions.filter(p => directionOf(p) === sigDir);
+  if (sameDirPositions.length >= 2) {
+    let corrWeightSum = 0;
+    let weightSum = 0;
+    for (const pos of sameDirPositions) {
+      const posSize = parseFloat(pos.position_size_usd || 0);
+      const corr = await correlationFn(newAsset, pos.asset.toLowerCase());
+      corrWeightSum += corr * posSize;
+      weightSum += posSize;
+    }
+    const weightedCorr = weightSum > 0 ? corrWeightSum / weightSum : 0;
+
+    if (weightedCorr > maxCorr) {
       return {
         allowed: false,
-        reason: `Sector exposure: ${newAssetClass} at ${(sectorExposure / capital * 100).toFixed(0)}% of capital (limit ${(maxSectorPct * 100).toFixed(0)}%)`
+        rule: 'correlation',
+        reason: `Portfolio correlation ${(weightedCorr * 100).toFixed(0)}% exceeds limit ${(maxCorr * 100).toFixed(0)}% (${sameDirPositions.length} same-dir positions)`
       };
     }
-
-    // CHECK 3: Portfolio correlation
-    const sameDirPositions = openPositions.filter(p => p.direction === sigDir);
-    if (sameDirPositions.length >= 2) {
-      let corrWeightSum = 0;
-      let weightSum = 0;
-      for (const pos of sameDirPositions) {
-        const posSize = parseFloat(pos.position_size_usd || 0);
-        const corr = await getCorrelation(newAsset, pos.asset.toLowerCase());
-        corrWeightSum += corr * posSize;
-        weightSum += posSize;
-      }
-      const weightedCorr = weightSum > 0 ? corrWeightSum / weightSum : 0;
-
-      if (weightedCorr > maxCorr) {
-        return {
-          allowed: false,
-          reason: `Portfolio correlation ${(weightedCorr * 100).toFixed(0)}% exceeds limit ${(maxCorr * 100).toFixed(0)}% (${sameDirPositions.length} same-dir positions)`
-        };
-      }
-    }
-
-    return { allowed: true, reason: 'Portfolio limits OK' };
-  } catch (err) {
-    logger.debug('Portfolio limits check failed, allowing trade', { error: err.message });
-    return { allowed: true, reason: 'Check failed, allowing (fail-open)' };
   }
+
+  return { allowed: true, reason: 'Portfolio limits OK' };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -2303,11 +2343,15 @@ module.exports = {
   checkSafetyLimits,
   checkDuplicateTrade,
   checkPortfolioLimits,
+  evaluatePortfolioLimits,
+  classifyAsset,
+  _fallbackCorrelation,
 
   // Execution
   applySlippage,
   adjustTradeLevels,
   openTrade,
+  addTradeFill,
   executePartialClose,
   executeFullClose,
   updateTrailingStop,
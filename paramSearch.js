@@ -0,0 +1,278 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - PARAMETER SEARCH
+// Joint search over N strategy parameters for the optimizer:
+//   - grid:     exhaustive cartesian product (small spaces)
+//   - random:   seeded sampling without replacement
+//   - bayesian: sequential model-based search (Tree-structured Parzen Estimator)
+// Pure module — the caller supplies the (async) objective function.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { PARAM_RANGES } = require('./strategyConfig');
+const { mulberry32 } = require('./monteCarloSim');
+
+const SEARCH_MODES = Object.freeze(['grid', 'random', 'bayesian']);
+const MAX_GRID_COMBINATIONS = 500;  // Beyond this, grid is impractical — use random/bayesian
+const MAX_EVALUATIONS = 200;
+const DEFAULT_EVALUATIONS = 50;
+
+/**
+ * Generate all values for a parameter range
+ * @param {Object} range - { min, max, step }
+ * @returns {Array<number>} Array of values to test
+ */
+function generateParamValues(range) {
+  const values = [];
+  for (let v = range.min; v <= range.max + (range.step / 10); v += range.step) {
+    values.push(Math.round(v * 1000) / 1000); // Avoid float precision issues
+  }
+  return values;
+}
+
+/**
+ * Build a discrete search space from PARAM_RANGES keys.
+ *
+ * @param {string[]} paramNames - Keys from PARAM_RANGES
+ * @param {Object} [ranges=PARAM_RANGES]
+ * @returns {Array<{ name: string, label: string, values: number[] }>}
+ */
+function buildSearchSpace(paramNames, ranges = PARAM_RANGES) {
+  if (!Array.isArray(paramNames) || paramNames.length === 0) {
+    throw new Error('paramNames must be a non-empty array');
+  }
+  const unique = [...new Set(paramNames)];
+  return unique.map(name => {
+    const range = ranges[name];
+    if (!range) {
+      throw new Error(`Unknown parameter: ${name}. Available: ${Object.keys(ranges).join(', ')}`);
+    }
+    return { name, label: range.label, values: generateParamValues(range) };
+  });
+}
+
+/**
+ * Number of distinct combinations in a search space.
+ */
+function searchSpaceSize(space) {
+  return space.reduce((n, p) => n * p.values.length, 1);
+}
+
+/**
+ * Stable string key for a parameter combination (used for dedup and ranking maps).
+ * @param {Object} params - { paramName: value }
+ * @returns {string} e.g. 'adxStrongMultiplier=1.2|adxStrongThreshold=25'
+ */
+function paramKey(params) {
+  return Object.keys(params).sort().map(k => `${k}=${params[k]}`).join('|');
+}
+
+/**
+ * Enumerate the full cartesian product of a search space.
+ * @returns {Array<Object>} Array of { paramName: value } combinations
+ */
+function enumerateGrid(space) {
+  let combos = [{}];
+  for (const { name, values } of space) {
+    const next = [];
+    for (const combo of combos) {
+      for (const v of values) next.push({ ...combo, [name]: v });
+    }
+    combos = next;
+  }
+  return combos;
+}
+
+/**
+ * Draw one uniformly random combination.
+ */
+function sampleUniform(space, rng) {
+  const params = {};
+  for (const { name, values } of space) {
+    params[name] = values[Math.floor(rng() * values.length)];
+  }
+  return params;
+}
+
+// ─── Tree-structured Parzen Estimator ────────────────────────────────────────
+
+/**
+ * Parzen density over the ordinal value indices of one parameter.
+ * Gaussian kernels centred on observed indices + a uniform prior pseudo-count,
+ * so unseen values keep non-zero probability.
+ *
+ * @param {number} size - Number of discrete values
+ * @param {number[]} observedIdx - Observed value indices
+ * @returns {number[]} Normalized probabilities per index
+ */
+function parzenDensity(size, observedIdx) {
+  const bandwidth = Math.max(0.5, size / 5);
+  const weights = new Array(size).fill(1 / size); // Prior: one uniform pseudo-observation
+  for (const k of observedIdx) {
+    for (let j = 0; j < size; j++) {
+      weights[j] += Math.exp(-0.5 * ((j - k) / bandwidth) ** 2);
+    }
+  }
+  const total = weights.reduce((s, w) => s + w, 0);
+  return weights.map(w => w / total);
+}
+
+function sampleIndex(probs, rng) {
+  let r = rng();
+  for (let i = 0; i < probs.length; i++) {
+    r -= probs[i];
+    if (r <= 0) return i;
+  }
+  return probs.length - 1;
+}
+
+/**
+ * Suggest the next combination with TPE.
+ * Splits history into "good" (top gamma by score) and "bad", fits independent
+ * per-parameter Parzen densities l(x) and g(x), draws candidates from l(x) and
+ * returns the unseen candidate maximizing l(x) / g(x).
+ *
+ * @param {Array} space - From buildSearchSpace
+ * @param {Array<{ params: Object, score: number }>} history - Completed evaluations
+ * @param {Function} rng - Seeded PRNG
+ * @param {Object} [options]
+ * @param {number} [options.gamma=0.25] - Fraction of history treated as "good"
+ * @param {number} [options.nCandidates=24] - Candidates drawn from l(x) per suggestion
+ * @param {Set<string>} [options.seen] - Keys already evaluated
+ * @returns {Object|null} Parameter combination, or null if the space is exhausted
+ */
+function suggestTPE(space, history, rng, options = {}) {
+  const { gamma = 0.25, nCandidates = 24, seen = new Set() } = options;
+
+  const sorted = [...history].sort((a, b) => b.score - a.score);
+  const nGood = Math.max(1, Math.ceil(sorted.length * gamma));
+  const good = sorted.slice(0, nGood);
+  const bad = sorted.slice(nGood);
+
+  const densities = space.map(({ name, values }) => {
+    const indexOf = (p) => values.indexOf(p.params[name]);
+    return {
+      l: parzenDensity(values.length, good.map(indexOf).filter(i => i >= 0)),
+      g: parzenDensity(values.length, bad.map(indexOf).filter(i => i >= 0))
+    };
+  });
+
+  let best = null;
+  let bestRatio = -Infinity;
+  for (let c = 0; c < nCandidates; c++) {
+    const params = {};
+    let logRatio = 0;
+    space.forEach(({ name, values }, p) => {
+      const idx = sampleIndex(densities[p].l, rng);
+      params[name] = values[idx];
+      logRatio += Math.log(densities[p].l[idx]) - Math.log(densities[p].g[idx]);
+    });
+    if (seen.has(paramKey(params))) continue;
+    if (logRatio > bestRatio) {
+      bestRatio = logRatio;
+      best = params;
+    }
+  }
+
+  if (best) return best;
+
+  // Every TPE candidate was already evaluated — fall back to an unseen uniform draw
+  if (seen.size >= searchSpaceSize(space)) return null;
+  for (let attempt = 0; attempt < 1000; attempt++) {
+    const params = sampleUniform(space, rng);
+    if (!seen.has(paramKey(params))) return params;
+  }
+  return null;
+}
+
+// ─── Search Driver ───────────────────────────────────────────────────────────
+
+/**
+ * Run a joint parameter search.
+ *
+ * @param {Object} options
+ * @param {Array} options.space - From buildSearchSpace
+ * @param {string} [options.mode='bayesian'] - 'grid' | 'random' | 'bayesian'
+ * @param {number} [options.maxEvaluations=50] - Budget for random/bayesian (ignored by grid)
+ * @param {number} [options.seed=42] - PRNG seed (random/bayesian are reproducible per seed)
+ * @param {number} [options.nStartup=10] - Random warm-up evaluations before TPE kicks in
+ * @param {Array<Object>} [options.initial] - Combinations evaluated first (e.g., current defaults)
+ * @param {Function} options.evaluate - async (params, index) => { score: number, ... }
+ * @param {Function} [options.onEvaluation] - (entry, index, total) progress hook
+ * @returns {Promise<Array<{ params, key, score, evaluation, result }>>} History in evaluation order
+ */
+async function runSearch(options) {
+  const {
+    space,
+    mode = 'bayesian',
+    maxEvaluations = DEFAULT_EVALUATIONS,
+    seed = 42,
+    nStartup = 10,
+    initial = [],
+    evaluate,
+    onEvaluation = null
+  } = options;
+
+  if (!SEARCH_MODES.includes(mode)) {
+    throw new Error(`Unknown search mode: ${mode}. Available: ${SEARCH_MODES.join(', ')}`);
+  }
+
+  const size = searchSpaceSize(space);
+  if (mode === 'grid' && size > MAX_GRID_COMBINATIONS) {
+    throw new Error(`Grid search space too large: ${size} combinations (max ${MAX_GRID_COMBINATIONS}). Use random or bayesian mode.`);
+  }
+
+  const rng = mulberry32(seed);
+  const seen = new Set();
+  const history = [];
+  const queue = [...initial];
+  if (mode === 'grid') queue.push(...enumerateGrid(space));
+
+  const budget = mode === 'grid'
+    ? new Set(queue.map(paramKey)).size
+    : Math.min(Math.max(1, maxEvaluations), MAX_EVALUATIONS, size);
+
+  const record = async (params) => {
+    const key = paramKey(params);
+    if (seen.has(key)) return;
+    seen.add(key);
+    const index = history.length;
+    const result = await evaluate(params, index);
+    const entry = { params, key, score: result.score, evaluation: index + 1, result };
+    history.push(entry);
+    if (onEvaluation) onEvaluation(entry, index, budget);
+  };
+
+  // Queued combinations (initial + full grid)
+  while (queue.length > 0 && history.length < budget) {
+    await record(queue.shift());
+  }
+
+  // Random / bayesian proposals until the budget is spent
+  let stalls = 0;
+  while (history.length < budget && seen.size < size && stalls < 1000) {
+    const useTPE = mode === 'bayesian' && history.length >= nStartup;
+    const params = useTPE
+      ? suggestTPE(space, history, rng, { seen })
+      : sampleUniform(space, rng);
+    if (!params) break;
+    if (seen.has(paramKey(params))) { stalls++; continue; }
+    stalls = 0;
+    await record(params);
+  }
+
+  return history;
+}
+
+module.exports = {
+  SEARCH_MODES,
+  MAX_GRID_COMBINATIONS,
+  MAX_EVALUATIONS,
+  DEFAULT_EVALUATIONS,
+  generateParamValues,
+  buildSearchSpace,
+  searchSpaceSize,
+  paramKey,
+  enumerateGrid,
+  parzenDensity,
+  suggestTPE,
+  runSearch
+};
@@ -0,0 +1,721 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Two-Person Approval Queue
+// Risk-critical changes (going live, lifting the kill switch, loosening the
+// drawdown limit, promoting an auto-tune proposal) are not applied directly:
+// they become a pending action that a *different* user with one of the
+// action's approver roles must approve before it expires. Only then does the
+// registered executor run.
+//
+// Approvers act via REST (/api/approvals) or the Telegram buttons sent to the
+// Telegram account they verified with /vincular (telegram_links). Every step —
+// request, approval, rejection, expiry, execution — is written to the audit log.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const crypto = require('crypto');
+const { logger } = require('./logger');
+const { logAudit } = require('./auditLogger');
+const { getProfile } = require('./roleMiddleware');
+
+const ACTION_STATUSES = Object.freeze(['pending', 'approved', 'executed', 'failed', 'rejected', 'cancelled', 'expired']);
+
+const APPROVAL_LIMITS = Object.freeze({
+  defaultTtlMinutes: 30,
+  minTtlMinutes: 1,
+  maxTtlMinutes: 24 * 60,
+  maxListLimit: 200,
+  maxNoteLength: 500,
+  linkCodeTtlMinutes: 10
+});
+
+const DEFAULT_MAX_DRAWDOWN = 0.15; // riskEngine.checkMaxDrawdown fallback
+
+// Reply to a button press from a Telegram account without a verified link
+const TELEGRAM_UNLINKED_MESSAGE = '⚠️ Tu cuenta de Telegram no está vinculada a ningún usuario. Genera un código en la app y envía /vincular <código> en un chat privado con el bot.';
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// ACTION REGISTRY
+// Each type declares who may approve it, how it is deduplicated (subject) and
+// what runs once approved. Executors return { success, result?, error? }.
+// Dependencies are required lazily: paperTrading/autoTuner pull in most of the app.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const ACTION_TYPES = Object.freeze({
+  execution_mode_live: {
+    label: 'Activar trading en vivo',
+    approverRoles: ['admin'],
+    subject: (targetUserId) => `user:${targetUserId}`,
+    describe: () => 'Modo de ejecución: paper → *live*',
+    async execute(supabase, action) {
+      const { updateConfig } = require('./paperTrading');
+      const { config, error } = await updateConfig(supabase, action.target_user_id, { execution_mode: 'live' });
+      if (error) return { success: false, error: error.message || String(error) };
+      return { success: true, result: { executionMode: config.execution_mode } };
+    }
+  },
+
+  max_drawdown_raise: {
+    label: 'Aumentar drawdown máximo',
+    approverRoles: ['admin', 'trader'],
+    subject: (targetUserId) => `user:${targetUserId}`,
+    describe: (payload) => `Drawdown máximo: ${pct(payload.from)} → *${pct(payload.to)}*`,
+    async execute(supabase, action) {
+      const { updateConfig } = require('./paperTrading');
+      const { config, error } = await updateConfig(supabase, action.target_user_id, { max_drawdown_pct: action.payload.to });
+      if (error) return { success: false, error: error.message || String(error) };
+      return { success: true, result: { maxDrawdownPct: Number(config.max_drawdown_pct) } };
+    }
+  },
+
+  kill_switch_deactivate: {
+    label: 'Desactivar kill switch',
+    approverRoles: ['admin'],
+    subject: (targetUserId, payload) => (payload.global ? 'global' : `user:${targetUserId}`),
+    describe: (payload) => `Reactivar trading (${payload.global ? '*global*' : 'usuario'})`,
+    async execute(supabase, action) {
+      const { deactivateKillSwitch } = require('./riskEngine');
+      const result = await deactivateKillSwitch(supabase, action.target_user_id, { global: action.payload.global === true });
+      if (!result.success) return { success: false, error: result.error || 'Failed to deactivate kill switch' };
+      return { success: true, result: { scope: result.scope } };
+    }
+  },
+
+  autotune_approve: {
+    label: 'Aplicar propuesta de auto-tune',
+    approverRoles: ['admin', 'trader'],
+    subject: (targetUserId, payload) => `run:${payload.runId}`,
+    describe: (payload) => `Run \`${payload.runId}\` → *${payload.decision}*`,
+    async execute(supabase, action, { via, bot }) {
+      const { approveProposal } = require('./autoTuner');
+      const result = await approveProposal(supabase, action.payload.runId, action.payload.decision, via, bot);
+      if (!result.success) return { success: false, error: result.message, result: { blocked: result.blocked === true } };
+      return { success: true, result: { decision: result.decision, paramsApplied: result.paramsApplied } };
+    }
+  }
+});
+
+function pct(value) {
+  return `${(Number(value) * 100).toFixed(1)}%`;
+}
+
+/**
+ * Two-person approval is on unless explicitly disabled. With auth bypassed
+ * (AUTH_REQUIRED=false) every request is the same user, so nobody could ever approve.
+ */
+function isTwoPersonRequired() {
+  return process.env.TWO_PERSON_APPROVAL !== 'false' && process.env.AUTH_REQUIRED !== 'false';
+}
+
+function actionTtlMs() {
+  const minutes = parseInt(process.env.APPROVAL_TTL_MINUTES, 10);
+  const ttl = Number.isFinite(minutes) ? minutes : APPROVAL_LIMITS.defaultTtlMinutes;
+  return Math.max(APPROVAL_LIMITS.minTtlMinutes, Math.min(APPROVAL_LIMITS.maxTtlMinutes, ttl)) * 60 * 1000;
+}
+
+/**
+ * Split a paper-config update into the part that applies immediately and the
+ * guarded changes that need a second approver: switching to live mode and
+ * raising max_drawdown_pct (lowering it only tightens risk).
+ *
+ * @param {object} current - Current paper_config row
+ * @param {object} updates - Requested changes
+ * @returns {{ immediate: object, guarded: Array<{type, payload}>, errors: string[] }}
+ */
+function splitGuardedConfig(current, updates) {
+  const immediate = { ...updates };
+  const guarded = [];
+  const errors = [];
+
+  if (updates.execution_mode !== undefined) {
+    if (!['paper', 'live'].includes(updates.execution_mode)) {
+      errors.push('execution_mode: must be paper or live');
+    } else if (updates.execution_mode === 'live' && current?.execution_mode !== 'live') {
+      delete immediate.execution_mode;
+      guarded.push({ type: 'execution_mode_live', payload: { from: current?.execution_mode || 'paper', to: 'live' } });
+    }
+  }
+
+  if (updates.max_drawdown_pct !== undefined) {
+    const to = Number(updates.max_drawdown_pct);
+    const from = Number(current?.max_drawdown_pct) || DEFAULT_MAX_DRAWDOWN;
+    if (!Number.isFinite(to) || to <= 0 || to > 1) {
+      errors.push('max_drawdown_pct: must be a fraction between 0 and 1');
+    } else if (to > from) {
+      delete immediate.max_drawdown_pct;
+      guarded.push({ type: 'max_drawdown_raise', payload: { from, to } });
+    }
+  }
+
+  return { immediate, guarded, errors };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// APPROVERS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Whether userId may approve the action: an active profile with one of the
+ * type's approver roles, and never the requester.
+ */
+async function canApprove(userId, action) {
+  const def = ACTION_TYPES[action.action_type];
+  if (!def || !userId || userId === action.requested_by) return false;
+  const profile = await getProfile(userId);
+  return Boolean(profile && profile.is_active && def.approverRoles.includes(profile.role));
+}
+
+// ─── Verified Telegram links ─────────────────────────────────────────────────
+
+function hashLinkCode(code) {
+  return crypto.createHash('sha256').update(String(code).trim().toUpperCase()).digest('hex');
+}
+
+/**
+ * Issue a one-time code the user sends to the bot as /vincular <code>.
+ * A new code replaces any pending one; an existing link stays until confirmed.
+ * @returns {{ code?: string, expiresAt?: string, error?: string }}
+ */
+async function createTelegramLinkCode(supabase, userId) {
+  const code = crypto.randomBytes(5).toString('hex').toUpperCase();
+  const expiresAt = new Date(Date.now() + APPROVAL_LIMITS.linkCodeTtlMinutes * 60 * 1000).toISOString();
+
+  const { error } = await supabase
+    .from('telegram_links')
+    .upsert({
+      user_id: userId,
+      link_code_hash: hashLinkCode(code),
+      link_code_expires_at: expiresAt,
+      updated_at: new Date().toISOString()
+    }, { onConflict: 'user_id' });
+  if (error) return { error: error.message };
+
+  return { code, expiresAt };
+}
+
+/**
+ * Confirm a /vincular code from a private chat: binds the sender's Telegram
+ * user id to the user who issued the code. Codes are single-use.
+ * @returns {{ userId?: string, error?: string }}
+ */
+async function confirmTelegramLink(supabase, code, telegramUserId) {
+  if (!code || !telegramUserId) return { error: 'Código inválido o caducado' };
+  const hash = hashLinkCode(code);
+
+  const { data: rows, error: readError } = await supabase
+    .from('telegram_links')
+    .select('user_id, link_code_expires_at')
+    .eq('link_code_hash', hash);
+  if (readError) return { error: readError.message };
+  const row = rows?.[0];
+  if (!row || !row.link_code_expires_at || new Date(row.link_code_expires_at).getTime() < Date.now()) {
+    return { error: 'Código inválido o caducado' };
+  }
+
+  const now = new Date().toISOString();
+  const { data: updated, error } = await supabase
+    .from('telegram_links')
+    .update({
+      telegram_user_id: String(telegramUserId),
+      verified_at: now,
+      link_code_hash: null,
+      link_code_expires_at: null,
+      updated_at: now
+    })
+    .eq('user_id', row.user_id)
+    .eq('link_code_hash', hash)
+    .select('user_id');
+  if (error) {
+    if (error.code === '23505') return { error: 'Esta cuenta de Telegram ya está vinculada a otro usuario' };
+    return { error: error.message };
+  }
+  if (!updated?.length) return { error: 'Código inválido o caducado' };
+
+  await logAudit(supabase, {
+    userId: row.user_id, action: 'telegram_linked', resource: 'telegram_links',
+    details: { telegramUserId: String(telegramUserId) }
+  });
+  logger.info('Telegram account linked', { userId: row.user_id });
+  return { userId: row.user_id };
+}
+
+/** Remove a user's Telegram link (and any pending code). */
+async function unlinkTelegram(supabase, userId) {
+  const { error } = await supabase
+    .from('telegram_links')
+    .update({
+      telegram_user_id: null,
+      verified_at: null,
+      link_code_hash: null,
+      link_code_expires_at: null,
+      updated_at: new Date().toISOString()
+    })
+    .eq('user_id', userId);
+  if (error) return { error: error.message };
+
+  await logAudit(supabase, { userId, action: 'telegram_unlinked', resource: 'telegram_links' });
+  return { success: true };
+}
+
+/**
+ * Map a Telegram user to the app user with a verified link to that account.
+ * Anything but exactly one verified match is refused.
+ */
+async function resolveTelegramUser(supabase, telegramUserId) {
+  if (!telegramUserId) return null;
+  const { data, error } = await supabase
+    .from('telegram_links')
+    .select('user_id, verified_at')
+    .eq('telegram_user_id', String(telegramUserId));
+  if (error || !data) return null;
+
+  const verified = data.filter(r => r.verified_at);
+  if (verified.length > 1) {
+    logger.warn('Telegram account linked to several users, refusing', { telegramUserId: String(telegramUserId), users: verified.length });
+    return null;
+  }
+  return verified[0]?.user_id || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// QUEUE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+async function getAction(supabase, actionId) {
+  const { data, error } = await supabase
+    .from('pending_actions')
+    .select('*')
+    .eq('id', actionId)
+    .single();
+  if (error || !data) return null;
+  return data;
+}
+
+/**
+ * Queue a risk-critical action for a second approver.
+ *
+ * @param {object} supabase
+ * @param {object} params
+ * @param {string} params.type - Key of ACTION_TYPES
+ * @param {string} [params.targetUserId] - User the action applies to
+ * @param {object} [params.payload] - Executor arguments
+ * @param {string} params.requestedBy - Requesting user
+ * @param {string} [params.via] - 'api' | 'telegram'
+ * @param {object} [params.context] - Audit context ({ ip, userAgent })
+ * @param {object} [params.bot] - Telegram bot used to notify approvers
+ * @returns {{ action, error?, duplicate? }}
+ */
+async function requestAction(supabase, { type, targetUserId = null, payload = {}, requestedBy, via = 'api', context = {}, bot = null }) {
+  const def = ACTION_TYPES[type];
+  if (!def) return { action: null, error: `Unknown action type: ${type}` };
+  if (!requestedBy) return { action: null, error: 'Requesting user is required' };
+
+  try {
+    // Free the dedup slot held by requests that lapsed since the last sweep
+    await expirePending(supabase, { bot });
+
+    const subject = def.subject(targetUserId, payload);
+    const { data: existing } = await supabase
+      .from('pending_actions')
+      .select('*')
+      .eq('action_type', type)
+      .eq('subject', subject)
+      .eq('status', 'pending')
+      .limit(1);
+    if (existing?.length) {
+      return { action: existing[0], error: 'An approval request for this action is already pending', duplicate: true };
+    }
+
+    const { data: action, error } = await supabase
+      .from('pending_actions')
+      .insert({
+        action_type: type,
+        subject,
+        target_user_id: targetUserId,
+        payload,
+        status: 'pending',
+        requested_by: requestedBy,
+        requested_via: via,
+        expires_at: new Date(Date.now() + actionTtlMs()).toISOString()
+      })
+      .select()
+      .single();
+
+    if (error) {
+      if (error.code === '23505') {
+        return { action: null, error: 'An approval request for this action is already pending', duplicate: true };
+      }
+      return { action: null, error: error.message };
+    }
+
+    await logAudit(supabase, {
+      userId: requestedBy, action: 'approval_requested', resource: 'pending_actions',
+      details: { actionId: action.id, type, targetUserId, payload, via, expiresAt: action.expires_at },
+      ...context
+    });
+    logger.info('Approval requested', { actionId: action.id, type, requestedBy, via });
+
+    const messages = await notifyApprovers(supabase, bot, action);
+    if (Object.keys(messages).length > 0) {
+      action.telegram_messages = messages;
+      await supabase.from('pending_actions').update({ telegram_messages: messages }).eq('id', action.id);
+    }
+
+    return { action };
+  } catch (err) {
+    logger.error('requestAction failed', { type, error: err.message });
+    return { action: null, error: err.message };
+  }
+}
+
+/**
+ * Approve a pending action and run its executor.
+ * The pending → approved transition is a compare-and-set, so two approvers
+ * clicking at once execute the action only once.
+ *
+ * @returns {{ action, result?, error?, reason? }} reason: not_found | not_pending |
+ *          expired | self_approval | forbidden | execution_failed
+ */
+async function approveAction(supabase, actionId, { userId, via = 'api', context = {}, bot = null } = {}) {
+  try {
+    const action = await getAction(supabase, actionId);
+    if (!action) return { action: null, error: 'Approval request not found', reason: 'not_found' };
+
+    const rejected = await checkDecidable(supabase, action, userId, bot);
+    if (rejected) return rejected;
+
+    if (!(await canApprove(userId, action))) {
+      const roles = ACTION_TYPES[action.action_type].approverRoles.join(', ');
+      return { action, error: `Approving this action requires one of: ${roles}`, reason: 'forbidden' };
+    }
+
+    const now = new Date().toISOString();
+    const claimed = await transition(supabase, action.id, {
+      status: 'approved', decided_by: userId, decided_via: via, decided_at: now
+    });
+    if (!claimed) return { action, error: 'Approval request was already decided', reason: 'not_pending' };
+
+    await logAudit(supabase, {
+      userId, action: 'approval_granted', resource: 'pending_actions',
+      details: { actionId: action.id, type: action.action_type, requestedBy: action.requested_by, via },
+      ...context
+    });
+
+    let outcome;
+    try {
+      outcome = await ACTION_TYPES[action.action_type].execute(supabase, claimed, { via, bot });
+    } catch (err) {
+      outcome = { success: false, error: err.message };
+    }
+
+    const { data: finished } = await supabase
+      .from('pending_actions')
+      .update({
+        status: outcome.success ? 'executed' : 'failed',
+        result: outcome.result || null,
+        error: outcome.success ? null : outcome.error,
+        executed_at: new Date().toISOString()
+      })
+      .eq('id', action.id)
+      .select()
+      .single();
+    const final = finished || { ...claimed, status: outcome.success ? 'executed' : 'failed' };
+
+    await logAudit(supabase, {
+      userId, action: outcome.success ? 'approval_executed' : 'approval_failed', resource: 'pending_actions',
+      details: {
+        actionId: action.id, type: action.action_type, targetUserId: action.target_user_id,
+        payload: action.payload, result: outcome.result || null, error: outcome.error || null
+      },
+      ...context
+    });
+
+    const header = outcome.success ? '✅ *Aprobado y ejecutado*' : `⚠️ *Aprobado, pero falló*: ${outcome.error}`;
+    updateTelegramMessages(bot, final, header);
+
+    if (!outcome.success) {
+      logger.warn('Approved action failed to execute', { actionId: action.id, type: action.action_type, error: outcome.error });
+      return { action: final, result: outcome.result, error: outcome.error, reason: 'execution_failed' };
+    }
+    logger.info('Approved action executed', { actionId: action.id, type: action.action_type, approvedBy: userId });
+    return { action: final, result: outcome.result };
+  } catch (err) {
+    logger.error('approveAction failed', { actionId, error: err.message });
+    return { action: null, error: err.message };
+  }
+}
+
+/**
+ * Reject a pending action. The requester may withdraw their own request
+ * (status 'cancelled'); anyone else needs an approver role.
+ *
+ * @returns {{ action, error?, reason? }}
+ */
+async function rejectAction(supabase, actionId, { userId, via = 'api', note = null, context = {}, bot = null } = {}) {
+  try {
+    const action = await getAction(supabase, actionId);
+    if (!action) return { action: null, error: 'Approval request not found', reason: 'not_found' };
+
+    const withdrawing = userId && userId === action.requested_by;
+    if (!withdrawing) {
+      const rejected = await checkDecidable(supabase, action, userId, bot);
+      if (rejected) return rejected;
+      if (!(await canApprove(userId, action))) {
+        const roles = ACTION_TYPES[action.action_type].approverRoles.join(', ');
+        return { action, error: `Rejecting this action requires one of: ${roles}`, reason: 'forbidden' };
+      }
+    } else if (action.status !== 'pending') {
+      return { action, error: `Approval request is ${action.status}`, reason: 'not_pending' };
+    }
+
+    const status = withdrawing ? 'cancelled' : 'rejected';
+    const decided = await transition(supabase, action.id, {
+      status, decided_by: userId, decided_via: via, decided_at: new Date().toISOString(),
+      decision_note: note ? String(note).slice(0, APPROVAL_LIMITS.maxNoteLength) : null
+    });
+    if (!decided) return { action, error: 'Approval request was already decided', reason: 'not_pending' };
+
+    await logAudit(supabase, {
+      userId, action: withdrawing ? 'approval_cancelled' : 'approval_rejected', resource: 'pending_actions',
+      details: { actionId: action.id, type: action.action_type, requestedBy: action.requested_by, via, note: decided.decision_note },
+      ...context
+    });
+    logger.info('Approval request closed', { actionId: action.id, type: action.action_type, status, by: userId });
+
+    updateTelegramMessages(bot, decided, withdrawing ? '↩️ *Solicitud retirada*' : '❌ *Rechazado*');
+    return { action: decided };
+  } catch (err) {
+    logger.error('rejectAction failed', { actionId, error: err.message });
+    return { action: null, error: err.message };
+  }
+}
+
+/**
+ * Shared gate for approve/reject by someone other than the requester.
+ * Returns an error result, or null when the action can be decided.
+ */
+async function checkDecidable(supabase, action, userId, bot) {
+  if (action.status !== 'pending') {
+    return { action, error: `Approval request is ${action.status}`, reason: 'not_pending' };
+  }
+  if (new Date(action.expires_at).getTime() <= Date.now()) {
+    await expirePending(supabase, { bot });
+    return { action: { ...action, status: 'expired' }, error: 'Approval request has expired', reason: 'expired' };
+  }
+  if (userId === action.requested_by) {
+    return { action, error: 'A second person must approve this action', reason: 'self_approval' };
+  }
+  return null;
+}
+
+/**
+ * Compare-and-set from 'pending'. Returns the updated row, or null if someone got there first.
+ */
+async function transition(supabase, actionId, update) {
+  const { data, error } = await supabase
+    .from('pending_actions')
+    .update(update)
+    .eq('id', actionId)
+    .eq('status', 'pending')
+    .select();
+  if (error || !data?.length) return null;
+  return data[0];
+}
+
+/**
+ * Mark every lapsed pending action as expired (cron + lazily on request/approve).
+ * @returns {{ expired: number }}
+ */
+async function expirePending(supabase, { bot = null } = {}) {
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('pending_actions')
+    .update({ status: 'expired', decided_at: now })
+    .eq('status', 'pending')
+    .lte('expires_at', now)
+    .select();
+
+  if (error || !data?.length) return { expired: 0 };
+
+  for (const action of data) {
+    await logAudit(supabase, {
+      userId: action.requested_by, action: 'approval_expired', resource: 'pending_actions',
+      details: { actionId: action.id, type: action.action_type, expiresAt: action.expires_at }
+    });
+    updateTelegramMessages(bot, action, '⌛ *Expirado sin aprobación*');
+  }
+  logger.info('Approval requests expired', { count: data.length });
+  return { expired: data.length };
+}
+
+/**
+ * Actions visible to userId — the ones they requested plus the ones they could
+ * approve — each flagged with canApprove.
+ *
+ * @param {object} [options]
+ * @param {string} [options.status='pending'] - A status from ACTION_STATUSES or 'all'
+ * @param {number} [options.limit=50]
+ */
+async function listActions(supabase, userId, { status = 'pending', limit = 50 } = {}) {
+  try {
+    if (status !== 'all' && !ACTION_STATUSES.includes(status)) {
+      return { actions: [], error: `Invalid status. Use one of: all, ${ACTION_STATUSES.join(', ')}` };
+    }
+    if (status === 'pending') await expirePending(supabase);
+
+    let query = supabase
+      .from('pending_actions')
+      .select('*')
+      .order('created_at', { ascending: false })
+      .limit(Math.max(1, Math.min(APPROVAL_LIMITS.maxListLimit, limit)));
+    if (status !== 'all') query = query.eq('status', status);
+
+    const { data, error } = await query;
+    if (error) return { actions: [], error: error.message };
+
+    const profile = await getProfile(userId);
+    const role = profile?.is_active ? profile.role : null;
+    const actions = (data || [])
+      .map(action => {
+        const def = ACTION_TYPES[action.action_type];
+        const eligible = Boolean(def && role && def.approverRoles.includes(role));
+        return {
+          ...action,
+          label: def?.label || action.action_type,
+          approverRoles: def?.approverRoles || [],
+          canApprove: action.status === 'pending' && eligible && action.requested_by !== userId,
+          eligible
+        };
+      })
+      .filter(action => action.requested_by === userId || action.eligible)
+      .map(({ eligible, ...action }) => action);
+
+    return { actions };
+  } catch (err) {
+    logger.error('listActions failed', { error: err.message });
+    return { actions: [], error: err.message };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TELEGRAM
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function formatActionMessage(action) {
+  const def = ACTION_TYPES[action.action_type];
+  const expiresIn = Math.max(0, Math.round((new Date(action.expires_at).getTime() - Date.now()) / 60000));
+  return (
+    `🔐 *APROBACIÓN REQUERIDA*\n\n` +
+    `Acción: *${def?.label || action.action_type}*\n` +
+    `${def ? def.describe(action.payload || {}) : ''}\n` +
+    (action.target_user_id ? `Usuario: \`${action.target_user_id}\`\n` : '') +
+    `Solicitado por: \`${action.requested_by}\`\n\n` +
+    `Requiere un segundo aprobador (${(def?.approverRoles || []).join(', ')}).\n` +
+    `⏰ Expira en ${expiresIn} min`
+  );
+}
+
+/**
+ * Send the approve/reject buttons to every eligible approver with a linked
+ * Telegram account (telegram_links, verified), except the requester.
+ * @returns {Object} chatId → messageId
+ */
+async function notifyApprovers(supabase, bot, action) {
+  if (!bot || !bot.isActive()) return {};
+  const def = ACTION_TYPES[action.action_type];
+
+  try {
+    const { data: approvers } = await supabase
+      .from('user_profiles')
+      .select('id')
+      .in('role', def.approverRoles)
+      .eq('is_active', true);
+    const ids = (approvers || []).map(p => p.id).filter(id => id !== action.requested_by);
+    if (ids.length === 0) return {};
+
+    const { data: links } = await supabase
+      .from('telegram_links')
+      .select('user_id, telegram_user_id, verified_at')
+      .in('user_id', ids);
+
+    const buttons = [[
+      { text: '✅ Aprobar', callback_data: `pa_approve_${action.id}` },
+      { text: '❌ Rechazar', callback_data: `pa_reject_${action.id}` }
+    ]];
+    const text = formatActionMessage(action);
+    const messages = {};
+    // Private chat id == Telegram user id
+    for (const { telegram_user_id: chatId, verified_at: verifiedAt } of links || []) {
+      if (!chatId || !verifiedAt) continue;
+      const sent = await bot.sendWithButtons(chatId, text, buttons);
+      if (sent.success) messages[chatId] = sent.messageId;
+    }
+    return messages;
+  } catch (err) {
+    logger.warn('Failed to notify approvers', { actionId: action.id, error: err.message });
+    return {};
+  }
+}
+
+/** Replace the buttons on every approver message with the outcome. Fire-and-forget. */
+function updateTelegramMessages(bot, action, header) {
+  if (!bot || !bot.isActive() || !action.telegram_messages) return;
+  const def = ACTION_TYPES[action.action_type];
+  const by = action.decided_by ? `\nPor: \`${action.decided_by}\`` : '';
+  const text = `${header}\n${def?.label || action.action_type}\n${def ? def.describe(action.payload || {}) : ''}${by}`;
+  for (const [chatId, messageId] of Object.entries(action.telegram_messages)) {
+    bot.editMessage(chatId, messageId, text).catch(() => {});
+  }
+}
+
+/**
+ * Handle a pa_approve_<id> / pa_reject_<id> button press.
+ * The presser is identified by their Telegram user id, not the chat.
+ * @param {Function} [onExecuted] - (action, result) after an approved action ran
+ */
+async function handleApprovalCallback(supabase, bot, query, onExecuted = null) {
+  const chatId = query.message?.chat?.id;
+  const match = /^pa_(approve|reject)_(.+)$/.exec(query.data || '');
+  if (!match || !chatId) return;
+  const [, decision, actionId] = match;
+
+  const userId = await resolveTelegramUser(supabase, query.from?.id);
+  if (!userId) {
+    await bot.sendMessage(chatId, TELEGRAM_UNLINKED_MESSAGE);
+    return;
+  }
+
+  const options = { userId, via: 'telegram', bot };
+  const result = decision === 'approve'
+    ? await approveAction(supabase, actionId, options)
+    : await rejectAction(supabase, actionId, options);
+
+  if (result.error) {
+    await bot.sendMessage(chatId, `⚠️ ${result.error}`);
+    return;
+  }
+  if (decision === 'approve' && onExecuted) onExecuted(result.action, result.result);
+  // The approver messages themselves are edited in place
+}
+
+module.exports = {
+  ACTION_TYPES,
+  ACTION_STATUSES,
+  APPROVAL_LIMITS,
+  isTwoPersonRequired,
+  splitGuardedConfig,
+  // Queue
+  requestAction,
+  approveAction,
+  rejectAction,
+  expirePending,
+  listActions,
+  getAction,
+  canApprove,
+  // Telegram
+  TELEGRAM_UNLINKED_MESSAGE,
+  createTelegramLinkCode,
+  confirmTelegramLink,
+  unlinkTelegram,
+  resolveTelegramUser,
+  handleApprovalCallback,
+  formatActionMessage
+};
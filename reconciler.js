@@ -0,0 +1,399 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Exchange Reconciliation
+// Diffs what the DB believes the live account holds (open paper_trades and
+// working orders) against what the exchange reports (balances and open
+// orders) for each user in live execution mode, on that user's own account.
+// Every user check stores a report, mismatches go to execution_log, and
+// drift over a threshold can trip that user's kill switch.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('./logger');
+const { getConfigSync } = require('./configManager');
+const { logExecution, EVENT_TYPE, ORDER_STATUS, WORKING_STATUSES } = require('./orderManager');
+const { activateKillSwitch } = require('./riskEngine');
+
+const MISMATCH = Object.freeze({
+  ORPHAN_FILL:    'orphan_fill',    // exchange holds an asset the DB has no open trade on
+  MISSING_ORDER:  'missing_order',  // DB order working at the venue that the exchange does not list
+  UNKNOWN_ORDER:  'unknown_order',  // exchange open order with no working DB order behind it
+  QUANTITY_DRIFT: 'quantity_drift'  // both sides hold the asset but the quantities differ
+});
+
+// Defaults (overridable via system_config 'reconciliation')
+const RECONCILE_DEFAULTS = {
+  quantityTolerance: 1e-6,  // absolute difference treated as rounding noise
+  driftThresholdPct: 5,     // drift (% of the larger side) that counts as a breach
+  killSwitchOnDrift: false, // trip the kill switch for live users on a breach
+  graceMs: 60 * 1000        // orders submitted this recently may not be listed yet
+};
+
+const round8 = (v) => Math.round(v * 1e8) / 1e8;
+
+/** @returns {typeof RECONCILE_DEFAULTS} */
+function getReconcileSettings(overrides = {}) {
+  return { ...RECONCILE_DEFAULTS, ...getConfigSync('reconciliation', {}), ...overrides };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// CLASSIFICATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Sum open trade quantities per asset. Spot venues only hold longs, so a
+ * SHORT trade has nothing on the exchange to compare against.
+ *
+ * @param {Array<object>} trades - Open / partial paper_trades rows
+ * @returns {Map<string, {quantity: number, tradeIds: string[], orderIds: string[]}>}
+ */
+function aggregatePositions(trades) {
+  const positions = new Map();
+  for (const trade of trades) {
+    if (trade.direction === 'SHORT') continue;
+    const entry = positions.get(trade.asset) || { quantity: 0, tradeIds: [], orderIds: [] };
+    entry.quantity = round8(entry.quantity + parseFloat(trade.remaining_quantity ?? trade.quantity));
+    entry.tradeIds.push(trade.id);
+    if (trade.order_id) entry.orderIds.push(trade.order_id);
+    positions.set(trade.asset, entry);
+  }
+  return positions;
+}
+
+/**
+ * Classify differences between DB and exchange state. Pure — no I/O.
+ *
+ * @param {object} state
+ * @param {Map<string, {quantity: number, tradeIds: string[], orderIds: string[]}>} state.dbPositions
+ * @param {Map<string, number>} state.exchangePositions - Assets whose balance was read successfully
+ * @param {Array<object>} state.dbOrders - Orders in a working status
+ * @param {Array<object>|null} state.exchangeOrders - Venue listing; null when it could not be read
+ * @param {object} settings - See RECONCILE_DEFAULTS
+ * @param {number} [now]
+ * @returns {Array<object>} Mismatches; `breach` marks drift at or over the threshold
+ */
+function classifyMismatches({ dbPositions, exchangePositions, dbOrders, exchangeOrders }, settings, now = Date.now()) {
+  const mismatches = [];
+
+  // ── Positions ──
+  for (const [asset, exchangeQuantity] of exchangePositions) {
+    const db = dbPositions.get(asset);
+    const dbQuantity = db?.quantity || 0;
+    const diff = round8(exchangeQuantity - dbQuantity);
+    if (Math.abs(diff) <= settings.quantityTolerance) continue;
+
+    const driftPct = Math.round(Math.abs(diff) / Math.max(exchangeQuantity, dbQuantity) * 10000) / 100;
+    mismatches.push({
+      type: dbQuantity > settings.quantityTolerance ? MISMATCH.QUANTITY_DRIFT : MISMATCH.ORPHAN_FILL,
+      asset,
+      dbQuantity,
+      exchangeQuantity,
+      diff,
+      driftPct,
+      breach: driftPct >= settings.driftThresholdPct,
+      tradeIds: db?.tradeIds || [],
+      orderId: db?.orderIds[0] || null
+    });
+  }
+
+  // ── Orders (skipped entirely when the venue listing failed) ──
+  if (!exchangeOrders) return mismatches;
+
+  const listedIds = new Set(exchangeOrders.map(o => String(o.exchangeOrderId)));
+  for (const order of dbOrders) {
+    if (!order.exchange_order_id || listedIds.has(String(order.exchange_order_id))) continue;
+    const age = now - new Date(order.submitted_at || order.created_at).getTime();
+    if (age < settings.graceMs) continue;
+
+    mismatches.push({
+      type: MISMATCH.MISSING_ORDER,
+      asset: order.asset,
+      orderId: order.id,
+      exchangeOrderId: String(order.exchange_order_id),
+      status: order.status,
+      breach: false
+    });
+  }
+
+  const knownIds = new Set(dbOrders.filter(o => o.exchange_order_id).map(o => String(o.exchange_order_id)));
+  const knownClientIds = new Set(dbOrders.map(o => o.client_order_id).filter(Boolean));
+  for (const listed of exchangeOrders) {
+    if (knownIds.has(String(listed.exchangeOrderId))) continue;
+    if (listed.clientOrderId && knownClientIds.has(listed.clientOrderId)) continue;
+
+    mismatches.push({
+      type: MISMATCH.UNKNOWN_ORDER,
+      asset: listed.asset,
+      orderId: null,
+      exchangeOrderId: String(listed.exchangeOrderId),
+      clientOrderId: listed.clientOrderId || null,
+      side: listed.side,
+      quantity: listed.quantity,
+      breach: false
+    });
+  }
+
+  return mismatches;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// RECONCILIATION RUN
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const STATUS_RANK = { clean: 0, incomplete: 1, mismatch: 2 };
+
+/**
+ * Reconcile live users against their exchange accounts. Every user is
+ * checked on their own account — with `options.resolveAdapter` the user's
+ * adapter per venue (vault credentials), otherwise `executionAdapter` — and
+ * a drift breach trips only that user's kill switch.
+ *
+ * @param {object} supabase
+ * @param {object|null} executionAdapter - Live adapter used when no resolver is given (paper is skipped)
+ * @param {object} [options]
+ * @param {Function} [options.resolveAdapter] - `(userId, venue) => {adapter, error, missing}`;
+ *   users without credentials for a venue (`missing`) are not trading there and are skipped
+ * @param {string[]} [options.venues] - Venues to check per user with a resolver
+ * @param {string[]} [options.assets] - Extra assets to check for orphan fills
+ * @param {object} [options.settings] - Overrides for RECONCILE_DEFAULTS
+ * @param {Function} [options.notifyFn] - Passed to activateKillSwitch
+ * @returns {Promise<{skipped?: boolean, reason?: string, error?: string, status?: string,
+ *           mismatches?: Array, errors?: Array, killSwitchTripped?: boolean, reports?: Array}>}
+ */
+async function reconcileExchange(supabase, executionAdapter, options = {}) {
+  const resolveAdapter = options.resolveAdapter || null;
+  const venues = resolveAdapter
+    ? (options.venues || [executionAdapter?.name]).filter(v => v && v !== 'paper')
+    : [executionAdapter?.name].filter(v => v && v !== 'paper');
+  if (venues.length === 0) {
+    return { skipped: true, reason: 'Paper execution — nothing to reconcile' };
+  }
+
+  const settings = getReconcileSettings(options.settings);
+
+  try {
+    const { data: liveConfigs, error: configError } = await supabase.from('paper_config')
+      .select('user_id, is_enabled')
+      .eq('execution_mode', 'live');
+    if (configError) return { error: configError.message };
+
+    if (!liveConfigs || liveConfigs.length === 0) {
+      return { skipped: true, reason: 'No users in live execution mode' };
+    }
+
+    const reports = [];
+    const errors = [];
+    for (const config of liveConfigs) {
+      for (const venue of venues) {
+        const { adapter, error, missing } = resolveAdapter
+          ? await resolveAdapter(config.user_id, venue)
+          : { adapter: executionAdapter };
+        if (!adapter) {
+          if (!missing) errors.push({ userId: config.user_id, venue, source: 'adapter', error });
+          continue;
+        }
+        const report = await reconcileUser(supabase, config, adapter, settings, options);
+        reports.push(report);
+        errors.push(...report.errors.map(e => ({ userId: config.user_id, venue, ...e })));
+      }
+    }
+
+    const status = reports.reduce(
+      (worst, r) => (STATUS_RANK[r.status] > STATUS_RANK[worst] ? r.status : worst),
+      errors.length > 0 ? 'incomplete' : 'clean'
+    );
+
+    return {
+      status,
+      mismatches: reports.flatMap(r => r.mismatches.map(m => ({ ...m, userId: r.userId }))),
+      errors,
+      killSwitchTripped: reports.some(r => r.killSwitchTripped),
+      reports
+    };
+  } catch (err) {
+    logger.error('reconcileExchange exception', { error: err.message });
+    return { error: err.message };
+  }
+}
+
+/**
+ * Reconcile one user's DB state against one exchange account and store the
+ * report. A breach trips this user's kill switch only (when enabled).
+ * @private
+ */
+async function reconcileUser(supabase, config, executionAdapter, settings, options) {
+  const userId = config.user_id;
+  const errors = [];
+
+  // Exchange first: an order filling in between then reads as filled in
+  // the DB instead of missing from the venue
+  const listing = await executionAdapter.getOpenOrders();
+  if (listing.error) errors.push({ source: 'open_orders', error: listing.error });
+  const exchangeOrders = listing.error ? null : listing.orders;
+
+  const [tradesResult, ordersResult] = await Promise.all([
+    supabase.from('paper_trades')
+      .select('id, asset, direction, quantity, remaining_quantity, order_id')
+      .eq('user_id', userId)
+      .in('status', ['open', 'partial']),
+    supabase.from('orders')
+      .select('id, asset, side, status, quantity, filled_quantity, exchange_order_id, client_order_id, submitted_at, created_at')
+      .eq('user_id', userId)
+      .eq('execution_adapter', executionAdapter.name)
+      .in('status', WORKING_STATUSES)
+  ]);
+  if (tradesResult.error || ordersResult.error) {
+    const error = (tradesResult.error || ordersResult.error).message;
+    return { userId, adapter: executionAdapter.name, reportId: null, status: 'incomplete',
+      mismatches: [], errors: [{ source: 'db', error }], killSwitchTripped: false };
+  }
+
+  const dbPositions = aggregatePositions(tradesResult.data || []);
+  const dbOrders = ordersResult.data || [];
+
+  const assets = new Set([
+    ...dbPositions.keys(),
+    ...dbOrders.map(o => o.asset),
+    ...(exchangeOrders || []).map(o => o.asset),
+    ...(options.assets || [])
+  ]);
+
+  const exchangePositions = new Map();
+  for (const asset of assets) {
+    const { position, error } = await executionAdapter.getPosition(userId, asset);
+    if (error) {
+      errors.push({ source: 'position', asset, error });
+      continue;
+    }
+    exchangePositions.set(asset, position ? parseFloat(position.quantity) || 0 : 0);
+  }
+
+  const balance = await executionAdapter.getBalance(userId);
+  if (balance.error) errors.push({ source: 'balance', error: balance.error });
+
+  const mismatches = classifyMismatches({ dbPositions, exchangePositions, dbOrders, exchangeOrders }, settings);
+  const breaches = mismatches.filter(m => m.breach);
+  const maxDriftPct = mismatches.reduce((max, m) => Math.max(max, m.driftPct || 0), 0);
+  const status = mismatches.length > 0 ? 'mismatch' : errors.length > 0 ? 'incomplete' : 'clean';
+
+  // ── Kill switch (this user only; users already halted are left alone) ──
+  let killSwitchTripped = false;
+  if (settings.killSwitchOnDrift && breaches.length > 0 && config.is_enabled !== false) {
+    const reason = `Reconciliation drift ${maxDriftPct}% on ${[...new Set(breaches.map(b => b.asset))].join(', ')} ` +
+      `(threshold ${settings.driftThresholdPct}%)`;
+    const result = await activateKillSwitch(supabase, userId, reason, { notifyFn: options.notifyFn });
+    killSwitchTripped = result.success === true;
+  }
+
+  const report = {
+    adapter: executionAdapter.name,
+    checkedAt: new Date().toISOString(),
+    settings: { driftThresholdPct: settings.driftThresholdPct, quantityTolerance: settings.quantityTolerance },
+    balance: balance.error ? null : { available: balance.available, total: balance.total },
+    positions: [...assets].map(asset => ({
+      asset,
+      dbQuantity: dbPositions.get(asset)?.quantity || 0,
+      exchangeQuantity: exchangePositions.has(asset) ? exchangePositions.get(asset) : null
+    })),
+    openOrders: { db: dbOrders.length, exchange: exchangeOrders ? exchangeOrders.length : null },
+    mismatches,
+    errors
+  };
+
+  const { data: saved, error: saveError } = await supabase.from('reconciliation_reports').insert({
+    adapter: executionAdapter.name,
+    user_ids: [userId],
+    status,
+    mismatch_count: mismatches.length,
+    max_drift_pct: maxDriftPct,
+    kill_switch_tripped: killSwitchTripped,
+    report
+  }).select('id').single();
+  if (saveError) {
+    logger.warn('Failed to store reconciliation report', { userId, error: saveError.message });
+  }
+
+  await logMismatches(supabase, userId, mismatches, saved?.id || null);
+
+  if (mismatches.length > 0) {
+    logger.warn('Exchange reconciliation found mismatches', {
+      userId,
+      adapter: executionAdapter.name,
+      mismatches: mismatches.length,
+      breaches: breaches.length,
+      maxDriftPct,
+      killSwitchTripped
+    });
+  } else {
+    logger.info('Exchange reconciliation complete', { userId, adapter: executionAdapter.name, status, assets: assets.size });
+  }
+
+  return { userId, adapter: executionAdapter.name, reportId: saved?.id || null, status, mismatches, errors, killSwitchTripped };
+}
+
+/**
+ * Write each mismatch to execution_log. Findings without an order of their
+ * own (orphan fills, unknown orders) hang off one SYSTEM order per run, the
+ * same way kill switch events do.
+ * @private
+ */
+async function logMismatches(supabase, userId, mismatches, reportId) {
+  let anchorId = null;
+
+  for (const mismatch of mismatches) {
+    let orderId = mismatch.orderId;
+    if (!orderId) {
+      if (!anchorId) {
+        const { data: sysOrder } = await supabase.from('orders').insert({
+          user_id: userId,
+          asset: 'SYSTEM',
+          asset_class: 'system',
+          side: 'BUY',
+          order_type: 'MARKET',
+          quantity: 0,
+          status: ORDER_STATUS.CANCELLED,
+          source: 'system',
+          client_order_id: `reconcile-${Date.now()}`
+        }).select().single();
+        anchorId = sysOrder?.id || null;
+      }
+      orderId = anchorId;
+    }
+    if (!orderId) continue;
+
+    await logExecution(supabase, orderId, EVENT_TYPE.RECONCILE_MISMATCH, { ...mismatch, reportId });
+  }
+}
+
+/**
+ * Latest reconciliation report covering a user.
+ * @returns {Promise<{report: object|null, error: object|null}>}
+ */
+async function getLatestReconciliation(supabase, userId) {
+  try {
+    const { data, error } = await supabase.from('reconciliation_reports')
+      .select('*')
+      .contains('user_ids', [userId])
+      .order('created_at', { ascending: false })
+      .limit(1);
+
+    if (error) return { report: null, error };
+    return { report: data?.[0] || null, error: null };
+  } catch (err) {
+    logger.error('getLatestReconciliation exception', { error: err.message });
+    return { report: null, error: err };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+module.exports = {
+  MISMATCH,
+  RECONCILE_DEFAULTS,
+  reconcileExchange,
+  getLatestReconciliation,
+
+  // Helpers (for testing)
+  classifyMismatches,
+  aggregatePositions
+};
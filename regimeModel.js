@@ -0,0 +1,804 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - FITTED REGIME MODELS
+// Statistically fitted alternatives to the hand-tuned classifier in
+// marketRegime.js: k-means and a diagonal Gaussian HMM over trend / realized
+// volatility / ADX features (featureStore.js), trained offline on archived
+// candles. Each fitted state gets return/volatility statistics, a transition
+// matrix and one of the REGIMES labels so it can drive updateRegime().
+//   - Models are plain JSON files in REGIME_MODEL_DIR (default ./data/regime-models)
+//   - Inference is causal: only candles up to the evaluation time are used
+//   - compareRegimeModels() reports which labels best separate forward returns
+//     in signal_outcomes (one-way ANOVA per model)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const fs = require('fs');
+const path = require('path');
+const { logger } = require('./logger');
+const { calculateReturn, calculateRealizedVolatility } = require('./featureStore');
+const { calculateADX } = require('./technicalAnalysis');
+const { mulberry32 } = require('./monteCarloSim');
+const { oneWayAnova } = require('./statisticalTests');
+const { REGIMES, REGIME_MODEL_TYPES, classifyRegime } = require('./marketRegime');
+
+const FITTED_MODEL_TYPES = REGIME_MODEL_TYPES.filter(type => type !== 'heuristic');
+const MODEL_FORMAT_VERSION = 1;
+
+// Probability keys tracked by marketRegime (fitted states never map to reversals)
+const REGIME_KEYS = Object.values(REGIMES).filter(r => r !== REGIMES.UNKNOWN);
+
+const FEATURE_NAMES = ['trend', 'volatility', 'adx'];
+const FEATURE_CONFIG = {
+  window: 24,      // Bars for trend (% return) and realized volatility
+  adxPeriod: 14,
+  lookback: 50     // Candles needed per feature vector
+};
+
+const TRAINING_DEFAULTS = {
+  interval: '4h',  // Live regime tracking runs on 4h candles
+  days: 365,
+  k: 4,
+  seed: 42,
+  maxIter: 100,
+  tol: 1e-4,
+  filterWindow: 50 // Observations the HMM forward filter runs over at inference
+};
+
+const VARIANCE_FLOOR = 1e-3; // On standardized features
+
+const DEFAULT_MODEL_DIR = path.join(__dirname, 'data', 'regime-models');
+const modelCache = new Map(); // type → { mtimeMs, model }
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// FEATURES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Feature vector for the last candle: [trend %, realized volatility %, ADX].
+ * @param {Array} candles - OHLCV candles sorted ascending (last = evaluation bar)
+ * @returns {number[]|null} null with fewer than FEATURE_CONFIG.lookback candles
+ */
+function featureVector(candles) {
+  if (!candles || candles.length < FEATURE_CONFIG.lookback) return null;
+  const recent = candles.slice(-FEATURE_CONFIG.lookback);
+  return [
+    calculateReturn(recent, FEATURE_CONFIG.window),
+    calculateRealizedVolatility(recent, FEATURE_CONFIG.window),
+    calculateADX(recent, FEATURE_CONFIG.adxPeriod).adx
+  ];
+}
+
+/**
+ * Feature vectors for every candle (null during warm-up).
+ * @param {Array} candles - OHLCV candles sorted ascending
+ * @returns {Array<number[]|null>} Aligned with candles
+ */
+function featureSeries(candles) {
+  const out = new Array(candles.length).fill(null);
+  for (let i = FEATURE_CONFIG.lookback - 1; i < candles.length; i++) {
+    out[i] = featureVector(candles.slice(i - FEATURE_CONFIG.lookback + 1, i + 1));
+  }
+  return out;
+}
+
+function fitScaler(X) {
+  const dims = X[0].length;
+  const mean = new Array(dims).fill(0);
+  const std = new Array(dims).fill(0);
+  for (const x of X) x.forEach((v, d) => { mean[d] += v / X.length; });
+  for (const x of X) x.forEach((v, d) => { std[d] += Math.pow(v - mean[d], 2) / X.length; });
+  return { mean, std: std.map(v => Math.sqrt(v) || 1) };
+}
+
+function scale(x, scaler) {
+  return x.map((v, d) => (v - scaler.mean[d]) / scaler.std[d]);
+}
+
+function sqDist(a, b) {
+  let s = 0;
+  for (let d = 0; d < a.length; d++) s += (a[d] - b[d]) * (a[d] - b[d]);
+  return s;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// K-MEANS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Lloyd's k-means with k-means++ seeding (deterministic for a given seed).
+ * @param {number[][]} X - Standardized observations
+ * @param {number} k
+ * @param {Object} [options] - { seed, maxIter }
+ * @returns {{ centroids: number[][], labels: number[], inertia: number, iterations: number }}
+ */
+function kmeans(X, k, { seed = TRAINING_DEFAULTS.seed, maxIter = TRAINING_DEFAULTS.maxIter } = {}) {
+  if (X.length < k) throw new Error(`Need at least ${k} observations for k-means (got ${X.length})`);
+  const rng = mulberry32(seed);
+
+  const centroids = [X[Math.floor(rng() * X.length)].slice()];
+  while (centroids.length < k) {
+    const d2 = X.map(x => Math.min(...centroids.map(c => sqDist(x, c))));
+    const total = d2.reduce((s, v) => s + v, 0);
+    let pick = rng() * total;
+    let idx = 0;
+    while (idx < X.length - 1 && pick > d2[idx]) pick -= d2[idx++];
+    centroids.push(X[idx].slice());
+  }
+
+  const labels = new Array(X.length).fill(-1);
+  let iterations = 0;
+  for (; iterations < maxIter; iterations++) {
+    let changed = false;
+    for (let i = 0; i < X.length; i++) {
+      const nearest = nearestCentroid(X[i], centroids);
+      if (nearest !== labels[i]) {
+        labels[i] = nearest;
+        changed = true;
+      }
+    }
+    if (!changed) break;
+
+    const sums = centroids.map(c => new Array(c.length).fill(0));
+    const counts = new Array(k).fill(0);
+    X.forEach((x, i) => {
+      counts[labels[i]]++;
+      x.forEach((v, d) => { sums[labels[i]][d] += v; });
+    });
+    for (let j = 0; j < k; j++) {
+      if (counts[j] > 0) centroids[j] = sums[j].map(s => s / counts[j]);
+    }
+  }
+
+  const inertia = X.reduce((s, x, i) => s + sqDist(x, centroids[labels[i]]), 0);
+  return { centroids, labels, inertia, iterations };
+}
+
+function nearestCentroid(x, centroids) {
+  let best = 0;
+  let bestDist = Infinity;
+  centroids.forEach((c, j) => {
+    const d = sqDist(x, c);
+    if (d < bestDist) {
+      bestDist = d;
+      best = j;
+    }
+  });
+  return best;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// GAUSSIAN HMM (diagonal covariance)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+function logGaussian(x, mean, variance) {
+  let s = 0;
+  for (let d = 0; d < x.length; d++) {
+    s += -0.5 * (Math.log(2 * Math.PI * variance[d]) + Math.pow(x[d] - mean[d], 2) / variance[d]);
+  }
+  return s;
+}
+
+/** Emission likelihoods of one observation, rescaled by the max (returns the log offset). */
+function emissions(x, hmm) {
+  const logB = hmm.means.map((m, j) => logGaussian(x, m, hmm.variances[j]));
+  const max = Math.max(...logB);
+  return { b: logB.map(v => Math.exp(v - max)), offset: max };
+}
+
+/**
+ * Scaled forward-backward pass over one sequence.
+ * @returns {{ gamma: number[][], xi: number[][], logLikelihood: number }}
+ *   xi is summed over time (expected transition counts)
+ */
+function forwardBackward(X, hmm) {
+  const T = X.length;
+  const K = hmm.initial.length;
+  const alpha = [];
+  const scales = [];
+  const B = [];
+  let logLikelihood = 0;
+
+  for (let t = 0; t < T; t++) {
+    const { b, offset } = emissions(X[t], hmm);
+    B.push(b);
+    const a = new Array(K).fill(0);
+    for (let j = 0; j < K; j++) {
+      const prior = t === 0
+        ? hmm.initial[j]
+        : alpha[t - 1].reduce((s, p, i) => s + p * hmm.transitions[i][j], 0);
+      a[j] = prior * b[j];
+    }
+    const c = a.reduce((s, v) => s + v, 0) || 1e-300;
+    alpha.push(a.map(v => v / c));
+    scales.push(c);
+    logLikelihood += Math.log(c) + offset;
+  }
+
+  const beta = new Array(T);
+  beta[T - 1] = new Array(K).fill(1);
+  for (let t = T - 2; t >= 0; t--) {
+    beta[t] = new Array(K).fill(0);
+    for (let i = 0; i < K; i++) {
+      let s = 0;
+      for (let j = 0; j < K; j++) s += hmm.transitions[i][j] * B[t + 1][j] * beta[t + 1][j];
+      beta[t][i] = s / scales[t + 1];
+    }
+  }
+
+  const gamma = alpha.map((a, t) => {
+    const g = a.map((v, j) => v * beta[t][j]);
+    const sum = g.reduce((s, v) => s + v, 0) || 1e-300;
+    return g.map(v => v / sum);
+  });
+
+  const xi = Array.from({ length: K }, () => new Array(K).fill(0));
+  for (let t = 0; t < T - 1; t++) {
+    let norm = 0;
+    const step = Array.from({ length: K }, () => new Array(K).fill(0));
+    for (let i = 0; i < K; i++) {
+      for (let j = 0; j < K; j++) {
+        step[i][j] = alpha[t][i] * hmm.transitions[i][j] * B[t + 1][j] * beta[t + 1][j];
+        norm += step[i][j];
+      }
+    }
+    for (let i = 0; i < K; i++) {
+      for (let j = 0; j < K; j++) xi[i][j] += norm > 0 ? step[i][j] / norm : 0;
+    }
+  }
+
+  return { gamma, xi, logLikelihood };
+}
+
+/**
+ * Baum-Welch fit over one or more sequences, initialized from k-means.
+ * @param {number[][][]} sequences - Standardized observation sequences
+ * @param {number} k - Hidden states
+ * @param {Object} [options] - { seed, maxIter, tol }
+ * @returns {{ initial: number[], transitions: number[][], means: number[][], variances: number[][],
+ *   logLikelihood: number, iterations: number, converged: boolean }}
+ */
+function fitHMM(sequences, k, { seed = TRAINING_DEFAULTS.seed, maxIter = TRAINING_DEFAULTS.maxIter, tol = TRAINING_DEFAULTS.tol } = {}) {
+  const all = sequences.flat();
+  const init = kmeans(all, k, { seed, maxIter });
+  const dims = all[0].length;
+
+  // Initial parameters from the k-means partition
+  const means = init.centroids.map(c => c.slice());
+  const variances = means.map((m, j) => {
+    const members = all.filter((_, i) => init.labels[i] === j);
+    return m.map((mu, d) => Math.max(VARIANCE_FLOOR,
+      members.reduce((s, x) => s + Math.pow(x[d] - mu, 2), 0) / Math.max(1, members.length)));
+  });
+  const counts = Array.from({ length: k }, () => new Array(k).fill(1)); // Laplace smoothing
+  let offset = 0;
+  for (const seq of sequences) {
+    for (let t = 1; t < seq.length; t++) counts[init.labels[offset + t - 1]][init.labels[offset + t]]++;
+    offset += seq.length;
+  }
+  let hmm = {
+    initial: new Array(k).fill(1 / k),
+    transitions: counts.map(row => row.map(v => v / row.reduce((s, c) => s + c, 0))),
+    means,
+    variances
+  };
+
+  let previous = -Infinity;
+  let logLikelihood = -Infinity;
+  let iterations = 0;
+  let converged = false;
+
+  for (; iterations < maxIter; iterations++) {
+    const initial = new Array(k).fill(0);
+    const xiSum = Array.from({ length: k }, () => new Array(k).fill(0));
+    const gammaSum = new Array(k).fill(0);
+    const gammaSumNoLast = new Array(k).fill(0);
+    const meanAcc = Array.from({ length: k }, () => new Array(dims).fill(0));
+    const sqAcc = Array.from({ length: k }, () => new Array(dims).fill(0));
+    logLikelihood = 0;
+
+    for (const seq of sequences) {
+      const { gamma, xi, logLikelihood: ll } = forwardBackward(seq, hmm);
+      logLikelihood += ll;
+      gamma[0].forEach((g, j) => { initial[j] += g / sequences.length; });
+      gamma.forEach((g, t) => {
+        for (let j = 0; j < k; j++) {
+          gammaSum[j] += g[j];
+          if (t < gamma.length - 1) gammaSumNoLast[j] += g[j];
+          for (let d = 0; d < dims; d++) {
+            meanAcc[j][d] += g[j] * seq[t][d];
+            sqAcc[j][d] += g[j] * seq[t][d] * seq[t][d];
+          }
+        }
+      });
+      for (let i = 0; i < k; i++) for (let j = 0; j < k; j++) xiSum[i][j] += xi[i][j];
+    }
+
+    const newMeans = meanAcc.map((acc, j) => acc.map(v => gammaSum[j] > 0 ? v / gammaSum[j] : 0));
+    hmm = {
+      initial,
+      transitions: xiSum.map((row, i) => {
+        const total = gammaSumNoLast[i];
+        return total > 0 ? row.map(v => v / total) : new Array(k).fill(1 / k);
+      }),
+      means: newMeans,
+      variances: sqAcc.map((acc, j) => acc.map((v, d) => gammaSum[j] > 0
+        ? Math.max(VARIANCE_FLOOR, v / gammaSum[j] - newMeans[j][d] * newMeans[j][d])
+        : 1))
+    };
+
+    if (Math.abs(logLikelihood - previous) < tol * Math.max(1, Math.abs(previous))) {
+      converged = true;
+      iterations++;
+      break;
+    }
+    previous = logLikelihood;
+  }
+
+  return { ...hmm, logLikelihood, iterations, converged };
+}
+
+/**
+ * Filtered state probabilities P(state_T | x_1..x_T) — forward pass only, so
+ * no future observation leaks into the estimate.
+ */
+function filterStates(X, hmm) {
+  let alpha = null;
+  for (const x of X) {
+    const { b } = emissions(x, hmm);
+    const a = b.map((bj, j) => bj * (alpha
+      ? alpha.reduce((s, p, i) => s + p * hmm.transitions[i][j], 0)
+      : hmm.initial[j]));
+    const c = a.reduce((s, v) => s + v, 0) || 1e-300;
+    alpha = a.map(v => v / c);
+  }
+  return alpha;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STATE LABELS + STATISTICS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Map fitted states to regime labels from their raw feature means:
+ * highest volatility → volatile; of the rest, the strongest positive trend →
+ * trending_up, the strongest negative → trending_down; everything else → ranging.
+ * @param {number[][]} rawMeans - Per state [trend, volatility, adx]
+ * @returns {string[]}
+ */
+function labelStates(rawMeans) {
+  const labels = new Array(rawMeans.length).fill(REGIMES.RANGING);
+  const order = rawMeans.map((m, j) => j);
+  const volatile = order.reduce((best, j) => rawMeans[j][1] > rawMeans[best][1] ? j : best, 0);
+  labels[volatile] = REGIMES.VOLATILE;
+
+  const rest = order.filter(j => j !== volatile);
+  const up = rest.reduce((best, j) => rawMeans[j][0] > rawMeans[best][0] ? j : best, rest[0]);
+  const down = rest.reduce((best, j) => rawMeans[j][0] < rawMeans[best][0] ? j : best, rest[0]);
+  if (rawMeans[up][0] > 0) labels[up] = REGIMES.TRENDING_UP;
+  if (down !== up && rawMeans[down][0] < 0) labels[down] = REGIMES.TRENDING_DOWN;
+  return labels;
+}
+
+function meanStd(values) {
+  if (values.length === 0) return { mean: null, std: null, n: 0 };
+  const mean = values.reduce((s, v) => s + v, 0) / values.length;
+  const std = Math.sqrt(values.reduce((s, v) => s + Math.pow(v - mean, 2), 0) / values.length);
+  return { mean: round(mean, 4), std: round(std, 4), n: values.length };
+}
+
+function round(value, decimals) {
+  const f = Math.pow(10, decimals);
+  return Math.round(value * f) / f;
+}
+
+/** Empirical transition matrix of hard state sequences (rows sum to 1). */
+function empiricalTransitions(labelSequences, k) {
+  const counts = Array.from({ length: k }, () => new Array(k).fill(0));
+  for (const seq of labelSequences) {
+    for (let t = 1; t < seq.length; t++) counts[seq[t - 1]][seq[t]]++;
+  }
+  return counts.map(row => {
+    const total = row.reduce((s, v) => s + v, 0);
+    return row.map(v => total > 0 ? v / total : 0);
+  });
+}
+
+/**
+ * Per-state statistics: share of bars, raw feature means, next-bar return and
+ * realized volatility, expected duration from the transition matrix.
+ */
+function stateStatistics(samples, assignments, k, transitions) {
+  return Array.from({ length: k }, (_, j) => {
+    const members = samples.filter((_, i) => assignments[i] === j);
+    const featureMeans = FEATURE_NAMES.map((_, d) => members.length > 0
+      ? round(members.reduce((s, m) => s + m.raw[d], 0) / members.length, 4)
+      : null);
+    const stay = transitions[j][j];
+    return {
+      id: j,
+      count: members.length,
+      share: samples.length > 0 ? round(members.length / samples.length, 4) : 0,
+      featureMeans: Object.fromEntries(FEATURE_NAMES.map((name, d) => [name, featureMeans[d]])),
+      forwardReturnPct: meanStd(members.map(m => m.forwardReturn).filter(v => v !== null)),
+      volatilityPct: meanStd(members.map(m => m.raw[1])),
+      expectedDurationBars: stay < 1 ? round(1 / (1 - stay), 2) : null
+    };
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// TRAINING
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fit a regime model on candle histories (pure — no I/O).
+ * @param {Object<string, Array>} candleSets - asset → candles sorted ascending
+ * @param {Object} [options]
+ * @param {string} [options.type='hmm'] - 'kmeans' | 'hmm'
+ * @param {number} [options.k=4] - States (4–8: one volatile, up, down, the rest ranging)
+ * @param {number} [options.seed=42]
+ * @param {string} [options.interval='4h'] - Candle interval (recorded in the model)
+ * @returns {Object} Serializable model
+ */
+function fitRegimeModel(candleSets, options = {}) {
+  const { type = 'hmm', k = TRAINING_DEFAULTS.k, seed = TRAINING_DEFAULTS.seed, interval = TRAINING_DEFAULTS.interval,
+    maxIter = TRAINING_DEFAULTS.maxIter, tol = TRAINING_DEFAULTS.tol } = options;
+  if (!FITTED_MODEL_TYPES.includes(type)) throw new Error(`Unknown regime model type: ${type}`);
+  if (!Number.isInteger(k) || k < 4 || k > 8) throw new Error('k must be an integer between 4 and 8');
+
+  // One sequence per asset: contiguous feature vectors + next-bar % return
+  const sequences = [];
+  for (const [asset, candles] of Object.entries(candleSets)) {
+    const series = featureSeries(candles || []);
+    const seq = [];
+    series.forEach((raw, i) => {
+      if (!raw) return;
+      const next = candles[i + 1];
+      seq.push({
+        asset,
+        raw,
+        forwardReturn: next ? ((next.close - candles[i].close) / candles[i].close) * 100 : null
+      });
+    });
+    if (seq.length > 1) sequences.push(seq);
+  }
+
+  const samples = sequences.flat();
+  if (samples.length < k * 10) {
+    throw new Error(`Not enough candles to fit ${k} regimes (${samples.length} feature vectors)`);
+  }
+
+  const scaler = fitScaler(samples.map(s => s.raw));
+  const scaledSeqs = sequences.map(seq => seq.map(s => scale(s.raw, scaler)));
+
+  let assignments;
+  let transitions;
+  let fit;
+  if (type === 'kmeans') {
+    fit = kmeans(scaledSeqs.flat(), k, { seed, maxIter });
+    assignments = fit.labels;
+    let offset = 0;
+    const labelSeqs = scaledSeqs.map(seq => {
+      const labels = fit.labels.slice(offset, offset + seq.length);
+      offset += seq.length;
+      return labels;
+    });
+    transitions = empiricalTransitions(labelSeqs, k);
+  } else {
+    fit = fitHMM(scaledSeqs, k, { seed, maxIter, tol });
+    assignments = scaledSeqs.flatMap(seq => forwardBackward(seq, fit).gamma
+      .map(g => g.indexOf(Math.max(...g))));
+    transitions = fit.transitions;
+  }
+
+  const states = stateStatistics(samples, assignments, k, transitions);
+  const labels = labelStates(states.map(s => FEATURE_NAMES.map(name => s.featureMeans[name] ?? 0)));
+  states.forEach((s, j) => { s.label = labels[j]; });
+
+  const model = {
+    type,
+    version: MODEL_FORMAT_VERSION,
+    trainedAt: new Date().toISOString(),
+    interval,
+    assets: Object.keys(candleSets),
+    samples: samples.length,
+    k,
+    seed,
+    features: FEATURE_NAMES,
+    featureConfig: { ...FEATURE_CONFIG },
+    scaler,
+    states,
+    transitionMatrix: transitions.map(row => row.map(v => round(v, 4)))
+  };
+
+  if (type === 'kmeans') {
+    model.centroids = fit.centroids;
+    model.inertia = round(fit.inertia, 4);
+  } else {
+    Object.assign(model, {
+      initial: fit.initial,
+      transitions: fit.transitions,
+      means: fit.means,
+      variances: fit.variances,
+      logLikelihood: round(fit.logLikelihood, 4),
+      iterations: fit.iterations,
+      converged: fit.converged,
+      filterWindow: TRAINING_DEFAULTS.filterWindow
+    });
+  }
+  return model;
+}
+
+/**
+ * Train a model offline on archived candles.
+ * @param {Object} options - { type, assets, days, interval, k, seed, offline, endTime }
+ * @returns {Promise<Object>} Model (not saved — see saveRegimeModel)
+ */
+async function trainRegimeModel(options = {}) {
+  const { assets = ['bitcoin'], days = TRAINING_DEFAULTS.days, interval = TRAINING_DEFAULTS.interval,
+    offline = false, endTime = Date.now() } = options;
+  // Lazy require: backtester pulls in exchange clients
+  const { loadHistoricalCandles } = require('./backtester');
+
+  const startMs = endTime - days * 24 * 60 * 60 * 1000;
+  const candleSets = {};
+  for (const asset of assets) {
+    candleSets[asset] = await loadHistoricalCandles(asset, interval, startMs, endTime, { offline });
+    logger.info('Regime model training data loaded', { asset, interval, candles: candleSets[asset].length });
+  }
+
+  const model = fitRegimeModel(candleSets, { ...options, interval });
+  model.days = days;
+  return model;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PERSISTENCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Model directory (read at call time so tests/CLI can override via env) */
+function getModelDir() {
+  return process.env.REGIME_MODEL_DIR || DEFAULT_MODEL_DIR;
+}
+
+function modelPath(type) {
+  return path.join(getModelDir(), `${type}.json`);
+}
+
+/**
+ * Write a model to REGIME_MODEL_DIR/<type>.json (atomic rename).
+ * @returns {string} File path
+ */
+function saveRegimeModel(model) {
+  const file = modelPath(model.type);
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  const tmp = `${file}.tmp`;
+  fs.writeFileSync(tmp, JSON.stringify(model, null, 2));
+  fs.renameSync(tmp, file);
+  modelCache.delete(model.type);
+  return file;
+}
+
+/**
+ * Load a trained model (cached until the file changes).
+ * @param {string} type - 'kmeans' | 'hmm'
+ * @returns {Object|null} null when not trained or unreadable
+ */
+function loadRegimeModel(type) {
+  if (!FITTED_MODEL_TYPES.includes(type)) return null;
+  const file = modelPath(type);
+  try {
+    const { mtimeMs } = fs.statSync(file);
+    const cached = modelCache.get(type);
+    if (cached && cached.file === file && cached.mtimeMs === mtimeMs) return cached.model;
+
+    const model = JSON.parse(fs.readFileSync(file, 'utf8'));
+    if (model.type !== type || model.version !== MODEL_FORMAT_VERSION) {
+      logger.warn('Ignoring incompatible regime model', { file, type: model.type, version: model.version });
+      return null;
+    }
+    modelCache.set(type, { file, mtimeMs, model });
+    return model;
+  } catch (err) {
+    if (err.code !== 'ENOENT') logger.warn('Failed to load regime model', { file, error: err.message });
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// INFERENCE
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Regime probabilities from a fitted model for the last candle.
+ * k-means: soft assignment (∝ exp(-d²/2) in standardized space); HMM: forward
+ * filter over the last filterWindow observations (already temporally smoothed).
+ *
+ * @param {Object} model - From loadRegimeModel() / fitRegimeModel()
+ * @param {Array} candles - OHLCV candles sorted ascending
+ * @returns {{ probabilities: Object, state: number, stateProbabilities: number[], metrics: Object, smoothed: boolean }|null}
+ */
+function inferRegime(model, candles) {
+  if (!model || !candles || candles.length < FEATURE_CONFIG.lookback) return null;
+
+  let stateProbabilities;
+  let raw;
+  if (model.type === 'kmeans') {
+    raw = featureVector(candles);
+    const x = scale(raw, model.scaler);
+    const logits = model.centroids.map(c => -0.5 * sqDist(x, c));
+    const max = Math.max(...logits);
+    const weights = logits.map(l => Math.exp(l - max));
+    const total = weights.reduce((s, w) => s + w, 0);
+    stateProbabilities = weights.map(w => w / total);
+  } else {
+    const window = candles.slice(-((model.filterWindow || TRAINING_DEFAULTS.filterWindow) + FEATURE_CONFIG.lookback - 1));
+    const series = featureSeries(window).filter(Boolean);
+    raw = series[series.length - 1];
+    stateProbabilities = filterStates(series.map(v => scale(v, model.scaler)), model);
+  }
+
+  const probabilities = Object.fromEntries(REGIME_KEYS.map(key => [key, 0]));
+  stateProbabilities.forEach((p, j) => { probabilities[model.states[j].label] += p; });
+  const state = stateProbabilities.indexOf(Math.max(...stateProbabilities));
+
+  return {
+    probabilities,
+    state,
+    stateProbabilities: stateProbabilities.map(p => round(p, 4)),
+    metrics: Object.fromEntries(FEATURE_NAMES.map((name, d) => [name, round(raw[d], 4)])),
+    smoothed: model.type === 'hmm'
+  };
+}
+
+/** Dominant regime label from a fitted model (UNKNOWN when too few candles). */
+function classifyWithModel(model, candles) {
+  const result = inferRegime(model, candles);
+  if (!result) return REGIMES.UNKNOWN;
+  return model.states[result.state].label;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// COMPARISON REPORT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * How well one labeling separates forward returns: per-label return stats and
+ * a one-way ANOVA (eta² = share of return variance explained by the labels).
+ * @param {Array<{ label: string, forwardReturn: number, directionCorrect?: boolean|null }>} samples
+ */
+function regimeSeparation(samples) {
+  const groups = {};
+  for (const s of samples) {
+    if (!groups[s.label]) groups[s.label] = [];
+    groups[s.label].push(s);
+  }
+
+  const byLabel = {};
+  for (const [label, rows] of Object.entries(groups)) {
+    const returns = rows.map(r => r.forwardReturn);
+    const judged = rows.filter(r => r.directionCorrect !== null && r.directionCorrect !== undefined);
+    byLabel[label] = {
+      ...meanStd(returns),
+      upRate: round((returns.filter(r => r > 0).length / returns.length) * 100, 2),
+      signalHitRate: judged.length > 0
+        ? round((judged.filter(r => r.directionCorrect).length / judged.length) * 100, 2)
+        : null
+    };
+  }
+
+  return {
+    samples: samples.length,
+    labels: Object.keys(byLabel).length,
+    byLabel,
+    anova: oneWayAnova(Object.values(groups).map(rows => rows.map(r => r.forwardReturn)))
+  };
+}
+
+/**
+ * Label every outcome row with each model (point-in-time, from candles closed
+ * by the signal) and compare how well the labels separate forward returns.
+ *
+ * @param {Object} supabase
+ * @param {Object} [options]
+ * @param {number} [options.days=60]
+ * @param {string} [options.horizon='4h'] - '1h' | '4h' | '24h' (change_pct_<horizon>)
+ * @param {string[]} [options.models] - Default: all REGIME_MODEL_TYPES
+ * @param {boolean} [options.offline=false] - Archived candles only
+ * @param {Function} [options.loadCandles] - (asset, interval, fromMs, toMs) => candles (default: archive)
+ * @returns {Promise<Object>} { days, horizon, rows, skipped, models: { type: separation|{ error } }, ranking, best }
+ */
+async function compareRegimeModels(supabase, options = {}) {
+  const { days = 60, horizon = '4h', models = REGIME_MODEL_TYPES, offline = false } = options;
+  const loadCandles = options.loadCandles || ((asset, interval, from, to) => {
+    const { loadHistoricalCandles } = require('./backtester');
+    return loadHistoricalCandles(asset, interval, from, to, { offline });
+  });
+
+  const changeCol = `change_pct_${horizon}`;
+  const correctCol = `direction_correct_${horizon}`;
+  const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+  const { data, error } = await supabase
+    .from('signal_outcomes')
+    .select(`asset, action, signal_generated_at, ${changeCol}, ${correctCol}`)
+    .gte('signal_generated_at', since)
+    .not(changeCol, 'is', null)
+    .is('shadow_run_id', null);
+  if (error) return { error: error.message || String(error) };
+
+  const fitted = {};
+  const report = { days, horizon, rows: (data || []).length, skipped: 0, models: {} };
+  for (const type of models) {
+    if (type === 'heuristic') continue;
+    fitted[type] = loadRegimeModel(type);
+    if (!fitted[type]) report.models[type] = { error: 'Model not trained' };
+  }
+  const active = models.filter(type => type === 'heuristic' || fitted[type]);
+  const interval = Object.values(fitted).find(Boolean)?.interval || TRAINING_DEFAULTS.interval;
+  const intervalMs = { '1h': 3600000, '4h': 4 * 3600000, '1d': 86400000 }[interval] || 4 * 3600000;
+  const history = ((fitted.hmm?.filterWindow || TRAINING_DEFAULTS.filterWindow) + 120) * intervalMs;
+
+  const byAsset = {};
+  for (const row of data || []) {
+    if (!byAsset[row.asset]) byAsset[row.asset] = [];
+    byAsset[row.asset].push(row);
+  }
+
+  const samples = Object.fromEntries(active.map(type => [type, []]));
+  for (const [asset, rows] of Object.entries(byAsset)) {
+    const times = rows.map(r => Date.parse(r.signal_generated_at));
+    let candles;
+    try {
+      candles = await loadCandles(asset.toLowerCase(), interval, Math.min(...times) - history, Math.max(...times));
+    } catch (err) {
+      logger.debug('Regime comparison: no candles for asset', { asset, error: err.message });
+      report.skipped += rows.length;
+      continue;
+    }
+
+    rows.forEach((row, i) => {
+      const closed = candles.filter(c => c.timestamp + intervalMs <= times[i]);
+      if (closed.length < FEATURE_CONFIG.lookback) {
+        report.skipped++;
+        return;
+      }
+      const forwardReturn = parseFloat(row[changeCol]);
+      for (const type of active) {
+        const label = type === 'heuristic'
+          ? classifyRegime(closed.slice(-120), { model: 'heuristic' })
+          : classifyWithModel(fitted[type], closed);
+        samples[type].push({ label, forwardReturn, directionCorrect: row[correctCol] });
+      }
+    });
+  }
+
+  for (const type of active) report.models[type] = regimeSeparation(samples[type]);
+  report.ranking = active
+    .map(type => ({ model: type, etaSquared: report.models[type].anova.etaSquared, pValue: report.models[type].anova.pValue }))
+    .filter(r => r.etaSquared !== null)
+    .sort((a, b) => b.etaSquared - a.etaSquared);
+  report.best = report.ranking[0]?.model || null;
+  return report;
+}
+
+module.exports = {
+  REGIME_MODEL_TYPES,
+  FITTED_MODEL_TYPES,
+  FEATURE_NAMES,
+  TRAINING_DEFAULTS,
+  featureVector,
+  featureSeries,
+  fitRegimeModel,
+  trainRegimeModel,
+  saveRegimeModel,
+  loadRegimeModel,
+  getModelDir,
+  inferRegime,
+  classifyWithModel,
+  regimeSeparation,
+  compareRegimeModels,
+  // Exported for testing
+  kmeans,
+  fitHMM,
+  filterStates,
+  labelStates
+};
@@ -0,0 +1,49 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Anthropic Reviewer
+// Claude via the optional @anthropic-ai/sdk package.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { LLMReviewer } = require('./LLMReviewer');
+
+const DEFAULT_MODEL = 'claude-3-5-haiku-20241022';
+
+class AnthropicReviewer extends LLMReviewer {
+  /**
+   * @param {object} options
+   * @param {string} options.apiKey - ANTHROPIC_API_KEY
+   * @param {string} [options.model='claude-3-5-haiku-20241022']
+   * @param {number} [options.maxTokens=1024]
+   */
+  constructor({ apiKey, model = DEFAULT_MODEL, maxTokens = 1024 } = {}) {
+    if (!apiKey) {
+      throw new Error('AnthropicReviewer requires apiKey');
+    }
+    super('anthropic', { model, maxTokens });
+    this.apiKey = apiKey;
+  }
+
+  async complete(prompt) {
+    let Anthropic;
+    try {
+      Anthropic = require('@anthropic-ai/sdk');
+    } catch (_) {
+      throw new Error('@anthropic-ai/sdk not installed');
+    }
+
+    const client = new Anthropic({ apiKey: this.apiKey });
+    const response = await client.messages.create({
+      model: this.model,
+      max_tokens: this.maxTokens,
+      messages: [{ role: 'user', content: prompt }],
+    });
+
+    return {
+      text: response.content?.[0]?.text || '',
+      model: this.model,
+      inputTokens: response.usage?.input_tokens || 0,
+      outputTokens: response.usage?.output_tokens || 0,
+    };
+  }
+}
+
+module.exports = { AnthropicReviewer };
@@ -0,0 +1,73 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — LLM Reviewer (shared flow for model-backed reviewers)
+// Builds the prompt, asks the model, and validates the reply strictly.
+// Subclasses only implement complete(prompt).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { Reviewer } = require('./Reviewer');
+const { buildAIPrompt, parseAIDecision } = require('./prompt');
+
+class LLMReviewer extends Reviewer {
+  /**
+   * @param {string} name
+   * @param {object} options
+   * @param {string} options.model - Model identifier sent to the backend
+   * @param {number} [options.maxTokens=1024]
+   */
+  constructor(name, { model, maxTokens = 1024 } = {}) {
+    super(name);
+    this.model = model;
+    this.maxTokens = maxTokens;
+  }
+
+  /**
+   * Send a prompt to the model.
+   * @param {string} prompt
+   * @returns {Promise<{text: string, model?: string, inputTokens?: number, outputTokens?: number}>}
+   */
+  async complete(prompt) {
+    throw new Error('complete() must be implemented by subclass');
+  }
+
+  async review({ proposals, context }) {
+    const startedAt = Date.now();
+    const audit = this._startAudit({ proposals, context }, this.model);
+
+    try {
+      audit.prompt = buildAIPrompt(proposals, context);
+      const completion = await this.complete(audit.prompt);
+      audit.rawOutput = completion.text;
+      audit.model = completion.model || this.model;
+
+      const parsed = parseAIDecision(completion.text, proposals.map(p => p.paramName));
+      audit.output = parsed.output;
+      audit.valid = parsed.valid;
+      audit.errors = parsed.errors;
+      audit.latencyMs = Date.now() - startedAt;
+
+      return {
+        decision: parsed.decision,
+        reasoning: parsed.reasoning,
+        modifiedParams: parsed.modifiedParams,
+        reviewer: this.name,
+        model: audit.model,
+        inputTokens: completion.inputTokens || 0,
+        outputTokens: completion.outputTokens || 0,
+        audit,
+      };
+    } catch (err) {
+      audit.errors = err.errors || [err.message];
+      audit.latencyMs = Date.now() - startedAt;
+      return {
+        decision: 'SKIP',
+        reasoning: `AI review error: ${err.message}`,
+        modifiedParams: null,
+        reviewer: this.name,
+        model: 'error',
+        audit,
+      };
+    }
+  }
+}
+
+module.exports = { LLMReviewer };
@@ -0,0 +1,60 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — OpenAI-Compatible Reviewer
+// Any server exposing POST {baseUrl}/chat/completions: OpenAI, or a locally
+// hosted model behind Ollama, llama.cpp, vLLM, LM Studio, etc.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const axios = require('axios');
+const { LLMReviewer } = require('./LLMReviewer');
+
+const SYSTEM_PROMPT = 'You review trading strategy parameter changes. Reply with a single JSON object only.';
+
+class OpenAICompatibleReviewer extends LLMReviewer {
+  /**
+   * @param {object} options
+   * @param {string} options.baseUrl - API root, e.g. 'http://localhost:11434/v1'
+   * @param {string} options.model - Model name on that server
+   * @param {string} [options.apiKey] - Bearer token (local servers usually need none)
+   * @param {number} [options.timeoutMs=60000]
+   * @param {number} [options.maxTokens=1024]
+   */
+  constructor({ baseUrl, model, apiKey = null, timeoutMs = 60000, maxTokens = 1024 } = {}) {
+    if (!baseUrl || !model) {
+      throw new Error('OpenAICompatibleReviewer requires baseUrl and model');
+    }
+    super('openai', { model, maxTokens });
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.timeoutMs = timeoutMs;
+  }
+
+  async complete(prompt) {
+    const headers = { 'Content-Type': 'application/json' };
+    if (this.apiKey) headers.Authorization = `Bearer ${this.apiKey}`;
+
+    const { data } = await axios.post(`${this.baseUrl}/chat/completions`, {
+      model: this.model,
+      temperature: 0,
+      max_tokens: this.maxTokens,
+      response_format: { type: 'json_object' },
+      messages: [
+        { role: 'system', content: SYSTEM_PROMPT },
+        { role: 'user', content: prompt },
+      ],
+    }, { headers, timeout: this.timeoutMs });
+
+    const text = data?.choices?.[0]?.message?.content;
+    if (typeof text !== 'string') {
+      throw new Error('Reviewer endpoint returned no message content');
+    }
+
+    return {
+      text,
+      model: data.model || this.model,
+      inputTokens: data.usage?.prompt_tokens || 0,
+      outputTokens: data.usage?.completion_tokens || 0,
+    };
+  }
+}
+
+module.exports = { OpenAICompatibleReviewer };
@@ -0,0 +1,56 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Auto-Tune Reviewer (Base Class)
+// Second opinion on statistically accepted parameter proposals. Concrete
+// implementations:
+//   - RuleBasedReviewer         (deterministic, built-in default)
+//   - OpenAICompatibleReviewer  (any /v1/chat/completions endpoint, incl. local models)
+//   - AnthropicReviewer         (Claude via @anthropic-ai/sdk)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+class Reviewer {
+  /**
+   * @param {string} name - Reviewer identifier (e.g., 'rules', 'openai')
+   */
+  constructor(name) {
+    if (new.target === Reviewer) {
+      throw new Error('Reviewer is abstract — use a concrete implementation');
+    }
+    this.name = name;
+  }
+
+  /**
+   * Review accepted proposals. Never throws: failures come back as decision
+   * 'SKIP' (the proposal is left as-is) with the error in `reasoning`.
+   *
+   * @param {object} input
+   * @param {Array} input.proposals - Accepted proposals ({ paramName, currentValue, proposedValue, ... })
+   * @param {object} input.context - Regime, lookback and enhanced context
+   * @returns {Promise<{decision: 'APPLY'|'BLEND'|'REJECT'|'SKIP', reasoning: string,
+   *           modifiedParams: string[]|null, reviewer: string, model: string, audit: object}>}
+   *   `audit` holds the reviewer's full input and output for auto_tune_runs.ai_review_audit
+   */
+  async review(input) {
+    throw new Error('review() must be implemented by subclass');
+  }
+
+  /**
+   * Start an audit record for one review.
+   * @protected
+   */
+  _startAudit(input, model) {
+    return {
+      reviewer: this.name,
+      model,
+      reviewedAt: new Date().toISOString(),
+      input,
+      prompt: null,
+      rawOutput: null,
+      output: null,
+      valid: false,
+      errors: [],
+      latencyMs: null,
+    };
+  }
+}
+
+module.exports = { Reviewer };
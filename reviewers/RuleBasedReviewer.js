@@ -0,0 +1,115 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Rule-Based Reviewer (built-in default)
+// Deterministic review, no external calls. Same input always yields the same
+// decision:
+//   1. Drop params flagged as likely overfit
+//   2. Nothing left → REJECT
+//   3. BLEND when the changes introduce conflicts, the market is volatile,
+//      paper trading is losing, or any step is large relative to its range
+//   4. Otherwise APPLY
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { Reviewer } = require('./Reviewer');
+const { validateReviewInput, validateReviewOutput } = require('./reviewSchema');
+const { PARAM_RANGES } = require('../strategyConfig');
+
+const RULE_DEFAULTS = {
+  maxStepFraction: 0.25,   // Step > 25% of the param range → BLEND
+  minPaperTrades: 10,      // Paper Sharpe only counts with this many trades
+};
+
+class RuleBasedReviewer extends Reviewer {
+  /**
+   * @param {object} [options] - Overrides for RULE_DEFAULTS
+   */
+  constructor(options = {}) {
+    super('rules');
+    this.rules = { ...RULE_DEFAULTS, ...options };
+  }
+
+  async review({ proposals, context }) {
+    const startedAt = Date.now();
+    const audit = this._startAudit({ proposals, context }, 'rules-v1');
+    const skip = (reasoning, errors) => {
+      audit.errors = errors;
+      audit.latencyMs = Date.now() - startedAt;
+      return { decision: 'SKIP', reasoning, modifiedParams: null, reviewer: this.name, model: audit.model, audit };
+    };
+
+    const inputErrors = validateReviewInput({ proposals, context });
+    if (inputErrors.length > 0) {
+      return skip(`Invalid review input: ${inputErrors.join('; ')}`, inputErrors);
+    }
+
+    const output = this._decide(proposals, context);
+    const paramNames = proposals.map(p => p.paramName);
+    const outputErrors = validateReviewOutput(output, paramNames);
+    if (outputErrors.length > 0) {
+      return skip(`Invalid reviewer output: ${outputErrors.join('; ')}`, outputErrors);
+    }
+
+    audit.output = output;
+    audit.valid = true;
+    audit.latencyMs = Date.now() - startedAt;
+
+    let modifiedParams = null;
+    if (output.params && output.params.length > 0 && output.params.length < paramNames.length) {
+      modifiedParams = output.params;
+    }
+
+    return {
+      decision: output.decision,
+      reasoning: output.reasoning,
+      modifiedParams,
+      reviewer: this.name,
+      model: audit.model,
+      audit,
+    };
+  }
+
+  /**
+   * Apply the rules. Returns a decision object in reviewOutputSchema shape.
+   * @private
+   */
+  _decide(proposals, context) {
+    const overfit = proposals.filter(p => p.overfitWarning);
+    const kept = proposals.filter(p => !p.overfitWarning);
+    const notes = [];
+
+    if (overfit.length > 0) {
+      notes.push(`Dropped likely overfit: ${overfit.map(p => p.paramName).join(', ')}.`);
+    }
+    if (kept.length === 0) {
+      return { decision: 'REJECT', reasoning: `${notes.join(' ')} No changes left to apply.`, params: [] };
+    }
+
+    const blendReasons = [];
+    if (context.introducedConflicts && context.introducedConflicts.length > 0) {
+      blendReasons.push(`changes introduce ${context.introducedConflicts.length} parameter conflict(s)`);
+    }
+    if (String(context.marketRegime || '').toLowerCase().includes('volatile')) {
+      blendReasons.push('market regime is volatile');
+    }
+    const pp = context.paperPerformance;
+    if (pp && pp.trades >= this.rules.minPaperTrades && pp.sharpe < 0) {
+      blendReasons.push(`paper trading Sharpe is negative (${pp.sharpe})`);
+    }
+    const large = kept.filter(p => {
+      const range = PARAM_RANGES[p.paramName];
+      if (!range || range.max <= range.min) return false;
+      return Math.abs(p.proposedValue - p.currentValue) > this.rules.maxStepFraction * (range.max - range.min);
+    });
+    if (large.length > 0) {
+      blendReasons.push(`large step on ${large.map(p => p.paramName).join(', ')}`);
+    }
+
+    const output = blendReasons.length > 0
+      ? { decision: 'BLEND', reasoning: [...notes, `Blending conservatively: ${blendReasons.join('; ')}.`].join(' ') }
+      : { decision: 'APPLY', reasoning: [...notes, 'Changes passed all rule checks.'].join(' ') };
+
+    if (overfit.length > 0) output.params = kept.map(p => p.paramName);
+    return output;
+  }
+}
+
+module.exports = { RuleBasedReviewer, RULE_DEFAULTS };
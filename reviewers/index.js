@@ -0,0 +1,86 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Auto-Tune Reviewer Factory
+// Selected with AUTOTUNE_REVIEWER:
+//   rules      (default) deterministic RuleBasedReviewer
+//   openai     OpenAI-compatible endpoint — AUTOTUNE_REVIEWER_URL, AUTOTUNE_REVIEWER_MODEL,
+//              optional AUTOTUNE_REVIEWER_API_KEY, AUTOTUNE_REVIEWER_TIMEOUT_MS
+//   anthropic  Claude — ANTHROPIC_API_KEY, optional AUTOTUNE_REVIEWER_MODEL
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('../logger');
+const { Reviewer } = require('./Reviewer');
+const { LLMReviewer } = require('./LLMReviewer');
+const { RuleBasedReviewer } = require('./RuleBasedReviewer');
+const { OpenAICompatibleReviewer } = require('./OpenAICompatibleReviewer');
+const { AnthropicReviewer } = require('./AnthropicReviewer');
+
+/**
+ * Create a reviewer by type.
+ * @param {string} type - 'rules' | 'openai' | 'anthropic'
+ * @param {object} [options] - Reviewer-specific options
+ * @returns {Reviewer}
+ */
+function createReviewer(type, options = {}) {
+  switch (type) {
+    case 'rules':
+      return new RuleBasedReviewer(options);
+    case 'openai':
+      return new OpenAICompatibleReviewer(options);
+    case 'anthropic':
+      return new AnthropicReviewer(options);
+    default:
+      throw new Error(`Unknown reviewer type: ${type}. Available: ${getAvailableReviewers().join(', ')}`);
+  }
+}
+
+/**
+ * Create the configured reviewer. Misconfiguration falls back to the
+ * rule-based reviewer so a tune run is never left without a review.
+ * @param {object} [env=process.env]
+ * @returns {Reviewer}
+ */
+function createReviewerFromEnv(env = process.env) {
+  const type = (env.AUTOTUNE_REVIEWER || 'rules').toLowerCase();
+  const timeoutMs = parseInt(env.AUTOTUNE_REVIEWER_TIMEOUT_MS, 10);
+
+  try {
+    switch (type) {
+      case 'openai':
+        return createReviewer('openai', {
+          baseUrl: env.AUTOTUNE_REVIEWER_URL,
+          model: env.AUTOTUNE_REVIEWER_MODEL,
+          apiKey: env.AUTOTUNE_REVIEWER_API_KEY || null,
+          ...(Number.isFinite(timeoutMs) && timeoutMs > 0 ? { timeoutMs } : {}),
+        });
+      case 'anthropic':
+        return createReviewer('anthropic', {
+          apiKey: env.ANTHROPIC_API_KEY,
+          ...(env.AUTOTUNE_REVIEWER_MODEL ? { model: env.AUTOTUNE_REVIEWER_MODEL } : {}),
+        });
+      default:
+        return createReviewer(type);
+    }
+  } catch (err) {
+    logger.warn('Reviewer misconfigured, using rule-based reviewer', { type, error: err.message });
+    return createReviewer('rules');
+  }
+}
+
+/**
+ * List available reviewer types.
+ * @returns {string[]}
+ */
+function getAvailableReviewers() {
+  return ['rules', 'openai', 'anthropic'];
+}
+
+module.exports = {
+  Reviewer,
+  LLMReviewer,
+  RuleBasedReviewer,
+  OpenAICompatibleReviewer,
+  AnthropicReviewer,
+  createReviewer,
+  createReviewerFromEnv,
+  getAvailableReviewers,
+};
@@ -0,0 +1,149 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Auto-Tune Review Prompt
+// Prompt construction and reply parsing shared by the LLM reviewers. Both ends
+// go through the strict schemas in reviewSchema.js.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const {
+  ReviewSchemaError, reviewOutputSchema, validateReviewInput, validateReviewOutput
+} = require('./reviewSchema');
+
+/**
+ * Build the reviewer prompt. Input is validated against REVIEW_INPUT_SCHEMA.
+ * @param {Array} proposals - Accepted param proposals
+ * @param {Object} context - Regime, lookback, enhanced context (see getEnhancedContext)
+ * @returns {string}
+ * @throws {ReviewSchemaError} When proposals/context do not match the schema
+ */
+function buildAIPrompt(proposals, context) {
+  const inputErrors = validateReviewInput({ proposals, context });
+  if (inputErrors.length > 0) {
+    throw new ReviewSchemaError('Invalid review input', inputErrors);
+  }
+
+  const paramLines = proposals.map(p =>
+    `- ${p.paramName}: ${p.currentValue} → ${p.proposedValue} (Sharpe: ${p.currentSharpe?.toFixed(2)} → ${p.proposedSharpe?.toFixed(2)}, +${p.improvementPct?.toFixed(1)}%)`
+  ).join('\n');
+
+  // Enhanced context sections
+  let paperSection = '';
+  if (context.paperPerformance) {
+    const pp = context.paperPerformance;
+    paperSection = `\nPAPER TRADING (last 30d):
+- ${pp.trades} trades, Win Rate: ${pp.winRate}%, Sharpe: ${pp.sharpe}
+- Avg P&L: $${pp.avgPnl}, Total P&L: $${pp.totalPnl}, Max DD: ${pp.maxDrawdown}%`;
+  }
+
+  let signalSection = '';
+  if (context.signalAccuracy) {
+    const sa = context.signalAccuracy;
+    signalSection = `\nSIGNAL ACCURACY (last 7d, ${sa.total} signals):
+- 1h hit rate: ${sa.hitRate1h}%${sa.hitRate4h !== null ? `, 4h: ${sa.hitRate4h}%` : ''}${sa.hitRate24h !== null ? `, 24h: ${sa.hitRate24h}%` : ''}`;
+  }
+
+  let historySection = '';
+  if (context.recentTuneRuns && context.recentTuneRuns.length > 0) {
+    const lines = context.recentTuneRuns.map(r =>
+      `  ${r.date}: ${r.status} (regime: ${r.regime}, ${r.applied} params, AI: ${r.aiDecision}, approved: ${r.approvedBy})`
+    ).join('\n');
+    historySection = `\nRECENT AUTO-TUNE HISTORY:\n${lines}`;
+  }
+
+  // Last 5 closed trades with regime/confluence context
+  let tradesSection = '';
+  if (context.recentClosedTrades && context.recentClosedTrades.length > 0) {
+    const lines = context.recentClosedTrades.map(t =>
+      `  ${t.asset} ${t.direction}: ${t.pnl >= 0 ? '+' : ''}$${t.pnl.toFixed(2)} (${t.pnlPct.toFixed(2)}%) | regime: ${t.regime} | confluence: ${t.confluence} | exit: ${t.exitReason} | ${t.holdingHours !== null ? t.holdingHours + 'h' : 'N/A'}`
+    ).join('\n');
+    tradesSection = `\nLAST 5 CLOSED TRADES:\n${lines}`;
+  }
+
+  // Parameter conflict warnings
+  let conflictsSection = '';
+  if (context.parameterConflicts && context.parameterConflicts.length > 0) {
+    conflictsSection = `\nPARAMETER CONFLICTS DETECTED:\n${context.parameterConflicts.map(c => `- ${c}`).join('\n')}`;
+  }
+  if (context.introducedConflicts && context.introducedConflicts.length > 0) {
+    conflictsSection += `\nCONFLICTS INTRODUCED BY THESE CHANGES:\n${context.introducedConflicts.map(c => `- ${c}`).join('\n')}`;
+  }
+
+  return `You are a quantitative trading strategy advisor for Sentix Pro, a crypto/metals automated trading system.
+
+CURRENT CONTEXT:
+- Market regime: ${context.marketRegime || 'unknown'}
+- Lookback period: ${context.lookbackDays} days
+- Asset optimized: ${context.asset}
+- Current active config source: ${context.configSource}
+- Recent trade count: ${context.recentTradeCount || 'N/A'}
+- Approval mode: ${context.approvalMode || 'telegram'}${paperSection}${signalSection}${historySection}${tradesSection}${conflictsSection}
+
+PROPOSED PARAMETER CHANGES (all passed statistical safety checks):
+${paramLines}
+
+INSTRUCTIONS:
+Evaluate whether these changes should be applied to a live (paper) trading system. Consider:
+1. Do the changes make sense given the market regime and recent performance?
+2. Are the improvements meaningful or could they be noise?
+3. Are any changes too aggressive (too far from defaults)?
+4. Could applying all changes at once create unexpected interactions?
+5. Does the signal accuracy data suggest the current strategy needs adjustment?
+6. Looking at recent tune history, is there a pattern of oscillating params?
+7. Review the last 5 trades — are losses concentrated in specific regimes or confluence levels?
+8. Are there parameter conflicts that should be resolved before applying new changes?
+
+Respond with ONLY a JSON object (no prose, no code fences) matching this JSON Schema:
+${JSON.stringify(reviewOutputSchema(proposals.map(p => p.paramName)))}
+
+decision: APPLY = apply the changes, BLEND = apply a 50/50 blend between current and proposed (conservative), REJECT = do not apply any changes
+reasoning: 2-3 sentences explaining your decision
+params: param names to apply (omit for all, [] for none)`;
+}
+
+/**
+ * Parse a reviewer's reply: extract the JSON object and validate it strictly
+ * against reviewOutputSchema. Invalid replies come back as decision 'SKIP'
+ * (no effect on the proposal) with the schema errors attached.
+ * @param {string} text - Raw model output
+ * @param {string[]} paramNames - Params in the proposal under review
+ * @returns {{ decision: string, reasoning: string, modifiedParams: string[]|null, valid: boolean, errors: string[], output: Object|null }}
+ */
+function parseAIDecision(text, paramNames = []) {
+  const invalid = (errors, output = null) => ({
+    decision: 'SKIP',
+    reasoning: `Invalid reviewer output: ${errors.join('; ')}`,
+    modifiedParams: null,
+    valid: false,
+    errors,
+    output,
+  });
+
+  const raw = String(text || '').trim().replace(/^```(?:json)?\s*/i, '').replace(/\s*```$/, '');
+  const start = raw.indexOf('{');
+  const end = raw.lastIndexOf('}');
+  if (start === -1 || end < start) return invalid(['no JSON object found']);
+
+  let output;
+  try {
+    output = JSON.parse(raw.slice(start, end + 1));
+  } catch (err) {
+    return invalid([`malformed JSON: ${err.message}`]);
+  }
+
+  const errors = validateReviewOutput(output, paramNames);
+  if (errors.length > 0) return invalid(errors, output);
+
+  const result = { decision: output.decision, reasoning: output.reasoning, modifiedParams: null, valid: true, errors: [], output };
+  if (Array.isArray(output.params)) {
+    if (output.params.length === 0) {
+      result.decision = 'REJECT';
+    } else if (output.params.length < paramNames.length) {
+      result.modifiedParams = output.params;
+    }
+  }
+  return result;
+}
+
+module.exports = {
+  buildAIPrompt,
+  parseAIDecision
+};
@@ -0,0 +1,178 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Auto-Tune Review Schemas
+// Strict validation for what goes into a reviewer (proposals + context) and
+// what comes back (decision JSON). Implements the JSON Schema subset used here:
+// type, enum, required, properties, additionalProperties, items, minItems,
+// maxItems, uniqueItems, minLength, maxLength, minimum, maximum.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const DECISIONS = Object.freeze(['APPLY', 'BLEND', 'REJECT']);
+
+class ReviewSchemaError extends Error {
+  /**
+   * @param {string} message
+   * @param {string[]} errors - Validation errors ("path: problem")
+   */
+  constructor(message, errors) {
+    super(`${message}: ${errors.join('; ')}`);
+    this.name = 'ReviewSchemaError';
+    this.errors = errors;
+  }
+}
+
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  if (typeof value === 'number') return Number.isInteger(value) ? 'integer' : 'number';
+  return typeof value;
+}
+
+function matchesType(value, type) {
+  const actual = typeOf(value);
+  if (type === 'number') return actual === 'number' || actual === 'integer';
+  return actual === type;
+}
+
+/**
+ * Validate a value against a schema.
+ * @param {*} value
+ * @param {Object} schema
+ * @param {string} [path='$']
+ * @returns {string[]} Errors (empty when valid)
+ */
+function validateSchema(value, schema, path = '$') {
+  const errors = [];
+
+  if (schema.type) {
+    const types = Array.isArray(schema.type) ? schema.type : [schema.type];
+    if (!types.some(t => matchesType(value, t))) {
+      return [`${path}: expected ${types.join(' | ')}, got ${typeOf(value)}`];
+    }
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')}`);
+  }
+
+  if (typeof value === 'string') {
+    if (schema.minLength !== undefined && value.length < schema.minLength) errors.push(`${path}: shorter than ${schema.minLength}`);
+    if (schema.maxLength !== undefined && value.length > schema.maxLength) errors.push(`${path}: longer than ${schema.maxLength}`);
+  }
+
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) errors.push(`${path}: must be finite`);
+    if (schema.minimum !== undefined && value < schema.minimum) errors.push(`${path}: below ${schema.minimum}`);
+    if (schema.maximum !== undefined && value > schema.maximum) errors.push(`${path}: above ${schema.maximum}`);
+  }
+
+  if (Array.isArray(value)) {
+    if (schema.minItems !== undefined && value.length < schema.minItems) errors.push(`${path}: fewer than ${schema.minItems} items`);
+    if (schema.maxItems !== undefined && value.length > schema.maxItems) errors.push(`${path}: more than ${schema.maxItems} items`);
+    if (schema.uniqueItems && new Set(value.map(v => JSON.stringify(v))).size !== value.length) {
+      errors.push(`${path}: items must be unique`);
+    }
+    if (schema.items) {
+      value.forEach((item, i) => errors.push(...validateSchema(item, schema.items, `${path}[${i}]`)));
+    }
+  }
+
+  if (typeOf(value) === 'object') {
+    // undefined properties are treated as absent (as JSON.stringify drops them)
+    for (const key of schema.required || []) {
+      if (value[key] === undefined) errors.push(`${path}.${key}: required`);
+    }
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (child === undefined) continue;
+      if (Object.prototype.hasOwnProperty.call(properties, key)) {
+        errors.push(...validateSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}.${key}: unexpected property`);
+      }
+    }
+  }
+
+  return errors;
+}
+
+// ─── Reviewer input ──────────────────────────────────────────────────────────
+
+const nullableNumber = { type: ['number', 'null'] };
+
+/** Proposals + context handed to every reviewer (extra fields allowed). */
+const REVIEW_INPUT_SCHEMA = Object.freeze({
+  type: 'object',
+  required: ['proposals', 'context'],
+  properties: {
+    proposals: {
+      type: 'array',
+      minItems: 1,
+      items: {
+        type: 'object',
+        required: ['paramName', 'currentValue', 'proposedValue'],
+        properties: {
+          paramName: { type: 'string', minLength: 1, maxLength: 64 },
+          currentValue: { type: 'number' },
+          proposedValue: { type: 'number' },
+          currentSharpe: nullableNumber,
+          proposedSharpe: nullableNumber,
+          improvementPct: nullableNumber,
+          overfitWarning: { type: 'boolean' },
+          trades: nullableNumber
+        }
+      }
+    },
+    context: {
+      type: 'object',
+      required: ['lookbackDays'],
+      properties: {
+        marketRegime: { type: ['string', 'null'] },
+        asset: { type: 'string' },
+        lookbackDays: { type: 'integer', minimum: 1 },
+        configSource: { type: 'string' },
+        parameterConflicts: { type: 'array', items: { type: 'string' } },
+        introducedConflicts: { type: 'array', items: { type: 'string' } },
+        recentClosedTrades: { type: 'array', items: { type: 'object' } },
+        recentTuneRuns: { type: 'array', items: { type: 'object' } }
+      }
+    }
+  }
+});
+
+// ─── Reviewer output ─────────────────────────────────────────────────────────
+
+/**
+ * Schema for a reviewer's decision. `params` lists the proposal params to
+ * keep (omitted = all, empty = none); names outside the proposal are invalid.
+ * @param {string[]} paramNames - Params in the proposal under review
+ */
+function reviewOutputSchema(paramNames) {
+  return {
+    type: 'object',
+    required: ['decision', 'reasoning'],
+    additionalProperties: false,
+    properties: {
+      decision: { type: 'string', enum: [...DECISIONS] },
+      reasoning: { type: 'string', minLength: 1, maxLength: 2000 },
+      params: { type: 'array', uniqueItems: true, items: { type: 'string', enum: [...paramNames] } }
+    }
+  };
+}
+
+function validateReviewInput(input) {
+  return validateSchema(input, REVIEW_INPUT_SCHEMA);
+}
+
+function validateReviewOutput(output, paramNames) {
+  return validateSchema(output, reviewOutputSchema(paramNames));
+}
+
+module.exports = {
+  DECISIONS,
+  ReviewSchemaError,
+  REVIEW_INPUT_SCHEMA,
+  reviewOutputSchema,
+  validateSchema,
+  validateReviewInput,
+  validateReviewOutput
+};
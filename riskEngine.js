@@ -222,15 +222,15 @@ async function activateKillSwitch(supabase, userId, reason, options = {}) {
     let cancelledOrders = 0;
     const orderQuery = supabase.from('orders')
       .select('id, user_id')
-      .in('status', [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED])
+      .in('status', [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL_FILL])
       .limit(500);
     if (!isGlobal) orderQuery.eq('user_id', userId);
 
     const { data: allCancellable } = await orderQuery;
 
     for (const order of (allCancellable || [])) {
-      const { error } = await cancelOrder(supabase, order.user_id, order.id);
-      if (!error) cancelledOrders++;
+      const { error, linkedCancelled } = await cancelOrder(supabase, order.user_id, order.id);
+      if (!error) cancelledOrders += 1 + (linkedCancelled?.length || 0);
     }
 
     // 3. Optionally close open positions — scoped
@@ -418,7 +418,7 @@ async function getRiskDashboard(supabase, userId, marketData = null) {
 
       // Open orders
       pendingOrders: (ordersResult.orders || []).filter(o =>
-        [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED].includes(o.status)
+        [ORDER_STATUS.PENDING, ORDER_STATUS.VALIDATED, ORDER_STATUS.SUBMITTED, ORDER_STATUS.PARTIAL_FILL].includes(o.status)
       ).length,
 
       // Config
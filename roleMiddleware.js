@@ -6,6 +6,7 @@
 
 const { createClient } = require('@supabase/supabase-js');
 const { logger } = require('./logger');
+const { logAudit, auditContext } = require('./auditLogger');
 
 // Supabase client for profile lookups (uses service role key)
 let _supabase = null;
@@ -154,4 +155,72 @@ function requireRole(...roles) {
   };
 }
 
-module.exports = { requireRole, getProfile, invalidateProfileCache };
+/**
+ * Route middleware for :userId-scoped routes: the authenticated user must own
+ * the path user. Admins may act on any user (impersonation) — every such
+ * request is written to the audit log. Must run after requireAuth.
+ *
+ * Usage:
+ *   app.get('/api/paper/positions/:userId', requireOwnership, handler);
+ *
+ * Sets req.impersonation = { adminId, targetUserId } when an admin acts for someone else.
+ */
+async function requireOwnership(req, res, next) {
+  const targetUserId = req.params.userId;
+
+  // Auth bypassed (dev mode / no Supabase): no verified identity, path user is trusted
+  if (process.env.AUTH_REQUIRED === 'false' || (req.userId && !req.user)) {
+    req.userId = targetUserId;
+    return next();
+  }
+
+  if (!req.userId) {
+    return res.status(401).json({
+      error: 'Authentication required',
+      message: 'No authenticated user found'
+    });
+  }
+
+  if (req.userId === targetUserId) return next();
+
+  // API keys act for their owner only — no impersonation
+  if (req.apiKey) {
+    return res.status(403).json({
+      error: 'Forbidden',
+      message: 'API keys can only access their owner\'s data'
+    });
+  }
+
+  try {
+    const profile = await getProfile(req.userId);
+    if (!profile || !profile.is_active || profile.role !== 'admin') {
+      logger.warn('Ownership check failed', { userId: req.userId, targetUserId, path: req.path });
+      return res.status(403).json({
+        error: 'Forbidden',
+        message: 'You can only access your own data'
+      });
+    }
+
+    req.userProfile = profile;
+    req.impersonation = { adminId: req.userId, targetUserId };
+
+    const supabase = getSupabase();
+    if (supabase) {
+      await logAudit(supabase, {
+        userId: req.userId, email: req.user?.email || profile.email || null,
+        action: 'admin_impersonation', resource: req.route?.path || req.path,
+        details: { targetUserId, method: req.method, path: req.originalUrl },
+        ...auditContext(req)
+      });
+    }
+    next();
+  } catch (err) {
+    logger.error('Ownership middleware error', { error: err.message, userId: req.userId });
+    return res.status(500).json({
+      error: 'Authorization error',
+      message: 'Internal error checking permissions'
+    });
+  }
+}
+
+module.exports = { requireRole, requireOwnership, getProfile, invalidateProfileCache };
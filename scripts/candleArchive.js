@@ -0,0 +1,88 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - Candle Archive CLI
+// Usage:
+//   node scripts/candleArchive.js list
+//   node scripts/candleArchive.js fill <asset> [days]       Gap-fill candles + context
+//   node scripts/candleArchive.js export <outDir> [prefix]  One CSV per series + manifest.json
+//   node scripts/candleArchive.js import <dir|file.csv>     Merge CSVs into the archive
+// Archive location: CANDLE_ARCHIVE_DIR (default ./data/candle-archive)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+const { getArchiveDir, listSeries, exportArchive, importArchive } = require('../candleArchive');
+
+const USAGE = `Usage:
+  candleArchive list
+  candleArchive fill <asset> [days=90]
+  candleArchive export <outDir> [seriesPrefix]
+  candleArchive import <dir|file.csv>`;
+
+function fmt(ts) {
+  return ts ? new Date(ts).toISOString().slice(0, 16).replace('T', ' ') : '—';
+}
+
+async function main(argv) {
+  const [command, ...args] = argv;
+
+  switch (command) {
+    case 'list': {
+      const series = listSeries();
+      console.log(`Archive: ${getArchiveDir()} (${series.length} series)`);
+      for (const s of series) {
+        console.log(`  ${s.seriesId.padEnd(32)} ${String(s.points).padStart(7)} pts  ${fmt(s.from)} → ${fmt(s.to)}  (${s.coverage.length} range${s.coverage.length === 1 ? '' : 's'})`);
+      }
+      return 0;
+    }
+
+    case 'fill': {
+      const [asset, daysArg] = args;
+      if (!asset) break;
+      const days = parseInt(daysArg) || 90;
+      // Lazy require: backtester pulls in the signal engine + exchange clients
+      const { loadAllTimeframes, loadHistoricalContext, loadFundingHistory } = require('../backtester');
+      const endTime = Date.now();
+      const candles = await loadAllTimeframes(asset, days, { endTime });
+      const context = await loadHistoricalContext(days + 10, { endTime });
+      const funding = await loadFundingHistory(asset, endTime - ((days + 10) * 24 * 60 * 60 * 1000), endTime);
+      console.log(`Filled ${asset} (${days}d): 4h=${candles['4h'].length} 1h=${candles['1h'].length} 15m=${candles['15m'].length} ` +
+        `F&G=${context.fgData.length} BTCdom=${context.btcDomData.length} DXY=${context.dxyData.length} funding=${funding.length}`);
+      return 0;
+    }
+
+    case 'export': {
+      const [outDir, prefix = ''] = args;
+      if (!outDir) break;
+      const exported = exportArchive(outDir, prefix);
+      for (const e of exported) console.log(`  ${e.file} (${e.points} pts)`);
+      console.log(`Exported ${exported.length} series to ${outDir}`);
+      return 0;
+    }
+
+    case 'import': {
+      const [source] = args;
+      if (!source) break;
+      const imported = importArchive(source);
+      for (const r of imported) console.log(`  ${r.seriesId}: +${r.imported} rows → ${r.total} pts`);
+      console.log(`Imported ${imported.length} series into ${getArchiveDir()}`);
+      return 0;
+    }
+
+    default:
+      break;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO - Regime Model CLI
+// Usage:
+//   node scripts/regimeModel.js train <kmeans|hmm> <asset,...> [days] [k]   Fit + save a model
+//   node scripts/regimeModel.js show [kmeans|hmm]                           States + transitions
+//   node scripts/regimeModel.js compare [days] [horizon]                    Forward-return separation
+// Models: REGIME_MODEL_DIR (default ./data/regime-models). Activate with REGIME_MODEL.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+require('dotenv').config();
+const { FITTED_MODEL_TYPES, trainRegimeModel, saveRegimeModel, loadRegimeModel, compareRegimeModels } = require('../regimeModel');
+
+const USAGE = `Usage:
+  regimeModel train <kmeans|hmm> <asset,...> [days=365] [k=4] [--offline]
+  regimeModel show [kmeans|hmm]
+  regimeModel compare [days=60] [horizon=4h] [--offline]`;
+
+function pct(value) {
+  return value === null || value === undefined ? '—' : `${value.toFixed(3)}%`;
+}
+
+function printModel(model) {
+  console.log(`${model.type} · ${model.interval} · ${model.assets.join(', ')} · ${model.samples} samples · trained ${model.trainedAt}`);
+  for (const s of model.states) {
+    const f = s.featureMeans;
+    console.log(`  [${s.id}] ${s.label.padEnd(14)} share=${(s.share * 100).toFixed(1).padStart(5)}%  ` +
+      `trend=${f.trend}% vol=${f.volatility}% adx=${f.adx}  ` +
+      `fwd=${pct(s.forwardReturnPct.mean)}±${pct(s.forwardReturnPct.std)}  dur=${s.expectedDurationBars ?? '∞'} bars`);
+  }
+  console.log('  Transitions:');
+  model.transitionMatrix.forEach((row, i) => console.log(`    ${i}: ${row.map(p => p.toFixed(3)).join('  ')}`));
+}
+
+async function main(argv) {
+  const offline = argv.includes('--offline');
+  const [command, ...args] = argv.filter(a => a !== '--offline');
+
+  switch (command) {
+    case 'train': {
+      const [type, assetsArg, daysArg, kArg] = args;
+      if (!FITTED_MODEL_TYPES.includes(type) || !assetsArg) break;
+      const model = await trainRegimeModel({
+        type,
+        assets: assetsArg.split(',').map(a => a.trim().toLowerCase()).filter(Boolean),
+        days: parseInt(daysArg) || undefined,
+        k: parseInt(kArg) || undefined,
+        offline
+      });
+      const file = saveRegimeModel(model);
+      printModel(model);
+      console.log(`Saved ${file}`);
+      return 0;
+    }
+
+    case 'show': {
+      const types = args[0] ? [args[0]] : FITTED_MODEL_TYPES;
+      for (const type of types) {
+        const model = loadRegimeModel(type);
+        if (model) printModel(model);
+        else console.log(`${type}: not trained`);
+      }
+      return 0;
+    }
+
+    case 'compare': {
+      const [daysArg, horizon = '4h'] = args;
+      const { createClient } = require('@supabase/supabase-js');
+      const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY);
+      const report = await compareRegimeModels(supabase, { days: parseInt(daysArg) || 60, horizon, offline });
+      if (report.error) throw new Error(report.error);
+
+      console.log(`Forward ${horizon} returns, last ${report.days}d: ${report.rows} outcomes (${report.skipped} skipped)`);
+      for (const [type, result] of Object.entries(report.models)) {
+        if (result.error) {
+          console.log(`  ${type}: ${result.error}`);
+          continue;
+        }
+        const { anova } = result;
+        console.log(`  ${type}: eta²=${anova.etaSquared ?? '—'} F=${anova.fStatistic} p=${anova.pValue}`);
+        for (const [label, stats] of Object.entries(result.byLabel)) {
+          console.log(`    ${label.padEnd(16)} n=${String(stats.n).padStart(5)}  mean=${pct(stats.mean)}  up=${stats.upRate}%  hit=${stats.signalHitRate ?? '—'}%`);
+        }
+      }
+      console.log(`Best separation: ${report.best || '—'}`);
+      return 0;
+    }
+
+    default:
+      break;
+  }
+
+  console.error(USAGE);
+  return 1;
+}
+
+if (require.main === module) {
+  main(process.argv.slice(2))
+    .then(code => process.exit(code))
+    .catch(err => {
+      console.error(`Error: ${err.message}`);
+      process.exit(1);
+    });
+}
+
+module.exports = { main };
@@ -161,8 +161,11 @@ function safeLog(level, message, data = {}) {
 
 /**
  * Rate limiter for API endpoints
+ * @param {number} [windowMs=60000]
+ * @param {number|Function} [max=100] - Requests per window, or (req) => number
+ * @param {Object} [options] - Extra express-rate-limit options (e.g. keyGenerator, skip)
  */
-const createRateLimiter = (windowMs = 60000, max = 100) => {
+const createRateLimiter = (windowMs = 60000, max = 100, options = {}) => {
   return rateLimit({
     windowMs, // time window in milliseconds
     max, // max requests per window
@@ -176,7 +179,8 @@ const createRateLimiter = (windowMs = 60000, max = 100) => {
     skip: (req) => {
       return process.env.NODE_ENV === 'development' && 
              (req.ip === '::1' || req.ip === '127.0.0.1');
-    }
+    },
+    ...options
   });
 };
 
@@ -0,0 +1,253 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — SHADOW EVALUATION (champion / challenger)
+// Every pending auto-tune proposal runs as a challenger next to the live
+// (champion) config on the same market data. Both variants' BUY/SELL signals
+// are recorded in signal_outcomes tagged with the run id, checkPendingOutcomes
+// fills in their hypothetical outcomes, and a proposal can only be promoted
+// once the challenger beats the champion with statistical significance on
+// paired, non-overlapping outcome windows.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('./logger');
+const { recordSignalOutcome } = require('./signalAccuracy');
+const { tTestPaired, twoProportionZTest } = require('./statisticalTests');
+const { GLOBAL_SLICE, normalizeSlice, StrategyConfigSet, isConfigSet } = require('./strategyConfig');
+
+const SHADOW_CONFIG = {
+  horizon: '4h',    // Outcome window compared: '1h' | '4h' | '24h'
+  alpha: 0.05,      // One-sided significance level for promotion
+  minSamples: 20,   // Evaluated paired windows required
+};
+
+const VARIANTS = Object.freeze({ CHAMPION: 'champion', CHALLENGER: 'challenger' });
+
+// Outcome horizon → window length used to pair signals without overlap
+const HORIZON_MS = { '1h': 60 * 60 * 1000, '4h': 4 * 60 * 60 * 1000, '24h': 24 * 60 * 60 * 1000 };
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// SHADOW SIGNAL GENERATION
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Challenger config set: the champion set with the proposal's slice replaced.
+ * @param {StrategyConfigSet|null} championSet - Live set (null = defaults only)
+ * @param {Object} slice - { asset, regime } the proposal applies to
+ * @param {Object} config - Proposed config for that slice
+ */
+function challengerConfigSet(championSet, slice, config) {
+  const base = isConfigSet(championSet) ? championSet : new StrategyConfigSet();
+  return base.withSlice(slice, config);
+}
+
+/** Whether a proposal's slice can affect signals for this asset. */
+function appliesToAsset(slice, assetId) {
+  const { asset } = normalizeSlice(slice);
+  return asset === GLOBAL_SLICE || asset === String(assetId).toLowerCase();
+}
+
+/**
+ * Whether a challenger signal was actually generated with the proposal's
+ * slice. When the asset is in another regime, the challenger resolves to the
+ * same config as the champion and the pair carries no information.
+ */
+function usedSlice(signal, slice) {
+  const wanted = normalizeSlice(slice);
+  return signal?.strategySlice?.asset === wanted.asset && signal?.strategySlice?.regime === wanted.regime;
+}
+
+/**
+ * Record one champion/challenger pair for a shadow run. HOLD signals are
+ * skipped by recordSignalOutcome, so each side only counts signals it emitted.
+ */
+async function recordShadowPair(supabase, runId, champion, challenger, regime = null) {
+  await Promise.all([
+    recordSignalOutcome(supabase, champion, regime, { runId, variant: VARIANTS.CHAMPION }),
+    recordSignalOutcome(supabase, challenger, regime, { runId, variant: VARIANTS.CHALLENGER })
+  ]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// HEAD-TO-HEAD COMPARISON
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Signed % return of an outcome row in the signal's direction, or null when
+ * the horizon has not been filled in yet.
+ */
+function directionalReturn(row, horizon) {
+  const raw = row[`change_pct_${horizon}`];
+  if (raw === null || raw === undefined) return null;
+  const change = parseFloat(raw);
+  if (!Number.isFinite(change)) return null;
+  const isBuy = row.action === 'BUY' || row.action === 'STRONG BUY';
+  return isBuy ? change : -change;
+}
+
+/**
+ * Pair champion and challenger rows on non-overlapping windows per asset.
+ * Windows open at the first signal of an asset and last one horizon, so
+ * consecutive windows' outcomes never overlap; only the first row of each
+ * variant in a window counts. A variant with no row in a window held (its
+ * return is 0). Windows with an outcome still unfilled are skipped.
+ *
+ * @returns {Array<{ champion: Object|null, challenger: Object|null, championReturn: number, challengerReturn: number }>}
+ */
+function pairWindows(rows, horizon) {
+  const windowMs = HORIZON_MS[horizon] || HORIZON_MS[SHADOW_CONFIG.horizon];
+  const byAsset = new Map();
+  for (const row of rows) {
+    const at = new Date(row.signal_generated_at).getTime();
+    if (!row.asset || !Number.isFinite(at)) continue;
+    if (!byAsset.has(row.asset)) byAsset.set(row.asset, []);
+    byAsset.get(row.asset).push({ row, at });
+  }
+
+  const pairs = [];
+  for (const entries of byAsset.values()) {
+    entries.sort((a, b) => a.at - b.at);
+    let window = null;
+    const close = () => {
+      if (!window) return;
+      const { champion, challenger } = window;
+      const championReturn = champion ? directionalReturn(champion, horizon) : 0;
+      const challengerReturn = challenger ? directionalReturn(challenger, horizon) : 0;
+      if (championReturn !== null && challengerReturn !== null) {
+        pairs.push({ champion, challenger, championReturn, challengerReturn });
+      }
+    };
+    for (const { row, at } of entries) {
+      if (!window || at >= window.start + windowMs) {
+        close();
+        window = { start: at, champion: null, challenger: null };
+      }
+      if (row.variant === VARIANTS.CHAMPION && !window.champion) window.champion = row;
+      if (row.variant === VARIANTS.CHALLENGER && !window.challenger) window.challenger = row;
+    }
+    close();
+  }
+  return pairs;
+}
+
+/** Summary of the rows a variant contributed to the evaluated windows. */
+function summarizeVariant(allRows, evaluated, horizon) {
+  const returns = evaluated.map(row => directionalReturn(row, horizon));
+  const hits = evaluated.filter(row => row[`direction_correct_${horizon}`]).length;
+
+  const wins = returns.filter(r => r > 0);
+  const losses = returns.filter(r => r <= 0);
+  const avg = (values) => values.length > 0
+    ? Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 10000) / 10000
+    : null;
+
+  return {
+    signals: allRows.length,
+    evaluated: returns.length,
+    hits,
+    hitRate: returns.length > 0 ? Math.round((hits / returns.length) * 10000) / 100 : null,
+    expectancyPct: avg(returns),
+    avgWinPct: avg(wins),
+    avgLossPct: avg(losses)
+  };
+}
+
+/**
+ * Compare champion vs challenger outcome rows of one shadow run.
+ * Both variants score the same market snapshots, so the test is paired:
+ * per window, challenger return minus champion return (holding = 0).
+ * Promotion requires enough evaluated windows and a positive mean
+ * difference with one-sided paired-t p < alpha; the hit-rate z-test is
+ * reported alongside.
+ *
+ * @param {Array} rows - signal_outcomes rows with variant, asset, signal_generated_at, action, change_pct_*, direction_correct_*
+ * @param {Object} [options] - { horizon, alpha, minSamples } (defaults: SHADOW_CONFIG)
+ * @returns {{ horizon: string, pairs: number, champion: Object, challenger: Object, tests: Object, verdict: { promotable: boolean, code: string, reason: string } }}
+ */
+function compareVariants(rows, options = {}) {
+  const { horizon, alpha, minSamples } = { ...SHADOW_CONFIG, ...options };
+  const byVariant = { [VARIANTS.CHAMPION]: [], [VARIANTS.CHALLENGER]: [] };
+  for (const row of rows || []) {
+    if (byVariant[row.variant]) byVariant[row.variant].push(row);
+  }
+
+  const pairs = pairWindows([...byVariant[VARIANTS.CHAMPION], ...byVariant[VARIANTS.CHALLENGER]], horizon);
+  const champion = summarizeVariant(byVariant[VARIANTS.CHAMPION], pairs.filter(p => p.champion).map(p => p.champion), horizon);
+  const challenger = summarizeVariant(byVariant[VARIANTS.CHALLENGER], pairs.filter(p => p.challenger).map(p => p.challenger), horizon);
+
+  const tests = {
+    expectancy: tTestPaired(pairs.map(p => p.challengerReturn), pairs.map(p => p.championReturn)),
+    hitRate: twoProportionZTest(challenger.hits, challenger.evaluated, champion.hits, champion.evaluated)
+  };
+
+  let verdict;
+  if (pairs.length < minSamples) {
+    verdict = {
+      promotable: false,
+      code: 'insufficient_samples',
+      reason: `Muestras insuficientes (${horizon}): ${pairs.length}/${minSamples} ventanas evaluadas`
+    };
+  } else if (tests.expectancy.meanDiff <= 0) {
+    verdict = {
+      promotable: false,
+      code: 'not_better',
+      reason: `El retador no supera al campeón (diferencia media ${tests.expectancy.meanDiff}% por ventana)`
+    };
+  } else if (tests.expectancy.pValueGreater >= alpha) {
+    verdict = {
+      promotable: false,
+      code: 'not_significant',
+      reason: `Mejora no significativa (p=${tests.expectancy.pValueGreater} ≥ ${alpha})`
+    };
+  } else {
+    verdict = {
+      promotable: true,
+      code: 'significant',
+      reason: `El retador supera al campeón (p=${tests.expectancy.pValueGreater} < ${alpha})`
+    };
+  }
+
+  return { horizon, pairs: pairs.length, champion, challenger, tests, verdict };
+}
+
+/**
+ * Load a shadow run's outcome rows and compare both variants.
+ * @returns {Promise<{ comparison: Object|null, error?: Object }>}
+ */
+async function getShadowComparison(supabase, runId, options = {}) {
+  try {
+    const { data, error } = await supabase
+      .from('signal_outcomes')
+      .select('variant, asset, signal_generated_at, action, direction_correct_1h, direction_correct_4h, direction_correct_24h, change_pct_1h, change_pct_4h, change_pct_24h')
+      .eq('shadow_run_id', runId);
+
+    if (error) return { comparison: null, error };
+    return { comparison: compareVariants(data || [], options) };
+  } catch (err) {
+    logger.warn('getShadowComparison failed', { runId, error: err.message });
+    return { comparison: null, error: err };
+  }
+}
+
+/**
+ * Telegram (Markdown) summary of a comparison, e.g.
+ * "🧪 Shadow 4h — campeón 52% / +0.12% (n=34) vs retador 58% / +0.31% (n=30), 36 ventanas, p=0.041"
+ */
+function formatShadowComparison(comparison) {
+  if (!comparison) return '🧪 Shadow: sin datos';
+  const side = (s) => `${s.hitRate ?? '—'}% / ${s.expectancyPct === null ? '—' : `${s.expectancyPct > 0 ? '+' : ''}${s.expectancyPct}%`} (n=${s.evaluated})`;
+  return `🧪 Shadow ${comparison.horizon} — campeón ${side(comparison.champion)} vs retador ${side(comparison.challenger)}, ` +
+    `${comparison.pairs} ventanas, p=${comparison.tests.expectancy.pValueGreater}\n${comparison.verdict.promotable ? '✅' : '⛔'} ${comparison.verdict.reason}`;
+}
+
+module.exports = {
+  SHADOW_CONFIG,
+  VARIANTS,
+  challengerConfigSet,
+  appliesToAsset,
+  usedSlice,
+  recordShadowPair,
+  compareVariants,
+  getShadowComparison,
+  formatShadowComparison,
+  // Exported for testing
+  directionalReturn
+};
@@ -0,0 +1,436 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — Shared Provider State
+// Circuit breaker and rate-limit budget state shared by the API, market and
+// alerts processes. PostgresStateBackend coordinates through the migration 040
+// functions; MemoryStateBackend keeps the same semantics in-process (tests,
+// local dev, and the degraded fallback when the RPCs are unavailable).
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { createClient } = require('@supabase/supabase-js');
+const { logger } = require('./logger');
+
+const WARN_INTERVAL_MS = 60000;   // At most one degraded-mode warning per minute
+const DEGRADED_RETRY_MS = 5000;   // While degraded, probe Postgres at most this often
+const DEFAULT_PROCESS_COUNT = 3;  // API, market and alerts workers
+
+/**
+ * @typedef {Object} BreakerRecord
+ * @property {string} provider
+ * @property {'CLOSED'|'OPEN'|'HALF_OPEN'} state
+ * @property {number} failureCount - Failures in the current shared window
+ * @property {number|null} windowStartedAt - ms epoch
+ * @property {number|null} openedAt - ms epoch of the current trip
+ * @property {number|null} closedAt - ms epoch of the last close/reset
+ * @property {number|null} lastFailureAt - ms epoch
+ * @property {number} totalTrips
+ * @property {number|null} updatedAt - ms epoch
+ * @property {boolean} [tripped] - recordFailure: threshold reached; trip: this call opened it
+ */
+
+/**
+ * @typedef {Object} BudgetRecord
+ * @property {string} key
+ * @property {boolean} [allowed] - Only set by consumeBudget
+ * @property {number} used
+ * @property {number} limit
+ * @property {number} remaining
+ * @property {number} windowMs
+ * @property {number} windowStartedAt - ms epoch
+ * @property {number} resetAt - ms epoch when the window restarts
+ * @property {number} denied - Denied requests (lifetime)
+ * @property {number|null} updatedAt - ms epoch
+ */
+
+// ─── Normalization ───────────────────────────────────────────────────────────
+
+function toMs(value) {
+  if (value === null || value === undefined) return null;
+  if (typeof value === 'number') return value;
+  const ts = Date.parse(value);
+  return Number.isNaN(ts) ? null : ts;
+}
+
+/** @returns {BreakerRecord|null} */
+function normalizeBreaker(row) {
+  if (!row) return null;
+  const record = {
+    provider: row.provider,
+    state: row.state || 'CLOSED',
+    failureCount: Number(row.failure_count ?? row.failureCount ?? 0),
+    windowStartedAt: toMs(row.window_started_at ?? row.windowStartedAt),
+    openedAt: toMs(row.opened_at ?? row.openedAt),
+    closedAt: toMs(row.closed_at ?? row.closedAt),
+    lastFailureAt: toMs(row.last_failure_at ?? row.lastFailureAt),
+    totalTrips: Number(row.total_trips ?? row.totalTrips ?? 0),
+    updatedAt: toMs(row.updated_at ?? row.updatedAt)
+  };
+  if (row.tripped !== undefined) record.tripped = Boolean(row.tripped);
+  return record;
+}
+
+/** @returns {BudgetRecord|null} */
+function normalizeBudget(row) {
+  if (!row) return null;
+  const limit = Number(row.budget_limit ?? row.limit ?? 0);
+  const used = Number(row.used ?? 0);
+  const windowMs = Number(row.window_ms ?? row.windowMs ?? 0);
+  const windowStartedAt = toMs(row.window_started_at ?? row.windowStartedAt);
+  const record = {
+    key: row.key,
+    used,
+    limit,
+    remaining: Math.max(0, limit - used),
+    windowMs,
+    windowStartedAt,
+    resetAt: windowStartedAt !== null ? windowStartedAt + windowMs : null,
+    denied: Number(row.denied ?? 0),
+    updatedAt: toMs(row.updated_at ?? row.updatedAt)
+  };
+  if (row.allowed !== undefined) record.allowed = Boolean(row.allowed);
+  return record;
+}
+
+// ─── In-memory backend ───────────────────────────────────────────────────────
+
+/**
+ * Single-process implementation. Mirrors the SQL functions in migration 040
+ * so both backends behave identically under test.
+ */
+class MemoryStateBackend {
+  constructor() {
+    this.kind = 'memory';
+    /** @type {Map<string, BreakerRecord>} */
+    this.breakers = new Map();
+    /** @type {Map<string, BudgetRecord>} */
+    this.budgets = new Map();
+  }
+
+  _breaker(provider) {
+    if (!this.breakers.has(provider)) {
+      this.breakers.set(provider, normalizeBreaker({ provider, state: 'CLOSED' }));
+    }
+    return this.breakers.get(provider);
+  }
+
+  /** @returns {Promise<BreakerRecord|null>} */
+  async getBreaker(provider) {
+    const record = this.breakers.get(provider);
+    return record ? { ...record } : null;
+  }
+
+  /** @returns {Promise<BreakerRecord[]>} */
+  async listBreakers() {
+    return [...this.breakers.values()].map(r => ({ ...r }));
+  }
+
+  /**
+   * Count a failure in the shared fixed window.
+   * @param {string} provider
+   * @param {{ windowMs: number, failureThreshold: number }} config
+   * @returns {Promise<BreakerRecord>} with `tripped` = threshold reached
+   */
+  async recordFailure(provider, { windowMs, failureThreshold }) {
+    const now = Date.now();
+    const record = this._breaker(provider);
+    if (record.windowStartedAt === null || now - record.windowStartedAt > windowMs) {
+      record.failureCount = 0;
+      record.windowStartedAt = now;
+    }
+    record.failureCount++;
+    record.lastFailureAt = now;
+    record.updatedAt = now;
+    return { ...record, tripped: record.failureCount >= failureThreshold };
+  }
+
+  /**
+   * Open the breaker unless another process already opened it for this trip.
+   * @param {string} provider
+   * @param {{ resetTimeoutMs: number }} config
+   * @returns {Promise<BreakerRecord>} with `tripped` = this call opened it
+   */
+  async trip(provider, { resetTimeoutMs }) {
+    const now = Date.now();
+    const record = this._breaker(provider);
+    if (record.state === 'OPEN' && record.openedAt !== null && now - record.openedAt < resetTimeoutMs) {
+      return { ...record, tripped: false };
+    }
+    record.state = 'OPEN';
+    record.openedAt = now;
+    record.totalTrips++;
+    record.updatedAt = now;
+    return { ...record, tripped: true };
+  }
+
+  /**
+   * Close the breaker and clear the failure window (recovery or admin reset).
+   * @returns {Promise<BreakerRecord>}
+   */
+  async close(provider) {
+    const now = Date.now();
+    const record = this._breaker(provider);
+    record.state = 'CLOSED';
+    record.openedAt = null;
+    record.closedAt = now;
+    record.failureCount = 0;
+    record.windowStartedAt = null;
+    record.updatedAt = now;
+    return { ...record, tripped: false };
+  }
+
+  /**
+   * Spend `weight` from a per-window budget.
+   * @param {string} key - Budget key (e.g. 'binance:rest')
+   * @param {number} weight
+   * @param {number} limit - Max weight per window
+   * @param {number} windowMs
+   * @returns {Promise<BudgetRecord>} with `allowed`
+   */
+  async consumeBudget(key, weight, limit, windowMs) {
+    const now = Date.now();
+    let record = this.budgets.get(key);
+    if (!record) {
+      record = normalizeBudget({ key, used: 0, limit, windowMs, windowStartedAt: now });
+      this.budgets.set(key, record);
+    }
+    if (now >= record.windowStartedAt + windowMs) {
+      record.used = 0;
+      record.windowStartedAt = now;
+    }
+    const allowed = record.used + weight <= limit;
+    if (allowed) record.used += weight;
+    else record.denied++;
+    record.limit = limit;
+    record.windowMs = windowMs;
+    record.remaining = Math.max(0, limit - record.used);
+    record.resetAt = record.windowStartedAt + windowMs;
+    record.updatedAt = now;
+    return { ...record, allowed };
+  }
+
+  /** @returns {Promise<BudgetRecord|null>} */
+  async getBudget(key) {
+    const record = this.budgets.get(key);
+    return record ? { ...record } : null;
+  }
+
+  /** @returns {Promise<BudgetRecord[]>} */
+  async listBudgets() {
+    return [...this.budgets.values()].map(r => ({ ...r }));
+  }
+
+  describe() {
+    return { backend: this.kind, shared: false };
+  }
+}
+
+// ─── Postgres backend ────────────────────────────────────────────────────────
+
+/**
+ * Cross-process implementation on the migration 040 tables/functions.
+ * Never throws: when an RPC or read fails it degrades to a local
+ * MemoryStateBackend (per-process state, as before) and warns once a minute.
+ * While degraded, Postgres is retried at most every DEGRADED_RETRY_MS, and
+ * rate budgets are split by the process count so the processes together
+ * stay within the shared limit.
+ */
+class PostgresStateBackend {
+  /**
+   * @param {object} supabase - Supabase client (service role)
+   * @param {Object} [options]
+   * @param {number} [options.processCount] - Processes sharing each budget
+   *   (SHARED_STATE_PROCESS_COUNT, default 3)
+   */
+  constructor(supabase, { processCount } = {}) {
+    this.kind = 'postgres';
+    this.supabase = supabase;
+    this.fallback = new MemoryStateBackend();
+    this.degraded = false;
+    this.processCount = Math.max(1, Math.floor(
+      processCount || Number(process.env.SHARED_STATE_PROCESS_COUNT) || DEFAULT_PROCESS_COUNT
+    ));
+    this._lastWarnAt = 0;
+    this._lastFailureAt = 0;
+  }
+
+  _degrade(operation, error) {
+    const now = Date.now();
+    if (now - this._lastWarnAt >= WARN_INTERVAL_MS) {
+      this._lastWarnAt = now;
+      logger.warn('Shared state backend unavailable, using per-process state', {
+        operation,
+        error: error?.message || String(error)
+      });
+    }
+    this.degraded = true;
+    this._lastFailureAt = now;
+  }
+
+  /** Skip Postgres entirely until the retry interval since the last failure passes. */
+  _backingOff() {
+    return this.degraded && Date.now() - this._lastFailureAt < DEGRADED_RETRY_MS;
+  }
+
+  _recover() {
+    if (this.degraded) {
+      this.degraded = false;
+      logger.info('Shared state backend recovered');
+    }
+  }
+
+  async _rpc(fn, params) {
+    if (this._backingOff()) return null;
+    try {
+      const { data, error } = await this.supabase.rpc(fn, params);
+      if (error || !data) {
+        this._degrade(fn, error || new Error('empty response'));
+        return null;
+      }
+      this._recover();
+      return data;
+    } catch (err) {
+      this._degrade(fn, err);
+      return null;
+    }
+  }
+
+  async _select(table, column, value) {
+    if (this._backingOff()) return null;
+    try {
+      let query = this.supabase.from(table).select('*');
+      if (column) query = query.eq(column, value);
+      const { data, error } = await query;
+      if (error) {
+        this._degrade(`select ${table}`, error);
+        return null;
+      }
+      this._recover();
+      return data || [];
+    } catch (err) {
+      this._degrade(`select ${table}`, err);
+      return null;
+    }
+  }
+
+  async getBreaker(provider) {
+    const rows = await this._select('provider_circuit_state', 'provider', provider);
+    if (rows === null) return this.fallback.getBreaker(provider);
+    return normalizeBreaker(rows[0]);
+  }
+
+  async listBreakers() {
+    const rows = await this._select('provider_circuit_state');
+    if (rows === null) return this.fallback.listBreakers();
+    return rows.map(normalizeBreaker);
+  }
+
+  async recordFailure(provider, { windowMs, failureThreshold }) {
+    const data = await this._rpc('cb_record_failure', {
+      p_provider: provider,
+      p_window_ms: windowMs,
+      p_threshold: failureThreshold
+    });
+    if (!data) return this.fallback.recordFailure(provider, { windowMs, failureThreshold });
+    return normalizeBreaker(data);
+  }
+
+  async trip(provider, { resetTimeoutMs }) {
+    const data = await this._rpc('cb_transition', {
+      p_provider: provider,
+      p_state: 'OPEN',
+      p_reset_timeout_ms: resetTimeoutMs
+    });
+    if (!data) return this.fallback.trip(provider, { resetTimeoutMs });
+    return normalizeBreaker(data);
+  }
+
+  async close(provider) {
+    const data = await this._rpc('cb_transition', { p_provider: provider, p_state: 'CLOSED' });
+    if (!data) return this.fallback.close(provider);
+    return normalizeBreaker(data);
+  }
+
+  async consumeBudget(key, weight, limit, windowMs) {
+    const data = await this._rpc('consume_rate_budget', {
+      p_key: key,
+      p_weight: weight,
+      p_limit: limit,
+      p_window_ms: windowMs
+    });
+    if (!data) {
+      // Every process falls back to its own budget: take only this process's share
+      const share = Math.max(1, Math.floor(limit / this.processCount));
+      return this.fallback.consumeBudget(key, weight, share, windowMs);
+    }
+    return normalizeBudget(data);
+  }
+
+  async getBudget(key) {
+    const rows = await this._select('provider_rate_budget', 'key', key);
+    if (rows === null) return this.fallback.getBudget(key);
+    return normalizeBudget(rows[0]);
+  }
+
+  async listBudgets() {
+    const rows = await this._select('provider_rate_budget');
+    if (rows === null) return this.fallback.listBudgets();
+    return rows.map(normalizeBudget);
+  }
+
+  describe() {
+    return { backend: this.kind, shared: !this.degraded, degraded: this.degraded };
+  }
+}
+
+// ─── Process-wide backend ────────────────────────────────────────────────────
+
+let _backend = null;
+
+function createSupabase() {
+  const url = process.env.SUPABASE_URL;
+  const key = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY;
+  if (!url || !key) return null;
+  return createClient(url, key);
+}
+
+/**
+ * Backend shared by every breaker and budget in this process.
+ * SHARED_STATE_BACKEND=postgres|memory; by default Postgres when Supabase is
+ * configured (outside tests), memory otherwise.
+ * @returns {MemoryStateBackend|PostgresStateBackend}
+ */
+function getStateBackend() {
+  if (_backend) return _backend;
+
+  const configured = (process.env.SHARED_STATE_BACKEND || '').toLowerCase();
+  const wantPostgres = configured === 'postgres' ||
+    (configured !== 'memory' && process.env.NODE_ENV !== 'test');
+  const supabase = wantPostgres ? createSupabase() : null;
+
+  if (supabase) {
+    _backend = new PostgresStateBackend(supabase);
+  } else {
+    if (configured === 'postgres') {
+      logger.warn('SHARED_STATE_BACKEND=postgres but Supabase is not configured, using memory');
+    }
+    _backend = new MemoryStateBackend();
+  }
+  logger.info('Shared state backend initialized', { backend: _backend.kind });
+  return _backend;
+}
+
+/**
+ * Replace (or clear, with no argument) the process-wide backend.
+ * @param {MemoryStateBackend|PostgresStateBackend|null} [backend]
+ */
+function setStateBackend(backend = null) {
+  _backend = backend;
+}
+
+module.exports = {
+  MemoryStateBackend,
+  PostgresStateBackend,
+  getStateBackend,
+  setStateBackend,
+  normalizeBreaker,
+  normalizeBudget
+};
@@ -1,11 +1,15 @@
 // =============================================================================
 // SENTIX PRO — Signal Accuracy Tracking
 // Records signal predictions and checks actual price movement at 1h, 4h, 24h
-// to measure directional accuracy by strength, confidence, and confluence.
+// to measure directional accuracy by strength, confidence, confluence, and
+// scoring factor (attribution). Stored candles are replayed against each
+// signal's trade levels for MFE/MAE and TP1-vs-SL "would-have-won" rates.
 // =============================================================================
 
 const { LRUCache } = require('./shared/lruCache');
 const { logger } = require('./logger');
+const { spearmanCorrelation } = require('./statisticalTests');
+const { DEFAULT_STRATEGY_CONFIG } = require('./strategyConfig');
 
 // Deduplication: prevent recording the same signal twice within 30 min
 const recentSignals = new LRUCache({
@@ -23,21 +27,40 @@ const TIME_WINDOWS = [
 
 const BATCH_LIMIT = 50;
 
+// ─── Candle-based excursion horizons ─────────────────────────────────────────
+// SIGNAL_OUTCOME_HORIZONS: comma-separated list within 15m..7d (e.g. "15m,1h,4h,24h,7d")
+const HORIZON_UNIT_MS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MIN_HORIZON_MS = 15 * 60 * 1000;
+const MAX_HORIZON_MS = 7 * 24 * 60 * 60 * 1000;
+const DEFAULT_HORIZONS = '1h,4h,24h';
+// Rows whose candles stay unavailable this long past their last horizon are closed out
+const EXCURSION_GRACE_MS = 24 * 60 * 60 * 1000;
+// Retry delay when a due horizon's candles are not available yet
+const EXCURSION_RETRY_MS = 15 * 60 * 1000;
+const EXCURSION_INTERVAL_MS = { '15m': 15 * 60 * 1000, '1h': 60 * 60 * 1000 };
+
 // =============================================================================
 // RECORD — insert a new signal outcome row (BUY/SELL only)
 // =============================================================================
 
-async function recordSignalOutcome(supabase, signal, regime = null) {
+/**
+ * @param {Object} [shadow] - Shadow evaluation tag: { runId, variant } for
+ *   champion/challenger rows (see shadowEvaluator.js); omit for live signals
+ */
+async function recordSignalOutcome(supabase, signal, regime = null, shadow = null) {
   try {
     if (!signal || signal.action === 'HOLD') return;
     if (!signal.asset || !signal.price) return;
 
-    const dedupKey = `${signal.asset}:${signal.action}`;
+    const dedupKey = shadow
+      ? `${shadow.runId}:${shadow.variant}:${signal.asset}:${signal.action}`
+      : `${signal.asset}:${signal.action}`;
     if (recentSignals.has(dedupKey)) return;
 
     const confluence = signal.timeframes?.confluence || null;
+    const generatedAt = signal.timestamp || new Date().toISOString();
 
-    const { error } = await supabase.from('signal_outcomes').insert({
+    const row = {
       asset: signal.asset,
       action: signal.action,
       strength_label: signal.strengthLabel || signal.action,
@@ -46,8 +69,19 @@ async function recordSignalOutcome(supabase, signal, regime = null) {
       confluence,
       regime,
       price_at_signal: signal.price,
-      signal_generated_at: signal.timestamp || new Date().toISOString()
-    });
+      factors: signal.factors || null,
+      factor_multipliers: signal.multipliers || null,
+      stop_loss: signal.tradeLevels?.stopLoss ?? null,
+      take_profit_1: signal.tradeLevels?.takeProfit1 ?? null,
+      excursion_due_at: new Date(new Date(generatedAt).getTime() + resolveHorizons()[0].ms).toISOString(),
+      signal_generated_at: generatedAt
+    };
+    if (shadow) {
+      row.shadow_run_id = shadow.runId;
+      row.variant = shadow.variant;
+    }
+
+    const { error } = await supabase.from('signal_outcomes').insert(row);
 
     if (error) {
       if (error.code === '42P01') {
@@ -59,17 +93,29 @@ async function recordSignalOutcome(supabase, signal, regime = null) {
     }
 
     recentSignals.set(dedupKey, true);
-    logger.debug('Signal outcome recorded', { asset: signal.asset, action: signal.action });
+    logger.debug('Signal outcome recorded', { asset: signal.asset, action: signal.action, variant: shadow?.variant });
   } catch (err) {
     logger.debug('Signal outcome recording failed', { error: err.message });
   }
 }
 
 // =============================================================================
-// CHECK — fill in price_Xh for pending outcomes
+// CHECK — fill in price_Xh for pending outcomes (live and shadow rows alike)
 // =============================================================================
 
-async function checkPendingOutcomes(supabase, getCurrentPrice) {
+/**
+ * Fill in sampled price_1h/4h/24h for pending outcomes and, when a candle
+ * source is given, the candle-based excursions (MFE/MAE, TP1/SL first touch).
+ * @param {Object} supabase
+ * @param {Function} getCurrentPrice - async (asset) => price
+ * @param {Object} [options]
+ * @param {Function} [options.getCandles] - async (asset, interval, fromMs, toMs) => candles[]
+ * @param {Array} [options.horizons] - From resolveHorizons() (default: SIGNAL_OUTCOME_HORIZONS)
+ */
+async function checkPendingOutcomes(supabase, getCurrentPrice, { getCandles = null, horizons = null } = {}) {
+  if (getCandles) {
+    await checkExcursions(supabase, getCandles, { horizons: horizons || resolveHorizons() });
+  }
   try {
     for (const { suffix, ms } of TIME_WINDOWS) {
       const cutoff = new Date(Date.now() - ms).toISOString();
@@ -145,6 +191,194 @@ async function checkPendingOutcomes(supabase, getCurrentPrice) {
   }
 }
 
+// =============================================================================
+// EXCURSIONS — replay the candles after each signal against its trade levels
+// =============================================================================
+
+/**
+ * Parse a horizon label ('15m', '4h', '7d') into milliseconds.
+ * @returns {number|null} null when malformed or outside 15m..7d
+ */
+function parseHorizon(label) {
+  const match = /^(\d+)([mhd])$/.exec(String(label || '').trim());
+  if (!match) return null;
+  const ms = parseInt(match[1], 10) * HORIZON_UNIT_MS[match[2]];
+  return ms >= MIN_HORIZON_MS && ms <= MAX_HORIZON_MS ? ms : null;
+}
+
+/**
+ * Configured excursion horizons, shortest first.
+ * @param {string} [spec=process.env.SIGNAL_OUTCOME_HORIZONS]
+ * @returns {Array<{ label: string, ms: number }>}
+ */
+function resolveHorizons(spec = process.env.SIGNAL_OUTCOME_HORIZONS) {
+  const horizons = [];
+  for (const label of String(spec || DEFAULT_HORIZONS).split(',').map(h => h.trim()).filter(Boolean)) {
+    const ms = parseHorizon(label);
+    if (ms === null) {
+      logger.warn('Ignoring invalid signal outcome horizon', { horizon: label });
+      continue;
+    }
+    if (!horizons.some(h => h.ms === ms)) horizons.push({ label, ms });
+  }
+  if (horizons.length === 0) return resolveHorizons(DEFAULT_HORIZONS);
+  return horizons.sort((a, b) => a.ms - b.ms);
+}
+
+/** Candle resolution for a replay window: 15m up to a day, 1h beyond. */
+function excursionInterval(windowMs) {
+  return windowMs <= 24 * 60 * 60 * 1000 ? '15m' : '1h';
+}
+
+/**
+ * Replay candles after a signal. Only candles that open at or after the signal
+ * and close by the end of the window count (no look-ahead, no pre-signal prices).
+ * A candle that spans both TP1 and SL is 'both' (order unknown — counted as a loss).
+ *
+ * @param {Array} candles - { timestamp (open ms), high, low, close } ascending
+ * @param {Object} trade
+ * @param {string} trade.action - BUY / SELL (incl. STRONG variants)
+ * @param {number} trade.entry - Price at signal
+ * @param {number|null} trade.stopLoss
+ * @param {number|null} trade.takeProfit1
+ * @param {number} trade.from - Signal time (ms)
+ * @param {number} trade.to - Window end (ms)
+ * @param {number} trade.intervalMs - Candle length
+ * @returns {{ candles: number, mfePct: number|null, maePct: number|null, firstTouch: 'tp1'|'sl'|'both'|null,
+ *   touchedAt: string|null, closePrice: number|null, changePct: number|null }}
+ */
+function computeExcursion(candles, { action, entry, stopLoss = null, takeProfit1 = null, from, to, intervalMs }) {
+  const isBuy = action === 'BUY' || action === 'STRONG BUY';
+  const window = (candles || []).filter(c => c.timestamp >= from && c.timestamp + intervalMs <= to);
+  const pct = (price) => Math.round(((price - entry) / entry) * 100 * 10000) / 10000;
+
+  let favorable = null;
+  let adverse = null;
+  let firstTouch = null;
+  let touchedAt = null;
+
+  for (const c of window) {
+    const high = parseFloat(c.high);
+    const low = parseFloat(c.low);
+    const best = isBuy ? high : low;
+    const worst = isBuy ? low : high;
+    if (favorable === null || (isBuy ? best > favorable : best < favorable)) favorable = best;
+    if (adverse === null || (isBuy ? worst < adverse : worst > adverse)) adverse = worst;
+
+    if (!firstTouch) {
+      const hitTp = takeProfit1 !== null && (isBuy ? high >= takeProfit1 : low <= takeProfit1);
+      const hitSl = stopLoss !== null && (isBuy ? low <= stopLoss : high >= stopLoss);
+      if (hitTp || hitSl) {
+        firstTouch = hitTp && hitSl ? 'both' : (hitTp ? 'tp1' : 'sl');
+        touchedAt = new Date(c.timestamp).toISOString();
+      }
+    }
+  }
+
+  const last = window[window.length - 1];
+  const closePrice = last ? parseFloat(last.close) : null;
+  const sign = isBuy ? 1 : -1;
+
+  return {
+    candles: window.length,
+    mfePct: favorable === null ? null : sign * pct(favorable),
+    maePct: adverse === null ? null : sign * pct(adverse),
+    firstTouch,
+    touchedAt,
+    closePrice,
+    changePct: closePrice === null ? null : pct(closePrice)
+  };
+}
+
+/** Trade result of a row once its first touch (or longest horizon) is known. */
+function tradeOutcomeOf(excursion) {
+  if (!excursion) return null;
+  if (excursion.firstTouch === 'tp1') return 'win';
+  if (excursion.firstTouch === 'sl' || excursion.firstTouch === 'both') return 'loss';
+  return 'expired';
+}
+
+/**
+ * Compute excursions for outcome rows with a horizon due (excursion_due_at).
+ * Each row is revisited when its next horizon elapses; once every configured
+ * horizon is filled (or candles stay unavailable past the grace period) the
+ * row gets its trade_outcome / mfe_pct / mae_pct and excursion_due_at = NULL.
+ */
+async function checkExcursions(supabase, getCandles, { horizons = resolveHorizons(), now = Date.now() } = {}) {
+  try {
+    const { data: due, error } = await supabase
+      .from('signal_outcomes')
+      .select('id, asset, action, price_at_signal, stop_loss, take_profit_1, signal_generated_at, excursions')
+      .lte('excursion_due_at', new Date(now).toISOString())
+      .order('excursion_due_at', { ascending: true })
+      .limit(BATCH_LIMIT);
+
+    if (error) {
+      if (error.code === '42P01' || error.code === '42703') return; // table/columns not migrated yet
+      logger.debug('Due excursions query failed', { error: error.message });
+      return;
+    }
+
+    const maxHorizon = horizons[horizons.length - 1];
+    const interval = excursionInterval(maxHorizon.ms);
+    const intervalMs = EXCURSION_INTERVAL_MS[interval];
+
+    for (const row of due || []) {
+      const entry = parseFloat(row.price_at_signal);
+      const from = new Date(row.signal_generated_at).getTime();
+      if (!entry || entry <= 0 || !Number.isFinite(from)) continue;
+
+      const excursions = { ...(row.excursions || {}) };
+      const elapsed = horizons.filter(h => !excursions[h.label] && from + h.ms <= now);
+
+      if (elapsed.length > 0) {
+        let candles = [];
+        try {
+          candles = await getCandles(row.asset.toLowerCase(), interval, from, Math.min(now, from + maxHorizon.ms));
+        } catch (err) {
+          logger.debug('Excursion candles unavailable', { asset: row.asset, error: err.message });
+        }
+
+        const trade = {
+          action: row.action,
+          entry,
+          stopLoss: row.stop_loss !== null && row.stop_loss !== undefined ? parseFloat(row.stop_loss) : null,
+          takeProfit1: row.take_profit_1 !== null && row.take_profit_1 !== undefined ? parseFloat(row.take_profit_1) : null,
+          from,
+          intervalMs
+        };
+        for (const h of elapsed) {
+          const excursion = computeExcursion(candles, { ...trade, to: from + h.ms });
+          if (excursion.candles > 0) excursions[h.label] = excursion;
+        }
+      }
+
+      const update = { excursions };
+      const unfilled = horizons.filter(h => !excursions[h.label]);
+      if (unfilled.length === 0 || now > from + maxHorizon.ms + EXCURSION_GRACE_MS) {
+        const longest = excursions[maxHorizon.label] || null;
+        update.excursion_due_at = null;
+        update.trade_outcome = tradeOutcomeOf(longest);
+        update.mfe_pct = longest?.mfePct ?? null;
+        update.mae_pct = longest?.maePct ?? null;
+      } else {
+        const next = from + unfilled[0].ms;
+        update.excursion_due_at = new Date(next > now ? next : now + EXCURSION_RETRY_MS).toISOString();
+      }
+
+      const { error: updateError } = await supabase
+        .from('signal_outcomes')
+        .update(update)
+        .eq('id', row.id);
+      if (updateError) {
+        logger.debug('Excursion update failed', { id: row.id, error: updateError.message });
+      }
+    }
+  } catch (err) {
+    logger.debug('checkExcursions failed', { error: err.message });
+  }
+}
+
 // =============================================================================
 // METRICS — aggregate accuracy stats for the API
 // =============================================================================
@@ -152,12 +386,14 @@ async function checkPendingOutcomes(supabase, getCurrentPrice) {
 async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
   try {
     const since = new Date(Date.now() - days * 24 * 60 * 60 * 1000).toISOString();
+    const horizons = resolveHorizons();
 
     let query = supabase
       .from('signal_outcomes')
       .select('*')
       .gte('signal_generated_at', since)
       .not('price_1h', 'is', null) // at least 1h has been checked
+      .is('shadow_run_id', null)   // live signals only, not shadow evaluations
       .order('signal_generated_at', { ascending: false });
 
     if (asset) {
@@ -183,7 +419,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
     }
 
     // --- Overall ---
-    const overall = computeHitRates(data);
+    const overall = computeHitRates(data, horizons);
 
     // --- By strength_label ---
     const byStrength = {};
@@ -193,7 +429,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
       byStrength[key].push(row);
     }
     for (const key of Object.keys(byStrength)) {
-      byStrength[key] = computeHitRates(byStrength[key]);
+      byStrength[key] = computeHitRates(byStrength[key], horizons);
     }
 
     // --- By confidence tier ---
@@ -207,7 +443,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
     }
     const byConfidenceTier = {};
     for (const [tier, rows] of Object.entries(tiers)) {
-      if (rows.length > 0) byConfidenceTier[tier] = computeHitRates(rows);
+      if (rows.length > 0) byConfidenceTier[tier] = computeHitRates(rows, horizons);
     }
 
     // --- By confluence ---
@@ -218,7 +454,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
       byConfluence[key].push(row);
     }
     for (const key of Object.keys(byConfluence)) {
-      byConfluence[key] = computeHitRates(byConfluence[key]);
+      byConfluence[key] = computeHitRates(byConfluence[key], horizons);
     }
 
     // --- By asset ---
@@ -228,7 +464,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
       byAsset[row.asset].push(row);
     }
     for (const key of Object.keys(byAsset)) {
-      byAsset[key] = computeHitRates(byAsset[key]);
+      byAsset[key] = computeHitRates(byAsset[key], horizons);
     }
 
     // --- Daily trend ---
@@ -241,7 +477,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
     const trend = Object.entries(dailyBuckets)
       .sort(([a], [b]) => a.localeCompare(b))
       .map(([date, rows]) => {
-        const rates = computeHitRates(rows);
+        const rates = computeHitRates(rows, horizons);
         return { date, ...rates };
       });
 
@@ -253,7 +489,7 @@ async function getAccuracyMetrics(supabase, { days = 30, asset = null } = {}) {
 }
 
 // --- Helper: compute hit rates from a set of outcome rows ---
-function computeHitRates(rows) {
+function computeHitRates(rows, horizons = resolveHorizons()) {
   const total = rows.length;
   let correct1h = 0, total1h = 0;
   let correct4h = 0, total4h = 0;
@@ -285,10 +521,54 @@ function computeHitRates(rows) {
     hitRate24h: total24h > 0 ? Math.round((correct24h / total24h) * 10000) / 100 : null,
     avgChange1h: total1h > 0 ? Math.round((sumChange1h / total1h) * 100) / 100 : null,
     avgChange4h: total4h > 0 ? Math.round((sumChange4h / total4h) * 100) / 100 : null,
-    avgChange24h: total24h > 0 ? Math.round((sumChange24h / total24h) * 100) / 100 : null
+    avgChange24h: total24h > 0 ? Math.round((sumChange24h / total24h) * 100) / 100 : null,
+    wouldHaveWon: computeWouldHaveWon(rows, horizons)
   };
 }
 
+// --- Helper: trade-level results per horizon from candle excursions ---
+// win = TP1 touched before SL; loss = SL first (or both in the same candle);
+// open = neither touched by the horizon. Rows without excursions are skipped.
+function computeWouldHaveWon(rows, horizons) {
+  const pctOf = (count, n) => n > 0 ? Math.round((count / n) * 10000) / 100 : null;
+  const avgOf = (values) => values.length > 0
+    ? Math.round((values.reduce((s, v) => s + v, 0) / values.length) * 100) / 100
+    : null;
+
+  const result = {};
+  for (const { label } of horizons) {
+    let n = 0, wins = 0, losses = 0, directionHits = 0, directionTotal = 0;
+    const mfe = [];
+    const mae = [];
+
+    for (const r of rows) {
+      const excursion = r.excursions?.[label];
+      if (!excursion) continue;
+      n++;
+      if (excursion.firstTouch === 'tp1') wins++;
+      else if (excursion.firstTouch === 'sl' || excursion.firstTouch === 'both') losses++;
+      if (excursion.mfePct !== null && excursion.mfePct !== undefined) mfe.push(excursion.mfePct);
+      if (excursion.maePct !== null && excursion.maePct !== undefined) mae.push(excursion.maePct);
+      if (excursion.changePct !== null && excursion.changePct !== undefined) {
+        const isBuy = r.action === 'BUY' || r.action === 'STRONG BUY';
+        directionTotal++;
+        if (isBuy ? excursion.changePct > 0 : excursion.changePct < 0) directionHits++;
+      }
+    }
+
+    result[label] = {
+      n,
+      winRate: pctOf(wins, n),
+      lossRate: pctOf(losses, n),
+      openRate: pctOf(n - wins - losses, n),
+      directionHitRate: pctOf(directionHits, directionTotal),
+      avgMfePct: avgOf(mfe),
+      avgMaePct: avgOf(mae)
+    };
+  }
+  return result;
+}
+
 // =============================================================================
 // REGIME × CONFLUENCE OUTCOME MATRIX
 // Groups signal hit rates by market regime and confluence level
@@ -302,7 +582,8 @@ async function getOutcomesByRegimeConfluence(supabase, { days = 60, asset = null
       .select('regime, confluence, direction_correct_1h, direction_correct_4h, direction_correct_24h, change_pct_1h, change_pct_4h, change_pct_24h')
       .gte('signal_generated_at', since)
       .not('price_1h', 'is', null)
-      .not('regime', 'is', null);
+      .not('regime', 'is', null)
+      .is('shadow_run_id', null);
 
     if (asset) query = query.eq('asset', asset);
     const { data, error } = await query;
@@ -367,9 +648,236 @@ async function getOutcomesByRegimeConfluence(supabase, { days = 60, asset = null
   }
 }
 
+// =============================================================================
+// FACTOR ATTRIBUTION
+// Which scoring factors earn their weight: outcomes of signals where a factor
+// contributed vs where it did not, plus the factor's information coefficient
+// (rank correlation of its points with the forward price change) per horizon
+// and over time. Uses the factor vectors stored with each outcome row.
+// =============================================================================
+
+const HORIZONS = TIME_WINDOWS.map(w => w.suffix);
+
+// DEFAULT_STRATEGY_CONFIG keys that set each factor's weight
+const FACTOR_WEIGHT_KEYS = {
+  trend: ['trendScoreStrong', 'trendScoreModerate'],
+  adx: ['adxStrongMultiplier', 'adxWeakMultiplier'],
+  rsi: ['rsiExtremeScore', 'rsiStrongScore', 'rsiPullbackScore'],
+  macd: ['macdStrongScore', 'macdWeakScore'],
+  divergence: ['divergenceBaseScore', 'divergenceMaxScore'],
+  bollinger: ['bbOuterScore', 'bbNearScore'],
+  obv: ['obvScore'],
+  supportResistance: ['srScore'],
+  momentum: ['momentumScore'],
+  fearGreed: ['fearGreedScore'],
+  derivatives: ['derivativesScore'],
+  btcDominance: ['btcDomScore'],
+  dxy: ['dxyScore'],
+  orderBook: ['orderBookScore'],
+  ichimoku: ['ichimokuScore'],
+  vwap: ['vwapScore'],
+  fibonacci: ['fibScore'],
+  marketStructure: ['marketStructureScore'],
+  agreement: ['multiFactorBonus', 'conflictPenalty']
+};
+
+// Factors that only move confidence: active when they changed it
+const CONFIDENCE_ONLY_FACTORS = new Set(['volume', 'agreement']);
+
+const round = (value, decimals) => {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+};
+
+/** Forward % change of a row at a horizon, or null while unfilled. */
+function forwardChange(row, horizon) {
+  const raw = row[`change_pct_${horizon}`];
+  if (raw === null || raw === undefined) return null;
+  const change = parseFloat(raw);
+  return Number.isFinite(change) ? change : null;
+}
+
+function isFactorActive(name, entry) {
+  if (!entry) return false;
+  if (entry.points !== 0) return true;
+  return CONFIDENCE_ONLY_FACTORS.has(name) && entry.confidence !== 0;
+}
+
+/** Hit rate and average return (in the signal's direction) of a row set. */
+function summarizeOutcomes(rows, horizon) {
+  let n = 0, hits = 0, sumReturn = 0;
+  for (const row of rows) {
+    const change = forwardChange(row, horizon);
+    if (change === null) continue;
+    n++;
+    if (row[`direction_correct_${horizon}`]) hits++;
+    const isBuy = row.action === 'BUY' || row.action === 'STRONG BUY';
+    sumReturn += isBuy ? change : -change;
+  }
+  return {
+    n,
+    hitRate: n > 0 ? round((hits / n) * 100, 2) : null,
+    avgReturnPct: n > 0 ? round(sumReturn / n, 4) : null
+  };
+}
+
+/** IC of a factor's points against the raw forward change. */
+function factorIC(entries, horizon) {
+  const points = [];
+  const changes = [];
+  for (const { row, entry } of entries) {
+    const change = forwardChange(row, horizon);
+    if (change === null || !entry) continue;
+    points.push(entry.points);
+    changes.push(change);
+  }
+  return spearmanCorrelation(points, changes);
+}
+
+/** Least-squares slope of y over its index (IC change per period). */
+function trendSlope(values) {
+  const n = values.length;
+  if (n < 2) return null;
+  const meanX = (n - 1) / 2;
+  const meanY = values.reduce((s, v) => s + v, 0) / n;
+  let num = 0, den = 0;
+  values.forEach((y, x) => {
+    num += (x - meanX) * (y - meanY);
+    den += (x - meanX) ** 2;
+  });
+  return round(num / den, 4);
+}
+
+/**
+ * Build the factor attribution report from outcome rows.
+ * @param {Array} rows - signal_outcomes rows with factors, action, signal_generated_at,
+ *   direction_correct_* and change_pct_*
+ * @param {Object} [options]
+ * @param {string} [options.decayHorizon='4h'] - Horizon used for the IC-over-time series
+ * @param {number} [options.periodDays=7] - Bucket size for the IC-over-time series
+ * @param {number} [options.minPeriodSamples=5] - Buckets with fewer rows are skipped
+ * @returns {{ totalRows: number, horizons: string[], factors: Object, ranking: Array }}
+ */
+function computeFactorAttribution(rows, { decayHorizon = '4h', periodDays = 7, minPeriodSamples = 5 } = {}) {
+  const withFactors = (rows || []).filter(r => Array.isArray(r.factors) && r.factors.length > 0);
+
+  const names = [];
+  for (const row of withFactors) {
+    for (const f of row.factors) {
+      if (!names.includes(f.factor)) names.push(f.factor);
+    }
+  }
+
+  const periodMs = periodDays * 86400000;
+  const firstTs = withFactors.reduce((min, r) => Math.min(min, new Date(r.signal_generated_at).getTime()), Infinity);
+
+  const factors = {};
+  for (const name of names) {
+    const entries = withFactors.map(row => ({ row, entry: row.factors.find(f => f.factor === name) || null }));
+    const active = entries.filter(e => isFactorActive(name, e.entry));
+    const inactive = entries.filter(e => !isFactorActive(name, e.entry));
+
+    const horizons = {};
+    for (const horizon of HORIZONS) {
+      const activeStats = summarizeOutcomes(active.map(e => e.row), horizon);
+      const inactiveStats = summarizeOutcomes(inactive.map(e => e.row), horizon);
+      horizons[horizon] = {
+        active: activeStats,
+        inactive: inactiveStats,
+        hitRateLift: activeStats.hitRate !== null && inactiveStats.hitRate !== null
+          ? round(activeStats.hitRate - inactiveStats.hitRate, 2) : null,
+        returnLift: activeStats.avgReturnPct !== null && inactiveStats.avgReturnPct !== null
+          ? round(activeStats.avgReturnPct - inactiveStats.avgReturnPct, 4) : null,
+        ic: factorIC(entries, horizon)
+      };
+    }
+
+    // IC per period at the decay horizon: a factor whose IC trends toward 0 is decaying
+    const buckets = new Map();
+    for (const e of entries) {
+      const idx = Math.floor((new Date(e.row.signal_generated_at).getTime() - firstTs) / periodMs);
+      if (!buckets.has(idx)) buckets.set(idx, []);
+      buckets.get(idx).push(e);
+    }
+    const periods = [...buckets.entries()]
+      .sort(([a], [b]) => a - b)
+      .filter(([, bucket]) => bucket.length >= minPeriodSamples)
+      .map(([idx, bucket]) => ({
+        from: new Date(firstTs + idx * periodMs).toISOString().substring(0, 10),
+        n: bucket.length,
+        ic: factorIC(bucket, decayHorizon).rho
+      }));
+    const icSeries = periods.map(p => p.ic).filter(ic => ic !== null);
+
+    const weightKeys = FACTOR_WEIGHT_KEYS[name] || [];
+    factors[name] = {
+      weights: Object.fromEntries(weightKeys.map(k => [k, DEFAULT_STRATEGY_CONFIG[k]])),
+      activeRate: entries.length > 0 ? round((active.length / entries.length) * 100, 2) : null,
+      horizons,
+      decay: {
+        byHorizon: Object.fromEntries(HORIZONS.map(h => [h, horizons[h].ic.rho])),
+        horizon: decayHorizon,
+        periodDays,
+        periods,
+        icSlope: trendSlope(icSeries)
+      }
+    };
+  }
+
+  // Strongest predictive factors first (by |IC| at the decay horizon)
+  const ranking = names
+    .map(name => ({
+      factor: name,
+      ic: factors[name].horizons[decayHorizon]?.ic.rho ?? null,
+      pValue: factors[name].horizons[decayHorizon]?.ic.pValue ?? 1,
+      hitRateLift: factors[name].horizons[decayHorizon]?.hitRateLift ?? null
+    }))
+    .sort((a, b) => Math.abs(b.ic ?? 0) - Math.abs(a.ic ?? 0));
+
+  return { totalRows: withFactors.length, horizons: HORIZONS, factors, ranking };
+}
+
+/**
+ * Factor attribution report over live signal outcomes.
+ * @param {Object} supabase
+ * @param {Object} [options] - { days, asset, decayHorizon, periodDays }
+ */
+async function getFactorAttribution(supabase, { days = 60, asset = null, decayHorizon = '4h', periodDays = 7 } = {}) {
+  try {
+    const since = new Date(Date.now() - days * 86400000).toISOString();
+    let query = supabase
+      .from('signal_outcomes')
+      .select('action, factors, signal_generated_at, direction_correct_1h, direction_correct_4h, direction_correct_24h, change_pct_1h, change_pct_4h, change_pct_24h')
+      .gte('signal_generated_at', since)
+      .not('price_1h', 'is', null)
+      .not('factors', 'is', null)
+      .is('shadow_run_id', null);
+
+    if (asset) query = query.eq('asset', asset);
+    const { data, error } = await query;
+
+    if (error) {
+      if (error.code === '42P01') return { totalRows: 0, horizons: HORIZONS, factors: {}, ranking: [] };
+      return { totalRows: 0, horizons: HORIZONS, factors: {}, ranking: [], error: error.message };
+    }
+
+    return { days, ...computeFactorAttribution(data || [], { decayHorizon, periodDays }) };
+  } catch (err) {
+    logger.warn('getFactorAttribution failed', { error: err.message });
+    return { totalRows: 0, horizons: HORIZONS, factors: {}, ranking: [], error: err.message };
+  }
+}
+
 module.exports = {
   recordSignalOutcome,
   checkPendingOutcomes,
   getAccuracyMetrics,
-  getOutcomesByRegimeConfluence
+  getOutcomesByRegimeConfluence,
+  getFactorAttribution,
+  computeFactorAttribution,
+  FACTOR_WEIGHT_KEYS,
+  parseHorizon,
+  resolveHorizons,
+  computeExcursion,
+  checkExcursions
 };
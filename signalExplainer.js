@@ -0,0 +1,96 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — SIGNAL EXPLAINABILITY
+// Turns a signal's factor vector (see generateSignalWithRealData) into a
+// breakdown of why it fired: each factor's raw value, points, the multipliers
+// applied on the way to the final score, and its share of the total.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Multipliers that scale the summed factor points into the merged score.
+// `adx` is excluded: it is already applied inside each factor's points.
+const MERGE_MULTIPLIERS = ['regimeWeight', 'confluence', 'structuralDivergence', 'momentumAcceleration', 'governor'];
+
+const round = (value, decimals = 2) => {
+  const f = 10 ** decimals;
+  return Math.round(value * f) / f;
+};
+
+/**
+ * Product of the merge multipliers (1 for single-timeframe signals).
+ * @param {Object|null} multipliers - signal.multipliers
+ * @returns {number}
+ */
+function mergeMultiplier(multipliers) {
+  if (!multipliers) return 1;
+  return MERGE_MULTIPLIERS.reduce((product, key) => {
+    const value = multipliers[key];
+    return typeof value === 'number' && Number.isFinite(value) ? product * value : product;
+  }, 1);
+}
+
+/**
+ * Build the explanation for a signal.
+ * @param {Object} signal - Signal with `factors` (and optionally `multipliers`)
+ * @returns {Object|null} null when the signal carries no factor vector
+ *   (metals, insufficient data, signals persisted before factors existed)
+ */
+function explainSignal(signal) {
+  if (!signal || !Array.isArray(signal.factors) || signal.factors.length === 0) return null;
+
+  const scale = mergeMultiplier(signal.multipliers);
+  const totalAbs = signal.factors.reduce((sum, f) => sum + Math.abs(f.points || 0), 0);
+
+  const factors = signal.factors
+    .map(f => ({
+      ...f,
+      effectivePoints: round((f.points || 0) * scale),
+      sharePct: totalAbs > 0 ? round((Math.abs(f.points || 0) / totalAbs) * 100, 1) : 0,
+      direction: f.points > 0 ? 'bullish' : f.points < 0 ? 'bearish' : 'neutral'
+    }))
+    .sort((a, b) => Math.abs(b.points) - Math.abs(a.points));
+
+  // Multi-TF signals: what each timeframe added to the merged score (the
+  // factors above are the 1h share before its timeframe weight)
+  let timeframeContributions = null;
+  const tf = signal.timeframes;
+  const regimeWeight = signal.multipliers?.regimeWeight;
+  if (tf?.dynamicWeights && typeof regimeWeight === 'number' && regimeWeight > 0) {
+    const postWeight = scale / regimeWeight;
+    timeframeContributions = {
+      '4h': round((tf['4h']?.score || 0) * tf.dynamicWeights.tf4h * postWeight),
+      '1h': round((tf['1h']?.score || 0) * tf.dynamicWeights.tf1h * postWeight),
+      '15m': round((tf['15m']?.score || 0) * tf.dynamicWeights.tf15m * postWeight)
+    };
+  }
+
+  const bullishPoints = round(factors.filter(f => f.points > 0).reduce((s, f) => s + f.points, 0));
+  const bearishPoints = round(factors.filter(f => f.points < 0).reduce((s, f) => s + f.points, 0));
+
+  return {
+    asset: signal.asset,
+    action: signal.action,
+    strengthLabel: signal.strengthLabel || signal.action,
+    rawScore: signal.rawScore,
+    confidence: signal.confidence,
+    interval: signal.interval,
+    timestamp: signal.timestamp,
+    factorTimeframe: signal.interval === 'multi' ? '1h' : signal.interval,
+    multipliers: signal.multipliers || null,
+    mergeMultiplier: round(scale, 4),
+    totals: {
+      bullishPoints,
+      bearishPoints,
+      netPoints: round(bullishPoints + bearishPoints),
+      effectivePoints: round((bullishPoints + bearishPoints) * scale)
+    },
+    timeframeContributions,
+    topBullish: factors.filter(f => f.points > 0).slice(0, 3).map(f => f.factor),
+    topBearish: factors.filter(f => f.points < 0).slice(0, 3).map(f => f.factor),
+    factors
+  };
+}
+
+module.exports = {
+  MERGE_MULTIPLIERS,
+  mergeMultiplier,
+  explainSignal
+};
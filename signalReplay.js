@@ -0,0 +1,481 @@
+// ═══════════════════════════════════════════════════════════════════════════════
+// SENTIX PRO — SIGNAL REPLAY
+// "What signals would config X have produced last Tuesday?"
+// Rebuilds the inputs generateMultiTimeframeSignal saw at each step from the
+// candle / context archive, re-emits the signals with any strategy config and
+// diffs them against the live signals recorded in signal_history.
+//
+// The replay runs inside a compute worker thread (workers/compute.js); loading
+// the persisted signals and the diff run on the API side once it completes.
+//
+// Known gaps vs. live: live signals see the still-forming candle and CoinGecko
+// 24h volume, replays only closed candles and 1h candle volume (as backtests);
+// order book depth and long/short ratio have no history and are left out.
+// ═══════════════════════════════════════════════════════════════════════════════
+
+const { logger } = require('./logger');
+const { generateMultiTimeframeSignal } = require('./technicalAnalysis');
+const {
+  loadHistoricalCandles,
+  loadHistoricalContext,
+  loadFundingHistory,
+  buildStepInputs,
+  INTERVAL_MS
+} = require('./backtester');
+const { StrategyConfigSet, validateSlice } = require('./strategyConfig');
+
+const REPLAY_LIMITS = {
+  maxAssets: 10,
+  maxDays: 31,
+  maxPersistedRows: 20000,  // signal_history rows loaded for the diff
+  maxChanges: 200,          // Disagreements listed individually in the result
+  maxJobs: 20               // Finished jobs kept in memory
+};
+
+const STEP_INTERVALS = ['15m', '1h', '4h'];
+
+// Candles per timeframe handed to the signal engine (same windows as backtests)
+const WINDOW = { '15m': 288, '1h': 200, '4h': 100 };
+const WARMUP_MS = 20 * INTERVAL_MS['1d'];
+
+const replayJobs = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// PARAMS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Validate and normalize replay params (from the API body).
+ * @param {Object} body
+ * @param {string[]} body.assets - CoinGecko ids
+ * @param {number|string} body.startTime - ms or ISO date
+ * @param {number|string} body.endTime - ms or ISO date (must be in the past)
+ * @param {Object} [body.config] - Strategy config overrides (merged over defaults)
+ * @param {Array} [body.slices] - Per-asset / per-regime configs: [{ asset, regime, config }]
+ * @param {string} [body.stepInterval='1h'] - '15m' | '1h' | '4h'
+ * @param {boolean} [body.offline=false] - Archived data only
+ * @returns {{ params: Object|null, error?: string }}
+ */
+function normalizeReplayParams(body = {}, now = Date.now()) {
+  const { assets, config = null, slices = null, stepInterval = '1h', offline = false } = body;
+
+  if (!Array.isArray(assets) || assets.length === 0) return { params: null, error: 'assets must be a non-empty array' };
+  if (assets.length > REPLAY_LIMITS.maxAssets) return { params: null, error: `At most ${REPLAY_LIMITS.maxAssets} assets per replay` };
+  if (assets.some(a => typeof a !== 'string' || !/^[a-z0-9-]+$/i.test(a))) return { params: null, error: 'assets must be CoinGecko ids' };
+
+  const startTime = toMs(body.startTime);
+  const endTime = toMs(body.endTime);
+  if (startTime === null || endTime === null) return { params: null, error: 'startTime and endTime must be timestamps (ms) or ISO dates' };
+  if (startTime >= endTime) return { params: null, error: 'startTime must be before endTime' };
+  if (endTime > now) return { params: null, error: 'endTime must be in the past' };
+  if (endTime - startTime > REPLAY_LIMITS.maxDays * INTERVAL_MS['1d']) {
+    return { params: null, error: `Replay window is limited to ${REPLAY_LIMITS.maxDays} days` };
+  }
+
+  if (!STEP_INTERVALS.includes(stepInterval)) return { params: null, error: `stepInterval must be one of ${STEP_INTERVALS.join(', ')}` };
+  if (config !== null && (typeof config !== 'object' || Array.isArray(config))) return { params: null, error: 'config must be an object' };
+  if (config && slices) return { params: null, error: 'Use either config or slices, not both' };
+  if (slices !== null) {
+    if (!Array.isArray(slices) || slices.length === 0) return { params: null, error: 'slices must be a non-empty array' };
+    for (const slice of slices) {
+      if (!slice?.config || typeof slice.config !== 'object') return { params: null, error: 'Each slice needs a config object' };
+      const { error: sliceError } = validateSlice(slice);
+      if (sliceError) return { params: null, error: sliceError };
+    }
+  }
+
+  return {
+    params: {
+      assets: [...new Set(assets.map(a => a.toLowerCase()))],
+      startTime,
+      endTime,
+      config,
+      slices,
+      stepInterval,
+      offline: offline === true
+    }
+  };
+}
+
+function toMs(value) {
+  if (typeof value === 'number') return Number.isFinite(value) ? value : null;
+  if (typeof value === 'string' && value.trim()) {
+    const ms = /^\d+$/.test(value) ? parseInt(value, 10) : Date.parse(value);
+    return Number.isFinite(ms) ? ms : null;
+  }
+  return null;
+}
+
+/**
+ * Strategy config for the signal engine. Params cross the worker boundary as
+ * plain data, so config sets are rebuilt from their slices here.
+ */
+function replayStrategyConfig({ config = null, slices = null }) {
+  if (slices) return new StrategyConfigSet(slices);
+  return config || null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// REPLAY (runs in a compute worker thread)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Step times aligned to the step interval (UTC), from start to end inclusive. */
+function replaySteps(startTime, endTime, stepMs) {
+  const steps = [];
+  for (let t = Math.ceil(startTime / stepMs) * stepMs; t <= endTime; t += stepMs) steps.push(t);
+  return steps;
+}
+
+/**
+ * Candles closed by `asOf` (last `size`), via a moving pointer.
+ * @returns {{ window: Array, pointer: number }}
+ */
+function closedWindow(candles, pointer, asOf, intervalMs, size) {
+  let p = pointer;
+  while (p < candles.length && candles[p].timestamp + intervalMs <= asOf) p++;
+  return { window: candles.slice(Math.max(0, p - size), p), pointer: p };
+}
+
+/**
+ * Regenerate one asset's signals over the replay window.
+ * @returns {Promise<Array>} Replayed signals (HOLD included)
+ */
+async function replayAsset(asset, { startTime, endTime, stepInterval, offline, strategyConfig, context }, onStep = null) {
+  const from = startTime - WARMUP_MS;
+  const candles = {};
+  for (const tf of ['4h', '1h', '15m']) {
+    candles[tf] = await loadHistoricalCandles(asset, tf, from, endTime, { offline });
+  }
+  const fundingData = await loadFundingHistory(asset, startTime - INTERVAL_MS['1d'], endTime, { offline });
+
+  const signals = [];
+  const pointers = { '4h': 0, '1h': 0, '15m': 0 };
+  const steps = replaySteps(startTime, endTime, INTERVAL_MS[stepInterval]);
+
+  for (const t of steps) {
+    const windows = {};
+    for (const tf of Object.keys(pointers)) {
+      const { window, pointer } = closedWindow(candles[tf], pointers[tf], t, INTERVAL_MS[tf], WINDOW[tf]);
+      windows[tf] = window;
+      pointers[tf] = pointer;
+    }
+    if (onStep) onStep();
+    if (windows['1h'].length < 50 || windows['4h'].length < 30 || windows['15m'].length < 50) continue;
+
+    // Last ~25h only, so the 24h change is measured against the candle 24h back
+    const recent1h = windows['1h'].slice(-25);
+    const { currentPrice, change24h, volume, fearGreed, derivatives, macro } =
+      buildStepInputs(asset, recent1h, recent1h.length - 1, t, { ...context, fundingData });
+
+    const signal = await generateMultiTimeframeSignal(
+      asset, currentPrice, change24h, volume, fearGreed, derivatives, macro,
+      { '4h': windows['4h'], '1h': windows['1h'], '15m': windows['15m'] },
+      strategyConfig
+    );
+
+    signals.push({
+      asset: signal.asset,
+      timestamp: new Date(t).toISOString(),
+      action: signal.action,
+      strengthLabel: signal.strengthLabel || signal.action,
+      score: signal.score,
+      rawScore: signal.rawScore ?? null,
+      confidence: signal.confidence,
+      price: currentPrice,
+      strategySlice: signal.strategySlice || null
+    });
+  }
+
+  return signals;
+}
+
+/**
+ * Replay signals for a set of assets over a past window.
+ * @param {Object} params - From normalizeReplayParams()
+ * @param {Function} [onProgress] - ({ phase, message, current, total }) => void
+ * @returns {Promise<{ assets: string[], startTime: string, endTime: string, stepInterval: string,
+ *   signals: Array, errors: Object, source: string, durationMs: number }>}
+ */
+async function replaySignals(params, onProgress = null) {
+  const { assets, startTime, endTime, stepInterval = '1h', offline = false } = params;
+  const started = Date.now();
+  const strategyConfig = replayStrategyConfig(params);
+
+  if (onProgress) onProgress({ phase: 'fetching', message: 'Cargando contexto histórico (F&G, BTC dom, DXY)...' });
+  const contextDays = Math.ceil((endTime - startTime) / INTERVAL_MS['1d']) + 2;
+  const context = await loadHistoricalContext(contextDays, { endTime, offline });
+
+  const stepsPerAsset = replaySteps(startTime, endTime, INTERVAL_MS[stepInterval]).length;
+  const total = stepsPerAsset * assets.length;
+  let current = 0;
+  const report = () => {
+    current++;
+    if (onProgress && current % Math.max(1, Math.floor(total / 20)) === 0) {
+      onProgress({ phase: 'running', message: `Paso ${current}/${total}`, current, total });
+    }
+  };
+
+  const signals = [];
+  const errors = {};
+  for (const [i, asset] of assets.entries()) {
+    if (onProgress) onProgress({ phase: 'running', message: `Reproduciendo ${asset}...`, current, total });
+    try {
+      signals.push(...await replayAsset(asset, { startTime, endTime, stepInterval, offline, strategyConfig, context }, report));
+    } catch (err) {
+      logger.warn('Signal replay failed for asset', { asset, error: err.message });
+      errors[asset] = err.message;
+      current = (i + 1) * stepsPerAsset;
+    }
+  }
+
+  if (onProgress) onProgress({ phase: 'completed', message: 'Replay completado', current: total, total });
+
+  return {
+    assets,
+    startTime: new Date(startTime).toISOString(),
+    endTime: new Date(endTime).toISOString(),
+    stepInterval,
+    signals,
+    errors,
+    source: offline ? 'archive-offline' : 'archive',
+    durationMs: Date.now() - started
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// DIFF AGAINST PERSISTED SIGNALS
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Live signals recorded by persistSignals in the replay window.
+ * @returns {Promise<{ signals: Array, error?: Object }>}
+ */
+async function loadPersistedSignals(supabase, { assets, startTime, endTime }) {
+  try {
+    const { data, error } = await supabase
+      .from('signal_history')
+      .select('asset, action, strength_label, score, raw_score, confidence, price, generated_at')
+      .in('asset', assets.map(a => a.toUpperCase()))
+      .gte('generated_at', new Date(startTime).toISOString())
+      .lte('generated_at', new Date(endTime).toISOString())
+      .order('generated_at', { ascending: true })
+      .limit(REPLAY_LIMITS.maxPersistedRows);
+
+    if (error) return { signals: [], error };
+    return {
+      signals: (data || []).map(row => ({
+        asset: row.asset,
+        timestamp: row.generated_at,
+        action: row.action,
+        strengthLabel: row.strength_label || row.action,
+        score: row.score,
+        rawScore: row.raw_score,
+        confidence: row.confidence,
+        price: row.price !== null && row.price !== undefined ? parseFloat(row.price) : null
+      }))
+    };
+  } catch (err) {
+    logger.warn('loadPersistedSignals failed', { error: err.message });
+    return { signals: [], error: err };
+  }
+}
+
+function emptyTally() {
+  return { compared: 0, same: 0, changed: 0, agreementRate: null };
+}
+
+function finishTally(tally) {
+  tally.agreementRate = tally.compared > 0 ? Math.round((tally.same / tally.compared) * 10000) / 100 : null;
+  return tally;
+}
+
+/**
+ * Diff replayed signals against persisted live signals. Each persisted signal
+ * is compared with the replay step in effect when it was generated (latest
+ * step at or before it, less than one step earlier).
+ *
+ * @param {Array} replayed - From replaySignals()
+ * @param {Array} persisted - From loadPersistedSignals()
+ * @param {Object} [options] - { stepInterval = '1h' }
+ * @returns {{ compared: number, same: number, changed: number, agreementRate: number|null, unmatched: number,
+ *   matrix: Object, avgScoreDelta: number|null, avgConfidenceDelta: number|null, byAsset: Object, changes: Array }}
+ */
+function diffSignals(replayed, persisted, { stepInterval = '1h' } = {}) {
+  const stepMs = INTERVAL_MS[stepInterval];
+  const replayByAsset = new Map();
+  for (const signal of replayed || []) {
+    const key = signal.asset.toUpperCase();
+    if (!replayByAsset.has(key)) replayByAsset.set(key, []);
+    replayByAsset.get(key).push({ ...signal, ms: Date.parse(signal.timestamp) });
+  }
+  for (const list of replayByAsset.values()) list.sort((a, b) => a.ms - b.ms);
+
+  const summary = { ...emptyTally(), unmatched: 0 };
+  const byAsset = {};
+  const matrix = {};
+  const changes = [];
+  let scoreDelta = 0, confidenceDelta = 0;
+
+  for (const live of persisted || []) {
+    const asset = live.asset.toUpperCase();
+    const ms = Date.parse(live.timestamp);
+    const step = latestAtOrBefore(replayByAsset.get(asset) || [], ms);
+
+    if (!byAsset[asset]) byAsset[asset] = { ...emptyTally(), unmatched: 0 };
+    if (!step || ms - step.ms >= stepMs) {
+      summary.unmatched++;
+      byAsset[asset].unmatched++;
+      continue;
+    }
+
+    const same = live.action === step.action;
+    for (const tally of [summary, byAsset[asset]]) {
+      tally.compared++;
+      if (same) tally.same++;
+      else tally.changed++;
+    }
+    if (!matrix[live.action]) matrix[live.action] = {};
+    matrix[live.action][step.action] = (matrix[live.action][step.action] || 0) + 1;
+    scoreDelta += (step.score || 0) - (live.score || 0);
+    confidenceDelta += (step.confidence || 0) - (live.confidence || 0);
+
+    if (!same && changes.length < REPLAY_LIMITS.maxChanges) {
+      changes.push({
+        asset,
+        timestamp: live.timestamp,
+        replayStep: step.timestamp,
+        persisted: { action: live.action, strengthLabel: live.strengthLabel, score: live.score, confidence: live.confidence },
+        replayed: { action: step.action, strengthLabel: step.strengthLabel, score: step.score, confidence: step.confidence }
+      });
+    }
+  }
+
+  for (const tally of Object.values(byAsset)) finishTally(tally);
+  finishTally(summary);
+
+  return {
+    ...summary,
+    matrix,
+    avgScoreDelta: summary.compared > 0 ? Math.round((scoreDelta / summary.compared) * 100) / 100 : null,
+    avgConfidenceDelta: summary.compared > 0 ? Math.round((confidenceDelta / summary.compared) * 100) / 100 : null,
+    byAsset,
+    changes
+  };
+}
+
+/** Binary search: last entry with ms <= target. */
+function latestAtOrBefore(sorted, target) {
+  let lo = 0, hi = sorted.length - 1, found = null;
+  while (lo <= hi) {
+    const mid = Math.floor((lo + hi) / 2);
+    if (sorted[mid].ms <= target) {
+      found = sorted[mid];
+      lo = mid + 1;
+    } else {
+      hi = mid - 1;
+    }
+  }
+  return found;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// JOB MANAGEMENT
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/**
+ * Start a replay job (async, non-blocking). The replay itself runs through
+ * `runInThread` (workers/compute.js runReplayInThread); the diff against
+ * persisted signals is added once it completes.
+ *
+ * @param {Object} params - From normalizeReplayParams()
+ * @param {Object} deps
+ * @param {Function} deps.runInThread - (jobId, params, onProgress) => Promise<replay>
+ * @param {Object} [deps.supabase] - Client for loading persisted signals (no diff when absent)
+ * @param {Function} [onComplete] - (err, result) => void
+ * @returns {string} Job id
+ */
+function startReplayJob(params, { runInThread, supabase = null }, onComplete = null) {
+  const jobId = `replay-${Date.now()}-${Math.random().toString(36).slice(2, 6)}`;
+  const job = {
+    jobId,
+    status: 'running',
+    message: 'Iniciando...',
+    current: 0,
+    total: 0,
+    assets: params.assets,
+    startTime: new Date(params.startTime).toISOString(),
+    endTime: new Date(params.endTime).toISOString(),
+    stepInterval: params.stepInterval,
+    configMode: params.slices ? 'slices' : (params.config ? 'config' : 'default'),
+    startedAt: new Date().toISOString(),
+    result: null,
+    error: null
+  };
+  replayJobs.set(jobId, job);
+  cleanupReplayJobs();
+
+  const onProgress = ({ message, current, total } = {}) => {
+    if (message) job.message = message;
+    if (Number.isFinite(current)) job.current = current;
+    if (Number.isFinite(total)) job.total = total;
+  };
+
+  Promise.resolve()
+    .then(() => runInThread(jobId, params, onProgress))
+    .then(async (replay) => {
+      job.message = 'Comparando con señales persistidas...';
+      let diff = null;
+      let persistedCount = null;
+      let persistedError = null;
+      if (supabase) {
+        const { signals, error } = await loadPersistedSignals(supabase, params);
+        if (error) persistedError = error.message || String(error);
+        persistedCount = signals.length;
+        diff = diffSignals(replay.signals, signals, { stepInterval: params.stepInterval });
+      }
+      job.status = 'completed';
+      job.message = 'Replay completado';
+      job.result = { ...replay, persistedCount, persistedError, diff };
+      if (onComplete) onComplete(null, job.result);
+    })
+    .catch((err) => {
+      logger.error('Signal replay job failed', { jobId, error: err.message });
+      job.status = 'error';
+      job.message = err.message;
+      job.error = err.message;
+      if (onComplete) onComplete(err, null);
+    });
+
+  return jobId;
+}
+
+function getReplayJob(jobId) {
+  return replayJobs.get(jobId) || null;
+}
+
+/** All jobs, newest first. */
+function listReplayJobs() {
+  return [...replayJobs.values()].sort((a, b) => new Date(b.startedAt) - new Date(a.startedAt));
+}
+
+/** Drop the oldest finished jobs beyond REPLAY_LIMITS.maxJobs. */
+function cleanupReplayJobs() {
+  const finished = listReplayJobs().filter(j => j.status === 'completed' || j.status === 'error');
+  for (const job of finished.slice(REPLAY_LIMITS.maxJobs)) replayJobs.delete(job.jobId);
+}
+
+module.exports = {
+  REPLAY_LIMITS,
+  STEP_INTERVALS,
+  normalizeReplayParams,
+  replaySignals,
+  loadPersistedSignals,
+  diffSignals,
+  startReplayJob,
+  getReplayJob,
+  listReplayJobs,
+  // Exported for testing
+  replaySteps,
+  closedWindow,
+  replayStrategyConfig
+};
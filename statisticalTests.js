@@ -65,7 +65,7 @@ function regularizedIncompleteBeta(x, a, b) {
       numerator = 1; // a_0 = 1
     } else {
       const k = m;
-      const m2 = Math.floor((k + 1) / 2);
+      const m2 = Math.floor(k / 2);
       if (k % 2 === 1) {
         // Odd terms: -(a+m2)*(a+b+m2)*x / ((a+2*m2)*(a+2*m2+1))
         numerator = -(a + m2) * (a + b + m2) * x / ((a + 2 * m2) * (a + 2 * m2 + 1));
@@ -220,6 +220,220 @@ function binomialTest(successes, trials, p0 = 0.5) {
   };
 }
 
+/**
+ * Welch's two-sample t-test (unequal variances): H0: mean(a) = mean(b).
+ * Used to compare two strategy variants on per-signal returns.
+ *
+ * @param {number[]} a - First sample (e.g., challenger returns)
+ * @param {number[]} b - Second sample (e.g., champion returns)
+ * @returns {{ tStatistic: number, pValue: number, pValueGreater: number, df: number, meanDiff: number }}
+ *   pValue is two-tailed; pValueGreater is one-sided for H1: mean(a) > mean(b)
+ */
+function tTestWelch(a, b) {
+  if (!a || !b || a.length < 2 || b.length < 2) {
+    return { tStatistic: 0, pValue: 1, pValueGreater: 1, df: 0, meanDiff: 0 };
+  }
+
+  const n1 = a.length;
+  const n2 = b.length;
+  const mean1 = a.reduce((s, v) => s + v, 0) / n1;
+  const mean2 = b.reduce((s, v) => s + v, 0) / n2;
+  const var1 = a.reduce((s, v) => s + (v - mean1) ** 2, 0) / (n1 - 1);
+  const var2 = b.reduce((s, v) => s + (v - mean2) ** 2, 0) / (n2 - 1);
+  const se1 = var1 / n1;
+  const se2 = var2 / n2;
+  const stdErr = Math.sqrt(se1 + se2);
+  const meanDiff = mean1 - mean2;
+
+  if (stdErr === 0) {
+    return { tStatistic: 0, pValue: 1, pValueGreater: 1, df: n1 + n2 - 2, meanDiff: Math.round(meanDiff * 10000) / 10000 };
+  }
+
+  // Welch–Satterthwaite degrees of freedom
+  const df = (se1 + se2) ** 2 / ((se1 ** 2) / (n1 - 1) + (se2 ** 2) / (n2 - 1));
+  const tStatistic = meanDiff / stdErr;
+  const cdf = studentTCDF(tStatistic, df);
+  const clamp = (p) => Math.min(1, Math.max(0, Math.round(p * 10000) / 10000));
+
+  return {
+    tStatistic: Math.round(tStatistic * 1000) / 1000,
+    pValue: clamp(2 * (1 - studentTCDF(Math.abs(tStatistic), df))),
+    pValueGreater: clamp(1 - cdf),
+    df: Math.round(df * 10) / 10,
+    meanDiff: Math.round(meanDiff * 10000) / 10000
+  };
+}
+
+/**
+ * Paired t-test: H0: mean(a[i] - b[i]) = 0.
+ * Used when both variants are scored on the same signals, so the per-signal
+ * differences remove the market move they share.
+ *
+ * @param {number[]} a - First sample (e.g., challenger returns)
+ * @param {number[]} b - Second sample, aligned with `a` (e.g., champion returns)
+ * @returns {{ tStatistic: number, pValue: number, pValueGreater: number, df: number, meanDiff: number, n: number }}
+ *   pValue is two-tailed; pValueGreater is one-sided for H1: mean(a - b) > 0
+ */
+function tTestPaired(a, b) {
+  const n = a && b ? Math.min(a.length, b.length) : 0;
+  if (n < 2) {
+    return { tStatistic: 0, pValue: 1, pValueGreater: 1, df: 0, meanDiff: 0, n };
+  }
+
+  const diffs = Array.from({ length: n }, (_, i) => a[i] - b[i]);
+  const meanDiff = diffs.reduce((s, v) => s + v, 0) / n;
+  const variance = diffs.reduce((s, v) => s + (v - meanDiff) ** 2, 0) / (n - 1);
+  const stdErr = Math.sqrt(variance / n);
+  const df = n - 1;
+
+  if (stdErr === 0) {
+    return { tStatistic: 0, pValue: 1, pValueGreater: 1, df, meanDiff: Math.round(meanDiff * 10000) / 10000, n };
+  }
+
+  const tStatistic = meanDiff / stdErr;
+  const clamp = (p) => Math.min(1, Math.max(0, Math.round(p * 10000) / 10000));
+
+  return {
+    tStatistic: Math.round(tStatistic * 1000) / 1000,
+    pValue: clamp(2 * (1 - studentTCDF(Math.abs(tStatistic), df))),
+    pValueGreater: clamp(1 - studentTCDF(tStatistic, df)),
+    df,
+    meanDiff: Math.round(meanDiff * 10000) / 10000,
+    n
+  };
+}
+
+/**
+ * Two-proportion z-test (pooled): H0: p1 = p2.
+ * Used to compare hit rates of two strategy variants.
+ *
+ * @param {number} successes1 - Hits in the first sample
+ * @param {number} trials1 - Size of the first sample
+ * @param {number} successes2 - Hits in the second sample
+ * @param {number} trials2 - Size of the second sample
+ * @returns {{ zStatistic: number, pValue: number, pValueGreater: number, rate1: number, rate2: number }}
+ *   rates are percentages; pValueGreater is one-sided for H1: p1 > p2
+ */
+function twoProportionZTest(successes1, trials1, successes2, trials2) {
+  if (!trials1 || !trials2) {
+    return { zStatistic: 0, pValue: 1, pValueGreater: 1, rate1: 0, rate2: 0 };
+  }
+
+  const p1 = successes1 / trials1;
+  const p2 = successes2 / trials2;
+  const pooled = (successes1 + successes2) / (trials1 + trials2);
+  const se = Math.sqrt(pooled * (1 - pooled) * (1 / trials1 + 1 / trials2));
+  const zStatistic = se > 0 ? (p1 - p2) / se : 0;
+  const clamp = (p) => Math.min(1, Math.max(0, Math.round(p * 10000) / 10000));
+
+  return {
+    zStatistic: Math.round(zStatistic * 1000) / 1000,
+    pValue: se > 0 ? clamp(2 * (1 - standardNormalCDF(Math.abs(zStatistic)))) : 1,
+    pValueGreater: se > 0 ? clamp(1 - standardNormalCDF(zStatistic)) : 1,
+    rate1: Math.round(p1 * 10000) / 100,
+    rate2: Math.round(p2 * 10000) / 100
+  };
+}
+
+/**
+ * One-way ANOVA: H0: all group means are equal.
+ * Used to check whether regime labels separate forward returns.
+ *
+ * @param {number[][]} groups - Samples per group (empty groups are ignored)
+ * @returns {{ fStatistic: number, pValue: number, dfBetween: number, dfWithin: number, etaSquared: number|null }}
+ *   etaSquared is the share of total variance explained by group membership
+ */
+function oneWayAnova(groups) {
+  const valid = (groups || []).filter(g => g && g.length > 0);
+  const n = valid.reduce((s, g) => s + g.length, 0);
+  const k = valid.length;
+  if (k < 2 || n <= k) {
+    return { fStatistic: 0, pValue: 1, dfBetween: Math.max(0, k - 1), dfWithin: Math.max(0, n - k), etaSquared: null };
+  }
+
+  const grandMean = valid.reduce((s, g) => s + g.reduce((a, v) => a + v, 0), 0) / n;
+  let ssBetween = 0;
+  let ssWithin = 0;
+  for (const g of valid) {
+    const mean = g.reduce((s, v) => s + v, 0) / g.length;
+    ssBetween += g.length * (mean - grandMean) ** 2;
+    ssWithin += g.reduce((s, v) => s + (v - mean) ** 2, 0);
+  }
+
+  const dfBetween = k - 1;
+  const dfWithin = n - k;
+  const ssTotal = ssBetween + ssWithin;
+  const etaSquared = ssTotal > 0 ? Math.round((ssBetween / ssTotal) * 10000) / 10000 : 0;
+
+  if (ssWithin === 0) {
+    return { fStatistic: ssBetween > 0 ? Infinity : 0, pValue: ssBetween > 0 ? 0 : 1, dfBetween, dfWithin, etaSquared };
+  }
+
+  const fStatistic = (ssBetween / dfBetween) / (ssWithin / dfWithin);
+  // P(F > f) = I_x(dfWithin/2, dfBetween/2) with x = dfWithin / (dfWithin + dfBetween·f)
+  const pValue = regularizedIncompleteBeta(dfWithin / (dfWithin + dfBetween * fStatistic), dfWithin / 2, dfBetween / 2);
+
+  return {
+    fStatistic: Math.round(fStatistic * 1000) / 1000,
+    pValue: Math.min(1, Math.max(0, Math.round(pValue * 10000) / 10000)),
+    dfBetween,
+    dfWithin,
+    etaSquared
+  };
+}
+
+/** Average ranks (ties share the mean rank), 1-based. */
+function rankValues(values) {
+  const order = values.map((v, i) => [v, i]).sort((a, b) => a[0] - b[0]);
+  const ranks = new Array(values.length);
+  for (let i = 0; i < order.length;) {
+    let j = i;
+    while (j + 1 < order.length && order[j + 1][0] === order[i][0]) j++;
+    const avg = (i + j) / 2 + 1;
+    for (let k = i; k <= j; k++) ranks[order[k][1]] = avg;
+    i = j + 1;
+  }
+  return ranks;
+}
+
+/**
+ * Spearman rank correlation with a t-approximation significance test.
+ * Used as the information coefficient (IC) of a signal factor vs forward returns.
+ *
+ * @param {number[]} x
+ * @param {number[]} y - Same length as x
+ * @returns {{ rho: number|null, pValue: number, n: number }}
+ *   rho is null with fewer than 3 pairs or when either side is constant
+ */
+function spearmanCorrelation(x, y) {
+  const n = Math.min(x?.length || 0, y?.length || 0);
+  if (n < 3) return { rho: null, pValue: 1, n };
+
+  const rx = rankValues(x.slice(0, n));
+  const ry = rankValues(y.slice(0, n));
+  const mean = (n + 1) / 2;
+  let cov = 0, varX = 0, varY = 0;
+  for (let i = 0; i < n; i++) {
+    cov += (rx[i] - mean) * (ry[i] - mean);
+    varX += (rx[i] - mean) ** 2;
+    varY += (ry[i] - mean) ** 2;
+  }
+  if (varX === 0 || varY === 0) return { rho: null, pValue: 1, n };
+
+  const rho = cov / Math.sqrt(varX * varY);
+  let pValue = 0;
+  if (Math.abs(rho) < 1) {
+    const t = rho * Math.sqrt((n - 2) / (1 - rho * rho));
+    pValue = 2 * (1 - studentTCDF(Math.abs(t), n - 2));
+  }
+
+  return {
+    rho: Math.round(rho * 10000) / 10000,
+    pValue: Math.min(1, Math.max(0, Math.round(pValue * 10000) / 10000)),
+    n
+  };
+}
+
 /**
  * Bootstrap p-value: fraction of MC distribution values <= threshold.
  * Used for Sharpe (threshold=0) and profit factor (threshold=1) significance.
@@ -413,6 +627,11 @@ module.exports = {
   studentTCDF,
   tTestOneSample,
   binomialTest,
+  tTestWelch,
+  tTestPaired,
+  twoProportionZTest,
+  oneWayAnova,
+  spearmanCorrelation,
   bootstrapPValue,
   computeConfidenceIntervals,
   assessSignificance,
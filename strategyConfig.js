@@ -322,6 +322,13 @@ const SCHEDULE_CONFIG = {
 
 Object.freeze(SCHEDULE_CONFIG);
 
+/**
+ * Structured (non-numeric) strategy options with no default value.
+ *   exitLadder — exit ladder definition (see exitLadder.js); absent = 50% at TP1,
+ *                rest at TP2, ATR trailing
+ */
+const STRATEGY_OPTION_KEYS = Object.freeze(['exitLadder']);
+
 /**
  * Merge user config with defaults (user values override defaults)
  */
@@ -329,16 +336,157 @@ function mergeConfig(userConfig = {}) {
   const config = userConfig || {};
   // Warn about unknown keys (likely typos)
   for (const key of Object.keys(config)) {
-    if (!(key in DEFAULT_STRATEGY_CONFIG)) {
+    if (!(key in DEFAULT_STRATEGY_CONFIG) && !STRATEGY_OPTION_KEYS.includes(key)) {
       console.warn(`[strategyConfig] Unknown config key: "${key}" — possible typo`);
     }
   }
   return { ...DEFAULT_STRATEGY_CONFIG, ...config };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════════
+// CONFIG SETS (per-asset / per-regime slices)
+// ═══════════════════════════════════════════════════════════════════════════════
+
+/** Wildcard for "any asset" / "any regime" in a config slice. */
+const GLOBAL_SLICE = '*';
+
+/** Regime buckets a config can be tuned for (coarser than marketRegime.REGIMES). */
+const REGIME_SLICES = Object.freeze(['trending', 'ranging', 'volatile']);
+
+/**
+ * Map a market regime (marketRegime.REGIMES or featureStore's legacy label)
+ * onto its config slice. Reversals and unknown regimes use the '*' slice.
+ * @param {string} regime
+ * @returns {string} 'trending' | 'ranging' | 'volatile' | '*'
+ */
+function regimeSlice(regime) {
+  if (!regime) return GLOBAL_SLICE;
+  if (REGIME_SLICES.includes(regime)) return regime;
+  if (regime === 'trending_up' || regime === 'trending_down') return 'trending';
+  return GLOBAL_SLICE;
+}
+
+/**
+ * Normalize a slice ({ asset, regime }) to its stored form: lowercase
+ * CoinGecko asset id or '*', regime bucket or '*'.
+ */
+function normalizeSlice(slice = {}) {
+  const asset = slice.asset && slice.asset !== GLOBAL_SLICE
+    ? String(slice.asset).toLowerCase()
+    : GLOBAL_SLICE;
+  return { asset, regime: regimeSlice(slice.regime) };
+}
+
+/**
+ * Validate a slice supplied by an API caller. Both fields are optional and
+ * default to '*'.
+ * @returns {{ slice: { asset: string, regime: string } } | { error: string }}
+ */
+function validateSlice({ asset, regime } = {}) {
+  if (asset !== undefined && asset !== null && asset !== GLOBAL_SLICE &&
+      !/^[a-z0-9-]{1,64}$/.test(String(asset).toLowerCase())) {
+    return { error: `Invalid asset: ${asset}` };
+  }
+  if (regime !== undefined && regime !== null && regime !== GLOBAL_SLICE && !REGIME_SLICES.includes(regime)) {
+    return { error: `Invalid regime: ${regime} (expected ${REGIME_SLICES.join(', ')} or *)` };
+  }
+  return { slice: normalizeSlice({ asset, regime }) };
+}
+
+/**
+ * Active strategy configs keyed by (asset, regime). Resolution falls back
+ * from the most specific slice to the global one:
+ *   (asset, regime) → (asset, *) → (*, regime) → (*, *) → DEFAULT_STRATEGY_CONFIG
+ */
+class StrategyConfigSet {
+  /**
+   * @param {Array<{asset?: string, regime?: string, config: Object, name?: string, id?: string}>} rows
+   */
+  constructor(rows = []) {
+    this.slices = new Map();
+    for (const row of rows || []) {
+      if (!row?.config) continue;
+      const slice = normalizeSlice(row);
+      this.slices.set(`${slice.asset}|${slice.regime}`, {
+        ...slice,
+        id: row.id || null,
+        name: row.name || null,
+        config: mergeConfig(row.config)
+      });
+    }
+  }
+
+  get size() {
+    return this.slices.size;
+  }
+
+  /**
+   * Pick the config for an asset in a given regime.
+   * @param {string} [asset] - CoinGecko id (case-insensitive)
+   * @param {string} [regime] - Market regime or regime bucket
+   * @returns {{ config: Object, source: 'saved'|'default', slice: { asset: string, regime: string }, name: string|null }}
+   */
+  resolve(asset, regime) {
+    const wanted = normalizeSlice({ asset, regime });
+    const candidates = [
+      [wanted.asset, wanted.regime],
+      [wanted.asset, GLOBAL_SLICE],
+      [GLOBAL_SLICE, wanted.regime],
+      [GLOBAL_SLICE, GLOBAL_SLICE]
+    ];
+
+    for (const [a, r] of candidates) {
+      const entry = this.slices.get(`${a}|${r}`);
+      if (entry) {
+        return { config: { ...entry.config }, source: 'saved', slice: { asset: a, regime: r }, name: entry.name };
+      }
+    }
+
+    return {
+      config: { ...DEFAULT_STRATEGY_CONFIG },
+      source: 'default',
+      slice: { asset: GLOBAL_SLICE, regime: GLOBAL_SLICE },
+      name: null
+    };
+  }
+
+  /**
+   * Copy of this set with one slice replaced (e.g. a challenger config).
+   * @param {Object} slice - { asset, regime }
+   * @param {Object} config
+   * @returns {StrategyConfigSet}
+   */
+  withSlice(slice, config) {
+    const copy = new StrategyConfigSet();
+    for (const [key, entry] of this.slices) copy.slices.set(key, entry);
+    const normalized = normalizeSlice(slice);
+    copy.slices.set(`${normalized.asset}|${normalized.regime}`, {
+      ...normalized, id: null, name: null, config: mergeConfig(config)
+    });
+    return copy;
+  }
+
+  /** Summary of stored slices (no configs) for status views. */
+  list() {
+    return [...this.slices.values()].map(({ asset, regime, id, name }) => ({ asset, regime, id, name }));
+  }
+}
+
+function isConfigSet(value) {
+  return value instanceof StrategyConfigSet;
+}
+
 module.exports = {
   DEFAULT_STRATEGY_CONFIG,
   PARAM_RANGES,
   SCHEDULE_CONFIG,
-  mergeConfig
+  STRATEGY_OPTION_KEYS,
+  GLOBAL_SLICE,
+  REGIME_SLICES,
+  mergeConfig,
+  regimeSlice,
+  normalizeSlice,
+  validateSlice,
+  StrategyConfigSet,
+  isConfigSet
 };
@@ -1234,6 +1234,7 @@ function analyzeMarketStructure(candles, cfg = {}) {
  * @param {number} resistance - Calculated resistance level
  * @param {number} pivot - Pivot point
  * @param {number} atr - Average True Range value
+ * @param {Object} [tradeConfig] - ATR multipliers, minRiskReward, srLevels, exitLadder
  * @returns {Object|null} tradeLevels object or null if HOLD
  */
 function calculateTradeLevels(action, currentPrice, support, resistance, pivot, atr, tradeConfig = {}) {
@@ -1353,7 +1354,8 @@ function calculateTradeLevels(action, currentPrice, support, resistance, pivot,
     atrValue: round(atr),
     support: round(support),
     resistance: round(resistance),
-    pivot: round(pivot)
+    pivot: round(pivot),
+    exitLadder: tradeConfig.exitLadder || null // Strategy exit ladder, consumed by backtester + paper trading
   };
 }
 
@@ -1682,6 +1684,20 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
     let confidence = 0; // Starts at ZERO - must be earned
     const signals = [];
 
+    // Factor vector: score/confidence each section added since the last one
+    const factors = [];
+    let factorMark = { score: 0, confidence: 0 };
+    const recordFactor = (factor, value, multiplier = 1) => {
+      factors.push({
+        factor,
+        value,
+        points: Math.round((score - factorMark.score) * 100) / 100,
+        confidence: confidence - factorMark.confidence,
+        multiplier: Math.round(multiplier * 1000) / 1000
+      });
+      factorMark = { score, confidence };
+    };
+
     // ─── 1. TREND CONTEXT (Most important - determines trading bias) ───
     // Weight: up to ±25 score, up to 20 confidence
     if (emaTrend.trend === 'strong_up') {
@@ -1704,6 +1720,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       signals.push('No clear trend (sideways)');
       confidence += 3;
     }
+    recordFactor('trend', emaTrend.trend);
 
     // ─── 2. ADX - TREND STRENGTH FILTER ─────────────────────────────
     // If ADX < 20, market is ranging → reduce confidence in all signals
@@ -1720,6 +1737,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       adxMultiplier = cfg.adxWeakMultiplier;
       signals.push(`ADX weak trend (${adx.adx}) - caution`);
     }
+    recordFactor('adx', adx.adx, adxMultiplier);
 
     // ─── 3. RSI ANALYSIS (with trend context) ───────────────────────
     // In uptrend: RSI 40-50 is "bullish pullback", not neutral
@@ -1770,14 +1788,17 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
     // Track RSI direction for MACD redundancy discount
     const rsiBullish = rsi < cfg.rsiOversold || (rsi < cfg.rsiPullbackZone && emaTrend.trend.includes('up'));
     const rsiBearish = rsi > cfg.rsiOverbought || (rsi > cfg.rsiPullbackZoneHigh && emaTrend.trend.includes('down'));
+    recordFactor('rsi', Math.round(rsi * 10) / 10, rsiBullish || rsiBearish ? adxMultiplier : 1);
 
     // ─── 4. MACD ANALYSIS (with histogram momentum) ─────────────────
     // Weight: up to ±15 score (reduced to ±10 when RSI already confirms same direction)
     // Rationale: RSI and MACD are both momentum indicators — when they agree,
     // the second confirmation adds less information than independent factors
+    let macdMultiplier = 1;
     if (macd.histogram > 0 && macd.macd > macd.signal) {
       const rsiAlreadyBullish = rsiBullish;
       const redundancyMult = rsiAlreadyBullish ? 0.67 : 1.0; // ~10 instead of 15
+      macdMultiplier = adxMultiplier * redundancyMult;
       const macdScore = macd.histogramTrend === 'growing' ? cfg.macdStrongScore : cfg.macdWeakScore;
       score += Math.round(macdScore * adxMultiplier * redundancyMult);
       confidence += macd.histogramTrend === 'growing' ? 10 : 6;
@@ -1789,6 +1810,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       //      'growing'   = histogram becoming less negative  = bearish WEAKENING   = weak score
       const rsiAlreadyBearish = rsiBearish;
       const redundancyMult = rsiAlreadyBearish ? 0.67 : 1.0;
+      macdMultiplier = adxMultiplier * redundancyMult;
       const macdScore = macd.histogramTrend === 'shrinking' ? -cfg.macdStrongScore : -cfg.macdWeakScore;
       score += Math.round(macdScore * adxMultiplier * redundancyMult);
       confidence += macd.histogramTrend === 'shrinking' ? 10 : 6;
@@ -1802,6 +1824,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       score -= 4;
       confidence += 3;
     }
+    recordFactor('macd', macd.histogram, macdMultiplier);
 
     // ─── 5. DIVERGENCE DETECTION (Powerful reversal signal) ──────────
     // Weight: up to ±20 score, up to 15 confidence
@@ -1814,6 +1837,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += 12;
       signals.push(`Bearish RSI divergence detected (strength: ${divergence.strength.toFixed(1)})`);
     }
+    recordFactor('divergence', divergence.type);
 
     // ─── 6. BOLLINGER BANDS (with squeeze detection) ────────────────
     // Weight: up to ±12 score, up to 8 confidence
@@ -1843,6 +1867,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += 4;
       signals.push('Price near upper Bollinger Band');
     }
+    recordFactor('bollinger', Math.round(bollinger.percentB * 1000) / 1000);
 
     // ─── 7. VOLUME CONFIRMATION (Critical for signal quality) ───────
     // Volume MUST confirm for high-confidence signals
@@ -1865,14 +1890,18 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence -= 5;
       signals.push('Low volume - weak conviction');
     }
+    recordFactor('volume', volumeProfile.profile);
 
     // ─── 7b. OBV TREND (On-Balance Volume scoring) ──────────────────
     // Weight: up to ±5 score, up to 5 confidence
+    let obvMultiplier = 1;
     if (obvTrend.direction === 'bullish' && score > 0) {
+      obvMultiplier = adxMultiplier;
       score += cfg.obvScore * adxMultiplier;
       confidence += 5;
       signals.push('OBV confirms bullish momentum');
     } else if (obvTrend.direction === 'bearish' && score < 0) {
+      obvMultiplier = adxMultiplier;
       score += -(cfg.obvScore) * adxMultiplier;
       confidence += 5;
       signals.push('OBV confirms bearish momentum');
@@ -1880,6 +1909,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence -= 6;
       signals.push('OBV diverges from price — volume not supporting move');
     }
+    recordFactor('obv', obvTrend.direction, obvMultiplier);
 
     // ─── 8. SUPPORT/RESISTANCE (Multi-Level) ──────────────────────
     // Weight: up to ±8 score, up to 8 confidence (5 base + 3 strength bonus)
@@ -1915,6 +1945,10 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
 
     score += srScoreContrib;
     confidence += srConfContrib;
+    recordFactor('supportResistance', {
+      supportDistancePct: nearestSup ? nearestSup.distancePercent : null,
+      resistanceDistancePct: nearestRes ? nearestRes.distancePercent : null
+    });
 
     // ─── 9. MOMENTUM (24h change - minor weight) ───────────────────
     // Weight: up to ±8 score (reduced from ±10 - momentum is a lagging signal)
@@ -1934,6 +1968,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       score -= Math.round(cfg.momentumScore * 0.8);
       confidence += 2;
     }
+    recordFactor('momentum', change24h);
 
     // ─── 10. FEAR & GREED (Minor contrarian modifier only) ──────────
     // CRITICAL FIX: This was heavily biasing ALL signals before.
@@ -1954,6 +1989,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       score -= 1;
       confidence += 1;
     }
+    recordFactor('fearGreed', fearGreed);
 
     // ─── 11. DERIVATIVES SENTIMENT (Funding Rate + OI) ──────────────
     // Weight: up to ±15 score, up to 5 confidence
@@ -1961,6 +1997,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
     score += derivativesScoring.scoreModifier;
     confidence += derivativesScoring.confidenceModifier;
     signals.push(...derivativesScoring.signals);
+    recordFactor('derivatives', derivativesData ? derivativesScoring.sentiment || null : null);
 
     // ─── 12. BTC DOMINANCE CORRELATION ────────────────────────────────
     // Weight: up to ±10 score, up to 3 confidence
@@ -1971,6 +2008,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += btcDomScoring.confidenceModifier;
       signals.push(...btcDomScoring.signals);
     }
+    recordFactor('btcDominance', macroData ? macroData.btcDom ?? null : null);
 
     // ─── 13. DXY MACRO REGIME ─────────────────────────────────────────
     // Weight: up to ±10 score, up to 3 confidence
@@ -1981,6 +2019,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += dxyScoring.confidenceModifier;
       signals.push(...dxyScoring.signals);
     }
+    recordFactor('dxy', macroData ? macroData.dxy ?? null : null);
 
     // ─── 14. ORDER BOOK DEPTH ─────────────────────────────────────────
     // Weight: up to ±12 score, up to 4 confidence
@@ -1991,6 +2030,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += orderBookScoring.confidenceModifier;
       signals.push(...orderBookScoring.signals);
     }
+    recordFactor('orderBook', orderBookData ? orderBookData.imbalanceRatio ?? null : null);
 
     // ─── 15. ICHIMOKU CLOUD ────────────────────────────────────────────
     // Weight: up to ±10 score, up to 6 confidence
@@ -2014,6 +2054,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       // Cloud color confirms
       if (ichimoku.cloudColor === ichimoku.signal) confidence += 2;
     }
+    recordFactor('ichimoku', ichimoku.signal);
 
     // ─── 16. VWAP ───────────────────────────────────────────────────────
     // Weight: up to ±8 score, up to 3 confidence
@@ -2039,6 +2080,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
         signals.push('VWAP: oversold (<2σ below)');
       }
     }
+    recordFactor('vwap', vwap.signal !== 'insufficient_data' ? vwap.priceVsVwap : vwap.signal);
 
     // ─── 17. FIBONACCI RETRACEMENT ──────────────────────────────────────
     // Weight: up to ±6 score, up to 4 confidence
@@ -2058,6 +2100,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
         confidence += cfg.fibGoldenRatioBonus || 2;
       }
     }
+    recordFactor('fibonacci', fibonacci.signal);
 
     // ─── 18. MARKET STRUCTURE ───────────────────────────────────────────
     // Weight: up to ±12 score, up to 8 confidence
@@ -2091,6 +2134,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
         confidence -= 3;
       }
     }
+    recordFactor('marketStructure', marketStructure.signal);
 
     // ─── 19. BTC CROSS-ASSET CORRELATION ADJUSTMENT ─────────────────
     // When BTC gives a SELL signal, penalize BUY signals on correlated altcoins.
@@ -2105,6 +2149,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
         ? `BTC correlation penalty (${btcCorrAdj}): BTC bearish headwind`
         : `BTC correlation bonus (+${btcCorrAdj}): BTC bullish tailwind`);
     }
+    recordFactor('btcCorrelation', prelimAction);
 
     // ─── SIGNAL AGREEMENT ANALYSIS ──────────────────────────────────
     // Count how many factors agree vs disagree
@@ -2140,6 +2185,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       confidence += cfg.multiFactorBonus;
       signals.push(bullishFactors >= 5 ? 'Strong multi-factor bullish alignment' : 'Strong multi-factor bearish alignment');
     }
+    recordFactor('agreement', { bullish: bullishFactors, bearish: bearishFactors });
 
     // ─── DETERMINE ACTION ───────────────────────────────────────────
     // Convert from -100/+100 scale back to 0-100 for display
@@ -2180,7 +2226,7 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       supportResistance.pivot, atr,
       { atrStopMult: cfg.atrStopMult, atrTP2Mult: cfg.atrTP2Mult,
         atrTrailingMult: cfg.atrTrailingMult, atrTrailingActivation: cfg.atrTrailingActivation,
-        minRiskReward: cfg.minRiskReward, srLevels }
+        minRiskReward: cfg.minRiskReward, exitLadder: cfg.exitLadder, srLevels }
     );
 
     if (tradeLevels && !tradeLevels.riskRewardOk) {
@@ -2222,6 +2268,8 @@ async function generateSignalWithRealData(asset, currentPrice, change24h, volume
       },
       tradeLevels,
       supportResistanceLevels: srLevels,
+      factors,
+      multipliers: { adx: adxMultiplier },
       derivatives: derivativesData ? {
         fundingRate: derivativesData.fundingRate,
         fundingRatePercent: derivativesData.fundingRatePercent,
@@ -2437,11 +2485,34 @@ function applyGovernor(mergedRawScore, raw4h, trend4h, dynamicWeights = {}, cfg
  * @param {number} volume
  * @param {number} fearGreed
  * @param {Object|null} derivativesData
+ * @param {Object|null} macroData
+ * @param {Object|null} preloadedCandlesMap - { '4h', '1h', '15m' } candles (backtesting)
+ * @param {Object|StrategyConfigSet|null} strategyConfig - Config overrides, or a config set
+ *   resolved per asset/regime (the chosen slice is returned as `strategySlice`)
+ * @param {Object|null} orderBookData
  * @returns {Promise<Object>} Merged signal with confluence data
  */
 async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volume, fearGreed, derivativesData = null, macroData = null, preloadedCandlesMap = null, strategyConfig = null, orderBookData = null) {
+  const { mergeConfig, isConfigSet } = require('./strategyConfig');
+
+  // A config set (per-asset / per-regime slices) resolves to the slice for the
+  // asset's current regime: the tracked regime when live, else a point-in-time
+  // read of the 4h candles (reused below so they are not fetched twice)
+  let strategySlice = null;
+  if (isConfigSet(strategyConfig)) {
+    const { getRegime, classifyRegime } = require('./marketRegime');
+    let regime = preloadedCandlesMap ? null : getRegime(asset)?.regime;
+    if (!regime || regime === 'unknown') {
+      const candles4h = preloadedCandlesMap?.['4h'] || await fetchOHLCVCandles(asset, '4h', 100);
+      regime = classifyRegime(candles4h);
+      preloadedCandlesMap = { ...preloadedCandlesMap, '4h': candles4h };
+    }
+    const resolved = strategyConfig.resolve(asset, regime);
+    strategyConfig = resolved.source === 'saved' ? resolved.config : null;
+    strategySlice = { ...resolved.slice, marketRegime: regime, source: resolved.source };
+  }
+
   // Merge strategy config with defaults for confluence parameters
-  const { mergeConfig } = require('./strategyConfig');
   const cfg = mergeConfig(strategyConfig);
 
   // Run all three timeframes in parallel
@@ -2493,9 +2564,20 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
   // Confluence adjustments
   let confidenceBonus = 0;
   const confluenceReasons = [];
+  // Multipliers applied to the primary (1h) factors on the way to the merged
+  // score (adx is already inside each factor's points; the rest scale the sum)
+  const mergeMultipliers = {
+    adx: signal1h.multipliers?.adx ?? 1,
+    regimeWeight: w1h,
+    confluence: 1,
+    structuralDivergence: 1,
+    momentumAcceleration: 1,
+    governor: 1
+  };
 
   if (confluence === 'strong') {
     mergedRawScore *= cfg.strongConfluenceMult;
+    mergeMultipliers.confluence = cfg.strongConfluenceMult;
     confidenceBonus = 15;
     confluenceReasons.push('STRONG confluence - all timeframes aligned');
   } else if (confluence === 'moderate') {
@@ -2503,6 +2585,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
     confluenceReasons.push('Moderate confluence - 2/3 timeframes agree');
   } else if (confluence === 'conflicting') {
     mergedRawScore *= cfg.conflictingMult;
+    mergeMultipliers.confluence = cfg.conflictingMult;
     confidenceBonus = -10;
     confluenceReasons.push('CONFLICTING timeframes - reduced conviction');
   } else {
@@ -2518,6 +2601,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
   if (structuralDivergence) {
     // 4h is structural → reduce score but flag as potential breakout setup
     mergedRawScore *= 0.75; // Reduce conviction
+    mergeMultipliers.structuralDivergence = 0.75;
     confidenceBonus -= 8;
     confluenceReasons.push(`⚠️ Structural divergence: 4H ${trends['4h']} vs 1H+15M ${trends['1h']} — potential breakout`);
   }
@@ -2536,6 +2620,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
     if (accelerating) {
       const accelBonus = 1.08; // 8% boost for accelerating momentum
       mergedRawScore *= accelBonus;
+      mergeMultipliers.momentumAcceleration = accelBonus;
       confidenceBonus += 6;
       confluenceReasons.push(`🚀 Momentum acceleration: all TFs aligned and strengthening (${trends['4h']})`);
     } else {
@@ -2565,6 +2650,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
   mergedRawScore = governorResult.adjustedScore;
   confidenceBonus += governorResult.confidencePenalty;
   if (governorResult.governorInfo.applied) {
+    mergeMultipliers.governor = governorResult.governorInfo.effectiveMult;
     confluenceReasons.push(governorResult.governorInfo.reason);
   }
 
@@ -2621,7 +2707,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
         signal1h.tradeLevels.atrValue,
         { atrStopMult: cfg.atrStopMult, atrTP2Mult: cfg.atrTP2Mult,
           atrTrailingMult: cfg.atrTrailingMult, atrTrailingActivation: cfg.atrTrailingActivation,
-          minRiskReward: cfg.minRiskReward,
+          minRiskReward: cfg.minRiskReward, exitLadder: cfg.exitLadder,
           srLevels: signal1h.supportResistanceLevels || null }
       )
     : null;
@@ -2639,6 +2725,8 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
     indicators: signal1h.indicators,
     tradeLevels,
     supportResistanceLevels: signal1h.supportResistanceLevels || null,
+    factors: signal1h.factors || null,
+    multipliers: signal1h.factors ? mergeMultipliers : null,
     derivatives: signal1h.derivatives || null,
     macroContext: signal1h.macroContext || null,
     orderBook: signal1h.orderBook || null,
@@ -2646,6 +2734,7 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
     interval: 'multi',
     candlesAnalyzed: (signal4h.candlesAnalyzed || 0) + (signal1h.candlesAnalyzed || 0) + (signal15m.candlesAnalyzed || 0),
     timestamp: new Date().toISOString(),
+    strategySlice,
 
     // Multi-timeframe confluence data
     timeframes: {
@@ -2653,19 +2742,22 @@ async function generateMultiTimeframeSignal(asset, currentPrice, change24h, volu
         trend: trends['4h'],
         score: signal4h.rawScore,
         confidence: signal4h.confidence,
-        action: signal4h.action
+        action: signal4h.action,
+        indicators: signal4h.indicators || null
       },
       '1h': {
         trend: trends['1h'],
         score: signal1h.rawScore,
         confidence: signal1h.confidence,
-        action: signal1h.action
+        action: signal1h.action,
+        indicators: signal1h.indicators || null
       },
       '15m': {
         trend: trends['15m'],
         score: signal15m.rawScore,
         confidence: signal15m.confidence,
-        action: signal15m.action
+        action: signal15m.action,
+        indicators: signal15m.indicators || null
       },
       confluence,
       dynamicWeights,
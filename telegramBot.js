@@ -7,6 +7,22 @@ const TelegramBot = require('node-telegram-bot-api');
 const https = require('https');
 const { logger } = require('./logger');
 
+/**
+ * Markdown body for a signal alert (shared by per-user and broadcast sends)
+ */
+function formatAlertMessage(signal) {
+  const actionEmoji = signal.action === 'BUY' ? '🟢' : signal.action === 'SELL' ? '🔴' : '⚪';
+  return (
+    `${actionEmoji} *ALERTA SENTIX PRO*\n\n` +
+    `*${signal.asset}* - ${signal.action}\n` +
+    `Precio: $${Number(signal.price).toLocaleString()}\n` +
+    `Score: ${signal.score}/100\n` +
+    `Confianza: ${signal.confidence}%\n\n` +
+    `📊 ${signal.reasons}\n\n` +
+    `⏰ ${new Date().toLocaleString('es-ES')}`
+  );
+}
+
 class SilentTelegramBot {
   constructor(token) {
     this.enabled = false;
@@ -254,6 +270,26 @@ class SilentTelegramBot {
     return { sent, total: this.subscribedChatIds.size, messageIds };
   }
 
+  /**
+   * Send a message with inline keyboard buttons to a single chat.
+   * @returns {Object} { success, messageId } or { success: false, reason }
+   */
+  async sendWithButtons(chatId, text, inlineKeyboard) {
+    if (!this.enabled) return { success: false, reason: 'bot_disabled' };
+    try {
+      const result = await this._apiCallPost('sendMessage', {
+        chat_id: chatId,
+        text,
+        parse_mode: 'Markdown',
+        reply_markup: { inline_keyboard: inlineKeyboard },
+      });
+      return { success: true, messageId: result.result.message_id };
+    } catch (err) {
+      logger.debug('sendWithButtons failed', { chatId, error: err.message });
+      return { success: false, reason: err.message };
+    }
+  }
+
   /**
    * Edit a previously sent message (e.g., after button click).
    */
@@ -307,24 +343,18 @@ class SilentTelegramBot {
     }
   }
 
+  async sendAlert(chatId, signal) {
+    return this.sendMessage(chatId, formatAlertMessage(signal), { parse_mode: 'Markdown' });
+  }
+
   async broadcastAlert(signal) {
     if (!this.enabled || this.subscribedChatIds.size === 0) {
       return { sent: 0, total: this.subscribedChatIds.size };
     }
 
-    const actionEmoji = signal.action === 'BUY' ? '🟢' : signal.action === 'SELL' ? '🔴' : '⚪';
-    const message =
-      `${actionEmoji} *ALERTA SENTIX PRO*\n\n` +
-      `*${signal.asset}* - ${signal.action}\n` +
-      `Precio: $${Number(signal.price).toLocaleString()}\n` +
-      `Score: ${signal.score}/100\n` +
-      `Confianza: ${signal.confidence}%\n\n` +
-      `📊 ${signal.reasons}\n\n` +
-      `⏰ ${new Date().toLocaleString('es-ES')}`;
-
     let sent = 0;
     for (const chatId of this.subscribedChatIds) {
-      const result = await this.sendMessage(chatId, message, { parse_mode: 'Markdown' });
+      const result = await this.sendAlert(chatId, signal);
       if (result.success) sent++;
     }
     return { sent, total: this.subscribedChatIds.size };
@@ -360,12 +390,14 @@ function setupTelegramCommands(bot, marketDataGetter, signalsGetter) {
     await bot.sendMessage(
       chatId,
       '🚀 *SENTIX Pro Bot Activado*\n\n' +
-      '✅ Suscrito a alertas automáticas\n\n' +
+      '✅ Suscrito a alertas automáticas\n' +
+      `🔗 Tu chat ID: \`${chatId}\` — añádelo en tus filtros de alertas para recibir tus alertas personales\n\n` +
       'Comandos disponibles:\n' +
       '/precio [ASSET] - Precio actual\n' +
       '/señales - Señales activas\n' +
       '/mercado - Resumen del mercado\n' +
       '/autotune - Estado del auto-tuner\n' +
+      '/vincular [CÓDIGO] - Vincular tu cuenta para aprobar acciones\n' +
       '/stop - Detener alertas',
       { parse_mode: 'Markdown' }
     );
@@ -450,12 +482,16 @@ function setupAutoTuneCommands(bot, getAutoTuneState) {
       text += `Config: ${state.configSource === 'saved' ? '🟢 Auto-Tuned' : '📦 Default'}\n`;
       text += `Régimen: ${state.marketRegime || 'unknown'}\n`;
       text += `Aprobación: ${state.approvalMode || 'auto'}\n`;
+      if (state.slices?.length) {
+        text += `Configs activas (asset / régimen): ${state.slices.join(', ')}\n`;
+      }
 
       if (state.lastRun) {
         const ago = Math.round((Date.now() - new Date(state.lastRun.started_at).getTime()) / 3600000);
         text += `\nÚltimo run: hace ${ago}h`;
         const applied = state.lastRun.params_applied ? Object.keys(state.lastRun.params_applied).length : 0;
-        text += ` (${applied} params aplicados)`;
+        text += ` (${applied} params aplicados`;
+        text += state.lastRunSlice ? ` en ${state.lastRunSlice})` : ')';
         if (state.lastRun.ai_review?.decision) {
           text += `\nAI: ${state.lastRun.ai_review.decision}`;
         }
@@ -11,10 +11,13 @@ const { createClient } = require('@supabase/supabase-js');
 const { Resend } = require('resend');
 const { SilentTelegramBot, setupTelegramCommands, setupAutoTuneCommands } = require('../telegramBot');
 const { generateSignalWithRealData, generateMultiTimeframeSignal } = require('../technicalAnalysis');
-const { fetchDerivativesData, fetchOrderBookDepth } = require('../binanceAPI');
+const { fetchDerivativesData, fetchOrderBookDepth, fetchOpenInterestChange } = require('../binanceAPI');
 const { evaluateAndExecute, getPositionHeatMap } = require('../paperTrading');
-const { processSignals, expireOrders } = require('../orderManager');
+const { processSignals, expireOrders, processWorkingOrders } = require('../orderManager');
 const { createAdapter } = require('../execution');
+const { reconcileExchange } = require('../reconciler');
+const { routeAlerts, buildRecipients, buildFallbackRecipient, createCooldownTracker, hydrateCooldowns } = require('../alertRouter');
+const { runAlertRules, hydrateRuleCooldowns, formatRuleTelegram, formatRuleEmail } = require('../alertRules');
 const { logger } = require('../logger');
 const { classifyAxiosError, Provider } = require('../errors');
 const { isWithinTradingHours } = require('../scheduleUtils');
@@ -25,19 +28,30 @@ const { metrics } = require('../shared/metrics');
 const { wrapWithCircuitBreaker, setAlertCallback, getAllBreakerStatus } = require('../circuitBreaker');
 const { initConfigManager } = require('../configManager');
 const { recordSignalOutcome, checkPendingOutcomes } = require('../signalAccuracy');
+const { loadHistoricalCandles } = require('../backtester');
 const {
-  runAutoTune, getActiveConfig, isAutoTuneRunning, getApprovalMode,
+  runAutoTune, getActiveConfigSet, formatSlice, isAutoTuneRunning, getApprovalMode,
   getAutoTuneHistory, approveProposal, getPendingProposals,
-  cleanupExpiredProposals, checkPostApplyPerformance,
+  cleanupExpiredProposals, promoteAutoProposals, checkPostApplyPerformance,
+  getShadowChallengers, hydratePendingProposals,
 } = require('../autoTuner');
+const { challengerConfigSet, appliesToAsset, usedSlice, recordShadowPair } = require('../shadowEvaluator');
 const { computeFeatures } = require('../featureStore');
 const { getAllRegimes, getRegime } = require('../marketRegime');
+const {
+  isTwoPersonRequired, requestAction, resolveTelegramUser, expirePending, TELEGRAM_UNLINKED_MESSAGE
+} = require('../pendingActions');
+const { LIVE_EXCHANGES, createAdapterResolver } = require('../credentialVault');
 
 // ─── SUPABASE CLIENT ──────────────────────────────────────────────────────
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY);
 
 // ─── EXECUTION ADAPTER ──────────────────────────────────────────────────
 let _executionAdapter = null; // Initialized in startup block
+// (userId, venue) → adapter for loops over every user's orders: live venues use
+// each owner's vault credentials; the env adapter only trades for SIGNAL_USER_ID
+let _resolveAdapter = null;
+const SIGNAL_USER_ID = 'default-user';
 
 // ─── RESEND EMAIL CLIENT ──────────────────────────────────────────────────
 const RESEND_API_KEY = process.env.RESEND_API_KEY;
@@ -56,6 +70,8 @@ const bot = new SilentTelegramBot(TELEGRAM_BOT_TOKEN);
 let cachedMarketData = null;   // Received via IPC from market worker
 let cachedSignals = [];
 let isProcessingAlerts = false;
+let isMatchingBook = false;
+let isReconciling = false;
 
 // ─── PRICE FRESHNESS TRACKING ────────────────────────────────────────────
 const { getConfigSync } = require('../configManager');
@@ -99,18 +115,24 @@ async function generateSignals() {
     return allSignals;
   }
 
-  // Load active strategy config (auto-tuned or default)
+  // Load active strategy configs (auto-tuned slices per asset/regime, or default)
   let activeStrategyConfig = null;
   try {
-    const { config, source } = await getActiveConfig(supabase);
-    if (source === 'saved') {
-      activeStrategyConfig = config;
-      logger.debug('Using auto-tuned strategy config');
+    const configSet = await getActiveConfigSet(supabase);
+    if (configSet.size > 0) {
+      activeStrategyConfig = configSet;
+      logger.debug('Using auto-tuned strategy configs', { slices: configSet.size });
     }
   } catch (_) {
     // Fall back to defaults (null = use DEFAULT_STRATEGY_CONFIG)
   }
 
+  // Pending auto-tune proposals run as shadow challengers on the same data
+  const challengers = getShadowChallengers().map(c => ({
+    ...c, configSet: challengerConfigSet(activeStrategyConfig, c.slice, c.config)
+  }));
+  const shadowPairs = [];
+
   const fearGreed = cachedMarketData.macro?.fearGreed || 50;
 
   const macroData = {
@@ -151,6 +173,21 @@ async function generateSignals() {
       signal.assetClass = 'crypto';
       allSignals.push(signal);
 
+      for (const challenger of challengers) {
+        if (!appliesToAsset(challenger.slice, assetId)) continue;
+        try {
+          const shadowSignal = await generateMultiTimeframeSignal(
+            assetId, data.price, data.change24h, data.volume24h,
+            fearGreed, derivativesData, macroData, null, challenger.configSet, orderBookData
+          );
+          if (usedSlice(shadowSignal, challenger.slice)) {
+            shadowPairs.push({ runId: challenger.runId, champion: signal, challenger: shadowSignal });
+          }
+        } catch (shadowErr) {
+          logger.debug('Shadow signal generation failed', { asset: assetId, runId: challenger.runId, error: shadowErr.message });
+        }
+      }
+
       await new Promise(resolve => setTimeout(resolve, 1500));
     } catch (error) {
       logger.error('Signal generation failed', { asset: assetId, error: error.message });
@@ -189,6 +226,10 @@ async function generateSignals() {
     if (s.action === 'HOLD') continue;
     recordSignalOutcome(supabase, s, currentRegime).catch(() => {});
   }
+  for (const pair of shadowPairs) {
+    recordShadowPair(supabase, pair.runId, pair.champion, pair.challenger, currentRegime).catch(() => {});
+  }
+  if (shadowPairs.length > 0) logger.debug('Shadow pairs recorded', { pairs: shadowPairs.length });
 
   // Send signals to orchestrator → api.js (for SSE broadcast)
   sendToParent(MSG.SIGNALS_UPDATE, cachedSignals);
@@ -220,6 +261,8 @@ async function persistSignals(signals) {
           derivatives: s.derivatives || null,
           timeframes: s.timeframes || null,
           macro_context: s.macroContext || null,
+          factors: s.factors || null,
+          factor_multipliers: s.multipliers || null,
           data_source: s.dataSource || 'unknown',
           interval_tf: s.interval || 'multi',
           asset_class: s.assetClass || 'crypto',
@@ -237,6 +280,24 @@ async function persistSignals(signals) {
     } else {
       logger.debug('Signals persisted to database', { count: signals.length });
     }
+
+    // Append-only history (signals keeps only the latest per asset) for replay diffs
+    const { error: historyError } = await supabase
+      .from('signal_history')
+      .insert(signals.map(s => ({
+        asset: s.asset,
+        action: s.action,
+        strength_label: s.strengthLabel || s.action,
+        score: s.score,
+        raw_score: s.rawScore || 0,
+        confidence: s.confidence,
+        price: s.price,
+        strategy_slice: s.strategySlice || null,
+        generated_at: s.timestamp || new Date().toISOString()
+      })));
+    if (historyError && historyError.code !== '42P01') {
+      logger.warn('Signal history insert failed', { error: historyError.message });
+    }
   } catch (error) {
     logger.debug('Signal persistence unavailable', { error: error.message });
   }
@@ -269,6 +330,8 @@ async function loadPersistedSignals() {
       derivatives: s.derivatives || null,
       timeframes: s.timeframes || null,
       macroContext: s.macro_context || null,
+      factors: s.factors || null,
+      multipliers: s.factor_multipliers || null,
       dataSource: s.data_source,
       interval: s.interval_tf,
       assetClass: s.asset_class,
@@ -372,18 +435,12 @@ function buildSignalEmailHTML(signal) {
 }
 
 // ═══════════════════════════════════════════════════════════════════════════════
-// ALERT DEDUPLICATION
+// ALERT COOLDOWNS
+// Per user / asset / action; each user's cooldown_minutes applies
 // ═══════════════════════════════════════════════════════════════════════════════
 
-const recentAlertKeys = new LRUCache({ maxSize: 500, ttl: 30 * 60 * 1000, name: 'alertDedup' });
-
-function isAlertDuplicate(key) {
-  return recentAlertKeys.has(key);
-}
-
-function markAlertSent(key) {
-  recentAlertKeys.set(key, true);
-}
+const alertCooldowns = createCooldownTracker();
+const ruleCooldowns = createCooldownTracker({ name: 'ruleCooldowns' });
 
 // ═══════════════════════════════════════════════════════════════════════════════
 // MAIN ALERT PROCESSING
@@ -414,12 +471,11 @@ async function processAlerts() {
     metrics.counter('alerts.cycles');
 
     const signals = await generateSignals();
-    let savedCount = 0;
-    let telegramCount = 0;
-    let emailCount = 0;
 
-    // Load per-user alert filters
-    let alertFilters = null;
+    // ─── PER-USER FAN-OUT ──────────────────────────────────────────────
+    // Each enabled alert_filters row is its own recipient; with none, the
+    // operator fallback (bot subscribers + ALERT_EMAIL) gets default alerts.
+    let alertFilters = [];
     try {
       const { data, error } = await supabase
         .from('alert_filters')
@@ -430,86 +486,39 @@ async function processAlerts() {
       logger.debug('alert_filters table not available, using defaults');
     }
 
-    const DEFAULT_FILTER = {
-      assets: [],
-      actions: ['BUY', 'SELL', 'STRONG BUY', 'STRONG SELL'],
-      min_confidence: 45,
-      min_score: 25,
-      telegram_enabled: true,
-      email_enabled: true,
-      cooldown_minutes: 20
-    };
-
-    const filter = (alertFilters && alertFilters.length > 0) ? alertFilters[0] : DEFAULT_FILTER;
-
-    for (const signal of signals) {
-      if (filter.assets && filter.assets.length > 0) {
-        if (!filter.assets.includes(signal.asset)) continue;
-      }
-
-      const signalActions = [signal.action, signal.strengthLabel].filter(Boolean);
-      const matchesAction = filter.actions.some(a => signalActions.includes(a));
-      if (!matchesAction) continue;
-
-      if (signal.confidence < (filter.min_confidence || 0)) continue;
-      if (Math.abs(signal.rawScore || 0) < (filter.min_score || 0)) continue;
-
-      const alertKey = `${signal.asset}-${signal.action}`;
-      if (isAlertDuplicate(alertKey)) continue;
-
-      // Save to alerts table
-      try {
-        const { error } = await supabase
-          .from('alerts')
-          .insert({
-            asset: signal.asset,
-            action: signal.action,
-            score: signal.score,
-            confidence: signal.confidence,
-            reasons: signal.reasons,
-            price: signal.price
-          });
-
-        if (error) {
-          if (error.code === '42P01') {
-            logger.debug('Alerts table not yet created - skipping DB save');
-          } else {
-            logger.warn('Alert save failed', { error: error.message });
-          }
-        } else {
-          savedCount++;
-        }
-      } catch (dbError) {
-        logger.warn('Alert DB save error', { error: dbError.message });
-      }
-
-      // Send via Telegram
-      if (filter.telegram_enabled !== false && bot.isActive()) {
-        const result = await bot.broadcastAlert(signal);
-        if (result.sent > 0) {
-          telegramCount += result.sent;
-          logger.info('Telegram alert sent', {
-            asset: signal.asset, action: signal.action,
-            confidence: signal.confidence, sent: result.sent, total: result.total
-          });
-        }
-      }
-
-      // Send via email
-      if (filter.email_enabled !== false && resend) {
-        const emailRecipients = (filter.alert_emails && filter.alert_emails.trim())
-          ? filter.alert_emails
-          : ALERT_EMAIL;
-        const emailResult = await sendEmailAlert(
-          emailRecipients,
+    const recipients = alertFilters.length > 0
+      ? buildRecipients(alertFilters)
+      : [buildFallbackRecipient({ chatIds: bot.getSubscribers(), email: ALERT_EMAIL })];
+
+    const routed = await routeAlerts(signals, recipients, {
+      supabase,
+      cooldowns: alertCooldowns,
+      sendTelegram: bot.isActive() ? (chatId, signal) => bot.sendAlert(chatId, signal) : null,
+      sendEmail: resend
+        ? (emails, signal) => sendEmailAlert(
+          emails,
           `${signal.action === 'BUY' ? '🟢' : '🔴'} SENTIX PRO: ${signal.action} ${signal.asset} (${signal.confidence}%)`,
           buildSignalEmailHTML(signal)
-        );
-        if (emailResult.success) emailCount++;
-      }
-
-      markAlertSent(alertKey);
-    }
+        )
+        : null
+    });
+    const { saved: savedCount, telegram: telegramCount, email: emailCount } = routed;
+
+    // ─── CUSTOM ALERT RULES ────────────────────────────────────────────
+    const ruleStats = await runAlertRules(supabase, signals, {
+      cooldowns: ruleCooldowns,
+      fearGreed: cachedMarketData?.macro?.fearGreed ?? null,
+      fetchOiChange: (assetId) => wrapWithCircuitBreaker(Provider.BINANCE, () => fetchOpenInterestChange(assetId, 24), null),
+      sendTelegram: bot.isActive()
+        ? (chatId, trigger) => bot.sendMessage(chatId, formatRuleTelegram(trigger), { parse_mode: 'Markdown' })
+        : null,
+      sendEmail: resend
+        ? (emails, trigger) => {
+          const { subject, html } = formatRuleEmail(trigger);
+          return sendEmailAlert(emails, subject, html);
+        }
+        : null
+    });
 
     metrics.counter('alerts.signals', signals.length);
     metrics.counter('alerts.telegram', telegramCount);
@@ -518,9 +527,15 @@ async function processAlerts() {
 
     logger.info('Alerts processed', {
       totalSignals: signals.length,
+      recipients: recipients.length,
       saved: savedCount,
       telegram: telegramCount,
-      email: emailCount
+      email: emailCount,
+      failed: routed.failed,
+      quiet: routed.quiet,
+      cooling: routed.cooling,
+      rules: ruleStats.rules,
+      rulesTriggered: ruleStats.triggered
     });
 
     // ─── PAPER TRADING EVALUATION ─────────────────────────────────────────
@@ -545,9 +560,12 @@ async function processAlerts() {
     } catch (_) {}
 
     try {
-      if (_executionAdapter) {
+      const { adapter: signalAdapter } = _resolveAdapter
+        ? await _resolveAdapter(SIGNAL_USER_ID, _executionAdapter.name)
+        : {};
+      if (signalAdapter) {
         // New order-based flow: Signal → Order → Validate → Execute
-        const orderResult = await processSignals(supabase, 'default-user', signals, cachedMarketData, _executionAdapter, { autoExecute: true });
+        const orderResult = await processSignals(supabase, SIGNAL_USER_ID, signals, cachedMarketData, signalAdapter, { autoExecute: true });
         if (orderResult.executed && orderResult.executed.length > 0) {
           const trades = orderResult.executed.map(e => e.trade).filter(Boolean);
           logger.info('Orders executed', {
@@ -597,6 +615,8 @@ async function processAlerts() {
         if (!cachedMarketData) return null;
         const crypto = cachedMarketData.crypto?.[asset.toLowerCase()];
         return crypto?.price || null;
+      }, {
+        getCandles: (asset, interval, fromMs, toMs) => loadHistoricalCandles(asset, interval, fromMs, toMs)
       });
     } catch (accErr) {
       logger.debug('Signal accuracy check failed', { error: accErr.message });
@@ -719,9 +739,26 @@ installWorkerIPC(gracefulShutdown, (msg) => {
     cachedMarketData = msg.data;
     lastMarketDataReceived = Date.now();
     stalePriceAlertSent = false; // reset on fresh data
+    matchRestingOrders(msg.data);
   }
 });
 
+// Match the adapter's resting orders (paper limit book) against each market update
+async function matchRestingOrders(marketData) {
+  if (!_executionAdapter || isMatchingBook) return;
+  isMatchingBook = true;
+  try {
+    const updates = await _executionAdapter.onMarketUpdate(marketData);
+    if (updates.length > 0) {
+      logger.info('Resting orders filled', { count: updates.length });
+    }
+  } catch (err) {
+    logger.error('Resting order matching error', { error: err.message });
+  } finally {
+    isMatchingBook = false;
+  }
+}
+
 // Cron: process alerts every 5 minutes
 cronTask = cron.schedule('*/5 * * * *', async () => {
   if (isProcessingAlerts) {
@@ -750,41 +787,51 @@ cron.schedule('0 3 * * *', async () => {
     } else if (result.skipped) {
       logger.info('Scheduled auto-tune skipped', { reason: result.reason });
     } else if (result.status === 'pending_approval') {
-      logger.info('Scheduled auto-tune pending Telegram approval', { runId: result.runId });
+      logger.info('Scheduled auto-tune challenger in shadow mode', { runId: result.runId, approvalMode: result.approvalMode });
     } else {
-      const applied = result.paramsApplied ? Object.keys(result.paramsApplied).length : 0;
-      logger.info('Scheduled auto-tune completed', {
-        applied,
+      logger.info('Scheduled auto-tune completed without changes', {
         aiDecision: result.aiReview?.decision || 'N/A',
         regime: result.marketRegime,
       });
-      // Notify via Telegram (auto mode only — telegram mode sends its own proposal)
-      if (bot.isActive() && applied > 0 && result.approvalMode === 'auto') {
+    }
+  } catch (err) {
+    logger.error('Scheduled auto-tune error', { error: err.message });
+  }
+});
+
+// Cron: auto-promote shadow winners, cleanup expired proposals + post-apply monitoring every 6h
+cron.schedule('0 */6 * * *', async () => {
+  try {
+    const promoted = await promoteAutoProposals(supabase, bot);
+    // Notify via Telegram (auto mode only — telegram mode sends its own proposal)
+    if (bot.isActive()) {
+      for (const result of promoted) {
         const paramList = Object.entries(result.paramsApplied)
           .map(([k, v]) => `  • ${k}: ${v}`)
           .join('\n');
         bot.broadcastAlert({
           asset: '🤖 AUTO-TUNE',
           action: 'UPDATE',
-          strengthLabel: `${applied} params`,
+          strengthLabel: `${Object.keys(result.paramsApplied).length} params`,
           confidence: 100,
           price: 0,
-          reasons: `Auto-tune completed (${result.marketRegime} regime).\n${applied} params updated:\n${paramList}${result.aiReview ? `\nAI: ${result.aiReview.decision}` : ''}`,
+          reasons: `Auto-tune promoted after winning in shadow mode (slice ${formatSlice(result.slice)}).\n${paramList}`,
         }).catch(() => {});
       }
     }
+    await cleanupExpiredProposals(supabase, bot);
+    await checkPostApplyPerformance(supabase, bot);
   } catch (err) {
-    logger.error('Scheduled auto-tune error', { error: err.message });
+    logger.debug('Post-apply/cleanup check error', { error: err.message });
   }
 });
 
-// Cron: cleanup expired proposals + post-apply monitoring every 6h
-cron.schedule('0 */6 * * *', async () => {
+// Cron: expire two-person approval requests nobody decided in time
+cron.schedule('* * * * *', async () => {
   try {
-    await cleanupExpiredProposals(supabase, bot);
-    await checkPostApplyPerformance(supabase, bot);
+    await expirePending(supabase, { bot });
   } catch (err) {
-    logger.debug('Post-apply/cleanup check error', { error: err.message });
+    logger.debug('expirePending cron error', { error: err.message });
   }
 });
 
@@ -800,6 +847,37 @@ cron.schedule('* * * * *', async () => {
   }
 });
 
+// Cron: evaluate resting orders (limits, bracket / OCO legs, trailing stops) every minute
+cron.schedule('* * * * *', async () => {
+  if (!_resolveAdapter) return;
+  try {
+    await processWorkingOrders(supabase, _executionAdapter, cachedMarketData, null, { resolveAdapter: _resolveAdapter });
+  } catch (err) {
+    logger.error('processWorkingOrders cron error', { error: err.message });
+  }
+});
+
+// Cron: reconcile each live user's exchange account against the DB every 15 minutes
+cron.schedule('*/15 * * * *', async () => {
+  if (!_resolveAdapter || isReconciling) return;
+  isReconciling = true;
+  try {
+    const result = await reconcileExchange(supabase, _executionAdapter, {
+      resolveAdapter: _resolveAdapter,
+      venues: LIVE_EXCHANGES,
+      assets: Object.keys(cachedMarketData?.crypto || {}),
+      notifyFn: bot.isActive() ? (text) => bot.broadcastWithButtons(text, []) : null
+    });
+    if (result.error) {
+      logger.warn('Exchange reconciliation failed', { error: result.error });
+    }
+  } catch (err) {
+    logger.error('Reconciliation cron error', { error: err.message });
+  } finally {
+    isReconciling = false;
+  }
+});
+
 // Send metrics to API via IPC every 60s
 const _metricsTimer = setInterval(() => {
   sendToParent(MSG.METRICS_UPDATE, metrics.snapshot());
@@ -825,6 +903,15 @@ _metricsTimer.unref();
       });
       const health = await _executionAdapter.healthCheck();
       logger.info('Bybit execution adapter initialized', { healthy: health.healthy, testnet: health.details?.testnet });
+    } else if (adapterType === 'binance') {
+      _executionAdapter = createAdapter('binance', {
+        apiKey: process.env.BINANCE_API_KEY,
+        apiSecret: process.env.BINANCE_API_SECRET,
+        testnet: process.env.BINANCE_TESTNET !== 'false',
+        supabase
+      });
+      const health = await _executionAdapter.healthCheck();
+      logger.info('Binance execution adapter initialized', { healthy: health.healthy, testnet: health.details?.testnet });
     } else {
       _executionAdapter = createAdapter('paper', { supabase });
       logger.info('Paper execution adapter initialized');
@@ -834,10 +921,16 @@ _metricsTimer.unref();
     _executionAdapter = createAdapter('paper', { supabase });
   }
 
+  _resolveAdapter = createAdapterResolver(supabase, {
+    paper: _executionAdapter.name === 'paper' ? _executionAdapter : createAdapter('paper', { supabase }),
+    operator: _executionAdapter.name === 'paper' ? null : _executionAdapter,
+    operatorUserId: SIGNAL_USER_ID
+  });
+
   // Recover orders stuck in SUBMITTED status from previous crash
   try {
     const { recoverStuckOrders } = require('../orderManager');
-    const recovery = await recoverStuckOrders(supabase, _executionAdapter, cachedMarketData);
+    const recovery = await recoverStuckOrders(supabase, _executionAdapter, cachedMarketData, { resolveAdapter: _resolveAdapter });
     if (recovery.retried > 0 || recovery.rolledBack > 0 || recovery.synced > 0) {
       logger.info('Order recovery on startup', recovery);
     }
@@ -866,6 +959,13 @@ _metricsTimer.unref();
   // Load Telegram subscribers
   await loadTelegramSubscribers();
 
+  // Restore alert cooldowns so a restart does not repeat recent alerts
+  const hydrated = await hydrateCooldowns(supabase, alertCooldowns);
+  const hydratedRules = await hydrateRuleCooldowns(supabase, ruleCooldowns);
+  if (hydrated + hydratedRules > 0) logger.info('Alert cooldowns restored', { deliveries: hydrated, ruleAlerts: hydratedRules });
+  const restoredProposals = await hydratePendingProposals(supabase);
+  if (restoredProposals > 0) logger.info('Pending auto-tune proposals restored for shadow evaluation', { proposals: restoredProposals });
+
   // Setup Telegram auto-tune callback handlers (inline keyboard buttons)
   bot.onCallbackQuery('at_', async (query) => {
     const parts = query.data.split('_'); // at_apply_runId | at_blend_runId | at_reject_runId | at_run
@@ -888,6 +988,22 @@ _metricsTimer.unref();
     const runId = parts.slice(2).join('_'); // Handle UUIDs with underscores
     if (!runId) return;
 
+    // Promotion needs a second approver: queue it instead of applying
+    if (action !== 'reject' && isTwoPersonRequired()) {
+      const requestedBy = await resolveTelegramUser(supabase, query.from?.id);
+      if (!requestedBy) {
+        await bot.sendMessage(query.message.chat.id, TELEGRAM_UNLINKED_MESSAGE);
+        return;
+      }
+      const { action: pending, error } = await requestAction(supabase, {
+        type: 'autotune_approve', payload: { runId, decision: action }, requestedBy, via: 'telegram', bot
+      });
+      await bot.sendMessage(query.message.chat.id, pending && !error
+        ? '🔐 Solicitud enviada: un segundo aprobador debe confirmarla.'
+        : `⚠️ ${error || 'No se pudo crear la solicitud de aprobación.'}`);
+      return;
+    }
+
     const result = await approveProposal(supabase, runId, action, 'telegram', bot);
     if (!result.success) {
       await bot.sendMessage(query.message.chat.id, `⚠️ ${result.message}`);
@@ -897,7 +1013,7 @@ _metricsTimer.unref();
 
   // Setup /autotune command
   setupAutoTuneCommands(bot, async () => {
-    const { config, source } = await getActiveConfig(supabase);
+    const configSet = await getActiveConfigSet(supabase);
     const { history } = await getAutoTuneHistory(supabase, 1);
     let marketRegime = 'unknown';
     try {
@@ -905,11 +1021,16 @@ _metricsTimer.unref();
       marketRegime = features?.marketRegime || 'unknown';
     } catch (_) {}
 
+    const lastRun = history[0] || null;
     return {
-      configSource: source,
+      configSource: configSet.size > 0 ? 'saved' : 'default',
       marketRegime,
+      slices: configSet.list().map(formatSlice),
       approvalMode: getApprovalMode(),
-      lastRun: history[0] || null,
+      lastRun,
+      lastRunSlice: lastRun?.config_asset
+        ? formatSlice({ asset: lastRun.config_asset, regime: lastRun.config_regime })
+        : null,
       pendingCount: getPendingProposals().length,
     };
   });
@@ -1,6 +1,7 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO — COMPUTE WORKER POOL
-// Manages worker threads for CPU-intensive backtests and optimizations.
+// Manages worker threads for CPU-intensive backtests, optimizations and
+// signal replays.
 // Imported by api.js (not a separate forked process).
 // ═══════════════════════════════════════════════════════════════════════════════
 
@@ -10,30 +11,21 @@ const { logger } = require('../logger');
 
 const MAX_CONCURRENT_BACKTESTS = 5;
 const MAX_CONCURRENT_OPTIMIZATIONS = 3;
+const MAX_CONCURRENT_REPLAYS = 2;
 const activeWorkers = new Map(); // jobId -> Worker
 
 let activeBacktestCount = 0;
 let activeOptimizeCount = 0;
+let activeReplayCount = 0;
 
 /**
- * Run a backtest in a dedicated worker thread.
- * Returns a promise that resolves with the result.
- *
- * @param {string} jobId - Unique job identifier
- * @param {object} params - Backtest parameters (passed to runBacktest)
- * @param {function} [onProgress] - Optional progress callback
- * @returns {Promise<object>} Backtest result
+ * Spawn a computeThread for one job and settle with its result.
+ * `release` runs exactly once when the job ends (complete, error or exit).
  */
-function runBacktestInThread(jobId, params, onProgress) {
-  if (activeBacktestCount >= MAX_CONCURRENT_BACKTESTS) {
-    return Promise.reject(new Error(`Max concurrent backtests (${MAX_CONCURRENT_BACKTESTS}) reached`));
-  }
-
-  activeBacktestCount++;
-
+function spawnJobThread(jobType, label, jobId, params, onProgress, release) {
   return new Promise((resolve, reject) => {
     const worker = new Worker(path.join(__dirname, 'computeThread.js'), {
-      workerData: { jobType: 'backtest', jobId, params }
+      workerData: { jobType, jobId, params }
     });
 
     activeWorkers.set(jobId, worker);
@@ -43,33 +35,51 @@ function runBacktestInThread(jobId, params, onProgress) {
         onProgress(msg.data);
       } else if (msg.type === 'complete') {
         activeWorkers.delete(jobId);
-        activeBacktestCount--;
+        release();
         resolve(msg.data);
       } else if (msg.type === 'error') {
         activeWorkers.delete(jobId);
-        activeBacktestCount--;
+        release();
         reject(new Error(msg.error));
       }
     });
 
     worker.on('error', (err) => {
       activeWorkers.delete(jobId);
-      activeBacktestCount--;
+      release();
       reject(err);
     });
 
     worker.on('exit', (code) => {
       if (activeWorkers.has(jobId)) {
         activeWorkers.delete(jobId);
-        activeBacktestCount--;
+        release();
         if (code !== 0) {
-          reject(new Error(`Backtest worker exited with code ${code}`));
+          reject(new Error(`${label} worker exited with code ${code}`));
         }
       }
     });
   });
 }
 
+/**
+ * Run a backtest in a dedicated worker thread.
+ * Returns a promise that resolves with the result.
+ *
+ * @param {string} jobId - Unique job identifier
+ * @param {object} params - Backtest parameters (passed to runBacktest)
+ * @param {function} [onProgress] - Optional progress callback
+ * @returns {Promise<object>} Backtest result
+ */
+function runBacktestInThread(jobId, params, onProgress) {
+  if (activeBacktestCount >= MAX_CONCURRENT_BACKTESTS) {
+    return Promise.reject(new Error(`Max concurrent backtests (${MAX_CONCURRENT_BACKTESTS}) reached`));
+  }
+
+  activeBacktestCount++;
+  return spawnJobThread('backtest', 'Backtest', jobId, params, onProgress, () => { activeBacktestCount--; });
+}
+
 /**
  * Run an optimization in a dedicated worker thread.
  *
@@ -84,44 +94,24 @@ function runOptimizeInThread(jobId, params, onProgress) {
   }
 
   activeOptimizeCount++;
+  return spawnJobThread('optimize', 'Optimize', jobId, params, onProgress, () => { activeOptimizeCount--; });
+}
 
-  return new Promise((resolve, reject) => {
-    const worker = new Worker(path.join(__dirname, 'computeThread.js'), {
-      workerData: { jobType: 'optimize', jobId, params }
-    });
-
-    activeWorkers.set(jobId, worker);
-
-    worker.on('message', (msg) => {
-      if (msg.type === 'progress' && onProgress) {
-        onProgress(msg.data);
-      } else if (msg.type === 'complete') {
-        activeWorkers.delete(jobId);
-        activeOptimizeCount--;
-        resolve(msg.data);
-      } else if (msg.type === 'error') {
-        activeWorkers.delete(jobId);
-        activeOptimizeCount--;
-        reject(new Error(msg.error));
-      }
-    });
-
-    worker.on('error', (err) => {
-      activeWorkers.delete(jobId);
-      activeOptimizeCount--;
-      reject(err);
-    });
+/**
+ * Run a signal replay in a dedicated worker thread.
+ *
+ * @param {string} jobId - Unique job identifier
+ * @param {object} params - Replay parameters (from signalReplay.normalizeReplayParams)
+ * @param {function} [onProgress] - Optional progress callback
+ * @returns {Promise<object>} Replay result (see signalReplay.replaySignals)
+ */
+function runReplayInThread(jobId, params, onProgress) {
+  if (activeReplayCount >= MAX_CONCURRENT_REPLAYS) {
+    return Promise.reject(new Error(`Max concurrent replays (${MAX_CONCURRENT_REPLAYS}) reached`));
+  }
 
-    worker.on('exit', (code) => {
-      if (activeWorkers.has(jobId)) {
-        activeWorkers.delete(jobId);
-        activeOptimizeCount--;
-        if (code !== 0) {
-          reject(new Error(`Optimize worker exited with code ${code}`));
-        }
-      }
-    });
-  });
+  activeReplayCount++;
+  return spawnJobThread('replay', 'Replay', jobId, params, onProgress, () => { activeReplayCount--; });
 }
 
 /**
@@ -131,8 +121,10 @@ function getStats() {
   return {
     activeBacktests: activeBacktestCount,
     activeOptimizations: activeOptimizeCount,
+    activeReplays: activeReplayCount,
     maxBacktests: MAX_CONCURRENT_BACKTESTS,
     maxOptimizations: MAX_CONCURRENT_OPTIMIZATIONS,
+    maxReplays: MAX_CONCURRENT_REPLAYS,
     totalActiveWorkers: activeWorkers.size
   };
 }
@@ -150,13 +142,16 @@ function terminateAll() {
   activeWorkers.clear();
   activeBacktestCount = 0;
   activeOptimizeCount = 0;
+  activeReplayCount = 0;
 }
 
 module.exports = {
   runBacktestInThread,
   runOptimizeInThread,
+  runReplayInThread,
   getStats,
   terminateAll,
   MAX_CONCURRENT_BACKTESTS,
-  MAX_CONCURRENT_OPTIMIZATIONS
+  MAX_CONCURRENT_OPTIMIZATIONS,
+  MAX_CONCURRENT_REPLAYS
 };
@@ -1,6 +1,6 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO — COMPUTE THREAD ENTRY
-// Worker thread that runs a single backtest or optimization job.
+// Worker thread that runs a single backtest, optimization or signal replay job.
 // Receives config via workerData, reports progress and result via parentPort.
 // ═══════════════════════════════════════════════════════════════════════════════
 
@@ -9,6 +9,7 @@ const { workerData, parentPort } = require('worker_threads');
 // Required modules for compute jobs
 const { runBacktest } = require('../backtester');
 const { runOptimization } = require('../optimizer');
+const { replaySignals } = require('../signalReplay');
 
 const { jobType, jobId, params } = workerData;
 
@@ -20,6 +21,8 @@ const { jobType, jobId, params } = workerData;
       result = await runBacktest(params);
     } else if (jobType === 'optimize') {
       result = await runOptimization(params);
+    } else if (jobType === 'replay') {
+      result = await replaySignals(params, (data) => parentPort.postMessage({ type: 'progress', data }));
     } else {
       throw new Error(`Unknown job type: ${jobType}`);
     }
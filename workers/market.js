@@ -1,6 +1,9 @@
 // ═══════════════════════════════════════════════════════════════════════════════
 // SENTIX PRO — MARKET DATA WORKER
-// Fetches crypto prices, macro data, DXY every 1 minute.
+// Streams crypto prices from Binance WebSocket (MARKET_DATA_MODE=stream, the
+// default) and publishes throttled MARKET_UPDATEs on every tick. Macro data
+// and DXY are polled every 1 minute; crypto prices are polled too whenever
+// the stream is down (or MARKET_DATA_MODE=poll).
 // Monitors paper trading positions on each update.
 // Communicates with orchestrator via IPC.
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -17,6 +20,7 @@ const { MSG, sendToParent, installWorkerIPC } = require('../shared/ipc');
 const { metrics } = require('../shared/metrics');
 const { wrapWithCircuitBreaker } = require('../circuitBreaker');
 const { initConfigManager } = require('../configManager');
+const { MarketStream, mergeTicks, createThrottle } = require('../marketStream');
 
 // ─── SUPABASE CLIENT ──────────────────────────────────────────────────────
 const supabase = createClient(process.env.SUPABASE_URL, process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY);
@@ -28,6 +32,12 @@ initConfigManager(supabase).catch(() => {});
 let cachedMarketData = null;
 let lastSuccessfulCrypto = {};
 let isUpdatingMarketData = false;
+let isMonitoring = false;
+
+// ─── STREAMING MODE ───────────────────────────────────────────────────────
+const MARKET_DATA_MODE = process.env.MARKET_DATA_MODE || 'stream';
+const STREAM_PUBLISH_MS = parseInt(process.env.MARKET_STREAM_THROTTLE_MS) || 2000;
+let marketStream = null; // Started in startup block when streaming
 
 // ─── CRYPTO ASSETS TO TRACK ───────────────────────────────────────────────
 const CRYPTO_ASSETS = {
@@ -341,7 +351,12 @@ async function updateMarketData() {
     logger.info('Updating market data');
     metrics.counter('market.cycles');
 
-    const crypto = await fetchCryptoPrices();
+    // Streaming: prices are already live — poll only while the socket is down
+    const streaming = marketStream?.isHealthy();
+    const crypto = streaming
+      ? mergeTicks(lastSuccessfulCrypto, marketStream.getSnapshot())
+      : await fetchCryptoPrices();
+    if (streaming) lastSuccessfulCrypto = crypto;
     const [fearGreedData, globalData, dxyData] = await Promise.all([
       fetchFearGreed(),
       fetchGlobalData(),
@@ -356,7 +371,7 @@ async function updateMarketData() {
         macro: { ...fearGreedData, ...globalData, ...dxyData },
         lastUpdate: new Date().toISOString()
       };
-      logger.info('Market data updated', { cryptoAssets: cryptoCount });
+      logger.info('Market data updated', { cryptoAssets: cryptoCount, source: streaming ? 'stream' : 'poll' });
     } else {
       cachedMarketData = {
         ...cachedMarketData,
@@ -371,24 +386,70 @@ async function updateMarketData() {
     // Send market data to orchestrator → api.js (for SSE broadcast)
     sendToParent(MSG.MARKET_UPDATE, cachedMarketData);
 
-    // Paper trading position monitoring
-    try {
-      const ptMonitor = await monitorAndManage(supabase, 'default-user', cachedMarketData);
-      if (ptMonitor.closedTrades && ptMonitor.closedTrades.length > 0) {
-        sendToParent(MSG.PAPER_TRADE, { action: 'closed', trades: ptMonitor.closedTrades });
-      }
-      if (ptMonitor.partialCloses && ptMonitor.partialCloses.length > 0) {
-        sendToParent(MSG.PAPER_TRADE, { action: 'partial', trades: ptMonitor.partialCloses });
-      }
-    } catch (ptError) {
-      logger.debug('Paper trading monitor cycle', { error: ptError.message });
-    }
+    await monitorPositions();
 
   } catch (error) {
     logger.error('Market data update failed', { error: error.message });
   }
 }
 
+// Paper trading position monitoring (stops, trailing levels, ladders)
+async function monitorPositions() {
+  if (isMonitoring) return;
+  isMonitoring = true;
+  try {
+    const ptMonitor = await monitorAndManage(supabase, 'default-user', cachedMarketData);
+    if (ptMonitor.closedTrades && ptMonitor.closedTrades.length > 0) {
+      sendToParent(MSG.PAPER_TRADE, { action: 'closed', trades: ptMonitor.closedTrades });
+    }
+    if (ptMonitor.partialCloses && ptMonitor.partialCloses.length > 0) {
+      sendToParent(MSG.PAPER_TRADE, { action: 'partial', trades: ptMonitor.partialCloses });
+    }
+  } catch (ptError) {
+    logger.debug('Paper trading monitor cycle', { error: ptError.message });
+  } finally {
+    isMonitoring = false;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════════
+// STREAMING UPDATES
+// ═══════════════════════════════════════════════════════════════════════════════
+
+// Publish streamed prices at most every STREAM_PUBLISH_MS. Waits for the first
+// full cycle so macro data is present before anything goes out.
+const publishStreamUpdate = createThrottle(async () => {
+  if (!cachedMarketData || !marketStream) return;
+  cachedMarketData = {
+    ...cachedMarketData,
+    crypto: mergeTicks(cachedMarketData.crypto, marketStream.getSnapshot()),
+    lastUpdate: new Date().toISOString()
+  };
+  metrics.counter('market.stream.publish');
+  sendToParent(MSG.MARKET_UPDATE, cachedMarketData);
+  await monitorPositions();
+}, STREAM_PUBLISH_MS);
+
+function startMarketStream() {
+  marketStream = new MarketStream({ assets: BINANCE_TICKER_MAP });
+
+  marketStream.on('tick', publishStreamUpdate);
+  marketStream.on('open', () => metrics.counter('market.stream.connect'));
+  marketStream.on('close', ({ code, attempts }) => {
+    metrics.counter('market.stream.disconnect');
+    logger.warn('Market stream disconnected — polling until it reconnects', { code, attempts });
+  });
+  marketStream.on('gap', (gap) => {
+    metrics.counter(`market.stream.gap.${gap.stream}`);
+    logger.info('Market stream gap detected', gap);
+  });
+  marketStream.on('error', (err) => {
+    logger.debug('Market stream backfill error', { error: err.message });
+  });
+
+  marketStream.start();
+}
+
 // ═══════════════════════════════════════════════════════════════════════════════
 // WORKER LIFECYCLE
 // ═══════════════════════════════════════════════════════════════════════════════
@@ -400,6 +461,8 @@ function gracefulShutdown() {
   if (cronTask) {
     try { cronTask.stop(); } catch (_) {}
   }
+  publishStreamUpdate.cancel();
+  if (marketStream) marketStream.stop();
   setTimeout(() => process.exit(0), 500);
 }
 
@@ -428,7 +491,8 @@ _metricsTimer.unref();
 
 // Initial fetch on startup
 (async () => {
-  logger.info('Market worker started', { pid: process.pid });
+  logger.info('Market worker started', { pid: process.pid, mode: MARKET_DATA_MODE });
+  if (MARKET_DATA_MODE === 'stream') startMarketStream();
   try {
     await updateMarketData();
     logger.info('Market worker initial data loaded');